@@ -50,6 +50,8 @@ module.exports = [
         FileList: 'readonly',
         FileReader: 'readonly',
         FormData: 'readonly',
+        Blob: 'readonly',
+        URL: 'readonly',
         URLSearchParams: 'readonly',
         RequestInit: 'readonly',
         Event: 'readonly',
@@ -121,6 +123,7 @@ module.exports = [
         clearTimeout: 'readonly',
         setInterval: 'readonly',
         clearInterval: 'readonly',
+        setImmediate: 'readonly',
         URL: 'readonly',
       },
     },
@@ -45,8 +45,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // XSS sanitization middleware
 app.use(xss.xss());
 
-// Static file serving for uploads
-app.use('/uploads', express.static('./uploads'));
+// Static file serving for uploads, limited to sanitized copies of known files
+const { validatePublicUpload } = require('./middleware/fileValidation');
+app.use('/uploads', validatePublicUpload, express.static('./uploads'));
 
 // Static file serving for frontend (production only)
 // In production, __dirname is dist/server, so we need to go up one level to dist/
@@ -59,6 +60,13 @@ if (isProduction) {
 // Initialize configuration on startup
 const configService = require('./services/configService');
 const localJsonService = require('./services/localJsonService');
+const reportProcessingService = require('./services/reportProcessingService');
+const notificationService = require('./services/notificationService');
+const emailOutboxService = require('./services/emailOutboxService');
+const inboundEmailService = require('./services/inboundEmailService');
+const fileService = require('./services/fileService');
+const reportService = require('./services/reportService');
+const retentionService = require('./services/retentionService');
 
 (async () => {
   try {
@@ -76,6 +84,49 @@ const localJsonService = require('./services/localJsonService');
   }).catch((error) => {
     console.error('Failed to initialize configuration:', error.message);
   });
+
+  // Deliver queued emails in the background, retrying failed sends
+  emailOutboxService.start().catch((error) => {
+    console.error('[APP STARTUP] Failed to start email outbox:', error.message);
+  });
+
+  // Remove metadata from evidence files uploaded before metadata stripping existed
+  fileService.sanitizeStoredFiles().then((count) => {
+    if (count > 0) {
+      console.log(`[APP STARTUP] Removed metadata from ${count} stored file(s)`);
+    }
+  }).catch((error) => {
+    console.error('[APP STARTUP] Failed to sanitize stored files:', error.message);
+  });
+
+  // Encrypt reporter details stored in plain text and re-wrap data keys after a key rotation
+  reportService.reencryptStoredReports().then((count) => {
+    if (count > 0) {
+      console.log(`[APP STARTUP] Re-encrypted reporter details of ${count} report(s)`);
+    }
+  }).catch((error) => {
+    console.error('[APP STARTUP] Failed to re-encrypt reporter details:', error.message);
+  });
+
+  // Email reporters when their reports are received or change status
+  notificationService.start();
+
+  // Turn emailed tips in the inbound mail drop into reports (when email.inbound.enabled is on)
+  inboundEmailService.start();
+
+  // Remove personal data and evidence past their retention period (when system.retention.enabled is on)
+  retentionService.start();
+
+  // Start the sequential report queue processor (POST /api/reports enqueues into it)
+  if (process.env.QUEUE_PROCESSING_ENABLED !== 'false') {
+    try {
+      await reportProcessingService.initialize();
+      console.log('[APP STARTUP] Report processing service started');
+    } catch (err) {
+      console.error('[APP STARTUP] Failed to start report processing service:', err);
+      process.exit(1);
+    }
+  }
 })();
 
 // Health check endpoint
@@ -1,14 +1,28 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const User = require('../models/User');
 
 // JWT secret - in production this should be in environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'njdsc-admin-secret-key-2025';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 
 /**
- * Middleware to authenticate admin users using JWT tokens
+ * Loads the current details of a token's user
+ * @param {string} token - JWT
+ * @returns {Promise<Object>} { id, username, role }
  */
-const authenticateAdmin = (req, res, next) => {
+const verifyUserToken = (token) => {
+  // Required here because authService depends on this module
+  const authService = require('../services/authService');
+  return authService.verifyToken(token);
+};
+
+/**
+ * Middleware to authenticate admin users using JWT tokens. The user is
+ * looked up on every request, so the current role applies and disabled or
+ * deleted accounts are turned away.
+ */
+const authenticateAdmin = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -23,17 +37,8 @@ const authenticateAdmin = (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // Add user info to request
-    req.adminUser = {
-      id: decoded.id,
-      username: decoded.username,
-      role: decoded.role
-    };
-
-    next();
+    // Verify token and add the user's current details to the request
+    req.adminUser = await verifyUserToken(token);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -51,19 +56,51 @@ const authenticateAdmin = (req, res, next) => {
       });
     }
 
+    if (error.message === 'User not found or inactive') {
+      return res.status(401).json({
+        success: false,
+        error: 'Account unavailable',
+        message: 'Your account has been disabled or removed'
+      });
+    }
+
     console.error('Authentication error:', error);
-    res.status(500).json({
+    return res.status(500).json({
       success: false,
       error: 'Authentication failed',
       message: 'An error occurred during authentication'
     });
   }
+
+  next();
+};
+
+/**
+ * Middleware for public routes that shape their response to the signed-in user.
+ * Sets req.adminUser when a valid token is sent; requests without one (or with
+ * an expired or invalid one) continue as anonymous visitors.
+ */
+const optionalAuthenticate = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      req.adminUser = await verifyUserToken(authHeader.substring(7));
+    } catch {
+      // Treated as signed out
+    }
+  }
+
+  next();
 };
 
 /**
- * Middleware to check if user has admin role
+ * Creates middleware that requires the authenticated user to hold at least
+ * the given role (viewer < investigator < admin)
+ * @param {string} requiredRole - Minimum role needed for the route
+ * @returns {Function} Express middleware
  */
-const requireAdminRole = (req, res, next) => {
+const requireRole = (requiredRole) => (req, res, next) => {
   if (!req.adminUser) {
     return res.status(401).json({
       success: false,
@@ -71,17 +108,22 @@ const requireAdminRole = (req, res, next) => {
     });
   }
 
-  if (req.adminUser.role !== 'admin') {
+  if (!User.roleSatisfies(req.adminUser.role, requiredRole)) {
     return res.status(403).json({
       success: false,
       error: 'Insufficient permissions',
-      message: 'Admin role required for this operation'
+      message: `${requiredRole.charAt(0).toUpperCase() + requiredRole.slice(1)} role required for this operation`
     });
   }
 
   next();
 };
 
+/**
+ * Middleware to check if user has admin role
+ */
+const requireAdminRole = requireRole(User.getRoleEnum().ADMIN);
+
 /**
  * Generate JWT token for authenticated user
  */
@@ -114,7 +156,9 @@ const verifyPassword = async (password, hash) => {
 
 module.exports = {
   authenticateAdmin,
+  optionalAuthenticate,
   requireAdminRole,
+  requireRole,
   generateToken,
   hashPassword,
   verifyPassword,
@@ -4,7 +4,14 @@
  * Provides validation and error handling for file-related operations.
  */
 
+const File = require('../models/File');
+const User = require('../models/User');
 const fileService = require('../services/fileService');
+const reportService = require('../services/reportService');
+const reportProcessingService = require('../services/reportProcessingService');
+const { UPLOAD_WINDOW_MS, verifySubmissionToken } = require('../utils/submissionToken');
+
+const { INVESTIGATOR } = User.getRoleEnum();
 
 /**
  * Middleware to validate file upload requests
@@ -249,10 +256,90 @@ function handleFileErrors(error, req, res, next) {
   });
 }
 
+/**
+ * Middleware to check who may add files to a report. Investigators and admins
+ * may upload to any report; anyone else must present the ticket and submission
+ * token they got when submitting it, within a day of submission.
+ */
+async function validateUploadAccess(req, res, next) {
+  if (req.adminUser && User.roleSatisfies(req.adminUser.role, INVESTIGATOR)) {
+    return next();
+  }
+
+  const denied = () => res.status(403).json({
+    success: false,
+    error: 'Sign in or provide the submission token to upload files to this report'
+  });
+
+  const { reportId, ticketId, submissionToken } = req.body;
+  if (!verifySubmissionToken(ticketId, submissionToken)) {
+    return denied();
+  }
+
+  try {
+    const ticket = await reportProcessingService.getTicketStatus(ticketId);
+
+    if (!ticket || ticket.reportId !== reportId || Date.now() - new Date(ticket.createdAt).getTime() > UPLOAD_WINDOW_MS) {
+      return denied();
+    }
+
+    next();
+  } catch (error) {
+    console.error('[FILE VALIDATION] Upload access check failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify upload access'
+    });
+  }
+}
+
+/**
+ * Middleware for the public /uploads directory. Only the copies of known files
+ * whose metadata was removed, and their renditions, are passed on to the
+ * static handler; unsanitized uploads, videos and documents are not served,
+ * and neither are files on reports held for review.
+ */
+async function validatePublicUpload(req, res, next) {
+  const notFound = () => res.status(404).json({
+    success: false,
+    error: 'File not found'
+  });
+
+  let url;
+  try {
+    url = `/uploads${decodeURIComponent(req.path)}`;
+  } catch {
+    return notFound();
+  }
+
+  try {
+    const file = await fileService.getFileByUrl(url);
+
+    // Renditions are re-encoded, so they never carry the original's metadata
+    if (!file || (url === file.publicUrl && !File.isPublishable(file))) {
+      return notFound();
+    }
+
+    if (!(await reportService.getReportById(file.reportId))) {
+      return notFound();
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking public upload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load file'
+    });
+  }
+}
+
 module.exports = {
   validateFileUpload,
   validateFileId,
   validateReportId,
   validateStatusUpdate,
+  validateUploadAccess,
+  validatePublicUpload,
   handleFileErrors
 };
\ No newline at end of file
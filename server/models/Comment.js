@@ -0,0 +1,157 @@
+/**
+ * Comment Model for NJDSC School Compliance Portal
+ *
+ * Represents an internal comment left by a portal user on a report.
+ * Comments are never exposed through public report endpoints.
+ */
+
+const Joi = require('joi');
+
+/**
+ * Maximum comment length in characters
+ * @type {number}
+ */
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Matches @username mentions (same character set as User usernames).
+ * The mention must start the text or follow whitespace so email addresses are ignored.
+ * @type {RegExp}
+ */
+const MENTION_PATTERN = /(^|\s)@([a-zA-Z0-9._-]{3,50})/g;
+
+/**
+ * Comment class representing an internal report comment
+ */
+class Comment {
+  /**
+   * Creates a new Comment instance with validation
+   * @param {Object} data - Comment data
+   * @param {string} data.id - Unique comment identifier
+   * @param {string} data.reportId - Report the comment belongs to
+   * @param {string} data.author - Username of the comment author
+   * @param {string} data.body - Comment text
+   * @param {Array<string>} [data.mentions] - Usernames mentioned in the comment
+   * @param {string} data.createdAt - Creation timestamp
+   * @param {string} data.updatedAt - Last update timestamp
+   * @param {string|null} [data.editedAt] - When the body was last edited
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = Comment.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.reportId = validatedData.reportId;
+    this.author = validatedData.author;
+    this.body = validatedData.body;
+    this.mentions = validatedData.mentions || [];
+    this.createdAt = validatedData.createdAt;
+    this.updatedAt = validatedData.updatedAt;
+    this.editedAt = validatedData.editedAt || null;
+  }
+
+  /**
+   * Generates a unique comment ID
+   * @returns {string} Unique comment identifier
+   */
+  static generateId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = 'cmt_';
+    for (let i = 0; i < 8; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  /**
+   * Validates comment data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails
+   */
+  static validateData(data) {
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^cmt_[a-zA-Z0-9]{8}$/).required(),
+      reportId: Joi.string().pattern(/^rep_[a-zA-Z0-9]{6}$/).required(),
+      author: Joi.string().max(50).required(),
+      body: Joi.string().trim().min(1).max(MAX_COMMENT_LENGTH).required(),
+      mentions: Joi.array().items(Joi.string().max(50)).unique().optional(),
+      createdAt: Joi.string().isoDate().required(),
+      updatedAt: Joi.string().isoDate().required(),
+      editedAt: Joi.string().isoDate().allow(null).optional()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`Comment validation failed: ${errorMessages}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates a new comment with generated ID and timestamps
+   * @param {Object} data - Initial comment data (reportId, author, body, mentions)
+   * @returns {Comment} New Comment instance
+   */
+  static create(data) {
+    const now = new Date().toISOString();
+
+    return new Comment({
+      ...data,
+      id: Comment.generateId(),
+      createdAt: now,
+      updatedAt: now,
+      editedAt: null
+    });
+  }
+
+  /**
+   * Updates the comment body and mentions
+   * @param {Object} updateData - Data to update
+   * @param {string} updateData.body - New comment text
+   * @param {Array<string>} [updateData.mentions] - Usernames mentioned in the new text
+   * @returns {Comment} Updated Comment instance
+   */
+  update(updateData) {
+    const now = new Date().toISOString();
+
+    return new Comment({
+      ...this,
+      body: updateData.body,
+      mentions: updateData.mentions || [],
+      updatedAt: now,
+      editedAt: now
+    });
+  }
+
+  /**
+   * Extracts unique @mentions from comment text
+   * @param {string} body - Comment text
+   * @returns {Array<string>} Mentioned usernames in order of first appearance
+   */
+  static extractMentions(body) {
+    const mentions = [];
+    for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+      // Trailing punctuation ("@alice.") is not part of the username
+      const username = match[2].replace(/[.]+$/, '');
+      if (username.length >= 3 && !mentions.includes(username)) {
+        mentions.push(username);
+      }
+    }
+    return mentions;
+  }
+
+  /**
+   * Gets the maximum comment length
+   * @returns {number} Maximum number of characters in a comment
+   */
+  static getMaxLength() {
+    return MAX_COMMENT_LENGTH;
+  }
+}
+
+module.exports = Comment;
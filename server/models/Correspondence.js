@@ -0,0 +1,114 @@
+/**
+ * Correspondence Model for NJDSC School Compliance Portal
+ *
+ * A reply received to mail sent about a report, such as an answer from MVC.
+ * Replies are matched to the report by the signed Message-ID the portal puts
+ * on outgoing mail. Mail the portal sent is kept in the outbox, not here.
+ */
+
+const Joi = require('joi');
+
+/**
+ * Correspondence class representing a received reply
+ */
+class Correspondence {
+  /**
+   * Creates a new Correspondence instance with validation
+   * @param {Object} data - Reply data
+   * @param {string} data.id - Unique entry identifier
+   * @param {string} data.reportId - Report the reply belongs to
+   * @param {string} data.outboundEmailId - Outbox message the reply answers
+   * @param {string|null} [data.messageId] - Message-ID header of the reply
+   * @param {string} data.from - Sender address
+   * @param {string} [data.fromName] - Sender display name
+   * @param {string} [data.subject] - Subject line
+   * @param {string} [data.body] - Message text
+   * @param {Array<Object>} [data.attachments] - Stored attachments ({ filename, contentType, size, path })
+   * @param {string} data.receivedAt - Date of the reply (its Date header, or when it was read)
+   * @param {string} data.createdAt - When the reply was added to the report
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = Correspondence.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.reportId = validatedData.reportId;
+    this.outboundEmailId = validatedData.outboundEmailId;
+    this.messageId = validatedData.messageId || null;
+    this.from = validatedData.from;
+    this.fromName = validatedData.fromName || '';
+    this.subject = validatedData.subject || '';
+    this.body = validatedData.body || '';
+    this.attachments = validatedData.attachments || [];
+    this.receivedAt = validatedData.receivedAt;
+    this.createdAt = validatedData.createdAt;
+  }
+
+  /**
+   * Generates a unique entry ID
+   * @returns {string} Unique entry identifier
+   */
+  static generateId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = 'cor_';
+    for (let i = 0; i < 10; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  /**
+   * Validates entry data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails
+   */
+  static validateData(data) {
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^cor_[a-zA-Z0-9]{10}$/).required(),
+      reportId: Joi.string().pattern(/^rep_[a-zA-Z0-9]{6}$/).required(),
+      outboundEmailId: Joi.string().pattern(/^eml_[a-zA-Z0-9]{10}$/).required(),
+      messageId: Joi.string().max(1000).allow(null).optional(),
+      from: Joi.string().max(254).required(),
+      fromName: Joi.string().max(255).allow('').optional(),
+      subject: Joi.string().max(1000).allow('').optional(),
+      body: Joi.string().max(50000).allow('').optional(),
+      attachments: Joi.array().items(Joi.object({
+        filename: Joi.string().max(255).required(),
+        contentType: Joi.string().max(100).required(),
+        size: Joi.number().integer().min(0).required(),
+        path: Joi.string().max(500).required()
+      })).max(10).optional(),
+      receivedAt: Joi.string().isoDate().required(),
+      createdAt: Joi.string().isoDate().required()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`Correspondence validation failed: ${errorMessages}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates an entry with generated ID and timestamp
+   * @param {Object} data - Reply data (reportId, outboundEmailId, messageId, from, fromName, subject, body, attachments, receivedAt); `id` may be given when attachments were stored under it
+   * @returns {Correspondence} New Correspondence instance
+   */
+  static create(data) {
+    const now = new Date().toISOString();
+
+    return new Correspondence({
+      ...data,
+      id: data.id || Correspondence.generateId(),
+      receivedAt: data.receivedAt || now,
+      createdAt: now
+    });
+  }
+}
+
+module.exports = Correspondence;
@@ -0,0 +1,147 @@
+/**
+ * DuplicateCandidate Model for NJDSC School Compliance Portal
+ *
+ * Represents a pair of reports that look like they describe the same school
+ * and are waiting for an admin to merge or dismiss them.
+ */
+
+const Joi = require('joi');
+
+/**
+ * Review states of a duplicate candidate
+ * @type {Object<string, string>}
+ */
+const DUPLICATE_STATUS = {
+  PENDING: 'pending',
+  DISMISSED: 'dismissed',
+  MERGED: 'merged'
+};
+
+/**
+ * DuplicateCandidate class representing a likely duplicate report pair
+ */
+class DuplicateCandidate {
+  /**
+   * Creates a new DuplicateCandidate instance with validation
+   * @param {Object} data - Candidate data
+   * @param {string} data.id - Unique candidate identifier
+   * @param {string} data.reportId - Newer report of the pair
+   * @param {string} data.duplicateOfId - Older report it appears to duplicate
+   * @param {number} data.score - Similarity score from 0 to 1
+   * @param {Array<string>} [data.reasons] - Signals that matched
+   * @param {string} data.status - Review status
+   * @param {string} data.detectedAt - When the pair was detected
+   * @param {string|null} [data.resolvedAt] - When the pair was merged or dismissed
+   * @param {string|null} [data.resolvedBy] - Username that merged or dismissed the pair
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = DuplicateCandidate.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.reportId = validatedData.reportId;
+    this.duplicateOfId = validatedData.duplicateOfId;
+    this.score = validatedData.score;
+    this.reasons = validatedData.reasons || [];
+    this.status = validatedData.status;
+    this.detectedAt = validatedData.detectedAt;
+    this.resolvedAt = validatedData.resolvedAt || null;
+    this.resolvedBy = validatedData.resolvedBy || null;
+  }
+
+  /**
+   * Generates a unique candidate ID
+   * @returns {string} Unique candidate identifier
+   */
+  static generateId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = 'dup_';
+    for (let i = 0; i < 6; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  /**
+   * Validates candidate data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails
+   */
+  static validateData(data) {
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^dup_[a-zA-Z0-9]{6}$/).required(),
+      reportId: Joi.string().pattern(/^rep_[a-zA-Z0-9]{6}$/).required(),
+      duplicateOfId: Joi.string().pattern(/^rep_[a-zA-Z0-9]{6}$/).invalid(Joi.ref('reportId')).required()
+        .messages({ 'any.invalid': '"duplicateOfId" must differ from "reportId"' }),
+      score: Joi.number().min(0).max(1).required(),
+      reasons: Joi.array().items(Joi.string().max(200)).optional(),
+      status: Joi.string().valid(...Object.values(DUPLICATE_STATUS)).required(),
+      detectedAt: Joi.string().isoDate().required(),
+      resolvedAt: Joi.string().isoDate().allow(null).optional(),
+      resolvedBy: Joi.string().max(50).allow(null).optional()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`Duplicate candidate validation failed: ${errorMessages}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates a new pending candidate with generated ID and timestamp
+   * @param {Object} data - Candidate data (reportId, duplicateOfId, score, reasons)
+   * @returns {DuplicateCandidate} New DuplicateCandidate instance
+   */
+  static create(data) {
+    return new DuplicateCandidate({
+      ...data,
+      id: DuplicateCandidate.generateId(),
+      status: DUPLICATE_STATUS.PENDING,
+      detectedAt: new Date().toISOString(),
+      resolvedAt: null,
+      resolvedBy: null
+    });
+  }
+
+  /**
+   * Marks the candidate as merged or dismissed
+   * @param {string} status - DUPLICATE_STATUS.MERGED or DUPLICATE_STATUS.DISMISSED
+   * @param {string} resolvedBy - Username of the admin
+   * @returns {DuplicateCandidate} Resolved DuplicateCandidate instance
+   */
+  resolve(status, resolvedBy) {
+    return new DuplicateCandidate({
+      ...this,
+      status,
+      resolvedAt: new Date().toISOString(),
+      resolvedBy
+    });
+  }
+
+  /**
+   * Checks whether the candidate is about the given pair of reports, in either order
+   * @param {string} firstId - Report ID
+   * @param {string} secondId - Report ID
+   * @returns {boolean} True if the candidate covers both reports
+   */
+  isPair(firstId, secondId) {
+    return (this.reportId === firstId && this.duplicateOfId === secondId) ||
+      (this.reportId === secondId && this.duplicateOfId === firstId);
+  }
+
+  /**
+   * Gets the review status enum
+   * @returns {Object} Status constants
+   */
+  static getStatusEnum() {
+    return DUPLICATE_STATUS;
+  }
+}
+
+module.exports = DuplicateCandidate;
@@ -0,0 +1,179 @@
+/**
+ * EmailTemplate Model for NJDSC School Compliance Portal
+ *
+ * Represents a server-side email template. Subject and body use [[variable]]
+ * placeholders, and every placeholder must be declared in the template's
+ * variable list. Each change bumps the version number.
+ */
+
+const Joi = require('joi');
+
+// Placeholder syntax shared with emailService.substituteVariables
+const PLACEHOLDER_PATTERN = /\[\[(\w+)\]\]/g;
+
+/**
+ * EmailTemplate class representing an email template
+ */
+class EmailTemplate {
+  /**
+   * Creates a new EmailTemplate instance with validation
+   * @param {Object} data - Template data
+   * @param {string} data.id - Template key (e.g. 'case_closed')
+   * @param {string} data.name - Display name
+   * @param {string} [data.description] - What the template is for
+   * @param {string} data.subject - Subject with [[variable]] placeholders
+   * @param {string} data.body - Plain-text body with [[variable]] placeholders
+   * @param {Array<Object>} [data.variables] - Declared variables
+   * @param {number} data.version - Version number, starting at 1
+   * @param {string} data.createdAt - Creation timestamp
+   * @param {string} data.updatedAt - Last update timestamp
+   * @param {string} [data.updatedBy] - User who made the last change
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = EmailTemplate.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.name = validatedData.name;
+    this.description = validatedData.description || '';
+    this.subject = validatedData.subject;
+    this.body = validatedData.body;
+    this.variables = validatedData.variables;
+    this.version = validatedData.version;
+    this.createdAt = validatedData.createdAt;
+    this.updatedAt = validatedData.updatedAt;
+    this.updatedBy = validatedData.updatedBy || null;
+  }
+
+  /**
+   * Lists the placeholder names used in a text, in order of first use
+   * @param {string} text - Template text
+   * @returns {Array<string>} Unique variable names
+   */
+  static getPlaceholders(text) {
+    const names = [];
+    for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Validates template data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails or a placeholder is not declared
+   */
+  static validateData(data) {
+    const variableSchema = Joi.object({
+      name: Joi.string().pattern(/^[A-Za-z][A-Za-z0-9_]*$/).max(50).required(),
+      description: Joi.string().max(255).trim().allow('').default(''),
+      required: Joi.boolean().default(true),
+      defaultValue: Joi.string().max(1000).allow('', null).default(null)
+    });
+
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^[a-z][a-z0-9_]{1,49}$/).required(),
+      name: Joi.string().min(2).max(100).trim().required(),
+      description: Joi.string().max(500).trim().allow('', null).optional(),
+      subject: Joi.string().min(1).max(255).trim().required(),
+      body: Joi.string().min(1).max(10000).required(),
+      variables: Joi.array().items(variableSchema).max(30).unique('name').default([]),
+      version: Joi.number().integer().min(1).required(),
+      createdAt: Joi.string().isoDate().required(),
+      updatedAt: Joi.string().isoDate().required(),
+      updatedBy: Joi.string().max(100).allow(null).optional()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`Email template validation failed: ${errorMessages}`);
+    }
+
+    const declared = value.variables.map(variable => variable.name);
+    const undeclared = EmailTemplate.getPlaceholders(`${value.subject}\n${value.body}`)
+      .filter(name => !declared.includes(name));
+    if (undeclared.length > 0) {
+      throw new Error(`Email template validation failed: undeclared variable(s) ${undeclared.map(name => `[[${name}]]`).join(', ')}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates a new template at version 1
+   * @param {Object} data - Template data (id, name, description, subject, body, variables)
+   * @param {string} [createdBy] - User creating the template
+   * @returns {EmailTemplate} New EmailTemplate instance
+   */
+  static create(data, createdBy = null) {
+    const now = new Date().toISOString();
+    return new EmailTemplate({
+      ...data,
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+      updatedBy: createdBy
+    });
+  }
+
+  /**
+   * Fills in the template. Missing values fall back to the variable's default;
+   * required variables with no value are left as placeholders and reported.
+   * @param {Object} [values] - Variable values by name; undeclared names are ignored
+   * @returns {{subject: string, body: string, variables: Object, missing: Array<string>}} Rendered email
+   */
+  render(values = {}) {
+    const resolved = {};
+    const missing = [];
+
+    for (const variable of this.variables) {
+      const provided = values[variable.name];
+      if (provided !== undefined && provided !== null && String(provided).trim() !== '') {
+        resolved[variable.name] = String(provided);
+      } else if (variable.defaultValue) {
+        resolved[variable.name] = variable.defaultValue;
+      } else if (variable.required) {
+        missing.push(variable.name);
+      } else {
+        resolved[variable.name] = '';
+      }
+    }
+
+    const fill = text => text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      return resolved[name] !== undefined ? resolved[name] : match;
+    });
+
+    return {
+      subject: fill(this.subject).trim(),
+      body: fill(this.body),
+      variables: resolved,
+      missing
+    };
+  }
+
+  /**
+   * Snapshot of this version for the template history
+   * @returns {Object} Version record
+   */
+  toVersion() {
+    return {
+      templateId: this.id,
+      version: this.version,
+      name: this.name,
+      description: this.description,
+      subject: this.subject,
+      body: this.body,
+      variables: this.variables,
+      updatedAt: this.updatedAt,
+      updatedBy: this.updatedBy
+    };
+  }
+}
+
+module.exports = EmailTemplate;
@@ -56,12 +56,19 @@ class File {
    * @param {string} data.originalName - Original filename
    * @param {string} data.mimeType - MIME type
    * @param {number} data.size - File size in bytes
-   * @param {string} data.localFilePath - Local file system path
+   * @param {string} data.localFilePath - Local file system path (metadata-stripped public copy)
+   * @param {string} [data.originalFilePath] - Path of the unsanitized original (admin use only)
+   * @param {Object} [data.exif] - EXIF metadata of the original (admin use only)
+   * @param {string} [data.metadataStrippedAt] - When metadata was removed from the public copy
    * @param {string} data.publicUrl - Public access URL
-   * @param {string} [data.thumbnailUrl] - Thumbnail URL for images
+   * @param {string} [data.thumbnailUrl] - Thumbnail rendition URL for images
+   * @param {string} [data.mediumUrl] - Medium-size rendition URL for images
+   * @param {number} [data.width] - Upright image width in pixels
+   * @param {number} [data.height] - Upright image height in pixels
    * @param {string} data.uploadedAt - Upload timestamp
    * @param {string} [data.uploadedByIp] - Uploader's IP address
    * @param {string} data.processingStatus - Processing status
+   * @param {string} [data.processingError] - Why processing failed
    */
   constructor(data) {
     // Validate input data
@@ -74,11 +81,18 @@ class File {
     this.mimeType = validatedData.mimeType;
     this.size = validatedData.size;
     this.localFilePath = validatedData.localFilePath;
+    this.originalFilePath = validatedData.originalFilePath;
+    this.exif = validatedData.exif;
+    this.metadataStrippedAt = validatedData.metadataStrippedAt;
     this.publicUrl = validatedData.publicUrl;
     this.thumbnailUrl = validatedData.thumbnailUrl;
+    this.mediumUrl = validatedData.mediumUrl;
+    this.width = validatedData.width;
+    this.height = validatedData.height;
     this.uploadedAt = validatedData.uploadedAt;
     this.uploadedByIp = validatedData.uploadedByIp;
     this.processingStatus = validatedData.processingStatus;
+    this.processingError = validatedData.processingError;
   }
 
   /**
@@ -108,11 +122,18 @@ class File {
       mimeType: Joi.string().valid(...ALL_SUPPORTED_TYPES).required(),
       size: Joi.number().integer().min(0).max(MAX_FILE_SIZE).required(),
       localFilePath: Joi.string().required(),
+      originalFilePath: Joi.string().allow(null).optional(),
+      exif: Joi.object().unknown(true).allow(null).optional(),
+      metadataStrippedAt: Joi.string().isoDate().allow(null).optional(),
       publicUrl: Joi.string().pattern(/^\/uploads\//).required(),
-      thumbnailUrl: Joi.string().uri().allow(''),
+      thumbnailUrl: Joi.string().uri({ allowRelative: true }).allow('', null),
+      mediumUrl: Joi.string().pattern(/^\/uploads\//).allow(null).optional(),
+      width: Joi.number().integer().min(1).allow(null).optional(),
+      height: Joi.number().integer().min(1).allow(null).optional(),
       uploadedAt: Joi.string().isoDate().required(),
       uploadedByIp: Joi.string().ip({ version: ['ipv4', 'ipv6'] }).allow('', null).optional(),
-      processingStatus: Joi.string().valid(...Object.values(PROCESSING_STATUS)).required()
+      processingStatus: Joi.string().valid(...Object.values(PROCESSING_STATUS)).required(),
+      processingError: Joi.string().max(500).allow(null).optional()
     });
 
     const { error, value } = schema.validate(data, { abortEarly: false });
@@ -178,8 +199,8 @@ class File {
       throw new Error(`Invalid processing status: ${this.processingStatus}`);
     }
 
-    // Validate thumbnail URL is only present for images
-    if (this.thumbnailUrl && !SUPPORTED_MIME_TYPES.images.includes(this.mimeType)) {
+    // Validate rendition URLs are only present for images
+    if ((this.thumbnailUrl || this.mediumUrl) && !SUPPORTED_MIME_TYPES.images.includes(this.mimeType)) {
       throw new Error('Thumbnail URL is only allowed for image files');
     }
   }
@@ -203,16 +224,15 @@ class File {
   }
 
   /**
-   * Generates a thumbnail URL for image files
+   * Generates the thumbnail rendition URL for image files
    * @param {string} localFilePath - Local file path relative to uploads directory
-   * @returns {string|null} Thumbnail URL or null if not applicable
+   * @returns {string} Thumbnail URL
    */
   static generateThumbnailUrl(localFilePath) {
     if (!localFilePath || typeof localFilePath !== 'string') {
       throw new Error('Invalid local file path');
     }
-    // For now, return the same URL as the main file (thumbnail generation not implemented yet)
-    return File.generatePublicUrl(localFilePath);
+    return File.generatePublicUrl(localFilePath).replace(/(\.[^./]*)?$/, '.thumbnail.jpg');
   }
 
   /**
@@ -257,15 +277,17 @@ class File {
   /**
    * Updates the processing status
    * @param {string} status - New processing status
+   * @param {Object} [results] - Fields produced by processing (rendition URLs, dimensions, error)
    * @returns {File} Updated File instance
    */
-  updateProcessingStatus(status) {
+  updateProcessingStatus(status, results = {}) {
     if (!Object.values(PROCESSING_STATUS).includes(status)) {
       throw new Error(`Invalid processing status: ${status}`);
     }
 
     const updatedData = {
       ...this,
+      ...results,
       processingStatus: status
     };
 
@@ -299,6 +321,17 @@ class File {
     return PROCESSING_STATUS;
   }
 
+  /**
+   * Checks whether a file's public copy may be served. Metadata is only
+   * removed from images, so videos and documents are never published, and
+   * images stored before metadata removal wait until they are sanitized.
+   * @param {Object} file - File data
+   * @returns {boolean} True if the public copy has had its metadata removed
+   */
+  static isPublishable(file) {
+    return SUPPORTED_MIME_TYPES.images.includes(file.mimeType) && Boolean(file.metadataStrippedAt);
+  }
+
   /**
    * Gets supported MIME types
    * @returns {Object} Supported MIME types by category
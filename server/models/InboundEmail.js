@@ -0,0 +1,141 @@
+/**
+ * InboundEmail Model for NJDSC School Compliance Portal
+ *
+ * Records one message picked up from the inbound mail drop and what became
+ * of it: the report it was ingested into, the report a reply was threaded
+ * onto, or why it was skipped or failed.
+ */
+
+const Joi = require('joi');
+
+/**
+ * Outcomes of processing an inbound message
+ * @type {Object<string, string>}
+ */
+const INBOUND_STATUS = {
+  INGESTED: 'ingested',
+  // A reply to portal mail, added to the report's correspondence
+  THREADED: 'threaded',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+/**
+ * InboundEmail class representing a processed inbound message
+ */
+class InboundEmail {
+  /**
+   * Creates a new InboundEmail instance with validation
+   * @param {Object} data - Message data
+   * @param {string} data.id - Unique record identifier
+   * @param {string} data.messageKey - Message-ID, or a hash of the message when it has none; used to skip repeats
+   * @param {string|null} [data.messageId] - Message-ID header
+   * @param {string|null} [data.from] - Sender address
+   * @param {string|null} [data.fromName] - Sender display name
+   * @param {string} [data.subject] - Subject line
+   * @param {string|null} [data.sentAt] - Date header
+   * @param {string} data.origin - Drop file the message was read from
+   * @param {string} data.status - One of INBOUND_STATUS
+   * @param {string|null} [data.reportId] - Report the message was ingested into or threaded onto
+   * @param {string|null} [data.correspondenceId] - Correspondence entry created for a reply
+   * @param {Array<string>} [data.fileIds] - Evidence files stored from its images
+   * @param {Array<Object>} [data.skippedAttachments] - Attachments that were not stored ({ filename, reason })
+   * @param {string|null} [data.error] - Why the message was skipped or failed
+   * @param {string} data.processedAt - When the message was processed
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = InboundEmail.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.messageKey = validatedData.messageKey;
+    this.messageId = validatedData.messageId || null;
+    this.from = validatedData.from || null;
+    this.fromName = validatedData.fromName || null;
+    this.subject = validatedData.subject || '';
+    this.sentAt = validatedData.sentAt || null;
+    this.origin = validatedData.origin;
+    this.status = validatedData.status;
+    this.reportId = validatedData.reportId || null;
+    this.correspondenceId = validatedData.correspondenceId || null;
+    this.fileIds = validatedData.fileIds || [];
+    this.skippedAttachments = validatedData.skippedAttachments || [];
+    this.error = validatedData.error || null;
+    this.processedAt = validatedData.processedAt;
+  }
+
+  /**
+   * Generates a unique record ID
+   * @returns {string} Unique record identifier
+   */
+  static generateId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = 'inb_';
+    for (let i = 0; i < 10; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  /**
+   * Validates record data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails
+   */
+  static validateData(data) {
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^inb_[a-zA-Z0-9]{10}$/).required(),
+      messageKey: Joi.string().max(1000).required(),
+      messageId: Joi.string().max(1000).allow(null).optional(),
+      from: Joi.string().max(254).allow(null).optional(),
+      fromName: Joi.string().max(255).allow('', null).optional(),
+      subject: Joi.string().max(1000).allow('').optional(),
+      sentAt: Joi.string().isoDate().allow(null).optional(),
+      origin: Joi.string().max(255).required(),
+      status: Joi.string().valid(...Object.values(INBOUND_STATUS)).required(),
+      reportId: Joi.string().pattern(/^rep_[a-zA-Z0-9]{6}$/).allow(null).optional(),
+      correspondenceId: Joi.string().pattern(/^cor_[a-zA-Z0-9]{10}$/).allow(null).optional(),
+      fileIds: Joi.array().items(Joi.string().max(50)).max(10).optional(),
+      skippedAttachments: Joi.array().items(Joi.object({
+        filename: Joi.string().max(255).required(),
+        reason: Joi.string().max(255).required()
+      })).optional(),
+      error: Joi.string().max(1000).allow(null).optional(),
+      processedAt: Joi.string().isoDate().required()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`Inbound email validation failed: ${errorMessages}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates a record with generated ID and timestamp
+   * @param {Object} data - Message data (messageKey, messageId, from, fromName, subject, sentAt, origin, status, ...)
+   * @returns {InboundEmail} New InboundEmail instance
+   */
+  static create(data) {
+    return new InboundEmail({
+      ...data,
+      id: InboundEmail.generateId(),
+      processedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Gets the status enum
+   * @returns {Object} Status constants
+   */
+  static getStatusEnum() {
+    return INBOUND_STATUS;
+  }
+}
+
+module.exports = InboundEmail;
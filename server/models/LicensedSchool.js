@@ -0,0 +1,109 @@
+/**
+ * LicensedSchool Model for NJDSC School Compliance Portal
+ *
+ * Represents one entry of the imported reference list of driving schools
+ * that hold a New Jersey license. Reports are checked against this list.
+ */
+
+const Joi = require('joi');
+
+/**
+ * LicensedSchool class representing a licensed driving school
+ */
+class LicensedSchool {
+  /**
+   * Creates a new LicensedSchool instance with validation
+   * @param {Object} data - Licensed school data
+   * @param {string} data.id - Unique identifier
+   * @param {string} data.name - School name as licensed
+   * @param {string} [data.licenseNumber] - State license number
+   * @param {string} [data.phoneNumber] - Listed phone number
+   * @param {string} [data.websiteUrl] - Listed website
+   * @param {string} [data.address] - Street address
+   * @param {string} [data.city] - City or town
+   * @param {string} data.importedAt - When the entry was imported
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = LicensedSchool.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.name = validatedData.name;
+    this.licenseNumber = validatedData.licenseNumber || null;
+    this.phoneNumber = validatedData.phoneNumber || null;
+    this.websiteUrl = validatedData.websiteUrl || null;
+    this.address = validatedData.address || null;
+    this.city = validatedData.city || null;
+    this.importedAt = validatedData.importedAt;
+  }
+
+  /**
+   * Generates a unique licensed school ID
+   * @returns {string} Unique identifier
+   */
+  static generateId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = 'lic_';
+    for (let i = 0; i < 6; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  /**
+   * Validates licensed school data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails
+   */
+  static validateData(data) {
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^lic_[a-zA-Z0-9]{6}$/).required(),
+      name: Joi.string().min(2).max(255).trim().required(),
+      licenseNumber: Joi.string().max(50).trim().allow('', null).optional(),
+      phoneNumber: Joi.string().max(50).trim().allow('', null).optional(),
+      websiteUrl: Joi.string().max(500).trim().allow('', null).optional(),
+      address: Joi.string().max(255).trim().allow('', null).optional(),
+      city: Joi.string().max(100).trim().allow('', null).optional(),
+      importedAt: Joi.string().isoDate().required()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`Licensed school validation failed: ${errorMessages}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates a new licensed school entry with generated ID and import timestamp
+   * @param {Object} data - Licensed school data
+   * @returns {LicensedSchool} New LicensedSchool instance
+   */
+  static create(data) {
+    return new LicensedSchool({
+      ...data,
+      id: LicensedSchool.generateId(),
+      importedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Describes the entry in the shape used for report similarity scoring
+   * @returns {Object} Report-like fields (schoolName, phoneNumber, websiteUrl, location)
+   */
+  toComparable() {
+    return {
+      schoolName: this.name,
+      phoneNumber: this.phoneNumber,
+      websiteUrl: this.websiteUrl,
+      location: this.city
+    };
+  }
+}
+
+module.exports = LicensedSchool;
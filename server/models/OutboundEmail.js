@@ -0,0 +1,213 @@
+/**
+ * OutboundEmail Model for NJDSC School Compliance Portal
+ *
+ * Represents a message in the email outbox. Messages are stored before they
+ * are sent and move through the delivery states below; failed attempts are
+ * retried with backoff until the message is sent or dead-lettered.
+ */
+
+const Joi = require('joi');
+
+/**
+ * Delivery states
+ * @type {Object<string, string>}
+ */
+const STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  RETRYING: 'retrying',
+  SENT: 'sent',
+  DEAD: 'dead'
+};
+
+/**
+ * Where a message came from
+ * @type {Object<string, string>}
+ */
+const SOURCE = {
+  // Sent by a user through POST /api/emails/send
+  MANUAL: 'manual',
+  // Sent automatically by notificationService
+  NOTIFICATION: 'notification'
+};
+
+/**
+ * OutboundEmail class representing a queued email
+ */
+class OutboundEmail {
+  /**
+   * Creates a new OutboundEmail instance with validation
+   * @param {Object} data - Message data
+   * @param {string} data.id - Unique message identifier
+   * @param {string} data.to - Recipient email address
+   * @param {string} data.subject - Email subject
+   * @param {string} data.body - Plain-text email body
+   * @param {string} [data.html] - HTML version of the body
+   * @param {string} [data.cc] - CC recipients
+   * @param {string} [data.bcc] - BCC recipients
+   * @param {Array<Object>} [data.attachments] - Files on disk to attach ({ filename, path, contentType, size, fileId, cid })
+   * @param {string} [data.templateId] - Template the message was rendered from
+   * @param {number} [data.templateVersion] - Template version used
+   * @param {string} [data.reportId] - Report the message is about
+   * @param {string} data.source - One of SOURCE
+   * @param {string} data.status - One of STATUS
+   * @param {number} data.attempts - Delivery attempts made so far
+   * @param {number} data.maxAttempts - Attempts allowed before dead-lettering
+   * @param {string|null} data.nextAttemptAt - When the next attempt is due
+   * @param {string|null} [data.lastError] - Error from the most recent failed attempt
+   * @param {string} data.createdAt - Creation timestamp
+   * @param {string} data.updatedAt - Last update timestamp
+   * @param {string|null} [data.sentAt] - When the message was delivered
+   * @param {string} data.createdBy - User who queued the message ('system' for notifications)
+   * @param {string} [data.ipAddress] - IP address of the user who queued the message
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = OutboundEmail.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.to = validatedData.to;
+    this.subject = validatedData.subject;
+    this.body = validatedData.body;
+    this.html = validatedData.html || null;
+    this.cc = validatedData.cc || null;
+    this.bcc = validatedData.bcc || null;
+    this.attachments = validatedData.attachments || [];
+    this.templateId = validatedData.templateId || null;
+    this.templateVersion = validatedData.templateVersion || null;
+    this.reportId = validatedData.reportId || null;
+    this.source = validatedData.source;
+    this.status = validatedData.status;
+    this.attempts = validatedData.attempts;
+    this.maxAttempts = validatedData.maxAttempts;
+    this.nextAttemptAt = validatedData.nextAttemptAt || null;
+    this.lastError = validatedData.lastError || null;
+    this.createdAt = validatedData.createdAt;
+    this.updatedAt = validatedData.updatedAt;
+    this.sentAt = validatedData.sentAt || null;
+    this.createdBy = validatedData.createdBy;
+    this.ipAddress = validatedData.ipAddress || null;
+  }
+
+  /**
+   * Generates a unique message ID
+   * @returns {string} Unique message identifier
+   */
+  static generateId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = 'eml_';
+    for (let i = 0; i < 10; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  /**
+   * Validates message data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails
+   */
+  static validateData(data) {
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^eml_[a-zA-Z0-9]{10}$/).required(),
+      to: Joi.string().email({ tlds: { allow: false } }).max(254).required(),
+      subject: Joi.string().trim().min(1).max(255).required(),
+      body: Joi.string().min(1).max(50000).required(),
+      html: Joi.string().max(200000).allow(null).optional(),
+      cc: Joi.string().max(1000).allow(null, '').optional(),
+      bcc: Joi.string().max(1000).allow(null, '').optional(),
+      attachments: Joi.array().items(Joi.object({
+        fileId: Joi.string().max(50).allow(null).optional(),
+        filename: Joi.string().max(255).required(),
+        path: Joi.string().max(1000).required(),
+        contentType: Joi.string().max(100).allow(null).optional(),
+        size: Joi.number().integer().min(0).optional(),
+        cid: Joi.string().max(100).allow(null).optional()
+      })).max(20).optional(),
+      templateId: Joi.string().max(50).allow(null).optional(),
+      templateVersion: Joi.number().integer().min(1).allow(null).optional(),
+      reportId: Joi.string().pattern(/^rep_[a-zA-Z0-9]{6}$/).allow(null).optional(),
+      source: Joi.string().valid(...Object.values(SOURCE)).required(),
+      status: Joi.string().valid(...Object.values(STATUS)).required(),
+      attempts: Joi.number().integer().min(0).required(),
+      maxAttempts: Joi.number().integer().min(1).max(20).required(),
+      nextAttemptAt: Joi.string().isoDate().allow(null).optional(),
+      lastError: Joi.string().max(1000).allow(null).optional(),
+      createdAt: Joi.string().isoDate().required(),
+      updatedAt: Joi.string().isoDate().required(),
+      sentAt: Joi.string().isoDate().allow(null).optional(),
+      createdBy: Joi.string().max(100).required(),
+      ipAddress: Joi.string().max(100).allow(null).optional()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`Outbound email validation failed: ${errorMessages}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates a new queued message that is due immediately
+   * @param {Object} data - Message data (to, subject, body, html, cc, bcc, attachments, templateId, templateVersion, reportId, source)
+   * @param {Object} options - Queue options
+   * @param {number} options.maxAttempts - Attempts allowed before dead-lettering
+   * @param {string} options.createdBy - User queuing the message
+   * @param {string} [options.ipAddress] - IP address of the user
+   * @returns {OutboundEmail} New OutboundEmail instance
+   */
+  static create(data, { maxAttempts, createdBy, ipAddress = null }) {
+    const now = new Date().toISOString();
+
+    return new OutboundEmail({
+      ...data,
+      source: data.source || SOURCE.MANUAL,
+      id: OutboundEmail.generateId(),
+      status: STATUS.QUEUED,
+      attempts: 0,
+      maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+      createdBy,
+      ipAddress
+    });
+  }
+
+  /**
+   * Checks whether the message is waiting for a delivery attempt that is due
+   * @param {Date} [now] - Current time
+   * @returns {boolean} True if the message should be sent now
+   */
+  isDue(now = new Date()) {
+    if (this.status !== STATUS.QUEUED && this.status !== STATUS.RETRYING) {
+      return false;
+    }
+    return !this.nextAttemptAt || new Date(this.nextAttemptAt) <= now;
+  }
+
+  /**
+   * Gets the delivery status enum
+   * @returns {Object} Status enum
+   */
+  static getStatusEnum() {
+    return { ...STATUS };
+  }
+
+  /**
+   * Gets the message source enum
+   * @returns {Object} Source enum
+   */
+  static getSourceEnum() {
+    return { ...SOURCE };
+  }
+}
+
+module.exports = OutboundEmail;
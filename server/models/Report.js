@@ -19,6 +19,69 @@ const REPORT_STATUS = {
   CLOSED: 'Closed'
 };
 
+/**
+ * Where a report came from
+ * @enum {string}
+ */
+const REPORT_SOURCE = {
+  WEB: 'web',
+  EMAIL: 'email'
+};
+
+/**
+ * Review state of reports that are held until an admin checks them.
+ * Reports without a review state were never held.
+ * @enum {string}
+ */
+const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Report status workflow.
+ * For each status: the statuses a report in that status may move to, and the
+ * fields that must be set on a report entering that status.
+ * Keeping a report in its current status (e.g. to edit notes) is always allowed.
+ */
+const STATUS_WORKFLOW = {
+  [REPORT_STATUS.ADDED]: {
+    transitions: [REPORT_STATUS.CONFIRMED, REPORT_STATUS.UNDER_INVESTIGATION, REPORT_STATUS.CLOSED],
+    requiredFields: []
+  },
+  [REPORT_STATUS.CONFIRMED]: {
+    transitions: [REPORT_STATUS.UNDER_INVESTIGATION, REPORT_STATUS.REPORTED_TO_MVC, REPORT_STATUS.CLOSED],
+    requiredFields: []
+  },
+  [REPORT_STATUS.UNDER_INVESTIGATION]: {
+    transitions: [REPORT_STATUS.CONFIRMED, REPORT_STATUS.REPORTED_TO_MVC, REPORT_STATUS.CLOSED],
+    requiredFields: []
+  },
+  [REPORT_STATUS.REPORTED_TO_MVC]: {
+    transitions: [REPORT_STATUS.UNDER_INVESTIGATION, REPORT_STATUS.CLOSED],
+    requiredFields: [
+      { field: 'mvcReferenceNumber', label: 'MVC reference number' }
+    ]
+  },
+  [REPORT_STATUS.CLOSED]: {
+    // Closed reports can only be reopened for further investigation
+    transitions: [REPORT_STATUS.UNDER_INVESTIGATION],
+    requiredFields: [
+      { field: 'closureReason', label: 'Closure reason' }
+    ]
+  }
+};
+
+/**
+ * Fields a reporter may set when submitting a report. Everything else
+ * (status, review state, notes, legal holds, history) is set by the portal.
+ */
+const SUBMISSION_FIELDS = [
+  'schoolName', 'location', 'violationDescription', 'phoneNumber', 'websiteUrl', 'socialMediaLinks',
+  'additionalInfo', 'reporterName', 'reporterEmail', 'reporterPhone', 'reporterSchool', 'files'
+];
+
 /**
  * Report class representing a school compliance report
  */
@@ -42,6 +105,18 @@ class Report {
    * @param {string} [data.reporterIp] - Reporter's IP address
    * @param {string} [data.adminNotes] - Administrative notes
    * @param {string} [data.mvcReferenceNumber] - MVC reference number
+   * @param {string} [data.closureReason] - Reason the report was closed
+   * @param {Array} [data.statusHistory] - Chronological status change entries
+   * @param {string|null} [data.schoolId] - Registry school this report is grouped under
+   * @param {Object|null} [data.licenseCheck] - Result of checking the school against the licensed school list
+   * @param {string} [data.source] - Where the report came from (default 'web')
+   * @param {string|null} [data.reviewStatus] - Review state if the report is held for admin review
+   * @param {string} [data.reporterName] - Reporter's name
+   * @param {string} [data.reporterEmail] - Reporter's email address
+   * @param {string} [data.reporterPhone] - Reporter's phone number
+   * @param {string} [data.reporterSchool] - School the reporter is with
+   * @param {Object|null} [data.reporterPii] - Encrypted reporter fields as stored (see utils/piiEncryption)
+   * @param {Object|null} [data.legalHold] - Legal hold that exempts the report from retention rules
    */
   constructor(data) {
     // Validate input data
@@ -64,6 +139,18 @@ class Report {
     this.reporterIp = validatedData.reporterIp;
     this.adminNotes = validatedData.adminNotes;
     this.mvcReferenceNumber = validatedData.mvcReferenceNumber;
+    this.closureReason = validatedData.closureReason;
+    this.statusHistory = validatedData.statusHistory || [];
+    this.schoolId = validatedData.schoolId || null;
+    this.licenseCheck = validatedData.licenseCheck || null;
+    this.source = validatedData.source || REPORT_SOURCE.WEB;
+    this.reviewStatus = validatedData.reviewStatus || null;
+    this.reporterName = validatedData.reporterName;
+    this.reporterEmail = validatedData.reporterEmail;
+    this.reporterPhone = validatedData.reporterPhone;
+    this.reporterSchool = validatedData.reporterSchool;
+    this.reporterPii = validatedData.reporterPii || null;
+    this.legalHold = validatedData.legalHold || null;
   }
 
   /**
@@ -99,8 +186,9 @@ class Report {
         name: Joi.string().required(),
         type: Joi.string().required(),
         size: Joi.number().integer().min(0).required(),
-        url: Joi.string().uri().required(),
-        thumbnailUrl: Joi.string().allow('', null).optional()
+        url: Joi.string().uri({ allowRelative: true }).required(),
+        thumbnailUrl: Joi.string().allow('', null).optional(),
+        mediumUrl: Joi.string().allow('', null).optional()
       })).max(10).allow(null).optional(),
       socialMediaLinks: Joi.array().items(Joi.string().uri()).allow(null).optional(),
       additionalInfo: Joi.string().max(2000).allow('', null).optional(),
@@ -111,11 +199,47 @@ class Report {
       reporterIp: Joi.string().ip({ version: ['ipv4', 'ipv6'] }).allow('', null).optional(),
       adminNotes: Joi.string().max(500).allow('', null).optional(),
       mvcReferenceNumber: Joi.string().max(50).allow('', null).optional(),
+      closureReason: Joi.string().max(500).allow('', null).optional(),
+      statusHistory: Joi.array().items(Joi.object({
+        from: Joi.string().valid(...Object.values(REPORT_STATUS)).allow(null).required(),
+        to: Joi.string().valid(...Object.values(REPORT_STATUS)).required(),
+        changedBy: Joi.string().max(50).required(),
+        changedAt: Joi.string().isoDate().required(),
+        notes: Joi.string().max(500).allow('', null).optional(),
+        mvcReferenceNumber: Joi.string().max(50).allow('', null).optional(),
+        closureReason: Joi.string().max(500).allow('', null).optional()
+      })).allow(null).optional(),
+      schoolId: Joi.string().pattern(/^sch_[a-zA-Z0-9]{6}$/).allow(null).optional(),
+      licenseCheck: Joi.object({
+        status: Joi.string().valid('match', 'no_match').required(),
+        licensedSchoolId: Joi.string().allow(null).optional(),
+        licensedSchoolName: Joi.string().allow(null).optional(),
+        licenseNumber: Joi.string().allow('', null).optional(),
+        score: Joi.number().min(0).max(1).optional(),
+        reasons: Joi.array().items(Joi.string()).optional(),
+        checkedAt: Joi.string().isoDate().required()
+      }).allow(null).optional(),
+      source: Joi.string().valid(...Object.values(REPORT_SOURCE)).allow(null).optional(),
+      reviewStatus: Joi.string().valid(...Object.values(REVIEW_STATUS)).allow(null).optional(),
       // Reporter information fields (optional)
       reporterName: Joi.string().max(255).trim().allow('', null).optional(),
       reporterPhone: Joi.string().pattern(/^\+?1?[-.\s]?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})$/).allow('', null).optional(),
       reporterSchool: Joi.string().max(255).trim().allow('', null).optional(),
       reporterEmail: Joi.string().email().max(255).allow('', null).optional(),
+      // Reporter fields as stored, encrypted
+      reporterPii: Joi.object({
+        version: Joi.number().integer().required(),
+        keyId: Joi.string().required(),
+        wrappedKey: Joi.string().base64().required(),
+        iv: Joi.string().base64().required(),
+        tag: Joi.string().base64().required(),
+        ciphertext: Joi.string().base64().required()
+      }).allow(null).optional(),
+      legalHold: Joi.object({
+        reason: Joi.string().max(500).required(),
+        placedBy: Joi.string().max(50).required(),
+        placedAt: Joi.string().isoDate().required()
+      }).allow(null).optional(),
       updatedBy: Joi.string().max(50).allow('', null).optional(),
       // Files field for frontend compatibility (will be processed separately)
       files: Joi.array().items(Joi.object({
@@ -169,6 +293,25 @@ class Report {
   }
 
 
+  /**
+   * Keeps only the fields a reporter may submit
+   * @param {Object} data - Submitted data
+   * @returns {Object} Submission fields that were given
+   */
+  static pickSubmission(data = {}) {
+    return Object.fromEntries(SUBMISSION_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+  }
+
+  /**
+   * Validates a submission against the report schema before it is queued
+   * @param {Object} data - Submission fields
+   * @throws {Error} If validation fails
+   */
+  static validateSubmission(data) {
+    const now = new Date().toISOString();
+    Report.validateData({ ...data, status: REPORT_STATUS.ADDED, createdAt: now, updatedAt: now, lastReported: now });
+  }
+
   /**
    * Creates a new report with generated ID and timestamps
    * @param {Object} data - Initial report data
@@ -185,7 +328,13 @@ class Report {
       createdAt: now,
       updatedAt: now,
       lastReported: now,
-      reporterIp
+      reporterIp,
+      statusHistory: [{
+        from: null,
+        to: REPORT_STATUS.ADDED,
+        changedBy: 'reporter',
+        changedAt: now
+      }]
     };
 
     return new Report(reportData);
@@ -211,6 +360,7 @@ class Report {
       additionalInfo: this.additionalInfo || '',
       adminNotes: this.adminNotes || '',
       mvcReferenceNumber: this.mvcReferenceNumber || '',
+      closureReason: this.closureReason || '',
       location: this.location || '',
       violationDescription: this.violationDescription || '',
       phoneNumber: this.phoneNumber || '',
@@ -244,6 +394,29 @@ class Report {
     return new Report(updatedData);
   }
 
+  /**
+   * Builds a status history entry for a status change
+   * @param {string|null} fromStatus - Previous status
+   * @param {string} toStatus - New status
+   * @param {Object} details - Change details
+   * @param {string} details.changedBy - Username of whoever made the change
+   * @param {string} [details.notes] - Notes recorded with the change
+   * @param {string} [details.mvcReferenceNumber] - MVC reference at the time of the change
+   * @param {string} [details.closureReason] - Closure reason at the time of the change
+   * @returns {Object} Status history entry
+   */
+  static buildHistoryEntry(fromStatus, toStatus, details) {
+    return {
+      from: fromStatus,
+      to: toStatus,
+      changedBy: details.changedBy || 'system',
+      changedAt: new Date().toISOString(),
+      notes: details.notes || '',
+      mvcReferenceNumber: details.mvcReferenceNumber || '',
+      closureReason: details.closureReason || ''
+    };
+  }
+
   /**
    * Gets the report status enum values
    * @returns {Object} Status enumeration
@@ -251,6 +424,78 @@ class Report {
   static getStatusEnum() {
     return REPORT_STATUS;
   }
+
+  /**
+   * Gets the report source enum values
+   * @returns {Object} Source enumeration
+   */
+  static getSourceEnum() {
+    return REPORT_SOURCE;
+  }
+
+  /**
+   * Gets the review status enum values
+   * @returns {Object} Review status enumeration
+   */
+  static getReviewStatusEnum() {
+    return REVIEW_STATUS;
+  }
+
+  /**
+   * Checks whether a report may be shown on public pages. Reports held for
+   * review are hidden until an admin approves them.
+   * @param {Object} report - Report data
+   * @returns {boolean} True if the report is public
+   */
+  static isPublic(report) {
+    return !report.reviewStatus || report.reviewStatus === REVIEW_STATUS.APPROVED;
+  }
+
+  /**
+   * Gets the status workflow definition
+   * @returns {Object} Workflow keyed by status ({ transitions, requiredFields })
+   */
+  static getStatusWorkflow() {
+    return STATUS_WORKFLOW;
+  }
+
+  /**
+   * Gets the statuses a report may move to from a given status
+   * @param {string} status - Current status
+   * @returns {Array<string>} Allowed next statuses (excluding the current one)
+   */
+  static getAllowedTransitions(status) {
+    const step = STATUS_WORKFLOW[status];
+    return step ? [...step.transitions] : [];
+  }
+
+  /**
+   * Validates a status change against the workflow
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @param {Object} [data] - Report fields after the change (used for required fields)
+   * @throws {Error} If the transition is not allowed or required fields are missing
+   */
+  static validateStatusTransition(fromStatus, toStatus, data = {}) {
+    const target = STATUS_WORKFLOW[toStatus];
+
+    if (!target) {
+      throw new Error(`Status transition validation failed: unknown status "${toStatus}"`);
+    }
+
+    if (fromStatus !== toStatus && !Report.getAllowedTransitions(fromStatus).includes(toStatus)) {
+      throw new Error(`Status transition validation failed: cannot change status from "${fromStatus}" to "${toStatus}"`);
+    }
+
+    const missing = target.requiredFields.filter(({ field }) =>
+      typeof data[field] !== 'string' || data[field].trim() === ''
+    );
+
+    if (missing.length > 0) {
+      const labels = missing.map(({ label }) => label).join(', ');
+      throw new Error(`Status transition validation failed: ${labels} required for status "${toStatus}"`);
+    }
+  }
 }
 
 module.exports = Report;
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * RetentionRule Model for NJDSC School Compliance Portal
+ *
+ * Represents one data retention rule: what to remove from a report and how
+ * many days after the report was created or closed it becomes due. Rules are
+ * stored as a list in the `system.retention.rules` configuration setting.
+ */
+
+const Joi = require('joi');
+const Report = require('./Report');
+
+/**
+ * What a rule removes
+ * @enum {string}
+ */
+const RETENTION_ACTION = {
+  PURGE_REPORTER_IP: 'purge_reporter_ip',
+  ANONYMIZE_REPORTER: 'anonymize_reporter',
+  DELETE_EVIDENCE: 'delete_evidence'
+};
+
+/**
+ * Date a rule counts its days from
+ * @enum {string}
+ */
+const RETENTION_FROM = {
+  CREATED: 'created',
+  CLOSED: 'closed'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { CLOSED } = Report.getStatusEnum();
+
+/**
+ * RetentionRule class representing a data retention rule
+ */
+class RetentionRule {
+  /**
+   * Creates a new RetentionRule instance with validation
+   * @param {Object} data - Rule data
+   * @param {string} data.id - Unique rule identifier (lowercase letters, digits and dashes)
+   * @param {string} data.action - What the rule removes (see RETENTION_ACTION)
+   * @param {number} data.afterDays - Days after the start date the rule becomes due
+   * @param {string} [data.from] - 'created' or 'closed' (default 'created')
+   * @param {boolean} [data.enabled] - Whether the rule runs (default true)
+   * @param {string} [data.description] - What the rule is for
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = RetentionRule.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.action = validatedData.action;
+    this.afterDays = validatedData.afterDays;
+    this.from = validatedData.from;
+    this.enabled = validatedData.enabled;
+    this.description = validatedData.description;
+  }
+
+  /**
+   * Validates rule data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails
+   */
+  static validateData(data) {
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).required(),
+      action: Joi.string().valid(...Object.values(RETENTION_ACTION)).required(),
+      afterDays: Joi.number().integer().min(1).max(36500).required(),
+      from: Joi.string().valid(...Object.values(RETENTION_FROM)).default(RETENTION_FROM.CREATED),
+      enabled: Joi.boolean().default(true),
+      description: Joi.string().max(200).allow('').default('')
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`Retention rule validation failed: ${errorMessages}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Builds rules from a stored list
+   * @param {Array<Object>} list - Rule data
+   * @returns {Array<RetentionRule>} RetentionRule instances
+   * @throws {Error} If the list is not an array, a rule is invalid or two rules share an ID
+   */
+  static fromList(list) {
+    if (!Array.isArray(list)) {
+      throw new Error('Retention rule validation failed: rules must be an array');
+    }
+
+    const rules = list.map(data => new RetentionRule(data));
+    const ids = rules.map(rule => rule.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+      throw new Error(`Retention rule validation failed: duplicate rule id "${duplicate}"`);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Gets the date the rule counts from for a report
+   * @param {Object} report - Report ({ status, createdAt, updatedAt, statusHistory })
+   * @returns {Date|null} Start date, or null if the rule does not apply (an open report for a 'closed' rule)
+   */
+  getStartDate(report) {
+    if (this.from === RETENTION_FROM.CREATED) {
+      return new Date(report.createdAt);
+    }
+    if (report.status !== CLOSED) {
+      return null;
+    }
+
+    // Reports closed before status history was kept fall back to their last update
+    const closing = (report.statusHistory || []).filter(entry => entry.to === CLOSED).pop();
+    return new Date(closing ? closing.changedAt : report.updatedAt);
+  }
+
+  /**
+   * Gets the date the rule becomes due for a report
+   * @param {Object} report - Report
+   * @returns {Date|null} Due date, or null if the rule does not apply
+   */
+  getDueDate(report) {
+    const start = this.getStartDate(report);
+    return start ? new Date(start.getTime() + this.afterDays * DAY_MS) : null;
+  }
+
+  /**
+   * Gets the action enum values
+   * @returns {Object} Action enumeration
+   */
+  static getActionEnum() {
+    return RETENTION_ACTION;
+  }
+
+  /**
+   * Gets the start date enum values
+   * @returns {Object} Start date enumeration
+   */
+  static getFromEnum() {
+    return RETENTION_FROM;
+  }
+}
+
+module.exports = RetentionRule;
@@ -0,0 +1,206 @@
+/**
+ * School Model for NJDSC School Compliance Portal
+ *
+ * Represents a single driving school operator. Many reports can point at one
+ * school, and the school collects every name, phone number, website and
+ * location it has been seen under.
+ */
+
+const Joi = require('joi');
+const { normalizeSchoolName } = require('../utils/validation');
+
+/**
+ * School class representing a driving school operator
+ */
+class School {
+  /**
+   * Creates a new School instance with validation
+   * @param {Object} data - School data
+   * @param {string} data.id - Unique school identifier
+   * @param {string} data.name - Canonical school name
+   * @param {Array<string>} [data.aliases] - Other names the school has been reported under
+   * @param {Array<string>} [data.phoneNumbers] - Known phone numbers
+   * @param {Array<string>} [data.websites] - Known websites
+   * @param {Array<string>} [data.locations] - Known locations
+   * @param {Array<string>} [data.reportIds] - IDs of reports about this school
+   * @param {string} [data.notes] - Administrative notes
+   * @param {string} data.createdAt - Creation timestamp
+   * @param {string} data.updatedAt - Last update timestamp
+   * @param {string} [data.createdBy] - Username of the creator, or 'system'
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = School.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.name = validatedData.name;
+    this.aliases = validatedData.aliases || [];
+    this.phoneNumbers = validatedData.phoneNumbers || [];
+    this.websites = validatedData.websites || [];
+    this.locations = validatedData.locations || [];
+    this.reportIds = validatedData.reportIds || [];
+    this.notes = validatedData.notes;
+    this.createdAt = validatedData.createdAt;
+    this.updatedAt = validatedData.updatedAt;
+    this.createdBy = validatedData.createdBy;
+  }
+
+  /**
+   * Generates a unique school ID
+   * @returns {string} Unique school identifier
+   */
+  static generateId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = 'sch_';
+    for (let i = 0; i < 6; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  /**
+   * Validates school data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails
+   */
+  static validateData(data) {
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^sch_[a-zA-Z0-9]{6}$/).required(),
+      name: Joi.string().min(2).max(255).trim().required(),
+      aliases: Joi.array().items(Joi.string().max(255).trim()).optional(),
+      phoneNumbers: Joi.array().items(Joi.string().max(50).trim()).optional(),
+      websites: Joi.array().items(Joi.string().max(500).trim()).optional(),
+      locations: Joi.array().items(Joi.string().max(255).trim()).optional(),
+      reportIds: Joi.array().items(Joi.string().pattern(/^rep_[a-zA-Z0-9]{6}$/)).unique().optional(),
+      notes: Joi.string().max(1000).allow('', null).optional(),
+      createdAt: Joi.string().isoDate().required(),
+      updatedAt: Joi.string().isoDate().required(),
+      createdBy: Joi.string().max(50).allow('', null).optional()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`School validation failed: ${errorMessages}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates a new school with generated ID and timestamps
+   * @param {Object} data - Initial school data
+   * @param {string} [createdBy] - Username of the creator
+   * @returns {School} New School instance
+   */
+  static create(data, createdBy = 'system') {
+    const now = new Date().toISOString();
+
+    return new School({
+      ...data,
+      id: School.generateId(),
+      createdAt: now,
+      updatedAt: now,
+      createdBy
+    });
+  }
+
+  /**
+   * Updates the school with new data and timestamps
+   * @param {Object} updateData - Data to update
+   * @returns {School} Updated School instance
+   */
+  update(updateData) {
+    const updatedData = {
+      ...this,
+      ...updateData,
+      id: this.id, // Ensure ID doesn't change
+      updatedAt: new Date().toISOString()
+    };
+
+    // The canonical name is never also an alias; other spellings are kept so they stay searchable
+    const nameKey = String(updatedData.name || '').trim().toLowerCase();
+    updatedData.aliases = School.mergeValues(updatedData.aliases)
+      .filter(alias => alias.toLowerCase() !== nameKey);
+
+    return new School(updatedData);
+  }
+
+  /**
+   * Checks whether a name refers to this school (canonical name or any alias)
+   * @param {string} name - Name to check
+   * @returns {boolean} True if the normalized name matches
+   */
+  matchesName(name) {
+    const key = School.normalizeName(name);
+    if (!key) {
+      return false;
+    }
+    return [this.name, ...this.aliases].some(known => School.normalizeName(known) === key);
+  }
+
+  /**
+   * Records a sighting of the school from a report
+   * @param {Object} report - Report data
+   * @returns {School} Updated School instance
+   */
+  addSighting(report) {
+    const sighting = School.contactsFromReports([report]);
+
+    return this.update({
+      aliases: [...this.aliases, report.schoolName],
+      phoneNumbers: School.mergeValues(this.phoneNumbers, sighting.phoneNumbers),
+      websites: School.mergeValues(this.websites, sighting.websites),
+      locations: School.mergeValues(this.locations, sighting.locations),
+      reportIds: School.mergeValues(this.reportIds, [report.id])
+    });
+  }
+
+  /**
+   * Normalizes a school name for comparison (see normalizeSchoolName in utils/validation)
+   * @param {string} name - School name
+   * @returns {string} Normalized name
+   */
+  static normalizeName(name) {
+    return normalizeSchoolName(name);
+  }
+
+  /**
+   * Collects the contact details found in a set of reports
+   * @param {Array<Object>} reports - Report data
+   * @returns {{phoneNumbers: Array<string>, websites: Array<string>, locations: Array<string>}} Contact details
+   */
+  static contactsFromReports(reports) {
+    return {
+      phoneNumbers: School.mergeValues(reports.map(report => report.phoneNumber)),
+      websites: School.mergeValues(reports.map(report => report.websiteUrl)),
+      locations: School.mergeValues(reports.map(report => report.location))
+    };
+  }
+
+  /**
+   * Merges lists of strings, dropping blanks and case-insensitive duplicates
+   * @param {...Array<string>} lists - Lists to merge
+   * @returns {Array<string>} Merged list in first-seen order
+   */
+  static mergeValues(...lists) {
+    const seen = new Set();
+    const merged = [];
+
+    lists.flat().forEach(value => {
+      const trimmed = typeof value === 'string' ? value.trim() : '';
+      const key = trimmed.toLowerCase();
+      if (trimmed && !seen.has(key)) {
+        seen.add(key);
+        merged.push(trimmed);
+      }
+    });
+
+    return merged;
+  }
+}
+
+module.exports = School;
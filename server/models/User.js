@@ -0,0 +1,201 @@
+/**
+ * User Model for NJDSC School Compliance Portal
+ *
+ * Represents an admin portal account with role-based permissions,
+ * validation, and safe serialization (password hash never leaves the server).
+ */
+
+const Joi = require('joi');
+
+/**
+ * Role enumeration for portal users
+ * @enum {string}
+ */
+const USER_ROLES = {
+  VIEWER: 'viewer',
+  INVESTIGATOR: 'investigator',
+  ADMIN: 'admin'
+};
+
+/**
+ * Roles ordered from least to most privileged.
+ * A user satisfies a role requirement if their role is at or above it.
+ * @type {Array<string>}
+ */
+const ROLE_HIERARCHY = [
+  USER_ROLES.VIEWER,
+  USER_ROLES.INVESTIGATOR,
+  USER_ROLES.ADMIN
+];
+
+/**
+ * User class representing a portal account
+ */
+class User {
+  /**
+   * Creates a new User instance with validation
+   * @param {Object} data - User data
+   * @param {string} data.id - Unique user identifier
+   * @param {string} data.username - Login name
+   * @param {string} data.passwordHash - bcrypt password hash
+   * @param {string} data.role - User role
+   * @param {string} [data.email] - Contact email address
+   * @param {string} data.createdAt - Creation timestamp
+   * @param {string} data.updatedAt - Last update timestamp
+   * @param {string|null} [data.lastLogin] - Last successful login timestamp
+   * @param {boolean} data.isActive - Whether the account can log in
+   * @param {string} [data.createdBy] - Username of the admin who created the account
+   */
+  constructor(data) {
+    // Validate input data
+    const validatedData = User.validateData(data);
+
+    // Assign validated properties
+    this.id = validatedData.id;
+    this.username = validatedData.username;
+    this.passwordHash = validatedData.passwordHash;
+    this.role = validatedData.role;
+    this.email = validatedData.email;
+    this.createdAt = validatedData.createdAt;
+    this.updatedAt = validatedData.updatedAt;
+    this.lastLogin = validatedData.lastLogin;
+    this.isActive = validatedData.isActive;
+    this.createdBy = validatedData.createdBy;
+  }
+
+  /**
+   * Generates a unique user ID
+   * @returns {string} Unique user identifier
+   */
+  static generateId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = 'usr_';
+    for (let i = 0; i < 6; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  /**
+   * Validates user data using Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} Validated and sanitized data
+   * @throws {Error} If validation fails
+   */
+  static validateData(data) {
+    const schema = Joi.object({
+      id: Joi.string().pattern(/^usr_[a-zA-Z0-9]{6}$/).required(),
+      username: Joi.string().pattern(/^[a-zA-Z0-9._-]+$/).min(3).max(50).trim().required(),
+      passwordHash: Joi.string().required(),
+      role: Joi.string().valid(...Object.values(USER_ROLES)).required(),
+      email: Joi.string().email().max(255).allow('', null).optional(),
+      createdAt: Joi.string().isoDate().required(),
+      updatedAt: Joi.string().isoDate().required(),
+      lastLogin: Joi.string().isoDate().allow(null).optional(),
+      isActive: Joi.boolean().required(),
+      createdBy: Joi.string().max(50).allow('', null).optional()
+    });
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join('; ');
+      throw new Error(`User validation failed: ${errorMessages}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates a new user with generated ID and timestamps
+   * @param {Object} data - Initial user data (passwordHash already computed)
+   * @param {string} [createdBy] - Username of the creating admin
+   * @returns {User} New User instance
+   */
+  static create(data, createdBy = null) {
+    const now = new Date().toISOString();
+
+    const userData = {
+      ...data,
+      id: User.generateId(),
+      createdAt: now,
+      updatedAt: now,
+      lastLogin: null,
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      createdBy
+    };
+
+    return new User(userData);
+  }
+
+  /**
+   * Updates the user with new data and timestamps
+   * @param {Object} updateData - Data to update
+   * @returns {User} Updated User instance
+   */
+  update(updateData) {
+    const updatedData = {
+      ...this,
+      ...updateData,
+      id: this.id, // Ensure ID doesn't change
+      username: this.username, // Usernames are immutable
+      updatedAt: new Date().toISOString()
+    };
+
+    return new User(updatedData);
+  }
+
+  /**
+   * Checks whether this user satisfies a minimum role requirement
+   * @param {string} requiredRole - Minimum role needed
+   * @returns {boolean} True if the user is active and has sufficient role
+   */
+  hasRole(requiredRole) {
+    return this.isActive && User.roleSatisfies(this.role, requiredRole);
+  }
+
+  /**
+   * Returns user data safe to send to clients (no password hash)
+   * @returns {Object} Public user profile
+   */
+  toPublicJSON() {
+    return {
+      id: this.id,
+      username: this.username,
+      role: this.role,
+      email: this.email || null,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      lastLogin: this.lastLogin || null,
+      isActive: this.isActive,
+      createdBy: this.createdBy || null
+    };
+  }
+
+  /**
+   * Checks whether a role meets or exceeds a required role
+   * @param {string} role - Role being checked
+   * @param {string} requiredRole - Minimum role needed
+   * @returns {boolean} True if role is sufficient
+   */
+  static roleSatisfies(role, requiredRole) {
+    const roleLevel = ROLE_HIERARCHY.indexOf(role);
+    const requiredLevel = ROLE_HIERARCHY.indexOf(requiredRole);
+
+    if (roleLevel === -1 || requiredLevel === -1) {
+      return false;
+    }
+
+    return roleLevel >= requiredLevel;
+  }
+
+  /**
+   * Gets the role enum values
+   * @returns {Object} Role enumeration
+   */
+  static getRoleEnum() {
+    return USER_ROLES;
+  }
+}
+
+module.exports = User;
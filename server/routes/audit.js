@@ -2,32 +2,20 @@
  * Audit API Routes for NJDSC School Compliance Portal
  *
  * Provides REST endpoints for managing audit logs.
- * Requires admin authentication for all operations.
+ * Mounted for investigators and admins; entries are serialized for the
+ * signed-in user's role. Only admins may write entries, which are recorded
+ * under their own username.
  */
 
 const express = require('express');
 const auditService = require('../services/auditService');
+const { requireAdminRole } = require('../middleware/auth');
+const { getAudience, serializeAuditLog, serializeAuditLogs } = require('../utils/serializers');
 const router = express.Router();
 
-// Admin authentication middleware (temporary - will be replaced in Phase 3)
-const ADMIN_KEY = process.env.ADMIN_API_KEY || 'njdsc-admin-2025';
-
-function requireAdmin(req, res, next) {
-  const adminKey = req.headers['x-admin-key'] || req.query.adminKey;
-
-  if (!adminKey || adminKey !== ADMIN_KEY) {
-    return res.status(403).json({
-      error: 'Admin access required',
-      message: 'Valid admin authentication is required to access audit endpoints'
-    });
-  }
-
-  next();
-}
-
 // Input validation middleware
 function validateAuditLogInput(req, res, next) {
-  const { action, adminUser, targetType, details } = req.body;
+  const { action, targetType, details } = req.body;
 
   if (!action || typeof action !== 'string' || action.trim().length === 0) {
     return res.status(400).json({
@@ -36,13 +24,6 @@ function validateAuditLogInput(req, res, next) {
     });
   }
 
-  if (!adminUser || typeof adminUser !== 'string' || adminUser.trim().length === 0) {
-    return res.status(400).json({
-      error: 'Invalid input',
-      message: 'Admin user is required and must be a non-empty string'
-    });
-  }
-
   if (!targetType || typeof targetType !== 'string' || targetType.trim().length === 0) {
     return res.status(400).json({
       error: 'Invalid input',
@@ -85,9 +66,8 @@ function validateAuditLogInput(req, res, next) {
 /**
  * GET /api/audit
  * Retrieves audit logs with optional filtering
- * Requires admin authentication
  */
-router.get('/', requireAdmin, async (req, res) => {
+router.get('/', async (req, res) => {
   try {
     const filters = {};
 
@@ -104,7 +84,7 @@ router.get('/', requireAdmin, async (req, res) => {
 
     res.json({
       success: true,
-      data: auditLogs,
+      data: serializeAuditLogs(auditLogs, getAudience(req.adminUser)),
       count: auditLogs.length,
       filters: filters,
       timestamp: new Date().toISOString()
@@ -118,52 +98,18 @@ router.get('/', requireAdmin, async (req, res) => {
   }
 });
 
-/**
- * GET /api/audit/:id
- * Retrieves a specific audit log entry by ID
- * Requires admin authentication
- */
-router.get('/:id', requireAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const auditLogs = await auditService.getAuditLogs();
-
-    const auditLog = auditLogs.find(log => log.id === id);
-
-    if (!auditLog) {
-      return res.status(404).json({
-        error: 'Audit log not found',
-        message: `Audit log with ID "${id}" does not exist`
-      });
-    }
-
-    res.json({
-      success: true,
-      data: auditLog,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error retrieving audit log:', error);
-    res.status(500).json({
-      error: 'Audit log retrieval failed',
-      message: 'Unable to retrieve audit log. Please try again later.'
-    });
-  }
-});
-
 /**
  * GET /api/audit/target/:targetId
  * Retrieves audit logs for a specific target
- * Requires admin authentication
  */
-router.get('/target/:targetId', requireAdmin, async (req, res) => {
+router.get('/target/:targetId', async (req, res) => {
   try {
     const { targetId } = req.params;
     const auditLogs = await auditService.getAuditLogsByTarget(targetId);
 
     res.json({
       success: true,
-      data: auditLogs,
+      data: serializeAuditLogs(auditLogs, getAudience(req.adminUser)),
       count: auditLogs.length,
       targetId,
       timestamp: new Date().toISOString()
@@ -180,9 +126,8 @@ router.get('/target/:targetId', requireAdmin, async (req, res) => {
 /**
  * GET /api/audit/user/:adminUser
  * Retrieves audit logs for a specific admin user
- * Requires admin authentication
  */
-router.get('/user/:adminUser', requireAdmin, async (req, res) => {
+router.get('/user/:adminUser', async (req, res) => {
   try {
     const { adminUser } = req.params;
     const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
@@ -191,7 +136,7 @@ router.get('/user/:adminUser', requireAdmin, async (req, res) => {
 
     res.json({
       success: true,
-      data: auditLogs,
+      data: serializeAuditLogs(auditLogs, getAudience(req.adminUser)),
       count: auditLogs.length,
       adminUser,
       timestamp: new Date().toISOString()
@@ -208,9 +153,8 @@ router.get('/user/:adminUser', requireAdmin, async (req, res) => {
 /**
  * GET /api/audit/action/:action
  * Retrieves audit logs for a specific action type
- * Requires admin authentication
  */
-router.get('/action/:action', requireAdmin, async (req, res) => {
+router.get('/action/:action', async (req, res) => {
   try {
     const { action } = req.params;
     const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
@@ -219,7 +163,7 @@ router.get('/action/:action', requireAdmin, async (req, res) => {
 
     res.json({
       success: true,
-      data: auditLogs,
+      data: serializeAuditLogs(auditLogs, getAudience(req.adminUser)),
       count: auditLogs.length,
       action,
       timestamp: new Date().toISOString()
@@ -236,16 +180,15 @@ router.get('/action/:action', requireAdmin, async (req, res) => {
 /**
  * GET /api/audit/recent
  * Retrieves recent audit logs
- * Requires admin authentication
  */
-router.get('/recent', requireAdmin, async (req, res) => {
+router.get('/recent', async (req, res) => {
   try {
     const limit = req.query.limit ? parseInt(req.query.limit) : 50;
     const auditLogs = await auditService.getRecentAuditLogs(limit);
 
     res.json({
       success: true,
-      data: auditLogs,
+      data: serializeAuditLogs(auditLogs, getAudience(req.adminUser)),
       count: auditLogs.length,
       limit,
       timestamp: new Date().toISOString()
@@ -262,9 +205,8 @@ router.get('/recent', requireAdmin, async (req, res) => {
 /**
  * GET /api/audit/stats
  * Retrieves audit log statistics
- * Requires admin authentication
  */
-router.get('/stats', requireAdmin, async (req, res) => {
+router.get('/stats', async (req, res) => {
   try {
     const options = {};
 
@@ -287,23 +229,57 @@ router.get('/stats', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/audit/:id
+ * Retrieves a specific audit log entry by ID
+ * (declared after the named GET routes so it does not shadow them)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const auditLogs = await auditService.getAuditLogs();
+
+    const auditLog = auditLogs.find(log => log.id === id);
+
+    if (!auditLog) {
+      return res.status(404).json({
+        error: 'Audit log not found',
+        message: `Audit log with ID "${id}" does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeAuditLog(auditLog, getAudience(req.adminUser)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error retrieving audit log:', error);
+    res.status(500).json({
+      error: 'Audit log retrieval failed',
+      message: 'Unable to retrieve audit log. Please try again later.'
+    });
+  }
+});
+
 /**
  * POST /api/audit
  * Creates a new audit log entry
- * Requires admin authentication and valid input
+ * Requires the admin role and valid input
  */
-router.post('/', requireAdmin, validateAuditLogInput, async (req, res) => {
+router.post('/', requireAdminRole, validateAuditLogInput, async (req, res) => {
   try {
     const auditLogData = req.body;
 
-    // Add IP address from request
+    // Record the signed-in admin and the request's IP address
+    auditLogData.adminUser = req.adminUser.username;
     auditLogData.ipAddress = req.ip || req.connection.remoteAddress || '127.0.0.1';
 
     const auditLog = await auditService.createAuditLog(auditLogData);
 
     res.status(201).json({
       success: true,
-      data: auditLog,
+      data: serializeAuditLog(auditLog, getAudience(req.adminUser)),
       message: 'Audit log entry created successfully',
       timestamp: new Date().toISOString()
     });
@@ -328,9 +304,9 @@ router.post('/', requireAdmin, validateAuditLogInput, async (req, res) => {
 /**
  * POST /api/audit/bulk
  * Creates multiple audit log entries
- * Requires admin authentication
+ * Requires the admin role
  */
-router.post('/bulk', requireAdmin, async (req, res) => {
+router.post('/bulk', requireAdminRole, async (req, res) => {
   try {
     const { entries } = req.body;
 
@@ -345,7 +321,8 @@ router.post('/bulk', requireAdmin, async (req, res) => {
 
     for (const entryData of entries) {
       try {
-        // Add IP address from request
+        // Record the signed-in admin and the request's IP address
+        entryData.adminUser = req.adminUser.username;
         entryData.ipAddress = req.ip || req.connection.remoteAddress || '127.0.0.1';
 
         const auditLog = await auditService.createAuditLog(entryData);
@@ -358,7 +335,7 @@ router.post('/bulk', requireAdmin, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      data: createdEntries,
+      data: serializeAuditLogs(createdEntries, getAudience(req.adminUser)),
       count: createdEntries.length,
       requested: entries.length,
       message: `Successfully created ${createdEntries.length} of ${entries.length} audit log entries`,
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const authService = require('../services/authService');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticateAdmin, requireAdminRole } = require('../middleware/auth');
+const User = require('../models/User');
 const rateLimit = require('express-rate-limit');
 
+const VALID_ROLES = Object.values(User.getRoleEnum());
+
 // Rate limiting for authentication endpoints - relaxed for test environments
 const testMode = process.env.NODE_ENV === 'test';
 const authLimiter = rateLimit({
@@ -211,4 +214,180 @@ router.get('/profile', authenticateAdmin, async (req, res) => {
   }
 });
 
+/**
+ * Maps user management service errors to HTTP responses
+ */
+function handleUserError(res, error, fallbackError) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('already exists')) {
+    return res.status(409).json({
+      success: false,
+      error: 'User already exists',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('validation failed') ||
+      error.message.includes('last active admin') ||
+      error.message.includes('your own account')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user operation',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * GET /api/auth/users
+ * List all portal user accounts (Admin only)
+ */
+router.get('/users', authenticateAdmin, requireAdminRole, async (req, res) => {
+  try {
+    const users = await authService.getAllUsers();
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        total: users.length
+      }
+    });
+
+  } catch (error) {
+    console.error('User list error:', error);
+    handleUserError(res, error, 'Failed to retrieve users');
+  }
+});
+
+/**
+ * POST /api/auth/users
+ * Create a new portal user account (Admin only)
+ */
+router.post('/users', authenticateAdmin, requireAdminRole, async (req, res) => {
+  try {
+    const { username, password, role, email } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+
+    if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing fields',
+        message: 'Username and password are required'
+      });
+    }
+
+    if (!role || !VALID_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        message: `Role must be one of: ${VALID_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await authService.createUser(
+      { username, password, role, email },
+      req.adminUser.username,
+      ipAddress
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { user },
+      message: `User ${user.username} created successfully`
+    });
+
+  } catch (error) {
+    console.error('User creation error:', error.message);
+    handleUserError(res, error, 'Failed to create user');
+  }
+});
+
+/**
+ * PUT /api/auth/users/:id
+ * Update a user's role, active flag, email or password (Admin only)
+ */
+router.put('/users/:id', authenticateAdmin, requireAdminRole, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, isActive, email, password } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+
+    if (role !== undefined && !VALID_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        message: `Role must be one of: ${VALID_ROLES.join(', ')}`
+      });
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input',
+        message: 'isActive must be a boolean'
+      });
+    }
+
+    const user = await authService.updateUser(
+      id,
+      { role, isActive, email, password },
+      req.adminUser.username,
+      ipAddress
+    );
+
+    res.json({
+      success: true,
+      data: { user },
+      message: `User ${user.username} updated successfully`
+    });
+
+  } catch (error) {
+    console.error('User update error:', error.message);
+    handleUserError(res, error, 'Failed to update user');
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:id
+ * Delete a portal user account (Admin only)
+ */
+router.delete('/users/:id', authenticateAdmin, requireAdminRole, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+
+    const deleted = await authService.deleteUser(id, req.adminUser.username, ipAddress);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('User deletion error:', error.message);
+    handleUserError(res, error, 'Failed to delete user');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const commentService = require('../services/commentService');
+const { requireRole } = require('../middleware/auth');
+const User = require('../models/User');
+
+const { INVESTIGATOR } = User.getRoleEnum();
+
+/**
+ * Maps comment service errors to HTTP responses
+ */
+function handleCommentError(res, error, fallbackError) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      error: error.message.startsWith('Comment') ? 'Comment not found' : 'Report not found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Permission denied')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('validation failed')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid comment',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * Rejects request bodies without comment text
+ */
+function requireCommentBody(req, res, next) {
+  const { body } = req.body || {};
+
+  if (typeof body !== 'string' || body.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid comment',
+      message: 'Comment text is required'
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/reports/:id/comments
+ * List the internal comment thread of a report (Admin only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const comments = await commentService.getComments(req.params.id);
+
+    res.json({
+      success: true,
+      data: { comments }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving comments:', error.message);
+    handleCommentError(res, error, 'Failed to retrieve comments');
+  }
+});
+
+/**
+ * POST /api/reports/:id/comments
+ * Add a comment to a report (Investigator role or higher)
+ */
+router.post('/', requireRole(INVESTIGATOR), requireCommentBody, async (req, res) => {
+  try {
+    const comment = await commentService.createComment(
+      req.params.id,
+      req.body.body,
+      req.adminUser.username,
+      req.ip
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { comment },
+      message: 'Comment added'
+    });
+
+  } catch (error) {
+    console.error('Error adding comment:', error.message);
+    handleCommentError(res, error, 'Failed to add comment');
+  }
+});
+
+/**
+ * PUT /api/reports/:id/comments/:commentId
+ * Edit a comment (author only)
+ */
+router.put('/:commentId', requireRole(INVESTIGATOR), requireCommentBody, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const comment = await commentService.updateComment(id, commentId, req.body.body, req.adminUser, req.ip);
+
+    res.json({
+      success: true,
+      data: { comment },
+      message: 'Comment updated'
+    });
+
+  } catch (error) {
+    console.error('Error updating comment:', error.message);
+    handleCommentError(res, error, 'Failed to update comment');
+  }
+});
+
+/**
+ * DELETE /api/reports/:id/comments/:commentId
+ * Delete a comment (author or admin)
+ */
+router.delete('/:commentId', requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    await commentService.deleteComment(id, commentId, req.adminUser, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting comment:', error.message);
+    handleCommentError(res, error, 'Failed to delete comment');
+  }
+});
+
+module.exports = router;
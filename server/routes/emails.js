@@ -1,17 +1,27 @@
 /**
  * Email API routes for NJDSC School Compliance Portal
  *
- * Provides endpoints for sending emails (Admin only).
+ * Provides endpoints for sending emails, the outbox, the inbound mail log
+ * and managing email templates (Investigator or Admin; template changes are
+ * Admin only).
  */
 
 const express = require('express');
 const router = express.Router();
-const emailService = require('../services/emailService');
-const { authenticateAdmin } = require('../middleware/auth');
+const emailOutboxService = require('../services/emailOutboxService');
+const emailTemplateService = require('../services/emailTemplateService');
+const inboundEmailService = require('../services/inboundEmailService');
+const reportService = require('../services/reportService');
+const OutboundEmail = require('../models/OutboundEmail');
+const InboundEmail = require('../models/InboundEmail');
+const { requireAdminRole } = require('../middleware/auth');
+
+// A report holds at most 10 evidence files
+const MAX_ATTACHMENTS = 10;
 
 // Input validation middleware
 function validateEmailInput(req, res, next) {
-  const { reportId, templateId, to, subject, body } = req.body;
+  const { templateId, to, subject, body, reportId, attachments } = req.body;
 
   if (!to || typeof to !== 'string' || !to.includes('@')) {
     return res.status(400).json({
@@ -20,120 +30,511 @@ function validateEmailInput(req, res, next) {
     });
   }
 
-  if (!subject || typeof subject !== 'string' || subject.trim().length === 0) {
+  if (!templateId || typeof templateId !== 'string') {
     return res.status(400).json({
       error: 'Invalid input',
-      message: 'Email subject is required'
+      message: 'Email template ID is required'
     });
   }
 
-  if (!templateId || typeof templateId !== 'string') {
+  // Without a body the subject comes from the template
+  if (body && (!subject || typeof subject !== 'string' || subject.trim().length === 0)) {
     return res.status(400).json({
       error: 'Invalid input',
-      message: 'Email template ID is required'
+      message: 'Email subject is required'
     });
   }
 
+  // Attachments are IDs of evidence files uploaded with the report
+  if (attachments !== undefined) {
+    if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS ||
+      !attachments.every(fileId => typeof fileId === 'string' && fileId.length > 0)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: `Attachments must be a list of at most ${MAX_ATTACHMENTS} file IDs`
+      });
+    }
+    if (attachments.length > 0 && !reportId) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'A report ID is required to attach files'
+      });
+    }
+  }
+
   next();
 }
 
+/**
+ * Maps email template service errors to HTTP responses
+ */
+function handleEmailTemplateError(res, error, fallbackError) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      error: error.message.startsWith('Report') ? 'Report not found' : 'Email template not found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('already exists') || error.message.includes('version conflict')) {
+    return res.status(409).json({
+      success: false,
+      error: 'Email template conflict',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('validation failed')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid email template',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * Loads the report a template is rendered for
+ * @returns {Promise<Object|null>} Report with admin fields, or null when no ID is given
+ * @throws {Error} If the report does not exist
+ */
+async function loadReport(reportId) {
+  if (!reportId) {
+    return null;
+  }
+
+  const report = await reportService.getReportById(reportId, true);
+  if (!report) {
+    throw new Error(`Report ${reportId} not found`);
+  }
+  return report;
+}
+
+/**
+ * Maps outbox errors to HTTP responses
+ */
+function handleOutboxError(res, error, fallbackError) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'Outbound email not found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('only dead messages')) {
+    return res.status(409).json({
+      success: false,
+      error: 'Outbound email cannot be resent',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
 /**
  * POST /api/emails/send
- * Send an email (Admin only)
+ * Queue an email for delivery. Without a body, the subject and body are
+ * rendered from the template using the report and any given variables.
+ * Body: { to, templateId, reportId?, subject?, body?, variables?, attachments? }
+ * attachments lists IDs of files uploaded with the report.
  */
-router.post('/send', authenticateAdmin, validateEmailInput, async (req, res) => {
+router.post('/send', validateEmailInput, async (req, res) => {
   try {
-    const { reportId, templateId, to, subject, body, attachments } = req.body;
+    const { reportId, templateId, to, variables = {}, attachments: fileIds = [] } = req.body;
+    let { subject, body } = req.body;
+    let templateVersion = null;
+    const report = await loadReport(reportId);
+
+    if (!body) {
+      const rendered = await emailTemplateService.renderEmailTemplate(templateId, { variables, report });
+
+      if (rendered.missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid input',
+          message: `Missing required template variables: ${rendered.missing.join(', ')}`
+        });
+      }
+
+      subject = subject || rendered.subject;
+      body = rendered.body;
+      templateVersion = rendered.version;
+    }
+
+    const attachments = fileIds.length > 0
+      ? await emailOutboxService.resolveReportAttachments(reportId, fileIds)
+      : [];
+
+    // Delivery (and its audit entry) happens in the background
+    const message = await emailOutboxService.enqueueEmail(
+      { to, subject, body, templateId, templateVersion, reportId, report, attachments },
+      req.adminUser.username,
+      req.ip
+    );
 
-    // Get email template content based on templateId
-    let emailContent = body || '';
-    if (!emailContent) {
-      // Use default templates based on templateId
-      switch (templateId) {
-        case 'confirmation':
-          emailContent = `
-Dear Reporter,
+    res.status(202).json({
+      success: true,
+      data: {
+        messageId: message.id,
+        status: message.status,
+        subject,
+        templateVersion,
+        attachments: attachments.map(({ fileId, filename, size }) => ({ fileId, filename, size }))
+      },
+      message: `Email to ${to} queued for delivery`
+    });
 
-Thank you for submitting your report about an unlicensed driving school. We have received your submission and will investigate the matter.
+  } catch (error) {
+    console.error('Error sending email:', error);
+    if (error.message.includes('not found')) {
+      return handleEmailTemplateError(res, error, 'Failed to send email');
+    }
+    if (error.message.includes('validation failed')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send email',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-Report ID: ${reportId || 'N/A'}
-Submission Date: ${new Date().toLocaleDateString()}
+/**
+ * GET /api/emails/outbox
+ * List outbox messages with their delivery status, newest first
+ * Query: status?, reportId?, limit?
+ */
+router.get('/outbox', async (req, res) => {
+  try {
+    const { status, reportId } = req.query;
+    const statuses = Object.values(OutboundEmail.getStatusEnum());
 
-We will update you on the status of this investigation as it progresses.
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input',
+        message: `Status must be one of: ${statuses.join(', ')}`
+      });
+    }
 
-Best regards,
-NJDSC Compliance Team
-          `.trim();
-          break;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input',
+        message: 'Limit must be between 1 and 500'
+      });
+    }
 
-        case 'status_update':
-          emailContent = `
-Dear Reporter,
+    const outbox = await emailOutboxService.getOutbox({ status, reportId, limit });
 
-We wanted to provide you with an update on your report.
+    res.json({
+      success: true,
+      data: outbox
+    });
 
-Report ID: ${reportId || 'N/A'}
+  } catch (error) {
+    console.error('Error retrieving email outbox:', error.message);
+    handleOutboxError(res, error, 'Failed to retrieve email outbox');
+  }
+});
 
-Please check our website for the latest status information.
+/**
+ * GET /api/emails/outbox/:id
+ * Get a single outbox message
+ */
+router.get('/outbox/:id', async (req, res) => {
+  try {
+    const message = await emailOutboxService.getOutboxMessage(req.params.id);
 
-Best regards,
-NJDSC Compliance Team
-          `.trim();
-          break;
+    res.json({
+      success: true,
+      data: { message }
+    });
 
-        case 'closure':
-          emailContent = `
-Dear Reporter,
+  } catch (error) {
+    console.error('Error retrieving outbound email:', error.message);
+    handleOutboxError(res, error, 'Failed to retrieve outbound email');
+  }
+});
 
-Your report has been investigated and resolved.
+/**
+ * POST /api/emails/outbox/:id/resend
+ * Put a dead-lettered message back in the queue with a fresh set of attempts
+ */
+router.post('/outbox/:id/resend', async (req, res) => {
+  try {
+    const message = await emailOutboxService.resendEmail(
+      req.params.id,
+      req.adminUser.username,
+      req.ip
+    );
 
-Report ID: ${reportId || 'N/A'}
-Resolution Date: ${new Date().toLocaleDateString()}
+    res.status(202).json({
+      success: true,
+      data: { message },
+      message: `Email to ${message.to} queued for delivery`
+    });
 
-Thank you for helping us maintain compliance in our driving schools.
+  } catch (error) {
+    console.error('Error resending email:', error.message);
+    handleOutboxError(res, error, 'Failed to resend email');
+  }
+});
 
-Best regards,
-NJDSC Compliance Team
-          `.trim();
-          break;
+/**
+ * GET /api/emails/inbound
+ * List messages picked up from the inbound mail drop, newest first
+ * Query: status?, limit?
+ */
+router.get('/inbound', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const statuses = Object.values(InboundEmail.getStatusEnum());
 
-        default:
-          emailContent = body || 'Default email content';
-      }
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input',
+        message: `Status must be one of: ${statuses.join(', ')}`
+      });
     }
 
-    // Send the email using email service
-    const result = await emailService.sendEmail(
-      to,
-      subject,
-      emailContent
-    );
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input',
+        message: 'Limit must be between 1 and 500'
+      });
+    }
 
-    // Log the email action to audit trail
-    const auditService = require('../services/auditService');
-    await auditService.logEmailSent(
-      reportId,
-      templateId,
-      to,
-      subject
-    );
+    const inbound = await inboundEmailService.getInboundLog({ status, limit });
 
     res.json({
       success: true,
-      data: {
-        sent: result
-      },
-      message: `Email sent successfully to ${to}`
+      data: inbound
     });
 
   } catch (error) {
-    console.error('Error sending email:', error);
+    console.error('Error retrieving inbound email log:', error.message);
     res.status(500).json({
       success: false,
-      error: 'Failed to send email',
+      error: 'Failed to retrieve inbound email log',
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * POST /api/emails/inbound/process
+ * Check the inbound mail drop now instead of waiting for the next poll
+ */
+router.post('/inbound/process', async (req, res) => {
+  try {
+    const summary = await inboundEmailService.processInbox();
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        error: 'Inbound email already processing',
+        message: 'The inbound mail drop is already being processed'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summary,
+      message: `Processed ${summary.processed} inbound message(s)`
+    });
+
+  } catch (error) {
+    console.error('Error processing inbound email:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process inbound email',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/emails/templates
+ * List email templates with their declared variables
+ */
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await emailTemplateService.getEmailTemplates();
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        total: templates.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving email templates:', error.message);
+    handleEmailTemplateError(res, error, 'Failed to retrieve email templates');
+  }
+});
+
+/**
+ * POST /api/emails/templates
+ * Create an email template (Admin only)
+ * Body: { id, name, description?, subject, body, variables? }
+ */
+router.post('/templates', requireAdminRole, async (req, res) => {
+  try {
+    const template = await emailTemplateService.createEmailTemplate(
+      req.body || {},
+      req.adminUser.username,
+      req.ip
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { template },
+      message: `Email template ${template.id} created`
+    });
+
+  } catch (error) {
+    console.error('Error creating email template:', error.message);
+    handleEmailTemplateError(res, error, 'Failed to create email template');
+  }
+});
+
+/**
+ * GET /api/emails/templates/:id
+ * Get a single email template
+ */
+router.get('/templates/:id', async (req, res) => {
+  try {
+    const template = await emailTemplateService.getEmailTemplate(req.params.id);
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving email template:', error.message);
+    handleEmailTemplateError(res, error, 'Failed to retrieve email template');
+  }
+});
+
+/**
+ * PUT /api/emails/templates/:id
+ * Update an email template, creating a new version (Admin only)
+ * Body: { name?, description?, subject?, body?, variables?, version? }
+ */
+router.put('/templates/:id', requireAdminRole, async (req, res) => {
+  try {
+    const template = await emailTemplateService.updateEmailTemplate(
+      req.params.id,
+      req.body || {},
+      req.adminUser.username,
+      req.ip
+    );
+
+    res.json({
+      success: true,
+      data: { template },
+      message: `Email template ${template.id} is at version ${template.version}`
+    });
+
+  } catch (error) {
+    console.error('Error updating email template:', error.message);
+    handleEmailTemplateError(res, error, 'Failed to update email template');
+  }
+});
+
+/**
+ * DELETE /api/emails/templates/:id
+ * Delete an email template; its version history is kept (Admin only)
+ */
+router.delete('/templates/:id', requireAdminRole, async (req, res) => {
+  try {
+    const template = await emailTemplateService.deleteEmailTemplate(
+      req.params.id,
+      req.adminUser.username,
+      req.ip
+    );
+
+    res.json({
+      success: true,
+      message: `Email template ${template.id} deleted`
+    });
+
+  } catch (error) {
+    console.error('Error deleting email template:', error.message);
+    handleEmailTemplateError(res, error, 'Failed to delete email template');
+  }
+});
+
+/**
+ * GET /api/emails/templates/:id/versions
+ * Get the version history of an email template, newest first
+ */
+router.get('/templates/:id/versions', async (req, res) => {
+  try {
+    const versions = await emailTemplateService.getEmailTemplateVersions(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        versions,
+        total: versions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving email template versions:', error.message);
+    handleEmailTemplateError(res, error, 'Failed to retrieve email template versions');
+  }
+});
+
+/**
+ * POST /api/emails/templates/:id/preview
+ * Render an email template without sending it
+ * Body: { reportId?, variables? }
+ */
+router.post('/templates/:id/preview', async (req, res) => {
+  try {
+    const { reportId, variables = {} } = req.body || {};
+    const preview = await emailTemplateService.renderEmailTemplate(req.params.id, {
+      variables,
+      report: await loadReport(reportId)
+    });
+
+    res.json({
+      success: true,
+      data: { preview }
+    });
+
+  } catch (error) {
+    console.error('Error previewing email template:', error.message);
+    handleEmailTemplateError(res, error, 'Failed to preview email template');
+  }
+});
+
+module.exports = router;
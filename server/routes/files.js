@@ -7,15 +7,55 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const { pipeline } = require('stream/promises');
 const fileService = require('../services/fileService');
+const reportService = require('../services/reportService');
+const auditService = require('../services/auditService');
+const File = require('../models/File');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { authenticateAdmin, optionalAuthenticate, requireRole, requireAdminRole } = require('../middleware/auth');
+const { AUDIENCE, getAudience, serializeFile, serializeFiles } = require('../utils/serializers');
 const {
   validateFileUpload,
   validateFileId,
   validateReportId,
   validateStatusUpdate,
+  validateUploadAccess,
   handleFileErrors
 } = require('../middleware/fileValidation');
 
+const { INVESTIGATOR } = User.getRoleEnum();
+
+/**
+ * Lists the reports whose files the caller may see. Files on reports held for
+ * review are only shown to signed-in users.
+ * @param {Object} req - Express request
+ * @returns {Promise<Set<string>|null>} Visible report IDs, or null if every report is visible
+ */
+async function getVisibleReportIds(req) {
+  if (getAudience(req.adminUser) !== AUDIENCE.PUBLIC) {
+    return null;
+  }
+
+  const reports = await reportService.getAllReports();
+  return new Set(reports.filter(Report.isPublic).map(report => report.id));
+}
+
+/**
+ * Checks whether the caller may see a file, based on its report's visibility
+ * @param {Object} req - Express request
+ * @param {Object} file - File record
+ * @returns {Promise<boolean>} True if the file may be shown
+ */
+async function canSeeFile(req, file) {
+  if (getAudience(req.adminUser) !== AUDIENCE.PUBLIC) {
+    return true;
+  }
+
+  return Boolean(await reportService.getReportById(file.reportId));
+}
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -43,9 +83,10 @@ const upload = multer({
 
 /**
  * POST /api/files/upload
- * Upload files to Google Drive and save metadata to Google Sheets
+ * Upload files to a report. Investigators and admins may upload to any report;
+ * the reporter needs the ticketId and submissionToken returned on submission.
  */
-router.post('/upload', upload.array('files', 10), validateFileUpload, async (req, res) => {
+router.post('/upload', optionalAuthenticate, upload.array('files', 10), validateFileUpload, validateUploadAccess, async (req, res) => {
   try {
     const { reportId } = req.body;
     const uploadedByIp = req.ip || req.connection.remoteAddress || 'unknown';
@@ -78,15 +119,7 @@ router.post('/upload', upload.array('files', 10), validateFileUpload, async (req
           uploadedByIp
         );
 
-        uploadedFiles.push({
-          id: uploadedFile.id,
-          name: uploadedFile.originalName,
-          type: uploadedFile.mimeType,
-          size: uploadedFile.size,
-          url: uploadedFile.driveUrl,
-          thumbnailUrl: uploadedFile.thumbnailUrl,
-          uploadedAt: uploadedFile.uploadedAt
-        });
+        uploadedFiles.push(serializeFile(uploadedFile, getAudience(req.adminUser)));
       } catch (fileError) {
         console.error(`Error uploading file ${file.originalname}:`, fileError);
         // Continue with other files if one fails
@@ -122,9 +155,10 @@ router.post('/upload', upload.array('files', 10), validateFileUpload, async (req
 
 /**
  * GET /api/files/:id
- * Get file information by ID
+ * Get file information by ID, serialized for the signed-in user's role or for the public.
+ * Files on reports held for review are only shown to signed-in users.
  */
-router.get('/:id', validateFileId, async (req, res) => {
+router.get('/:id', optionalAuthenticate, validateFileId, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -137,7 +171,7 @@ router.get('/:id', validateFileId, async (req, res) => {
 
     const file = await fileService.getFileById(id);
 
-    if (!file) {
+    if (!file || !(await canSeeFile(req, file))) {
       return res.status(404).json({
         success: false,
         error: 'File not found'
@@ -146,18 +180,7 @@ router.get('/:id', validateFileId, async (req, res) => {
 
     res.json({
       success: true,
-      data: {
-        id: file.id,
-        reportId: file.reportId,
-        name: file.originalName,
-        type: file.mimeType,
-        size: file.size,
-        url: file.driveUrl,
-        thumbnailUrl: file.thumbnailUrl,
-        uploadedAt: file.uploadedAt,
-        uploadedByIp: file.uploadedByIp,
-        processingStatus: file.processingStatus
-      }
+      data: serializeFile(file, getAudience(req.adminUser))
     });
 
   } catch (error) {
@@ -172,9 +195,11 @@ router.get('/:id', validateFileId, async (req, res) => {
 
 /**
  * GET /api/files/:id/download
- * Download file from local storage or Google Drive to enable CORS for images
+ * Download file from local storage or Google Drive to enable CORS for images.
+ * Files whose metadata has not been removed are served to admins only, and files
+ * on reports held for review to signed-in users only.
  */
-router.get('/:id/download', validateFileId, async (req, res) => {
+router.get('/:id/download', optionalAuthenticate, validateFileId, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -188,17 +213,34 @@ router.get('/:id/download', validateFileId, async (req, res) => {
     // Get file metadata first
     const file = await fileService.getFileById(id);
 
-    if (!file) {
+    if (!file || !(await canSeeFile(req, file))) {
       return res.status(404).json({
         success: false,
         error: 'File not found'
       });
     }
 
+    // Images stored before metadata stripping are only served once sanitized;
+    // videos and documents keep their metadata, so they are never public
+    if (file.localFilePath && !File.isPublishable(file) && getAudience(req.adminUser) !== AUDIENCE.ADMIN) {
+      if (File.getSupportedMimeTypes().images.includes(file.mimeType)) {
+        return res.status(503).json({
+          success: false,
+          error: 'File is awaiting metadata removal'
+        });
+      }
+
+      return res.status(403).json({
+        success: false,
+        error: 'File is only available to admins'
+      });
+    }
+
     // Set appropriate headers for CORS and caching
     res.setHeader('Content-Type', file.mimeType);
     res.setHeader('Content-Disposition', `inline; filename="${file.originalName}"`);
-    res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+    // Cache for 1 hour, except admin-only files that shared caches must not keep
+    res.setHeader('Cache-Control', file.localFilePath && !File.isPublishable(file) ? 'private, no-store' : 'public, max-age=3600');
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
@@ -231,11 +273,107 @@ router.get('/:id/download', validateFileId, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/files/:id/metadata
+ * Get the EXIF metadata captured from the original upload (admin only)
+ */
+router.get('/:id/metadata', authenticateAdmin, requireAdminRole, validateFileId, async (req, res) => {
+  try {
+    const file = await fileService.getFileById(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    try {
+      await auditService.logFileOriginalAccessed(file, 'metadata', req.adminUser.username, req.ip);
+    } catch (auditError) {
+      console.warn('Failed to log file metadata audit event:', auditError.message);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        id: file.id,
+        reportId: file.reportId,
+        name: file.originalName,
+        exif: file.exif || null,
+        hasOriginal: Boolean(file.originalFilePath),
+        metadataStrippedAt: file.metadataStrippedAt || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving file metadata:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/files/:id/original
+ * Download the unsanitized original of an upload, metadata included (admin only)
+ */
+router.get('/:id/original', authenticateAdmin, requireAdminRole, validateFileId, async (req, res) => {
+  try {
+    const file = await fileService.getFileById(req.params.id);
+
+    if (!file || !file.originalFilePath) {
+      return res.status(404).json({
+        success: false,
+        error: file ? 'File has no stored original' : 'File not found'
+      });
+    }
+
+    const localFileService = require('../services/localFileService');
+    const original = await localFileService.downloadOriginal(file.originalFilePath);
+
+    try {
+      await auditService.logFileOriginalAccessed(file, 'original', req.adminUser.username, req.ip);
+    } catch (auditError) {
+      console.warn('Failed to log file original audit event:', auditError.message);
+    }
+
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    await pipeline(original.stream, res);
+
+  } catch (error) {
+    console.error('Error downloading file original:', error);
+
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download file',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/files/report/:reportId
- * Get all files associated with a report
+ * Get all files associated with a report, if the caller may see the report
  */
-router.get('/report/:reportId', validateReportId, async (req, res) => {
+router.get('/report/:reportId', optionalAuthenticate, validateReportId, async (req, res) => {
   try {
     const { reportId } = req.params;
 
@@ -246,19 +384,12 @@ router.get('/report/:reportId', validateReportId, async (req, res) => {
       });
     }
 
-    const files = await fileService.getFilesByReportId(reportId);
+    const visibleReportIds = await getVisibleReportIds(req);
+    const files = visibleReportIds && !visibleReportIds.has(reportId)
+      ? []
+      : await fileService.getFilesByReportId(reportId);
 
-    const formattedFiles = files.map(file => ({
-      id: file.id,
-      name: file.originalName,
-      type: file.mimeType,
-      size: file.size,
-      url: file.driveUrl,
-      thumbnailUrl: file.thumbnailUrl,
-      uploadedAt: file.uploadedAt,
-      uploadedByIp: file.uploadedByIp,
-      processingStatus: file.processingStatus
-    }));
+    const formattedFiles = serializeFiles(files, getAudience(req.adminUser));
 
     res.json({
       success: true,
@@ -280,24 +411,16 @@ router.get('/report/:reportId', validateReportId, async (req, res) => {
 
 /**
  * GET /api/files
- * Get all files (for admin/debugging purposes)
+ * Get all files, without uploader details unless the caller is signed in with a role that may see them.
+ * Files on reports held for review are only shown to signed-in users.
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuthenticate, async (req, res) => {
   try {
-    const files = await fileService.getAllFiles();
-
-    const formattedFiles = files.map(file => ({
-      id: file.id,
-      reportId: file.reportId,
-      name: file.originalName,
-      type: file.mimeType,
-      size: file.size,
-      url: file.driveUrl,
-      thumbnailUrl: file.thumbnailUrl,
-      uploadedAt: file.uploadedAt,
-      uploadedByIp: file.uploadedByIp,
-      processingStatus: file.processingStatus
-    }));
+    const visibleReportIds = await getVisibleReportIds(req);
+    const files = (await fileService.getAllFiles())
+      .filter(file => !visibleReportIds || visibleReportIds.has(file.reportId));
+
+    const formattedFiles = serializeFiles(files, getAudience(req.adminUser));
 
     res.json({
       success: true,
@@ -319,9 +442,9 @@ router.get('/', async (req, res) => {
 
 /**
  * PUT /api/files/:id/status
- * Update file processing status (for internal use)
+ * Update file processing status (Investigator role or higher)
  */
-router.put('/:id/status', validateFileId, validateStatusUpdate, async (req, res) => {
+router.put('/:id/status', authenticateAdmin, requireRole(INVESTIGATOR), validateFileId, validateStatusUpdate, async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -378,28 +501,45 @@ router.put('/:id/status', validateFileId, validateStatusUpdate, async (req, res)
 
 /**
  * DELETE /api/files/:id
- * Delete a file and its associated data (for testing cleanup)
+ * Delete a file, its renditions and original, and remove it from its report (Admin only)
  */
-router.delete('/:id', validateFileId, async (req, res) => {
+router.delete('/:id', authenticateAdmin, requireAdminRole, validateFileId, async (req, res) => {
   try {
     const { id } = req.params;
+    const file = await fileService.getFileById(id);
 
-    if (!id || typeof id !== 'string') {
-      return res.status(400).json({
+    if (!file) {
+      return res.status(404).json({
         success: false,
-        error: 'Valid file ID is required'
+        error: 'File not found'
       });
     }
 
-    const deleted = await fileService.deleteFile(id);
-
-    if (!deleted) {
-      return res.status(404).json({
+    // Evidence on a report under legal hold must be kept until the hold is lifted
+    const report = await reportService.getReportById(file.reportId, true);
+    if (report && report.legalHold) {
+      return res.status(409).json({
         success: false,
-        error: 'File not found'
+        error: 'File is on legal hold',
+        message: `Report ${report.id} is on legal hold; lift the hold before deleting its files`
       });
     }
 
+    await fileService.deleteFile(id);
+
+    if (report && (report.uploadedFiles || []).some(uploaded => uploaded.id === id)) {
+      await reportService.updateReport(report.id, {
+        uploadedFiles: report.uploadedFiles.filter(uploaded => uploaded.id !== id),
+        updatedBy: req.adminUser.username
+      });
+    }
+
+    try {
+      await auditService.logFileDeleted(file, req.adminUser.username, req.ip);
+    } catch (auditError) {
+      console.warn('Failed to log file deletion audit event:', auditError.message);
+    }
+
     res.json({
       success: true,
       message: 'File deleted successfully'
@@ -1,7 +1,10 @@
 // API Routes
 const express = require('express');
 const router = express.Router();
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticateAdmin, requireAdminRole, requireRole } = require('../middleware/auth');
+const User = require('../models/User');
+
+const { INVESTIGATOR } = User.getRoleEnum();
 
 // Health check (already handled in app.js)
 // router.get('/health', (req, res) => {
@@ -20,19 +23,34 @@ router.get('/status', (req, res) => {
 // Authentication routes (public)
 router.use('/auth', require('./auth'));
 
+// Report comment routes (internal, any authenticated portal user can read)
+router.use('/reports/:id/comments', authenticateAdmin, require('./comments'));
+
 // Reports routes (public for submission, admin-only for management)
 router.use('/reports', require('./reports'));
 
+// School registry routes (any authenticated portal user can read)
+router.use('/schools', authenticateAdmin, require('./schools'));
+
+// Licensed school reference list (any authenticated portal user can read)
+router.use('/licensed-schools', authenticateAdmin, require('./licensedSchools'));
+
 // Files routes (public for upload, admin-only for management)
 router.use('/files', require('./files'));
 
-// Configuration routes (admin-only)
-router.use('/config', authenticateAdmin, require('./config'));
+// Configuration routes (admin role only)
+router.use('/config', authenticateAdmin, requireAdminRole, require('./config'));
+
+// Data retention routes (admin role only)
+router.use('/retention', authenticateAdmin, requireAdminRole, require('./retention'));
+
+// Data subject request routes (admin role only)
+router.use('/privacy', authenticateAdmin, requireAdminRole, require('./privacy'));
 
-// Email routes (admin-only)
-router.use('/emails', authenticateAdmin, require('./emails'));
+// Email routes (investigator role or higher)
+router.use('/emails', authenticateAdmin, requireRole(INVESTIGATOR), require('./emails'));
 
-// Audit routes (admin-only)
-router.use('/audit', authenticateAdmin, require('./audit'));
+// Audit routes (investigator role or higher)
+router.use('/audit', authenticateAdmin, requireRole(INVESTIGATOR), require('./audit'));
 
 module.exports = router;
\ No newline at end of file
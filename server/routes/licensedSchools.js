@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const licensedSchoolService = require('../services/licensedSchoolService');
+const reportService = require('../services/reportService');
+const { requireAdminRole } = require('../middleware/auth');
+
+/**
+ * Maps licensed school service errors to HTTP responses
+ */
+function handleLicensedSchoolError(res, error, fallbackError) {
+  if (error.message.includes('validation failed')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid licensed school list',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * GET /api/licensed-schools
+ * List the licensed school reference list, optionally filtered by ?search= (any portal user)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schools = await licensedSchoolService.getLicensedSchools({ search: req.query.search });
+
+    res.json({
+      success: true,
+      data: {
+        schools,
+        total: schools.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving licensed schools:', error.message);
+    handleLicensedSchoolError(res, error, 'Failed to retrieve licensed schools');
+  }
+});
+
+/**
+ * POST /api/licensed-schools/import
+ * Import a CSV or JSON licensed school list and re-check every report (Admin only)
+ * Body: { format: 'csv' | 'json', content: string, replace?: boolean }
+ */
+router.post('/import', requireAdminRole, async (req, res) => {
+  try {
+    const { format, content, replace = true } = req.body || {};
+
+    if (typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid licensed school list',
+        message: 'content is required'
+      });
+    }
+
+    const result = await licensedSchoolService.importLicensedSchools(
+      content,
+      String(format || '').toLowerCase(),
+      req.adminUser.username,
+      req.ip,
+      { replace: replace !== false }
+    );
+    const recheck = await reportService.recheckLicenses();
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        reportsChecked: recheck.checked,
+        reportsUpdated: recheck.updated
+      },
+      message: `Imported ${result.imported} licensed school(s)` +
+        (result.skipped.length > 0 ? `, skipped ${result.skipped.length} invalid row(s)` : '') +
+        `; ${recheck.updated} report(s) changed license status`
+    });
+
+  } catch (error) {
+    console.error('Error importing licensed schools:', error.message);
+    handleLicensedSchoolError(res, error, 'Failed to import licensed schools');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const privacyService = require('../services/privacyService');
+const auditService = require('../services/auditService');
+
+// Identifiers are sent in request bodies so they stay out of URLs and access logs
+
+/**
+ * Maps privacy service errors to HTTP responses
+ */
+function handlePrivacyError(res, error, fallbackError) {
+  if (error.message.includes('validation failed')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid subject request',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('conflict')) {
+    return res.status(409).json({
+      success: false,
+      error: 'Subject records changed',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * Picks the subject identifiers from a request body
+ */
+function getIdentifiers(body) {
+  const { email, phone } = body || {};
+  return { email, phone };
+}
+
+/**
+ * POST /api/privacy/subject-requests/search
+ * Find every record tied to a reporter's email address or phone number (Admin only)
+ * Body: { email?, phone? }
+ */
+router.post('/subject-requests/search', async (req, res) => {
+  try {
+    const found = await privacyService.searchSubjectData(getIdentifiers(req.body));
+
+    res.json({
+      success: true,
+      data: found
+    });
+
+  } catch (error) {
+    console.error('Error searching subject data:', error.message);
+    handlePrivacyError(res, error, 'Failed to search subject data');
+  }
+});
+
+/**
+ * POST /api/privacy/subject-requests/export
+ * Download everything held about a reporter as a ZIP bundle (Admin only)
+ * Body: { email?, phone? }
+ */
+router.post('/subject-requests/export', async (req, res) => {
+  const identifiers = getIdentifiers(req.body);
+
+  try {
+    privacyService.parseSubject(identifiers);
+  } catch (error) {
+    return handlePrivacyError(res, error, 'Failed to export subject data');
+  }
+
+  try {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="subject-request-${date}.zip"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const exported = await privacyService.writeSubjectExport(identifiers, res);
+    res.end();
+
+    try {
+      await auditService.logSubjectDataExported(exported, req.adminUser.username, req.ip);
+    } catch (auditError) {
+      console.warn('Failed to log subject data export audit event:', auditError.message);
+    }
+
+  } catch (error) {
+    console.error('Error exporting subject data:', error.message);
+
+    // Once streaming has started the only option left is to abort the download
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.removeHeader('Content-Disposition');
+    handlePrivacyError(res, error, 'Failed to export subject data');
+  }
+});
+
+/**
+ * POST /api/privacy/subject-requests/erase
+ * Anonymize or erase everything held about a reporter outside reports on legal hold (Admin only)
+ * Body: { email?, phone?, mode: 'anonymize'|'erase', matchToken } - matchToken comes from the search the admin reviewed
+ */
+router.post('/subject-requests/erase', async (req, res) => {
+  try {
+    const { mode, matchToken } = req.body || {};
+    const erasure = await privacyService.eraseSubjectData(
+      getIdentifiers(req.body),
+      { mode, matchToken },
+      req.adminUser.username
+    );
+
+    try {
+      await auditService.logSubjectDataErased(erasure, req.adminUser.username, req.ip);
+    } catch (auditError) {
+      console.warn('Failed to log subject data erasure audit event:', auditError.message);
+    }
+
+    res.json({
+      success: true,
+      data: erasure,
+      message: erasure.verified
+        ? 'Subject data removed and verified'
+        : 'Subject data removed, but some records still match; search again to review them'
+    });
+
+  } catch (error) {
+    console.error('Error erasing subject data:', error.message);
+    handlePrivacyError(res, error, 'Failed to erase subject data');
+  }
+});
+
+module.exports = router;
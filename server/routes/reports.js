@@ -4,15 +4,25 @@
  * Provides endpoints for report submission, retrieval, and management.
  */
 
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
 const express = require('express');
 const router = express.Router();
 const reportService = require('../services/reportService');
-const fileService = require('../services/fileService');
-const localFileService = require('../services/localFileService');
+const reportProcessingService = require('../services/reportProcessingService');
+const auditService = require('../services/auditService');
+const duplicateService = require('../services/duplicateService');
+const exportService = require('../services/exportService');
+const mvcPackageService = require('../services/mvcPackageService');
+const correspondenceService = require('../services/correspondenceService');
 const File = require('../models/File');
-const { authenticateAdmin } = require('../middleware/auth');
+const Report = require('../models/Report');
+const { authenticateAdmin, optionalAuthenticate, requireRole, requireAdminRole } = require('../middleware/auth');
+const User = require('../models/User');
 const rateLimit = require('express-rate-limit');
-const { validateJsonString } = require('../utils/validation');
+const { validateJsonString, validateEmail } = require('../utils/validation');
+const { getAudience, serializeReport, serializeReports } = require('../utils/serializers');
+const { createSubmissionToken } = require('../utils/submissionToken');
 
 // Import supported file types from File model
 const { getSupportedMimeTypes } = File;
@@ -23,6 +33,10 @@ const ALL_SUPPORTED_TYPES = [
   ...SUPPORTED_MIME_TYPES.documents
 ];
 
+const { INVESTIGATOR } = User.getRoleEnum();
+const VALID_STATUSES = Object.values(Report.getStatusEnum());
+const MAX_BULK_REPORTS = 100;
+
 // Rate limiting for report submissions - relaxed for test environments
 const testMode = process.env.NODE_ENV === 'test';
 const reportLimiter = rateLimit({
@@ -64,7 +78,8 @@ router.post('/', reportLimiter, async (req, res) => {
   }
 
   try {
-    const reportData = req.body;
+    // Only the reporter's own fields are accepted; status, review state, notes and holds are set by the portal
+    const reportData = Report.pickSubmission(req.body);
     const reporterIp = req.ip || req.connection.remoteAddress || 'unknown';
 
     // Debug logging for incoming data
@@ -96,99 +111,38 @@ router.post('/', reportLimiter, async (req, res) => {
       });
     }
 
-    // Create the report
-    console.log('[REPORTS ROUTE] Creating report for school:', reportData.schoolName);
-    const report = await reportService.createReport(reportData, reporterIp);
-    console.log('[REPORTS ROUTE] Report created successfully:', report.id);
-
-    // Process files if included
-    const uploadedFiles = [];
-    if (reportData.files && Array.isArray(reportData.files) && reportData.files.length > 0) {
-      console.log(`Processing ${reportData.files.length} files for report ${report.id}`);
-
-      for (const fileData of reportData.files) {
-        try {
-          // Validate file data is not empty
-          if (!fileData.data || fileData.data.trim() === '') {
-            console.log(`Skipping empty file: ${fileData.name}`);
-            continue; // Skip empty files instead of failing
-          }
-
-          //fileData fileType needs to be validated
-          if (!fileData.type || !ALL_SUPPORTED_TYPES.includes(fileData.type)) {
-            return res.status(400).json({
-              success: false,
-              error: 'Invalid file type. Supported types: ' + ALL_SUPPORTED_TYPES.join(', ')
-            });
-          }
-
-          // Convert base64 to buffer
-          const fileBuffer = Buffer.from(fileData.data, 'base64');
-
-          // Upload to local file storage
-          const uploadedFile = await localFileService.uploadFile(
-            fileBuffer,
-            fileData.name,
-            fileData.type,
-            report.id
-          );
-
-          // Create file record for local storage
-          const fileRecord = {
-            reportId: report.id,
-            originalName: fileData.name,
-            mimeType: fileData.type,
-            size: fileBuffer.length,
-            localFilePath: uploadedFile.localPath,
-            publicUrl: uploadedFile.url,
-            thumbnailUrl: '' // For local storage, we don't use separate thumbnail URLs
-          };
-
-          const file = File.create(fileRecord, reporterIp);
-
-          // Save file metadata to local JSON storage
-          await fileService.saveFileToJson(file);
-
-          uploadedFiles.push({
-            id: file.id, // Use internal file ID for frontend
-            name: fileData.name,
-            type: fileData.type, // Use fileData.type (matches Report validation)
-            size: fileBuffer.length,
-            url: `${req.protocol}://${req.get('host')}/api/files/${file.id}/download`, // Use proxy URL for CORS
-            thumbnailUrl: uploadedFile.thumbnailUrl
-            // Note: uploadedAt removed as it's not allowed in Report validation
-          });
-
-          console.log(`Successfully uploaded file: ${fileData.name} to Drive and saved metadata`);
-        } catch (fileError) {
-          console.error(`Error uploading file ${fileData.name}:`, fileError);
-          // Continue with other files if one fails
-        }
-      }
-
-      // Update the report with uploaded files data and save to local JSON storage
-      if (uploadedFiles.length > 0) {
-        console.log(`Updating report ${report.id} with ${uploadedFiles.length} uploaded files`);
-        await reportService.updateReport(report.id, { uploadedFiles: uploadedFiles });
-        console.log(`Report ${report.id} updated in local storage with file URLs`);
+    // Reject unsupported file types up front rather than failing in the queue
+    if (Array.isArray(reportData.files)) {
+      const invalidFile = reportData.files.find(fileData =>
+        fileData && fileData.data && (!fileData.type || !ALL_SUPPORTED_TYPES.includes(fileData.type))
+      );
+      if (invalidFile) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid file type. Supported types: ' + ALL_SUPPORTED_TYPES.join(', ')
+        });
       }
     }
 
-    res.status(201).json({
+    // Validate against the report schema now so bad submissions get a 400, not a failed ticket
+    Report.validateSubmission(reportData);
+
+    // Queue the report; reportProcessingService creates it and stores its files
+    console.log('[REPORTS ROUTE] Queueing report for school:', reportData.schoolName);
+    const ticket = await reportProcessingService.enqueueReport(reportData, reporterIp);
+    console.log('[REPORTS ROUTE] Report queued:', ticket.ticketId);
+
+    res.status(202).json({
       success: true,
       data: {
-        id: report.id,
-        schoolName: report.schoolName,
-        location: report.location,
-        violationDescription: report.violationDescription,
-        phoneNumber: report.phoneNumber,
-        websiteUrl: report.websiteUrl,
-        status: report.status,
-        createdAt: report.createdAt,
-        lastReported: report.lastReported,
-        uploadedFiles: uploadedFiles
+        ticketId: ticket.ticketId,
+        status: ticket.status,
+        createdAt: ticket.createdAt,
+        statusUrl: `/api/reports/queue/${ticket.ticketId}`,
+        // Lets the reporter add files to the report later without signing in
+        submissionToken: createSubmissionToken(ticket.ticketId)
       },
-      message: `Report submitted successfully${uploadedFiles.length > 0 ? ` with ${uploadedFiles.length} file(s)` : ''}`
+      message: 'Report queued for processing'
     });
 
   } catch (error) {
@@ -228,11 +182,51 @@ router.post('/', reportLimiter, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reports/queue/:ticketId
+ * Get the processing status of a queued report submission
+ */
+router.get('/queue/:ticketId', async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+
+    if (!reportProcessingService.isValidTicketId(ticketId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ticket ID format'
+      });
+    }
+
+    const ticketStatus = await reportProcessingService.getTicketStatus(ticketId);
+
+    if (!ticketStatus) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ticket not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ticketStatus
+    });
+
+  } catch (error) {
+    console.error('Error getting queue ticket status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve ticket status',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/reports
- * Get paginated list of reports with optional filtering
+ * Get paginated list of reports with optional filtering.
+ * Reports are serialized for the signed-in user's role, or for the public.
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuthenticate, async (req, res) => {
   try {
     const {
       page = 1,
@@ -250,7 +244,8 @@ router.get('/', async (req, res) => {
       search: search || undefined,
       sortBy: sortBy || 'lastReported',
       sortOrder: sortOrder || 'desc',
-      includeAdminFields: false // Public endpoint, hide sensitive data
+      includeAdminFields: false, // Public listing, reports held for review stay hidden
+      audience: getAudience(req.adminUser)
     };
 
     const result = await reportService.getReports(options);
@@ -277,9 +272,10 @@ router.get('/', async (req, res) => {
  * GET /api/reports/stats
  * Get report statistics for dashboard overview
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', optionalAuthenticate, async (req, res) => {
   try {
-    const allReports = await reportService.getAllReports();
+    // Reports held for review are not counted until approved
+    const allReports = (await reportService.getAllReports()).filter(Report.isPublic);
 
     // Calculate statistics
     const totalReports = allReports.length;
@@ -303,7 +299,7 @@ router.get('/stats', async (req, res) => {
         pendingReports,
         completedReports,
         totalFiles,
-        recentReports
+        recentReports: serializeReports(recentReports, getAudience(req.adminUser))
       },
       timestamp: new Date().toISOString()
     });
@@ -318,11 +314,313 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reports/workflow
+ * Get the report status workflow (allowed transitions and required fields per status)
+ */
+router.get('/workflow', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      statuses: VALID_STATUSES,
+      workflow: Report.getStatusWorkflow()
+    }
+  });
+});
+
+/**
+ * GET /api/reports/export
+ * Download reports as CSV or Excel with admin-only fields (Investigator or Admin)
+ * Query: format=csv|xlsx, plus the status, search, sortBy and sortOrder filters of GET /api/reports
+ */
+router.get('/export', authenticateAdmin, requireRole(INVESTIGATOR), async (req, res) => {
+  const {
+    format = 'csv',
+    status,
+    search,
+    sortBy = 'lastReported',
+    sortOrder = 'desc'
+  } = req.query;
+  const filters = {
+    status: status || undefined,
+    search: search || undefined,
+    sortBy: sortBy || 'lastReported',
+    sortOrder: sortOrder === 'asc' ? 'asc' : 'desc'
+  };
+
+  let exportFormat;
+  try {
+    exportFormat = exportService.getExportFormat(String(format).toLowerCase());
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid export format',
+      message: error.message
+    });
+  }
+
+  if (filters.status && !VALID_STATUSES.includes(filters.status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status',
+      message: `Status must be one of: ${VALID_STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const reports = await reportService.getReportsForExport(filters);
+
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportService.getExportFileName(exportFormat.extension)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const count = await exportService.writeReports(reports, exportFormat.extension, res);
+    res.end();
+
+    try {
+      await auditService.logReportsExported(count, exportFormat.extension, filters, req.adminUser.username, req.ip);
+    } catch (auditError) {
+      console.warn('Failed to log report export audit event:', auditError.message);
+    }
+
+  } catch (error) {
+    console.error('Error exporting reports:', error);
+
+    // Once streaming has started the only option left is to abort the download
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export reports',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/reports/duplicates
+ * Get the queue of likely duplicate report pairs awaiting review
+ */
+router.get('/duplicates', authenticateAdmin, async (req, res) => {
+  try {
+    const duplicates = await duplicateService.getPendingDuplicates();
+
+    res.json({
+      success: true,
+      data: {
+        duplicates,
+        total: duplicates.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving duplicate reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve duplicate reports',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/reports/duplicates/scan
+ * Compare every report and queue new likely duplicates (Admin only)
+ */
+router.post('/duplicates/scan', authenticateAdmin, requireAdminRole, async (req, res) => {
+  try {
+    const result = await duplicateService.scanForDuplicates();
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Found ${result.detected} new likely duplicate(s)`
+    });
+
+  } catch (error) {
+    console.error('Error scanning for duplicate reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to scan for duplicate reports',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/reports/duplicates/:candidateId/dismiss
+ * Mark a queued pair as not duplicates (Investigator role or higher)
+ */
+router.post('/duplicates/:candidateId/dismiss', authenticateAdmin, requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const candidate = await duplicateService.dismissDuplicate(req.params.candidateId, req.adminUser.username);
+
+    res.json({
+      success: true,
+      data: { candidate },
+      message: 'Duplicate dismissed'
+    });
+
+  } catch (error) {
+    console.error('Error dismissing duplicate:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Duplicate not found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('validation failed')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid duplicate operation',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dismiss duplicate',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/reports/review
+ * Get reports held for review (e.g. tips received by email), oldest first
+ */
+router.get('/review', authenticateAdmin, async (req, res) => {
+  try {
+    const reports = await reportService.getReportsForReview();
+
+    res.json({
+      success: true,
+      data: {
+        reports: serializeReports(reports, getAudience(req.adminUser)),
+        total: reports.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving reports for review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve reports for review',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/reports/:id/review
+ * Approve or reject a held report (body: { decision: 'approve' | 'reject' }).
+ * Approved reports become public; rejected reports stay hidden.
+ * Investigator role or higher.
+ */
+router.post('/:id/review', authenticateAdmin, requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const report = await reportService.reviewReport(req.params.id, decision, req.adminUser.username);
+
+    try {
+      await auditService.logReportReviewed(report, decision, req.adminUser.username, req.ip);
+    } catch (auditError) {
+      console.warn('Failed to log report review audit event:', auditError.message);
+    }
+
+    res.json({
+      success: true,
+      data: serializeReport(report, getAudience(req.adminUser)),
+      message: `Report ${report.id} ${decision === 'approve' ? 'approved' : 'rejected'}`
+    });
+
+  } catch (error) {
+    console.error('Error reviewing report:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('validation failed')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid review',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review report',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/reports/:id/legal-hold
+ * Place or lift a legal hold (body: { hold: boolean, reason?: string }).
+ * Reports on hold are exempt from data retention rules. Admin only.
+ */
+router.put('/:id/legal-hold', authenticateAdmin, requireAdminRole, async (req, res) => {
+  try {
+    const { hold, reason } = req.body || {};
+    const report = await reportService.setLegalHold(req.params.id, hold, reason, req.adminUser.username);
+
+    try {
+      await auditService.logLegalHoldChanged(report, req.adminUser.username, req.ip);
+    } catch (auditError) {
+      console.warn('Failed to log legal hold audit event:', auditError.message);
+    }
+
+    res.json({
+      success: true,
+      data: serializeReport(report, getAudience(req.adminUser)),
+      message: report.legalHold ? `Legal hold placed on report ${report.id}` : `Legal hold lifted from report ${report.id}`
+    });
+
+  } catch (error) {
+    console.error('Error changing legal hold:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('validation failed')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid legal hold',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change legal hold',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/reports/:id
- * Get a specific report by ID
+ * Get a specific report by ID, serialized for the signed-in user's role or for the public
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -333,7 +631,8 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    const report = await reportService.getReportById(id, false); // Public access
+    // Reports held for review stay hidden here, even from signed-in users
+    const report = await reportService.getReportById(id, false, getAudience(req.adminUser));
 
     if (!report) {
       return res.status(404).json({
@@ -357,21 +656,244 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reports/:id/history
+ * Get the status change timeline of a report (Admin only)
+ */
+router.get('/:id/history', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const history = await reportService.getReportStatusHistory(id);
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Error retrieving report history:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve report history',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:id/correspondence
+ * Get the email conversation about a report: mail sent from the portal and
+ * the replies threaded back onto it, oldest first
+ */
+router.get('/:id/correspondence', authenticateAdmin, async (req, res) => {
+  try {
+    const entries = await correspondenceService.getCorrespondence(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        total: entries.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving report correspondence:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve report correspondence',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:id/correspondence/:entryId/attachments/:index
+ * Download an attachment of a reply
+ */
+router.get('/:id/correspondence/:entryId/attachments/:index', authenticateAdmin, async (req, res) => {
+  try {
+    const attachment = await correspondenceService.getAttachment(
+      req.params.id,
+      req.params.entryId,
+      Number(req.params.index)
+    );
+
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    await pipeline(fs.createReadStream(attachment.filePath), res);
+
+  } catch (error) {
+    console.error('Error downloading correspondence attachment:', error);
+
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download attachment',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/reports/bulk/status
+ * Update the status of several reports at once (Investigator role or higher).
+ * All-or-nothing: if any report cannot be updated, none are changed.
+ */
+router.put('/bulk/status', authenticateAdmin, requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const { reportIds, status, adminNotes, closureReason } = req.body;
+
+    if (!Array.isArray(reportIds) || reportIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'reportIds must be a non-empty array'
+      });
+    }
+
+    if (reportIds.some(id => !id || typeof id !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every report ID must be a non-empty string'
+      });
+    }
+
+    const uniqueIds = [...new Set(reportIds)];
+    if (uniqueIds.length > MAX_BULK_REPORTS) {
+      return res.status(400).json({
+        success: false,
+        error: `A maximum of ${MAX_BULK_REPORTS} reports can be updated at once`
+      });
+    }
+
+    if (!status || !VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status value',
+        message: `Status must be one of: ${VALID_STATUSES.join(', ')}`
+      });
+    }
+
+    // Only a closure reason can be shared across reports; fields such as the
+    // MVC reference number differ per report, so those statuses are set one by one
+    const perReportFields = Report.getStatusWorkflow()[status].requiredFields
+      .filter(({ field }) => field !== 'closureReason');
+    if (perReportFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Status "${status}" cannot be set in bulk`,
+        message: `${perReportFields.map(({ label }) => label).join(', ')} must be recorded on each report individually`
+      });
+    }
+
+    const results = await reportService.bulkUpdateReportStatus(uniqueIds, {
+      status,
+      adminNotes,
+      closureReason,
+      updatedBy: req.adminUser.username
+    });
+
+    // One audit entry for the whole operation (non-blocking)
+    try {
+      await auditService.logBulkStatusUpdate(
+        results,
+        status,
+        adminNotes,
+        req.adminUser.username,
+        req.ip
+      );
+    } catch (auditError) {
+      console.error('Failed to create bulk status audit log (non-critical):', auditError.message);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        updated: results.length,
+        failed: 0,
+        results
+      },
+      message: `Updated ${results.length} report(s) to "${status}"`
+    });
+
+  } catch (error) {
+    console.error('Error performing bulk status update:', error);
+
+    if (error.results) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bulk status update failed',
+        message: error.message,
+        data: {
+          updated: 0,
+          failed: error.results.length,
+          results: error.results
+        }
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'One or more reports not found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update report statuses',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * PUT /api/reports/:id/status
- * Update report status (Admin only)
+ * Update report status (Investigator role or higher)
  */
-router.put('/:id/status', authenticateAdmin, async (req, res) => {
+router.put('/:id/status', authenticateAdmin, requireRole(INVESTIGATOR), async (req, res) => {
   const startTime = Date.now();
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
   try {
     const { id } = req.params;
-    const { status, adminNotes, mvcReferenceNumber } = req.body;
+    const { status, adminNotes, mvcReferenceNumber, closureReason } = req.body;
 
     console.log(`[${requestId}] [STATUS UPDATE] Starting status update:`, {
       reportId: id,
-      requestBody: { status, adminNotes, mvcReferenceNumber },
+      requestBody: { status, adminNotes, mvcReferenceNumber, closureReason },
       timestamp: new Date().toISOString(),
       userAgent: req.headers['user-agent'],
       ip: req.ip
@@ -394,16 +916,15 @@ router.put('/:id/status', authenticateAdmin, async (req, res) => {
     }
 
     // Validate status values
-    const validStatuses = ['Added', 'Confirmed by NJDSC', 'Reported to MVC', 'Under Investigation', 'Closed'];
-    if (!validStatuses.includes(status)) {
+    if (!VALID_STATUSES.includes(status)) {
       console.error(`[${requestId}] [STATUS UPDATE ERROR] Invalid status value:`, {
         providedStatus: status,
-        validStatuses
+        validStatuses: VALID_STATUSES
       });
       return res.status(400).json({
         success: false,
         error: 'Invalid status value',
-        message: `Status must be one of: ${validStatuses.join(', ')}`
+        message: `Status must be one of: ${VALID_STATUSES.join(', ')}`
       });
     }
 
@@ -414,7 +935,8 @@ router.put('/:id/status', authenticateAdmin, async (req, res) => {
       status,
       adminNotes,
       mvcReferenceNumber,
-      updatedBy: 'admin' // TODO: Get from authenticated user
+      closureReason,
+      updatedBy: req.adminUser.username
     });
 
     console.log(`[${requestId}] [STATUS UPDATE] Report updated successfully:`, {
@@ -423,28 +945,28 @@ router.put('/:id/status', authenticateAdmin, async (req, res) => {
       duration: Date.now() - startTime
     });
 
-    // Log the status update to audit trail (non-blocking)
-    const auditService = require('../services/auditService');
-    const oldReport = await reportService.getReportById(id, true); // Get with admin fields
-
-    if (oldReport) {
-      try {
-        await auditService.logStatusUpdate(
-          id,
-          oldReport.status,
-          status,
-          adminNotes
-        );
-        console.log(`[${requestId}] [STATUS UPDATE] Audit log created`);
-      } catch (auditError) {
-        // Log audit error but don't fail the status update
-        console.error(`[${requestId}] [STATUS UPDATE WARNING] Failed to create audit log (non-critical):`, {
-          error: {
-            message: auditError.message,
-            stack: auditError.stack
-          }
-        });
-      }
+    // Log the status update to audit trail (non-blocking).
+    // The latest history entry records the status the report moved from.
+    const latestChange = updatedReport.statusHistory[updatedReport.statusHistory.length - 1];
+
+    try {
+      await auditService.logStatusUpdate(
+        id,
+        latestChange ? latestChange.from : null,
+        status,
+        adminNotes,
+        req.adminUser.username,
+        req.ip
+      );
+      console.log(`[${requestId}] [STATUS UPDATE] Audit log created`);
+    } catch (auditError) {
+      // Log audit error but don't fail the status update
+      console.error(`[${requestId}] [STATUS UPDATE WARNING] Failed to create audit log (non-critical):`, {
+        error: {
+          message: auditError.message,
+          stack: auditError.stack
+        }
+      });
     }
 
     res.json({
@@ -454,7 +976,8 @@ router.put('/:id/status', authenticateAdmin, async (req, res) => {
         status: updatedReport.status,
         updatedAt: updatedReport.updatedAt,
         adminNotes: updatedReport.adminNotes,
-        mvcReferenceNumber: updatedReport.mvcReferenceNumber
+        mvcReferenceNumber: updatedReport.mvcReferenceNumber,
+        closureReason: updatedReport.closureReason
       },
       message: `Report status updated to "${status}"`
     });
@@ -482,6 +1005,14 @@ router.put('/:id/status', authenticateAdmin, async (req, res) => {
       });
     }
 
+    if (error.message.includes('validation failed')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status change',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to update report status',
@@ -490,4 +1021,174 @@ router.put('/:id/status', authenticateAdmin, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * POST /api/reports/:id/mvc-package
+ * Build the MVC referral package (PDF summary plus evidence files in a ZIP) and
+ * move the report to "Reported to MVC" (Investigator role or higher)
+ * Body: { mvcReferenceNumber?, email?: boolean, to? } - with email, the package is
+ * queued as an attachment to `to` or the email.toAddress setting
+ */
+router.post('/:id/mvc-package', authenticateAdmin, requireRole(INVESTIGATOR), async (req, res) => {
+  const { mvcReferenceNumber, email = false, to } = req.body || {};
+
+  if (mvcReferenceNumber !== undefined && (typeof mvcReferenceNumber !== 'string' || mvcReferenceNumber.length > 50)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid MVC package request',
+      message: 'mvcReferenceNumber must be a string of at most 50 characters'
+    });
+  }
+
+  if (typeof email !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid MVC package request',
+      message: 'email must be true or false'
+    });
+  }
+
+  if (to !== undefined && !validateEmail(to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid MVC package request',
+      message: 'to must be a valid email address'
+    });
+  }
+
+  try {
+    const mvcPackage = await mvcPackageService.createMvcPackage(
+      req.params.id,
+      { mvcReferenceNumber: mvcReferenceNumber ? mvcReferenceNumber.trim() : undefined, email, to },
+      req.adminUser.username,
+      req.ip
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...mvcPackage,
+        report: serializeReport(mvcPackage.report, getAudience(req.adminUser)),
+        downloadUrl: `/api/reports/${mvcPackage.report.id}/mvc-package/${mvcPackage.fileName}`
+      },
+      message: mvcPackage.email
+        ? `MVC package ${mvcPackage.packageId} created and queued for ${mvcPackage.email.to}`
+        : `MVC package ${mvcPackage.packageId} created`
+    });
+
+  } catch (error) {
+    console.error('Error creating MVC package:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('validation failed') || error.message.includes('missing required variables')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid MVC package request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create MVC package',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:id/mvc-package/:fileName
+ * Download a previously created MVC referral package (Investigator role or higher)
+ */
+router.get('/:id/mvc-package/:fileName', authenticateAdmin, requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const filePath = await mvcPackageService.getMvcPackagePath(req.params.id, req.params.fileName);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    await pipeline(fs.createReadStream(filePath), res);
+
+  } catch (error) {
+    console.error('Error downloading MVC package:', error);
+
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'MVC package not found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download MVC package',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/reports/:id/merge
+ * Merge a duplicate report (body: { sourceReportId }) into this one (Investigator role or higher)
+ */
+router.post('/:id/merge', authenticateAdmin, requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceReportId } = req.body;
+
+    if (!sourceReportId || typeof sourceReportId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid merge',
+        message: 'sourceReportId is required'
+      });
+    }
+
+    const report = await duplicateService.mergeDuplicateReports(id, sourceReportId, req.adminUser.username, req.ip);
+
+    res.json({
+      success: true,
+      data: serializeReport(report, getAudience(req.adminUser)),
+      message: `Report ${sourceReportId} merged into ${report.id}`
+    });
+
+  } catch (error) {
+    console.error('Error merging reports:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('validation failed')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid merge',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge reports',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
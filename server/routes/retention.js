@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const retentionService = require('../services/retentionService');
+const configService = require('../services/configService');
+
+/**
+ * Maps retention service errors to HTTP responses
+ */
+function handleRetentionError(res, error, fallbackError) {
+  if (error.message.includes('validation failed')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid retention request',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * GET /api/retention
+ * Get the retention rules and whether they run on a schedule (Admin only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [enabled, rules] = await Promise.all([
+      configService.getConfig('system.retention.enabled'),
+      retentionService.getRules()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(enabled),
+        rules
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving retention rules:', error.message);
+    handleRetentionError(res, error, 'Failed to retrieve retention rules');
+  }
+});
+
+/**
+ * PUT /api/retention/rules
+ * Replace the retention rules (Admin only)
+ * Body: { rules: [{ id, action, afterDays, from?, enabled?, description? }] }
+ */
+router.put('/rules', async (req, res) => {
+  try {
+    const rules = await retentionService.setRules((req.body || {}).rules, req.adminUser.username);
+
+    res.json({
+      success: true,
+      data: { rules },
+      message: 'Retention rules updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating retention rules:', error.message);
+    handleRetentionError(res, error, 'Failed to update retention rules');
+  }
+});
+
+/**
+ * GET /api/retention/preview
+ * List what a retention run would remove, without removing anything (Admin only)
+ * Query: asOf (optional ISO date to evaluate the rules at)
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const preview = await retentionService.previewRetention({ asOf: req.query.asOf });
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Error previewing retention run:', error.message);
+    handleRetentionError(res, error, 'Failed to preview retention run');
+  }
+});
+
+/**
+ * POST /api/retention/run
+ * Apply the retention rules now (Admin only)
+ */
+router.post('/run', async (req, res) => {
+  try {
+    const summary = await retentionService.runRetention({ runBy: req.adminUser.username, ipAddress: req.ip });
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        error: 'Retention run already in progress'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summary,
+      message: `Retention rules applied: ${summary.purged.length} removal(s), ${summary.failed.length} failure(s)`
+    });
+
+  } catch (error) {
+    console.error('Error running retention rules:', error.message);
+    handleRetentionError(res, error, 'Failed to run retention rules');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const schoolService = require('../services/schoolService');
+const { requireRole, requireAdminRole } = require('../middleware/auth');
+const User = require('../models/User');
+
+const { INVESTIGATOR } = User.getRoleEnum();
+
+/**
+ * Maps school service errors to HTTP responses
+ */
+function handleSchoolError(res, error, fallbackError) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'School not found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('already exists')) {
+    return res.status(409).json({
+      success: false,
+      error: 'School already exists',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('validation failed')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid school operation',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * GET /api/schools
+ * List registry schools, optionally filtered by ?search= (any portal user)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schools = await schoolService.getSchools({ search: req.query.search });
+
+    res.json({
+      success: true,
+      data: {
+        schools,
+        total: schools.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving schools:', error.message);
+    handleSchoolError(res, error, 'Failed to retrieve schools');
+  }
+});
+
+/**
+ * POST /api/schools/sync
+ * Link every report that has no school yet (Admin only)
+ */
+router.post('/sync', requireAdminRole, async (req, res) => {
+  try {
+    const result = await schoolService.syncSchoolsFromReports();
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Linked ${result.linkedReports} report(s) to the school registry`
+    });
+
+  } catch (error) {
+    console.error('Error syncing schools:', error.message);
+    handleSchoolError(res, error, 'Failed to sync school registry');
+  }
+});
+
+/**
+ * GET /api/schools/:id
+ * Get a school with every report about it (any portal user)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const school = await schoolService.getSchoolById(req.params.id);
+
+    res.json({
+      success: true,
+      data: { school }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving school:', error.message);
+    handleSchoolError(res, error, 'Failed to retrieve school');
+  }
+});
+
+/**
+ * POST /api/schools
+ * Add a school to the registry (Investigator role or higher)
+ */
+router.post('/', requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid school operation',
+        message: 'School name is required'
+      });
+    }
+
+    const school = await schoolService.createSchool(req.body, req.adminUser.username, req.ip);
+
+    res.status(201).json({
+      success: true,
+      data: { school },
+      message: `School "${school.name}" created`
+    });
+
+  } catch (error) {
+    console.error('Error creating school:', error.message);
+    handleSchoolError(res, error, 'Failed to create school');
+  }
+});
+
+/**
+ * PUT /api/schools/:id
+ * Update a school's name, aliases, contact details or notes (Investigator role or higher)
+ */
+router.put('/:id', requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const school = await schoolService.updateSchool(req.params.id, req.body, req.adminUser.username, req.ip);
+
+    res.json({
+      success: true,
+      data: { school },
+      message: `School "${school.name}" updated`
+    });
+
+  } catch (error) {
+    console.error('Error updating school:', error.message);
+    handleSchoolError(res, error, 'Failed to update school');
+  }
+});
+
+/**
+ * POST /api/schools/:id/merge
+ * Merge another school (body: { sourceSchoolId }) into this one (Investigator role or higher)
+ */
+router.post('/:id/merge', requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const { sourceSchoolId } = req.body;
+
+    if (!sourceSchoolId || typeof sourceSchoolId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid school operation',
+        message: 'sourceSchoolId is required'
+      });
+    }
+
+    const school = await schoolService.mergeSchools(req.params.id, sourceSchoolId, req.adminUser.username, req.ip);
+
+    res.json({
+      success: true,
+      data: { school },
+      message: `Merged ${sourceSchoolId} into "${school.name}"`
+    });
+
+  } catch (error) {
+    console.error('Error merging schools:', error.message);
+    handleSchoolError(res, error, 'Failed to merge schools');
+  }
+});
+
+/**
+ * POST /api/schools/:id/split
+ * Move some reports (body: { reportIds, name }) into a new school (Investigator role or higher)
+ */
+router.post('/:id/split', requireRole(INVESTIGATOR), async (req, res) => {
+  try {
+    const { reportIds, name } = req.body;
+
+    if (!Array.isArray(reportIds) || reportIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid school operation',
+        message: 'reportIds must be a non-empty array'
+      });
+    }
+
+    const result = await schoolService.splitSchool(
+      req.params.id,
+      [...new Set(reportIds)],
+      name,
+      req.adminUser.username,
+      req.ip
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `Split ${result.created.reportIds.length} report(s) into "${result.created.name}"`
+    });
+
+  } catch (error) {
+    console.error('Error splitting school:', error.message);
+    handleSchoolError(res, error, 'Failed to split school');
+  }
+});
+
+module.exports = router;
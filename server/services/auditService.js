@@ -427,6 +427,31 @@ async function getRecentAuditLogs(limit = 50) {
   return getAuditLogs({ limit });
 }
 
+/**
+ * Removes personal data from an audit log entry (used for data subject
+ * requests). The entry itself is kept.
+ * @param {string} entryId - Audit log entry ID
+ * @param {Function} redact - Returns a text with the personal data replaced
+ * @returns {Promise<void>}
+ * @throws {Error} If the entry does not exist
+ */
+async function redactAuditLog(entryId, redact) {
+  const entry = (await getAllAuditLogsFromJson()).find(log => log.id === entryId);
+  if (!entry) {
+    throw new Error(`Audit log entry ${entryId} not found`);
+  }
+
+  // Structured fields are redacted in their JSON form so nested values are covered too
+  const redactJson = value => (value ? JSON.parse(redact(JSON.stringify(value))) : value);
+  await localJsonService.updateRow(null, AUDIT_DATA_FILE, entryId, {
+    details: redact(entry.details),
+    changes: redactJson(entry.changes),
+    metadata: redactJson(entry.metadata)
+  });
+
+  clearAuditCache();
+}
+
 /**
  * Clears all audit log cache
  */
@@ -542,21 +567,101 @@ async function logPasswordChange(username, ipAddress) {
   });
 }
 
+/**
+ * Logs a failed password change attempt
+ * @param {string} username - Username that attempted the change
+ * @param {string} ipAddress - IP address of the attempt
+ * @param {string} reason - Reason for failure
+ */
+async function logFailedPasswordChange(username, ipAddress, reason) {
+  return createAuditLog({
+    action: 'PASSWORD_CHANGE_FAILED',
+    adminUser: username,
+    targetType: 'user',
+    targetId: username,
+    details: `Failed password change for user ${username}: ${reason}`,
+    ipAddress,
+    metadata: { eventType: 'security', failureReason: reason }
+  });
+}
+
+/**
+ * Logs creation of a portal user account
+ * @param {string} username - Username of the new account
+ * @param {string} role - Role assigned to the new account
+ * @param {string} adminUser - Admin who created the account
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logUserCreated(username, role, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'USER_CREATED',
+    adminUser,
+    targetType: 'user',
+    targetId: username,
+    details: `User ${username} created with role "${role}"`,
+    ipAddress,
+    changes: {
+      role: { old: null, new: role }
+    },
+    metadata: { eventType: 'user_management' }
+  });
+}
+
+/**
+ * Logs an update to a portal user account
+ * @param {string} username - Username of the updated account
+ * @param {Object} changes - Object describing what changed
+ * @param {string} adminUser - Admin who made the change
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logUserUpdated(username, changes, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'USER_UPDATED',
+    adminUser,
+    targetType: 'user',
+    targetId: username,
+    details: `User ${username} updated (${Object.keys(changes).join(', ')})`,
+    ipAddress,
+    changes,
+    metadata: { eventType: 'user_management' }
+  });
+}
+
+/**
+ * Logs deletion of a portal user account
+ * @param {string} username - Username of the deleted account
+ * @param {string} adminUser - Admin who deleted the account
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logUserDeleted(username, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'USER_DELETED',
+    adminUser,
+    targetType: 'user',
+    targetId: username,
+    details: `User ${username} deleted`,
+    ipAddress,
+    metadata: { eventType: 'user_management' }
+  });
+}
+
 /**
  * Logs a status update event
  * @param {string} reportId - ID of the report being updated
  * @param {string} oldStatus - Previous status
  * @param {string} newStatus - New status
  * @param {string} adminNotes - Admin notes
+ * @param {string} [adminUser] - Admin who performed the update
+ * @param {string} [ipAddress] - IP address of the admin
  */
-async function logStatusUpdate(reportId, oldStatus, newStatus, adminNotes) {
+async function logStatusUpdate(reportId, oldStatus, newStatus, adminNotes, adminUser = 'admin', ipAddress = 'system') {
   return createAuditLog({
     action: 'STATUS_UPDATE',
-    adminUser: 'admin', // This should be passed from the authenticated user
+    adminUser,
     targetType: 'report',
     targetId: reportId,
     details: `Report status changed from "${oldStatus}" to "${newStatus}"`,
-    ipAddress: 'system', // This should be passed from the request
+    ipAddress,
     changes: {
       status: { old: oldStatus, new: newStatus }
     },
@@ -567,6 +672,729 @@ async function logStatusUpdate(reportId, oldStatus, newStatus, adminNotes) {
   });
 }
 
+/**
+ * Logs a bulk status update covering several reports
+ * @param {Array<Object>} results - Per-report results ({ id, oldStatus, newStatus })
+ * @param {string} newStatus - Status applied to every report
+ * @param {string} adminNotes - Admin notes applied to every report
+ * @param {string} adminUser - Admin who performed the update
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logBulkStatusUpdate(results, newStatus, adminNotes, adminUser, ipAddress) {
+  const changes = {};
+  results.forEach(result => {
+    changes[result.id] = { old: result.oldStatus, new: result.newStatus };
+  });
+
+  return createAuditLog({
+    action: 'BULK_STATUS_UPDATE',
+    adminUser,
+    targetType: 'bulk',
+    targetId: null,
+    details: `Bulk status update of ${results.length} report(s) to "${newStatus}"`,
+    ipAddress,
+    changes,
+    metadata: {
+      reportIds: results.map(result => result.id),
+      adminNotes: adminNotes || null,
+      eventType: 'report_management'
+    }
+  });
+}
+
+/**
+ * Logs a duplicate report being merged into another report
+ * @param {Object} report - Report that was kept (after the merge)
+ * @param {Object} source - Report that was merged away
+ * @param {string} adminUser - Admin who performed the merge
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logReportMerged(report, source, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'REPORT_MERGED',
+    adminUser,
+    targetType: 'report',
+    targetId: report.id,
+    details: `Report ${source.id} ("${source.schoolName}") merged into ${report.id} ("${report.schoolName}")`,
+    ipAddress,
+    metadata: {
+      sourceReportId: source.id,
+      sourceSchoolName: source.schoolName,
+      sourceStatus: source.status,
+      eventType: 'report_management'
+    }
+  });
+}
+
+/**
+ * Logs an admin's decision on a report held for review
+ * @param {Object} report - Reviewed report
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} adminUser - Admin who reviewed the report
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logReportReviewed(report, decision, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'REPORT_REVIEWED',
+    adminUser,
+    targetType: 'report',
+    targetId: report.id,
+    details: `Report ${report.id} ("${report.schoolName}") ${decision === 'approve' ? 'approved' : 'rejected'} in review`,
+    ipAddress,
+    metadata: {
+      decision,
+      source: report.source,
+      reviewStatus: report.reviewStatus,
+      eventType: 'report_management'
+    }
+  });
+}
+
+/**
+ * Logs an export of reports
+ * @param {number} count - Number of reports exported
+ * @param {string} format - Export format (csv or xlsx)
+ * @param {Object} filters - Filters applied (status, search, sortBy, sortOrder)
+ * @param {string} adminUser - Admin who exported the reports
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logReportsExported(count, format, filters, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'REPORTS_EXPORTED',
+    adminUser,
+    targetType: 'bulk',
+    targetId: null,
+    details: `${count} report(s) exported as ${format.toUpperCase()}`,
+    ipAddress,
+    metadata: {
+      count,
+      format,
+      filters,
+      eventType: 'report_management'
+    }
+  });
+}
+
+/**
+ * Logs the creation of an MVC referral package, including its SHA-256 hash
+ * @param {Object} mvcPackage - Package details (packageId, fileName, sha256, size, files, email, report)
+ * @param {string} adminUser - User who created the package
+ * @param {string} ipAddress - IP address of the user
+ */
+async function logMvcPackageCreated(mvcPackage, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'MVC_PACKAGE_CREATED',
+    adminUser,
+    targetType: 'report',
+    targetId: mvcPackage.report.id,
+    details: `MVC referral package ${mvcPackage.packageId} created (SHA-256 ${mvcPackage.sha256})` +
+      (mvcPackage.email ? `, queued for ${mvcPackage.email.to}` : ''),
+    ipAddress,
+    metadata: {
+      packageId: mvcPackage.packageId,
+      fileName: mvcPackage.fileName,
+      sha256: mvcPackage.sha256,
+      size: mvcPackage.size,
+      fileCount: mvcPackage.files.length,
+      mvcReferenceNumber: mvcPackage.report.mvcReferenceNumber,
+      emailMessageId: mvcPackage.email ? mvcPackage.email.messageId : null,
+      eventType: 'report_management'
+    }
+  });
+}
+
+/**
+ * Logs an admin viewing the EXIF metadata or downloading the unsanitized original of an evidence file
+ * @param {Object} file - File record ({ id, reportId, originalName })
+ * @param {string} access - 'metadata' or 'original'
+ * @param {string} adminUser - Admin who accessed the file
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logFileOriginalAccessed(file, access, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'FILE_ORIGINAL_ACCESSED',
+    adminUser,
+    targetType: 'report',
+    targetId: file.reportId,
+    details: access === 'original'
+      ? `Unsanitized original of ${file.originalName} (${file.id}) downloaded`
+      : `EXIF metadata of ${file.originalName} (${file.id}) viewed`,
+    ipAddress,
+    metadata: {
+      fileId: file.id,
+      access,
+      eventType: 'report_management'
+    }
+  });
+}
+
+/**
+ * Logs an admin deleting an evidence file from a report
+ * @param {Object} file - Deleted file record ({ id, reportId, originalName, size })
+ * @param {string} adminUser - Admin who deleted the file
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logFileDeleted(file, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'FILE_DELETED',
+    adminUser,
+    targetType: 'report',
+    targetId: file.reportId,
+    details: `File ${file.originalName} (${file.id}) deleted from report ${file.reportId}`,
+    ipAddress,
+    metadata: {
+      fileId: file.id,
+      name: file.originalName,
+      size: file.size,
+      eventType: 'report_management'
+    }
+  });
+}
+
+/**
+ * Logs a legal hold placed on or lifted from a report
+ * @param {Object} report - Updated report ({ id, schoolName, legalHold })
+ * @param {string} adminUser - Admin who changed the hold
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logLegalHoldChanged(report, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'REPORT_LEGAL_HOLD_CHANGED',
+    adminUser,
+    targetType: 'report',
+    targetId: report.id,
+    details: report.legalHold
+      ? `Legal hold placed on report ${report.id} ("${report.schoolName}"): ${report.legalHold.reason}`
+      : `Legal hold lifted from report ${report.id} ("${report.schoolName}")`,
+    ipAddress,
+    metadata: {
+      hold: Boolean(report.legalHold),
+      reason: report.legalHold ? report.legalHold.reason : null,
+      eventType: 'data_retention'
+    }
+  });
+}
+
+/**
+ * Logs personal data or evidence removed from a report by a retention rule
+ * @param {Object} purge - Completed purge
+ * @param {string} purge.ruleId - Rule that required it
+ * @param {string} purge.action - Rule action
+ * @param {string} purge.reportId - Report the data was removed from
+ * @param {Array<string>} purge.fields - Reporter fields removed
+ * @param {Array<string>} purge.fileIds - Files deleted or stripped of their uploader address
+ * @param {Array<string>} [purge.messageIds] - Outbox messages the reporter's address was redacted in
+ * @param {Array<string>} [purge.auditLogIds] - Email audit entries the reporter's address was redacted in
+ * @param {string} adminUser - Admin who ran the rules, or 'system' for the scheduled run
+ * @param {string} [ipAddress] - IP address of the admin
+ */
+async function logRetentionPurge(purge, adminUser, ipAddress = 'system') {
+  const removed = [
+    purge.fields.length > 0 ? `reporter fields ${purge.fields.join(', ')}` : null,
+    purge.fileIds.length > 0 ? `${purge.fileIds.length} file(s)` : null,
+    purge.messageIds && purge.messageIds.length > 0 ? `the reporter's address in ${purge.messageIds.length} email(s)` : null
+  ].filter(Boolean).join(' and ');
+
+  return createAuditLog({
+    action: 'RETENTION_PURGE',
+    adminUser,
+    targetType: 'report',
+    targetId: purge.reportId,
+    details: `Retention rule ${purge.ruleId} (${purge.action}) removed ${removed} from report ${purge.reportId}`,
+    ipAddress,
+    metadata: {
+      ruleId: purge.ruleId,
+      action: purge.action,
+      fields: purge.fields,
+      fileIds: purge.fileIds,
+      messageIds: purge.messageIds || [],
+      auditLogIds: purge.auditLogIds || [],
+      eventType: 'data_retention'
+    }
+  });
+}
+
+/**
+ * Describes record counts for an audit entry
+ * @param {Object} counts - Number of records per kind
+ * @returns {string} For example "2 report(s), 1 file(s)"; kinds with no records are left out
+ */
+function describeCounts(counts) {
+  const parts = Object.entries(counts).filter(([, count]) => count > 0).map(([kind, count]) => `${count} ${kind}`);
+  return parts.length > 0 ? parts.join(', ') : 'no records';
+}
+
+/**
+ * Logs an export of the data held about a data subject. The subject's email
+ * address and phone number are not recorded.
+ * @param {Object} exported - Export summary
+ * @param {Object} exported.counts - Number of records exported per kind
+ * @param {Array<string>} exported.reportIds - Reports the subject is the reporter of
+ * @param {string} adminUser - Admin who exported the data
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logSubjectDataExported(exported, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'SUBJECT_DATA_EXPORTED',
+    adminUser,
+    targetType: 'system',
+    targetId: null,
+    details: `Data subject export created: ${describeCounts(exported.counts)}`,
+    ipAddress,
+    metadata: {
+      counts: exported.counts,
+      reportIds: exported.reportIds,
+      eventType: 'privacy'
+    }
+  });
+}
+
+/**
+ * Logs the erasure or anonymization of a data subject's data. The subject's
+ * email address and phone number are not recorded.
+ * @param {Object} erasure - Erasure result
+ * @param {string} erasure.mode - 'anonymize' or 'erase'
+ * @param {Object} erasure.changed - Number of records changed per kind
+ * @param {Array<string>} erasure.reportIds - Reports the subject's details were removed from
+ * @param {Array<Object>} erasure.held - Reports left alone because of a legal hold
+ * @param {boolean} erasure.verified - Whether a new search found nothing left outside held reports
+ * @param {string} adminUser - Admin who carried out the request
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logSubjectDataErased(erasure, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'SUBJECT_DATA_ERASED',
+    adminUser,
+    targetType: 'system',
+    targetId: null,
+    details: `Data subject request (${erasure.mode}) carried out: ${describeCounts(erasure.changed)}` +
+      (erasure.held.length > 0 ? `; ${erasure.held.length} report(s) on legal hold left alone` : '') +
+      (erasure.verified ? '' : '; data still found afterwards'),
+    ipAddress,
+    metadata: {
+      mode: erasure.mode,
+      changed: erasure.changed,
+      reportIds: erasure.reportIds,
+      heldReportIds: erasure.held.map(item => item.reportId),
+      verified: erasure.verified,
+      eventType: 'privacy'
+    }
+  });
+}
+
+/**
+ * Logs a comment added to a report
+ * @param {Object} comment - Created comment ({ id, reportId, mentions })
+ * @param {string} adminUser - Author of the comment
+ * @param {string} ipAddress - IP address of the author
+ */
+async function logCommentAdded(comment, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'COMMENT_ADDED',
+    adminUser,
+    targetType: 'report',
+    targetId: comment.reportId,
+    details: `Comment ${comment.id} added to report ${comment.reportId}`,
+    ipAddress,
+    metadata: {
+      commentId: comment.id,
+      mentions: comment.mentions,
+      eventType: 'report_comments'
+    }
+  });
+}
+
+/**
+ * Logs an edit to a report comment
+ * @param {Object} oldComment - Comment before the edit
+ * @param {Object} newComment - Comment after the edit
+ * @param {string} adminUser - User who edited the comment
+ * @param {string} ipAddress - IP address of the user
+ */
+async function logCommentUpdated(oldComment, newComment, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'COMMENT_UPDATED',
+    adminUser,
+    targetType: 'report',
+    targetId: newComment.reportId,
+    details: `Comment ${newComment.id} edited on report ${newComment.reportId}`,
+    ipAddress,
+    changes: {
+      body: { old: oldComment.body, new: newComment.body }
+    },
+    metadata: {
+      commentId: newComment.id,
+      mentions: newComment.mentions,
+      eventType: 'report_comments'
+    }
+  });
+}
+
+/**
+ * Logs deletion of a report comment
+ * @param {Object} comment - Deleted comment
+ * @param {string} adminUser - User who deleted the comment
+ * @param {string} ipAddress - IP address of the user
+ */
+async function logCommentDeleted(comment, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'COMMENT_DELETED',
+    adminUser,
+    targetType: 'report',
+    targetId: comment.reportId,
+    details: `Comment ${comment.id} by ${comment.author} deleted from report ${comment.reportId}`,
+    ipAddress,
+    changes: {
+      body: { old: comment.body, new: null }
+    },
+    metadata: {
+      commentId: comment.id,
+      author: comment.author,
+      eventType: 'report_comments'
+    }
+  });
+}
+
+/**
+ * Logs a school added to the registry by an admin
+ * @param {Object} school - Created school
+ * @param {string} adminUser - Admin who created the school
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logSchoolCreated(school, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'SCHOOL_CREATED',
+    adminUser,
+    targetType: 'school',
+    targetId: school.id,
+    details: `School "${school.name}" added to the registry`,
+    ipAddress,
+    metadata: { eventType: 'school_registry' }
+  });
+}
+
+/**
+ * Logs an edit to a school record
+ * @param {Object} school - Updated school
+ * @param {Object} changes - Object describing what changed
+ * @param {string} adminUser - Admin who made the change
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logSchoolUpdated(school, changes, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'SCHOOL_UPDATED',
+    adminUser,
+    targetType: 'school',
+    targetId: school.id,
+    details: `School "${school.name}" updated`,
+    ipAddress,
+    changes,
+    metadata: { eventType: 'school_registry' }
+  });
+}
+
+/**
+ * Logs a merge of two school records
+ * @param {Object} target - School that was kept
+ * @param {Object} source - School that was merged away
+ * @param {string} adminUser - Admin who merged the schools
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logSchoolMerged(target, source, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'SCHOOL_MERGED',
+    adminUser,
+    targetType: 'school',
+    targetId: target.id,
+    details: `School "${source.name}" (${source.id}) merged into "${target.name}"`,
+    ipAddress,
+    metadata: {
+      sourceSchoolId: source.id,
+      movedReportIds: source.reportIds,
+      eventType: 'school_registry'
+    }
+  });
+}
+
+/**
+ * Logs reports split out of a school into a new school record
+ * @param {Object} original - School the reports were taken from
+ * @param {Object} created - New school holding the moved reports
+ * @param {string} adminUser - Admin who split the school
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logSchoolSplit(original, created, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'SCHOOL_SPLIT',
+    adminUser,
+    targetType: 'school',
+    targetId: original.id,
+    details: `${created.reportIds.length} report(s) split from "${original.name}" into new school "${created.name}"`,
+    ipAddress,
+    metadata: {
+      newSchoolId: created.id,
+      movedReportIds: created.reportIds,
+      eventType: 'school_registry'
+    }
+  });
+}
+
+/**
+ * Logs an import of the licensed school reference list
+ * @param {Object} result - Import result
+ * @param {number} result.imported - Number of entries imported
+ * @param {Array} result.skipped - Rows that were skipped
+ * @param {number} result.total - Size of the list after the import
+ * @param {boolean} result.replaced - Whether the previous list was replaced
+ * @param {string} adminUser - Admin who imported the list
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logLicensedSchoolsImported(result, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'LICENSED_SCHOOLS_IMPORTED',
+    adminUser,
+    targetType: 'system',
+    targetId: null,
+    details: `Licensed school list ${result.replaced ? 'replaced' : 'extended'}: ${result.imported} imported, ${result.skipped.length} skipped`,
+    ipAddress,
+    metadata: {
+      imported: result.imported,
+      skipped: result.skipped.length,
+      total: result.total,
+      replaced: result.replaced,
+      eventType: 'licensed_schools'
+    }
+  });
+}
+
+/**
+ * Logs an email sent from the portal
+ * @param {Object} email - Sent email
+ * @param {string} [email.reportId] - Report the email is about
+ * @param {string} email.templateId - Template the email was based on
+ * @param {number} [email.templateVersion] - Template version, when rendered on the server
+ * @param {string} email.to - Recipient address
+ * @param {string} email.subject - Subject line
+ * @param {Array<Object>} [email.attachments] - Files sent with the email ({ fileId, filename, size })
+ * @param {string} adminUser - User who sent the email
+ * @param {string} ipAddress - IP address of the user
+ */
+async function logEmailSent(email, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'EMAIL_SENT',
+    adminUser,
+    targetType: 'email',
+    targetId: email.reportId || null,
+    details: `Sent "${email.templateId}" email to ${email.to}: ${email.subject}` +
+      (email.attachments && email.attachments.length > 0
+        ? ` (attachments: ${email.attachments.map(attachment => attachment.filename).join(', ')})`
+        : ''),
+    ipAddress,
+    metadata: {
+      templateId: email.templateId,
+      templateVersion: email.templateVersion || null,
+      recipient: email.to,
+      subject: email.subject,
+      attachments: email.attachments || [],
+      eventType: 'email'
+    }
+  });
+}
+
+/**
+ * Logs an email that could not be delivered and was dead-lettered
+ * @param {Object} message - Outbox message (id, reportId, templateId, to, subject, attempts, lastError)
+ * @param {string} adminUser - User who sent the email
+ * @param {string} ipAddress - IP address of the user
+ */
+async function logEmailFailed(message, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'EMAIL_FAILED',
+    adminUser,
+    targetType: 'email',
+    targetId: message.reportId || message.id,
+    details: `Email to ${message.to} failed after ${message.attempts} attempts: ${message.lastError}`,
+    ipAddress,
+    metadata: {
+      messageId: message.id,
+      templateId: message.templateId,
+      recipient: message.to,
+      subject: message.subject,
+      attempts: message.attempts,
+      reason: message.lastError,
+      eventType: 'email'
+    }
+  });
+}
+
+/**
+ * Logs a dead-lettered email being put back in the outbox
+ * @param {Object} message - Outbox message (id, reportId, to, subject)
+ * @param {string} adminUser - User who resent the email
+ * @param {string} ipAddress - IP address of the user
+ */
+async function logEmailResent(message, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'EMAIL_RESENT',
+    adminUser,
+    targetType: 'email',
+    targetId: message.reportId || message.id,
+    details: `Resent email to ${message.to}: ${message.subject}`,
+    ipAddress,
+    metadata: {
+      messageId: message.id,
+      recipient: message.to,
+      subject: message.subject,
+      eventType: 'email'
+    }
+  });
+}
+
+/**
+ * Logs a new email template
+ * @param {Object} template - Created template
+ * @param {string} adminUser - Admin who created the template
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logEmailTemplateCreated(template, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'EMAIL_TEMPLATE_CREATED',
+    adminUser,
+    targetType: 'email',
+    targetId: template.id,
+    details: `Email template "${template.name}" created (version ${template.version})`,
+    ipAddress,
+    metadata: { version: template.version, eventType: 'email_template' }
+  });
+}
+
+/**
+ * Logs an edit to an email template
+ * @param {Object} template - Template after the change
+ * @param {Object} changes - Object describing what changed
+ * @param {string} adminUser - Admin who made the change
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logEmailTemplateUpdated(template, changes, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'EMAIL_TEMPLATE_UPDATED',
+    adminUser,
+    targetType: 'email',
+    targetId: template.id,
+    details: `Email template "${template.name}" updated to version ${template.version}`,
+    ipAddress,
+    changes,
+    metadata: { version: template.version, eventType: 'email_template' }
+  });
+}
+
+/**
+ * Logs a deleted email template
+ * @param {Object} template - Deleted template
+ * @param {string} adminUser - Admin who deleted the template
+ * @param {string} ipAddress - IP address of the admin
+ */
+async function logEmailTemplateDeleted(template, adminUser, ipAddress) {
+  return createAuditLog({
+    action: 'EMAIL_TEMPLATE_DELETED',
+    adminUser,
+    targetType: 'email',
+    targetId: template.id,
+    details: `Email template "${template.name}" deleted at version ${template.version}`,
+    ipAddress,
+    metadata: { version: template.version, eventType: 'email_template' }
+  });
+}
+
+/**
+ * Logs a reply threaded onto a report as correspondence
+ * @param {Object} entry - Correspondence entry (id, reportId, outboundEmailId, from, subject, attachments)
+ */
+async function logCorrespondenceReceived(entry) {
+  return createAuditLog({
+    action: 'CORRESPONDENCE_RECEIVED',
+    adminUser: 'system',
+    targetType: 'report',
+    targetId: entry.reportId,
+    details: `Reply from ${entry.from} ("${entry.subject}") added to report ${entry.reportId}`,
+    ipAddress: 'system',
+    metadata: {
+      correspondenceId: entry.id,
+      outboundEmailId: entry.outboundEmailId,
+      sender: entry.from,
+      attachments: entry.attachments.map(attachment => attachment.filename),
+      eventType: 'email'
+    }
+  });
+}
+
+/**
+ * Logs an inbound email turned into a report
+ * @param {Object} inbound - Ingested message (messageId, from, subject, reportId, fileIds)
+ */
+async function logEmailIngested(inbound) {
+  return createAuditLog({
+    action: 'EMAIL_INGESTED',
+    adminUser: 'system',
+    targetType: 'report',
+    targetId: inbound.reportId,
+    details: `Email from ${inbound.from} ("${inbound.subject}") ingested into report ${inbound.reportId}` +
+      ` with ${inbound.fileIds.length} image(s); held for review`,
+    ipAddress: 'system',
+    metadata: {
+      inboundId: inbound.id,
+      messageId: inbound.messageId,
+      sender: inbound.from,
+      fileIds: inbound.fileIds,
+      eventType: 'email'
+    }
+  });
+}
+
+/**
+ * Logs an automatic notification email sent to a reporter
+ * @param {Object} notification - Notification details
+ * @param {string} notification.reportId - Report the email is about
+ * @param {string} notification.templateId - Template that was sent
+ * @param {string} notification.to - Recipient address
+ */
+async function logNotificationSent(notification) {
+  return createAuditLog({
+    action: 'NOTIFICATION_SENT',
+    adminUser: 'system',
+    targetType: 'email',
+    targetId: notification.reportId,
+    details: `Automatic "${notification.templateId}" email sent to ${notification.to}`,
+    ipAddress: 'system',
+    metadata: {
+      templateId: notification.templateId,
+      recipient: notification.to,
+      eventType: 'notification'
+    }
+  });
+}
+
+/**
+ * Logs an automatic notification email that could not be sent
+ * @param {Object} notification - Notification details (reportId, templateId, to)
+ * @param {string} reason - Why sending failed
+ */
+async function logNotificationFailed(notification, reason) {
+  return createAuditLog({
+    action: 'NOTIFICATION_FAILED',
+    adminUser: 'system',
+    targetType: 'email',
+    targetId: notification.reportId,
+    details: `Automatic "${notification.templateId}" email to ${notification.to} failed: ${reason}`,
+    ipAddress: 'system',
+    metadata: {
+      templateId: notification.templateId,
+      recipient: notification.to,
+      reason,
+      eventType: 'notification'
+    }
+  });
+}
 
 module.exports = {
   getAuditLogs,
@@ -576,6 +1404,7 @@ module.exports = {
   getAuditLogsByAction,
   getRecentAuditLogs,
   getAuditStatistics,
+  redactAuditLog,
   clearCache,
 
   // Authentication audit methods
@@ -583,7 +1412,52 @@ module.exports = {
   logFailedLogin,
   logLogout,
   logPasswordChange,
+  logFailedPasswordChange,
   logStatusUpdate,
+  logBulkStatusUpdate,
+  logReportMerged,
+  logReportReviewed,
+  logReportsExported,
+  logMvcPackageCreated,
+  logFileOriginalAccessed,
+  logFileDeleted,
+
+  // Data retention and privacy audit methods
+  logLegalHoldChanged,
+  logRetentionPurge,
+  logSubjectDataExported,
+  logSubjectDataErased,
+
+  // User management audit methods
+  logUserCreated,
+  logUserUpdated,
+  logUserDeleted,
+
+  // Report comment audit methods
+  logCommentAdded,
+  logCommentUpdated,
+  logCommentDeleted,
+
+  // School registry audit methods
+  logSchoolCreated,
+  logSchoolUpdated,
+  logSchoolMerged,
+  logSchoolSplit,
+
+  // Licensed school list audit methods
+  logLicensedSchoolsImported,
+
+  // Email audit methods
+  logEmailSent,
+  logEmailFailed,
+  logEmailResent,
+  logEmailIngested,
+  logCorrespondenceReceived,
+  logEmailTemplateCreated,
+  logEmailTemplateUpdated,
+  logEmailTemplateDeleted,
+  logNotificationSent,
+  logNotificationFailed,
 
   // Utility functions for testing
   getCachedAuditLogs,
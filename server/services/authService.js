@@ -1,48 +1,145 @@
-const { generateToken, hashPassword, verifyPassword } = require('../middleware/auth');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { generateToken, hashPassword, verifyPassword, JWT_SECRET } = require('../middleware/auth');
 const auditService = require('./auditService');
+const localJsonService = require('./localJsonService');
+const User = require('../models/User');
+const { getDataDir } = require('../utils/fsUtils');
+
+// Configuration constants
+const USERS_DATA_FILE = 'users';
+const INITIAL_PASSWORD_FILE = 'initial-admin-password.txt';
+const MIN_PASSWORD_LENGTH = 8;
+const USER_ROLES = User.getRoleEnum();
 
 /**
  * Authentication service for admin users
- * Manages user authentication, session handling, and basic user management
+ * Manages user authentication, session handling, and user management.
+ * Accounts are persisted in the local JSON "users" sheet so password changes
+ * and additional accounts survive restarts.
  */
 class AuthService {
   constructor() {
-    // In a real application, this would be stored in a database
-    // For now, we'll use environment variables for the default admin user
-    this.users = new Map();
-    this.initializeDefaultAdmin();
+    // Lazily seeded on first use so requiring the module has no side effects
+    this.initialization = null;
+  }
+
+  /**
+   * Ensures the users store exists and has been seeded with the default admin
+   * @returns {Promise<void>}
+   */
+  async ensureInitialized() {
+    if (!this.initialization) {
+      this.initialization = this.initializeDefaultAdmin().catch((error) => {
+        // Allow a later call to retry initialization
+        this.initialization = null;
+        throw error;
+      });
+    }
+    return this.initialization;
   }
 
   /**
    * Initialize default admin user from environment variables
+   * Only runs when the users store is empty, so persisted accounts
+   * (and their changed passwords) always take precedence. Without
+   * ADMIN_PASSWORD the account gets a random password, written to a file
+   * only the server's user can read; the log names the file, never the password.
    */
   async initializeDefaultAdmin() {
     const defaultUsername = process.env.ADMIN_USERNAME || 'admin';
-    const defaultPassword = process.env.ADMIN_PASSWORD || 'admin123';
 
-    // Only create if user doesn't exist
-    if (!this.users.has(defaultUsername)) {
+    await localJsonService.ensureSheetExists(null, USERS_DATA_FILE);
+    const existingUsers = await localJsonService.getAllRows(null, USERS_DATA_FILE);
+
+    if (existingUsers.length === 0) {
+      const defaultPassword = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+      const passwordFile = path.join(getDataDir(), INITIAL_PASSWORD_FILE);
+
+      // Written before the account exists, so it is never created with a password nobody has
+      if (!process.env.ADMIN_PASSWORD) {
+        await fs.mkdir(getDataDir(), { recursive: true });
+        await fs.writeFile(passwordFile, `${defaultPassword}\n`, { mode: 0o600 });
+        await fs.chmod(passwordFile, 0o600);
+      }
+
       const hashedPassword = await hashPassword(defaultPassword);
-      this.users.set(defaultUsername, {
-        id: 'admin-001',
+      const adminUser = User.create({
         username: defaultUsername,
         passwordHash: hashedPassword,
-        role: 'admin',
-        createdAt: new Date().toISOString(),
-        lastLogin: null,
-        isActive: true
-      });
+        role: USER_ROLES.ADMIN
+      }, 'system');
+
+      await localJsonService.appendRow(null, USERS_DATA_FILE, adminUser);
 
-      console.log(`Default admin user initialized: ${defaultUsername}`);
+      if (process.env.ADMIN_PASSWORD) {
+        console.log(`Default admin user initialized: ${defaultUsername}`);
+      } else {
+        console.warn(`[AUTH] ADMIN_PASSWORD is not set. Created admin user "${defaultUsername}" with a random password saved to ${passwordFile} - sign in, change the password and delete the file.`);
+      }
     }
   }
 
+  /**
+   * Retrieves all users from local JSON storage
+   * @returns {Promise<Array<User>>} Array of User instances
+   */
+  async loadUsers() {
+    await this.ensureInitialized();
+
+    const usersData = await localJsonService.getAllRows(null, USERS_DATA_FILE);
+
+    return usersData.map(data => {
+      try {
+        return new User(data);
+      } catch (error) {
+        console.warn('Skipping invalid user data:', data && data.id, error.message);
+        return null;
+      }
+    }).filter(user => user !== null);
+  }
+
+  /**
+   * Finds a user by username (case-insensitive)
+   * @param {string} username - Username to look up
+   * @returns {Promise<User|null>} User instance or null if not found
+   */
+  async findByUsername(username) {
+    if (!username || typeof username !== 'string') {
+      return null;
+    }
+
+    const users = await this.loadUsers();
+    return users.find(user => user.username.toLowerCase() === username.toLowerCase()) || null;
+  }
+
+  /**
+   * Finds a user by ID
+   * @param {string} userId - User ID
+   * @returns {Promise<User|null>} User instance or null if not found
+   */
+  async findById(userId) {
+    const users = await this.loadUsers();
+    return users.find(user => user.id === userId) || null;
+  }
+
+  /**
+   * Persists an updated user record
+   * @param {User} user - Updated user instance
+   * @returns {Promise<void>}
+   */
+  async saveUser(user) {
+    await localJsonService.updateRow(null, USERS_DATA_FILE, user.id, user);
+  }
+
   /**
    * Authenticate user with username and password
    */
   async authenticate(username, password, ipAddress) {
     try {
-      const user = this.users.get(username);
+      const user = await this.findByUsername(username);
 
       if (!user) {
         try {
@@ -73,29 +170,29 @@ class AuthService {
       }
 
       // Update last login
-      user.lastLogin = new Date().toISOString();
-      this.users.set(username, user);
+      const loggedInUser = user.update({ lastLogin: new Date().toISOString() });
+      await this.saveUser(loggedInUser);
 
       // Generate JWT token
       const token = generateToken({
-        id: user.id,
-        username: user.username,
-        role: user.role
+        id: loggedInUser.id,
+        username: loggedInUser.username,
+        role: loggedInUser.role
       });
 
       // Log successful login (don't fail auth if audit logging fails)
       try {
-        await auditService.logLogin(user.username, ipAddress);
+        await auditService.logLogin(loggedInUser.username, ipAddress);
       } catch (auditError) {
         console.warn('Failed to log login audit event:', auditError.message);
       }
 
       return {
         user: {
-          id: user.id,
-          username: user.username,
-          role: user.role,
-          lastLogin: user.lastLogin
+          id: loggedInUser.id,
+          username: loggedInUser.username,
+          role: loggedInUser.role,
+          lastLogin: loggedInUser.lastLogin
         },
         token,
         expiresIn: '24h'
@@ -108,15 +205,18 @@ class AuthService {
   }
 
   /**
-   * Verify JWT token and return user info
+   * Verify JWT token and return the current details of its user
+   * The account is looked up every time, so a disabled or deleted account
+   * loses access and a role change applies without signing in again.
+   * @param {string} token - JWT from the Authorization header
+   * @returns {Promise<Object>} { id, username, role } as stored now
+   * @throws {Error} If the token is invalid or expired, or the user is missing or disabled
    */
   async verifyToken(token) {
     try {
-      // This is handled by the auth middleware, but we can add additional validation here
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'njdsc-admin-secret-key-2025');
+      const decoded = jwt.verify(token, JWT_SECRET);
 
-      const user = this.users.get(decoded.username);
+      const user = await this.findById(decoded.id);
       if (!user || !user.isActive) {
         throw new Error('User not found or inactive');
       }
@@ -134,11 +234,11 @@ class AuthService {
   }
 
   /**
-   * Change admin password
+   * Change a user's own password
    */
   async changePassword(username, currentPassword, newPassword, ipAddress) {
     try {
-      const user = this.users.get(username);
+      const user = await this.findByUsername(username);
 
       if (!user) {
         throw new Error('User not found');
@@ -152,15 +252,13 @@ class AuthService {
       }
 
       // Validate new password
-      if (newPassword.length < 8) {
-        throw new Error('New password must be at least 8 characters long');
+      if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`New password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
       }
 
       // Hash new password
       const newPasswordHash = await hashPassword(newPassword);
-      user.passwordHash = newPasswordHash;
-
-      this.users.set(username, user);
+      await this.saveUser(user.update({ passwordHash: newPasswordHash }));
 
       // Log password change
       await auditService.logPasswordChange(username, ipAddress);
@@ -177,48 +275,181 @@ class AuthService {
    * Get user profile information
    */
   async getUserProfile(username) {
-    const user = this.users.get(username);
+    const user = await this.findByUsername(username);
 
     if (!user) {
       throw new Error('User not found');
     }
 
-    return {
-      id: user.id,
-      username: user.username,
-      role: user.role,
-      createdAt: user.createdAt,
-      lastLogin: user.lastLogin,
-      isActive: user.isActive
-    };
+    return user.toPublicJSON();
   }
 
   /**
    * Check if user has admin role
    */
-  hasAdminRole(username) {
-    const user = this.users.get(username);
-    return user && user.role === 'admin' && user.isActive;
+  async hasAdminRole(username) {
+    const user = await this.findByUsername(username);
+    return !!user && user.hasRole(USER_ROLES.ADMIN);
   }
 
   /**
-   * Get all active users (admin only)
+   * Get all users (admin only)
    */
   async getAllUsers() {
-    const users = [];
-    for (const [username, user] of this.users) {
-      users.push({
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        createdAt: user.createdAt,
-        lastLogin: user.lastLogin,
-        isActive: user.isActive
-      });
+    const users = await this.loadUsers();
+    return users.map(user => user.toPublicJSON());
+  }
+
+  /**
+   * Create a new user account (admin only)
+   * @param {Object} userData - New user data
+   * @param {string} userData.username - Login name
+   * @param {string} userData.password - Plain-text password
+   * @param {string} userData.role - User role
+   * @param {string} [userData.email] - Contact email
+   * @param {string} createdBy - Username of the admin creating the account
+   * @param {string} ipAddress - IP address of the request
+   * @returns {Promise<Object>} Public profile of the created user
+   */
+  async createUser(userData, createdBy, ipAddress) {
+    const { username, password, role, email } = userData;
+
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`User validation failed: password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    }
+
+    const existingUser = await this.findByUsername(username);
+    if (existingUser) {
+      throw new Error(`User "${username}" already exists`);
     }
-    return users;
+
+    const passwordHash = await hashPassword(password);
+    const user = User.create({
+      username,
+      passwordHash,
+      role,
+      email: email || null
+    }, createdBy);
+
+    await localJsonService.appendRow(null, USERS_DATA_FILE, user);
+
+    try {
+      await auditService.logUserCreated(user.username, user.role, createdBy, ipAddress);
+    } catch (auditError) {
+      console.warn('Failed to log user creation audit event:', auditError.message);
+    }
+
+    return user.toPublicJSON();
+  }
+
+  /**
+   * Update a user's role, status, email or password (admin only)
+   * @param {string} userId - ID of the user to update
+   * @param {Object} updates - Fields to update (role, isActive, email, password)
+   * @param {string} updatedBy - Username of the admin making the change
+   * @param {string} ipAddress - IP address of the request
+   * @returns {Promise<Object>} Public profile of the updated user
+   */
+  async updateUser(userId, updates, updatedBy, ipAddress) {
+    const users = await this.loadUsers();
+    const user = users.find(u => u.id === userId);
+
+    if (!user) {
+      throw new Error(`User with ID ${userId} not found`);
+    }
+
+    const updatePayload = {};
+    const changes = {};
+
+    if (updates.role !== undefined && updates.role !== user.role) {
+      updatePayload.role = updates.role;
+      changes.role = { old: user.role, new: updates.role };
+    }
+
+    if (updates.isActive !== undefined && updates.isActive !== user.isActive) {
+      updatePayload.isActive = updates.isActive;
+      changes.isActive = { old: user.isActive, new: updates.isActive };
+    }
+
+    if (updates.email !== undefined && updates.email !== user.email) {
+      updatePayload.email = updates.email || null;
+      changes.email = { old: user.email || null, new: updates.email || null };
+    }
+
+    if (updates.password !== undefined) {
+      if (typeof updates.password !== 'string' || updates.password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`User validation failed: password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+      }
+      updatePayload.passwordHash = await hashPassword(updates.password);
+      changes.password = { old: '[redacted]', new: '[redacted]' };
+    }
+
+    const updatedUser = user.update(updatePayload);
+
+    // Never leave the portal without an active administrator
+    const losesAdmin = user.hasRole(USER_ROLES.ADMIN) && !updatedUser.hasRole(USER_ROLES.ADMIN);
+    if (losesAdmin && this.countActiveAdmins(users) <= 1) {
+      throw new Error('Cannot remove the last active admin account');
+    }
+
+    await this.saveUser(updatedUser);
+
+    if (Object.keys(changes).length > 0) {
+      try {
+        await auditService.logUserUpdated(updatedUser.username, changes, updatedBy, ipAddress);
+      } catch (auditError) {
+        console.warn('Failed to log user update audit event:', auditError.message);
+      }
+    }
+
+    return updatedUser.toPublicJSON();
+  }
+
+  /**
+   * Delete a user account (admin only)
+   * @param {string} userId - ID of the user to delete
+   * @param {string} deletedBy - Username of the admin deleting the account
+   * @param {string} ipAddress - IP address of the request
+   * @returns {Promise<boolean>} True if the user was deleted, false if not found
+   */
+  async deleteUser(userId, deletedBy, ipAddress) {
+    const users = await this.loadUsers();
+    const user = users.find(u => u.id === userId);
+
+    if (!user) {
+      return false;
+    }
+
+    if (user.username.toLowerCase() === String(deletedBy).toLowerCase()) {
+      throw new Error('You cannot delete your own account');
+    }
+
+    if (user.hasRole(USER_ROLES.ADMIN) && this.countActiveAdmins(users) <= 1) {
+      throw new Error('Cannot remove the last active admin account');
+    }
+
+    const deleted = await localJsonService.deleteRow(null, USERS_DATA_FILE, userId);
+
+    if (deleted) {
+      try {
+        await auditService.logUserDeleted(user.username, deletedBy, ipAddress);
+      } catch (auditError) {
+        console.warn('Failed to log user deletion audit event:', auditError.message);
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Counts active admin accounts
+   * @param {Array<User>} users - Users to inspect
+   * @returns {number} Number of active admins
+   */
+  countActiveAdmins(users) {
+    return users.filter(user => user.hasRole(USER_ROLES.ADMIN)).length;
   }
 }
 
 // Export singleton instance
-module.exports = new AuthService();
\ No newline at end of file
+module.exports = new AuthService();
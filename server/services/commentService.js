@@ -0,0 +1,200 @@
+/**
+ * Comment Service for NJDSC School Compliance Portal
+ *
+ * Provides business logic for internal report comments: threads per report,
+ * author-only editing and @mentions of other portal users.
+ */
+
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const localJsonService = require('./localJsonService');
+const reportService = require('./reportService');
+const authService = require('./authService');
+const auditService = require('./auditService');
+
+// Configuration constants
+const COMMENTS_DATA_FILE = 'comments';
+
+/**
+ * Ensures a report exists before working with its comments
+ * @param {string} reportId - Report ID
+ * @throws {Error} If report not found
+ */
+async function assertReportExists(reportId) {
+  const report = await reportService.getReportById(reportId, true);
+  if (!report) {
+    throw new Error(`Report with ID ${reportId} not found`);
+  }
+}
+
+/**
+ * Resolves @mentions in comment text to active portal users
+ * @param {string} body - Comment text
+ * @returns {Promise<Array<string>>} Usernames of mentioned active users
+ */
+async function resolveMentions(body) {
+  const candidates = Comment.extractMentions(body);
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const users = await authService.getAllUsers();
+  const activeUsernames = new Set(users.filter(user => user.isActive).map(user => user.username));
+
+  return candidates.filter(username => activeUsernames.has(username));
+}
+
+/**
+ * Finds a comment on a report
+ * @param {string} reportId - Report ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Comment>} Comment instance
+ * @throws {Error} If comment not found on the report
+ */
+async function findComment(reportId, commentId) {
+  const rows = await localJsonService.getAllRows(null, COMMENTS_DATA_FILE);
+  const row = rows.find(r => r.id === commentId && r.reportId === reportId);
+
+  if (!row) {
+    throw new Error(`Comment with ID ${commentId} not found`);
+  }
+
+  return new Comment(row);
+}
+
+/**
+ * Gets the comment thread of a report, oldest first
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Array<Comment>>} Comments on the report
+ * @throws {Error} If report not found
+ */
+async function getComments(reportId) {
+  await assertReportExists(reportId);
+
+  const rows = await localJsonService.getAllRows(null, COMMENTS_DATA_FILE);
+
+  return rows
+    .filter(row => row.reportId === reportId)
+    .map(row => {
+      try {
+        return new Comment(row);
+      } catch (error) {
+        console.warn('Skipping invalid comment data:', row.id, error.message);
+        return null;
+      }
+    })
+    .filter(comment => comment !== null)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Adds a comment to a report
+ * @param {string} reportId - Report ID
+ * @param {string} body - Comment text
+ * @param {string} author - Username of the author
+ * @param {string} ipAddress - IP address of the request
+ * @returns {Promise<Comment>} Created comment
+ * @throws {Error} If report not found or validation fails
+ */
+async function createComment(reportId, body, author, ipAddress) {
+  await assertReportExists(reportId);
+
+  const mentions = await resolveMentions(body);
+  const comment = Comment.create({ reportId, author, body, mentions });
+
+  await localJsonService.appendRow(null, COMMENTS_DATA_FILE, { ...comment });
+
+  try {
+    await auditService.logCommentAdded(comment, author, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log comment audit event:', auditError.message);
+  }
+
+  return comment;
+}
+
+/**
+ * Edits a comment. Only the author may change a comment's text.
+ * @param {string} reportId - Report ID
+ * @param {string} commentId - Comment ID
+ * @param {string} body - New comment text
+ * @param {Object} user - Authenticated portal user ({ username, role })
+ * @param {string} ipAddress - IP address of the request
+ * @returns {Promise<Comment>} Updated comment
+ * @throws {Error} If comment not found, user is not the author or validation fails
+ */
+async function updateComment(reportId, commentId, body, user, ipAddress) {
+  const comment = await findComment(reportId, commentId);
+
+  if (comment.author !== user.username) {
+    throw new Error('Permission denied: only the author can edit this comment');
+  }
+
+  const mentions = await resolveMentions(body);
+  const updatedComment = comment.update({ body, mentions });
+
+  await localJsonService.updateRow(null, COMMENTS_DATA_FILE, commentId, { ...updatedComment });
+
+  try {
+    await auditService.logCommentUpdated(comment, updatedComment, user.username, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log comment audit event:', auditError.message);
+  }
+
+  return updatedComment;
+}
+
+/**
+ * Deletes a comment. Authors may delete their own comments; admins may delete any.
+ * @param {string} reportId - Report ID
+ * @param {string} commentId - Comment ID
+ * @param {Object} user - Authenticated portal user ({ username, role })
+ * @param {string} ipAddress - IP address of the request
+ * @returns {Promise<Comment>} The deleted comment
+ * @throws {Error} If comment not found or user may not delete it
+ */
+async function deleteComment(reportId, commentId, user, ipAddress) {
+  const comment = await findComment(reportId, commentId);
+
+  if (comment.author !== user.username && !User.roleSatisfies(user.role, User.getRoleEnum().ADMIN)) {
+    throw new Error('Permission denied: only the author or an admin can delete this comment');
+  }
+
+  await localJsonService.deleteRow(null, COMMENTS_DATA_FILE, commentId);
+
+  try {
+    await auditService.logCommentDeleted(comment, user.username, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log comment audit event:', auditError.message);
+  }
+
+  return comment;
+}
+
+/**
+ * Moves every comment from one report to another (used when reports are merged)
+ * @param {string} fromReportId - Report the comments currently belong to
+ * @param {string} toReportId - Report that receives the comments
+ * @returns {Promise<number>} Number of comments moved
+ */
+async function moveComments(fromReportId, toReportId) {
+  const rows = await localJsonService.getAllRows(null, COMMENTS_DATA_FILE);
+  const moved = rows.filter(row => row.reportId === fromReportId);
+
+  for (const row of moved) {
+    await localJsonService.updateRow(null, COMMENTS_DATA_FILE, row.id, { reportId: toReportId });
+  }
+
+  return moved.length;
+}
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  moveComments,
+
+  // Export for testing
+  resolveMentions
+};
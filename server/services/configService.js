@@ -396,6 +396,73 @@ const DEFAULT_CONFIGS = {
     description: 'Email body template for MVC reports'
   },
 
+  // Automatic reporter notifications (one switch per email template)
+  'email.notifications.confirmation.enabled': {
+    value: true,
+    type: 'boolean',
+    category: 'email',
+    description: 'Email reporters an acknowledgement when their report is received'
+  },
+  'email.notifications.investigation_update.enabled': {
+    value: true,
+    type: 'boolean',
+    category: 'email',
+    description: 'Email reporters when their report moves to a new status'
+  },
+  'email.notifications.case_closed.enabled': {
+    value: true,
+    type: 'boolean',
+    category: 'email',
+    description: 'Email reporters when their report is closed'
+  },
+
+  // Email outbox delivery
+  'email.outbox.maxAttempts': {
+    value: 5,
+    type: 'number',
+    category: 'email',
+    description: 'Delivery attempts per email before it is dead-lettered'
+  },
+  'email.outbox.retryDelaySeconds': {
+    value: 60,
+    type: 'number',
+    category: 'email',
+    description: 'Wait after the first failed delivery attempt; doubles with each further attempt'
+  },
+  'email.attachments.maxTotalSizeMB': {
+    value: 10,
+    type: 'number',
+    category: 'email',
+    description: 'Largest total size of the files attached to one email, in MB'
+  },
+  'email.branding.colorScheme': {
+    value: {
+      name: 'Dull Orange',
+      colors: {
+        'lapis-lazuli': '#2660a4',
+        'azure-web': '#edf7f6',
+        'sandy-brown': '#f19953',
+        'copper': '#c47335',
+        'caf-noir': '#56351e'
+      }
+    },
+    type: 'json',
+    category: 'email',
+    description: 'Color scheme used by the HTML email layout, kept in sync with the scheme applied in the admin panel'
+  },
+  'email.inbound.enabled': {
+    value: false,
+    type: 'boolean',
+    category: 'email',
+    description: 'Turn emailed tips in the inbound mail drop into reports held for review'
+  },
+  'email.inbound.dropDir': {
+    value: '',
+    type: 'string',
+    category: 'email',
+    description: 'Maildir or mbox drop directory for inbound mail (default: inbound/ in the data directory)'
+  },
+
   // Google API configuration
   'google.sheets.spreadsheetId': {
     value: process.env.GOOGLE_SHEETS_SPREADSHEET_ID || '',
@@ -434,6 +501,43 @@ const DEFAULT_CONFIGS = {
     type: 'number',
     category: 'system',
     description: 'Session timeout in milliseconds'
+  },
+  'system.retention.enabled': {
+    value: false,
+    type: 'boolean',
+    category: 'system',
+    description: 'Apply the data retention rules on a schedule'
+  },
+  'system.retention.rules': {
+    value: [
+      {
+        id: 'reporter-ip',
+        action: 'purge_reporter_ip',
+        afterDays: 90,
+        from: 'created',
+        enabled: true,
+        description: 'Remove reporter and uploader IP addresses 90 days after submission'
+      },
+      {
+        id: 'reporter-contacts',
+        action: 'anonymize_reporter',
+        afterDays: 365,
+        from: 'closed',
+        enabled: true,
+        description: 'Remove reporter contact details one year after the report is closed'
+      },
+      {
+        id: 'closed-evidence',
+        action: 'delete_evidence',
+        afterDays: 1095,
+        from: 'closed',
+        enabled: true,
+        description: 'Delete evidence files three years after the report is closed'
+      }
+    ],
+    type: 'json',
+    category: 'system',
+    description: 'Data retention rules; reports on legal hold are exempt'
   }
 };
 
@@ -0,0 +1,311 @@
+/**
+ * Correspondence Service for NJDSC School Compliance Portal
+ *
+ * Keeps the email conversation about a report: mail the portal sent (from the
+ * outbox) and the replies that came back. Replies are found in the inbound
+ * mail drop by inboundEmailService and matched to the report by the signed
+ * Message-ID on the message they answer. Their attachments are stored under
+ * the data directory, apart from the report's evidence.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Correspondence = require('../models/Correspondence');
+const localJsonService = require('./localJsonService');
+const reportService = require('./reportService');
+const emailOutboxService = require('./emailOutboxService');
+const configService = require('./configService');
+const auditService = require('./auditService');
+const { getDataDir } = require('../utils/fsUtils');
+
+// Configuration constants
+const CORRESPONDENCE_DATA_FILE = 'correspondence';
+const ATTACHMENTS_DIR_NAME = 'correspondence';
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+const MAX_BODY_LENGTH = 50000;
+const REDACTED_SENDER = '[redacted]';
+
+/**
+ * Gets the directory reply attachments are stored in
+ * @returns {string} Absolute directory path
+ */
+function getAttachmentsDir() {
+  return path.join(getDataDir(), ATTACHMENTS_DIR_NAME);
+}
+
+/**
+ * Ensures a report exists before working with its correspondence
+ * @param {string} reportId - Report ID
+ * @throws {Error} If report not found
+ */
+async function assertReportExists(reportId) {
+  const report = await reportService.getReportById(reportId, true);
+  if (!report) {
+    throw new Error(`Report with ID ${reportId} not found`);
+  }
+}
+
+/**
+ * Gets the largest attachment size that is stored
+ * @returns {Promise<number>} Size in bytes
+ */
+async function getMaxFileSize() {
+  try {
+    const value = Number(await configService.getConfig('system.maxFileSize'));
+    return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_FILE_SIZE;
+  } catch (error) {
+    console.warn('[CORRESPONDENCE] Failed to read system.maxFileSize, using the default:', error.message);
+    return DEFAULT_MAX_FILE_SIZE;
+  }
+}
+
+/**
+ * Stores the attachments of a reply
+ * @param {string} entryId - Correspondence entry the files belong to
+ * @param {Array<Object>} attachments - Parsed attachments ({ filename, contentType, size, content })
+ * @returns {Promise<{stored: Array<Object>, skipped: Array<Object>}>} Stored attachments ({ filename, contentType, size, path }) and skipped ones ({ filename, reason })
+ */
+async function storeAttachments(entryId, attachments) {
+  const maxFileSize = await getMaxFileSize();
+  const stored = [];
+  const skipped = [];
+
+  for (const attachment of attachments) {
+    const filename = attachment.filename.slice(0, 255);
+
+    if (attachment.size === 0 || attachment.size > maxFileSize) {
+      skipped.push({ filename, reason: attachment.size === 0 ? 'empty file' : `larger than ${maxFileSize} bytes` });
+      continue;
+    }
+    if (stored.length >= MAX_ATTACHMENTS) {
+      skipped.push({ filename, reason: `more than ${MAX_ATTACHMENTS} attachments` });
+      continue;
+    }
+
+    // Stored names only use safe characters; the original name is kept in the entry
+    const relativePath = `${entryId}/${stored.length + 1}-${filename.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 100)}`;
+    await fs.mkdir(path.join(getAttachmentsDir(), entryId), { recursive: true });
+    await fs.writeFile(path.join(getAttachmentsDir(), relativePath), attachment.content);
+
+    stored.push({
+      filename,
+      contentType: (attachment.contentType || 'application/octet-stream').slice(0, 100),
+      size: attachment.size,
+      path: relativePath
+    });
+  }
+
+  return { stored, skipped };
+}
+
+/**
+ * Adds a reply to a report's correspondence
+ * @param {string} reportId - Report the reply belongs to
+ * @param {string} outboundEmailId - Outbox message the reply answers
+ * @param {Object} message - Parsed message (from parseMessage)
+ * @returns {Promise<{entry: Correspondence, skipped: Array<Object>}>} New entry and the attachments that were not stored ({ filename, reason })
+ * @throws {Error} If the report does not exist or the reply is invalid
+ */
+async function addReply(reportId, outboundEmailId, message) {
+  await assertReportExists(reportId);
+
+  const entryId = Correspondence.generateId();
+  const { stored, skipped } = await storeAttachments(entryId, message.attachments);
+
+  const entry = Correspondence.create({
+    id: entryId,
+    reportId,
+    outboundEmailId,
+    messageId: message.messageId ? message.messageId.slice(0, 1000) : null,
+    from: message.from.address.slice(0, 254),
+    fromName: message.from.name.slice(0, 255),
+    subject: message.subject.slice(0, 1000),
+    body: message.text.slice(0, MAX_BODY_LENGTH),
+    attachments: stored,
+    receivedAt: message.date
+  });
+
+  await localJsonService.appendRow(null, CORRESPONDENCE_DATA_FILE, { ...entry });
+
+  try {
+    await auditService.logCorrespondenceReceived(entry);
+  } catch (auditError) {
+    console.warn('Failed to log correspondence audit event:', auditError.message);
+  }
+
+  return { entry, skipped };
+}
+
+/**
+ * Loads the replies stored for a report
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Array<Correspondence>>} Replies
+ */
+async function getReplies(reportId) {
+  const rows = await localJsonService.getAllRows(null, CORRESPONDENCE_DATA_FILE);
+
+  return rows
+    .filter(row => row.reportId === reportId)
+    .map(row => {
+      try {
+        return new Correspondence(row);
+      } catch (error) {
+        console.warn('[CORRESPONDENCE] Skipping invalid entry:', row.id, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Gets the email conversation about a report, oldest first. Sent mail comes
+ * from the outbox (with its delivery status); replies name the message they
+ * answer in `replyToId`.
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Array<Object>>} Conversation entries ({ id, direction, date, from, fromName, to, subject, body, attachments, status, sentBy, replyToId })
+ * @throws {Error} If the report does not exist
+ */
+async function getCorrespondence(reportId) {
+  await assertReportExists(reportId);
+
+  const { messages } = await emailOutboxService.getOutbox({ reportId, limit: Number.MAX_SAFE_INTEGER });
+  const replies = await getReplies(reportId);
+
+  const sent = messages.map(message => ({
+    id: message.id,
+    direction: 'outbound',
+    date: message.sentAt || message.createdAt,
+    from: null,
+    fromName: null,
+    to: message.to,
+    subject: message.subject,
+    body: message.body,
+    attachments: message.attachments.map(({ filename, contentType, size }) => ({ filename, contentType: contentType || null, size: size ?? null })),
+    status: message.status,
+    sentBy: message.createdBy,
+    replyToId: null
+  }));
+
+  const received = replies.map(reply => ({
+    id: reply.id,
+    direction: 'inbound',
+    date: reply.receivedAt,
+    from: reply.from,
+    fromName: reply.fromName,
+    to: null,
+    subject: reply.subject,
+    body: reply.body,
+    attachments: reply.attachments.map(({ filename, contentType, size }) => ({ filename, contentType, size })),
+    status: null,
+    sentBy: null,
+    replyToId: reply.outboundEmailId
+  }));
+
+  return [...sent, ...received].sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Gets a stored reply attachment
+ * @param {string} reportId - Report ID
+ * @param {string} entryId - Correspondence entry ID
+ * @param {number} index - Position of the attachment in the entry
+ * @returns {Promise<{filePath: string, filename: string, contentType: string, size: number}>} Attachment on disk
+ * @throws {Error} If the entry or attachment does not exist
+ */
+async function getAttachment(reportId, entryId, index) {
+  const entry = (await getReplies(reportId)).find(reply => reply.id === entryId);
+  const attachment = entry && Number.isInteger(index) ? entry.attachments[index] : null;
+
+  if (!attachment) {
+    throw new Error(`Correspondence attachment ${entryId}/${index} not found`);
+  }
+
+  const filePath = path.join(getAttachmentsDir(), attachment.path);
+  try {
+    await fs.access(filePath);
+  } catch {
+    throw new Error(`Correspondence attachment ${entryId}/${index} not found`);
+  }
+
+  return { filePath, filename: attachment.filename, contentType: attachment.contentType, size: attachment.size };
+}
+
+/**
+ * Moves every reply from one report to another (used when reports are merged)
+ * @param {string} fromReportId - Report the replies currently belong to
+ * @param {string} toReportId - Report that receives the replies
+ * @returns {Promise<number>} Number of replies moved
+ */
+async function moveCorrespondence(fromReportId, toReportId) {
+  const rows = await localJsonService.getAllRows(null, CORRESPONDENCE_DATA_FILE);
+  const moved = rows.filter(row => row.reportId === fromReportId);
+
+  for (const row of moved) {
+    await localJsonService.updateRow(null, CORRESPONDENCE_DATA_FILE, row.id, { reportId: toReportId });
+  }
+
+  return moved.length;
+}
+
+/**
+ * Lists every stored reply
+ * @returns {Promise<Array<Correspondence>>} Replies of all reports
+ */
+async function getAllReplies() {
+  const rows = await localJsonService.getAllRows(null, CORRESPONDENCE_DATA_FILE);
+
+  return rows.map(row => {
+    try {
+      return new Correspondence(row);
+    } catch (error) {
+      console.warn('[CORRESPONDENCE] Skipping invalid entry:', row.id, error.message);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Removes personal data from a reply (used for data subject requests)
+ * @param {string} entryId - Correspondence entry ID
+ * @param {Function} redact - Returns a text with the personal data replaced
+ * @returns {Promise<void>}
+ * @throws {Error} If the entry does not exist
+ */
+async function redactReply(entryId, redact) {
+  const entry = (await getAllReplies()).find(reply => reply.id === entryId);
+  if (!entry) {
+    throw new Error(`Correspondence entry ${entryId} not found`);
+  }
+
+  const fromSubject = redact(entry.from) !== entry.from;
+  await localJsonService.updateRow(null, CORRESPONDENCE_DATA_FILE, entryId, {
+    from: fromSubject ? REDACTED_SENDER : entry.from,
+    fromName: fromSubject ? '' : entry.fromName,
+    subject: redact(entry.subject),
+    body: redact(entry.body)
+  });
+}
+
+/**
+ * Deletes a reply and its stored attachments (used for data subject requests)
+ * @param {string} entryId - Correspondence entry ID
+ * @returns {Promise<void>}
+ */
+async function deleteReply(entryId) {
+  await fs.rm(path.join(getAttachmentsDir(), entryId), { recursive: true, force: true });
+  await localJsonService.deleteRow(null, CORRESPONDENCE_DATA_FILE, entryId);
+}
+
+module.exports = {
+  addReply,
+  getCorrespondence,
+  getAttachment,
+  getAllReplies,
+  redactReply,
+  deleteReply,
+  moveCorrespondence,
+
+  // Export for testing
+  storeAttachments
+};
@@ -0,0 +1,259 @@
+/**
+ * Duplicate Service for NJDSC School Compliance Portal
+ *
+ * Finds reports that probably describe the same school under different
+ * spellings, queues them for admin review, and merges or dismisses them.
+ */
+
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const localJsonService = require('./localJsonService');
+const reportService = require('./reportService');
+const fileService = require('./fileService');
+const commentService = require('./commentService');
+const correspondenceService = require('./correspondenceService');
+const emailOutboxService = require('./emailOutboxService');
+const schoolService = require('./schoolService');
+const auditService = require('./auditService');
+const { scoreReportSimilarity, DUPLICATE_SCORE_THRESHOLD } = require('../utils/validation');
+
+// Configuration constants
+const DUPLICATES_DATA_FILE = 'duplicates';
+
+const { PENDING, DISMISSED, MERGED } = DuplicateCandidate.getStatusEnum();
+
+/**
+ * Gets every duplicate candidate, whatever its review status
+ * @returns {Promise<Array<DuplicateCandidate>>} All valid candidates
+ */
+async function getAllCandidates() {
+  const rows = await localJsonService.getAllRows(null, DUPLICATES_DATA_FILE);
+
+  return rows.map(row => {
+    try {
+      return new DuplicateCandidate(row);
+    } catch (error) {
+      console.warn('Skipping invalid duplicate candidate data:', row.id, error.message);
+      return null;
+    }
+  }).filter(candidate => candidate !== null);
+}
+
+/**
+ * Summarizes a report for side-by-side review
+ * @param {Object} report - Report data
+ * @returns {Object} Fields a reviewer compares
+ */
+function summarizeReport(report) {
+  return {
+    id: report.id,
+    schoolName: report.schoolName,
+    status: report.status,
+    location: report.location || null,
+    phoneNumber: report.phoneNumber || null,
+    websiteUrl: report.websiteUrl || null,
+    violationDescription: report.violationDescription || null,
+    fileCount: (report.uploadedFiles || []).length,
+    createdAt: report.createdAt,
+    lastReported: report.lastReported
+  };
+}
+
+/**
+ * Scores a report against others and builds candidates for new likely duplicates.
+ * Pairs that were already queued (in any status) are never queued again, so a
+ * dismissed pair stays dismissed.
+ * @param {Object} report - Report to check
+ * @param {Array<Object>} reports - Reports to compare against
+ * @param {Array<DuplicateCandidate>} candidates - Known candidates; new ones are added to it
+ * @param {number} threshold - Minimum similarity score
+ * @returns {Array<DuplicateCandidate>} Newly created candidates
+ */
+function queueMatches(report, reports, candidates, threshold) {
+  const created = [];
+
+  reports.forEach(other => {
+    if (other.id === report.id || candidates.some(candidate => candidate.isPair(report.id, other.id))) {
+      return;
+    }
+
+    const { score, reasons } = scoreReportSimilarity(report, other);
+    if (score < threshold) {
+      return;
+    }
+
+    // The older report is the natural one to keep
+    const [older, newer] = new Date(other.createdAt) <= new Date(report.createdAt) ? [other, report] : [report, other];
+    const candidate = DuplicateCandidate.create({
+      reportId: newer.id,
+      duplicateOfId: older.id,
+      score,
+      reasons
+    });
+
+    candidates.push(candidate);
+    created.push(candidate);
+  });
+
+  return created;
+}
+
+/**
+ * Queues likely duplicates of a newly submitted report for review
+ * @param {Object} report - Report data
+ * @param {number} [threshold] - Minimum similarity score
+ * @returns {Promise<Array<DuplicateCandidate>>} Newly queued candidates
+ */
+async function detectDuplicates(report, threshold = DUPLICATE_SCORE_THRESHOLD) {
+  const allReports = await reportService.getAllReports();
+  const candidates = await getAllCandidates();
+
+  const created = queueMatches(report, allReports, candidates, threshold);
+  for (const candidate of created) {
+    await localJsonService.appendRow(null, DUPLICATES_DATA_FILE, { ...candidate });
+  }
+
+  if (created.length > 0) {
+    console.log(`[DUPLICATE SERVICE] Queued ${created.length} likely duplicate(s) of report ${report.id}`);
+  }
+
+  return created;
+}
+
+/**
+ * Compares every pair of reports and queues the likely duplicates not yet reviewed
+ * @param {number} [threshold] - Minimum similarity score
+ * @returns {Promise<Object>} Counts of newly detected and pending candidates
+ */
+async function scanForDuplicates(threshold = DUPLICATE_SCORE_THRESHOLD) {
+  const allReports = await reportService.getAllReports();
+  const candidates = await getAllCandidates();
+
+  const created = allReports.flatMap(report => queueMatches(report, allReports, candidates, threshold));
+  for (const candidate of created) {
+    await localJsonService.appendRow(null, DUPLICATES_DATA_FILE, { ...candidate });
+  }
+
+  return {
+    detected: created.length,
+    pending: candidates.filter(candidate => candidate.status === PENDING).length
+  };
+}
+
+/**
+ * Gets the review queue: pending candidates whose reports both still exist,
+ * highest score first
+ * @returns {Promise<Array<Object>>} Candidates with report and duplicateOf summaries
+ */
+async function getPendingDuplicates() {
+  const candidates = await getAllCandidates();
+  const allReports = await reportService.getAllReports();
+  const reportsById = new Map(allReports.map(report => [report.id, report]));
+
+  return candidates
+    .filter(candidate =>
+      candidate.status === PENDING &&
+      reportsById.has(candidate.reportId) &&
+      reportsById.has(candidate.duplicateOfId)
+    )
+    .map(candidate => ({
+      ...candidate,
+      report: summarizeReport(reportsById.get(candidate.reportId)),
+      duplicateOf: summarizeReport(reportsById.get(candidate.duplicateOfId))
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Marks a candidate as not a duplicate so it leaves the queue
+ * @param {string} candidateId - Candidate ID
+ * @param {string} dismissedBy - Username of the admin
+ * @returns {Promise<DuplicateCandidate>} Dismissed candidate
+ * @throws {Error} If candidate not found or already resolved
+ */
+async function dismissDuplicate(candidateId, dismissedBy) {
+  const candidates = await getAllCandidates();
+  const candidate = candidates.find(c => c.id === candidateId);
+
+  if (!candidate) {
+    throw new Error(`Duplicate candidate with ID ${candidateId} not found`);
+  }
+  if (candidate.status !== PENDING) {
+    throw new Error(`Duplicate candidate validation failed: candidate is already ${candidate.status}`);
+  }
+
+  const dismissed = candidate.resolve(DISMISSED, dismissedBy);
+  await localJsonService.updateRow(null, DUPLICATES_DATA_FILE, candidateId, { ...dismissed });
+
+  return dismissed;
+}
+
+/**
+ * Points queued candidates at the surviving report after a merge. The merged
+ * pair is resolved; other pending pairs that involved the source now involve
+ * the target, unless that pair is already queued.
+ * @param {string} targetId - Report that was kept
+ * @param {string} sourceId - Report that was merged away
+ * @param {string} mergedBy - Username of the admin
+ */
+async function resolveMergedCandidates(targetId, sourceId, mergedBy) {
+  const candidates = await getAllCandidates();
+
+  for (const candidate of candidates) {
+    if (candidate.status !== PENDING || (candidate.reportId !== sourceId && candidate.duplicateOfId !== sourceId)) {
+      continue;
+    }
+
+    const otherId = candidate.reportId === sourceId ? candidate.duplicateOfId : candidate.reportId;
+    const alreadyQueued = candidates.some(c => c.id !== candidate.id && c.isPair(targetId, otherId));
+
+    if (otherId === targetId || alreadyQueued) {
+      const resolved = candidate.resolve(MERGED, mergedBy);
+      await localJsonService.updateRow(null, DUPLICATES_DATA_FILE, candidate.id, { ...resolved });
+    } else {
+      const repointed = candidate.reportId === sourceId ? { reportId: targetId } : { duplicateOfId: targetId };
+      await localJsonService.updateRow(null, DUPLICATES_DATA_FILE, candidate.id, repointed);
+    }
+  }
+}
+
+/**
+ * Merges a duplicate report into another. Files, description and status
+ * history are combined on the target; the source's file records, comments,
+ * email correspondence and review-queue entries move to the target and the
+ * source is deleted.
+ * @param {string} targetId - Report that is kept
+ * @param {string} sourceId - Report that is merged away
+ * @param {string} mergedBy - Username of the admin
+ * @param {string} ipAddress - IP address of the request
+ * @returns {Promise<Report>} Merged report
+ * @throws {Error} If either report is not found or the merged report fails validation
+ */
+async function mergeDuplicateReports(targetId, sourceId, mergedBy, ipAddress) {
+  const { report, source } = await reportService.mergeReports(targetId, sourceId, mergedBy);
+
+  await fileService.reassignFiles(sourceId, targetId);
+  await commentService.moveComments(sourceId, targetId);
+  await emailOutboxService.moveMessages(sourceId, targetId);
+  await correspondenceService.moveCorrespondence(sourceId, targetId);
+  await schoolService.unregisterReport(sourceId);
+  await resolveMergedCandidates(targetId, sourceId, mergedBy);
+
+  try {
+    await auditService.logReportMerged(report, source, mergedBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log report merge audit event:', auditError.message);
+  }
+
+  return report;
+}
+
+module.exports = {
+  detectDuplicates,
+  scanForDuplicates,
+  getPendingDuplicates,
+  dismissDuplicate,
+  mergeDuplicateReports,
+
+  // Export for testing
+  getAllCandidates
+};
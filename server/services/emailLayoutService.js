@@ -0,0 +1,225 @@
+/**
+ * Email Layout Service for NJDSC School Compliance Portal
+ *
+ * Wraps a rendered email body in the branded NJDSC layout: a header, the
+ * message, a summary table of the report the email is about, thumbnails of
+ * attached evidence images and a footer. Every email gets an HTML part and a
+ * matching plain-text alternative. Colors come from the color scheme stored
+ * in the email.branding.colorScheme setting.
+ */
+
+const configService = require('./configService');
+
+const COLOR_SCHEME_KEY = 'email.branding.colorScheme';
+const THUMBNAIL_WIDTH = 120;
+const ORGANIZATION_NAME = 'New Jersey Driving School Coalition';
+const FOOTER_TEXT = 'This message was sent by the NJDSC School Compliance Portal.';
+
+/**
+ * The "Dull Orange" scheme the portal ships with. Scheme colors are used by
+ * position, in the order of the exported palette files.
+ * @type {{name: string, colors: Object<string, string>}}
+ */
+const DEFAULT_COLOR_SCHEME = {
+  name: 'Dull Orange',
+  colors: {
+    'lapis-lazuli': '#2660a4',
+    'azure-web': '#edf7f6',
+    'sandy-brown': '#f19953',
+    'copper': '#c47335',
+    'caf-noir': '#56351e'
+  }
+};
+
+// What each palette position is used for
+const COLOR_ROLES = ['primary', 'background', 'accent', 'secondary', 'text'];
+
+/**
+ * Converts a scheme color (#rgb, #rrggbb or #rrggbbaa) to #rrggbb
+ * @param {*} value - Color from the scheme
+ * @returns {string|null} Six-digit hex color, or null if the value is not a hex color
+ */
+function normalizeHexColor(value) {
+  const hex = typeof value === 'object' && value !== null ? value.hex : value;
+  const match = typeof hex === 'string' && hex.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+
+  if (!match) {
+    return null;
+  }
+
+  const digits = match[1].length === 3
+    ? match[1].split('').map(digit => digit + digit).join('')
+    : match[1].slice(0, 6);
+  return `#${digits.toLowerCase()}`;
+}
+
+/**
+ * Gets the layout colors from the active color scheme. Colors that are missing
+ * or invalid fall back to the default scheme.
+ * @returns {Promise<Object<string, string>>} Colors by role (primary, background, accent, secondary, text)
+ */
+async function getBrandColors() {
+  let scheme = null;
+  try {
+    scheme = await configService.getConfig(COLOR_SCHEME_KEY);
+  } catch (error) {
+    console.warn(`[EMAIL LAYOUT] Failed to read ${COLOR_SCHEME_KEY}, using the default colors:`, error.message);
+  }
+
+  const defaults = Object.values(DEFAULT_COLOR_SCHEME.colors);
+  const colors = scheme && typeof scheme.colors === 'object' && scheme.colors !== null
+    ? Object.values(scheme.colors)
+    : [];
+
+  return Object.fromEntries(COLOR_ROLES.map((role, index) => [
+    role,
+    normalizeHexColor(colors[index]) || defaults[index]
+  ]));
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Gets the rows of the report summary table. Only fields that may be shown to
+ * reporters are included.
+ * @param {Object} report - Report the email is about
+ * @returns {Array<Array<string>>} [label, value] rows with a value
+ */
+function getReportSummary(report) {
+  const rows = [
+    ['Report ID', report.id],
+    ['School', report.schoolName],
+    ['Location', report.location],
+    ['Status', report.status],
+    ['Reported', report.createdAt ? new Date(report.createdAt).toISOString().slice(0, 10) : null]
+  ];
+
+  return rows.filter(([, value]) => value);
+}
+
+/**
+ * Renders the HTML part
+ * @param {Object} content - Email content
+ * @param {Object<string, string>} colors - Brand colors
+ * @returns {string} HTML document
+ */
+function renderHtml({ subject, body, summary, thumbnails, attachments }, colors) {
+  const paragraphs = String(body).trim().split(/\r?\n\s*\r?\n/)
+    .map(paragraph => `<p style="margin:0 0 16px 0;">${escapeHtml(paragraph).replace(/\r?\n/g, '<br>')}</p>`)
+    .join('\n');
+
+  const summaryTable = summary.length === 0 ? '' : `
+<h2 style="margin:24px 0 8px 0;font-size:16px;color:${colors.primary};">Report Summary</h2>
+<table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="border-collapse:collapse;font-size:14px;">
+${summary.map(([label, value]) => `<tr>
+<td style="padding:6px 12px;background:${colors.background};border:1px solid ${colors.background};font-weight:bold;width:30%;">${escapeHtml(label)}</td>
+<td style="padding:6px 12px;border:1px solid ${colors.background};">${escapeHtml(value)}</td>
+</tr>`).join('\n')}
+</table>`;
+
+  const thumbnailRow = thumbnails.length === 0 ? '' : `
+<h2 style="margin:24px 0 8px 0;font-size:16px;color:${colors.primary};">Evidence</h2>
+<p style="margin:0;">${thumbnails.map(attachment =>
+    `<img src="cid:${escapeHtml(attachment.cid)}" alt="${escapeHtml(attachment.filename)}" width="${THUMBNAIL_WIDTH}" ` +
+    `style="width:${THUMBNAIL_WIDTH}px;height:auto;margin:0 8px 8px 0;border:1px solid ${colors.background};">`
+  ).join('')}</p>`;
+
+  const otherFiles = attachments.filter(attachment => !attachment.cid);
+  const fileList = otherFiles.length === 0 ? '' : `
+<p style="margin:16px 0 0 0;font-size:13px;">Attached: ${otherFiles.map(attachment => escapeHtml(attachment.filename)).join(', ')}</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:${colors.background};">
+<table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background:${colors.background};">
+<tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" cellpadding="0" cellspacing="0" width="600" style="max-width:600px;width:100%;background:#ffffff;font-family:Arial,Helvetica,sans-serif;color:${colors.text};">
+<tr><td style="background:${colors.primary};color:#ffffff;padding:20px 24px;border-bottom:4px solid ${colors.accent};">
+<div style="font-size:22px;font-weight:bold;">NJDSC</div>
+<div style="font-size:13px;">${ORGANIZATION_NAME}</div>
+</td></tr>
+<tr><td style="padding:24px;font-size:15px;line-height:1.5;">
+${paragraphs}${summaryTable}${thumbnailRow}${fileList}
+</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid ${colors.background};font-size:12px;color:${colors.secondary};">
+${FOOTER_TEXT}
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+/**
+ * Renders the plain-text alternative
+ * @param {Object} content - Email content
+ * @returns {string} Plain text
+ */
+function renderText({ body, summary, attachments }) {
+  const sections = [String(body).trim()];
+
+  if (summary.length > 0) {
+    const width = Math.max(...summary.map(([label]) => label.length));
+    sections.push(['Report Summary', ...summary.map(([label, value]) => `  ${`${label}:`.padEnd(width + 1)} ${value}`)].join('\n'));
+  }
+
+  if (attachments.length > 0) {
+    sections.push(`Attached: ${attachments.map(attachment => attachment.filename).join(', ')}`);
+  }
+
+  sections.push(`--\n${FOOTER_TEXT}`);
+  return sections.join('\n\n');
+}
+
+/**
+ * Renders an email in the branded NJDSC layout
+ * @param {Object} content - Email content
+ * @param {string} content.subject - Email subject
+ * @param {string} content.body - Rendered plain-text body
+ * @param {Object} [content.report] - Report the email is about, for the summary table
+ * @param {Array<Object>} [content.attachments] - Attachments; those with a `cid` are shown as thumbnails
+ * @returns {Promise<{html: string, text: string}>} HTML part and plain-text alternative
+ */
+async function renderEmailLayout({ subject, body, report = null, attachments = [] }) {
+  const colors = await getBrandColors();
+  const content = {
+    subject,
+    body,
+    summary: report ? getReportSummary(report) : [],
+    thumbnails: attachments.filter(attachment => attachment.cid),
+    attachments
+  };
+
+  return {
+    html: renderHtml(content, colors),
+    text: renderText(content)
+  };
+}
+
+module.exports = {
+  renderEmailLayout,
+  getBrandColors,
+
+  // Export for testing
+  normalizeHexColor,
+  escapeHtml,
+  DEFAULT_COLOR_SCHEME
+};
@@ -0,0 +1,601 @@
+/**
+ * Email Outbox Service for NJDSC School Compliance Portal
+ *
+ * Every outgoing email is stored in the outbox before it is sent, so an SMTP
+ * outage delays mail instead of losing it. A background worker delivers due
+ * messages one at a time. Failed attempts are retried with exponential
+ * backoff until the message is sent or runs out of attempts and is
+ * dead-lettered; dead messages can be resent by hand.
+ */
+
+const fs = require('fs').promises;
+const OutboundEmail = require('../models/OutboundEmail');
+const localJsonService = require('./localJsonService');
+const emailService = require('./emailService');
+const emailTemplateService = require('./emailTemplateService');
+const emailLayoutService = require('./emailLayoutService');
+const fileService = require('./fileService');
+const configService = require('./configService');
+const auditService = require('./auditService');
+const { buildThreadMessageId } = require('../utils/replyToken');
+
+// Configuration constants
+const OUTBOX_DATA_FILE = 'emailOutbox';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_SECONDS = 60;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+const DEFAULT_MAX_ATTACHMENTS_MB = 10;
+const REDACTED_RECIPIENT = 'redacted@redacted.invalid';
+
+const STATUS = OutboundEmail.getStatusEnum();
+const SOURCE = OutboundEmail.getSourceEnum();
+
+// Worker state
+let pollTimer = null;
+let isProcessing = false;
+let rerunRequested = false;
+
+/**
+ * Reads a positive integer setting, falling back when it is missing or invalid
+ * @param {string} key - Configuration key
+ * @param {number} fallback - Value to use instead
+ * @returns {Promise<number>} Setting value
+ */
+async function getNumberSetting(key, fallback) {
+  try {
+    const value = Number(await configService.getConfig(key));
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+  } catch (error) {
+    console.warn(`[EMAIL OUTBOX] Failed to read ${key}, using ${fallback}:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Gets the retry settings from configuration
+ * @returns {Promise<{maxAttempts: number, retryDelaySeconds: number}>} Retry settings
+ */
+async function getRetrySettings() {
+  return {
+    maxAttempts: await getNumberSetting('email.outbox.maxAttempts', DEFAULT_MAX_ATTEMPTS),
+    retryDelaySeconds: await getNumberSetting('email.outbox.retryDelaySeconds', DEFAULT_RETRY_DELAY_SECONDS)
+  };
+}
+
+/**
+ * Calculates how long to wait after a failed attempt. The delay doubles with
+ * each attempt and is capped at six hours.
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @param {number} retryDelaySeconds - Delay after the first failure
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(attempts, retryDelaySeconds) {
+  const delay = retryDelaySeconds * 1000 * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Reads all outbox messages
+ * @returns {Promise<Array<OutboundEmail>>} All valid messages
+ */
+async function loadMessages() {
+  const rows = await localJsonService.getAllRows(null, OUTBOX_DATA_FILE);
+
+  return rows.map(row => {
+    try {
+      return new OutboundEmail(row);
+    } catch (error) {
+      console.warn('Skipping invalid outbox message data:', row.id, error.message);
+      return null;
+    }
+  }).filter(message => message !== null);
+}
+
+/**
+ * Saves changed fields of an outbox message
+ * @param {OutboundEmail} message - Message to update
+ * @param {Object} fields - Changed fields
+ * @returns {Promise<OutboundEmail>} Updated message
+ */
+async function saveMessage(message, fields) {
+  const updated = new OutboundEmail({
+    ...message,
+    ...fields,
+    updatedAt: new Date().toISOString()
+  });
+  await localJsonService.updateRow(null, OUTBOX_DATA_FILE, updated.id, { ...updated });
+  return updated;
+}
+
+/**
+ * Resolves evidence files picked for an email. Every file must belong to the
+ * report the email is about.
+ * @param {string} reportId - Report the email is about
+ * @param {Array<string>} fileIds - IDs of the files to attach
+ * @returns {Promise<Array<Object>>} Attachments ({ fileId, filename, path, contentType, size })
+ * @throws {Error} If there is no report or a file does not belong to it
+ */
+async function resolveReportAttachments(reportId, fileIds) {
+  if (!reportId) {
+    throw new Error('Outbound email validation failed: attachments require a reportId');
+  }
+
+  const files = await fileService.getFilesByReportId(reportId);
+
+  return [...new Set(fileIds)].map(fileId => {
+    const file = files.find(candidate => candidate.id === fileId);
+    if (!file) {
+      throw new Error(`Outbound email validation failed: file ${fileId} does not belong to report ${reportId}`);
+    }
+    return {
+      fileId: file.id,
+      filename: file.originalName,
+      path: file.localFilePath,
+      contentType: file.mimeType,
+      size: file.size
+    };
+  });
+}
+
+/**
+ * Checks that attachments exist and stay under the total size cap. Sizes are
+ * taken from disk, so the stored size is corrected if it was wrong.
+ * @param {Array<Object>} attachments - Attachments with a path
+ * @returns {Promise<Array<Object>>} Attachments with their size on disk
+ * @throws {Error} If a file is missing or the total is over the cap
+ */
+async function checkAttachments(attachments) {
+  const checked = [];
+  for (const attachment of attachments) {
+    try {
+      const { size } = await fs.stat(attachment.path);
+      checked.push({ ...attachment, size });
+    } catch {
+      throw new Error(`Outbound email validation failed: attachment ${attachment.filename} is missing from storage`);
+    }
+  }
+
+  const maxSizeMb = await getNumberSetting('email.attachments.maxTotalSizeMB', DEFAULT_MAX_ATTACHMENTS_MB);
+  const totalSize = checked.reduce((sum, attachment) => sum + attachment.size, 0);
+  if (totalSize > maxSizeMb * 1024 * 1024) {
+    throw new Error(
+      `Outbound email validation failed: attachments total ${(totalSize / (1024 * 1024)).toFixed(1)} MB, over the ${maxSizeMb} MB limit`
+    );
+  }
+
+  return checked;
+}
+
+/**
+ * Gives image attachments a content ID so the HTML layout can show them inline
+ * @param {Array<Object>} attachments - Checked attachments
+ * @returns {Array<Object>} Attachments, images with a `cid`
+ */
+function assignContentIds(attachments) {
+  return attachments.map((attachment, index) => (
+    attachment.contentType && attachment.contentType.startsWith('image/')
+      ? { ...attachment, cid: `${attachment.fileId || `attachment${index + 1}`}@njdsc` }
+      : attachment
+  ));
+}
+
+/**
+ * Queues an email for delivery. The body is wrapped in the branded layout,
+ * which gives the message an HTML part and a plain-text alternative.
+ * @param {Object} email - Email to send
+ * @param {string} email.to - Recipient email address
+ * @param {string} email.subject - Email subject
+ * @param {string} email.body - Plain-text email body
+ * @param {Object} [email.report] - Report to summarize in the layout (not stored)
+ * @param {string} [email.cc] - CC recipients
+ * @param {string} [email.bcc] - BCC recipients
+ * @param {Array<Object>} [email.attachments] - Files on disk to attach ({ filename, path, contentType, fileId? })
+ * @param {string} [email.templateId] - Template the email was rendered from
+ * @param {number} [email.templateVersion] - Template version used
+ * @param {string} [email.reportId] - Report the email is about
+ * @param {string} [email.source] - 'manual' (default) or 'notification'
+ * @param {string} createdBy - User queuing the email ('system' for notifications)
+ * @param {string} [ipAddress] - IP address of the user
+ * @returns {Promise<OutboundEmail>} Queued message
+ * @throws {Error} If the email is invalid or its attachments are missing or too large
+ */
+async function enqueueEmail(email, createdBy, ipAddress = null) {
+  const { maxAttempts } = await getRetrySettings();
+  const attachments = email.attachments && email.attachments.length > 0
+    ? assignContentIds(await checkAttachments(email.attachments))
+    : [];
+  const layout = await emailLayoutService.renderEmailLayout({
+    subject: email.subject,
+    body: email.body,
+    report: email.report,
+    attachments
+  });
+  const message = OutboundEmail.create({
+    to: email.to,
+    subject: email.subject,
+    body: layout.text,
+    html: layout.html,
+    cc: email.cc,
+    bcc: email.bcc,
+    attachments,
+    templateId: email.templateId,
+    templateVersion: email.templateVersion,
+    reportId: email.reportId,
+    source: email.source
+  }, { maxAttempts, createdBy, ipAddress });
+
+  await localJsonService.appendRow(null, OUTBOX_DATA_FILE, { ...message });
+  console.log(`[EMAIL OUTBOX] Queued ${message.id} to ${message.to}`);
+
+  scheduleProcessing();
+  return message;
+}
+
+/**
+ * Renders a template and queues the result for delivery
+ * @param {string} templateId - Template ID
+ * @param {Object} options - Rendering options
+ * @param {Object} [options.variables] - Variable values; these win over report values
+ * @param {Object} [options.report] - Report to take variable values from
+ * @param {string} to - Recipient email address
+ * @param {Object} [meta] - Message fields (reportId, source, cc, bcc, attachments)
+ * @param {string} createdBy - User queuing the email
+ * @param {string} [ipAddress] - IP address of the user
+ * @returns {Promise<OutboundEmail>} Queued message
+ * @throws {Error} If the template does not exist or a required variable is missing
+ */
+async function enqueueTemplatedEmail(templateId, options, to, meta, createdBy, ipAddress = null) {
+  const rendered = await emailTemplateService.renderEmailTemplate(templateId, options);
+
+  if (rendered.missing.length > 0) {
+    throw new Error(`Email template '${templateId}' is missing required variables: ${rendered.missing.join(', ')}`);
+  }
+
+  return enqueueEmail({
+    ...meta,
+    report: options.report,
+    to,
+    subject: rendered.subject,
+    body: rendered.body,
+    templateId: rendered.templateId,
+    templateVersion: rendered.version
+  }, createdBy, ipAddress);
+}
+
+/**
+ * Records the final outcome of a message in the audit log. Retries in between
+ * are only logged to the console.
+ * @param {OutboundEmail} message - Sent or dead-lettered message
+ */
+async function auditDelivery(message) {
+  const notification = { reportId: message.reportId, templateId: message.templateId, to: message.to };
+
+  try {
+    if (message.source === SOURCE.NOTIFICATION) {
+      if (message.status === STATUS.SENT) {
+        await auditService.logNotificationSent(notification);
+      } else {
+        await auditService.logNotificationFailed(notification, message.lastError);
+      }
+    } else if (message.status === STATUS.SENT) {
+      await auditService.logEmailSent(
+        {
+          ...notification,
+          templateVersion: message.templateVersion,
+          subject: message.subject,
+          attachments: message.attachments.map(({ fileId, filename, size }) => ({ fileId: fileId || null, filename, size }))
+        },
+        message.createdBy,
+        message.ipAddress
+      );
+    } else {
+      await auditService.logEmailFailed(message, message.createdBy, message.ipAddress);
+    }
+  } catch (auditError) {
+    console.warn('Failed to log email delivery audit event:', auditError.message);
+  }
+}
+
+/**
+ * Makes one delivery attempt for a message. Mail about a report gets a signed
+ * Message-ID so replies can be threaded back onto the report.
+ * @param {OutboundEmail} message - Due message
+ * @param {Object} settings - Retry settings from getRetrySettings
+ * @returns {Promise<OutboundEmail>} Message after the attempt
+ */
+async function deliverMessage(message, settings) {
+  const attempt = await saveMessage(message, { status: STATUS.SENDING });
+  const attempts = attempt.attempts + 1;
+
+  try {
+    await emailService.sendEmail(attempt.to, attempt.subject, attempt.body, {
+      html: attempt.html,
+      ...(attempt.reportId ? { messageId: buildThreadMessageId(attempt.id, attempt.reportId, process.env.EMAIL_FROM) } : {}),
+      cc: attempt.cc,
+      bcc: attempt.bcc,
+      attachments: attempt.attachments.map(({ filename, path, contentType, cid }) => (
+        cid ? { filename, path, contentType, cid } : { filename, path, contentType }
+      ))
+    });
+  } catch (error) {
+    const dead = attempts >= attempt.maxAttempts;
+    const failed = await saveMessage(attempt, {
+      status: dead ? STATUS.DEAD : STATUS.RETRYING,
+      attempts,
+      lastError: error.message.slice(0, 1000),
+      nextAttemptAt: dead ? null : new Date(Date.now() + getRetryDelayMs(attempts, settings.retryDelaySeconds)).toISOString()
+    });
+
+    if (dead) {
+      console.error(`[EMAIL OUTBOX] ${failed.id} dead-lettered after ${attempts} attempts:`, error.message);
+      await auditDelivery(failed);
+    } else {
+      console.warn(`[EMAIL OUTBOX] ${failed.id} attempt ${attempts} failed, retrying at ${failed.nextAttemptAt}:`, error.message);
+    }
+    return failed;
+  }
+
+  const sent = await saveMessage(attempt, {
+    status: STATUS.SENT,
+    attempts,
+    lastError: null,
+    nextAttemptAt: null,
+    sentAt: new Date().toISOString()
+  });
+  console.log(`[EMAIL OUTBOX] ${sent.id} sent to ${sent.to}`);
+  await auditDelivery(sent);
+  return sent;
+}
+
+/**
+ * Delivers every due message, oldest first. Only one run happens at a time;
+ * a call made during a run triggers another run when it finishes.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{processed: number, sent: number, retrying: number, dead: number}|null>} Run summary, or null if a run was already in progress
+ */
+async function processOutbox(now = new Date()) {
+  if (isProcessing) {
+    rerunRequested = true;
+    return null;
+  }
+
+  isProcessing = true;
+  const summary = { processed: 0, sent: 0, retrying: 0, dead: 0 };
+
+  try {
+    const settings = await getRetrySettings();
+    const due = (await loadMessages())
+      .filter(message => message.isDue(now))
+      .sort((a, b) => new Date(a.nextAttemptAt || a.createdAt) - new Date(b.nextAttemptAt || b.createdAt));
+
+    for (const message of due) {
+      try {
+        const result = await deliverMessage(message, settings);
+        summary.processed++;
+        summary[result.status]++;
+      } catch (error) {
+        console.error(`[EMAIL OUTBOX] Failed to process ${message.id}:`, error.message);
+      }
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  if (rerunRequested) {
+    rerunRequested = false;
+    scheduleProcessing();
+  }
+
+  return summary;
+}
+
+/**
+ * Starts a delivery run soon, if the worker is running
+ */
+function scheduleProcessing() {
+  if (!pollTimer) {
+    return;
+  }
+
+  setImmediate(() => {
+    processOutbox().catch(error => console.error('[EMAIL OUTBOX] Delivery run failed:', error.message));
+  });
+}
+
+/**
+ * Returns messages left mid-send by a previous run to the retry queue. The
+ * send may have gone through, so such a message can arrive twice.
+ * @returns {Promise<number>} Number of messages requeued
+ */
+async function recoverInterruptedMessages() {
+  const interrupted = (await loadMessages()).filter(message => message.status === STATUS.SENDING);
+
+  for (const message of interrupted) {
+    await saveMessage(message, {
+      status: STATUS.RETRYING,
+      nextAttemptAt: new Date().toISOString()
+    });
+  }
+
+  if (interrupted.length > 0) {
+    console.log(`[EMAIL OUTBOX] Requeued ${interrupted.length} interrupted messages`);
+  }
+  return interrupted.length;
+}
+
+/**
+ * Starts the delivery worker. Calling it again has no effect.
+ * @param {Object} [options] - Worker options
+ * @param {number} [options.intervalMs] - How often to look for due messages
+ */
+async function start(options = {}) {
+  if (pollTimer) {
+    return;
+  }
+
+  const intervalMs = options.intervalMs || parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  pollTimer = setInterval(() => {
+    processOutbox().catch(error => console.error('[EMAIL OUTBOX] Delivery run failed:', error.message));
+  }, intervalMs);
+  pollTimer.unref();
+
+  await recoverInterruptedMessages();
+  scheduleProcessing();
+  console.log(`[EMAIL OUTBOX] Delivery worker started (every ${intervalMs}ms)`);
+}
+
+/**
+ * Stops the delivery worker
+ */
+function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Lists outbox messages, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - Only messages in this state
+ * @param {string} [filters.reportId] - Only messages about this report
+ * @param {number} [filters.limit] - Maximum number of messages (default 100)
+ * @returns {Promise<{messages: Array<OutboundEmail>, total: number, counts: Object}>} Matching messages, their total and the number of messages in each state
+ */
+async function getOutbox(filters = {}) {
+  const { status, reportId, limit = 100 } = filters;
+  const messages = await loadMessages();
+
+  const counts = {};
+  for (const value of Object.values(STATUS)) {
+    counts[value] = messages.filter(message => message.status === value).length;
+  }
+
+  const matching = messages
+    .filter(message => !status || message.status === status)
+    .filter(message => !reportId || message.reportId === reportId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return {
+    messages: matching.slice(0, limit),
+    total: matching.length,
+    counts
+  };
+}
+
+/**
+ * Gets an outbox message by ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<OutboundEmail>} The message
+ * @throws {Error} If the message does not exist
+ */
+async function getOutboxMessage(messageId) {
+  const message = (await loadMessages()).find(m => m.id === messageId);
+
+  if (!message) {
+    throw new Error(`Outbound email ${messageId} not found`);
+  }
+
+  return message;
+}
+
+/**
+ * Puts a dead-lettered message back in the queue with a fresh set of attempts
+ * @param {string} messageId - Message ID
+ * @param {string} resentBy - User resending the message
+ * @param {string} ipAddress - IP address of the user
+ * @returns {Promise<OutboundEmail>} Requeued message
+ * @throws {Error} If the message does not exist or is not dead-lettered
+ */
+async function resendEmail(messageId, resentBy, ipAddress) {
+  const message = await getOutboxMessage(messageId);
+
+  if (message.status !== STATUS.DEAD) {
+    throw new Error(`Outbound email ${messageId} is ${message.status}; only dead messages can be resent`);
+  }
+
+  const { maxAttempts } = await getRetrySettings();
+  const requeued = await saveMessage(message, {
+    status: STATUS.QUEUED,
+    attempts: 0,
+    maxAttempts,
+    nextAttemptAt: new Date().toISOString()
+  });
+
+  try {
+    await auditService.logEmailResent(requeued, resentBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log email resend audit event:', auditError.message);
+  }
+
+  scheduleProcessing();
+  return requeued;
+}
+
+/**
+ * Moves every message about one report to another (used when reports are
+ * merged). Replies to mail that was already sent still find the report,
+ * because they are matched through the outbox message.
+ * @param {string} fromReportId - Report the messages are about now
+ * @param {string} toReportId - Report that receives the messages
+ * @returns {Promise<number>} Number of messages moved
+ */
+async function moveMessages(fromReportId, toReportId) {
+  const moved = (await loadMessages()).filter(message => message.reportId === fromReportId);
+
+  for (const message of moved) {
+    await saveMessage(message, { reportId: toReportId });
+  }
+
+  return moved.length;
+}
+
+/**
+ * Removes personal data from a message (used for data subject requests).
+ * A recipient containing personal data is replaced by a placeholder address.
+ * @param {string} messageId - Message ID
+ * @param {Function} redact - Returns a text with the personal data replaced
+ * @returns {Promise<OutboundEmail>} Updated message
+ * @throws {Error} If the message does not exist
+ */
+async function redactMessage(messageId, redact) {
+  const message = await getOutboxMessage(messageId);
+
+  return saveMessage(message, {
+    to: redact(message.to) === message.to ? message.to : REDACTED_RECIPIENT,
+    cc: message.cc && redact(message.cc),
+    bcc: message.bcc && redact(message.bcc),
+    subject: redact(message.subject),
+    body: redact(message.body),
+    html: message.html && redact(message.html)
+  });
+}
+
+/**
+ * Deletes a message from the outbox (used for data subject requests)
+ * @param {string} messageId - Message ID
+ * @returns {Promise<void>}
+ */
+async function deleteMessage(messageId) {
+  await localJsonService.deleteRow(null, OUTBOX_DATA_FILE, messageId);
+}
+
+module.exports = {
+  enqueueEmail,
+  enqueueTemplatedEmail,
+  resolveReportAttachments,
+  processOutbox,
+  getOutbox,
+  getOutboxMessage,
+  resendEmail,
+  moveMessages,
+  redactMessage,
+  deleteMessage,
+  start,
+  stop,
+
+  // Export for testing
+  getRetryDelayMs,
+  recoverInterruptedMessages
+};
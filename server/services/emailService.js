@@ -2,11 +2,11 @@
  * Email Service for NJDSC School Compliance Portal
  *
  * Handles email sending functionality using Nodemailer with SMTP.
- * Supports templated emails with variable substitution for MVC notifications and status updates.
+ * Templated emails are rendered from the email template store (emailTemplateService).
  */
 
 const nodemailer = require('nodemailer');
-const configService = require('./configService');
+const emailTemplateService = require('./emailTemplateService');
 
 // Environment variables
 const SMTP_HOST = process.env.SMTP_HOST;
@@ -21,12 +21,9 @@ if (!SMTP_HOST) {
   console.warn('SMTP_HOST environment variable not provided. Email functionality will be disabled.');
 }
 
-if (!SMTP_USER) {
-  console.warn('SMTP_USER environment variable not provided. Email functionality will be disabled.');
-}
-
-if (!SMTP_PASS) {
-  console.warn('SMTP_PASS environment variable not provided. Email functionality will be disabled.');
+// A local SMTP stand-in (e.g. MailHog on port 1025) needs neither credential
+if (SMTP_HOST && (!SMTP_USER || !SMTP_PASS)) {
+  console.warn('SMTP_USER or SMTP_PASS environment variable not provided. Email will be sent without SMTP authentication.');
 }
 
 // Create transporter lazily
@@ -34,18 +31,18 @@ let transporter = null;
 
 function getTransporter() {
   if (!transporter) {
-    if (!SMTP_HOST || !SMTP_USER || !SMTP_PASS) {
-      throw new Error('Email service not configured. Missing SMTP credentials.');
+    if (!SMTP_HOST) {
+      throw new Error('Email service not configured. Missing SMTP host.');
     }
 
-    transporter = nodemailer.createTransporter({
+    transporter = nodemailer.createTransport({
       host: SMTP_HOST,
       port: SMTP_PORT,
       secure: SMTP_SECURE,
-      auth: {
+      auth: SMTP_USER && SMTP_PASS ? {
         user: SMTP_USER,
         pass: SMTP_PASS
-      },
+      } : undefined,
       // Additional security options
       tls: {
         rejectUnauthorized: false // Allow self-signed certificates in development
@@ -136,9 +133,12 @@ function substituteVariables(template, variables) {
  * @param {string} subject - Email subject
  * @param {string} body - Email body (plain text)
  * @param {Object} [options] - Additional options
+ * @param {string} [options.html] - HTML version of the body; `body` becomes its plain-text alternative
+ * @param {string} [options.messageId] - Message-ID header, in angle brackets
  * @param {string} [options.cc] - CC recipients
  * @param {string} [options.bcc] - BCC recipients
  * @param {string} [options.from] - Sender email address
+ * @param {Array<Object>} [options.attachments] - Files to attach ({ filename, path, contentType, cid? })
  * @returns {boolean} Success status
  * @throws {Error} If sending fails
  */
@@ -154,13 +154,17 @@ async function sendEmail(to, subject, body, options = {}) {
     };
 
     // Add optional fields
+    if (options.html) mailOptions.html = options.html;
+    if (options.messageId) mailOptions.messageId = options.messageId;
     if (options.cc) mailOptions.cc = options.cc;
     if (options.bcc) mailOptions.bcc = options.bcc;
+    if (options.attachments && options.attachments.length > 0) mailOptions.attachments = options.attachments;
 
     logOperation('sendEmail', {
       to,
       subject: subject.substring(0, 50) + (subject.length > 50 ? '...' : ''),
-      hasOptions: !!options.cc || !!options.bcc || !!options.from
+      hasOptions: !!options.cc || !!options.bcc || !!options.from,
+      attachmentCount: options.attachments ? options.attachments.length : 0
     });
 
     const info = await getTransporter().sendMail(mailOptions);
@@ -180,12 +184,12 @@ async function sendEmail(to, subject, body, options = {}) {
 
 /**
  * Sends a templated email with variable substitution
- * @param {string} templateKey - Template key (e.g., 'mvc.notification')
+ * @param {string} templateKey - Template ID in the email template store (e.g., 'case_closed')
  * @param {Object} variables - Variables for substitution
  * @param {string} recipient - Primary recipient email
  * @param {Object} [options] - Additional options
  * @returns {boolean} Success status
- * @throws {Error} If template not found or sending fails
+ * @throws {Error} If template not found, a required variable is missing or sending fails
  */
 async function sendTemplatedEmail(templateKey, variables, recipient, options = {}) {
   try {
@@ -197,26 +201,21 @@ async function sendTemplatedEmail(templateKey, variables, recipient, options = {
       throw new Error('Invalid variables: must be an object');
     }
 
-    // Get template from configuration
-    const subjectTemplate = await configService.getConfig(`email.templates.${templateKey}.subject`);
-    const bodyTemplate = await configService.getConfig(`email.templates.${templateKey}.body`);
+    const rendered = await emailTemplateService.renderEmailTemplate(templateKey, { variables });
 
-    if (!subjectTemplate || !bodyTemplate) {
-      throw new Error(`Email template '${templateKey}' not found in configuration`);
+    if (rendered.missing.length > 0) {
+      throw new Error(`Email template '${templateKey}' is missing required variables: ${rendered.missing.join(', ')}`);
     }
 
-    // Substitute variables
-    const subject = substituteVariables(subjectTemplate, variables);
-    const body = substituteVariables(bodyTemplate, variables);
-
     logOperation('sendTemplatedEmail', {
       templateKey,
+      version: rendered.version,
       recipient,
       variableCount: Object.keys(variables).length
     });
 
     // Send the email
-    return await sendEmail(recipient, subject, body, options);
+    return await sendEmail(recipient, rendered.subject, rendered.body, options);
 
   } catch (error) {
     if (error.message.includes('template') || error.message.includes('variables')) {
@@ -227,31 +226,19 @@ async function sendTemplatedEmail(templateKey, variables, recipient, options = {
 }
 
 /**
- * Retrieves available email templates from configuration
- * @returns {Object} Object with template keys and their subject/body
+ * Retrieves available email templates from the template store
+ * @returns {Object} Object with template IDs and their subject/body
  */
 async function getEmailTemplates() {
   try {
     logOperation('getEmailTemplates');
 
-    const allConfig = await configService.getAllConfig();
     const templates = {};
-
-    // Group template configurations by key
-    for (const [configKey, value] of Object.entries(allConfig)) {
-      if (configKey.startsWith('email.templates.')) {
-        const parts = configKey.split('.');
-        if (parts.length >= 4) {
-          const templateKey = parts.slice(2, -1).join('.'); // e.g., 'mvc.notification'
-          const templateType = parts[parts.length - 1]; // 'subject' or 'body'
-
-          if (!templates[templateKey]) {
-            templates[templateKey] = {};
-          }
-
-          templates[templateKey][templateType] = value;
-        }
-      }
+    for (const template of await emailTemplateService.getEmailTemplates()) {
+      templates[template.id] = {
+        subject: template.subject,
+        body: template.body
+      };
     }
 
     logOperation('getEmailTemplates', {
@@ -0,0 +1,382 @@
+/**
+ * Email Template Service for NJDSC School Compliance Portal
+ *
+ * Single store for the email templates used by the composer and the send
+ * route. Every saved change is kept in a version history, and templates are
+ * rendered on the server from their declared variables and report data.
+ */
+
+const EmailTemplate = require('../models/EmailTemplate');
+const localJsonService = require('./localJsonService');
+const auditService = require('./auditService');
+const { revealReporterPii } = require('../utils/piiEncryption');
+
+// Configuration constants
+const EMAIL_TEMPLATES_DATA_FILE = 'emailTemplates';
+const EMAIL_TEMPLATE_VERSIONS_DATA_FILE = 'emailTemplateVersions';
+
+// Fields an update may change; everything else is managed by the service
+const EDITABLE_FIELDS = ['name', 'description', 'subject', 'body', 'variables'];
+
+const SIGNATURE = 'Best regards,\nNJDSC Compliance Team';
+
+/**
+ * Templates written to an empty store on first use
+ * @type {Array<Object>}
+ */
+const DEFAULT_EMAIL_TEMPLATES = [
+  {
+    id: 'confirmation',
+    name: 'Report Confirmation',
+    description: 'Confirmation email sent to reporters when their report is received',
+    subject: 'NJDSC Report Confirmation - [[schoolName]]',
+    body: `Dear [[reporterName]],
+
+Thank you for submitting your report regarding [[schoolName]]. We have received your submission and assigned it report number [[reportId]].
+
+Our team will review the information provided and take appropriate action as needed. You can expect to hear from us within 5-7 business days regarding the status of your report.
+
+If you have any additional information or evidence to provide, please don't hesitate to contact us.
+
+${SIGNATURE}`,
+    variables: [
+      { name: 'reporterName', description: 'Reporter name', required: false, defaultValue: 'Reporter' },
+      { name: 'schoolName', description: 'Reported school' },
+      { name: 'reportId', description: 'Report ID' }
+    ]
+  },
+  {
+    id: 'mvc_notification',
+    name: 'MVC Report Notification',
+    description: 'Formal notification to MVC when a violation is confirmed',
+    subject: 'NJDSC Violation Report - [[schoolName]] - Reported to MVC',
+    body: `Dear MVC Compliance Officer,
+
+This is to notify you of a potential driving school violation that has been reported to NJDSC:
+
+School: [[schoolName]]
+Location: [[location]]
+Report ID: [[reportId]]
+Violation Description: [[violationDescription]]
+
+Our investigation has confirmed this violation and we are forwarding it to your office for further action. Reference number: [[mvcReferenceNumber]]
+
+Additional details and evidence are available in the attached report.
+
+Please let us know if you need any additional information from our office.
+
+${SIGNATURE}`,
+    variables: [
+      { name: 'schoolName', description: 'Reported school' },
+      { name: 'location', description: 'School location', required: false },
+      { name: 'reportId', description: 'Report ID' },
+      { name: 'violationDescription', description: 'Violation description' },
+      { name: 'mvcReferenceNumber', description: 'MVC reference number' }
+    ]
+  },
+  {
+    id: 'investigation_update',
+    name: 'Investigation Update',
+    description: 'Update email to reporters about investigation progress',
+    subject: 'Update on NJDSC Investigation - [[schoolName]]',
+    body: `Dear [[reporterName]],
+
+This is an update regarding your report (ID: [[reportId]]) concerning [[schoolName]].
+
+Our investigation is currently [[investigationStatus]]. [[investigationDetails]]
+
+We will continue to monitor this situation and will provide additional updates as new information becomes available.
+
+If you have any questions or additional information, please don't hesitate to contact us.
+
+${SIGNATURE}`,
+    variables: [
+      { name: 'reporterName', description: 'Reporter name', required: false, defaultValue: 'Reporter' },
+      { name: 'reportId', description: 'Report ID' },
+      { name: 'schoolName', description: 'Reported school' },
+      { name: 'investigationStatus', description: 'Investigation status', defaultValue: 'in progress' },
+      { name: 'investigationDetails', description: 'Investigation details', required: false, defaultValue: 'We are actively reviewing the evidence provided.' }
+    ]
+  },
+  {
+    id: 'case_closed',
+    name: 'Case Closed Notification',
+    description: 'Notification when a case is closed with resolution details',
+    subject: 'NJDSC Case Closed - [[schoolName]]',
+    body: `Dear [[reporterName]],
+
+We are writing to inform you that your report (ID: [[reportId]]) regarding [[schoolName]] has been closed.
+
+Resolution: [[resolutionSummary]]
+
+Thank you for bringing this matter to our attention. Your report has helped us maintain the standards of driver education in New Jersey.
+
+If you become aware of any similar issues in the future, please don't hesitate to contact us.
+
+${SIGNATURE}`,
+    variables: [
+      { name: 'reporterName', description: 'Reporter name', required: false, defaultValue: 'Reporter' },
+      { name: 'reportId', description: 'Report ID' },
+      { name: 'schoolName', description: 'Reported school' },
+      { name: 'resolutionSummary', description: 'Resolution summary', defaultValue: 'Violation confirmed and appropriate action taken.' }
+    ]
+  }
+];
+
+/**
+ * Reads the stored templates, seeding the defaults into a store that has
+ * never held any (an empty store with history means they were deleted)
+ * @returns {Promise<Array<EmailTemplate>>} All valid templates
+ */
+async function loadTemplates() {
+  let rows = await localJsonService.getAllRows(null, EMAIL_TEMPLATES_DATA_FILE);
+
+  if (rows.length === 0) {
+    const history = await localJsonService.getAllRows(null, EMAIL_TEMPLATE_VERSIONS_DATA_FILE);
+    if (history.length === 0) {
+      const defaults = DEFAULT_EMAIL_TEMPLATES.map(data => EmailTemplate.create(data));
+      await localJsonService.writeJsonFile(EMAIL_TEMPLATES_DATA_FILE, defaults.map(template => ({ ...template })));
+      await localJsonService.writeJsonFile(EMAIL_TEMPLATE_VERSIONS_DATA_FILE, defaults.map(template => template.toVersion()));
+      rows = defaults;
+    }
+  }
+
+  return rows.map(row => {
+    try {
+      return new EmailTemplate(row);
+    } catch (error) {
+      console.warn('Skipping invalid email template data:', row.id, error.message);
+      return null;
+    }
+  }).filter(template => template !== null);
+}
+
+/**
+ * Lists all email templates
+ * @returns {Promise<Array<EmailTemplate>>} Templates sorted by name
+ */
+async function getEmailTemplates() {
+  const templates = await loadTemplates();
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Gets an email template by ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<EmailTemplate>} The template
+ * @throws {Error} If the template does not exist
+ */
+async function getEmailTemplate(templateId) {
+  const templates = await loadTemplates();
+  const template = templates.find(t => t.id === templateId);
+
+  if (!template) {
+    throw new Error(`Email template ${templateId} not found`);
+  }
+
+  return template;
+}
+
+/**
+ * Appends a version record to the template history
+ * @param {EmailTemplate} template - Template as saved
+ */
+async function recordVersion(template) {
+  await localJsonService.appendRow(null, EMAIL_TEMPLATE_VERSIONS_DATA_FILE, template.toVersion());
+}
+
+/**
+ * Creates an email template
+ * @param {Object} data - Template data (id, name, description, subject, body, variables)
+ * @param {string} createdBy - User creating the template
+ * @param {string} ipAddress - IP address of the user
+ * @returns {Promise<EmailTemplate>} Created template
+ * @throws {Error} If validation fails or the ID is taken
+ */
+async function createEmailTemplate(data, createdBy, ipAddress) {
+  const fields = {};
+  for (const field of ['id', ...EDITABLE_FIELDS]) {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  }
+  let template = EmailTemplate.create(fields, createdBy);
+
+  const templates = await loadTemplates();
+  if (templates.some(t => t.id === template.id)) {
+    throw new Error(`Email template ${template.id} already exists`);
+  }
+
+  // A re-created template continues the numbering of a deleted one
+  const history = await localJsonService.getAllRows(null, EMAIL_TEMPLATE_VERSIONS_DATA_FILE);
+  const lastVersion = history
+    .filter(record => record.templateId === template.id)
+    .reduce((max, record) => Math.max(max, record.version), 0);
+  if (lastVersion > 0) {
+    template = new EmailTemplate({ ...template, version: lastVersion + 1 });
+  }
+
+  await localJsonService.appendRow(null, EMAIL_TEMPLATES_DATA_FILE, { ...template });
+  await recordVersion(template);
+
+  try {
+    await auditService.logEmailTemplateCreated(template, createdBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log email template creation audit event:', auditError.message);
+  }
+
+  return template;
+}
+
+/**
+ * Updates an email template and records the new version
+ * @param {string} templateId - Template ID
+ * @param {Object} updates - Fields to change (name, description, subject, body, variables)
+ * @param {number} [updates.version] - Version the change was based on; rejected if stale
+ * @param {string} updatedBy - User making the change
+ * @param {string} ipAddress - IP address of the user
+ * @returns {Promise<EmailTemplate>} Updated template (unchanged if nothing differs)
+ * @throws {Error} If not found, validation fails or the version is stale
+ */
+async function updateEmailTemplate(templateId, updates, updatedBy, ipAddress) {
+  const current = await getEmailTemplate(templateId);
+
+  if (updates.version !== undefined && Number(updates.version) !== current.version) {
+    throw new Error(`Email template version conflict: ${templateId} is at version ${current.version}, not ${updates.version}`);
+  }
+
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (updates[field] !== undefined && JSON.stringify(updates[field]) !== JSON.stringify(current[field])) {
+      changes[field] = { old: current[field], new: updates[field] };
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return current;
+  }
+
+  const fields = {};
+  for (const field of Object.keys(changes)) {
+    fields[field] = updates[field];
+  }
+
+  const template = new EmailTemplate({
+    ...current,
+    ...fields,
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy
+  });
+
+  await localJsonService.updateRow(null, EMAIL_TEMPLATES_DATA_FILE, templateId, { ...template });
+  await recordVersion(template);
+
+  try {
+    await auditService.logEmailTemplateUpdated(template, changes, updatedBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log email template update audit event:', auditError.message);
+  }
+
+  return template;
+}
+
+/**
+ * Deletes an email template. Its version history is kept.
+ * @param {string} templateId - Template ID
+ * @param {string} deletedBy - User deleting the template
+ * @param {string} ipAddress - IP address of the user
+ * @returns {Promise<EmailTemplate>} The deleted template
+ * @throws {Error} If the template does not exist
+ */
+async function deleteEmailTemplate(templateId, deletedBy, ipAddress) {
+  const template = await getEmailTemplate(templateId);
+  await localJsonService.deleteRow(null, EMAIL_TEMPLATES_DATA_FILE, templateId);
+
+  try {
+    await auditService.logEmailTemplateDeleted(template, deletedBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log email template deletion audit event:', auditError.message);
+  }
+
+  return template;
+}
+
+/**
+ * Gets the version history of a template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Array<Object>>} Version records, newest first
+ * @throws {Error} If the template has no history
+ */
+async function getEmailTemplateVersions(templateId) {
+  // Loading seeds the defaults, so their first versions exist
+  await loadTemplates();
+  const history = await localJsonService.getAllRows(null, EMAIL_TEMPLATE_VERSIONS_DATA_FILE);
+  const versions = history
+    .filter(record => record.templateId === templateId)
+    .sort((a, b) => b.version - a.version);
+
+  if (versions.length === 0) {
+    throw new Error(`Email template ${templateId} not found`);
+  }
+
+  return versions;
+}
+
+/**
+ * Builds template variable values from a report
+ * @param {Object} report - Report with admin fields
+ * @returns {Object} Values for the report-related variables that are set
+ */
+function getReportVariables(report) {
+  const values = {
+    reportId: report.id,
+    schoolName: report.schoolName,
+    location: report.location,
+    violationDescription: report.violationDescription,
+    reporterName: revealReporterPii(report).reporterName,
+    mvcReferenceNumber: report.mvcReferenceNumber,
+    closureReason: report.closureReason,
+    status: report.status
+  };
+
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+}
+
+/**
+ * Renders a template. Explicit values win over values taken from the report.
+ * @param {string} templateId - Template ID
+ * @param {Object} [options] - Render options
+ * @param {Object} [options.variables] - Variable values by name
+ * @param {Object} [options.report] - Report to take variable values from
+ * @returns {Promise<Object>} { templateId, version, subject, body, variables, missing }
+ * @throws {Error} If the template does not exist
+ */
+async function renderEmailTemplate(templateId, options = {}) {
+  const { variables = {}, report = null } = options;
+  const template = await getEmailTemplate(templateId);
+  const rendered = template.render({
+    ...(report ? getReportVariables(report) : {}),
+    ...(variables && typeof variables === 'object' ? variables : {})
+  });
+
+  return {
+    templateId: template.id,
+    version: template.version,
+    ...rendered
+  };
+}
+
+module.exports = {
+  getEmailTemplates,
+  getEmailTemplate,
+  createEmailTemplate,
+  updateEmailTemplate,
+  deleteEmailTemplate,
+  getEmailTemplateVersions,
+  renderEmailTemplate,
+  getReportVariables,
+
+  // Export for testing
+  DEFAULT_EMAIL_TEMPLATES
+};
@@ -0,0 +1,142 @@
+/**
+ * Export Service for NJDSC School Compliance Portal
+ *
+ * Streams reports as CSV or Excel (XLSX) for admins, including admin-only
+ * fields. Rows are written as they are built so large exports are not held
+ * in memory as a whole file.
+ */
+
+const { formatCsvRow } = require('../utils/csv');
+const { writeXlsx } = require('../utils/xlsx');
+const { writeChunk } = require('../utils/streams');
+
+/**
+ * Supported export formats
+ * @type {Object<string, {contentType: string, extension: string}>}
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+/**
+ * Describes a report's license check in one cell
+ * @param {Object|null} licenseCheck - Stored license check
+ * @returns {string} Summary, empty when the report was never checked
+ */
+function describeLicenseCheck(licenseCheck) {
+  if (!licenseCheck) {
+    return '';
+  }
+  if (licenseCheck.status === 'match') {
+    const license = licenseCheck.licenseNumber ? ` (${licenseCheck.licenseNumber})` : '';
+    return `Licensed match: ${licenseCheck.licensedSchoolName}${license}`;
+  }
+  return 'No license match';
+}
+
+/**
+ * Export columns in order
+ * @type {Array<{header: string, value: Function}>}
+ */
+const EXPORT_COLUMNS = [
+  { header: 'Report ID', value: report => report.id },
+  { header: 'School Name', value: report => report.schoolName },
+  { header: 'Location', value: report => report.location },
+  { header: 'Phone Number', value: report => report.phoneNumber },
+  { header: 'Website', value: report => report.websiteUrl },
+  { header: 'Status', value: report => report.status },
+  { header: 'Violation Description', value: report => report.violationDescription },
+  { header: 'Additional Info', value: report => report.additionalInfo },
+  { header: 'Social Media Links', value: report => (report.socialMediaLinks || []).join('\n') },
+  { header: 'File Count', value: report => (report.uploadedFiles || []).length },
+  { header: 'MVC Reference Number', value: report => report.mvcReferenceNumber },
+  { header: 'Closure Reason', value: report => report.closureReason },
+  { header: 'Admin Notes', value: report => report.adminNotes },
+  { header: 'License Check', value: report => describeLicenseCheck(report.licenseCheck) },
+  { header: 'School ID', value: report => report.schoolId },
+  { header: 'Created At', value: report => report.createdAt },
+  { header: 'Last Reported', value: report => report.lastReported },
+  { header: 'Updated At', value: report => report.updatedAt }
+];
+
+/**
+ * Gets the settings for an export format
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {{contentType: string, extension: string}} Format settings
+ * @throws {Error} If the format is not supported
+ */
+function getExportFormat(format) {
+  const settings = EXPORT_FORMATS[format];
+  if (!settings) {
+    throw new Error(`Export validation failed: unsupported format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(' or ')})`);
+  }
+  return settings;
+}
+
+/**
+ * Builds the download file name for an export
+ * @param {string} format - Export format
+ * @param {Date} [date] - Export date (defaults to now)
+ * @returns {string} File name such as reports-2025-09-26.csv
+ */
+function getExportFileName(format, date = new Date()) {
+  return `reports-${date.toISOString().slice(0, 10)}.${getExportFormat(format).extension}`;
+}
+
+/**
+ * Builds the export row for a report
+ * @param {Report} report - Report to export
+ * @returns {Array} Cell values in column order
+ */
+function buildExportRow(report) {
+  return EXPORT_COLUMNS.map(column => {
+    const value = column.value(report);
+    return value === undefined ? null : value;
+  });
+}
+
+/**
+ * Streams reports to the output in the given format. The output stream is not ended.
+ * @param {Array<Report>} reports - Reports to export, already filtered and sorted
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {import('stream').Writable} output - Destination stream
+ * @returns {Promise<number>} Number of reports written
+ * @throws {Error} If the format is not supported or the output fails
+ */
+async function writeReports(reports, format, output) {
+  getExportFormat(format);
+  const headers = EXPORT_COLUMNS.map(column => column.header);
+
+  if (format === 'csv') {
+    // The byte order mark makes Excel open the file as UTF-8
+    await writeChunk(output, '\uFEFF' + formatCsvRow(headers));
+    for (const report of reports) {
+      await writeChunk(output, formatCsvRow(buildExportRow(report)));
+    }
+    return reports.length;
+  }
+
+  await writeXlsx(output, {
+    name: 'Reports',
+    headers,
+    rows: reports.map(buildExportRow)
+  });
+  return reports.length;
+}
+
+module.exports = {
+  writeReports,
+  getExportFormat,
+  getExportFileName,
+
+  // Export for testing
+  buildExportRow,
+  EXPORT_COLUMNS
+};
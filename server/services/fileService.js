@@ -7,8 +7,12 @@
 
 const File = require('../models/File');
 const localFileService = require('./localFileService');
+const imageProcessingService = require('./imageProcessingService');
 const localJsonService = require('./localJsonService');
 const configService = require('./configService');
+const { canStripMetadata, stripMetadata } = require('../utils/metadata');
+const { extractExif } = require('../utils/exif');
+const path = require('path');
 const { Readable } = require('stream');
 
 // Configuration constants
@@ -32,6 +36,53 @@ async function streamToBuffer(stream) {
   }
 }
 
+/**
+ * Stores an upload: a metadata-stripped public copy in the uploads directory
+ * and, when metadata was removed, the untouched original outside it
+ *
+ * Images whose metadata cannot be parsed are refused rather than published
+ * as they are. Other types are stored unchanged without `metadataStrippedAt`,
+ * which keeps them off public routes.
+ *
+ * @param {Buffer} fileBuffer - Uploaded file contents
+ * @param {string} fileName - Original filename
+ * @param {string} mimeType - MIME type
+ * @param {string} reportId - Associated report ID
+ * @returns {Promise<Object>} localFileService upload data (describing the public copy) plus
+ *   `originalFilePath`, `exif`, `metadataStrippedAt` and `removedMetadata`
+ * @throws {Error} If metadata cannot be removed or the file cannot be written
+ */
+async function storeUpload(fileBuffer, fileName, mimeType, reportId) {
+  let publicBuffer = fileBuffer;
+  let removedMetadata = [];
+
+  if (canStripMetadata(mimeType)) {
+    try {
+      ({ data: publicBuffer, removed: removedMetadata } = stripMetadata(fileBuffer, mimeType));
+    } catch (error) {
+      throw new Error(`Image metadata could not be removed from ${fileName}: ${error.message}`);
+    }
+  }
+
+  const fileData = await localFileService.uploadFile(publicBuffer, fileName, mimeType, reportId);
+
+  const originalFilePath = removedMetadata.length > 0
+    ? await localFileService.saveOriginal(fileBuffer, reportId, fileData.filename)
+    : null;
+
+  if (removedMetadata.length > 0) {
+    console.log(`[FILE UPLOAD] Removed ${removedMetadata.join(', ')} from public copy of ${fileName}`);
+  }
+
+  return {
+    ...fileData,
+    originalFilePath,
+    exif: canStripMetadata(mimeType) ? extractExif(fileBuffer) : null,
+    metadataStrippedAt: canStripMetadata(mimeType) ? new Date().toISOString() : null,
+    removedMetadata
+  };
+}
+
 /**
  * Uploads a file to local storage and saves metadata
  * @param {Buffer|Object} file - File buffer or multer-like file object with buffer/stream
@@ -39,7 +90,7 @@ async function streamToBuffer(stream) {
  * @param {string} mimeType - MIME type
  * @param {string} reportId - Associated report ID
  * @param {string} uploadedByIp - Uploader's IP address
- * @returns {Promise<File>} Created file record
+ * @returns {Promise<File>} Created file record, after processing
  * @throws {Error} If upload or validation fails
  */
 async function uploadFile(file, fileName, mimeType, reportId, uploadedByIp = null) {
@@ -78,21 +129,25 @@ async function uploadFile(file, fileName, mimeType, reportId, uploadedByIp = nul
     // Ensure uploads directory exists
     await localFileService.ensureUploadsDirectory();
 
-    // Upload file to local storage
-    const fileData = await localFileService.uploadFile(fileBuffer, fileName, mimeType, reportId);
+    // Upload the metadata-stripped copy to local storage, keeping the original private
+    const fileData = await storeUpload(fileBuffer, fileName, mimeType, reportId);
 
     // Create file record with local storage data
     const fileRecordData = {
       reportId,
       originalName: fileName,
       mimeType,
-      size: fileBuffer.length,
+      size: fileData.size,
       localFilePath: fileData.localPath,
+      originalFilePath: fileData.originalFilePath,
+      exif: fileData.exif,
+      metadataStrippedAt: fileData.metadataStrippedAt,
       publicUrl: fileData.url,
       thumbnailUrl: fileData.thumbnailUrl
     };
 
-    console.log('[FILE UPLOAD] Creating file record with data:', fileRecordData);
+    // The captured EXIF can hold GPS coordinates, so it stays out of the logs
+    console.log('[FILE UPLOAD] Creating file record with data:', { ...fileRecordData, exif: undefined });
 
     try {
       const file = File.create(fileRecordData, uploadedByIp);
@@ -107,7 +162,7 @@ async function uploadFile(file, fileName, mimeType, reportId, uploadedByIp = nul
       await saveFileToJson(file);
       console.log('[FILE UPLOAD] File metadata saved to JSON successfully');
 
-      return file;
+      return await processFile(file, fileBuffer);
     } catch (error) {
       console.error('[FILE UPLOAD ERROR] Failed to create/save file:', error);
       console.error('[FILE UPLOAD ERROR] Error details:', {
@@ -138,6 +193,16 @@ async function getFileById(fileId) {
   }
 }
 
+/**
+ * Finds the file a public /uploads URL belongs to
+ * @param {string} url - URL path, e.g. /uploads/rep_abc123/photo_1.jpg
+ * @returns {Promise<File|null>} File whose public copy or rendition is at the URL, or null
+ */
+async function getFileByUrl(url) {
+  const allFiles = await getAllFiles();
+  return allFiles.find(file => [file.publicUrl, file.thumbnailUrl, file.mediumUrl].includes(url)) || null;
+}
+
 /**
  * Retrieves all files associated with a report
  * @param {string} reportId - Report ID
@@ -182,6 +247,137 @@ async function updateFileProcessingStatus(fileId, status) {
   }
 }
 
+/**
+ * Runs upload-time processing for a saved file record
+ *
+ * Images get thumbnail and medium-size renditions (WebP cannot be decoded and
+ * ends up failed); other files have nothing to process and are marked completed. The record is saved as it moves
+ * through processing to completed or failed. Processing failures are recorded
+ * on the file rather than thrown, so the upload itself still succeeds.
+ *
+ * @param {File} file - Saved file record (pending)
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {Promise<File>} Updated file record
+ */
+async function processFile(file, fileBuffer) {
+  const { PROCESSING, COMPLETED, FAILED } = File.getProcessingStatusEnum();
+
+  if (!file.isImage()) {
+    const completed = file.updateProcessingStatus(COMPLETED);
+    await updateFileInJson(completed);
+    return completed;
+  }
+
+  const processing = file.updateProcessingStatus(PROCESSING);
+  await updateFileInJson(processing);
+
+  let updatedFile;
+  try {
+    const { width, height, thumbnailUrl, mediumUrl } = await imageProcessingService.createRenditions(
+      fileBuffer,
+      file.mimeType,
+      file.localFilePath,
+      file.publicUrl
+    );
+    updatedFile = processing.updateProcessingStatus(COMPLETED, { width, height, thumbnailUrl, mediumUrl });
+    console.log(`[FILE PROCESSING] Created renditions for ${file.id} (${width}x${height})`);
+  } catch (error) {
+    console.error(`[FILE PROCESSING] Failed to process ${file.id}:`, error.message);
+    updatedFile = processing.updateProcessingStatus(FAILED, {
+      processingError: error.message.substring(0, 500)
+    });
+  }
+
+  await updateFileInJson(updatedFile);
+  return updatedFile;
+}
+
+/**
+ * Removes metadata from uploads stored before metadata stripping existed
+ *
+ * Images without `metadataStrippedAt` get their public copy rewritten without
+ * metadata, the original moved out of the uploads directory and their EXIF
+ * recorded. Images that cannot be read or parsed are left for the next run.
+ * Other types cannot be sanitized and stay off public routes.
+ *
+ * @returns {Promise<number>} Number of files sanitized
+ */
+async function sanitizeStoredFiles() {
+  const files = (await getAllFiles())
+    .filter(file => !file.metadataStrippedAt && file.localFilePath && canStripMetadata(file.mimeType));
+  let sanitized = 0;
+
+  for (const file of files) {
+    try {
+      const fileBuffer = await localFileService.readFile(file.localFilePath);
+      let originalFilePath = file.originalFilePath || null;
+      let size = file.size;
+
+      const { data, removed } = stripMetadata(fileBuffer, file.mimeType);
+      if (removed.length > 0) {
+        originalFilePath = await localFileService.saveOriginal(fileBuffer, file.reportId, path.basename(file.localFilePath));
+        await localFileService.replaceFile(file.localFilePath, data);
+        size = data.length;
+        console.log(`[FILE SANITIZE] Removed ${removed.join(', ')} from ${file.id}`);
+      }
+
+      await updateFileInJson(new File({
+        ...file,
+        size,
+        originalFilePath,
+        exif: extractExif(fileBuffer),
+        metadataStrippedAt: new Date().toISOString()
+      }));
+      sanitized++;
+    } catch (error) {
+      console.warn(`[FILE SANITIZE] Failed to sanitize ${file.id}:`, error.message);
+    }
+  }
+
+  return sanitized;
+}
+
+/**
+ * Moves every file record from one report to another (used when reports are merged)
+ * @param {string} fromReportId - Report the files currently belong to
+ * @param {string} toReportId - Report that receives the files
+ * @returns {Promise<number>} Number of files moved
+ */
+async function reassignFiles(fromReportId, toReportId) {
+  try {
+    const files = await getFilesByReportId(fromReportId);
+
+    for (const file of files) {
+      await updateFileInJson(new File({ ...file, reportId: toReportId }));
+    }
+
+    return files.length;
+  } catch (error) {
+    console.error('Error reassigning files:', error);
+    throw error;
+  }
+}
+
+/**
+ * Clears the uploader IP address of every file of a report
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Array<string>>} IDs of the files that had an address
+ */
+async function removeUploaderIps(reportId) {
+  try {
+    const files = (await getFilesByReportId(reportId)).filter(file => file.uploadedByIp);
+
+    for (const file of files) {
+      await localJsonService.updateRow(null, FILES_DATA_FILE, file.id, { uploadedByIp: null });
+    }
+
+    return files.map(file => file.id);
+  } catch (error) {
+    console.error('Error removing uploader IP addresses:', error);
+    throw error;
+  }
+}
+
 /**
  * Retrieves all files from local JSON storage
  * @returns {Promise<Array<File>>} Array of File instances
@@ -253,6 +449,7 @@ async function deleteFile(fileId) {
     if (file.localFilePath) {
       try {
         await localFileService.deleteFile(file.localFilePath);
+        await imageProcessingService.deleteRenditions(file.localFilePath);
         console.log(`[FILE DELETE] Deleted local file: ${file.localFilePath}`);
       } catch (error) {
         console.warn(`[FILE DELETE] Failed to delete local file ${file.localFilePath}:`, error.message);
@@ -260,6 +457,14 @@ async function deleteFile(fileId) {
       }
     }
 
+    if (file.originalFilePath) {
+      try {
+        await localFileService.deleteOriginal(file.originalFilePath);
+      } catch (error) {
+        console.warn(`[FILE DELETE] Failed to delete original ${file.originalFilePath}:`, error.message);
+      }
+    }
+
     // Delete metadata from JSON storage
     await localJsonService.deleteRow(null, FILES_DATA_FILE, fileId);
     console.log(`[FILE DELETE] Deleted file metadata for ID: ${fileId}`);
@@ -358,9 +563,15 @@ function processBase64File(base64Data, fileName, mimeType) {
 
 module.exports = {
   uploadFile,
+  storeUpload,
   getFileById,
+  getFileByUrl,
   getFilesByReportId,
   updateFileProcessingStatus,
+  processFile,
+  sanitizeStoredFiles,
+  reassignFiles,
+  removeUploaderIps,
   getAllFiles,
   validateFileUpload,
   processBase64File,
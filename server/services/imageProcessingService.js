@@ -0,0 +1,128 @@
+/**
+ * Image Processing Service for NJDSC School Compliance Portal
+ *
+ * Generates the thumbnail and medium-size JPEG renditions of uploaded images.
+ * Renditions are stored next to the original (`photo_123.jpg` gets
+ * `photo_123.thumbnail.jpg` and `photo_123.medium.jpg`), are turned upright
+ * according to the EXIF orientation, and are never larger than the original.
+ * Images are decoded and encoded on a worker thread, one at a time.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { canDecode } = require('../utils/image');
+
+const WORKER_PATH = path.join(__dirname, '..', 'workers', 'renditionWorker.js');
+
+// Longest side of each rendition, in pixels
+const RENDITION_SIZES = {
+  thumbnail: 320,
+  medium: 1280
+};
+
+const JPEG_QUALITY = 80;
+
+// Largest image decoded (width x height); decoding takes about 16 bytes per pixel
+const MAX_SOURCE_PIXELS = 24 * 1000 * 1000;
+
+// Renditions are made one image at a time so concurrent uploads do not add up in memory
+let renderQueue = Promise.resolve();
+
+/**
+ * Gets the path or URL of a rendition from the original's
+ * @param {string} original - Original file path or URL
+ * @param {string} name - Rendition name ('thumbnail' or 'medium')
+ * @returns {string} Rendition path or URL
+ */
+function getRenditionPath(original, name) {
+  const extension = path.posix.extname(original);
+  const base = extension ? original.slice(0, -extension.length) : original;
+  return `${base}.${name}.jpg`;
+}
+
+/**
+ * Decodes an image and encodes its renditions on a worker thread
+ * @param {Buffer} fileBuffer - Original image
+ * @param {string} mimeType - Image MIME type
+ * @returns {Promise<Object>} Upright width and height, EXIF orientation and encoded renditions
+ * @throws {Error} If the image cannot be decoded or the worker stops
+ */
+function renderInWorker(fileBuffer, mimeType) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_PATH, {
+      workerData: {
+        data: fileBuffer,
+        mimeType,
+        sizes: RENDITION_SIZES,
+        options: { quality: JPEG_QUALITY, maxPixels: MAX_SOURCE_PIXELS }
+      }
+    });
+
+    worker.once('message', message => (message.error ? reject(new Error(message.error)) : resolve(message.result)));
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) {
+        reject(new Error(`Rendition worker stopped with exit code ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * Generates and stores the renditions of an image
+ * @param {Buffer} fileBuffer - Original image
+ * @param {string} mimeType - Image MIME type
+ * @param {string} localFilePath - Where the original is stored
+ * @param {string} publicUrl - Public URL of the original
+ * @returns {Promise<Object>} Upright width and height, EXIF orientation and
+ *   `thumbnailUrl`/`mediumUrl` of the stored renditions
+ * @throws {Error} If the type is unsupported, the image cannot be decoded or a rendition cannot be written
+ */
+async function createRenditions(fileBuffer, mimeType, localFilePath, publicUrl) {
+  if (!canDecode(mimeType)) {
+    throw new Error(`Renditions are not supported for ${mimeType}`);
+  }
+
+  const job = renderQueue.then(() => renderInWorker(fileBuffer, mimeType));
+  renderQueue = job.catch(() => {});
+  const { width, height, orientation, renditions } = await job;
+
+  const urls = {};
+  for (const [name, data] of Object.entries(renditions)) {
+    await fs.writeFile(getRenditionPath(localFilePath, name), data);
+    urls[`${name}Url`] = getRenditionPath(publicUrl, name);
+  }
+
+  return { width, height, orientation, ...urls };
+}
+
+/**
+ * Removes the stored renditions of an image
+ * @param {string} localFilePath - Where the original is stored
+ * @returns {Promise<number>} Number of renditions removed
+ */
+async function deleteRenditions(localFilePath) {
+  let removed = 0;
+  for (const name of Object.keys(RENDITION_SIZES)) {
+    try {
+      await fs.unlink(getRenditionPath(localFilePath, name));
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Failed to delete ${name} rendition of ${localFilePath}:`, error.message);
+      }
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  createRenditions,
+  deleteRenditions,
+  getRenditionPath,
+
+  // Export for testing
+  RENDITION_SIZES,
+  MAX_SOURCE_PIXELS
+};
@@ -0,0 +1,538 @@
+/**
+ * Inbound Email Service for NJDSC School Compliance Portal
+ *
+ * Turns tips that members email in into reports. A local MTA (or anything
+ * that writes mail files) drops messages into a maildir (`new/`) or as mbox
+ * files (`*.mbox`) in the drop directory. Each message becomes a report with
+ * source "email" that is held for admin review; its images are stored as
+ * evidence. Replies to mail the portal sent about a report are added to that
+ * report's correspondence instead. Every message is recorded in the inbound
+ * log, and messages seen before (by Message-ID) are not ingested twice.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const InboundEmail = require('../models/InboundEmail');
+const Report = require('../models/Report');
+const File = require('../models/File');
+const localJsonService = require('./localJsonService');
+const reportProcessingService = require('./reportProcessingService');
+const correspondenceService = require('./correspondenceService');
+const emailOutboxService = require('./emailOutboxService');
+const configService = require('./configService');
+const auditService = require('./auditService');
+const { parseMessage, splitMbox } = require('../utils/mime');
+const { findThreadReference } = require('../utils/replyToken');
+const { validateEmail } = require('../utils/validation');
+const { getDataDir } = require('../utils/fsUtils');
+
+// Configuration constants
+const INBOUND_DATA_FILE = 'inboundEmails';
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 10;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_ADDITIONAL_INFO_LENGTH = 2000;
+
+const STATUS = InboundEmail.getStatusEnum();
+const { EMAIL } = Report.getSourceEnum();
+const { PENDING } = Report.getReviewStatusEnum();
+const IMAGE_TYPES = File.getSupportedMimeTypes().images;
+
+// Worker state
+let pollTimer = null;
+let isProcessing = false;
+
+/**
+ * Gets the drop directory from configuration
+ * @returns {Promise<string>} Absolute path of the drop directory
+ */
+async function getDropDir() {
+  let configured = null;
+  try {
+    configured = await configService.getConfig('email.inbound.dropDir');
+  } catch (error) {
+    console.warn('[INBOUND EMAIL] Failed to read email.inbound.dropDir, using the default:', error.message);
+  }
+
+  return path.resolve(configured || path.join(getDataDir(), 'inbound'));
+}
+
+/**
+ * Reads a positive integer setting, falling back when it is missing or invalid
+ * @param {string} key - Configuration key
+ * @param {number} fallback - Value to use instead
+ * @returns {Promise<number>} Setting value
+ */
+async function getNumberSetting(key, fallback) {
+  try {
+    const value = Number(await configService.getConfig(key));
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+  } catch (error) {
+    console.warn(`[INBOUND EMAIL] Failed to read ${key}, using ${fallback}:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Lists the files in a directory, ignoring hidden files and missing directories
+ * @param {string} dir - Directory
+ * @returns {Promise<Array<string>>} File names, sorted
+ */
+async function listFiles(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Moves a file, creating the destination directory
+ * @param {string} from - Current path
+ * @param {string} to - New path
+ */
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  await fs.rename(from, to);
+}
+
+/**
+ * Checks whether a message is an automatic reply or came from the portal
+ * itself. Ingesting those would answer confirmations with new reports.
+ * @param {Object} message - Parsed message
+ * @returns {Promise<string|null>} Reason to skip the message, or null
+ */
+async function getSkipReason(message) {
+  const autoSubmitted = (message.headers['auto-submitted'] || 'no').toLowerCase();
+  const precedence = (message.headers.precedence || '').toLowerCase();
+
+  if (!message.from) {
+    return 'message has no sender address';
+  }
+  if (autoSubmitted !== 'no' || ['bulk', 'junk', 'list', 'auto_reply'].includes(precedence)) {
+    return 'automatic reply';
+  }
+
+  let configuredFrom = null;
+  try {
+    configuredFrom = await configService.getConfig('email.fromAddress');
+  } catch (error) {
+    console.warn('[INBOUND EMAIL] Failed to read email.fromAddress:', error.message);
+  }
+
+  const ownAddresses = [process.env.EMAIL_FROM, configuredFrom]
+    .filter(address => typeof address === 'string' && address)
+    .map(address => address.toLowerCase());
+  if (ownAddresses.includes(message.from.address)) {
+    return 'message was sent by the portal';
+  }
+
+  return null;
+}
+
+/**
+ * Derives the school name from the subject, without reply and forward prefixes
+ * @param {Object} message - Parsed message
+ * @returns {string} School name for the report
+ */
+function getSchoolName(message) {
+  const name = message.subject
+    .replace(/^\s*((re|fw|fwd|aw|tr)(\[\d+\])?\s*:\s*|\[[^\]]*\]\s*)+/i, '')
+    .trim()
+    .slice(0, 255);
+
+  return name.length >= 2 ? name : `Email tip from ${message.from.address}`;
+}
+
+/**
+ * Builds report data from a parsed message. The message text fills the
+ * violation description; text that does not fit continues in the
+ * additional information.
+ * @param {Object} message - Parsed message
+ * @param {Array<Object>} images - Image attachments to store
+ * @returns {Object} Report data for createReport
+ */
+function buildReportData(message, images) {
+  const text = message.text || '(no message text)';
+  const received = `Received by email from ${message.from.address}` +
+    (message.date ? ` on ${message.date}` : '') + '.';
+  const overflow = text.slice(MAX_DESCRIPTION_LENGTH).trim();
+  const additionalInfo = overflow ? `${received}\n\n[Message continued]\n${overflow}` : received;
+
+  return {
+    schoolName: getSchoolName(message),
+    violationDescription: text.slice(0, MAX_DESCRIPTION_LENGTH),
+    additionalInfo: additionalInfo.slice(0, MAX_ADDITIONAL_INFO_LENGTH),
+    reporterName: (message.from.name || '').slice(0, 255),
+    reporterEmail: validateEmail(message.from.address) ? message.from.address : '',
+    source: EMAIL,
+    // Holds a new report for review; a report that already exists keeps its review state
+    reviewStatus: PENDING,
+    files: images.map(image => ({
+      name: image.filename,
+      type: image.contentType,
+      size: image.size,
+      data: image.content.toString('base64')
+    }))
+  };
+}
+
+/**
+ * Picks the image attachments that can be stored as evidence
+ * @param {Array<Object>} attachments - Parsed attachments
+ * @returns {Promise<{images: Array<Object>, skipped: Array<Object>}>} Images to store and skipped attachments ({ filename, reason })
+ */
+async function selectImages(attachments) {
+  const maxFileSize = await getNumberSetting('system.maxFileSize', DEFAULT_MAX_FILE_SIZE);
+  const maxFiles = await getNumberSetting('system.maxFilesPerReport', DEFAULT_MAX_FILES);
+  const images = [];
+  const skipped = [];
+
+  for (const attachment of attachments) {
+    const filename = attachment.filename.slice(0, 255);
+    let reason = null;
+
+    if (!IMAGE_TYPES.includes(attachment.contentType)) {
+      reason = `not a supported image (${attachment.contentType})`;
+    } else if (attachment.size === 0 || attachment.size > maxFileSize) {
+      reason = attachment.size === 0 ? 'empty file' : `larger than ${maxFileSize} bytes`;
+    } else if (images.length >= maxFiles) {
+      reason = `more than ${maxFiles} images`;
+    }
+
+    if (reason) {
+      skipped.push({ filename, reason });
+    } else {
+      images.push({ ...attachment, filename });
+    }
+  }
+
+  return { images, skipped };
+}
+
+/**
+ * Loads the keys of messages already in the inbound log. Failed messages are
+ * left out so dropping them again retries them.
+ * @returns {Promise<Set<string>>} Message keys
+ */
+async function loadSeenKeys() {
+  const rows = await localJsonService.getAllRows(null, INBOUND_DATA_FILE);
+  return new Set(rows.filter(row => row.status !== STATUS.FAILED).map(row => row.messageKey));
+}
+
+/**
+ * Adds a reply to portal mail to the report's correspondence. The report is
+ * taken from the outbox message the reply answers, so replies follow a
+ * report that was merged into another.
+ * @param {Object} message - Parsed message
+ * @param {Object} record - Inbound log fields for the message
+ * @param {{outboundId: string, reportId: string}} reference - Message the reply answers
+ * @returns {Promise<InboundEmail>} Log record
+ */
+async function threadReply(message, record, reference) {
+  let reportId = reference.reportId;
+  try {
+    reportId = (await emailOutboxService.getOutboxMessage(reference.outboundId)).reportId || reportId;
+  } catch {
+    // The outbox message is gone; use the report named in the token
+  }
+
+  try {
+    const { entry, skipped } = await correspondenceService.addReply(reportId, reference.outboundId, message);
+    console.log(`[INBOUND EMAIL] Added reply from ${record.from} to report ${reportId}`);
+
+    return saveRecord({
+      ...record,
+      status: STATUS.THREADED,
+      reportId,
+      correspondenceId: entry.id,
+      skippedAttachments: skipped
+    });
+  } catch (error) {
+    if (error.message.startsWith('Report with ID')) {
+      return saveRecord({ ...record, status: STATUS.SKIPPED, error: `reply to report ${reportId}, which no longer exists` });
+    }
+
+    console.error(`[INBOUND EMAIL] Failed to add reply from ${record.from} to report ${reportId}:`, error.message);
+    return saveRecord({ ...record, status: STATUS.FAILED, error: error.message.slice(0, 1000) });
+  }
+}
+
+/**
+ * Ingests one raw message and records the outcome in the inbound log
+ * @param {Buffer} raw - Raw message
+ * @param {string} origin - Drop file the message came from
+ * @param {Set<string>} seenKeys - Keys of messages already processed; updated
+ * @returns {Promise<InboundEmail|null>} Log record, or null if the message was processed before
+ */
+async function ingestMessage(raw, origin, seenKeys) {
+  const message = parseMessage(raw);
+  const messageKey = message.messageId || `sha256:${crypto.createHash('sha256').update(raw).digest('hex')}`;
+
+  if (seenKeys.has(messageKey)) {
+    console.log(`[INBOUND EMAIL] Skipping ${messageKey} from ${origin}: already processed`);
+    return null;
+  }
+  seenKeys.add(messageKey);
+
+  const record = {
+    messageKey: messageKey.slice(0, 1000),
+    messageId: message.messageId ? message.messageId.slice(0, 1000) : null,
+    from: message.from ? message.from.address.slice(0, 254) : null,
+    fromName: message.from ? message.from.name.slice(0, 255) : null,
+    subject: message.subject.slice(0, 1000),
+    sentAt: message.date,
+    origin
+  };
+
+  const skipReason = await getSkipReason(message);
+  if (skipReason) {
+    console.log(`[INBOUND EMAIL] Skipping message from ${record.from || 'unknown sender'}: ${skipReason}`);
+    return saveRecord({ ...record, status: STATUS.SKIPPED, error: skipReason });
+  }
+
+  const reference = findThreadReference(message.headers['in-reply-to'], message.headers.references);
+  if (reference) {
+    return threadReply(message, record, reference);
+  }
+
+  let ingested;
+  try {
+    const { images, skipped } = await selectImages(message.attachments);
+    // Goes through the report queue like web submissions, one report at a time
+    const { report, uploadedFiles } = await reportProcessingService.enqueueReportAndWait(
+      buildReportData(message, images),
+      null
+    );
+
+    ingested = await saveRecord({
+      ...record,
+      status: STATUS.INGESTED,
+      reportId: report.id,
+      fileIds: uploadedFiles.map(file => file.id),
+      skippedAttachments: [
+        ...skipped,
+        ...images
+          .filter(image => !uploadedFiles.some(file => file.name === image.filename))
+          .map(image => ({ filename: image.filename, reason: 'could not be stored' }))
+      ]
+    });
+  } catch (error) {
+    console.error(`[INBOUND EMAIL] Failed to ingest message from ${record.from}:`, error.message);
+    return saveRecord({ ...record, status: STATUS.FAILED, error: error.message.slice(0, 1000) });
+  }
+
+  console.log(`[INBOUND EMAIL] Ingested message from ${ingested.from} into report ${ingested.reportId}`);
+
+  try {
+    await auditService.logEmailIngested(ingested);
+  } catch (auditError) {
+    console.warn('Failed to log email ingestion audit event:', auditError.message);
+  }
+
+  return ingested;
+}
+
+/**
+ * Adds a record to the inbound log
+ * @param {Object} data - Record data
+ * @returns {Promise<InboundEmail>} Saved record
+ */
+async function saveRecord(data) {
+  const record = InboundEmail.create(data);
+  await localJsonService.appendRow(null, INBOUND_DATA_FILE, { ...record });
+  return record;
+}
+
+/**
+ * Ingests the messages of one mail file
+ * @param {Array<Buffer>} messages - Raw messages
+ * @param {string} origin - Drop file name
+ * @param {Set<string>} seenKeys - Keys of messages already processed
+ * @param {Object} summary - Run summary to update
+ * @returns {Promise<boolean>} True if no message failed
+ */
+async function ingestMessages(messages, origin, seenKeys, summary) {
+  let ok = true;
+
+  for (const raw of messages) {
+    const record = await ingestMessage(raw, origin, seenKeys);
+    summary.processed++;
+
+    if (!record) {
+      summary.duplicates++;
+    } else {
+      summary[record.status]++;
+      ok = ok && record.status !== STATUS.FAILED;
+    }
+  }
+
+  return ok;
+}
+
+/**
+ * Processes every message in the drop directory. Maildir messages move from
+ * `new/` to `cur/` once processed. mbox files move to `processing/` while
+ * they are read and to `processed/` afterwards. Files with a message that
+ * failed to ingest are moved to `failed/` instead. Only one run happens at a
+ * time.
+ * @returns {Promise<Object|null>} Run summary (processed, ingested, threaded, skipped, failed, duplicates), or null if a run was already in progress
+ */
+async function processInbox() {
+  if (isProcessing) {
+    return null;
+  }
+
+  isProcessing = true;
+  const summary = { processed: 0, ingested: 0, threaded: 0, skipped: 0, failed: 0, duplicates: 0 };
+
+  try {
+    const dropDir = await getDropDir();
+    const seenKeys = await loadSeenKeys();
+
+    for (const name of await listFiles(path.join(dropDir, 'new'))) {
+      const filePath = path.join(dropDir, 'new', name);
+      const ok = await ingestMessages([await fs.readFile(filePath)], `new/${name}`, seenKeys, summary);
+      await moveFile(filePath, ok ? path.join(dropDir, 'cur', `${name.split(':')[0]}:2,S`) : path.join(dropDir, 'failed', name));
+    }
+
+    // mbox files left in processing/ by an interrupted run are read again; repeats are skipped
+    await fs.mkdir(path.join(dropDir, 'processing'), { recursive: true });
+    for (const name of (await listFiles(dropDir)).filter(file => file.endsWith('.mbox'))) {
+      const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+      await moveFile(path.join(dropDir, name), path.join(dropDir, 'processing', `${name.slice(0, -5)}-${stamp}.mbox`));
+    }
+
+    for (const name of await listFiles(path.join(dropDir, 'processing'))) {
+      const filePath = path.join(dropDir, 'processing', name);
+      const ok = await ingestMessages(splitMbox(await fs.readFile(filePath)), name, seenKeys, summary);
+      await moveFile(filePath, path.join(dropDir, ok ? 'processed' : 'failed', name));
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  if (summary.processed > 0) {
+    console.log('[INBOUND EMAIL] Run finished:', summary);
+  }
+  return summary;
+}
+
+/**
+ * Runs ingestion if it is enabled in configuration
+ */
+async function pollInbox() {
+  try {
+    if (await configService.getConfig('email.inbound.enabled')) {
+      await processInbox();
+    }
+  } catch (error) {
+    console.error('[INBOUND EMAIL] Ingestion run failed:', error.message);
+  }
+}
+
+/**
+ * Starts the ingestion worker. It checks the drop directory on every tick
+ * while `email.inbound.enabled` is on. Calling it again has no effect.
+ * @param {Object} [options] - Worker options
+ * @param {number} [options.intervalMs] - How often to check the drop directory
+ */
+function start(options = {}) {
+  if (pollTimer) {
+    return;
+  }
+
+  const intervalMs = options.intervalMs || parseInt(process.env.EMAIL_INBOUND_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  pollTimer = setInterval(pollInbox, intervalMs);
+  pollTimer.unref();
+
+  setImmediate(pollInbox);
+  console.log(`[INBOUND EMAIL] Ingestion worker started (every ${intervalMs}ms)`);
+}
+
+/**
+ * Stops the ingestion worker
+ */
+function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Lists inbound log records, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - Only records with this outcome
+ * @param {number} [filters.limit] - Maximum number of records (default 100)
+ * @returns {Promise<{messages: Array<InboundEmail>, total: number, counts: Object}>} Matching records, their total and the number of records per outcome
+ */
+async function getInboundLog(filters = {}) {
+  const rows = await localJsonService.getAllRows(null, INBOUND_DATA_FILE);
+  const records = rows.map(row => {
+    try {
+      return new InboundEmail(row);
+    } catch (error) {
+      console.warn('[INBOUND EMAIL] Skipping invalid log record:', row.id, error.message);
+      return null;
+    }
+  }).filter(Boolean);
+
+  const counts = Object.fromEntries(Object.values(STATUS).map(status => [status, 0]));
+  records.forEach(record => { counts[record.status]++; });
+
+  const matching = records
+    .filter(record => !filters.status || record.status === filters.status)
+    .sort((a, b) => new Date(b.processedAt) - new Date(a.processedAt));
+
+  return {
+    messages: matching.slice(0, filters.limit || 100),
+    total: matching.length,
+    counts
+  };
+}
+
+/**
+ * Removes personal data from an inbound log record (used for data subject
+ * requests). The record itself is kept so the message is not ingested again.
+ * @param {string} recordId - Log record ID
+ * @param {Function} redact - Returns a text with the personal data replaced
+ * @returns {Promise<void>}
+ * @throws {Error} If the record does not exist
+ */
+async function redactLogEntry(recordId, redact) {
+  const rows = await localJsonService.getAllRows(null, INBOUND_DATA_FILE);
+  const row = rows.find(r => r.id === recordId);
+  if (!row) {
+    throw new Error(`Inbound email ${recordId} not found`);
+  }
+
+  const fromSubject = Boolean(row.from) && redact(row.from) !== row.from;
+  await localJsonService.updateRow(null, INBOUND_DATA_FILE, recordId, {
+    from: fromSubject ? null : row.from,
+    fromName: fromSubject ? null : row.fromName,
+    subject: redact(row.subject || '')
+  });
+}
+
+module.exports = {
+  processInbox,
+  getInboundLog,
+  redactLogEntry,
+  start,
+  stop,
+
+  // Export for testing
+  ingestMessage,
+  buildReportData,
+  getSchoolName
+};
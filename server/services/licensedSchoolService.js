@@ -0,0 +1,259 @@
+/**
+ * Licensed School Service for NJDSC School Compliance Portal
+ *
+ * Maintains the imported reference list of licensed NJ driving schools and
+ * checks reports against it, so members are warned before pursuing a school
+ * that is actually licensed.
+ */
+
+const LicensedSchool = require('../models/LicensedSchool');
+const localJsonService = require('./localJsonService');
+const auditService = require('./auditService');
+const { parseCsv } = require('../utils/csv');
+const { scoreReportSimilarity, DUPLICATE_SCORE_THRESHOLD } = require('../utils/validation');
+
+// Configuration constants
+const LICENSED_SCHOOLS_DATA_FILE = 'licensedSchools';
+
+/**
+ * Results of a license check
+ * @type {Object<string, string>}
+ */
+const LICENSE_CHECK_STATUS = {
+  MATCH: 'match',
+  NO_MATCH: 'no_match'
+};
+
+/**
+ * Column names accepted for each field in an import, compared without case,
+ * spaces or punctuation ("License No." matches "licenseno")
+ * @type {Object<string, Array<string>>}
+ */
+const FIELD_ALIASES = {
+  name: ['name', 'schoolname', 'school', 'businessname', 'dba'],
+  licenseNumber: ['licensenumber', 'license', 'licenseno', 'licence', 'licencenumber', 'licenceno'],
+  phoneNumber: ['phonenumber', 'phone', 'telephone', 'tel'],
+  websiteUrl: ['websiteurl', 'website', 'url', 'web'],
+  address: ['address', 'streetaddress', 'street'],
+  city: ['city', 'town', 'municipality', 'location']
+};
+
+/**
+ * Gets every entry of the licensed school list
+ * @returns {Promise<Array<LicensedSchool>>} All valid entries
+ */
+async function getAllLicensedSchools() {
+  const rows = await localJsonService.getAllRows(null, LICENSED_SCHOOLS_DATA_FILE);
+
+  return rows.map(row => {
+    try {
+      return new LicensedSchool(row);
+    } catch (error) {
+      console.warn('Skipping invalid licensed school data:', row.id, error.message);
+      return null;
+    }
+  }).filter(school => school !== null);
+}
+
+/**
+ * Lists licensed schools with optional search
+ * @param {Object} [options] - Query options
+ * @param {string} [options.search] - Search in name, license number, phone, website and city
+ * @returns {Promise<Array<LicensedSchool>>} Matching entries sorted by name
+ */
+async function getLicensedSchools(options = {}) {
+  const { search } = options;
+  let schools = await getAllLicensedSchools();
+
+  if (search) {
+    const searchLower = search.toLowerCase();
+    schools = schools.filter(school =>
+      [school.name, school.licenseNumber, school.phoneNumber, school.websiteUrl, school.city]
+        .some(value => value && value.toLowerCase().includes(searchLower))
+    );
+  }
+
+  return schools.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Maps an imported record's columns onto licensed school fields
+ * @param {Object} record - Raw record from CSV or JSON
+ * @returns {Object} Licensed school fields
+ */
+function normalizeRecord(record) {
+  const byKey = {};
+  Object.entries(record || {}).forEach(([key, value]) => {
+    byKey[key.toLowerCase().replace(/[^a-z0-9]/g, '')] = value;
+  });
+
+  const fields = {};
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    const alias = aliases.find(candidate => byKey[candidate] !== undefined && byKey[candidate] !== null);
+    if (alias !== undefined) {
+      fields[field] = String(byKey[alias]).trim();
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Parses an uploaded list into raw records
+ * @param {string} content - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} Raw records
+ * @throws {Error} If the format is unknown or the content can't be parsed
+ */
+function parseImport(content, format) {
+  if (format === 'csv') {
+    return parseCsv(content);
+  }
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Licensed school validation failed: invalid JSON (${error.message})`);
+    }
+
+    const records = Array.isArray(parsed) ? parsed : parsed && parsed.schools;
+    if (!Array.isArray(records)) {
+      throw new Error('Licensed school validation failed: JSON must be an array of schools or { "schools": [...] }');
+    }
+    return records;
+  }
+
+  throw new Error(`Licensed school validation failed: unsupported format "${format}" (use csv or json)`);
+}
+
+/**
+ * Imports a licensed school list. Rows that fail validation are skipped and reported.
+ * @param {string} content - CSV or JSON file contents
+ * @param {string} format - 'csv' or 'json'
+ * @param {string} importedBy - Username of the admin
+ * @param {string} ipAddress - IP address of the request
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.replace=true] - Replace the whole list instead of adding to it
+ * @returns {Promise<Object>} Counts of imported rows, skipped rows with reasons, and the list size
+ * @throws {Error} If the content can't be parsed or has no valid rows
+ */
+async function importLicensedSchools(content, format, importedBy, ipAddress, options = {}) {
+  const { replace = true } = options;
+  const records = parseImport(content, format);
+
+  const imported = [];
+  const skipped = [];
+  records.forEach((record, index) => {
+    try {
+      imported.push(LicensedSchool.create(normalizeRecord(record)));
+    } catch (error) {
+      // Row numbers are 1-based data rows (the CSV header is not counted)
+      skipped.push({ row: index + 1, error: error.message });
+    }
+  });
+
+  if (imported.length === 0) {
+    throw new Error('Licensed school validation failed: the file has no valid rows');
+  }
+
+  const existing = replace ? [] : await getAllLicensedSchools();
+  const list = [...existing, ...imported];
+  await localJsonService.writeJsonFile(LICENSED_SCHOOLS_DATA_FILE, list.map(school => ({ ...school })));
+
+  const result = {
+    imported: imported.length,
+    skipped,
+    total: list.length,
+    replaced: replace
+  };
+
+  try {
+    await auditService.logLicensedSchoolsImported(result, importedBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log licensed school import audit event:', auditError.message);
+  }
+
+  return result;
+}
+
+/**
+ * Finds the licensed school a report most likely refers to
+ * @param {Object} report - Report data (schoolName, phoneNumber, websiteUrl, location)
+ * @param {Array<LicensedSchool>} licensedSchools - Reference list
+ * @returns {Object|null} Best match with score and reasons, or null below the match threshold
+ */
+function findLicenseMatch(report, licensedSchools) {
+  let best = null;
+
+  licensedSchools.forEach(school => {
+    const { score, reasons } = scoreReportSimilarity(report, school.toComparable());
+    if (score >= DUPLICATE_SCORE_THRESHOLD && (!best || score > best.score)) {
+      best = { school, score, reasons };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Builds the license check stored on a report
+ * @param {Object} report - Report data
+ * @param {Array<LicensedSchool>} licensedSchools - Reference list
+ * @returns {Object|null} License check, or null when no list has been imported
+ */
+function buildLicenseCheck(report, licensedSchools) {
+  if (licensedSchools.length === 0) {
+    return null;
+  }
+
+  const checkedAt = new Date().toISOString();
+  const match = findLicenseMatch(report, licensedSchools);
+
+  if (!match) {
+    return { status: LICENSE_CHECK_STATUS.NO_MATCH, checkedAt };
+  }
+
+  return {
+    status: LICENSE_CHECK_STATUS.MATCH,
+    licensedSchoolId: match.school.id,
+    licensedSchoolName: match.school.name,
+    licenseNumber: match.school.licenseNumber,
+    score: match.score,
+    reasons: match.reasons,
+    checkedAt
+  };
+}
+
+/**
+ * Checks a report against the licensed school list
+ * @param {Object} report - Report data
+ * @returns {Promise<Object|null>} License check, or null when no list has been imported
+ */
+async function checkLicense(report) {
+  const licensedSchools = await getAllLicensedSchools();
+  return buildLicenseCheck(report, licensedSchools);
+}
+
+/**
+ * Gets the license check status constants
+ * @returns {Object} Status constants
+ */
+function getLicenseCheckStatusEnum() {
+  return LICENSE_CHECK_STATUS;
+}
+
+module.exports = {
+  getLicensedSchools,
+  importLicensedSchools,
+  checkLicense,
+  buildLicenseCheck,
+  getLicenseCheckStatusEnum,
+
+  // Export for testing
+  getAllLicensedSchools,
+  findLicenseMatch,
+  normalizeRecord,
+  parseImport
+};
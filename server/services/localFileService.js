@@ -8,11 +8,41 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { getDataDir } = require('../utils/fsUtils');
 
 // Configuration
 const UPLOADS_DIR = process.env.UPLOADS_DIR || './uploads';
 const UPLOADS_URL_BASE = process.env.UPLOADS_URL_BASE || 'http://localhost:5000/uploads';
 
+// Originals keep their metadata, so they live outside the publicly served uploads directory
+const ORIGINALS_DIR_NAME = 'originals';
+
+/**
+ * Gets the directory unsanitized originals are stored in
+ * @returns {string} Absolute directory path
+ */
+function getOriginalsDir() {
+  return path.join(getDataDir(), ORIGINALS_DIR_NAME);
+}
+
+/**
+ * Resolves a path and checks it is inside a directory
+ * @param {string} filePath - File path
+ * @param {string} dir - Directory the file must be in
+ * @param {string} dirName - Directory name for the error message
+ * @returns {string} Resolved path
+ * @throws {Error} If the path is outside the directory
+ */
+function resolveInside(filePath, dir, dirName) {
+  const resolvedPath = path.resolve(filePath);
+  const dirPath = path.resolve(dir);
+
+  if (!resolvedPath.startsWith(dirPath + path.sep)) {
+    throw new Error(`Access denied: file outside ${dirName} directory`);
+  }
+  return resolvedPath;
+}
+
 /**
  * Ensures the uploads directory exists
  * @throws {Error} If directory cannot be created
@@ -82,12 +112,6 @@ async function uploadFile(fileBuffer, originalName, mimeType, reportId) {
     const relativePath = path.relative(UPLOADS_DIR, filePath);
     const publicUrl = `/uploads/${relativePath.replace(/\\/g, '/')}`;
 
-    // Generate thumbnail URL for images
-    let thumbnailUrl = null;
-    if (mimeType.startsWith('image/')) {
-      thumbnailUrl = publicUrl; // For now, use same URL (could implement thumbnail generation later)
-    }
-
     const fileId = crypto.randomUUID();
     console.log(`Generated file ID: ${fileId} for file: ${originalName}`);
 
@@ -100,7 +124,7 @@ async function uploadFile(fileBuffer, originalName, mimeType, reportId) {
       size: fileBuffer.length,
       localPath: filePath,
       url: publicUrl,
-      thumbnailUrl,
+      thumbnailUrl: null, // Set once fileService has generated the renditions
       uploadedAt: new Date().toISOString()
     };
 
@@ -110,6 +134,86 @@ async function uploadFile(fileBuffer, originalName, mimeType, reportId) {
   }
 }
 
+/**
+ * Reads a stored upload
+ * @param {string} filePath - Local file path inside the uploads directory
+ * @returns {Promise<Buffer>} File contents
+ * @throws {Error} If the path is outside the uploads directory or cannot be read
+ */
+async function readFile(filePath) {
+  const resolvedPath = resolveInside(filePath, UPLOADS_DIR, 'uploads');
+  return fs.readFile(resolvedPath);
+}
+
+/**
+ * Replaces the contents of a stored upload
+ * @param {string} filePath - Local file path inside the uploads directory
+ * @param {Buffer} fileBuffer - New contents
+ * @returns {Promise<void>}
+ * @throws {Error} If the path is outside the uploads directory or cannot be written
+ */
+async function replaceFile(filePath, fileBuffer) {
+  const resolvedPath = resolveInside(filePath, UPLOADS_DIR, 'uploads');
+  await fs.writeFile(resolvedPath, fileBuffer);
+}
+
+/**
+ * Stores the unsanitized original of an upload outside the public uploads directory
+ * @param {Buffer} fileBuffer - Original file contents
+ * @param {string} reportId - Associated report ID
+ * @param {string} filename - Stored filename of the public copy
+ * @returns {Promise<string>} Path of the stored original
+ */
+async function saveOriginal(fileBuffer, reportId, filename) {
+  const reportDir = path.join(getOriginalsDir(), reportId);
+  await fs.mkdir(reportDir, { recursive: true });
+
+  const filePath = path.join(reportDir, path.basename(filename));
+  await fs.writeFile(filePath, fileBuffer, { mode: 0o600 });
+  return filePath;
+}
+
+/**
+ * Opens a stored original for reading
+ * @param {string} filePath - Path returned by saveOriginal
+ * @returns {Promise<Object>} Response object with file stream
+ * @throws {Error} If the path is outside the originals directory or the file is missing
+ */
+async function downloadOriginal(filePath) {
+  const resolvedPath = resolveInside(filePath, getOriginalsDir(), 'originals');
+
+  try {
+    await fs.access(resolvedPath);
+  } catch {
+    throw new Error('File not found');
+  }
+
+  return {
+    stream: require('fs').createReadStream(resolvedPath),
+    path: resolvedPath
+  };
+}
+
+/**
+ * Deletes a stored original
+ * @param {string} filePath - Path returned by saveOriginal
+ * @returns {Promise<boolean>} True if the original was deleted, false if it did not exist
+ * @throws {Error} If the path is outside the originals directory
+ */
+async function deleteOriginal(filePath) {
+  const resolvedPath = resolveInside(filePath, getOriginalsDir(), 'originals');
+
+  try {
+    await fs.unlink(resolvedPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
 /**
  * Gets file metadata by ID (simulated - would need a file registry)
  * @param {string} fileId - File ID
@@ -289,6 +393,12 @@ module.exports = {
   getFileMetadata,
   downloadFile,
   deleteFile,
+  readFile,
+  replaceFile,
+  saveOriginal,
+  downloadOriginal,
+  deleteOriginal,
+  getOriginalsDir,
   listReportFiles,
   getStorageStats,
   ensureUploadsDirectory,
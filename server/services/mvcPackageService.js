@@ -0,0 +1,362 @@
+/**
+ * MVC Package Service for NJDSC School Compliance Portal
+ *
+ * Assembles the referral package sent to the Motor Vehicle Commission for a
+ * report: a PDF summary (school details, violation description, sighting
+ * dates and status history) and the report's evidence files, in one ZIP.
+ * Packages are kept under the data directory so they can be downloaded again,
+ * and their SHA-256 hash is recorded in the audit log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Report = require('../models/Report');
+const reportService = require('./reportService');
+const fileService = require('./fileService');
+const localFileService = require('./localFileService');
+const configService = require('./configService');
+const emailOutboxService = require('./emailOutboxService');
+const auditService = require('./auditService');
+const { buildPdf } = require('../utils/pdf');
+const { createZipWriter } = require('../utils/zip');
+const { getDataDir, ensureDir } = require('../utils/fsUtils');
+
+// Configuration constants
+const PACKAGES_DIR_NAME = 'mvc-packages';
+const MVC_TEMPLATE_ID = 'mvc_notification';
+const PACKAGE_FILE_PATTERN = /^NJDSC-rep_[a-zA-Z0-9]{6}-\d{14}\.zip$/;
+const ADDITIONAL_REPORT_PATTERN = /\[Additional Report - ([^\]]+)\]/g;
+
+const { REPORTED_TO_MVC } = Report.getStatusEnum();
+
+/**
+ * Gets the directory packages for a report are stored in
+ * @param {string} reportId - Report ID
+ * @returns {string} Absolute directory path
+ */
+function getPackageDir(reportId) {
+  return path.join(getDataDir(), PACKAGES_DIR_NAME, reportId);
+}
+
+/**
+ * Builds the package ID, which doubles as the referral reference
+ * @param {string} reportId - Report ID
+ * @param {Date} date - Package creation time
+ * @returns {string} Package ID (NJDSC-<reportId>-<YYYYMMDDHHmmss>)
+ */
+function buildPackageId(reportId, date) {
+  return `NJDSC-${reportId}-${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}`;
+}
+
+/**
+ * Collects the dates the school was reported: the first report, every
+ * additional report appended to the description, and the most recent report
+ * @param {Object} report - Report data
+ * @returns {Array<string>} Unique ISO dates, oldest first
+ */
+function getSightingDates(report) {
+  const dates = [report.createdAt];
+
+  for (const match of String(report.violationDescription || '').matchAll(ADDITIONAL_REPORT_PATTERN)) {
+    dates.push(match[1]);
+  }
+  dates.push(report.lastReported);
+
+  const valid = dates
+    .filter(date => date && !Number.isNaN(new Date(date).getTime()))
+    .map(date => new Date(date).toISOString());
+
+  return [...new Set(valid)].sort();
+}
+
+/**
+ * Formats a date for the referral document
+ * @param {string} date - ISO date
+ * @returns {string} Readable UTC date and time
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+/**
+ * Builds the referral PDF for a report
+ * @param {Object} report - Report data, including admin fields
+ * @param {Object} details - Package details
+ * @param {string} details.packageId - Package ID
+ * @param {string} details.mvcReferenceNumber - Reference the report is referred under
+ * @param {Array<Object>} details.evidence - Evidence files ({ name, mimeType, size })
+ * @param {Date} details.date - Package creation time
+ * @returns {Buffer} PDF file
+ */
+function buildReferralPdf(report, { packageId, mvcReferenceNumber, evidence, date }) {
+  const history = [...(report.statusHistory || [])]
+    .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+  const licenseCheck = report.licenseCheck;
+
+  const blocks = [
+    { text: 'NJDSC Referral to the Motor Vehicle Commission', style: 'title' },
+    { text: `Package ${packageId}, prepared ${formatDate(date.toISOString())}`, style: 'small' },
+
+    { text: 'School Details', style: 'heading' },
+    { label: 'School name', value: report.schoolName },
+    { label: 'Location', value: report.location || 'Not provided' },
+    { label: 'Phone number', value: report.phoneNumber || 'Not provided' },
+    { label: 'Website', value: report.websiteUrl || 'Not provided' },
+    { label: 'Social media', value: (report.socialMediaLinks || []).join('\n') || 'None' },
+    {
+      label: 'License check',
+      value: !licenseCheck
+        ? 'Not checked'
+        : licenseCheck.status === 'match'
+          ? `Matches licensed school ${licenseCheck.licensedSchoolName || licenseCheck.licensedSchoolId}`
+          : 'No matching licensed school found'
+    },
+
+    { text: 'Report', style: 'heading' },
+    { label: 'Report ID', value: report.id },
+    { label: 'Reference number', value: mvcReferenceNumber },
+    { label: 'Current status', value: report.status },
+
+    { text: 'Violation Description', style: 'heading' },
+    { text: report.violationDescription },
+    ...(report.additionalInfo ? [{ text: `Additional information: ${report.additionalInfo}` }] : []),
+
+    { text: 'Sighting Dates', style: 'heading' },
+    ...getSightingDates(report).map(sighting => ({ text: formatDate(sighting) })),
+
+    { text: 'Status History', style: 'heading' },
+    ...(history.length === 0
+      ? [{ text: 'No status changes recorded.' }]
+      : history.map(entry => ({
+        label: formatDate(entry.changedAt),
+        value: `${entry.from || 'New'} -> ${entry.to} by ${entry.changedBy}` + (entry.notes ? `\n${entry.notes}` : '')
+      }))),
+
+    { text: 'Evidence', style: 'heading' },
+    ...(evidence.length === 0
+      ? [{ text: 'No evidence files attached.' }]
+      : evidence.map(file => ({ label: file.name, value: `${file.mimeType}, ${file.size} bytes` })))
+  ];
+
+  return buildPdf({ title: `NJDSC Referral ${report.id}`, blocks, date });
+}
+
+/**
+ * Opens the report's evidence files in local storage. Files missing from disk
+ * are skipped with a warning so one lost upload does not block the referral.
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Array<Object>>} Evidence ({ name, mimeType, size, stream }) in upload order
+ */
+async function getEvidenceFiles(reportId) {
+  const files = await fileService.getFilesByReportId(reportId);
+  const evidence = [];
+
+  for (const file of files) {
+    try {
+      const { stream } = await localFileService.downloadFile(file.localFilePath);
+      const name = `${String(evidence.length + 1).padStart(2, '0')}-${path.basename(file.originalName)}`;
+      evidence.push({ name, mimeType: file.mimeType, size: file.size, stream });
+    } catch (error) {
+      console.warn(`[MVC PACKAGE] Skipping evidence file ${file.id} for ${reportId}:`, error.message);
+    }
+  }
+
+  return evidence;
+}
+
+/**
+ * Calculates the SHA-256 hash of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Writes the package ZIP. The archive is written to a temporary file and
+ * renamed, so a partly written package is never left under its final name.
+ * @param {string} filePath - Destination path
+ * @param {Object} contents - Package contents
+ * @param {string} contents.pdfName - Name of the referral PDF in the archive
+ * @param {Buffer} contents.pdf - Referral PDF
+ * @param {Array<Object>} contents.evidence - Evidence files to include
+ * @returns {Promise<number>} Archive size in bytes
+ */
+async function writePackage(filePath, { pdfName, pdf, evidence }) {
+  const tempPath = `${filePath}.tmp`;
+  const output = fs.createWriteStream(tempPath);
+
+  try {
+    const zip = createZipWriter(output);
+    await zip.addEntry(pdfName, pdf);
+    for (const file of evidence) {
+      await zip.addEntry(`evidence/${file.name}`, file.stream);
+    }
+    const size = await zip.finalize();
+
+    await new Promise((resolve, reject) => {
+      output.once('error', reject);
+      output.end(resolve);
+    });
+    await fs.promises.rename(tempPath, filePath);
+    return size;
+  } catch (error) {
+    output.destroy();
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  } finally {
+    evidence.forEach(file => file.stream.destroy());
+  }
+}
+
+/**
+ * Creates the MVC referral package for a report, optionally emails it to the
+ * MVC, and moves the report to "Reported to MVC"
+ * @param {string} reportId - Report ID
+ * @param {Object} [options] - Package options
+ * @param {string} [options.mvcReferenceNumber] - Reference the MVC assigned; defaults to
+ *   the report's existing reference. Required when the report has none
+ * @param {boolean} [options.email] - Queue the package as an email attachment
+ * @param {string} [options.to] - Email recipient; defaults to the email.toAddress setting
+ * @param {string} createdBy - User creating the package
+ * @param {string} [ipAddress] - IP address of the user
+ * @returns {Promise<Object>} { packageId, fileName, sha256, size, files, email, report }
+ * @throws {Error} If the report is not found, cannot move to "Reported to MVC"
+ *   (including when there is no MVC reference), or an email is requested without a recipient
+ */
+async function createMvcPackage(reportId, options = {}, createdBy, ipAddress = null) {
+  const report = await reportService.getReportById(reportId, true);
+  if (!report) {
+    throw new Error(`Report with ID ${reportId} not found`);
+  }
+
+  const now = new Date();
+  const packageId = buildPackageId(report.id, now);
+  const mvcReferenceNumber = options.mvcReferenceNumber || report.mvcReferenceNumber;
+  const alreadyReported = report.status === REPORTED_TO_MVC;
+
+  // Check everything that can be rejected before doing any work
+  if (!alreadyReported) {
+    Report.validateStatusTransition(report.status, REPORTED_TO_MVC, { ...report, mvcReferenceNumber });
+  }
+
+  let recipient = null;
+  if (options.email) {
+    recipient = options.to || await configService.getConfig('email.toAddress');
+    if (!recipient) {
+      throw new Error('MVC package validation failed: no recipient given and email.toAddress is not configured');
+    }
+  }
+
+  const evidence = await getEvidenceFiles(report.id);
+  const pdfName = `${packageId}.pdf`;
+  const pdf = buildReferralPdf(report, { packageId, mvcReferenceNumber, evidence, date: now });
+
+  const packageDir = getPackageDir(report.id);
+  ensureDir(packageDir);
+  const fileName = `${packageId}.zip`;
+  const filePath = path.join(packageDir, fileName);
+  const size = await writePackage(filePath, { pdfName, pdf, evidence });
+  const sha256 = await hashFile(filePath);
+
+  console.log(`[MVC PACKAGE] Created ${fileName} for ${report.id} (${evidence.length} evidence files, ${size} bytes)`);
+
+  // The email is queued first so an oversized package is rejected before the report moves
+  let email = null;
+  if (recipient) {
+    const message = await emailOutboxService.enqueueTemplatedEmail(
+      MVC_TEMPLATE_ID,
+      { report, variables: { mvcReferenceNumber } },
+      recipient,
+      {
+        reportId: report.id,
+        attachments: [{ filename: fileName, path: filePath, contentType: 'application/zip', size }]
+      },
+      createdBy,
+      ipAddress
+    );
+    email = { messageId: message.id, to: message.to, status: message.status };
+  }
+
+  let updatedReport = report;
+  if (!alreadyReported || options.mvcReferenceNumber) {
+    updatedReport = await reportService.updateReportStatus(report.id, {
+      status: REPORTED_TO_MVC,
+      mvcReferenceNumber,
+      updatedBy: createdBy
+    });
+
+    if (!alreadyReported) {
+      try {
+        await auditService.logStatusUpdate(
+          report.id,
+          report.status,
+          REPORTED_TO_MVC,
+          `MVC referral package ${packageId}`,
+          createdBy,
+          ipAddress
+        );
+      } catch (auditError) {
+        console.warn('Failed to log status update audit event:', auditError.message);
+      }
+    }
+  }
+
+  const result = {
+    packageId,
+    fileName,
+    sha256,
+    size,
+    files: [pdfName, ...evidence.map(file => `evidence/${file.name}`)],
+    email,
+    report: {
+      id: updatedReport.id,
+      status: updatedReport.status,
+      mvcReferenceNumber: updatedReport.mvcReferenceNumber
+    }
+  };
+
+  try {
+    await auditService.logMvcPackageCreated(result, createdBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log MVC package audit event:', auditError.message);
+  }
+
+  return result;
+}
+
+/**
+ * Gets the path of a stored package
+ * @param {string} reportId - Report ID
+ * @param {string} fileName - Package file name
+ * @returns {Promise<string>} Absolute path to the ZIP
+ * @throws {Error} If the name is not a package name or the package does not exist
+ */
+async function getMvcPackagePath(reportId, fileName) {
+  if (!PACKAGE_FILE_PATTERN.test(fileName) || !fileName.startsWith(`NJDSC-${reportId}-`)) {
+    throw new Error(`MVC package ${fileName} not found`);
+  }
+
+  const filePath = path.join(getPackageDir(reportId), fileName);
+  try {
+    await fs.promises.access(filePath);
+  } catch {
+    throw new Error(`MVC package ${fileName} not found`);
+  }
+  return filePath;
+}
+
+module.exports = {
+  createMvcPackage,
+  getMvcPackagePath,
+
+  // Export for testing
+  getSightingDates,
+  buildReferralPdf
+};
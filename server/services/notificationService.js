@@ -0,0 +1,168 @@
+/**
+ * Notification Service for NJDSC School Compliance Portal
+ *
+ * Emails reporters automatically: an acknowledgement when their submission
+ * is saved and an update whenever their report moves to a new status. Each
+ * template can be switched off with an email.notifications.<templateId>.enabled
+ * configuration key. Notifications are delivered through the email outbox,
+ * which writes the outcome of each one to the audit log.
+ */
+
+const emailOutboxService = require('./emailOutboxService');
+const configService = require('./configService');
+const auditService = require('./auditService');
+const Report = require('../models/Report');
+const OutboundEmail = require('../models/OutboundEmail');
+const { REPORT_EVENTS, onReportEvent } = require('./reportEvents');
+const { revealReporterPii } = require('../utils/piiEncryption');
+
+const STATUS = Report.getStatusEnum();
+
+/**
+ * Templates used for automatic notifications
+ * @type {Object<string, string>}
+ */
+const NOTIFICATION_TEMPLATES = {
+  SUBMITTED: 'confirmation',
+  STATUS_UPDATE: 'investigation_update',
+  CLOSED: 'case_closed'
+};
+
+/**
+ * How each status reads in "Our investigation is currently ..."
+ * @type {Object<string, string>}
+ */
+const STATUS_PHRASES = {
+  [STATUS.ADDED]: 'awaiting review',
+  [STATUS.CONFIRMED]: 'confirmed by NJDSC',
+  [STATUS.UNDER_INVESTIGATION]: 'under way',
+  [STATUS.REPORTED_TO_MVC]: 'with the NJ Motor Vehicle Commission'
+};
+
+let unsubscribers = [];
+
+/**
+ * Builds the configuration key that switches a notification template on or off
+ * @param {string} templateId - Template ID
+ * @returns {string} Configuration key
+ */
+function getSwitchKey(templateId) {
+  return `email.notifications.${templateId}.enabled`;
+}
+
+/**
+ * Checks whether automatic emails using a template are switched on.
+ * Templates without a setting are on.
+ * @param {string} templateId - Template ID
+ * @returns {Promise<boolean>} True if enabled
+ */
+async function isNotificationEnabled(templateId) {
+  const value = await configService.getConfig(getSwitchKey(templateId));
+  return value !== false;
+}
+
+/**
+ * Queues one automatic notification. A notification that cannot be queued
+ * (e.g. a required template variable is missing) is audited as failed here.
+ * @param {string} templateId - Template to send
+ * @param {Report} report - Report the notification is about
+ * @param {string} recipient - Reporter email address
+ * @param {Object} [variables] - Extra template variables
+ * @returns {Promise<string>} 'queued', 'failed', 'disabled' or 'no_recipient'
+ */
+async function sendNotification(templateId, report, recipient, variables = {}) {
+  if (!recipient) {
+    return 'no_recipient';
+  }
+
+  if (!(await isNotificationEnabled(templateId))) {
+    console.log(`[NOTIFICATIONS] "${templateId}" notifications are disabled; skipping report ${report.id}`);
+    return 'disabled';
+  }
+
+  try {
+    await emailOutboxService.enqueueTemplatedEmail(
+      templateId,
+      { report, variables },
+      recipient,
+      { reportId: report.id, source: OutboundEmail.getSourceEnum().NOTIFICATION },
+      'system'
+    );
+    return 'queued';
+  } catch (error) {
+    console.error(`[NOTIFICATIONS] Failed to queue "${templateId}" for report ${report.id}:`, error.message);
+
+    try {
+      await auditService.logNotificationFailed({ reportId: report.id, templateId, to: recipient }, error.message);
+    } catch (auditError) {
+      console.warn('Failed to log notification audit event:', auditError.message);
+    }
+    return 'failed';
+  }
+}
+
+/**
+ * Acknowledges a submission to the reporter who made it
+ * @param {Object} event - REPORT_EVENTS.SUBMITTED payload
+ * @param {Report} event.report - Saved report
+ * @param {string} [event.reporterEmail] - Email given with the submission
+ * @returns {Promise<string>} Notification outcome
+ */
+async function handleReportSubmitted({ report, reporterEmail }) {
+  return sendNotification(NOTIFICATION_TEMPLATES.SUBMITTED, report, reporterEmail);
+}
+
+/**
+ * Tells the reporter their report moved to a new status
+ * @param {Object} event - REPORT_EVENTS.STATUS_CHANGED payload
+ * @param {Report} event.report - Report after the change
+ * @param {string} event.newStatus - New status
+ * @returns {Promise<string>} Notification outcome
+ */
+async function handleStatusChanged({ report, newStatus }) {
+  const { reporterEmail } = revealReporterPii(report);
+
+  if (newStatus === STATUS.CLOSED) {
+    return sendNotification(NOTIFICATION_TEMPLATES.CLOSED, report, reporterEmail);
+  }
+
+  return sendNotification(NOTIFICATION_TEMPLATES.STATUS_UPDATE, report, reporterEmail, {
+    investigationStatus: STATUS_PHRASES[newStatus] || newStatus.toLowerCase()
+  });
+}
+
+/**
+ * Subscribes to report events. Calling it again has no effect.
+ */
+function start() {
+  if (unsubscribers.length > 0) {
+    return;
+  }
+
+  unsubscribers = [
+    onReportEvent(REPORT_EVENTS.SUBMITTED, handleReportSubmitted),
+    onReportEvent(REPORT_EVENTS.STATUS_CHANGED, handleStatusChanged)
+  ];
+  console.log('[NOTIFICATIONS] Reporter notifications started');
+}
+
+/**
+ * Unsubscribes from report events
+ */
+function stop() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+}
+
+module.exports = {
+  start,
+  stop,
+  isNotificationEnabled,
+  getSwitchKey,
+  NOTIFICATION_TEMPLATES,
+
+  // Export for testing
+  handleReportSubmitted,
+  handleStatusChanged,
+  sendNotification
+};
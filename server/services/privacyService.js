@@ -0,0 +1,463 @@
+/**
+ * Privacy Service for NJDSC School Compliance Portal
+ *
+ * Handles data subject requests from reporters. Given an email address or
+ * phone number (or both) it finds the reports the person filed and their
+ * evidence files, their submissions still queued or kept after failing to
+ * process, the email records that mention the person (outbox
+ * messages, inbound log records and replies) and the audit entries that
+ * mention them. Admins can download everything found as a ZIP bundle, and
+ * anonymize or erase it. An erasure must quote the match token of a search,
+ * so only the records the admin reviewed are changed, and it is verified by
+ * searching again afterwards. Reports on legal hold are left alone.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const OutboundEmail = require('../models/OutboundEmail');
+const reportService = require('./reportService');
+const fileService = require('./fileService');
+const localFileService = require('./localFileService');
+const emailOutboxService = require('./emailOutboxService');
+const inboundEmailService = require('./inboundEmailService');
+const correspondenceService = require('./correspondenceService');
+const auditService = require('./auditService');
+const reportProcessingService = require('./reportProcessingService');
+const { REPORTER_PII_FIELDS, revealReporterPii } = require('../utils/piiEncryption');
+const { AUDIENCE, serializeReport, serializeFiles } = require('../utils/serializers');
+const { validateEmail, validatePhoneNumber, toE164PhoneNumber } = require('../utils/validation');
+const { createZipWriter } = require('../utils/zip');
+
+// Configuration constants
+const REDACTED = '[redacted]';
+
+// Free-text report fields that may quote the reporter (emailed tips record the sender)
+const REPORT_TEXT_FIELDS = ['violationDescription', 'additionalInfo', 'adminNotes'];
+
+/**
+ * What an erasure does with the records found
+ * @enum {string}
+ */
+const SUBJECT_REQUEST_MODE = {
+  ANONYMIZE: 'anonymize',
+  ERASE: 'erase'
+};
+
+const { SENT, DEAD } = OutboundEmail.getStatusEnum();
+
+/**
+ * Validates and normalizes the identifiers of a data subject
+ * @param {Object} identifiers - Identifiers
+ * @param {string} [identifiers.email] - Email address
+ * @param {string} [identifiers.phone] - US phone number
+ * @returns {{email: string|null, phone: string|null}} Lowercase email and E.164 phone number
+ * @throws {Error} If neither is given or one is invalid
+ */
+function parseSubject(identifiers = {}) {
+  const email = typeof identifiers.email === 'string' ? identifiers.email.trim().toLowerCase() : '';
+  const phone = typeof identifiers.phone === 'string' ? identifiers.phone.trim() : '';
+
+  if (!email && !phone) {
+    throw new Error('Subject request validation failed: an email address or phone number is required');
+  }
+  if (email && !validateEmail(email)) {
+    throw new Error('Subject request validation failed: email is not a valid email address');
+  }
+  if (phone && !validatePhoneNumber(phone)) {
+    throw new Error('Subject request validation failed: phone is not a valid US phone number');
+  }
+
+  return { email: email || null, phone: phone ? toE164PhoneNumber(phone) : null };
+}
+
+/**
+ * Escapes a text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds functions that find and replace a subject's email address and phone number in text
+ * @param {Object} subject - Parsed subject
+ * @returns {{mentions: Function, redact: Function}} mentions(value) tests a text or JSON value; redact(text) replaces every mention
+ */
+function buildMatcher(subject) {
+  const patterns = [];
+  if (subject.email) {
+    patterns.push(`(?<![\\w.+-])${escapeRegExp(subject.email)}(?![\\w-]|\\.\\w)`);
+  }
+  if (subject.phone) {
+    // The national number with an optional country code and any common separators, not inside a longer number
+    const digits = subject.phone.slice(-10).split('').join('[\\s().-]*');
+    patterns.push(`(?<!\\d)(?:\\+?1[\\s().-]*)?${digits}(?!\\d)`);
+  }
+  const source = patterns.join('|');
+
+  return {
+    mentions: value => value !== null && value !== undefined &&
+      new RegExp(source, 'i').test(typeof value === 'string' ? value : JSON.stringify(value)),
+    redact: text => (typeof text === 'string' ? text.replace(new RegExp(source, 'gi'), REDACTED) : text)
+  };
+}
+
+/**
+ * Lists the reporter fields of a report that identify the subject
+ * @param {Object} subject - Parsed subject
+ * @param {Object} reporter - Decrypted reporter fields
+ * @returns {Array<string>} Matching fields
+ */
+function getReporterMatches(subject, reporter) {
+  const matchedOn = [];
+  if (subject.email && String(reporter.reporterEmail || '').trim().toLowerCase() === subject.email) {
+    matchedOn.push('reporterEmail');
+  }
+  if (subject.phone && reporter.reporterPhone && toE164PhoneNumber(reporter.reporterPhone) === subject.phone) {
+    matchedOn.push('reporterPhone');
+  }
+  return matchedOn;
+}
+
+/**
+ * Finds every record tied to a subject
+ * @param {Object} subject - Parsed subject
+ * @returns {Promise<Object>} Records per kind: reports ({ report, matchedOn }), files the subject uploaded,
+ *   submissions (with matchedOn), outbound, inbound, correspondence and auditEntries
+ */
+async function findRecords(subject) {
+  const { mentions } = buildMatcher(subject);
+  const mentionsAny = (...values) => mentions(values.filter(Boolean).join('\n'));
+
+  const reports = [];
+  const reporterIps = new Map();
+  for (const report of await reportService.getAllReports()) {
+    const reporter = revealReporterPii(report);
+    const matchedOn = getReporterMatches(subject, reporter);
+    if (matchedOn.length > 0) {
+      reports.push({ report, matchedOn });
+      reporterIps.set(report.id, reporter.reporterIp);
+    }
+  }
+
+  // Reports also collect files from other people's repeat submissions, so only
+  // the files uploaded from the subject's own address are theirs
+  const files = (await fileService.getAllFiles())
+    .filter(file => file.uploadedByIp && file.uploadedByIp === reporterIps.get(file.reportId));
+  const submissions = [];
+  for (const submission of await reportProcessingService.getPendingSubmissions()) {
+    const matchedOn = getReporterMatches(subject, submission.reportData);
+    if (matchedOn.length > 0) {
+      submissions.push({ ...submission, matchedOn });
+    }
+  }
+  const { messages: outbound } = await emailOutboxService.getOutbox({ limit: Infinity });
+  const { messages: inbound } = await inboundEmailService.getInboundLog({ limit: Infinity });
+  const correspondence = await correspondenceService.getAllReplies();
+  const auditEntries = await auditService.getAllAuditLogsFromJson();
+
+  return {
+    reports,
+    files,
+    submissions,
+    outbound: outbound.filter(message => mentionsAny(message.to, message.cc, message.bcc, message.subject, message.body)),
+    inbound: inbound.filter(record => mentionsAny(record.from, record.subject)),
+    correspondence: correspondence.filter(entry => mentionsAny(entry.from, entry.subject, entry.body)),
+    auditEntries: auditEntries.filter(entry => mentions(entry.details) || mentions(entry.changes) || mentions(entry.metadata))
+  };
+}
+
+/**
+ * Counts records per kind
+ * @param {Object} records - Records from findRecords
+ * @returns {Object} Number of records per kind
+ */
+function countRecords(records) {
+  return Object.fromEntries(Object.entries(records).map(([kind, list]) => [kind, list.length]));
+}
+
+/**
+ * Leaves out the records tied to reports on legal hold
+ * @param {Object} records - Records from findRecords
+ * @returns {Object} Records an erasure may change
+ */
+function withoutHeld(records) {
+  const heldIds = new Set(records.reports.filter(({ report }) => report.legalHold).map(({ report }) => report.id));
+  const free = reportId => !heldIds.has(reportId);
+
+  return {
+    reports: records.reports.filter(({ report }) => free(report.id)),
+    files: records.files.filter(file => free(file.reportId)),
+    submissions: records.submissions,
+    outbound: records.outbound.filter(message => free(message.reportId)),
+    inbound: records.inbound.filter(record => free(record.reportId)),
+    correspondence: records.correspondence.filter(entry => free(entry.reportId)),
+    auditEntries: records.auditEntries.filter(entry => free(entry.targetId))
+  };
+}
+
+/**
+ * Computes the token that identifies the records a search found
+ * @param {Object} subject - Parsed subject
+ * @param {Object} records - Records from findRecords
+ * @returns {string} Hex SHA-256 of the subject and the record IDs
+ */
+function getMatchToken(subject, records) {
+  const ids = Object.fromEntries(Object.entries(records).map(([kind, list]) => [
+    kind,
+    list.map(item => (item.report || item).id).sort()
+  ]));
+  return crypto.createHash('sha256').update(JSON.stringify({ subject, ids })).digest('hex');
+}
+
+/**
+ * Lists the attachments of an email record without their storage paths
+ * @param {Object} record - Outbox message or reply
+ * @returns {Object} Copy of the record
+ */
+function withoutStoragePaths(record) {
+  return {
+    ...record,
+    attachments: record.attachments.map(({ filename, contentType, size }) => ({ filename, contentType, size }))
+  };
+}
+
+/**
+ * Shapes the records found for a subject for admins
+ * @param {Object} subject - Parsed subject
+ * @param {Object} records - Records from findRecords
+ * @returns {Object} { subject, matchToken, counts, reports, files, submissions, emails, auditEntries, held }
+ */
+function describeRecords(subject, records) {
+  return {
+    subject,
+    matchToken: getMatchToken(subject, records),
+    counts: countRecords(records),
+    reports: records.reports.map(({ report, matchedOn }) => ({ ...serializeReport(report, AUDIENCE.ADMIN), matchedOn })),
+    files: serializeFiles(records.files, AUDIENCE.ADMIN),
+    submissions: records.submissions,
+    emails: {
+      outbound: records.outbound.map(withoutStoragePaths),
+      inbound: records.inbound,
+      correspondence: records.correspondence.map(withoutStoragePaths)
+    },
+    auditEntries: records.auditEntries,
+    held: records.reports
+      .filter(({ report }) => report.legalHold)
+      .map(({ report }) => ({ reportId: report.id, legalHold: report.legalHold }))
+  };
+}
+
+/**
+ * Finds everything held about a data subject
+ * @param {Object} identifiers - { email, phone }; at least one is required
+ * @returns {Promise<Object>} { subject, matchToken, counts, reports, files, submissions, emails, auditEntries, held }
+ * @throws {Error} If the identifiers are invalid
+ */
+async function searchSubjectData(identifiers) {
+  const subject = parseSubject(identifiers);
+  return describeRecords(subject, await findRecords(subject));
+}
+
+/**
+ * Streams a ZIP bundle of everything held about a data subject: the records
+ * found as JSON, the evidence files they uploaded and the attachments of
+ * their replies. The output stream is not ended.
+ * @param {Object} identifiers - { email, phone }; at least one is required
+ * @param {import('stream').Writable} output - Destination stream
+ * @returns {Promise<{counts: Object, reportIds: Array<string>, size: number}>} What was exported and the archive size
+ * @throws {Error} If the identifiers are invalid
+ */
+async function writeSubjectExport(identifiers, output) {
+  const subject = parseSubject(identifiers);
+  const records = await findRecords(subject);
+  const found = describeRecords(subject, records);
+  const toJson = value => JSON.stringify(value, null, 2);
+
+  const zip = createZipWriter(output);
+  await zip.addEntry('subject-request.json', toJson({
+    generatedAt: new Date().toISOString(),
+    subject,
+    counts: found.counts,
+    held: found.held
+  }));
+  await zip.addEntry('reports.json', toJson(found.reports));
+  await zip.addEntry('files.json', toJson(found.files));
+  await zip.addEntry('submissions.json', toJson(found.submissions));
+  await zip.addEntry('emails.json', toJson(found.emails));
+  await zip.addEntry('audit.json', toJson(found.auditEntries));
+
+  // Files missing from disk are skipped with a warning so one lost upload does not block the export
+  for (const file of records.files) {
+    let stream;
+    try {
+      ({ stream } = await localFileService.downloadFile(file.localFilePath));
+    } catch (error) {
+      console.warn(`[PRIVACY] Skipping evidence file ${file.id}:`, error.message);
+      continue;
+    }
+    await zip.addEntry(`evidence/${file.id}-${path.basename(file.originalName)}`, stream);
+  }
+
+  for (const entry of records.correspondence) {
+    for (let index = 0; index < entry.attachments.length; index++) {
+      let filePath;
+      try {
+        ({ filePath } = await correspondenceService.getAttachment(entry.reportId, entry.id, index));
+      } catch (error) {
+        console.warn(`[PRIVACY] Skipping reply attachment ${entry.id}/${index}:`, error.message);
+        continue;
+      }
+      const name = `${index + 1}-${path.basename(entry.attachments[index].filename)}`;
+      await zip.addEntry(`correspondence/${entry.id}/${name}`, fs.createReadStream(filePath));
+    }
+  }
+
+  const size = await zip.finalize();
+  return { counts: found.counts, reportIds: found.reports.map(report => report.id), size };
+}
+
+/**
+ * Anonymizes or erases everything held about a data subject, outside
+ * reports on legal hold.
+ *
+ * Both modes remove the reporter details from the subject's reports and
+ * replace mentions of the email address and phone number in report text,
+ * email records and audit entries with "[redacted]". Reports and audit
+ * entries are always kept. Anonymizing also clears the uploader IP address
+ * of the reports' files and keeps sent mail with the recipient replaced;
+ * erasing deletes the files the subject uploaded, the outbox messages and the
+ * replies instead. Files other reporters added to the same reports are kept.
+ * Unsent mail to the subject is deleted in both modes. Inbound log records
+ * are redacted rather than deleted so the same message is not ingested again.
+ * Queued and failed submissions lose their reporter details and have their
+ * text redacted when anonymizing, and are deleted when erasing.
+ *
+ * @param {Object} identifiers - { email, phone }; at least one is required
+ * @param {Object} options - Erasure options
+ * @param {string} options.mode - 'anonymize' or 'erase'
+ * @param {string} options.matchToken - Token returned by the search the admin reviewed
+ * @param {string} erasedBy - Admin carrying out the request
+ * @returns {Promise<Object>} { mode, reportIds, changed, held, remaining, verified }
+ * @throws {Error} If the request is invalid, or the records found differ from the search
+ */
+async function eraseSubjectData(identifiers, options, erasedBy) {
+  const subject = parseSubject(identifiers);
+  const { mode, matchToken } = options || {};
+
+  if (!Object.values(SUBJECT_REQUEST_MODE).includes(mode)) {
+    throw new Error('Subject request validation failed: mode must be "anonymize" or "erase"');
+  }
+  if (typeof matchToken !== 'string' || !matchToken) {
+    throw new Error('Subject request validation failed: matchToken from a search is required');
+  }
+
+  const records = await findRecords(subject);
+  if (getMatchToken(subject, records) !== matchToken) {
+    throw new Error('Subject request conflict: the records found have changed since the search; search again');
+  }
+
+  const erase = mode === SUBJECT_REQUEST_MODE.ERASE;
+  const { redact } = buildMatcher(subject);
+  const free = withoutHeld(records);
+  const changed = { reports: 0, files: 0, submissions: 0, outbound: 0, inbound: 0, correspondence: 0, auditEntries: 0 };
+
+  for (const { report } of free.reports) {
+    await reportService.removeReporterDetails(report.id, REPORTER_PII_FIELDS);
+
+    const updates = {};
+    for (const field of REPORT_TEXT_FIELDS) {
+      if (report[field] && redact(report[field]) !== report[field]) {
+        updates[field] = redact(report[field]);
+      }
+    }
+
+    if (erase) {
+      const fileIds = new Set(free.files.filter(file => file.reportId === report.id).map(file => file.id));
+      for (const fileId of fileIds) {
+        await fileService.deleteFile(fileId);
+      }
+      changed.files += fileIds.size;
+
+      const uploadedFiles = report.uploadedFiles || [];
+      if (uploadedFiles.some(file => fileIds.has(file.id))) {
+        updates.uploadedFiles = uploadedFiles.filter(file => !fileIds.has(file.id));
+      }
+    } else {
+      changed.files += (await fileService.removeUploaderIps(report.id)).length;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await reportService.updateReport(report.id, { ...updates, updatedBy: erasedBy });
+    }
+    changed.reports++;
+  }
+
+  for (const submission of free.submissions) {
+    const done = erase
+      ? await reportProcessingService.deleteSubmission(submission.id)
+      : await reportProcessingService.redactSubmission(submission.id, redact);
+    if (done) {
+      changed.submissions++;
+    }
+  }
+
+  for (const message of free.outbound) {
+    if (erase || ![SENT, DEAD].includes(message.status)) {
+      await emailOutboxService.deleteMessage(message.id);
+    } else {
+      await emailOutboxService.redactMessage(message.id, redact);
+    }
+    changed.outbound++;
+  }
+
+  for (const record of free.inbound) {
+    await inboundEmailService.redactLogEntry(record.id, redact);
+    changed.inbound++;
+  }
+
+  for (const entry of free.correspondence) {
+    if (erase) {
+      await correspondenceService.deleteReply(entry.id);
+    } else {
+      await correspondenceService.redactReply(entry.id, redact);
+    }
+    changed.correspondence++;
+  }
+
+  for (const entry of free.auditEntries) {
+    await auditService.redactAuditLog(entry.id, redact);
+    changed.auditEntries++;
+  }
+
+  // Verify by searching again: nothing may be left outside reports on legal hold
+  const remaining = countRecords(withoutHeld(await findRecords(subject)));
+
+  return {
+    mode,
+    reportIds: free.reports.map(({ report }) => report.id),
+    changed,
+    held: describeRecords(subject, records).held,
+    remaining,
+    verified: Object.values(remaining).every(count => count === 0)
+  };
+}
+
+/**
+ * Gets the erasure mode enum values
+ * @returns {Object} Mode enumeration
+ */
+function getModeEnum() {
+  return SUBJECT_REQUEST_MODE;
+}
+
+module.exports = {
+  parseSubject,
+  searchSubjectData,
+  writeSubjectExport,
+  eraseSubjectData,
+  getModeEnum,
+  buildMatcher
+};
@@ -0,0 +1,56 @@
+/**
+ * Report Events for NJDSC School Compliance Portal
+ *
+ * In-process event bus for report lifecycle events. reportService publishes
+ * events after changes are saved; subscribers such as notificationService
+ * react to them without the report code knowing who is listening.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Report lifecycle events
+ * @type {Object<string, string>}
+ */
+const REPORT_EVENTS = {
+  // A submission was saved, as a new report or onto an existing one
+  SUBMITTED: 'report.submitted',
+  // A report moved to a different status
+  STATUS_CHANGED: 'report.statusChanged'
+};
+
+const emitter = new EventEmitter();
+
+/**
+ * Publishes a report event. Subscribers run in the background, so the caller
+ * never waits for them and their failures never reach it.
+ * @param {string} event - One of REPORT_EVENTS
+ * @param {Object} payload - Event data
+ */
+function emitReportEvent(event, payload) {
+  emitter.emit(event, payload);
+}
+
+/**
+ * Subscribes to a report event. Errors thrown or rejected by the handler are
+ * logged and swallowed.
+ * @param {string} event - One of REPORT_EVENTS
+ * @param {Function} handler - Sync or async handler receiving the payload
+ * @returns {Function} Call to unsubscribe
+ */
+function onReportEvent(event, handler) {
+  const listener = (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => console.error(`[REPORT EVENTS] ${event} handler failed:`, error.message));
+  };
+
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+}
+
+module.exports = {
+  REPORT_EVENTS,
+  emitReportEvent,
+  onReportEvent
+};
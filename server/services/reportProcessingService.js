@@ -10,8 +10,18 @@ const fs = require('fs').promises;
 const path = require('path');
 const { watch } = require('fs');
 const reportService = require('./reportService');
-const localJsonService = require('./localJsonService');
-const { getDataDir, ensureDir } = require('../utils/fsUtils');
+const schoolService = require('./schoolService');
+const duplicateService = require('./duplicateService');
+const fileService = require('./fileService');
+const File = require('../models/File');
+const { getDataDir } = require('../utils/fsUtils');
+const { REPORTER_PII_FIELDS, decryptPii, needsReencryption, sealReporterPii } = require('../utils/piiEncryption');
+
+// Ticket IDs double as queue file names: report_YYYYMMDD_HHMMSS_xxxxxx
+const TICKET_ID_PATTERN = /^report_\d{8}_\d{6}_[a-z0-9]{6}$/;
+
+// Maximum number of files linked to one report
+const MAX_REPORT_FILES = 10;
 
 class ReportProcessingService {
   constructor() {
@@ -23,6 +33,9 @@ class ReportProcessingService {
     this.isProcessing = false;
     this.watcher = null;
     this.processQueue = [];
+    this.directoriesReady = false;
+    // Callbacks waiting on queue files submitted in this process, by file name
+    this.listeners = new Map();
   }
 
   /**
@@ -35,6 +48,15 @@ class ReportProcessingService {
       
       // Create necessary directories
       await this.ensureDirectories();
+
+      // Encrypt reporter details of entries written in plain text, before anything is processed
+      const reencrypted = await this.reencryptQueuedEntries();
+      if (reencrypted > 0) {
+        console.log(`[REPORT PROCESSING] Re-encrypted reporter details of ${reencrypted} queue entries`);
+      }
+
+      // Pick up anything left behind by a previous run
+      await this.recoverPendingFiles();
       
       // Start watching the queue directory
       this.startWatching();
@@ -50,6 +72,10 @@ class ReportProcessingService {
    * Ensure all required directories exist
    */
   async ensureDirectories() {
+    if (this.directoriesReady) {
+      return;
+    }
+
     const dirs = [this.queueDir, this.processingDir, this.completedDir, this.failedDir];
     
     for (const dir of dirs) {
@@ -61,6 +87,191 @@ class ReportProcessingService {
         throw error;
       }
     }
+
+    this.directoriesReady = true;
+  }
+
+  /**
+   * Requeue files interrupted mid-processing and schedule everything
+   * already waiting in the queue directory (oldest first)
+   */
+  async recoverPendingFiles() {
+    const processingFiles = (await fs.readdir(this.processingDir)).filter(f => f.endsWith('.json'));
+
+    for (const file of processingFiles) {
+      try {
+        await fs.rename(path.join(this.processingDir, file), path.join(this.queueDir, file));
+        console.log(`[REPORT PROCESSING] Requeued interrupted file: ${file}`);
+      } catch (error) {
+        console.error(`[REPORT PROCESSING] Failed to requeue ${file}:`, error);
+      }
+    }
+
+    const queuedFiles = (await fs.readdir(this.queueDir)).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of queuedFiles) {
+      this.scheduleFile(file);
+    }
+
+    if (queuedFiles.length > 0) {
+      console.log(`[REPORT PROCESSING] Recovered ${queuedFiles.length} queued files`);
+    }
+  }
+
+  /**
+   * Generates a unique ticket ID for a queued report
+   * @returns {string} Ticket ID (also used as the queue file name)
+   */
+  generateTicketId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+    const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+    let suffix = '';
+    for (let i = 0; i < 6; i++) {
+      suffix += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return `report_${stamp}_${suffix}`;
+  }
+
+  /**
+   * Checks whether a string is a well-formed ticket ID
+   * @param {string} ticketId - Ticket ID to check
+   * @returns {boolean} True if valid
+   */
+  isValidTicketId(ticketId) {
+    return typeof ticketId === 'string' && TICKET_ID_PATTERN.test(ticketId);
+  }
+
+  /**
+   * Write a report submission to the queue for sequential processing
+   *
+   * @param {Object} reportData - Submitted report data (including base64 files)
+   * @param {string} reporterIp - IP address of the reporter
+   * @param {Function} [onProcessed] - Called as (error, { ticketId, report, uploadedFiles }) once processed
+   * @returns {Promise<Object>} - Ticket information ({ ticketId, status, createdAt })
+   */
+  async enqueueReport(reportData, reporterIp, onProcessed = null) {
+    await this.ensureDirectories();
+
+    const ticketId = this.generateTicketId();
+    const filename = `${ticketId}.json`;
+    const createdAt = new Date().toISOString();
+    const entry = {
+      queueId: ticketId,
+      timestamp: createdAt,
+      reportData: this.sealSubmission(reportData, reporterIp, ticketId),
+      status: 'pending',
+      createdAt
+    };
+
+    // Write to a temp name first so the watcher never sees a partial file
+    const tempPath = path.join(this.queueDir, `${filename}.tmp`);
+    await fs.writeFile(tempPath, JSON.stringify(entry, null, 2), 'utf-8');
+    await fs.rename(tempPath, path.join(this.queueDir, filename));
+
+    console.log(`[REPORT PROCESSING] Enqueued report: ${ticketId}`);
+
+    if (onProcessed) {
+      this.listeners.set(filename, onProcessed);
+    }
+
+    // Don't rely solely on the watcher (it may not be running, e.g. in tests)
+    this.scheduleFile(filename);
+
+    return { ticketId, status: 'queued', createdAt };
+  }
+
+  /**
+   * Write a report submission to the queue and wait for it to be processed
+   *
+   * @param {Object} reportData - Submitted report data (including base64 files)
+   * @param {string} reporterIp - IP address of the reporter
+   * @returns {Promise<{ticketId: string, report: Object, uploadedFiles: Array<Object>}>} - Processed report
+   */
+  enqueueReportAndWait(reportData, reporterIp) {
+    return new Promise((resolve, reject) => {
+      this.enqueueReport(reportData, reporterIp, (error, result) => (error ? reject(error) : resolve(result)))
+        .catch(reject);
+    });
+  }
+
+  /**
+   * Tell whoever is waiting on a queue file how it was processed
+   *
+   * @param {string} filename - Queue file name
+   * @param {Error|null} error - Processing error, if it failed
+   * @param {Object} [result] - Processed report and uploaded files
+   */
+  notifyListener(filename, error, result) {
+    const listener = this.listeners.get(filename);
+    if (!listener) {
+      return;
+    }
+
+    this.listeners.delete(filename);
+    try {
+      listener(error, result);
+    } catch (listenerError) {
+      console.error(`[REPORT PROCESSING] Listener for ${filename} failed:`, listenerError.message);
+    }
+  }
+
+  /**
+   * Look up the processing status of a queued report
+   *
+   * @param {string} ticketId - Ticket ID returned by enqueueReport
+   * @returns {Promise<Object|null>} - Status information or null if unknown
+   */
+  async getTicketStatus(ticketId) {
+    if (!this.isValidTicketId(ticketId)) {
+      return null;
+    }
+
+    const filename = `${ticketId}.json`;
+    const locations = [
+      { dir: this.completedDir, status: 'completed' },
+      { dir: this.failedDir, status: 'failed' },
+      { dir: this.processingDir, status: 'processing' },
+      { dir: this.queueDir, status: 'queued' }
+    ];
+
+    for (const { dir, status } of locations) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(path.join(dir, filename), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        // File is mid-move or unreadable; report what we know from its location
+        entry = {};
+      }
+
+      return {
+        ticketId,
+        status,
+        createdAt: entry.createdAt || null,
+        processedAt: entry.processedAt || null,
+        reportId: entry.reportId || null,
+        error: status === 'failed' ? (entry.error || 'Processing failed') : null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Add a queue file to the in-memory processing queue and kick off processing
+   *
+   * @param {string} filename - Queue file name
+   */
+  scheduleFile(filename) {
+    if (!this.processQueue.includes(filename)) {
+      this.processQueue.push(filename);
+    }
+
+    if (!this.isProcessing) {
+      this.processNextInQueue();
+    }
   }
 
   /**
@@ -72,13 +283,8 @@ class ReportProcessingService {
         if (eventType === 'rename' && filename && filename.endsWith('.json')) {
           console.log(`[REPORT PROCESSING] Detected new file: ${filename}`);
           
-          // Add to processing queue
-          this.processQueue.push(filename);
-          
-          // Process queue if not already processing
-          if (!this.isProcessing) {
-            this.processNextInQueue();
-          }
+          // Add to processing queue and process if not already processing
+          this.scheduleFile(filename);
         }
       });
       
@@ -124,6 +330,7 @@ class ReportProcessingService {
     const processingFilePath = path.join(this.processingDir, filename);
     const completedFilePath = path.join(this.completedDir, filename);
     const failedFilePath = path.join(this.failedDir, filename);
+    let entry = null;
 
     try {
       console.log(`[REPORT PROCESSING] Processing file: ${filename}`);
@@ -137,20 +344,29 @@ class ReportProcessingService {
         return;
       }
 
-      // Read the report data
+      // Read the queue entry (older queue files contain the bare report data)
       const fileContent = await fs.readFile(processingFilePath, 'utf-8');
-      const reportData = JSON.parse(fileContent);
+      const parsed = JSON.parse(fileContent);
+      entry = parsed.reportData ? parsed : { reportData: parsed, reporterIp: parsed.reporterIp };
+      const submission = this.openSubmission(entry, path.basename(filename, '.json'));
+      const { reportData } = submission;
+      const reporterIp = submission.reporterIp || 'queue-processor';
 
       console.log(`[REPORT PROCESSING] Parsed report data for school: ${reportData.schoolName}`);
 
-      // Process the report using reportService
-      const report = await reportService.createReport(reportData, reportData.reporterIp || 'queue-processor');
+      const { report, uploadedFiles } = await this.createReportWithFiles(reportData, reporterIp);
 
-      console.log(`[REPORT PROCESSING] Report created successfully: ${report.id}`);
-
-      // Move file to completed directory
-      await fs.rename(processingFilePath, completedFilePath);
+      // Record the outcome in the completed directory; the submission itself now lives in the report
+      await this.finalizeEntry(processingFilePath, completedFilePath, {
+        queueId: entry.queueId,
+        status: 'completed',
+        createdAt: entry.createdAt,
+        reportId: report.id,
+        uploadedFileCount: uploadedFiles.length,
+        processedAt: new Date().toISOString()
+      });
       console.log(`[REPORT PROCESSING] File moved to completed: ${filename}`);
+      this.notifyListener(filename, null, { ticketId: entry.queueId, report, uploadedFiles });
 
     } catch (error) {
       console.error(`[REPORT PROCESSING] Error processing file ${filename}:`, error);
@@ -159,15 +375,223 @@ class ReportProcessingService {
         // Move file to failed directory
         const processingExists = await this.fileExists(processingFilePath);
         if (processingExists) {
-          await fs.rename(processingFilePath, failedFilePath);
+          if (entry) {
+            await this.finalizeEntry(processingFilePath, failedFilePath, {
+              ...entry,
+              status: 'failed',
+              error: error.message,
+              processedAt: new Date().toISOString()
+            });
+          } else {
+            // Unparseable file - keep the original for inspection
+            await fs.rename(processingFilePath, failedFilePath);
+          }
         }
         console.log(`[REPORT PROCESSING] File moved to failed: ${filename}`);
       } catch (moveError) {
         console.error(`[REPORT PROCESSING] Failed to move file to failed directory:`, moveError);
       }
+      this.notifyListener(filename, error);
     }
   }
 
+  /**
+   * Create (or update) a report, store its files and file it in the school
+   * registry and duplicate queue
+   *
+   * @param {Object} reportData - Submitted report data, with base64 files
+   * @param {string} reporterIp - IP address of the reporter
+   * @returns {Promise<{report: Object, uploadedFiles: Array<Object>}>} - Report and uploaded file summaries
+   */
+  async createReportWithFiles(reportData, reporterIp) {
+    const report = await reportService.createReport(reportData, reporterIp);
+
+    console.log(`[REPORT PROCESSING] Report created successfully: ${report.id}`);
+
+    const uploadedFiles = await this.processReportFiles(report, reportData.files, reporterIp);
+
+    // Group the report under its school in the registry (non-critical)
+    try {
+      await schoolService.registerReport(report);
+    } catch (schoolError) {
+      console.error(`[REPORT PROCESSING] Failed to register school for report ${report.id}:`, schoolError.message);
+    }
+
+    // Queue likely duplicates under other spellings for review (non-critical)
+    try {
+      await duplicateService.detectDuplicates(report);
+    } catch (duplicateError) {
+      console.error(`[REPORT PROCESSING] Failed to check report ${report.id} for duplicates:`, duplicateError.message);
+    }
+
+    return { report, uploadedFiles };
+  }
+
+  /**
+   * Upload the base64 files attached to a submission and link them to the report
+   *
+   * @param {Object} report - Created (or updated) report
+   * @param {Array<Object>} files - Submitted files ({ name, type, size, data })
+   * @param {string} reporterIp - IP address of the reporter
+   * @returns {Promise<Array<Object>>} - Uploaded file summaries
+   */
+  async processReportFiles(report, files, reporterIp) {
+    const uploadedFiles = [];
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return uploadedFiles;
+    }
+
+    // A repeat submission adds to the files already on the report, up to the limit of 10
+    const existingFiles = report.uploadedFiles || [];
+    const availableSlots = Math.max(MAX_REPORT_FILES - existingFiles.length, 0);
+    if (files.length > availableSlots) {
+      console.warn(`[REPORT PROCESSING] Report ${report.id} has room for ${availableSlots} more file(s); ${files.length - availableSlots} file(s) were not added`);
+    }
+
+    console.log(`[REPORT PROCESSING] Processing ${Math.min(files.length, availableSlots)} files for report ${report.id}`);
+
+    for (const fileData of files.slice(0, availableSlots)) {
+      try {
+        // Validate file data is not empty
+        if (!fileData.data || fileData.data.trim() === '') {
+          console.log(`[REPORT PROCESSING] Skipping empty file: ${fileData.name}`);
+          continue;
+        }
+
+        // Convert base64 to buffer
+        const fileBuffer = Buffer.from(fileData.data, 'base64');
+
+        // Store a metadata-stripped public copy; the original is kept privately
+        const uploadedFile = await fileService.storeUpload(
+          fileBuffer,
+          fileData.name,
+          fileData.type,
+          report.id
+        );
+
+        const file = File.create({
+          reportId: report.id,
+          originalName: fileData.name,
+          mimeType: fileData.type,
+          size: uploadedFile.size,
+          localFilePath: uploadedFile.localPath,
+          originalFilePath: uploadedFile.originalFilePath,
+          exif: uploadedFile.exif,
+          metadataStrippedAt: uploadedFile.metadataStrippedAt,
+          publicUrl: uploadedFile.url,
+          thumbnailUrl: null
+        }, reporterIp);
+
+        // Save file metadata to local JSON storage, then generate image renditions
+        await fileService.saveFileToJson(file);
+        const processedFile = await fileService.processFile(file, fileBuffer);
+
+        uploadedFiles.push({
+          id: file.id, // Use internal file ID for frontend
+          name: fileData.name,
+          type: fileData.type, // Use fileData.type (matches Report validation)
+          size: file.size,
+          url: `/api/files/${file.id}/download`, // Use proxy URL for CORS
+          thumbnailUrl: processedFile.thumbnailUrl || null,
+          mediumUrl: processedFile.mediumUrl || null
+        });
+      } catch (fileError) {
+        console.error(`[REPORT PROCESSING] Error uploading file ${fileData.name}:`, fileError);
+        // Continue with other files if one fails
+      }
+    }
+
+    if (uploadedFiles.length > 0) {
+      await reportService.updateReport(report.id, { uploadedFiles: [...existingFiles, ...uploadedFiles] });
+      console.log(`[REPORT PROCESSING] Report ${report.id} updated with ${uploadedFiles.length} uploaded files`);
+    }
+
+    return uploadedFiles;
+  }
+
+  /**
+   * Write the final queue entry to its destination and remove the processing copy
+   *
+   * @param {string} processingFilePath - Path of the file being processed
+   * @param {string} destinationPath - Completed or failed path
+   * @param {Object} entry - Queue entry to record
+   */
+  async finalizeEntry(processingFilePath, destinationPath, entry) {
+    await fs.writeFile(destinationPath, JSON.stringify(entry, null, 2), 'utf-8');
+    await fs.unlink(processingFilePath);
+  }
+
+  /**
+   * Encrypt the reporter details and IP address of a submission for the queue
+   *
+   * @param {Object} reportData - Submitted report data
+   * @param {string|null} reporterIp - IP address of the reporter
+   * @param {string} ticketId - Ticket ID (the envelope only opens for it)
+   * @returns {Object} - Report data with `reporterPii` in place of the reporter fields
+   */
+  sealSubmission(reportData, reporterIp, ticketId) {
+    const sealed = sealReporterPii({ ...reportData, reporterIp, id: ticketId });
+    delete sealed.id;
+    return sealed;
+  }
+
+  /**
+   * Decrypt the submission of a queue entry
+   *
+   * @param {Object} entry - Queue entry (older entries hold plain reporter fields)
+   * @param {string} ticketId - Ticket ID of the entry
+   * @returns {{reportData: Object, reporterIp: string|null}} - Submitted report data and reporter IP
+   * @throws {Error} If the reporter details cannot be decrypted
+   */
+  openSubmission(entry, ticketId) {
+    const { reporterPii, ...reportData } = entry.reportData;
+    const { reporterIp, ...reporter } = reporterPii ? decryptPii(reporterPii, ticketId) : {};
+    return {
+      reportData: { ...reportData, ...reporter },
+      reporterIp: reporterIp || reportData.reporterIp || entry.reporterIp || null
+    };
+  }
+
+  /**
+   * Encrypt reporter details of queued, interrupted and failed entries stored
+   * in plain text, and re-wrap their data keys after a key rotation
+   *
+   * @returns {Promise<number>} - Number of entries rewritten
+   */
+  async reencryptQueuedEntries() {
+    let count = 0;
+
+    for (const dir of [this.queueDir, this.processingDir, this.failedDir]) {
+      const files = (await fs.readdir(dir)).filter(f => f.endsWith('.json'));
+
+      for (const file of files) {
+        const filePath = path.join(dir, file);
+        const ticketId = path.basename(file, '.json');
+        try {
+          const parsed = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+          const entry = parsed.reportData ? parsed : { reportData: parsed, reporterIp: parsed.reporterIp };
+          const sealedData = { ...entry.reportData, id: ticketId };
+          if (!entry.reporterIp && !needsReencryption(sealedData)) {
+            continue;
+          }
+
+          const { reportData, reporterIp } = this.openSubmission(entry, ticketId);
+          const rewritten = { ...entry, reportData: this.sealSubmission(reportData, reporterIp, ticketId) };
+          delete rewritten.reporterIp;
+          const tempPath = `${filePath}.tmp`;
+          await fs.writeFile(tempPath, JSON.stringify(rewritten, null, 2), 'utf-8');
+          await fs.rename(tempPath, filePath);
+          count++;
+        } catch (error) {
+          console.error(`[REPORT PROCESSING] Failed to re-encrypt queue entry ${file}:`, error.message);
+        }
+      }
+    }
+
+    return count;
+  }
+
   /**
    * Check if a file exists
    * 
@@ -189,6 +613,7 @@ class ReportProcessingService {
   stop() {
     if (this.watcher) {
       this.watcher.close();
+      this.watcher = null;
       console.log('[REPORT PROCESSING] Stopped watching queue directory');
     }
   }
@@ -237,7 +662,9 @@ class ReportProcessingService {
 
           try {
             await fs.rename(failedPath, queuePath);
-            this.processQueue.push(file);
+            if (!this.processQueue.includes(file)) {
+              this.processQueue.push(file);
+            }
             retryCount++;
             console.log(`[REPORT PROCESSING] Retrying failed file: ${file}`);
           } catch (error) {
@@ -259,6 +686,134 @@ class ReportProcessingService {
       throw error;
     }
   }
+
+  /**
+   * List the submissions waiting in the queue or kept after failing, with
+   * their reporter details decrypted. Entries being processed are left out:
+   * they become reports or failed entries.
+   *
+   * @returns {Promise<Array<Object>>} - Submissions ({ id, status, createdAt, error, reportData, reporterIp }); files carry metadata only
+   */
+  async getPendingSubmissions() {
+    await this.ensureDirectories();
+    const submissions = [];
+    const locations = [
+      { dir: this.queueDir, status: 'queued' },
+      { dir: this.failedDir, status: 'failed' }
+    ];
+
+    for (const { dir, status } of locations) {
+      const files = (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+
+      for (const file of files) {
+        const ticketId = path.basename(file, '.json');
+        try {
+          const parsed = JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8'));
+          const entry = parsed.reportData ? parsed : { reportData: parsed, reporterIp: parsed.reporterIp };
+          const { reportData, reporterIp } = this.openSubmission(entry, ticketId);
+
+          submissions.push({
+            id: ticketId,
+            status,
+            createdAt: entry.createdAt || null,
+            error: entry.error || null,
+            reportData: {
+              ...reportData,
+              files: Array.isArray(reportData.files) ? reportData.files.map(({ name, type, size }) => ({ name, type, size })) : reportData.files
+            },
+            reporterIp
+          });
+        } catch (error) {
+          // Picked up for processing since the directory was read
+          if (error.code !== 'ENOENT') {
+            console.warn(`[REPORT PROCESSING] Skipping unreadable queue entry ${file}:`, error.message);
+          }
+        }
+      }
+    }
+
+    return submissions;
+  }
+
+  /**
+   * Delete a queued or failed submission
+   *
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<boolean>} - True if deleted, false if it is gone or being processed
+   */
+  async deleteSubmission(ticketId) {
+    if (!this.isValidTicketId(ticketId)) {
+      return false;
+    }
+
+    const filename = `${ticketId}.json`;
+    for (const dir of [this.queueDir, this.failedDir]) {
+      try {
+        await fs.unlink(path.join(dir, filename));
+        this.processQueue = this.processQueue.filter(f => f !== filename);
+        console.log(`[REPORT PROCESSING] Deleted submission: ${ticketId}`);
+        return true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Remove the reporter details and IP address from a queued or failed
+   * submission and redact its text. The evidence is kept.
+   *
+   * @param {string} ticketId - Ticket ID
+   * @param {Function} redact - Replaces what must not be kept in a text
+   * @returns {Promise<boolean>} - True if redacted, false if it is gone or being processed
+   */
+  async redactSubmission(ticketId, redact) {
+    if (!this.isValidTicketId(ticketId)) {
+      return false;
+    }
+
+    const filename = `${ticketId}.json`;
+    for (const dir of [this.queueDir, this.failedDir]) {
+      const filePath = path.join(dir, filename);
+      const claimedPath = `${filePath}.tmp`;
+
+      // Take the file out of the queue while it is rewritten so it is not processed half-way
+      try {
+        await fs.rename(filePath, claimedPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      try {
+        const parsed = JSON.parse(await fs.readFile(claimedPath, 'utf-8'));
+        const entry = parsed.reportData ? parsed : { reportData: parsed, reporterIp: parsed.reporterIp };
+        const { reportData } = this.openSubmission(entry, ticketId);
+        const redacted = Object.fromEntries(Object.entries(reportData)
+          .filter(([field]) => !REPORTER_PII_FIELDS.includes(field))
+          .map(([field, value]) => [field, typeof value === 'string' ? redact(value) : value]));
+        const rewritten = { ...entry, reportData: this.sealSubmission(redacted, null, ticketId) };
+        delete rewritten.reporterIp;
+        await fs.writeFile(claimedPath, JSON.stringify(rewritten, null, 2), 'utf-8');
+      } finally {
+        await fs.rename(claimedPath, filePath);
+        if (dir === this.queueDir) {
+          this.scheduleFile(filename);
+        }
+      }
+
+      console.log(`[REPORT PROCESSING] Redacted submission: ${ticketId}`);
+      return true;
+    }
+
+    return false;
+  }
 }
 
 // Export singleton instance
@@ -8,6 +8,10 @@
 const Report = require('../models/Report');
 const localJsonService = require('./localJsonService');
 const configService = require('./configService');
+const licensedSchoolService = require('./licensedSchoolService');
+const { REPORT_EVENTS, emitReportEvent } = require('./reportEvents');
+const { AUDIENCE, serializeReport } = require('../utils/serializers');
+const { REPORTER_PII_FIELDS, needsReencryption, revealReporterPii, rewrapPii, sealReporterPii } = require('../utils/piiEncryption');
 
 // Configuration constants
 const REPORTS_DATA_FILE = 'reports';
@@ -33,46 +37,45 @@ async function createReport(reportData, reporterIp = null) {
       // Update existing report instead of creating new one
       console.log('Duplicate report found, updating existing report:', duplicateReport.id);
 
-      // Prepare update data
+      // A repeat submission only records that the school was reported again and
+      // appends the new description. Status, review state and everything else
+      // stay as they are; status changes go through applyStatusUpdate only.
+      const now = new Date().toISOString();
       const updateData = {
-        ...reportData,
-        updatedAt: new Date().toISOString(),
-        lastReported: new Date().toISOString(),
-        updatedBy: 'system'
+        updatedAt: now,
+        lastReported: now,
+        updatedBy: 'system',
+        licenseCheck: await safeCheckLicense(duplicateReport)
       };
 
-      // Append violation description if provided
       if (reportData.violationDescription) {
         updateData.violationDescription = (duplicateReport.violationDescription || '') +
-          '\n\n[Additional Report - ' + new Date().toISOString() + ']\n' +
+          '\n\n[Additional Report - ' + now + ']\n' +
           reportData.violationDescription;
       }
 
-      // Add new files up to the limit of 10
-      if (reportData.files && Array.isArray(reportData.files)) {
-        const existingFiles = duplicateReport.uploadedFiles || [];
-        const maxFiles = 10;
-        const availableSlots = maxFiles - existingFiles.length;
-
-        if (availableSlots > 0) {
-          const newFiles = reportData.files.slice(0, availableSlots);
-          updateData.uploadedFiles = [...existingFiles, ...newFiles];
-
-          if (reportData.files.length > availableSlots) {
-            console.warn(`Maximum of ${maxFiles} files reached. ${reportData.files.length - availableSlots} files were not added.`);
-          }
-        } else {
-          console.warn('Maximum number of files (10) already reached for this report. New files were not added.');
-        }
-      }
+      // Submitted files are stored and linked by reportProcessingService.processReportFiles
 
       // Update the existing report
       const updatedReport = await updateReport(duplicateReport.id, updateData);
+      emitReportEvent(REPORT_EVENTS.SUBMITTED, {
+        report: updatedReport,
+        reporterEmail: reportData.reporterEmail,
+        isNewReport: false
+      });
       return updatedReport;
     }
 
-    // Create new report instance if no duplicate found
-    const report = Report.create(reportData, reporterIp);
+    // Create new report instance if no duplicate found. Only submission fields
+    // are taken from the data, plus the source and review hold set by the
+    // inbound email poller; the license check is always computed here.
+    const { PENDING } = Report.getReviewStatusEnum();
+    const report = Report.create({
+      ...Report.pickSubmission(reportData),
+      source: reportData.source,
+      reviewStatus: reportData.reviewStatus === PENDING ? PENDING : null,
+      licenseCheck: await safeCheckLicense(reportData)
+    }, reporterIp);
 
     // Validate business rules (duplicate detection, etc.)
     report.validateBusinessRules(existingReports);
@@ -82,6 +85,12 @@ async function createReport(reportData, reporterIp = null) {
     await saveReportToJson(report);
     console.log('[REPORT SERVICE] Report saved to JSON storage successfully');
 
+    emitReportEvent(REPORT_EVENTS.SUBMITTED, {
+      report,
+      reporterEmail: reportData.reporterEmail,
+      isNewReport: true
+    });
+
     return report;
   } catch (error) {
     console.error('Error creating report:', error);
@@ -89,6 +98,97 @@ async function createReport(reportData, reporterIp = null) {
   }
 }
 
+/**
+ * Checks report data against the licensed school list without letting a
+ * failure block the submission
+ * @param {Object} reportData - Report data
+ * @returns {Promise<Object|null>} License check, or null if unavailable
+ */
+async function safeCheckLicense(reportData) {
+  try {
+    return await licensedSchoolService.checkLicense(reportData);
+  } catch (error) {
+    console.warn('License check failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Re-runs the license check on every report, e.g. after a new licensed
+ * school list is imported. Only reports whose result changed are saved.
+ * @returns {Promise<Object>} Number of reports checked and updated
+ */
+async function recheckLicenses() {
+  const [allReports, licensedSchools] = await Promise.all([
+    getAllReports(),
+    licensedSchoolService.getAllLicensedSchools()
+  ]);
+
+  let updated = 0;
+  for (const report of allReports) {
+    const licenseCheck = licensedSchoolService.buildLicenseCheck(report, licensedSchools);
+    const previous = report.licenseCheck || {};
+    const next = licenseCheck || {};
+
+    if (previous.status !== next.status || previous.licensedSchoolId !== next.licensedSchoolId) {
+      await localJsonService.updateRow(null, REPORTS_DATA_FILE, report.id, { licenseCheck });
+      updated++;
+    }
+  }
+
+  return { checked: allReports.length, updated };
+}
+
+/**
+ * Applies the status and search filters and sort order shared by report
+ * listings and exports
+ * @param {Array<Report>} reports - Reports to filter
+ * @param {Object} options - Filter options
+ * @param {string} [options.status] - Filter by status
+ * @param {string} [options.search] - Search in school name or description
+ * @param {string} [options.sortBy='lastReported'] - Sort field
+ * @param {string} [options.sortOrder='desc'] - Sort order (asc/desc)
+ * @returns {Array<Report>} Filtered and sorted reports
+ */
+function filterAndSortReports(reports, options = {}) {
+  const { status, search, sortBy = 'lastReported', sortOrder = 'desc' } = options;
+
+  // Apply filters
+  let filteredReports = reports;
+
+  if (status) {
+    filteredReports = filteredReports.filter(report => report.status === status);
+  }
+
+  if (search) {
+    const searchLower = search.toLowerCase();
+    filteredReports = filteredReports.filter(report =>
+      report.schoolName.toLowerCase().includes(searchLower) ||
+      (report.violationDescription && report.violationDescription.toLowerCase().includes(searchLower))
+    );
+  }
+
+  // Sort reports
+  filteredReports.sort((a, b) => {
+    let aValue = a[sortBy];
+    let bValue = b[sortBy];
+
+    // Handle date sorting
+    if (sortBy.includes('At') || sortBy === 'lastReported') {
+      aValue = new Date(aValue);
+      bValue = new Date(bValue);
+    }
+
+    if (sortOrder === 'asc') {
+      return aValue > bValue ? 1 : -1;
+    } else {
+      return aValue < bValue ? 1 : -1;
+    }
+  });
+
+  return filteredReports;
+}
+
 /**
  * Retrieves all reports with optional filtering and pagination
  * @param {Object} options - Query options
@@ -98,7 +198,9 @@ async function createReport(reportData, reporterIp = null) {
  * @param {string} options.search - Search in school name or description
  * @param {string} options.sortBy - Sort field
  * @param {string} options.sortOrder - Sort order (asc/desc)
- * @param {boolean} options.includeAdminFields - Include admin-only fields
+ * @param {boolean} options.includeAdminFields - Include reports held for review and return them unserialized
+ * @param {string} [options.audience] - Serialize items for this audience (defaults to public
+ *   unless includeAdminFields is set)
  * @returns {Promise<Object>} Paginated results
  */
 async function getReports(options = {}) {
@@ -110,44 +212,15 @@ async function getReports(options = {}) {
       search,
       sortBy = 'lastReported',
       sortOrder = 'desc',
-      includeAdminFields = false
+      includeAdminFields = false,
+      audience = includeAdminFields ? null : AUDIENCE.PUBLIC
     } = options;
 
-    // Get all reports from local JSON storage
-    const allReports = await getAllReports();
-
-    // Apply filters
-    let filteredReports = allReports;
-
-    if (status) {
-      filteredReports = filteredReports.filter(report => report.status === status);
-    }
-
-    if (search) {
-      const searchLower = search.toLowerCase();
-      filteredReports = filteredReports.filter(report =>
-        report.schoolName.toLowerCase().includes(searchLower) ||
-        (report.violationDescription && report.violationDescription.toLowerCase().includes(searchLower))
-      );
-    }
-
-    // Sort reports
-    filteredReports.sort((a, b) => {
-      let aValue = a[sortBy];
-      let bValue = b[sortBy];
-
-      // Handle date sorting
-      if (sortBy.includes('At') || sortBy === 'lastReported') {
-        aValue = new Date(aValue);
-        bValue = new Date(bValue);
-      }
+    // Get all reports from local JSON storage; reports held for review are not public
+    const allReports = (await getAllReports())
+      .filter(report => includeAdminFields || Report.isPublic(report));
 
-      if (sortOrder === 'asc') {
-        return aValue > bValue ? 1 : -1;
-      } else {
-        return aValue < bValue ? 1 : -1;
-      }
-    });
+    const filteredReports = filterAndSortReports(allReports, { status, search, sortBy, sortOrder });
 
     // Apply pagination
     const total = filteredReports.length;
@@ -155,21 +228,13 @@ async function getReports(options = {}) {
     const endIndex = startIndex + limit;
     const paginatedReports = filteredReports.slice(startIndex, endIndex);
 
-    // Remove sensitive fields for public access
-    const sanitizedReports = paginatedReports.map(report => {
-      const reportData = { ...report };
-
-      if (!includeAdminFields) {
-        delete reportData.reporterIp;
-        delete reportData.adminNotes;
-        delete reportData.mvcReferenceNumber;
-      }
-
-      return reportData;
-    });
+    // Only the fields the audience may see leave the service
+    const items = audience
+      ? paginatedReports.map(report => serializeReport(report, audience))
+      : paginatedReports;
 
     return {
-      items: sanitizedReports,
+      items,
       pagination: {
         page,
         limit,
@@ -185,13 +250,26 @@ async function getReports(options = {}) {
   }
 }
 
+/**
+ * Retrieves every report matching the listing filters, with admin-only
+ * fields, for export (Admin only)
+ * @param {Object} options - Filter options (status, search, sortBy, sortOrder)
+ * @returns {Promise<Array<Report>>} Filtered and sorted reports
+ */
+async function getReportsForExport(options = {}) {
+  const allReports = await getAllReports();
+  return filterAndSortReports(allReports, options);
+}
+
 /**
  * Retrieves a single report by ID
  * @param {string} reportId - Report ID
- * @param {boolean} includeAdminFields - Include admin-only fields
- * @returns {Promise<Report|null>} Report instance or null if not found
+ * @param {boolean} includeAdminFields - Include reports held for review and return the Report unserialized
+ * @param {string} [audience] - Serialize the report for this audience (defaults to public
+ *   unless includeAdminFields is set)
+ * @returns {Promise<Report|Object|null>} Report instance, serialized report, or null if not found
  */
-async function getReportById(reportId, includeAdminFields = false) {
+async function getReportById(reportId, includeAdminFields = false, audience = includeAdminFields ? null : AUDIENCE.PUBLIC) {
   try {
     const allReports = await getAllReports();
     const report = allReports.find(r => r.id === reportId);
@@ -200,16 +278,12 @@ async function getReportById(reportId, includeAdminFields = false) {
       return null;
     }
 
-    // Remove sensitive fields for public access
-    if (!includeAdminFields) {
-      const reportData = { ...report };
-      delete reportData.reporterIp;
-      delete reportData.adminNotes;
-      delete reportData.mvcReferenceNumber;
-      return reportData;
+    // Reports held for review are not public
+    if (!includeAdminFields && !Report.isPublic(report)) {
+      return null;
     }
 
-    return report;
+    return audience ? serializeReport(report, audience) : report;
   } catch (error) {
     console.error('Error retrieving report by ID:', error);
     throw error;
@@ -223,11 +297,42 @@ async function getReportById(reportId, includeAdminFields = false) {
  * @param {string} updateData.status - New status
  * @param {string} [updateData.adminNotes] - Admin notes
  * @param {string} [updateData.mvcReferenceNumber] - MVC reference number
- * @param {string} [updateData.updatedBy] - Who updated the report
+ * @param {string} [updateData.closureReason] - Reason for closing the report
+ * @param {string} [updateData.updatedBy] - Who updated the report (recorded in the status history)
  * @returns {Promise<Report>} Updated report
- * @throws {Error} If report not found or status invalid
+ * @throws {Error} If report not found, status invalid or the transition is not allowed
  */
 async function updateReportStatus(reportId, updateData) {
+  const { report, oldStatus } = await applyStatusUpdate(reportId, updateData);
+  emitStatusChanged(report, oldStatus, updateData.updatedBy);
+  return report;
+}
+
+/**
+ * Publishes a status change event when the status actually changed
+ * @param {Report} report - Report after the update
+ * @param {string} oldStatus - Status before the update
+ * @param {string} [changedBy] - Who changed the status
+ */
+function emitStatusChanged(report, oldStatus, changedBy) {
+  if (report.status !== oldStatus) {
+    emitReportEvent(REPORT_EVENTS.STATUS_CHANGED, {
+      report,
+      oldStatus,
+      newStatus: report.status,
+      changedBy: changedBy || null
+    });
+  }
+}
+
+/**
+ * Saves a status update without publishing events (see updateReportStatus)
+ * @param {string} reportId - Report ID
+ * @param {Object} updateData - Update data object
+ * @returns {Promise<{report: Report, oldStatus: string}>} Updated report and its previous status
+ * @throws {Error} If report not found, status invalid or the transition is not allowed
+ */
+async function applyStatusUpdate(reportId, updateData) {
   const startTime = Date.now();
 
   try {
@@ -237,7 +342,7 @@ async function updateReportStatus(reportId, updateData) {
       timestamp: new Date().toISOString()
     });
 
-    const { status, adminNotes, mvcReferenceNumber, updatedBy } = updateData;
+    const { status, adminNotes, mvcReferenceNumber, closureReason, updatedBy } = updateData;
 
     console.log('[REPORT SERVICE] Fetching all reports for update');
     const allReports = await getAllReports();
@@ -266,12 +371,30 @@ async function updateReportStatus(reportId, updateData) {
     const updatePayload = {
       status,
       adminNotes: adminNotes !== undefined ? adminNotes : existingReport.adminNotes,
-      mvcReferenceNumber: mvcReferenceNumber !== undefined ? mvcReferenceNumber : existingReport.mvcReferenceNumber
+      mvcReferenceNumber: mvcReferenceNumber !== undefined ? mvcReferenceNumber : existingReport.mvcReferenceNumber,
+      // A closure reason only describes the current closure; reopening clears it
+      closureReason: status === Report.getStatusEnum().CLOSED
+        ? (closureReason !== undefined ? closureReason : existingReport.closureReason)
+        : ''
     };
 
+    // Every status update is recorded, including note-only updates that keep the same status
+    updatePayload.statusHistory = [
+      ...(reportInstance.statusHistory || []),
+      Report.buildHistoryEntry(existingReport.status, status, {
+        changedBy: updatedBy,
+        notes: adminNotes,
+        mvcReferenceNumber: updatePayload.mvcReferenceNumber,
+        closureReason: updatePayload.closureReason
+      })
+    ];
+
     console.log('[REPORT SERVICE] Updating report instance with payload:', updatePayload);
     const updatedReport = reportInstance.update(updatePayload);
 
+    // Enforce the status workflow (allowed transitions and required fields)
+    Report.validateStatusTransition(existingReport.status, updatedReport.status, updatedReport);
+
     // Validate status transition
     console.log('[REPORT SERVICE] Validating business rules');
     updatedReport.validateBusinessRules(allReports);
@@ -288,7 +411,7 @@ async function updateReportStatus(reportId, updateData) {
       timestamp: new Date().toISOString()
     });
 
-    return updatedReport;
+    return { report: updatedReport, oldStatus: existingReport.status };
   } catch (error) {
     console.error('[REPORT SERVICE ERROR] Error updating report status:', {
       reportId,
@@ -305,6 +428,72 @@ async function updateReportStatus(reportId, updateData) {
   }
 }
 
+/**
+ * Updates the status of several reports as a single transaction.
+ * Every ID is checked before any change is made; if any individual update
+ * fails, reports already updated are restored to their previous state.
+ * @param {Array<string>} reportIds - IDs of the reports to update
+ * @param {Object} updateData - Status update data (status, adminNotes, updatedBy)
+ * @returns {Promise<Array<Object>>} Per-report results ({ id, success, oldStatus, newStatus })
+ * @throws {Error} If any report is missing or any update fails (error.results holds per-report outcomes)
+ */
+async function bulkUpdateReportStatus(reportIds, updateData) {
+  const allReports = await getAllReports();
+  const reportsById = new Map(allReports.map(report => [report.id, report]));
+
+  const missingIds = reportIds.filter(id => !reportsById.has(id));
+  if (missingIds.length > 0) {
+    throw new Error(`Reports not found: ${missingIds.join(', ')}`);
+  }
+
+  const applied = [];
+  for (const reportId of reportIds) {
+    const original = reportsById.get(reportId);
+
+    try {
+      const { report: updatedReport } = await applyStatusUpdate(reportId, updateData);
+      applied.push({ original, updatedReport });
+    } catch (error) {
+      console.error('[REPORT SERVICE] Bulk status update failed, rolling back:', {
+        reportId,
+        appliedCount: applied.length,
+        error: error.message
+      });
+
+      // Restore previously updated reports in reverse order
+      for (const { original: previous } of [...applied].reverse()) {
+        try {
+          await updateReportInJson(previous);
+        } catch (rollbackError) {
+          console.error('[REPORT SERVICE] Failed to roll back report:', previous.id, rollbackError.message);
+        }
+      }
+
+      const bulkError = new Error(`Bulk status update failed for report ${reportId}: ${error.message}`);
+      bulkError.results = reportIds.map(id => ({
+        id,
+        success: false,
+        oldStatus: reportsById.get(id).status,
+        newStatus: reportsById.get(id).status,
+        error: id === reportId ? error.message : 'Rolled back'
+      }));
+      throw bulkError;
+    }
+  }
+
+  // Events go out only once the whole batch is committed
+  for (const { original, updatedReport } of applied) {
+    emitStatusChanged(updatedReport, original.status, updateData.updatedBy);
+  }
+
+  return applied.map(({ original, updatedReport }) => ({
+    id: original.id,
+    success: true,
+    oldStatus: original.status,
+    newStatus: updatedReport.status
+  }));
+}
+
 /**
  * Retrieves all reports from local JSON storage
  * @returns {Promise<Array<Report>>} Array of Report instances
@@ -334,7 +523,7 @@ async function getAllReports() {
 }
 
 /**
- * Saves a report to local JSON storage
+ * Saves a report to local JSON storage with its reporter fields encrypted
  * @param {Report} report - Report instance to save
  * @returns {Promise<void>}
  */
@@ -344,7 +533,7 @@ async function saveReportToJson(report) {
     await localJsonService.appendRow(
       null, // spreadsheetId not needed
       REPORTS_DATA_FILE,
-      report
+      sealReporterPii(report)
     );
     console.log('[REPORT SERVICE] Report appended to JSON file successfully');
   } catch (error) {
@@ -354,7 +543,7 @@ async function saveReportToJson(report) {
 }
 
 /**
- * Updates a report in local JSON storage
+ * Updates a report in local JSON storage with its reporter fields encrypted
  * @param {Report} report - Updated report instance
  * @returns {Promise<void>}
  */
@@ -364,7 +553,7 @@ async function updateReportInJson(report) {
       null, // spreadsheetId not needed
       REPORTS_DATA_FILE,
       report.id,
-      report
+      sealReporterPii(report)
     );
   } catch (error) {
     console.error('Error updating report in JSON:', error);
@@ -372,6 +561,55 @@ async function updateReportInJson(report) {
   }
 }
 
+/**
+ * Encrypts reporter fields stored before encryption existed and re-wraps
+ * data keys made with an older key after a key rotation
+ * @returns {Promise<number>} Number of reports rewritten
+ */
+async function reencryptStoredReports() {
+  const rows = await localJsonService.getAllRows(null, REPORTS_DATA_FILE);
+  let count = 0;
+
+  for (const row of rows.filter(needsReencryption)) {
+    try {
+      // A rotated key only needs the data key re-wrapped; plain fields need encrypting
+      const update = row.reporterPii && !REPORTER_PII_FIELDS.some(name => row[name])
+        ? { reporterPii: rewrapPii(row.reporterPii) }
+        : sealReporterPii(row);
+      await localJsonService.updateRow(null, REPORTS_DATA_FILE, row.id, update);
+      count++;
+    } catch (error) {
+      console.error(`Failed to re-encrypt reporter details of report ${row.id}:`, error.message);
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Gets the status history of a report (Admin only)
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Report ID, current status and chronological history entries
+ * @throws {Error} If report not found
+ */
+async function getReportStatusHistory(reportId) {
+  const allReports = await getAllReports();
+  const reportData = allReports.find(r => r.id === reportId);
+
+  if (!reportData) {
+    throw new Error(`Report with ID ${reportId} not found`);
+  }
+
+  const history = Array.isArray(reportData.statusHistory) ? [...reportData.statusHistory] : [];
+  history.sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+
+  return {
+    reportId: reportData.id,
+    currentStatus: reportData.status,
+    history
+  };
+}
+
 /**
  * Updates a report with new data
  * @param {string} reportId - Report ID
@@ -441,6 +679,174 @@ async function updateReport(reportId, updateData) {
   }
 }
 
+/**
+ * Merges one report into another. The target keeps its ID and status; the
+ * source's files, description, links and status history are folded in, blank
+ * contact fields are filled from the source, and the source report is deleted.
+ * @param {string} targetId - Report that is kept
+ * @param {string} sourceId - Report that is merged away
+ * @param {string} mergedBy - Username of the admin
+ * @returns {Promise<{report: Report, source: Report}>} Merged target and the removed source
+ * @throws {Error} If either report is not found, the source is under legal hold,
+ *   or the merged report fails validation
+ */
+async function mergeReports(targetId, sourceId, mergedBy) {
+  if (targetId === sourceId) {
+    throw new Error('Report validation failed: cannot merge a report into itself');
+  }
+
+  const allReports = await getAllReports();
+  const target = allReports.find(r => r.id === targetId);
+  const source = allReports.find(r => r.id === sourceId);
+
+  if (!target) {
+    throw new Error(`Report with ID ${targetId} not found`);
+  }
+  if (!source) {
+    throw new Error(`Report with ID ${sourceId} not found`);
+  }
+  if (source.legalHold) {
+    throw new Error(`Report validation failed: ${source.id} is under legal hold and cannot be merged away`);
+  }
+
+  const now = new Date().toISOString();
+
+  const targetFiles = target.uploadedFiles || [];
+  const uploadedFiles = [
+    ...targetFiles,
+    ...(source.uploadedFiles || []).filter(file => !targetFiles.some(existing => existing.id === file.id))
+  ];
+  if (uploadedFiles.length > 10) {
+    throw new Error(`Report validation failed: merged report would have ${uploadedFiles.length} files (maximum 10)`);
+  }
+
+  const violationDescription = source.violationDescription
+    ? [target.violationDescription, `[Merged from ${source.id} - ${now}]\n${source.violationDescription}`]
+      .filter(Boolean).join('\n\n')
+    : target.violationDescription;
+
+  // Source entries are labelled so the combined timeline shows where they came from
+  const statusHistory = [
+    ...(target.statusHistory || []),
+    ...(source.statusHistory || []).map(entry => ({
+      ...entry,
+      notes: `[${source.id}] ${entry.notes || ''}`.trim().slice(0, 500)
+    }))
+  ].sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+  statusHistory.push(Report.buildHistoryEntry(target.status, target.status, {
+    changedBy: mergedBy,
+    notes: `Merged duplicate report ${source.id} ("${source.schoolName}")`
+  }));
+
+  const mergedReport = new Report(target).update({
+    uploadedFiles,
+    violationDescription,
+    statusHistory,
+    socialMediaLinks: [...new Set([...(target.socialMediaLinks || []), ...(source.socialMediaLinks || [])])],
+    additionalInfo: [target.additionalInfo, source.additionalInfo].filter(Boolean).join('\n\n'),
+    location: target.location || source.location || '',
+    phoneNumber: target.phoneNumber || source.phoneNumber || '',
+    websiteUrl: target.websiteUrl || source.websiteUrl || '',
+    createdAt: target.createdAt < source.createdAt ? target.createdAt : source.createdAt,
+    lastReported: target.lastReported > source.lastReported ? target.lastReported : source.lastReported,
+    updatedBy: mergedBy
+  });
+
+  mergedReport.validateBusinessRules(allReports.filter(r => r.id !== sourceId));
+
+  await updateReportInJson(mergedReport);
+  await localJsonService.deleteRow(null, REPORTS_DATA_FILE, sourceId);
+
+  return { report: mergedReport, source };
+}
+
+/**
+ * Gets the reports held for admin review, oldest first
+ * @returns {Promise<Array<Report>>} Reports awaiting review
+ */
+async function getReportsForReview() {
+  const { PENDING } = Report.getReviewStatusEnum();
+  const allReports = await getAllReports();
+
+  return allReports
+    .filter(report => report.reviewStatus === PENDING)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Records an admin's decision on a report held for review. Approved reports
+ * become public; rejected reports stay hidden.
+ * @param {string} reportId - Report ID
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} reviewedBy - Username of the admin
+ * @returns {Promise<Report>} Updated report
+ * @throws {Error} If the report is not found, the decision is invalid or the report is not awaiting review
+ */
+async function reviewReport(reportId, decision, reviewedBy) {
+  const { PENDING, APPROVED, REJECTED } = Report.getReviewStatusEnum();
+  const decisions = { approve: APPROVED, reject: REJECTED };
+
+  if (!decisions[decision]) {
+    throw new Error('Report review validation failed: decision must be "approve" or "reject"');
+  }
+
+  const report = (await getAllReports()).find(r => r.id === reportId);
+  if (!report) {
+    throw new Error(`Report with ID ${reportId} not found`);
+  }
+  if (report.reviewStatus !== PENDING) {
+    throw new Error(`Report review validation failed: report ${reportId} is not awaiting review`);
+  }
+
+  return updateReport(reportId, { reviewStatus: decisions[decision], updatedBy: reviewedBy });
+}
+
+/**
+ * Places or lifts a legal hold, which exempts a report from retention rules
+ * @param {string} reportId - Report ID
+ * @param {boolean} hold - True to place the hold, false to lift it
+ * @param {string} [reason] - Why the report is held (required to place a hold)
+ * @param {string} changedBy - Admin making the change
+ * @returns {Promise<Report>} Updated report
+ * @throws {Error} If the report is not found or no reason is given
+ */
+async function setLegalHold(reportId, hold, reason, changedBy) {
+  if (typeof hold !== 'boolean') {
+    throw new Error('Legal hold validation failed: hold must be true or false');
+  }
+  if (hold && (typeof reason !== 'string' || !reason.trim())) {
+    throw new Error('Legal hold validation failed: a reason is required');
+  }
+
+  const legalHold = hold
+    ? { reason: reason.trim().slice(0, 500), placedBy: changedBy, placedAt: new Date().toISOString() }
+    : null;
+
+  return updateReport(reportId, { legalHold, updatedBy: changedBy });
+}
+
+/**
+ * Removes reporter details from a stored report
+ * @param {string} reportId - Report ID
+ * @param {Array<string>} [fields] - Reporter fields to remove (default all)
+ * @returns {Promise<Array<string>>} Fields that had a value and were removed
+ * @throws {Error} If the report is not found or its details cannot be decrypted
+ */
+async function removeReporterDetails(reportId, fields = REPORTER_PII_FIELDS) {
+  const rows = await localJsonService.getAllRows(null, REPORTS_DATA_FILE);
+  const row = rows.find(r => r.id === reportId);
+  if (!row) {
+    throw new Error(`Report with ID ${reportId} not found`);
+  }
+
+  const current = revealReporterPii(row);
+  const removed = fields.filter(name => current[name]);
+  if (removed.length > 0) {
+    await localJsonService.updateRow(null, REPORTS_DATA_FILE, reportId, sealReporterPii(row, removed));
+  }
+  return removed;
+}
+
 /**
  * Checks if a report submission would exceed rate limits
  * @param {string} reporterIp - Reporter's IP address
@@ -459,8 +865,8 @@ async function checkRateLimit(reporterIp) {
     // Get recent reports from this IP
     const allReports = await getAllReports();
     const recentReports = allReports.filter(report =>
-      report.reporterIp === reporterIp &&
-      new Date(report.createdAt) > oneHourAgo
+      new Date(report.createdAt) > oneHourAgo &&
+      revealReporterPii(report).reporterIp === reporterIp
     );
 
     return recentReports.length >= rateLimitPerHour;
@@ -474,11 +880,21 @@ async function checkRateLimit(reporterIp) {
 module.exports = {
   createReport,
   getReports,
+  getReportsForExport,
   getReportById,
   updateReport,
   updateReportStatus,
+  bulkUpdateReportStatus,
+  getReportStatusHistory,
+  mergeReports,
+  getReportsForReview,
+  reviewReport,
+  recheckLicenses,
   getAllReports,
   checkRateLimit,
+  reencryptStoredReports,
+  setLegalHold,
+  removeReporterDetails,
 
   // Export for testing
   saveReportToJson,
@@ -0,0 +1,330 @@
+/**
+ * Retention Service for NJDSC School Compliance Portal
+ *
+ * Applies the data retention rules in `system.retention.rules`: reporter IP
+ * addresses, reporter contact details and evidence files are removed from a
+ * report once a rule's time since the report was created or closed has
+ * passed. Anonymizing also redacts the reporter's address in the emails sent
+ * about the report and in their audit entries. Reports on legal hold are
+ * left alone. A scheduled worker applies
+ * the rules while `system.retention.enabled` is on; admins can preview what a
+ * run would remove and run the rules on demand. Every removal is recorded in
+ * the audit log.
+ */
+
+const RetentionRule = require('../models/RetentionRule');
+const reportService = require('./reportService');
+const fileService = require('./fileService');
+const configService = require('./configService');
+const auditService = require('./auditService');
+const emailOutboxService = require('./emailOutboxService');
+const privacyService = require('./privacyService');
+const { REPORTER_PII_FIELDS, revealReporterPii } = require('../utils/piiEncryption');
+const { validateEmail, validatePhoneNumber } = require('../utils/validation');
+
+// Configuration constants
+const DEFAULT_RUN_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const { PURGE_REPORTER_IP, ANONYMIZE_REPORTER, DELETE_EVIDENCE } = RetentionRule.getActionEnum();
+
+// Worker state
+let runTimer = null;
+let isRunning = false;
+
+/**
+ * Gets the configured retention rules
+ * @returns {Promise<Array<RetentionRule>>} Rules (empty when none are configured)
+ * @throws {Error} If the stored rules are invalid
+ */
+async function getRules() {
+  return RetentionRule.fromList((await configService.getConfig('system.retention.rules')) || []);
+}
+
+/**
+ * Replaces the retention rules
+ * @param {Array<Object>} rules - New rules
+ * @param {string} updatedBy - Admin making the change
+ * @returns {Promise<Array<RetentionRule>>} Saved rules
+ * @throws {Error} If a rule is invalid
+ */
+async function setRules(rules, updatedBy) {
+  const validated = RetentionRule.fromList(rules).map(rule => ({ ...rule }));
+
+  await configService.setConfig(
+    'system.retention.rules',
+    validated,
+    'json',
+    'system',
+    'Data retention rules; reports on legal hold are exempt',
+    updatedBy
+  );
+
+  return getRules();
+}
+
+/**
+ * Lists what a rule would remove from a report
+ * @param {RetentionRule} rule - Due rule
+ * @param {Report} report - Report
+ * @param {Array<File>} files - File records of the report
+ * @returns {{fields: Array<string>, fileIds: Array<string>}} Reporter fields and files to remove
+ */
+function getRemovals(rule, report, files) {
+  const reporter = revealReporterPii(report);
+
+  switch (rule.action) {
+    case PURGE_REPORTER_IP:
+      return {
+        fields: reporter.reporterIp ? ['reporterIp'] : [],
+        fileIds: files.filter(file => file.uploadedByIp).map(file => file.id)
+      };
+    case ANONYMIZE_REPORTER:
+      return { fields: REPORTER_PII_FIELDS.filter(name => reporter[name]), fileIds: [] };
+    case DELETE_EVIDENCE: {
+      // Embedded entries are included in case their file records are already gone
+      const ids = [...files.map(file => file.id), ...(report.uploadedFiles || []).map(file => file.id)];
+      return { fields: [], fileIds: [...new Set(ids)] };
+    }
+    default:
+      return { fields: [], fileIds: [] };
+  }
+}
+
+/**
+ * Works out which removals are due
+ * @param {Date} asOf - Date to evaluate the rules at
+ * @returns {Promise<{items: Array<Object>, held: Array<Object>}>} Due removals, and reports exempt because of a legal hold
+ */
+async function buildPlan(asOf) {
+  const rules = (await getRules()).filter(rule => rule.enabled);
+  const reports = await reportService.getAllReports();
+  const files = await fileService.getAllFiles();
+
+  const items = [];
+  const held = [];
+
+  for (const report of reports) {
+    const reportFiles = files.filter(file => file.reportId === report.id);
+    const due = [];
+
+    for (const rule of rules) {
+      const dueDate = rule.getDueDate(report);
+      if (!dueDate || dueDate > asOf) {
+        continue;
+      }
+
+      const { fields, fileIds } = getRemovals(rule, report, reportFiles);
+      if (fields.length > 0 || fileIds.length > 0) {
+        due.push({ ruleId: rule.id, action: rule.action, reportId: report.id, dueSince: dueDate.toISOString(), fields, fileIds });
+      }
+    }
+
+    if (due.length === 0) {
+      continue;
+    }
+    if (report.legalHold) {
+      held.push({ reportId: report.id, ruleIds: due.map(item => item.ruleId), legalHold: report.legalHold });
+    } else {
+      items.push(...due);
+    }
+  }
+
+  return { items, held };
+}
+
+/**
+ * Parses the date to evaluate the rules at
+ * @param {string|Date} [asOf] - Date (default now)
+ * @returns {Date} Date
+ * @throws {Error} If the date is invalid
+ */
+function parseAsOf(asOf) {
+  const date = asOf ? new Date(asOf) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('Retention validation failed: asOf must be a valid date');
+  }
+  return date;
+}
+
+/**
+ * Lists what a retention run would remove, without changing anything
+ * @param {Object} [options] - Preview options
+ * @param {string|Date} [options.asOf] - Evaluate the rules at this date instead of now
+ * @returns {Promise<{asOf: string, items: Array<Object>, held: Array<Object>}>} Due removals and held reports
+ */
+async function previewRetention(options = {}) {
+  const asOf = parseAsOf(options.asOf);
+  const plan = await buildPlan(asOf);
+  return { asOf: asOf.toISOString(), ...plan };
+}
+
+/**
+ * Redacts a reporter's email address and phone number in the outbox messages
+ * about a report and in the email audit entries of the report
+ * @param {string} reportId - Report ID
+ * @returns {Promise<{messageIds: Array<string>, auditLogIds: Array<string>}>} Records that were redacted
+ */
+async function redactReporterEmails(reportId) {
+  const report = await reportService.getReportById(reportId, true);
+  const reporter = report ? revealReporterPii(report) : {};
+  const email = validateEmail(reporter.reporterEmail) ? reporter.reporterEmail : undefined;
+  const phone = validatePhoneNumber(reporter.reporterPhone) ? reporter.reporterPhone : undefined;
+  if (!email && !phone) {
+    return { messageIds: [], auditLogIds: [] };
+  }
+
+  const { mentions, redact } = privacyService.buildMatcher(privacyService.parseSubject({ email, phone }));
+
+  const { messages } = await emailOutboxService.getOutbox({ reportId, limit: Infinity });
+  const messageIds = messages
+    .filter(message => mentions([message.to, message.cc, message.bcc, message.subject, message.body].filter(Boolean).join('\n')))
+    .map(message => message.id);
+  for (const messageId of messageIds) {
+    await emailOutboxService.redactMessage(messageId, redact);
+  }
+
+  const auditLogIds = (await auditService.getAllAuditLogsFromJson())
+    .filter(entry => entry.targetType === 'email' && entry.targetId === reportId)
+    .filter(entry => mentions(entry.details) || mentions(entry.metadata))
+    .map(entry => entry.id);
+  for (const entryId of auditLogIds) {
+    await auditService.redactAuditLog(entryId, redact);
+  }
+
+  return { messageIds, auditLogIds };
+}
+
+/**
+ * Carries out one due removal
+ * @param {Object} item - Planned removal
+ * @returns {Promise<Object>} What was actually removed
+ */
+async function applyRemoval(item) {
+  const removed = { ...item, fields: [], fileIds: [] };
+
+  // Redacted first: the address cannot be found again once it is removed from the report
+  if (item.action === ANONYMIZE_REPORTER) {
+    Object.assign(removed, await redactReporterEmails(item.reportId));
+  }
+
+  if (item.fields.length > 0) {
+    removed.fields = await reportService.removeReporterDetails(item.reportId, item.fields);
+  }
+
+  if (item.action === PURGE_REPORTER_IP) {
+    removed.fileIds = await fileService.removeUploaderIps(item.reportId);
+  } else if (item.action === DELETE_EVIDENCE) {
+    for (const fileId of item.fileIds) {
+      await fileService.deleteFile(fileId);
+    }
+    await reportService.updateReport(item.reportId, { uploadedFiles: [], updatedBy: 'system' });
+    removed.fileIds = item.fileIds;
+  }
+
+  return removed;
+}
+
+/**
+ * Applies the retention rules
+ * @param {Object} [options] - Run options
+ * @param {string} [options.runBy] - Admin running the rules (default 'system')
+ * @param {string} [options.ipAddress] - IP address of the admin
+ * @returns {Promise<Object|null>} Run summary, or null if a run is already in progress
+ */
+async function runRetention(options = {}) {
+  if (isRunning) {
+    return null;
+  }
+
+  isRunning = true;
+  const runBy = options.runBy || 'system';
+  const summary = { asOf: new Date().toISOString(), purged: [], failed: [], held: [] };
+
+  try {
+    const { items, held } = await buildPlan(new Date(summary.asOf));
+    summary.held = held;
+
+    for (const item of items) {
+      let removed;
+      try {
+        removed = await applyRemoval(item);
+      } catch (error) {
+        console.error(`[RETENTION] Rule ${item.ruleId} failed for report ${item.reportId}:`, error.message);
+        summary.failed.push({ ...item, error: error.message });
+        continue;
+      }
+
+      summary.purged.push(removed);
+      try {
+        await auditService.logRetentionPurge(removed, runBy, options.ipAddress);
+      } catch (e) {
+        console.warn('Failed to log retention purge audit event:', e.message);
+      }
+    }
+  } finally {
+    isRunning = false;
+  }
+
+  if (summary.purged.length > 0 || summary.failed.length > 0) {
+    console.log('[RETENTION] Run finished:', {
+      purged: summary.purged.length,
+      failed: summary.failed.length,
+      held: summary.held.length
+    });
+  }
+  return summary;
+}
+
+/**
+ * Applies the rules if scheduled retention is enabled (one worker tick)
+ */
+async function scheduledRun() {
+  try {
+    if (await configService.getConfig('system.retention.enabled')) {
+      await runRetention();
+    }
+  } catch (error) {
+    console.error('[RETENTION] Scheduled run failed:', error.message);
+  }
+}
+
+/**
+ * Starts the retention worker. It applies the rules on every tick while
+ * `system.retention.enabled` is on. Calling it again has no effect.
+ * @param {Object} [options] - Worker options
+ * @param {number} [options.intervalMs] - How often to apply the rules
+ */
+function start(options = {}) {
+  if (runTimer) {
+    return;
+  }
+
+  const intervalMs = options.intervalMs || parseInt(process.env.RETENTION_INTERVAL_MS) || DEFAULT_RUN_INTERVAL_MS;
+  runTimer = setInterval(scheduledRun, intervalMs);
+  runTimer.unref();
+
+  setImmediate(scheduledRun);
+  console.log(`[RETENTION] Retention worker started (every ${intervalMs}ms)`);
+}
+
+/**
+ * Stops the retention worker
+ */
+function stop() {
+  if (runTimer) {
+    clearInterval(runTimer);
+    runTimer = null;
+  }
+}
+
+module.exports = {
+  getRules,
+  setRules,
+  previewRetention,
+  runRetention,
+  start,
+  stop,
+
+  // Export for testing
+  scheduledRun
+};
@@ -0,0 +1,391 @@
+/**
+ * School Service for NJDSC School Compliance Portal
+ *
+ * Maintains the canonical school registry: groups reports under one school,
+ * collects every alias and contact detail seen in those reports, and lets
+ * admins merge or split school records.
+ */
+
+const School = require('../models/School');
+const localJsonService = require('./localJsonService');
+const reportService = require('./reportService');
+const auditService = require('./auditService');
+
+// Configuration constants
+const SCHOOLS_DATA_FILE = 'schools';
+
+/**
+ * Fields an admin may edit directly
+ * @type {Array<string>}
+ */
+const EDITABLE_FIELDS = ['name', 'aliases', 'phoneNumbers', 'websites', 'locations', 'notes'];
+
+/**
+ * Gets every school in the registry
+ * @returns {Promise<Array<School>>} All valid schools
+ */
+async function getAllSchools() {
+  const rows = await localJsonService.getAllRows(null, SCHOOLS_DATA_FILE);
+
+  return rows.map(row => {
+    try {
+      return new School(row);
+    } catch (error) {
+      console.warn('Skipping invalid school data:', row.id, error.message);
+      return null;
+    }
+  }).filter(school => school !== null);
+}
+
+/**
+ * Finds a school by ID
+ * @param {string} schoolId - School ID
+ * @returns {Promise<School>} School instance
+ * @throws {Error} If school not found
+ */
+async function findSchool(schoolId) {
+  const schools = await getAllSchools();
+  const school = schools.find(s => s.id === schoolId);
+
+  if (!school) {
+    throw new Error(`School with ID ${schoolId} not found`);
+  }
+
+  return school;
+}
+
+/**
+ * Finds the school a name refers to (canonical name or alias)
+ * @param {string} name - School name as reported
+ * @returns {Promise<School|null>} Matching school or null
+ */
+async function findSchoolByName(name) {
+  const schools = await getAllSchools();
+  return schools.find(school => school.matchesName(name)) || null;
+}
+
+/**
+ * Points a set of reports at a school
+ * @param {Array<string>} reportIds - Report IDs
+ * @param {string} schoolId - School ID
+ */
+async function assignReports(reportIds, schoolId) {
+  for (const reportId of reportIds) {
+    await reportService.updateReport(reportId, { schoolId });
+  }
+}
+
+/**
+ * Lists schools with optional search across names, aliases and contact details
+ * @param {Object} [options] - Query options
+ * @param {string} [options.search] - Search term
+ * @returns {Promise<Array<Object>>} Schools with a reportCount, sorted by name
+ */
+async function getSchools(options = {}) {
+  const { search } = options;
+  let schools = await getAllSchools();
+
+  if (search) {
+    const searchLower = search.toLowerCase();
+    schools = schools.filter(school =>
+      [school.name, ...school.aliases, ...school.phoneNumbers, ...school.websites, ...school.locations]
+        .some(value => value.toLowerCase().includes(searchLower))
+    );
+  }
+
+  return schools
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(school => ({ ...school, reportCount: school.reportIds.length }));
+}
+
+/**
+ * Gets a school with summaries of every report about it
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object>} School data with a reports array
+ * @throws {Error} If school not found
+ */
+async function getSchoolById(schoolId) {
+  const school = await findSchool(schoolId);
+  const allReports = await reportService.getAllReports();
+
+  const reports = allReports
+    .filter(report => school.reportIds.includes(report.id))
+    .map(report => ({
+      id: report.id,
+      schoolName: report.schoolName,
+      status: report.status,
+      location: report.location || null,
+      phoneNumber: report.phoneNumber || null,
+      websiteUrl: report.websiteUrl || null,
+      createdAt: report.createdAt,
+      lastReported: report.lastReported
+    }))
+    .sort((a, b) => new Date(b.lastReported) - new Date(a.lastReported));
+
+  return { ...school, reports };
+}
+
+/**
+ * Creates a school manually
+ * @param {Object} data - School data (name, aliases, phoneNumbers, websites, locations, notes)
+ * @param {string} createdBy - Username of the creator
+ * @param {string} ipAddress - IP address of the request
+ * @returns {Promise<School>} Created school
+ * @throws {Error} If a school with the same name already exists or validation fails
+ */
+async function createSchool(data, createdBy, ipAddress) {
+  const existing = await findSchoolByName(data.name);
+  if (existing) {
+    throw new Error(`School "${data.name}" already exists (${existing.id})`);
+  }
+
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  });
+
+  const school = School.create(fields, createdBy).update({});
+  await localJsonService.appendRow(null, SCHOOLS_DATA_FILE, { ...school });
+
+  try {
+    await auditService.logSchoolCreated(school, createdBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log school audit event:', auditError.message);
+  }
+
+  return school;
+}
+
+/**
+ * Updates a school's name, aliases, contact details or notes
+ * @param {string} schoolId - School ID
+ * @param {Object} updates - Fields to update
+ * @param {string} updatedBy - Username of the editor
+ * @param {string} ipAddress - IP address of the request
+ * @returns {Promise<School>} Updated school
+ * @throws {Error} If school not found, the new name belongs to another school or validation fails
+ */
+async function updateSchool(schoolId, updates, updatedBy, ipAddress) {
+  const school = await findSchool(schoolId);
+
+  const changes = {};
+  const payload = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) {
+      payload[field] = updates[field];
+      changes[field] = { old: school[field], new: updates[field] };
+    }
+  });
+
+  if (payload.name) {
+    const owner = await findSchoolByName(payload.name);
+    if (owner && owner.id !== schoolId) {
+      throw new Error(`School "${payload.name}" already exists (${owner.id})`);
+    }
+    // Keep the previous name searchable
+    payload.aliases = [...(payload.aliases || school.aliases), school.name];
+  }
+
+  const updatedSchool = school.update(payload);
+  await localJsonService.updateRow(null, SCHOOLS_DATA_FILE, schoolId, { ...updatedSchool });
+
+  try {
+    await auditService.logSchoolUpdated(updatedSchool, changes, updatedBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log school audit event:', auditError.message);
+  }
+
+  return updatedSchool;
+}
+
+/**
+ * Groups a report under its school, creating the school on first sighting.
+ * Safe to call repeatedly for the same report.
+ * @param {Object} report - Report data
+ * @returns {Promise<School>} School the report belongs to
+ */
+async function registerReport(report) {
+  const schools = await getAllSchools();
+  let school = (report.schoolId && schools.find(s => s.id === report.schoolId)) ||
+    schools.find(s => s.reportIds.includes(report.id)) ||
+    schools.find(s => s.matchesName(report.schoolName));
+
+  if (school) {
+    school = school.addSighting(report);
+    await localJsonService.updateRow(null, SCHOOLS_DATA_FILE, school.id, { ...school });
+  } else {
+    school = School.create({ name: report.schoolName }).addSighting(report);
+    await localJsonService.appendRow(null, SCHOOLS_DATA_FILE, { ...school });
+    console.log('[SCHOOL SERVICE] Created school for new operator:', school.id, school.name);
+  }
+
+  if (report.schoolId !== school.id) {
+    await assignReports([report.id], school.id);
+  }
+
+  return school;
+}
+
+/**
+ * Removes a deleted report from whichever school lists it
+ * @param {string} reportId - Report ID
+ * @returns {Promise<School|null>} Updated school, or null if no school listed the report
+ */
+async function unregisterReport(reportId) {
+  const schools = await getAllSchools();
+  const school = schools.find(s => s.reportIds.includes(reportId));
+
+  if (!school) {
+    return null;
+  }
+
+  const updated = school.update({ reportIds: school.reportIds.filter(id => id !== reportId) });
+  await localJsonService.updateRow(null, SCHOOLS_DATA_FILE, school.id, { ...updated });
+
+  return updated;
+}
+
+/**
+ * Registers every report that is not yet linked to a school
+ * @returns {Promise<Object>} Counts of linked reports and total schools
+ */
+async function syncSchoolsFromReports() {
+  const allReports = await reportService.getAllReports();
+  const unlinked = allReports.filter(report => !report.schoolId);
+
+  for (const report of unlinked) {
+    await registerReport(report);
+  }
+
+  const schools = await getAllSchools();
+  return { linkedReports: unlinked.length, totalSchools: schools.length };
+}
+
+/**
+ * Merges one school into another. The source school's name, aliases,
+ * contact details and reports move to the target, and the source is removed.
+ * @param {string} targetId - School that is kept
+ * @param {string} sourceId - School that is merged away
+ * @param {string} mergedBy - Username of the admin
+ * @param {string} ipAddress - IP address of the request
+ * @returns {Promise<School>} Updated target school
+ * @throws {Error} If either school is not found or both IDs are the same
+ */
+async function mergeSchools(targetId, sourceId, mergedBy, ipAddress) {
+  if (targetId === sourceId) {
+    throw new Error('School validation failed: cannot merge a school into itself');
+  }
+
+  const target = await findSchool(targetId);
+  const source = await findSchool(sourceId);
+
+  const merged = target.update({
+    aliases: [...target.aliases, source.name, ...source.aliases],
+    phoneNumbers: School.mergeValues(target.phoneNumbers, source.phoneNumbers),
+    websites: School.mergeValues(target.websites, source.websites),
+    locations: School.mergeValues(target.locations, source.locations),
+    reportIds: School.mergeValues(target.reportIds, source.reportIds),
+    notes: [target.notes, source.notes].filter(Boolean).join('\n\n').slice(0, 1000)
+  });
+
+  await localJsonService.updateRow(null, SCHOOLS_DATA_FILE, targetId, { ...merged });
+  await localJsonService.deleteRow(null, SCHOOLS_DATA_FILE, sourceId);
+  await assignReports(source.reportIds, targetId);
+
+  try {
+    await auditService.logSchoolMerged(merged, source, mergedBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log school audit event:', auditError.message);
+  }
+
+  return merged;
+}
+
+/**
+ * Splits reports out of a school into a new school record. Contact details
+ * that were only seen in the moved reports move with them.
+ * @param {string} schoolId - School to split
+ * @param {Array<string>} reportIds - Reports that belong to a different operator
+ * @param {string} [name] - Name of the new school (defaults to the first moved report's school name)
+ * @param {string} splitBy - Username of the admin
+ * @param {string} ipAddress - IP address of the request
+ * @returns {Promise<{original: School, created: School}>} Both school records after the split
+ * @throws {Error} If school not found or the report selection is invalid
+ */
+async function splitSchool(schoolId, reportIds, name, splitBy, ipAddress) {
+  const school = await findSchool(schoolId);
+
+  const foreign = reportIds.filter(id => !school.reportIds.includes(id));
+  if (foreign.length > 0) {
+    throw new Error(`School validation failed: reports do not belong to this school: ${foreign.join(', ')}`);
+  }
+  if (reportIds.length === 0 || reportIds.length >= school.reportIds.length) {
+    throw new Error('School validation failed: select some, but not all, of the school\'s reports to split off');
+  }
+
+  const allReports = await reportService.getAllReports();
+  const moved = allReports.filter(report => reportIds.includes(report.id));
+  const remaining = allReports.filter(report => school.reportIds.includes(report.id) && !reportIds.includes(report.id));
+
+  const movedContacts = School.contactsFromReports(moved);
+  const remainingContacts = School.contactsFromReports(remaining);
+  const movedNames = School.mergeValues(moved.map(report => report.schoolName));
+  const remainingNames = School.mergeValues(remaining.map(report => report.schoolName));
+
+  // A value stays with the original school if a remaining report shows it or it was entered by hand
+  const keep = (values, movedValues, remainingValues) => values.filter(value => {
+    const key = value.toLowerCase();
+    return remainingValues.some(v => v.toLowerCase() === key) || !movedValues.some(v => v.toLowerCase() === key);
+  });
+
+  const newName = name || movedNames[0];
+  const existing = await findSchoolByName(newName);
+  if (existing && existing.id !== schoolId) {
+    throw new Error(`School "${newName}" already exists (${existing.id})`);
+  }
+
+  const created = School.create({
+    name: newName,
+    aliases: movedNames,
+    ...movedContacts,
+    reportIds
+  }, splitBy).update({});
+
+  const original = school.update({
+    aliases: keep(school.aliases, movedNames, remainingNames),
+    phoneNumbers: keep(school.phoneNumbers, movedContacts.phoneNumbers, remainingContacts.phoneNumbers),
+    websites: keep(school.websites, movedContacts.websites, remainingContacts.websites),
+    locations: keep(school.locations, movedContacts.locations, remainingContacts.locations),
+    reportIds: school.reportIds.filter(id => !reportIds.includes(id))
+  });
+
+  await localJsonService.updateRow(null, SCHOOLS_DATA_FILE, schoolId, { ...original });
+  await localJsonService.appendRow(null, SCHOOLS_DATA_FILE, { ...created });
+  await assignReports(reportIds, created.id);
+
+  try {
+    await auditService.logSchoolSplit(original, created, splitBy, ipAddress);
+  } catch (auditError) {
+    console.warn('Failed to log school audit event:', auditError.message);
+  }
+
+  return { original, created };
+}
+
+module.exports = {
+  getSchools,
+  getSchoolById,
+  createSchool,
+  updateSchool,
+  registerReport,
+  unregisterReport,
+  syncSchoolsFromReports,
+  mergeSchools,
+  splitSchool,
+
+  // Export for testing
+  getAllSchools,
+  findSchoolByName
+};
@@ -0,0 +1,137 @@
+/**
+ * CSV Utilities for NJDSC School Compliance Portal
+ *
+ * Minimal RFC 4180 reading and writing: quoted fields, doubled quotes inside
+ * quotes, and commas or line breaks inside quoted fields.
+ */
+
+/**
+ * Leading characters that make spreadsheet applications treat a cell as a formula
+ * @type {RegExp}
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Splits CSV text into rows of raw field values
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields, blank lines omitted
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCsvRows(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV validation failed: unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row; missing trailing fields are empty strings
+ * @throws {Error} If the CSV is malformed
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim());
+
+  return rows.map(values => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) {
+        record[key] = (values[index] || '').trim();
+      }
+    });
+    return record;
+  });
+}
+
+/**
+ * Formats one value as a CSV field. Text that a spreadsheet would run as a
+ * formula is prefixed with an apostrophe.
+ * @param {*} value - Field value; null and undefined become empty
+ * @returns {string} CSV field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : '';
+  }
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Formats values as one CSV line, including the CRLF line ending
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values) {
+  return values.map(formatCsvField).join(',') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRows,
+  formatCsvField,
+  formatCsvRow
+};
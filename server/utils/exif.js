@@ -0,0 +1,330 @@
+/**
+ * EXIF Utilities for NJDSC School Compliance Portal
+ *
+ * Finds the EXIF block of JPEG, PNG and WebP images and reads its TIFF
+ * directories (the main image, Exif and GPS sub-directories).
+ */
+
+// Bytes per component for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Pointers to the Exif and GPS sub-directories
+const EXIF_POINTER = 0x8769;
+const GPS_POINTER = 0x8825;
+
+// Directories and entries read per block, so a looping file cannot stall a worker
+const MAX_ENTRIES = 1000;
+
+// Values longer than this are not kept (maker notes, thumbnails, ICC data)
+const MAX_VALUE_BYTES = 4096;
+
+const TAG_NAMES = {
+  ifd0: {
+    0x010e: 'ImageDescription',
+    0x010f: 'Make',
+    0x0110: 'Model',
+    0x0112: 'Orientation',
+    0x011a: 'XResolution',
+    0x011b: 'YResolution',
+    0x0128: 'ResolutionUnit',
+    0x0131: 'Software',
+    0x0132: 'DateTime',
+    0x013b: 'Artist',
+    0x8298: 'Copyright',
+    0x9c9b: 'XPTitle',
+    0x9c9c: 'XPComment',
+    0x9c9d: 'XPAuthor'
+  },
+  exif: {
+    0x829a: 'ExposureTime',
+    0x829d: 'FNumber',
+    0x8827: 'ISOSpeedRatings',
+    0x9003: 'DateTimeOriginal',
+    0x9004: 'DateTimeDigitized',
+    0x9010: 'OffsetTime',
+    0x9011: 'OffsetTimeOriginal',
+    0x9209: 'Flash',
+    0x920a: 'FocalLength',
+    0x927c: 'MakerNote',
+    0x9286: 'UserComment',
+    0xa002: 'PixelXDimension',
+    0xa003: 'PixelYDimension',
+    0xa420: 'ImageUniqueID',
+    0xa430: 'CameraOwnerName',
+    0xa431: 'BodySerialNumber',
+    0xa433: 'LensMake',
+    0xa434: 'LensModel',
+    0xa435: 'LensSerialNumber'
+  },
+  gps: {
+    0x0000: 'GPSVersionID',
+    0x0001: 'GPSLatitudeRef',
+    0x0002: 'GPSLatitude',
+    0x0003: 'GPSLongitudeRef',
+    0x0004: 'GPSLongitude',
+    0x0005: 'GPSAltitudeRef',
+    0x0006: 'GPSAltitude',
+    0x0007: 'GPSTimeStamp',
+    0x0010: 'GPSImgDirectionRef',
+    0x0011: 'GPSImgDirection',
+    0x001d: 'GPSDateStamp'
+  }
+};
+
+/**
+ * Finds the TIFF-formatted EXIF block of an image
+ * @param {Buffer} data - Image file
+ * @returns {Buffer|null} TIFF block (starting at the byte order mark), or null when absent
+ */
+function findExif(data) {
+  if (data.length > 4 && data[0] === 0xff && data[1] === 0xd8) {
+    let position = 2;
+    while (position + 4 <= data.length && data[position] === 0xff) {
+      const marker = data[position + 1];
+      if (marker === 0xda || marker === 0xd9) break;
+      const length = data.readUInt16BE(position + 2);
+      const body = data.subarray(position + 4, position + 2 + length);
+      if (marker === 0xe1 && body.subarray(0, 6).toString('latin1') === 'Exif\0\0') {
+        return body.subarray(6);
+      }
+      position += 2 + length;
+    }
+    return null;
+  }
+
+  if (data.length > 8 && data.readUInt32BE(0) === 0x89504e47) {
+    for (let position = 8; position + 8 <= data.length;) {
+      const length = data.readUInt32BE(position);
+      const type = data.subarray(position + 4, position + 8).toString('latin1');
+      if (type === 'eXIf') {
+        return data.subarray(position + 8, position + 8 + length);
+      }
+      if (type === 'IDAT' || type === 'IEND') break;
+      position += 12 + length;
+    }
+    return null;
+  }
+
+  if (data.length > 12 && data.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      data.subarray(8, 12).toString('latin1') === 'WEBP') {
+    for (let position = 12; position + 8 <= data.length;) {
+      const type = data.subarray(position, position + 4).toString('latin1');
+      const length = data.readUInt32LE(position + 4);
+      if (type === 'EXIF') {
+        const body = data.subarray(position + 8, position + 8 + length);
+        // Some writers keep the JPEG "Exif\0\0" prefix
+        return body.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? body.subarray(6) : body;
+      }
+      position += 8 + length + (length & 1);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads one directory entry's value
+ * @param {Buffer} tiff - TIFF block
+ * @param {boolean} little - Whether the block is little-endian
+ * @param {number} type - TIFF field type
+ * @param {number} count - Number of components
+ * @param {number} offset - Offset of the value (inline or pointed to)
+ * @returns {*} String, number, array of numbers, or undefined when unreadable
+ */
+function readValue(tiff, little, type, count, offset) {
+  const size = TYPE_SIZES[type];
+  if (offset + size * count > tiff.length) {
+    return undefined;
+  }
+
+  if (type === 2) {
+    return tiff.subarray(offset, offset + count).toString('latin1').replace(/\0+$/, '').trim();
+  }
+  if (type === 7 || type === 1) {
+    // XP* tags are UCS-2 text stored as bytes
+    return Array.from(tiff.subarray(offset, offset + count));
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * size;
+    switch (type) {
+      case 3: values.push(little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at)); break;
+      case 8: values.push(little ? tiff.readInt16LE(at) : tiff.readInt16BE(at)); break;
+      case 4: values.push(little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at)); break;
+      case 9: values.push(little ? tiff.readInt32LE(at) : tiff.readInt32BE(at)); break;
+      case 6: values.push(tiff.readInt8(at)); break;
+      case 11: values.push(little ? tiff.readFloatLE(at) : tiff.readFloatBE(at)); break;
+      case 12: values.push(little ? tiff.readDoubleLE(at) : tiff.readDoubleBE(at)); break;
+      case 5:
+      case 10: {
+        const read = type === 5
+          ? (little ? tiff.readUInt32LE.bind(tiff) : tiff.readUInt32BE.bind(tiff))
+          : (little ? tiff.readInt32LE.bind(tiff) : tiff.readInt32BE.bind(tiff));
+        const denominator = read(at + 4);
+        values.push(denominator === 0 ? 0 : read(at) / denominator);
+        break;
+      }
+      default: return undefined;
+    }
+  }
+  return count === 1 ? values[0] : values;
+}
+
+/**
+ * Parses a TIFF-formatted EXIF block
+ *
+ * Tags are keyed by name where known and by `Tag0x....` otherwise. Values
+ * longer than 4 KB are skipped.
+ *
+ * @param {Buffer} tiff - TIFF block from findExif
+ * @returns {{ifd0: Object, exif: Object, gps: Object}} Tags per directory
+ * @throws {Error} If the block is not valid TIFF
+ */
+function parseTiff(tiff) {
+  const order = tiff.length >= 8 ? tiff.subarray(0, 2).toString('latin1') : '';
+  if (order !== 'II' && order !== 'MM') {
+    throw new Error('Corrupt EXIF data: invalid byte order');
+  }
+  const little = order === 'II';
+  const readShort = at => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const readLong = at => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  if (readShort(2) !== 42) {
+    throw new Error('Corrupt EXIF data: invalid TIFF header');
+  }
+
+  const result = { ifd0: {}, exif: {}, gps: {} };
+  const visited = new Set();
+  let entriesRead = 0;
+
+  const readDirectory = (offset, name) => {
+    if (visited.has(offset) || offset + 2 > tiff.length) return;
+    visited.add(offset);
+
+    const count = readShort(offset);
+    for (let i = 0; i < count && entriesRead < MAX_ENTRIES; i++, entriesRead++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) return;
+
+      const tag = readShort(entry);
+      const type = readShort(entry + 2);
+      const components = readLong(entry + 4);
+      const size = TYPE_SIZES[type];
+      if (!size || size * components > MAX_VALUE_BYTES) continue;
+
+      const valueOffset = size * components <= 4 ? entry + 8 : readLong(entry + 8);
+
+      if (name === 'ifd0' && (tag === EXIF_POINTER || tag === GPS_POINTER)) {
+        readDirectory(readLong(entry + 8), tag === EXIF_POINTER ? 'exif' : 'gps');
+        continue;
+      }
+
+      const value = readValue(tiff, little, type, components, valueOffset);
+      if (value !== undefined) {
+        const key = TAG_NAMES[name][tag] || `Tag0x${tag.toString(16).padStart(4, '0')}`;
+        result[name][key] = value;
+      }
+    }
+  };
+
+  readDirectory(readLong(4), 'ifd0');
+  return result;
+}
+
+/**
+ * Converts a GPS coordinate (degrees, minutes, seconds) and its reference to decimal degrees
+ * @param {Array<number>|number} value - Degrees, minutes and seconds
+ * @param {string} ref - 'N', 'S', 'E' or 'W'
+ * @returns {number|null} Signed decimal degrees, or null when unreadable
+ */
+function toDecimalDegrees(value, ref) {
+  const parts = Array.isArray(value) ? value : [value];
+  if (parts.length === 0 || parts.some(part => typeof part !== 'number' || !Number.isFinite(part))) {
+    return null;
+  }
+  const [degrees, minutes = 0, seconds = 0] = parts;
+  const decimal = degrees + minutes / 60 + seconds / 3600;
+  return Math.round((ref === 'S' || ref === 'W' ? -decimal : decimal) * 1e6) / 1e6;
+}
+
+/**
+ * Makes a tag value fit for storing as JSON
+ * @param {string} name - Tag name
+ * @param {*} value - Parsed value
+ * @returns {*} Stored value, or undefined to drop it
+ */
+function toStoredValue(name, value) {
+  if (!Array.isArray(value) || !value.every(Number.isInteger)) {
+    return value;
+  }
+  if (name.startsWith('XP')) {
+    // Windows tags hold UCS-2 text
+    return Buffer.from(value).toString('utf16le').replace(/\0+$/, '');
+  }
+  // Other byte blobs are recorded by size only
+  return value.length > 64 ? `(${value.length} bytes)` : value;
+}
+
+/**
+ * Reads the EXIF metadata of an image for storage
+ *
+ * Returns tags grouped by directory, plus the GPS position in decimal degrees
+ * when the image has one.
+ *
+ * @param {Buffer} data - Image file
+ * @returns {{ifd0: Object, exif: Object, gps: Object, location: ({latitude: number, longitude: number}|null)}|null}
+ *   EXIF metadata, or null when the image has none or it cannot be read
+ */
+function extractExif(data) {
+  let tags;
+  try {
+    const tiff = findExif(data);
+    if (!tiff) {
+      return null;
+    }
+    tags = parseTiff(tiff);
+  } catch {
+    return null;
+  }
+
+  const result = { location: null };
+  for (const directory of ['ifd0', 'exif', 'gps']) {
+    result[directory] = {};
+    for (const [name, value] of Object.entries(tags[directory])) {
+      const stored = toStoredValue(name, value);
+      if (stored !== undefined) {
+        result[directory][name] = stored;
+      }
+    }
+  }
+
+  const latitude = toDecimalDegrees(tags.gps.GPSLatitude, tags.gps.GPSLatitudeRef);
+  const longitude = toDecimalDegrees(tags.gps.GPSLongitude, tags.gps.GPSLongitudeRef);
+  if (latitude !== null && longitude !== null) {
+    result.location = { latitude, longitude };
+  }
+
+  return result;
+}
+
+/**
+ * Reads the EXIF orientation of an image
+ * @param {Buffer} data - Image file
+ * @returns {number} Orientation 1-8 (1 when absent or unreadable)
+ */
+function getOrientation(data) {
+  try {
+    const tiff = findExif(data);
+    const orientation = tiff ? parseTiff(tiff).ifd0.Orientation : undefined;
+    return Number.isInteger(orientation) && orientation >= 1 && orientation <= 8 ? orientation : 1;
+  } catch {
+    return 1;
+  }
+}
+
+module.exports = {
+  findExif,
+  parseTiff,
+  extractExif,
+  getOrientation
+};
@@ -0,0 +1,224 @@
+/**
+ * GIF Utilities for NJDSC School Compliance Portal
+ *
+ * Decodes the first frame of a GIF image to RGBA pixels on a canvas the size
+ * of the logical screen. Pixels the frame does not cover are transparent.
+ */
+
+// Largest image decoded (width x height)
+const DEFAULT_MAX_PIXELS = 50 * 1000 * 1000;
+
+const MAX_CODE_SIZE = 12;
+
+/**
+ * Reads a color table
+ * @param {Buffer} data - GIF file
+ * @param {number} position - Offset of the table
+ * @param {number} flags - Packed flags of the descriptor that announced it
+ * @returns {{table: Buffer|null, end: number}} Table (3 bytes per color) and offset after it
+ */
+function readColorTable(data, position, flags) {
+  if (!(flags & 0x80)) {
+    return { table: null, end: position };
+  }
+  const size = 3 * (1 << ((flags & 0x07) + 1));
+  return { table: data.subarray(position, position + size), end: position + size };
+}
+
+/**
+ * Joins data sub-blocks
+ * @param {Buffer} data - GIF file
+ * @param {number} position - Offset of the first sub-block
+ * @returns {{bytes: Buffer, end: number}} Joined data and offset after the terminator
+ */
+function readSubBlocks(data, position) {
+  const chunks = [];
+  while (position < data.length) {
+    const size = data[position++];
+    if (size === 0) break;
+    chunks.push(data.subarray(position, position + size));
+    position += size;
+  }
+  return { bytes: Buffer.concat(chunks), end: position };
+}
+
+/**
+ * Decompresses LZW-coded color indexes
+ * @param {Buffer} bytes - Compressed data
+ * @param {number} minCodeSize - LZW minimum code size
+ * @param {number} count - Number of indexes expected
+ * @returns {Uint8Array} Color indexes (missing ones are 0)
+ * @throws {Error} If the data is not valid LZW
+ */
+function decompress(bytes, minCodeSize, count) {
+  if (minCodeSize < 2 || minCodeSize > 8) {
+    throw new Error('Corrupt GIF data: invalid LZW code size');
+  }
+
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = new Uint8Array(count);
+  const prefixes = new Uint16Array(1 << MAX_CODE_SIZE);
+  const suffixes = new Uint8Array(1 << MAX_CODE_SIZE);
+  const stack = new Uint8Array((1 << MAX_CODE_SIZE) + 1);
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let first = 0;
+  let written = 0;
+  let bits = 0;
+  let buffer = 0;
+  let position = 0;
+
+  while (written < count) {
+    while (bits < codeSize && position < bytes.length) {
+      buffer |= bytes[position++] << bits;
+      bits += 8;
+    }
+    if (bits < codeSize) break;
+
+    const code = buffer & ((1 << codeSize) - 1);
+    buffer >>>= codeSize;
+    bits -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+
+    let current = code;
+    let depth = 0;
+    if (previous === -1) {
+      if (code >= clearCode) {
+        throw new Error('Corrupt GIF data: invalid LZW code');
+      }
+      output[written++] = code;
+      previous = code;
+      first = code;
+      continue;
+    }
+
+    if (code > nextCode || (code === nextCode && nextCode >= 1 << MAX_CODE_SIZE)) {
+      throw new Error('Corrupt GIF data: invalid LZW code');
+    }
+    if (code === nextCode) {
+      // The code being defined: previous string plus its own first byte
+      stack[depth++] = first;
+      current = previous;
+    }
+    while (current > endCode) {
+      stack[depth++] = suffixes[current];
+      current = prefixes[current];
+    }
+    stack[depth++] = current;
+    first = current;
+
+    while (depth > 0 && written < count) {
+      output[written++] = stack[--depth];
+    }
+
+    if (nextCode < 1 << MAX_CODE_SIZE) {
+      prefixes[nextCode] = previous;
+      suffixes[nextCode] = first;
+      nextCode++;
+      if (nextCode === 1 << codeSize && codeSize < MAX_CODE_SIZE) {
+        codeSize++;
+      }
+    }
+    previous = code;
+  }
+
+  return output;
+}
+
+/**
+ * Decodes the first frame of a GIF image
+ * @param {Buffer} data - GIF file
+ * @param {Object} [options] - Decoding options
+ * @param {number} [options.maxPixels] - Largest image (width x height) to decode
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels
+ * @throws {Error} If the image is corrupt, has no frame or is too large
+ */
+function decodeGif(data, { maxPixels = DEFAULT_MAX_PIXELS } = {}) {
+  const signature = data.subarray(0, 6).toString('latin1');
+  if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+    throw new Error('Not a GIF image');
+  }
+
+  const width = data.readUInt16LE(6);
+  const height = data.readUInt16LE(8);
+  if (width === 0 || height === 0 || width * height > maxPixels) {
+    throw new Error(`Image is too large to process (${width}x${height})`);
+  }
+
+  const global = readColorTable(data, 13, data[10]);
+  let position = global.end;
+  let transparentIndex = -1;
+
+  while (position < data.length) {
+    const introducer = data[position++];
+
+    if (introducer === 0x21) {
+      const label = data[position++];
+      if (label === 0xf9 && data[position] >= 4 && data[position + 1] & 0x01) {
+        transparentIndex = data[position + 4];
+      }
+      position = readSubBlocks(data, position).end;
+      continue;
+    }
+
+    if (introducer !== 0x2c) break;
+
+    const left = data.readUInt16LE(position);
+    const top = data.readUInt16LE(position + 2);
+    const frameWidth = data.readUInt16LE(position + 4);
+    const frameHeight = data.readUInt16LE(position + 6);
+    const flags = data[position + 8];
+    const local = readColorTable(data, position + 9, flags);
+    const colors = local.table || global.table;
+    if (!colors) {
+      throw new Error('Corrupt GIF data: no color table');
+    }
+
+    const { bytes } = readSubBlocks(data, local.end + 1);
+    const indexes = decompress(bytes, data[local.end], frameWidth * frameHeight);
+
+    // Interlaced frames store rows in four passes
+    const rowOrder = [];
+    if (flags & 0x40) {
+      for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+        for (let y = start; y < frameHeight; y += step) rowOrder.push(y);
+      }
+    } else {
+      for (let y = 0; y < frameHeight; y++) rowOrder.push(y);
+    }
+
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    rowOrder.forEach((frameY, row) => {
+      const y = top + frameY;
+      if (y >= height) return;
+      for (let frameX = 0; frameX < frameWidth; frameX++) {
+        const x = left + frameX;
+        const index = indexes[row * frameWidth + frameX];
+        if (x >= width || index === transparentIndex || index * 3 + 2 >= colors.length) continue;
+        const out = (y * width + x) * 4;
+        pixels[out] = colors[index * 3];
+        pixels[out + 1] = colors[index * 3 + 1];
+        pixels[out + 2] = colors[index * 3 + 2];
+        pixels[out + 3] = 255;
+      }
+    });
+
+    return { width, height, data: pixels };
+  }
+
+  throw new Error('Corrupt GIF data: no image frame');
+}
+
+module.exports = {
+  decodeGif
+};
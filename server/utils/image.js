@@ -0,0 +1,229 @@
+/**
+ * Image Utilities for NJDSC School Compliance Portal
+ *
+ * Decodes uploaded images, applies their EXIF orientation, scales them down
+ * and encodes the result as JPEG. WebP is not decoded.
+ */
+
+const { decodeJpeg, encodeJpeg } = require('./jpeg');
+const { decodePng } = require('./png');
+const { decodeGif } = require('./gif');
+const { getOrientation } = require('./exif');
+
+const DECODERS = {
+  'image/jpeg': decodeJpeg,
+  'image/png': decodePng,
+  'image/gif': decodeGif
+};
+
+/**
+ * Checks whether an image type can be decoded
+ * @param {string} mimeType - Image MIME type
+ * @returns {boolean} True for JPEG, PNG and GIF
+ */
+function canDecode(mimeType) {
+  return Boolean(DECODERS[mimeType]);
+}
+
+/**
+ * Decodes an image to RGBA pixels
+ * @param {Buffer} data - Image file
+ * @param {string} mimeType - Image MIME type
+ * @param {Object} [options] - Options passed to the decoder (maxPixels)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels
+ * @throws {Error} If the type is unsupported or the image cannot be decoded
+ */
+function decodeImage(data, mimeType, options = {}) {
+  const decode = DECODERS[mimeType];
+  if (!decode) {
+    throw new Error(`Unsupported image type: ${mimeType}`);
+  }
+  return decode(data, options);
+}
+
+/**
+ * Flattens RGBA pixels onto a white background
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA image
+ * @returns {{width: number, height: number, data: Buffer}} RGB image
+ */
+function toRgb(image) {
+  const pixelCount = image.width * image.height;
+  const rgb = Buffer.alloc(pixelCount * 3);
+  for (let i = 0; i < pixelCount; i++) {
+    const alpha = image.data[i * 4 + 3];
+    for (let c = 0; c < 3; c++) {
+      rgb[i * 3 + c] = alpha === 255
+        ? image.data[i * 4 + c]
+        : Math.round((image.data[i * 4 + c] * alpha + 255 * (255 - alpha)) / 255);
+    }
+  }
+  return { width: image.width, height: image.height, data: rgb };
+}
+
+/**
+ * Computes the source span and weights for one output pixel along an axis
+ * @param {number} sourceSize - Source length in pixels
+ * @param {number} targetSize - Target length in pixels
+ * @returns {Array<{start: number, weights: Array<number>}>} Contributions per output pixel
+ */
+function areaWeights(sourceSize, targetSize) {
+  const scale = sourceSize / targetSize;
+  const result = [];
+  for (let i = 0; i < targetSize; i++) {
+    const from = i * scale;
+    const to = Math.min(sourceSize, from + scale);
+    const start = Math.floor(from);
+    const weights = [];
+    for (let s = start; s < to; s++) {
+      weights.push((Math.min(s + 1, to) - Math.max(s, from)) / scale);
+    }
+    result.push({ start, weights });
+  }
+  return result;
+}
+
+/**
+ * Scales an RGB image down by area averaging
+ * @param {{width: number, height: number, data: Buffer}} image - RGB image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {{width: number, height: number, data: Buffer}} Scaled RGB image
+ */
+function resize(image, width, height) {
+  if (width === image.width && height === image.height) {
+    return image;
+  }
+
+  // Horizontal pass into floats, then vertical pass into bytes
+  const columns = areaWeights(image.width, width);
+  const rows = areaWeights(image.height, height);
+  const horizontal = new Float32Array(width * image.height * 3);
+
+  for (let y = 0; y < image.height; y++) {
+    const rowIn = y * image.width * 3;
+    const rowOut = y * width * 3;
+    for (let x = 0; x < width; x++) {
+      const { start, weights } = columns[x];
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const at = rowIn + (start + k) * 3;
+        r += image.data[at] * weights[k];
+        g += image.data[at + 1] * weights[k];
+        b += image.data[at + 2] * weights[k];
+      }
+      horizontal[rowOut + x * 3] = r;
+      horizontal[rowOut + x * 3 + 1] = g;
+      horizontal[rowOut + x * 3 + 2] = b;
+    }
+  }
+
+  const output = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    const { start, weights } = rows[y];
+    for (let i = 0; i < width * 3; i++) {
+      let sum = 0;
+      for (let k = 0; k < weights.length; k++) {
+        sum += horizontal[(start + k) * width * 3 + i] * weights[k];
+      }
+      output[y * width * 3 + i] = Math.min(255, Math.round(sum));
+    }
+  }
+
+  return { width, height, data: output };
+}
+
+/**
+ * Rotates and/or mirrors an RGB image so it displays upright
+ * @param {{width: number, height: number, data: Buffer}} image - RGB image as stored
+ * @param {number} orientation - EXIF orientation 1-8
+ * @returns {{width: number, height: number, data: Buffer}} Upright RGB image
+ */
+function applyOrientation(image, orientation) {
+  if (!orientation || orientation === 1 || orientation > 8) {
+    return image;
+  }
+
+  const { width, height } = image;
+  const swaps = orientation >= 5;
+  const outWidth = swaps ? height : width;
+  const outHeight = swaps ? width : height;
+  const output = Buffer.alloc(width * height * 3);
+
+  // Source pixel for each upright pixel (x, y)
+  const sourceOf = {
+    2: (x, y) => [width - 1 - x, y],
+    3: (x, y) => [width - 1 - x, height - 1 - y],
+    4: (x, y) => [x, height - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, height - 1 - x],
+    7: (x, y) => [width - 1 - y, height - 1 - x],
+    8: (x, y) => [width - 1 - y, x]
+  }[orientation];
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const [sourceX, sourceY] = sourceOf(x, y);
+      image.data.copy(output, (y * outWidth + x) * 3, (sourceY * width + sourceX) * 3, (sourceY * width + sourceX) * 3 + 3);
+    }
+  }
+
+  return { width: outWidth, height: outHeight, data: output };
+}
+
+/**
+ * Fits dimensions inside a square box without enlarging them
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} maxSize - Longest side allowed
+ * @returns {{width: number, height: number}} Fitted dimensions (at least 1x1)
+ */
+function fitWithin(width, height, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Decodes an image once and produces upright JPEG renditions of it
+ * @param {Buffer} data - Image file
+ * @param {string} mimeType - Image MIME type
+ * @param {Object<string, number>} sizes - Longest side per rendition name
+ * @param {Object} [options] - Options
+ * @param {number} [options.quality=80] - JPEG quality 1-100
+ * @param {number} [options.maxPixels] - Largest source image to decode
+ * @returns {{width: number, height: number, orientation: number, renditions: Object<string, Buffer>}}
+ *   Upright source dimensions, EXIF orientation and encoded renditions
+ * @throws {Error} If the image cannot be decoded
+ */
+function createJpegRenditions(data, mimeType, sizes, { quality = 80, maxPixels } = {}) {
+  const decoded = decodeImage(data, mimeType, maxPixels ? { maxPixels } : {});
+  const source = toRgb(decoded);
+  const orientation = mimeType === 'image/gif' ? 1 : getOrientation(data);
+  const swaps = orientation >= 5;
+  const uprightWidth = swaps ? source.height : source.width;
+  const uprightHeight = swaps ? source.width : source.height;
+
+  const renditions = {};
+  for (const [name, maxSize] of Object.entries(sizes)) {
+    // Scale in stored orientation first so rotation handles fewer pixels
+    const fitted = fitWithin(uprightWidth, uprightHeight, maxSize);
+    const scaled = resize(source, swaps ? fitted.height : fitted.width, swaps ? fitted.width : fitted.height);
+    renditions[name] = encodeJpeg(applyOrientation(scaled, orientation), quality);
+  }
+
+  return { width: uprightWidth, height: uprightHeight, orientation, renditions };
+}
+
+module.exports = {
+  canDecode,
+  decodeImage,
+  toRgb,
+  resize,
+  applyOrientation,
+  fitWithin,
+  createJpegRenditions
+};
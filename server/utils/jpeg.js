@@ -0,0 +1,988 @@
+/**
+ * JPEG Utilities for NJDSC School Compliance Portal
+ *
+ * Decodes baseline and progressive JPEG images to RGBA pixels and encodes
+ * RGB pixels as baseline JPEG, so evidence photos can be resized without a
+ * native image library. Arithmetic-coded, lossless, hierarchical and 12-bit
+ * JPEGs are not supported. Chroma is upsampled by nearest neighbour, which is
+ * plenty for thumbnails.
+ */
+
+// Natural (row-major) position of each coefficient in zigzag order
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// Basis of the 8x8 DCT: COSINES[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * PI / 16)
+const COSINES = (() => {
+  const table = new Float64Array(64);
+  for (let x = 0; x < 8; x++) {
+    for (let u = 0; u < 8; u++) {
+      table[x * 8 + u] = 0.5 * (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+    }
+  }
+  return table;
+})();
+
+// Largest image decoded (width x height); a 10 MB upload is well under this
+const DEFAULT_MAX_PIXELS = 50 * 1000 * 1000;
+
+// Frame markers that use an unsupported coding process
+const UNSUPPORTED_FRAMES = {
+  0xc3: 'lossless',
+  0xc5: 'hierarchical',
+  0xc6: 'hierarchical',
+  0xc7: 'hierarchical',
+  0xc9: 'arithmetic-coded',
+  0xca: 'arithmetic-coded',
+  0xcb: 'arithmetic-coded',
+  0xcd: 'arithmetic-coded',
+  0xce: 'arithmetic-coded',
+  0xcf: 'arithmetic-coded'
+};
+
+// Example tables from the JPEG standard (Annex K), in natural order
+const LUMINANCE_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const CHROMINANCE_QUANT = [
+  17, 18, 24, 47, 99, 99, 99, 99,
+  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,
+  47, 66, 99, 99, 99, 99, 99, 99,
+  ...new Array(32).fill(99)
+];
+
+const AC_LUMINANCE_VALUES = [
+  0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+  0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+  0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+  0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+  0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+  0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+  0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+  0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+  0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+  0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+  0xf9, 0xfa
+];
+
+const AC_CHROMINANCE_VALUES = [
+  0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+  0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+  0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+  0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+  0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+  0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+  0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+  0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+  0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+  0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+  0xf9, 0xfa
+];
+
+// Huffman tables written by the encoder ({ counts of codes per length 1-16, symbols })
+const ENCODER_TABLES = {
+  dcLuminance: { counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  dcChrominance: { counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  acLuminance: { counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d], symbols: AC_LUMINANCE_VALUES },
+  acChrominance: { counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77], symbols: AC_CHROMINANCE_VALUES }
+};
+
+/**
+ * Builds a decoding table from the code counts and symbols of a DHT segment
+ * @param {ArrayLike<number>} counts - Number of codes of each length, 1 to 16 bits
+ * @param {ArrayLike<number>} symbols - Symbols in code order
+ * @returns {{lookup: Uint16Array, maxCode: Int32Array, valueOffset: Int32Array, symbols: Uint8Array}} Decoding table; `lookup` resolves codes of up to 8 bits in one step
+ * @throws {Error} If the counts do not describe a valid code
+ */
+function buildHuffmanTable(counts, symbols) {
+  const lookup = new Uint16Array(256);
+  const maxCode = new Int32Array(17).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    valueOffset[length] = index - code;
+    for (let i = 0; i < counts[length - 1]; i++) {
+      if (length <= 8) {
+        const shift = 8 - length;
+        for (let fill = 0; fill < 1 << shift; fill++) {
+          lookup[(code << shift) | fill] = (length << 8) | symbols[index];
+        }
+      }
+      code++;
+      index++;
+    }
+    if (code > 1 << length) {
+      throw new Error('Corrupt JPEG data: invalid Huffman table');
+    }
+    if (counts[length - 1] > 0) {
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+
+  return { lookup, maxCode, valueOffset, symbols: Uint8Array.from(symbols) };
+}
+
+/**
+ * Reads entropy-coded bits of a scan, removing stuffed zero bytes. Reading
+ * stops at the next marker; past it the reader returns zero bits.
+ */
+class BitReader {
+  /**
+   * @param {Buffer} data - JPEG file
+   * @param {number} position - Offset of the first entropy-coded byte
+   */
+  constructor(data, position) {
+    this.data = data;
+    this.position = position;
+    this.buffer = 0;
+    this.count = 0;
+    this.marker = null;
+  }
+
+  /**
+   * Tops the bit buffer up to at least 25 bits
+   */
+  fill() {
+    while (this.count <= 24) {
+      let byte = 0;
+      if (this.marker === null && this.position < this.data.length) {
+        byte = this.data[this.position];
+        if (byte === 0xff) {
+          const next = this.data[this.position + 1];
+          if (next === 0x00) {
+            this.position += 2;
+          } else {
+            this.marker = next;
+            byte = 0;
+          }
+        } else {
+          this.position++;
+        }
+      }
+      this.buffer = (this.buffer << 8) | byte;
+      this.count += 8;
+    }
+  }
+
+  /**
+   * Reads an unsigned number
+   * @param {number} length - Number of bits (0-16)
+   * @returns {number} Value
+   */
+  readBits(length) {
+    if (length === 0) {
+      return 0;
+    }
+    if (this.count < length) {
+      this.fill();
+    }
+    this.count -= length;
+    return (this.buffer >>> this.count) & ((1 << length) - 1);
+  }
+
+  /**
+   * Reads a number coded as a magnitude category (JPEG "receive and extend")
+   * @param {number} length - Number of bits
+   * @returns {number} Signed value
+   */
+  readSigned(length) {
+    const value = this.readBits(length);
+    return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+  }
+
+  /**
+   * Decodes one Huffman-coded symbol
+   * @param {Object} table - Table from buildHuffmanTable
+   * @returns {number} Symbol
+   * @throws {Error} If the bits are not a code in the table
+   */
+  decode(table) {
+    if (this.count < 16) {
+      this.fill();
+    }
+
+    const peek = (this.buffer >>> (this.count - 8)) & 0xff;
+    const entry = table.lookup[peek];
+    if (entry !== 0) {
+      this.count -= entry >> 8;
+      return entry & 0xff;
+    }
+
+    this.count -= 8;
+    let code = peek;
+    for (let length = 9; length <= 16; length++) {
+      this.count--;
+      code = (code << 1) | ((this.buffer >>> this.count) & 1);
+      if (code <= table.maxCode[length]) {
+        return table.symbols[table.valueOffset[length] + code];
+      }
+    }
+
+    throw new Error('Corrupt JPEG data: invalid Huffman code');
+  }
+
+  /**
+   * Skips to the data after the next restart marker and clears the bit buffer
+   */
+  restart() {
+    if (this.marker === null) {
+      // Padding bits were left over; find the marker itself
+      while (this.position < this.data.length - 1 &&
+        !(this.data[this.position] === 0xff && this.data[this.position + 1] >= 0xd0 && this.data[this.position + 1] <= 0xd7)) {
+        this.position++;
+      }
+      this.marker = this.data[this.position + 1];
+    }
+    if (this.marker >= 0xd0 && this.marker <= 0xd7) {
+      this.position += 2;
+      this.marker = null;
+    }
+    this.buffer = 0;
+    this.count = 0;
+  }
+}
+
+/**
+ * Decodes the entropy-coded data of one scan into the components' coefficients
+ * @param {Buffer} data - JPEG file
+ * @param {number} position - Offset of the scan data
+ * @param {Object} frame - Frame being decoded
+ * @param {Array<Object>} scanComponents - Components in the scan ({ component, dcTable, acTable })
+ * @param {number} restartInterval - MCUs between restart markers (0 for none)
+ * @param {{start: number, end: number, high: number, low: number}} spectral - Spectral selection and successive approximation
+ * @returns {number} Offset after the scan data
+ */
+function decodeScan(data, position, frame, scanComponents, restartInterval, spectral) {
+  const reader = new BitReader(data, position);
+  const { start, end, high, low } = spectral;
+  let eobRun = 0;
+  let refineState = 0;
+  let refineValue = 0;
+  let refineRun = 0;
+
+  const decodeBaseline = (item, blocks, offset) => {
+    const category = reader.decode(item.dcTable);
+    item.component.pred += category === 0 ? 0 : reader.readSigned(category);
+    blocks[offset] = item.component.pred;
+
+    for (let k = 1; k < 64;) {
+      const symbol = reader.decode(item.acTable);
+      const size = symbol & 15;
+      const run = symbol >> 4;
+      if (size === 0) {
+        if (run < 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      blocks[offset + ZIGZAG[k]] = reader.readSigned(size);
+      k++;
+    }
+  };
+
+  const decodeDcFirst = (item, blocks, offset) => {
+    const category = reader.decode(item.dcTable);
+    item.component.pred += category === 0 ? 0 : reader.readSigned(category) * (1 << low);
+    blocks[offset] = item.component.pred;
+  };
+
+  const decodeDcRefine = (item, blocks, offset) => {
+    if (reader.readBits(1)) {
+      blocks[offset] |= 1 << low;
+    }
+  };
+
+  const decodeAcFirst = (item, blocks, offset) => {
+    if (eobRun > 0) {
+      eobRun--;
+      return;
+    }
+    for (let k = start; k <= end;) {
+      const symbol = reader.decode(item.acTable);
+      const size = symbol & 15;
+      const run = symbol >> 4;
+      if (size === 0) {
+        if (run < 15) {
+          eobRun = reader.readBits(run) + (1 << run) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      blocks[offset + ZIGZAG[k]] = reader.readSigned(size) * (1 << low);
+      k++;
+    }
+  };
+
+  // States: 0 read the next symbol, 1 skip zeros (ZRL), 2 skip zeros then
+  // place a value, 3 place a value, 4 inside an end-of-band run
+  const decodeAcRefine = (item, blocks, offset) => {
+    for (let k = start; k <= end;) {
+      const index = offset + ZIGZAG[k];
+      const current = blocks[index];
+
+      if (refineState === 0) {
+        const symbol = reader.decode(item.acTable);
+        const size = symbol & 15;
+        refineRun = symbol >> 4;
+        if (size === 0) {
+          if (refineRun < 15) {
+            eobRun = reader.readBits(refineRun) + (1 << refineRun);
+            refineState = 4;
+          } else {
+            refineRun = 16;
+            refineState = 1;
+          }
+        } else {
+          if (size !== 1) {
+            throw new Error('Corrupt JPEG data: invalid refinement coefficient');
+          }
+          refineValue = reader.readSigned(1);
+          refineState = refineRun ? 2 : 3;
+        }
+        continue;
+      }
+
+      if (current !== 0) {
+        if (reader.readBits(1)) {
+          blocks[index] += (current < 0 ? -1 : 1) * (1 << low);
+        }
+      } else if (refineState === 1 || refineState === 2) {
+        refineRun--;
+        if (refineRun === 0) {
+          refineState = refineState === 2 ? 3 : 0;
+        }
+      } else if (refineState === 3) {
+        blocks[index] = refineValue * (1 << low);
+        refineState = 0;
+      }
+      k++;
+    }
+
+    if (refineState === 4) {
+      eobRun--;
+      if (eobRun === 0) {
+        refineState = 0;
+      }
+    }
+  };
+
+  let decodeBlock = decodeBaseline;
+  if (frame.progressive) {
+    if (start === 0) {
+      decodeBlock = high === 0 ? decodeDcFirst : decodeDcRefine;
+    } else {
+      decodeBlock = high === 0 ? decodeAcFirst : decodeAcRefine;
+    }
+  }
+
+  const single = scanComponents.length === 1 ? scanComponents[0] : null;
+  const total = single
+    ? single.component.blocksPerLine * single.component.blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+
+  let mcu = 0;
+  while (mcu < total) {
+    scanComponents.forEach(item => { item.component.pred = 0; });
+    eobRun = 0;
+    refineState = 0;
+
+    const stop = restartInterval ? Math.min(mcu + restartInterval, total) : total;
+    for (; mcu < stop; mcu++) {
+      if (single) {
+        const { component } = single;
+        const row = Math.floor(mcu / component.blocksPerLine);
+        const col = mcu % component.blocksPerLine;
+        decodeBlock(single, component.blocks, (row * component.blocksPerLineForMcu + col) * 64);
+      } else {
+        const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+        const mcuCol = mcu % frame.mcusPerLine;
+        for (const item of scanComponents) {
+          const { component } = item;
+          for (let v = 0; v < component.v; v++) {
+            for (let h = 0; h < component.h; h++) {
+              const row = mcuRow * component.v + v;
+              const col = mcuCol * component.h + h;
+              decodeBlock(item, component.blocks, (row * component.blocksPerLineForMcu + col) * 64);
+            }
+          }
+        }
+      }
+    }
+
+    if (mcu < total) {
+      reader.restart();
+    }
+  }
+
+  return reader.marker !== null ? reader.position : Math.min(reader.position, data.length);
+}
+
+/**
+ * Dequantizes and inverse-transforms a component's blocks into 8-bit samples
+ * @param {Object} component - Frame component with decoded coefficients
+ * @param {ArrayLike<number>} quantTable - Quantization table in natural order
+ * @returns {Uint8ClampedArray} Samples, `blocksPerLineForMcu * 8` wide
+ */
+function buildComponentPlane(component, quantTable) {
+  const stride = component.blocksPerLineForMcu * 8;
+  const plane = new Uint8ClampedArray(stride * component.blocksPerColumnForMcu * 8);
+  const coefficients = new Float64Array(64);
+  const rows = new Float64Array(64);
+
+  for (let blockRow = 0; blockRow < component.blocksPerColumnForMcu; blockRow++) {
+    for (let blockCol = 0; blockCol < component.blocksPerLineForMcu; blockCol++) {
+      const offset = (blockRow * component.blocksPerLineForMcu + blockCol) * 64;
+      for (let i = 0; i < 64; i++) {
+        coefficients[i] = component.blocks[offset + i] * quantTable[i];
+      }
+
+      // Horizontal pass over each row of frequencies, then vertical. Most
+      // high-frequency rows of a photo are zero, so those are skipped.
+      for (let v = 0; v < 8; v++) {
+        let zero = true;
+        for (let u = 0; u < 8 && zero; u++) {
+          zero = coefficients[v * 8 + u] === 0;
+        }
+        if (zero) {
+          rows.fill(0, v * 8, v * 8 + 8);
+          continue;
+        }
+        for (let x = 0; x < 8; x++) {
+          let sum = 0;
+          for (let u = 0; u < 8; u++) {
+            sum += coefficients[v * 8 + u] * COSINES[x * 8 + u];
+          }
+          rows[v * 8 + x] = sum;
+        }
+      }
+
+      const origin = blockRow * 8 * stride + blockCol * 8;
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) {
+            sum += rows[v * 8 + x] * COSINES[y * 8 + v];
+          }
+          plane[origin + y * stride + x] = sum + 128;
+        }
+      }
+    }
+  }
+
+  return plane;
+}
+
+/**
+ * Reads a frame header (SOF0, SOF1 or SOF2)
+ * @param {Buffer} segment - Segment data after the length
+ * @param {boolean} progressive - Whether the frame is progressive
+ * @param {number} maxPixels - Largest image allowed
+ * @returns {Object} Frame with its components
+ * @throws {Error} If the frame is unsupported or too large
+ */
+function readFrame(segment, progressive, maxPixels) {
+  if (segment[0] !== 8) {
+    throw new Error(`Unsupported JPEG encoding: ${segment[0]}-bit samples`);
+  }
+
+  const height = segment.readUInt16BE(1);
+  const width = segment.readUInt16BE(3);
+  const count = segment[5];
+
+  if (width === 0 || height === 0) {
+    throw new Error('Unsupported JPEG encoding: image height is defined after the first scan');
+  }
+  if (width * height > maxPixels) {
+    throw new Error(`Image is too large to process (${width}x${height})`);
+  }
+  if (![1, 3, 4].includes(count)) {
+    throw new Error(`Unsupported JPEG encoding: ${count} color components`);
+  }
+
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const factors = segment[7 + i * 3];
+    const h = factors >> 4;
+    const v = factors & 15;
+    if (h < 1 || h > 4 || v < 1 || v > 4) {
+      throw new Error('Corrupt JPEG data: invalid sampling factors');
+    }
+    components.push({ id: segment[6 + i * 3], h, v, quantTableId: segment[8 + i * 3] & 3 });
+  }
+
+  const maxH = Math.max(...components.map(c => c.h));
+  const maxV = Math.max(...components.map(c => c.v));
+  const mcusPerLine = Math.ceil(width / (8 * maxH));
+  const mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+  for (const component of components) {
+    component.blocksPerLine = Math.ceil(Math.ceil((width * component.h) / maxH) / 8);
+    component.blocksPerColumn = Math.ceil(Math.ceil((height * component.v) / maxV) / 8);
+    component.blocksPerLineForMcu = mcusPerLine * component.h;
+    component.blocksPerColumnForMcu = mcusPerColumn * component.v;
+    component.blocks = new Int16Array(component.blocksPerLineForMcu * component.blocksPerColumnForMcu * 64);
+    component.pred = 0;
+  }
+
+  return { width, height, progressive, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+}
+
+/**
+ * Converts decoded component planes to RGBA pixels
+ * @param {Object} frame - Decoded frame
+ * @param {Array<Uint8ClampedArray>} planes - Samples of each component
+ * @param {number|null} adobeTransform - Color transform from an Adobe APP14 segment, if any
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function toRgba(frame, planes, adobeTransform) {
+  const { width, height, components } = frame;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const sample = new Array(components.length);
+
+  const columns = components.map(c => {
+    const index = new Uint32Array(width);
+    for (let x = 0; x < width; x++) {
+      index[x] = Math.floor((x * c.h) / frame.maxH);
+    }
+    return index;
+  });
+
+  const isRgb = components.length === 3 &&
+    (adobeTransform === 0 || (components[0].id === 0x52 && components[1].id === 0x47 && components[2].id === 0x42));
+  const isYcck = components.length === 4 && adobeTransform === 2;
+  const isInverted = components.length === 4 && adobeTransform !== null;
+
+  for (let y = 0; y < height; y++) {
+    const rows = components.map(c => Math.floor((y * c.v) / frame.maxV) * c.blocksPerLineForMcu * 8);
+    for (let x = 0; x < width; x++) {
+      for (let i = 0; i < components.length; i++) {
+        sample[i] = planes[i][rows[i] + columns[i][x]];
+      }
+
+      const out = (y * width + x) * 4;
+      if (components.length === 1) {
+        pixels[out] = pixels[out + 1] = pixels[out + 2] = sample[0];
+      } else if (isRgb) {
+        pixels[out] = sample[0];
+        pixels[out + 1] = sample[1];
+        pixels[out + 2] = sample[2];
+      } else {
+        let [c0, c1, c2] = sample;
+        if (components.length === 3 || isYcck) {
+          const [luma, blue, red] = sample;
+          c0 = luma + 1.402 * (red - 128);
+          c1 = luma - 0.344136 * (blue - 128) - 0.714136 * (red - 128);
+          c2 = luma + 1.772 * (blue - 128);
+        }
+        if (components.length === 3) {
+          pixels[out] = c0;
+          pixels[out + 1] = c1;
+          pixels[out + 2] = c2;
+        } else {
+          // CMYK: Adobe files store inverted ink values; YCCK converts to the complement
+          const toStored = value => (isYcck ? 255 - Math.min(255, Math.max(0, value)) : value);
+          const invert = value => (isInverted ? value : 255 - value);
+          const black = invert(sample[3]);
+          pixels[out] = (invert(toStored(c0)) * black) / 255;
+          pixels[out + 1] = (invert(toStored(c1)) * black) / 255;
+          pixels[out + 2] = (invert(toStored(c2)) * black) / 255;
+        }
+      }
+      pixels[out + 3] = 255;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Decodes a JPEG image
+ * @param {Buffer} data - JPEG file
+ * @param {Object} [options] - Decoding options
+ * @param {number} [options.maxPixels] - Largest image (width x height) to decode
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels
+ * @throws {Error} If the image is corrupt, unsupported or too large
+ */
+function decodeJpeg(data, { maxPixels = DEFAULT_MAX_PIXELS } = {}) {
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) {
+    throw new Error('Not a JPEG image');
+  }
+
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let position = 2;
+
+  while (position < data.length) {
+    if (data[position] !== 0xff) {
+      position++;
+      continue;
+    }
+    while (data[position] === 0xff) {
+      position++;
+    }
+    const marker = data[position++];
+
+    if (marker === 0xd9) break;
+    if (marker === 0x00 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) continue;
+    if (position + 2 > data.length) break;
+
+    const length = data.readUInt16BE(position);
+    if (length < 2 || position + length > data.length) {
+      throw new Error('Corrupt JPEG data: truncated segment');
+    }
+    const segment = data.subarray(position + 2, position + length);
+    position += length;
+
+    if (UNSUPPORTED_FRAMES[marker]) {
+      throw new Error(`Unsupported JPEG encoding: ${UNSUPPORTED_FRAMES[marker]}`);
+    }
+
+    switch (marker) {
+      case 0xdb: // DQT
+        for (let i = 0; i < segment.length;) {
+          const wide = segment[i] >> 4;
+          const table = new Uint16Array(64);
+          const id = segment[i] & 3;
+          i++;
+          for (let k = 0; k < 64; k++) {
+            table[ZIGZAG[k]] = wide ? segment.readUInt16BE(i + k * 2) : segment[i + k];
+          }
+          i += wide ? 128 : 64;
+          quantTables[id] = table;
+        }
+        break;
+
+      case 0xc4: // DHT
+        for (let i = 0; i < segment.length;) {
+          const tableClass = segment[i] >> 4;
+          const id = segment[i] & 3;
+          const counts = segment.subarray(i + 1, i + 17);
+          const total = counts.reduce((sum, count) => sum + count, 0);
+          const table = buildHuffmanTable(counts, segment.subarray(i + 17, i + 17 + total));
+          (tableClass === 0 ? dcTables : acTables)[id] = table;
+          i += 17 + total;
+        }
+        break;
+
+      case 0xc0: // SOF0 baseline
+      case 0xc1: // SOF1 extended sequential
+      case 0xc2: // SOF2 progressive
+        if (frame) {
+          throw new Error('Corrupt JPEG data: more than one frame');
+        }
+        frame = readFrame(segment, marker === 0xc2, maxPixels);
+        break;
+
+      case 0xdd: // DRI
+        restartInterval = segment.readUInt16BE(0);
+        break;
+
+      case 0xee: // APP14
+        if (segment.length >= 12 && segment.subarray(0, 5).toString('latin1') === 'Adobe') {
+          adobeTransform = segment[11];
+        }
+        break;
+
+      case 0xda: { // SOS
+        if (!frame) {
+          throw new Error('Corrupt JPEG data: scan before frame header');
+        }
+        const count = segment[0];
+        const scanComponents = [];
+        for (let i = 0; i < count; i++) {
+          const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+          const tables = segment[2 + i * 2];
+          if (!component) {
+            throw new Error('Corrupt JPEG data: scan names an unknown component');
+          }
+          scanComponents.push({ component, dcTable: dcTables[tables >> 4], acTable: acTables[tables & 15] });
+        }
+        const spectralOffset = 1 + count * 2;
+        const spectral = {
+          start: segment[spectralOffset],
+          end: segment[spectralOffset + 1],
+          high: segment[spectralOffset + 2] >> 4,
+          low: segment[spectralOffset + 2] & 15
+        };
+
+        const needsDc = !frame.progressive || (spectral.start === 0 && spectral.high === 0);
+        const needsAc = !frame.progressive || spectral.start > 0;
+        if (scanComponents.some(item => (needsDc && !item.dcTable) || (needsAc && !item.acTable))) {
+          throw new Error('Corrupt JPEG data: scan uses an undefined Huffman table');
+        }
+
+        position = decodeScan(data, position, frame, scanComponents, restartInterval, spectral);
+        break;
+      }
+
+      default:
+        // APPn, COM and other segments carry nothing the pixels need
+        break;
+    }
+  }
+
+  if (!frame) {
+    throw new Error('Corrupt JPEG data: no image frame');
+  }
+
+  const planes = frame.components.map(component => {
+    const quantTable = quantTables[component.quantTableId];
+    if (!quantTable) {
+      throw new Error('Corrupt JPEG data: missing quantization table');
+    }
+    return buildComponentPlane(component, quantTable);
+  });
+
+  return { width: frame.width, height: frame.height, data: toRgba(frame, planes, adobeTransform) };
+}
+
+/**
+ * Collects encoded bits, stuffing a zero byte after each 0xFF
+ */
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Appends bits
+   * @param {number} value - Bits, right-aligned
+   * @param {number} length - Number of bits (0-16)
+   */
+  write(value, length) {
+    this.buffer = (this.buffer << length) | (value & ((1 << length) - 1));
+    this.count += length;
+    while (this.count >= 8) {
+      this.count -= 8;
+      const byte = (this.buffer >>> this.count) & 0xff;
+      this.bytes.push(byte);
+      if (byte === 0xff) {
+        this.bytes.push(0x00);
+      }
+    }
+    this.buffer &= (1 << this.count) - 1;
+  }
+
+  /**
+   * Pads the last byte with one bits
+   * @returns {Buffer} Encoded data
+   */
+  finish() {
+    if (this.count > 0) {
+      this.write(0x7f, 8 - this.count);
+    }
+    return Buffer.from(this.bytes);
+  }
+}
+
+/**
+ * Builds the code of each symbol of a Huffman table
+ * @param {{counts: Array<number>, symbols: Array<number>}} table - Table definition
+ * @returns {{codes: Uint16Array, lengths: Uint8Array}} Code and length by symbol
+ */
+function buildEncoderTable({ counts, symbols }) {
+  const codes = new Uint16Array(256);
+  const lengths = new Uint8Array(256);
+  let code = 0;
+  let index = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codes[symbols[index]] = code;
+      lengths[symbols[index]] = length;
+      code++;
+      index++;
+    }
+    code <<= 1;
+  }
+
+  return { codes, lengths };
+}
+
+/**
+ * Scales a standard quantization table to a quality setting (IJG formula)
+ * @param {Array<number>} base - Table in natural order
+ * @param {number} quality - Quality, 1-100
+ * @returns {Uint8Array} Scaled table in natural order
+ */
+function scaleQuantTable(base, quality) {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return Uint8Array.from(base, value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+}
+
+/**
+ * Encodes RGB pixels as a baseline JPEG with 4:2:0 chroma subsampling
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image - RGB pixels, 3 bytes each
+ * @param {number} [quality=80] - Quality, 1-100
+ * @returns {Buffer} JPEG file
+ */
+function encodeJpeg({ width, height, data }, quality = 80) {
+  quality = Math.min(100, Math.max(1, Math.round(quality)));
+  const quant = [scaleQuantTable(LUMINANCE_QUANT, quality), scaleQuantTable(CHROMINANCE_QUANT, quality)];
+  const dc = [buildEncoderTable(ENCODER_TABLES.dcLuminance), buildEncoderTable(ENCODER_TABLES.dcChrominance)];
+  const ac = [buildEncoderTable(ENCODER_TABLES.acLuminance), buildEncoderTable(ENCODER_TABLES.acChrominance)];
+
+  // Planes padded to whole 16x16 MCUs by repeating the last row and column
+  const paddedWidth = Math.ceil(width / 16) * 16;
+  const paddedHeight = Math.ceil(height / 16) * 16;
+  const luma = new Float32Array(paddedWidth * paddedHeight);
+  const blue = new Float32Array(paddedWidth * paddedHeight);
+  const red = new Float32Array(paddedWidth * paddedHeight);
+  for (let y = 0; y < paddedHeight; y++) {
+    for (let x = 0; x < paddedWidth; x++) {
+      const source = (Math.min(y, height - 1) * width + Math.min(x, width - 1)) * 3;
+      const r = data[source];
+      const g = data[source + 1];
+      const b = data[source + 2];
+      const target = y * paddedWidth + x;
+      luma[target] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+      blue[target] = -0.168736 * r - 0.331264 * g + 0.5 * b;
+      red[target] = 0.5 * r - 0.418688 * g - 0.081312 * b;
+    }
+  }
+
+  const writer = new BitWriter();
+  const block = new Float64Array(64);
+  const rows = new Float64Array(64);
+  const quantized = new Int32Array(64);
+  const predictions = [0, 0, 0];
+
+  const encodeBlock = (componentIndex, tableIndex) => {
+    // Forward DCT: horizontal pass, then vertical
+    for (let y = 0; y < 8; y++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let x = 0; x < 8; x++) {
+          sum += block[y * 8 + x] * COSINES[x * 8 + u];
+        }
+        rows[y * 8 + u] = sum;
+      }
+    }
+
+    for (let v = 0; v < 8; v++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let y = 0; y < 8; y++) {
+          sum += rows[y * 8 + u] * COSINES[y * 8 + v];
+        }
+        quantized[v * 8 + u] = Math.round(sum / quant[tableIndex][v * 8 + u]);
+      }
+    }
+
+    const writeValue = value => {
+      const size = value === 0 ? 0 : 32 - Math.clz32(Math.abs(value));
+      return { size, bits: value < 0 ? value + (1 << size) - 1 : value };
+    };
+
+    const diff = writeValue(quantized[0] - predictions[componentIndex]);
+    predictions[componentIndex] = quantized[0];
+    writer.write(dc[tableIndex].codes[diff.size], dc[tableIndex].lengths[diff.size]);
+    writer.write(diff.bits, diff.size);
+
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+      const value = quantized[ZIGZAG[k]];
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      while (run > 15) {
+        writer.write(ac[tableIndex].codes[0xf0], ac[tableIndex].lengths[0xf0]);
+        run -= 16;
+      }
+      const coded = writeValue(value);
+      const symbol = (run << 4) | coded.size;
+      writer.write(ac[tableIndex].codes[symbol], ac[tableIndex].lengths[symbol]);
+      writer.write(coded.bits, coded.size);
+      run = 0;
+    }
+    if (run > 0) {
+      writer.write(ac[tableIndex].codes[0x00], ac[tableIndex].lengths[0x00]);
+    }
+  };
+
+  for (let mcuY = 0; mcuY < paddedHeight; mcuY += 16) {
+    for (let mcuX = 0; mcuX < paddedWidth; mcuX += 16) {
+      for (const [offsetX, offsetY] of [[0, 0], [8, 0], [0, 8], [8, 8]]) {
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            block[y * 8 + x] = luma[(mcuY + offsetY + y) * paddedWidth + mcuX + offsetX + x];
+          }
+        }
+        encodeBlock(0, 0);
+      }
+
+      for (const [componentIndex, plane] of [[1, blue], [2, red]]) {
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            const topLeft = (mcuY + y * 2) * paddedWidth + mcuX + x * 2;
+            block[y * 8 + x] = (plane[topLeft] + plane[topLeft + 1] + plane[topLeft + paddedWidth] + plane[topLeft + paddedWidth + 1]) / 4;
+          }
+        }
+        encodeBlock(componentIndex, 1);
+      }
+    }
+  }
+
+  const segment = (marker, body) => {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(0xff00 | marker, 0);
+    header.writeUInt16BE(body.length + 2, 2);
+    return Buffer.concat([header, Buffer.from(body)]);
+  };
+
+  const frameHeader = Buffer.alloc(15);
+  frameHeader[0] = 8;
+  frameHeader.writeUInt16BE(height, 1);
+  frameHeader.writeUInt16BE(width, 3);
+  frameHeader.set([3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1], 5);
+
+  const huffmanSegment = [
+    [0x00, ENCODER_TABLES.dcLuminance],
+    [0x10, ENCODER_TABLES.acLuminance],
+    [0x01, ENCODER_TABLES.dcChrominance],
+    [0x11, ENCODER_TABLES.acChrominance]
+  ].flatMap(([id, table]) => [id, ...table.counts, ...table.symbols]);
+
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe0, [0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0]), // JFIF 1.1, no density
+    segment(0xdb, [0, ...Array.from(ZIGZAG, i => quant[0][i]), 1, ...Array.from(ZIGZAG, i => quant[1][i])]),
+    segment(0xc0, frameHeader),
+    segment(0xc4, huffmanSegment),
+    segment(0xda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]),
+    writer.finish(),
+    Buffer.from([0xff, 0xd9])
+  ]);
+}
+
+module.exports = {
+  decodeJpeg,
+  encodeJpeg
+};
@@ -0,0 +1,367 @@
+/**
+ * Metadata Utilities for NJDSC School Compliance Portal
+ *
+ * Removes embedded metadata (EXIF, GPS, XMP, IPTC, comments, text chunks and
+ * data appended after the image) from JPEG, PNG, GIF and WebP files without
+ * re-encoding them. Only what is needed to display the image is kept: color
+ * profiles, transparency, animation control and, when the image is rotated,
+ * a minimal EXIF block holding just its orientation.
+ */
+
+const { crc32 } = require('./zip');
+const { getOrientation } = require('./exif');
+
+// PNG chunks that affect how the image is displayed
+const PNG_KEEP_CHUNKS = new Set([
+  'IHDR', 'PLTE', 'IDAT', 'IEND', 'tRNS', 'cHRM', 'gAMA', 'iCCP', 'sBIT', 'sRGB', 'bKGD', 'pHYs',
+  'acTL', 'fcTL', 'fdAT'
+]);
+
+// JPEG APPn segments named by their identifier, for the removed list
+const JPEG_SEGMENT_NAMES = {
+  0xe1: data => (data.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? 'EXIF' : 'XMP'),
+  0xed: () => 'IPTC',
+  0xfe: () => 'COM'
+};
+
+// GIF application extensions that control animation
+const GIF_KEEP_APPLICATIONS = new Set(['NETSCAPE2.0', 'ANIMEXTS1.0']);
+
+/**
+ * Builds a big-endian TIFF block holding only an orientation tag
+ * @param {number} orientation - EXIF orientation 2-8
+ * @returns {Buffer} TIFF block
+ */
+function orientationTiff(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  return tiff;
+}
+
+/**
+ * Builds one PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Buffer} body - Chunk data
+ * @returns {Buffer} Chunk with length and CRC
+ */
+function pngChunk(type, body) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  const typeAndBody = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndBody));
+  return Buffer.concat([length, typeAndBody, crc]);
+}
+
+/**
+ * Removes metadata segments from a JPEG
+ * @param {Buffer} data - JPEG file
+ * @returns {{data: Buffer, removed: Array<string>}} Cleaned file and what was removed
+ * @throws {Error} If the file is not a readable JPEG
+ */
+function stripJpeg(data) {
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) {
+    throw new Error('Not a JPEG image');
+  }
+
+  const orientation = getOrientation(data);
+  const kept = [data.subarray(0, 2)];
+  const removed = [];
+  let orientationInserted = orientation === 1;
+  let position = 2;
+
+  const insertOrientation = () => {
+    if (orientationInserted) return;
+    const tiff = orientationTiff(orientation);
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(0xffe1, 0);
+    header.writeUInt16BE(2 + 6 + tiff.length, 2);
+    kept.push(header, Buffer.from('Exif\0\0', 'latin1'), tiff);
+    orientationInserted = true;
+  };
+
+  while (position < data.length) {
+    if (data[position] !== 0xff) {
+      throw new Error('Corrupt JPEG data: expected a marker');
+    }
+    const marker = data[position + 1];
+
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      position++;
+      continue;
+    }
+    if (marker === 0xd9) {
+      kept.push(data.subarray(position, position + 2));
+      if (position + 2 < data.length) {
+        removed.push('trailing data');
+      }
+      break;
+    }
+    if (position + 4 > data.length) {
+      throw new Error('Corrupt JPEG data: truncated segment');
+    }
+
+    const length = data.readUInt16BE(position + 2);
+    let end = position + 2 + length;
+    if (end > data.length) {
+      throw new Error('Corrupt JPEG data: truncated segment');
+    }
+    const body = data.subarray(position + 4, end);
+
+    // JFIF (APP0), ICC profiles (APP2) and Adobe color transforms (APP14) affect display
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const keep = marker === 0xe0
+      ? body.subarray(0, 5).toString('latin1') === 'JFIF\0'
+      : marker === 0xe2
+        ? body.subarray(0, 12).toString('latin1') === 'ICC_PROFILE\0'
+        : marker === 0xee || (!isApp && marker !== 0xfe);
+
+    if (!keep) {
+      const name = JPEG_SEGMENT_NAMES[marker];
+      removed.push(name ? name(body) : `APP${marker - 0xe0}`);
+      position = end;
+      continue;
+    }
+
+    if (marker !== 0xe0) {
+      insertOrientation();
+    }
+
+    if (marker === 0xda) {
+      // Entropy-coded data runs to the next marker other than a restart or stuffed byte
+      while (end < data.length - 1 &&
+        !(data[end] === 0xff && data[end + 1] !== 0 && (data[end + 1] < 0xd0 || data[end + 1] > 0xd7))) {
+        end++;
+      }
+      if (end >= data.length - 1) {
+        throw new Error('Corrupt JPEG data: missing end of image');
+      }
+    }
+
+    kept.push(data.subarray(position, end));
+    position = end;
+  }
+
+  return { data: Buffer.concat(kept), removed: [...new Set(removed)] };
+}
+
+/**
+ * Removes metadata chunks from a PNG
+ * @param {Buffer} data - PNG file
+ * @returns {{data: Buffer, removed: Array<string>}} Cleaned file and what was removed
+ * @throws {Error} If the file is not a readable PNG
+ */
+function stripPng(data) {
+  if (data.length < 8 || data.readUInt32BE(0) !== 0x89504e47) {
+    throw new Error('Not a PNG image');
+  }
+
+  const orientation = getOrientation(data);
+  const kept = [data.subarray(0, 8)];
+  const removed = [];
+  let position = 8;
+  let ended = false;
+  let orientationInserted = orientation === 1;
+
+  while (position + 12 <= data.length) {
+    const length = data.readUInt32BE(position);
+    const type = data.subarray(position + 4, position + 8).toString('latin1');
+    const end = position + 12 + length;
+    if (end > data.length) {
+      throw new Error('Corrupt PNG data: truncated chunk');
+    }
+
+    if (PNG_KEEP_CHUNKS.has(type)) {
+      // Orientation goes just before the image data, where eXIf belongs
+      if (type === 'IDAT' && !orientationInserted) {
+        kept.push(pngChunk('eXIf', orientationTiff(orientation)));
+        orientationInserted = true;
+      }
+      kept.push(data.subarray(position, end));
+    } else {
+      removed.push(type);
+    }
+
+    position = end;
+    if (type === 'IEND') {
+      ended = true;
+      break;
+    }
+  }
+
+  if (!ended) {
+    throw new Error('Corrupt PNG data: missing end of image');
+  }
+  if (position < data.length) {
+    removed.push('trailing data');
+  }
+
+  return { data: Buffer.concat(kept), removed: [...new Set(removed)] };
+}
+
+/**
+ * Removes comment and metadata extensions from a GIF
+ * @param {Buffer} data - GIF file
+ * @returns {{data: Buffer, removed: Array<string>}} Cleaned file and what was removed
+ * @throws {Error} If the file is not a readable GIF
+ */
+function stripGif(data) {
+  const signature = data.subarray(0, 6).toString('latin1');
+  if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+    throw new Error('Not a GIF image');
+  }
+
+  const skipSubBlocks = start => {
+    let position = start;
+    while (position < data.length && data[position] !== 0) {
+      position += data[position] + 1;
+    }
+    if (position >= data.length) {
+      throw new Error('Corrupt GIF data: truncated block');
+    }
+    return position + 1;
+  };
+
+  const tableSize = flags => (flags & 0x80 ? 3 * (1 << ((flags & 0x07) + 1)) : 0);
+
+  let position = 13 + tableSize(data[10]);
+  const kept = [data.subarray(0, position)];
+  const removed = [];
+
+  while (position < data.length) {
+    const introducer = data[position];
+
+    if (introducer === 0x3b) {
+      kept.push(data.subarray(position, position + 1));
+      if (position + 1 < data.length) {
+        removed.push('trailing data');
+      }
+      return { data: Buffer.concat(kept), removed: [...new Set(removed)] };
+    }
+
+    if (introducer === 0x21) {
+      const label = data[position + 1];
+      const end = skipSubBlocks(position + 2);
+      const application = label === 0xff
+        ? data.subarray(position + 3, position + 3 + data[position + 2]).toString('latin1')
+        : null;
+
+      if (label === 0xfe) {
+        removed.push('comment');
+      } else if (label === 0xff && !GIF_KEEP_APPLICATIONS.has(application)) {
+        removed.push(application.startsWith('XMP') ? 'XMP' : `application ${application}`);
+      } else {
+        kept.push(data.subarray(position, end));
+      }
+      position = end;
+      continue;
+    }
+
+    if (introducer === 0x2c) {
+      const dataStart = position + 10 + tableSize(data[position + 9]) + 1;
+      const end = skipSubBlocks(dataStart);
+      kept.push(data.subarray(position, end));
+      position = end;
+      continue;
+    }
+
+    throw new Error('Corrupt GIF data: unknown block');
+  }
+
+  throw new Error('Corrupt GIF data: missing trailer');
+}
+
+/**
+ * Removes EXIF and XMP chunks from a WebP
+ * @param {Buffer} data - WebP file
+ * @returns {{data: Buffer, removed: Array<string>}} Cleaned file and what was removed
+ * @throws {Error} If the file is not a readable WebP
+ */
+function stripWebp(data) {
+  if (data.length < 12 || data.subarray(0, 4).toString('latin1') !== 'RIFF' ||
+      data.subarray(8, 12).toString('latin1') !== 'WEBP') {
+    throw new Error('Not a WebP image');
+  }
+
+  const riffEnd = Math.min(data.length, 8 + data.readUInt32LE(4));
+  const kept = [];
+  const removed = [];
+  let position = 12;
+
+  while (position + 8 <= riffEnd) {
+    const type = data.subarray(position, position + 4).toString('latin1');
+    const length = data.readUInt32LE(position + 4);
+    const end = position + 8 + length + (length & 1);
+    if (position + 8 + length > riffEnd) {
+      throw new Error('Corrupt WebP data: truncated chunk');
+    }
+
+    if (type === 'EXIF' || type === 'XMP ') {
+      removed.push(type.trim());
+    } else if (type === 'VP8X') {
+      // Clear the EXIF and XMP flags
+      const chunk = Buffer.from(data.subarray(position, Math.min(end, riffEnd)));
+      chunk[8] &= ~0x0c;
+      kept.push(chunk);
+    } else {
+      kept.push(data.subarray(position, Math.min(end, riffEnd)));
+    }
+    position = end;
+  }
+
+  if (riffEnd < data.length) {
+    removed.push('trailing data');
+  }
+
+  const body = Buffer.concat(kept);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(4 + body.length, 4);
+  header.write('WEBP', 8, 'latin1');
+
+  return { data: Buffer.concat([header, body]), removed: [...new Set(removed)] };
+}
+
+const STRIPPERS = {
+  'image/jpeg': stripJpeg,
+  'image/png': stripPng,
+  'image/gif': stripGif,
+  'image/webp': stripWebp
+};
+
+/**
+ * Checks whether metadata can be removed from a MIME type
+ * @param {string} mimeType - File MIME type
+ * @returns {boolean} True for JPEG, PNG, GIF and WebP
+ */
+function canStripMetadata(mimeType) {
+  return Boolean(STRIPPERS[mimeType]);
+}
+
+/**
+ * Removes embedded metadata from an image
+ * @param {Buffer} data - Image file
+ * @param {string} mimeType - Image MIME type
+ * @returns {{data: Buffer, removed: Array<string>}} Cleaned file and names of what was removed
+ * @throws {Error} If the type is unsupported or the file cannot be parsed
+ */
+function stripMetadata(data, mimeType) {
+  const strip = STRIPPERS[mimeType];
+  if (!strip) {
+    throw new Error(`Metadata removal is not supported for ${mimeType}`);
+  }
+  return strip(data);
+}
+
+module.exports = {
+  canStripMetadata,
+  stripMetadata
+};
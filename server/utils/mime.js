@@ -0,0 +1,313 @@
+/**
+ * MIME message parsing
+ *
+ * Parses RFC 5322 messages with MIME parts (RFC 2045-2047 and 2231) and
+ * splits mbox files into messages. This covers what a local MTA drops:
+ * nested multiparts, forwarded messages, base64 and quoted-printable bodies,
+ * encoded-word headers and any charset TextDecoder knows.
+ */
+
+const { TextDecoder } = require('util');
+
+/**
+ * Decodes bytes in the given charset, falling back to UTF-8
+ * @param {Buffer} buffer - Encoded text
+ * @param {string} [charset] - Charset label
+ * @returns {string} Decoded text
+ */
+function decodeText(buffer, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
+
+/**
+ * Decodes a quoted-printable body
+ * @param {string} text - Encoded body, one character per byte
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeQuotedPrintable(text) {
+  const decoded = text
+    .replace(/[ \t]+(?=\r?\n)/g, '')
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(decoded, 'latin1');
+}
+
+/**
+ * Decodes RFC 2047 encoded words in a header value
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+function decodeHeaderValue(value) {
+  return value
+    // Whitespace between adjacent encoded words is not part of the text
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeText(bytes, charset.replace(/\*.*$/, ''));
+    });
+}
+
+/**
+ * Parses a header block into lowercase names and decoded values. Only the
+ * first occurrence of a repeated header is kept.
+ * @param {string} text - Header lines
+ * @returns {Object<string, string>} Header values by name
+ */
+function parseHeaders(text) {
+  const headers = {};
+
+  for (const line of text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      continue;
+    }
+
+    const name = line.slice(0, separator).trim().toLowerCase();
+    if (!(name in headers)) {
+      headers[name] = decodeHeaderValue(line.slice(separator + 1).trim());
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Parses a structured header such as Content-Type into its value and
+ * parameters. RFC 2231 continuations and charset-tagged values are joined
+ * and decoded.
+ * @param {string} [header] - Header value
+ * @returns {{value: string, params: Object<string, string>}} Lowercase value and parameters
+ */
+function parseStructuredHeader(header = '') {
+  const [value] = header.split(';', 1);
+  const segments = {};
+  const paramPattern = /;\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match;
+
+  while ((match = paramPattern.exec(header))) {
+    const [, rawName, rawValue] = match;
+    const [, name, index = '0', extended] = rawName.toLowerCase().match(/^(.+?)(?:\*(\d+))?(\*)?$/);
+    const text = rawValue.startsWith('"') ? rawValue.slice(1, -1).replace(/\\(.)/g, '$1') : rawValue.trim();
+    (segments[name] = segments[name] || []).push({ index: Number(index), text, extended: !!extended });
+  }
+
+  const params = {};
+  for (const [name, parts] of Object.entries(segments)) {
+    parts.sort((a, b) => a.index - b.index);
+
+    if (!parts[0].extended) {
+      params[name] = parts.map(part => part.text).join('');
+      continue;
+    }
+
+    // charset'language'percent-encoded-value
+    const [charset, , first = ''] = parts[0].text.split("'");
+    const encoded = [first, ...parts.slice(1).map(part => part.text)].join('');
+    const bytes = Buffer.from(encoded.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+    params[name] = decodeText(bytes, charset || 'utf-8');
+  }
+
+  return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Parses an address header into the first mailbox
+ * @param {string} [header] - From, To or Reply-To value
+ * @returns {{name: string, address: string}|null} Display name and address
+ */
+function parseAddress(header) {
+  if (!header) {
+    return null;
+  }
+
+  const angle = header.match(/^\s*(.*?)\s*<([^<>\s]+@[^<>\s]+)>/);
+  if (angle) {
+    return { name: angle[1].replace(/^"|"$/g, '').replace(/\\(.)/g, '$1').trim(), address: angle[2].toLowerCase() };
+  }
+
+  const bare = header.match(/([^\s<>()",;]+@[^\s<>()",;]+)(?:\s*\(([^)]*)\))?/);
+  return bare ? { name: (bare[2] || '').trim(), address: bare[1].toLowerCase() } : null;
+}
+
+/**
+ * Converts an HTML body to plain text
+ * @param {string} html - HTML body
+ * @returns {string} Text content
+ */
+function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  return html
+    .replace(/<(style|script|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|blockquote)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return entities[entity.toLowerCase()] ?? match;
+    })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Splits a multipart body on its boundary
+ * @param {string} body - Body, one character per byte
+ * @param {string} boundary - Boundary parameter
+ * @returns {Array<string>} Body parts
+ */
+function splitMultipart(body, boundary) {
+  const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const delimiter = new RegExp(`(?:^|\\r?\\n)--${escaped}(--)?[ \\t]*(?:\\r?\\n|$)`, 'g');
+  const parts = [];
+  let start = null;
+  let match;
+
+  while ((match = delimiter.exec(body))) {
+    if (start !== null) {
+      parts.push(body.slice(start, match.index));
+    }
+    if (match[1]) {
+      return parts;
+    }
+    start = match.index + match[0].length;
+  }
+
+  // A message cut off before its closing delimiter keeps its last part
+  if (start !== null) {
+    parts.push(body.slice(start));
+  }
+  return parts;
+}
+
+/**
+ * Parses one MIME entity and adds its text and files to the result
+ * @param {string} raw - Entity, one character per byte
+ * @param {Object} result - Message being built ({ textParts, htmlParts, attachments })
+ * @param {string} [defaultType] - Content type when none is given
+ */
+function collectPart(raw, result, defaultType = 'text/plain') {
+  // A part may have no headers at all and start with the blank line
+  const split = /^\r?\n/.test(raw) ? 0 : raw.search(/\r?\n\r?\n/);
+  const headerText = split === -1 ? raw : raw.slice(0, split);
+  const body = split === -1 ? '' : raw.slice(split).replace(/^(\r?\n){1,2}/, '');
+  const headers = parseHeaders(decodeText(Buffer.from(headerText, 'latin1')));
+
+  const contentType = parseStructuredHeader(headers['content-type'] || defaultType);
+  const disposition = parseStructuredHeader(headers['content-disposition']);
+  const type = contentType.value || defaultType;
+
+  if (type.startsWith('multipart/') && contentType.params.boundary) {
+    const childType = type === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+    splitMultipart(body, contentType.params.boundary).forEach(part => collectPart(part, result, childType));
+    return;
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '').trim().toLowerCase();
+  let content;
+  if (encoding === 'base64') {
+    content = Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  } else if (encoding === 'quoted-printable') {
+    content = decodeQuotedPrintable(body);
+  } else {
+    content = Buffer.from(body, 'latin1');
+  }
+
+  const filename = disposition.params.filename || contentType.params.name || null;
+
+  if (type === 'message/rfc822' && disposition.value !== 'attachment') {
+    // Forwarded message: keep its text and files with the outer message
+    const forwarded = parseMessage(content);
+    const summary = [
+      forwarded.from ? `From: ${forwarded.from.name ? `${forwarded.from.name} <${forwarded.from.address}>` : forwarded.from.address}` : null,
+      forwarded.date ? `Date: ${forwarded.date}` : null,
+      forwarded.subject ? `Subject: ${forwarded.subject}` : null
+    ].filter(Boolean).join('\n');
+    result.textParts.push(`---------- Forwarded message ----------\n${summary}\n\n${forwarded.text}`.trim());
+    result.attachments.push(...forwarded.attachments);
+    return;
+  }
+
+  if ((type === 'text/plain' || type === 'text/html') && disposition.value !== 'attachment' && !filename) {
+    const text = decodeText(content, contentType.params.charset || 'utf-8');
+    (type === 'text/html' ? result.htmlParts : result.textParts).push(text);
+    return;
+  }
+
+  result.attachments.push({
+    filename: filename || `attachment-${result.attachments.length + 1}`,
+    contentType: type,
+    size: content.length,
+    content
+  });
+}
+
+/**
+ * Parses an email message
+ * @param {Buffer|string} input - Raw message
+ * @returns {Object} Parsed message: headers (lowercase names), from ({ name, address }), to, subject,
+ *   date (ISO), messageId, text (HTML-only messages are converted), html, and attachments
+ *   ({ filename, contentType, size, content })
+ */
+function parseMessage(input) {
+  const raw = Buffer.isBuffer(input) ? input.toString('latin1') : Buffer.from(input, 'utf8').toString('latin1');
+  const split = raw.search(/\r?\n\r?\n/);
+  const headers = parseHeaders(decodeText(Buffer.from(split === -1 ? raw : raw.slice(0, split), 'latin1')));
+  const result = { textParts: [], htmlParts: [], attachments: [] };
+
+  collectPart(raw, result);
+
+  const date = headers.date ? new Date(headers.date) : null;
+  const html = result.htmlParts.length > 0 ? result.htmlParts.join('\n') : null;
+  const text = result.textParts.length > 0
+    ? result.textParts.join('\n\n')
+    : (html ? htmlToText(html) : '');
+
+  return {
+    headers,
+    from: parseAddress(headers.from),
+    to: parseAddress(headers.to),
+    subject: headers.subject || '',
+    date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    messageId: headers['message-id'] ? headers['message-id'].replace(/^<|>$/g, '') : null,
+    text: text.replace(/\r\n/g, '\n').trim(),
+    html,
+    attachments: result.attachments
+  };
+}
+
+/**
+ * Splits an mbox file into messages. Lines that were escaped as ">From "
+ * are restored.
+ * @param {Buffer|string} input - mbox contents
+ * @returns {Array<Buffer>} Raw messages
+ */
+function splitMbox(input) {
+  const text = Buffer.isBuffer(input) ? input.toString('latin1') : Buffer.from(input, 'utf8').toString('latin1');
+
+  return text
+    .split(/(?:^|\r?\n)From [^\r\n]*\r?\n/)
+    .filter(message => message.trim() !== '')
+    .map(message => Buffer.from(message.replace(/^>(>*From )/gm, '$1'), 'latin1'));
+}
+
+module.exports = {
+  parseMessage,
+  splitMbox,
+  parseAddress,
+  htmlToText,
+
+  // Export for testing
+  decodeHeaderValue,
+  parseStructuredHeader
+};
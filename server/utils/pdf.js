@@ -0,0 +1,197 @@
+/**
+ * PDF Utilities for NJDSC School Compliance Portal
+ *
+ * Builds simple text-only PDF documents (US Letter, Helvetica) from a list of
+ * blocks. Text is laid out with a conservative width estimate and wrapped to
+ * the page; characters outside Latin-1 are replaced with '?'.
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const LABEL_WIDTH = 140;
+const FOOTER_SIZE = 8;
+
+// Average Helvetica glyph width as a fraction of the font size, rounded up
+const CHAR_WIDTH_FACTOR = 0.55;
+
+/**
+ * Font size, font and space before each block style
+ * @type {Object<string, {size: number, font: string, spaceBefore: number}>}
+ */
+const STYLES = {
+  title: { size: 18, font: 'F2', spaceBefore: 0 },
+  heading: { size: 13, font: 'F2', spaceBefore: 14 },
+  body: { size: 10, font: 'F1', spaceBefore: 4 },
+  small: { size: 8, font: 'F1', spaceBefore: 4 }
+};
+
+/**
+ * Escapes text for a PDF string literal, replacing characters Helvetica's
+ * WinAnsi encoding cannot show
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapePdfText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+/**
+ * Wraps text to lines that fit a width. Words longer than a line are split.
+ * @param {string} text - Text to wrap; newlines start new lines
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size
+ * @returns {Array<string>} Lines
+ */
+function wrapText(text, width, size) {
+  const maxChars = Math.max(Math.floor(width / (size * CHAR_WIDTH_FACTOR)), 1);
+  const lines = [];
+
+  for (const paragraph of String(text === undefined || text === null ? '' : text).split(/\r?\n/)) {
+    let line = '';
+    for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+      while (word.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, maxChars));
+        word = word.slice(maxChars);
+      }
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= maxChars) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Lays blocks out into pages of positioned text runs
+ * @param {Array<Object>} blocks - Document blocks
+ * @returns {Array<Array<Object>>} Pages of { x, y, font, size, text }
+ */
+function layoutBlocks(blocks) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+  const bottom = MARGIN + FOOTER_SIZE * 3;
+  const contentWidth = PAGE_WIDTH - MARGIN * 2;
+
+  const ensureSpace = (height) => {
+    if (y - height < bottom) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+  };
+  const addRun = (x, font, size, text) => {
+    pages[pages.length - 1].push({ x, y, font, size, text });
+  };
+
+  for (const block of blocks) {
+    const style = STYLES[block.style] || STYLES.body;
+    const lineHeight = style.size * 1.4;
+    y -= style.spaceBefore;
+
+    if (block.label !== undefined) {
+      // Label and value side by side; the value wraps in its own column
+      const lines = wrapText(block.value, contentWidth - LABEL_WIDTH, style.size);
+      lines.forEach((line, index) => {
+        ensureSpace(lineHeight);
+        y -= lineHeight;
+        if (index === 0) {
+          addRun(MARGIN, 'F2', style.size, block.label);
+        }
+        addRun(MARGIN + LABEL_WIDTH, style.font, style.size, line);
+      });
+      continue;
+    }
+
+    for (const line of wrapText(block.text, contentWidth, style.size)) {
+      ensureSpace(lineHeight);
+      y -= lineHeight;
+      addRun(MARGIN, style.font, style.size, line);
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Formats a date as a PDF date string (D:YYYYMMDDHHmmSSZ)
+ * @param {Date} date - Date to format
+ * @returns {string} PDF date
+ */
+function toPdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Builds a PDF document
+ * @param {Object} document - Document content
+ * @param {string} document.title - Document title (metadata and footer)
+ * @param {Array<Object>} document.blocks - Blocks in order. Text blocks are
+ *   { text, style } with style 'title', 'heading', 'body' (default) or 'small';
+ *   field blocks are { label, value, style }.
+ * @param {Date} [document.date] - Creation date (defaults to now)
+ * @returns {Buffer} PDF file
+ */
+function buildPdf({ title, blocks, date = new Date() }) {
+  const pages = layoutBlocks(blocks);
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title (${escapePdfText(title)}) /Producer (NJDSC School Compliance Portal) /CreationDate (${toPdfDate(date)}) >>`);
+
+  const pageIds = pages.map((runs, index) => {
+    const footer = `${title} - Page ${index + 1} of ${pages.length}`;
+    const content = [
+      ...runs.map(run => `BT /${run.font} ${run.size} Tf ${run.x} ${run.y.toFixed(2)} Td (${escapePdfText(run.text)}) Tj ET`),
+      `BT /F1 ${FOOTER_SIZE} Tf ${MARGIN} ${MARGIN - FOOTER_SIZE} Td (${escapePdfText(footer)}) Tj ET`
+    ].join('\n');
+
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+module.exports = {
+  buildPdf,
+
+  // Export for testing
+  wrapText,
+  escapePdfText
+};
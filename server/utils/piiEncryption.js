@@ -0,0 +1,338 @@
+/**
+ * PII Encryption Utilities for NJDSC School Compliance Portal
+ *
+ * Envelope encryption for reporter identity stored with reports. Each report
+ * gets its own random data key, which encrypts the reporter fields with
+ * AES-256-GCM; the data key is in turn encrypted ("wrapped") with the
+ * portal's key-encryption key. Rotating the key-encryption key only needs
+ * the data keys re-wrapped, not the fields re-encrypted.
+ *
+ * The key-encryption key comes from PII_ENCRYPTION_KEY, or else from a
+ * keyfile (PII_KEY_FILE, default DATA_DIR/keys/pii.key) that holds one key
+ * per line, newest first. Older keys are kept only to unwrap data keys until
+ * they have been re-wrapped.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./fsUtils');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Report fields that identify the reporter and are stored encrypted
+ * @type {Array<string>}
+ */
+const REPORTER_PII_FIELDS = ['reporterName', 'reporterEmail', 'reporterPhone', 'reporterSchool', 'reporterIp'];
+
+let keyring = null;
+
+// Decrypted fields per envelope, so serializing a report decrypts it once
+const revealed = new WeakMap();
+
+/**
+ * Parses a key-encryption key
+ * @param {string} value - 32-byte key, base64 or hex encoded
+ * @returns {Buffer} Key
+ * @throws {Error} If the value is not a 32-byte key
+ */
+function parseKey(value) {
+  const text = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error('Invalid PII encryption key: expected 32 bytes, base64 or hex encoded');
+  }
+  return key;
+}
+
+/**
+ * Derives the identifier stored with data keys wrapped by a key
+ * @param {Buffer} key - Key-encryption key
+ * @returns {string} Key identifier
+ */
+function getKeyId(key) {
+  return crypto.createHash('sha256').update('njdsc-pii-key:').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Gets the keyfile path
+ * @returns {string} Absolute path of the keyfile
+ */
+function getKeyFilePath() {
+  return path.resolve(process.env.PII_KEY_FILE || path.join(getDataDir(), 'keys', 'pii.key'));
+}
+
+/**
+ * Reads the keys from the environment or the keyfile, creating the keyfile on first use
+ * @returns {Array<Buffer>} Keys, current first
+ */
+function readKeys() {
+  if (process.env.PII_ENCRYPTION_KEY) {
+    const previous = (process.env.PII_ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(value => value.trim());
+    return [process.env.PII_ENCRYPTION_KEY, ...previous].map(parseKey);
+  }
+
+  const keyFile = getKeyFilePath();
+  if (!fs.existsSync(keyFile)) {
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyFile, `${crypto.randomBytes(KEY_BYTES).toString('base64')}\n`, { mode: 0o600, flag: 'wx' });
+    console.warn(`[PII ENCRYPTION] Generated a new key at ${keyFile}. Back it up: reporter details cannot be read without it.`);
+  }
+
+  const lines = fs.readFileSync(keyFile, 'utf8').split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+  if (lines.length === 0) {
+    throw new Error(`No PII encryption key found in ${keyFile}`);
+  }
+  return lines.map(parseKey);
+}
+
+/**
+ * Loads the keyring on first use
+ * @returns {{current: {id: string, key: Buffer}, keys: Map<string, Buffer>}} Current key and all keys by ID
+ */
+function getKeyring() {
+  if (!keyring) {
+    const keys = readKeys().map(key => ({ id: getKeyId(key), key }));
+    keyring = { current: keys[0], keys: new Map(keys.map(({ id, key }) => [id, key])) };
+  }
+  return keyring;
+}
+
+/**
+ * Forgets the loaded keys so the next call reads them again
+ */
+function clearKeyCache() {
+  keyring = null;
+}
+
+/**
+ * Gets the identifier of the key new data keys are wrapped with
+ * @returns {string} Key identifier
+ */
+function getCurrentKeyId() {
+  return getKeyring().current.id;
+}
+
+/**
+ * Encrypts with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {string} aad - Additional data the ciphertext is bound to
+ * @returns {{iv: Buffer, tag: Buffer, ciphertext: Buffer}} Encrypted data
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_BYTES });
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+/**
+ * Decrypts AES-256-GCM data
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} iv - IV
+ * @param {Buffer} tag - Authentication tag
+ * @param {Buffer} ciphertext - Encrypted data
+ * @param {string} aad - Additional data the ciphertext is bound to
+ * @returns {Buffer} Plaintext
+ * @throws {Error} If the data was altered or the key is wrong
+ */
+function open(key, iv, tag, ciphertext, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: TAG_BYTES });
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Wraps a data key with the current key-encryption key
+ * @param {Buffer} dataKey - Data key
+ * @returns {{keyId: string, wrappedKey: string}} Key identifier and wrapped key (base64 IV, tag and key)
+ */
+function wrapDataKey(dataKey) {
+  const { id, key } = getKeyring().current;
+  const { iv, tag, ciphertext } = seal(key, dataKey, `pii-key:${id}`);
+  return { keyId: id, wrappedKey: Buffer.concat([iv, tag, ciphertext]).toString('base64') };
+}
+
+/**
+ * Unwraps an envelope's data key
+ * @param {Object} envelope - Envelope from encryptPii
+ * @returns {Buffer} Data key
+ * @throws {Error} If the key it was wrapped with is not configured or the envelope is corrupt
+ */
+function unwrapDataKey(envelope) {
+  const key = getKeyring().keys.get(envelope.keyId);
+  if (!key) {
+    throw new Error(`Unknown PII encryption key: ${envelope.keyId}`);
+  }
+  const wrapped = Buffer.from(envelope.wrappedKey, 'base64');
+  try {
+    return open(key, wrapped.subarray(0, IV_BYTES), wrapped.subarray(IV_BYTES, IV_BYTES + TAG_BYTES),
+      wrapped.subarray(IV_BYTES + TAG_BYTES), `pii-key:${envelope.keyId}`);
+  } catch {
+    throw new Error('PII decryption failed: data key could not be unwrapped');
+  }
+}
+
+/**
+ * Encrypts fields under a new data key
+ * @param {Object} fields - Plain values to encrypt
+ * @param {string} recordId - ID of the record the fields belong to (the envelope only opens for it)
+ * @returns {{version: number, keyId: string, wrappedKey: string, iv: string, tag: string, ciphertext: string}}
+ *   Envelope with base64 values
+ */
+function encryptPii(fields, recordId) {
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(JSON.stringify(fields), 'utf8'), recordId);
+  return {
+    version: ENVELOPE_VERSION,
+    ...wrapDataKey(dataKey),
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypts an envelope
+ * @param {Object} envelope - Envelope from encryptPii
+ * @param {string} recordId - ID of the record the envelope was made for
+ * @returns {Object} Decrypted fields
+ * @throws {Error} If the key is unavailable or the envelope was altered or belongs to another record
+ */
+function decryptPii(envelope, recordId) {
+  if (!envelope || envelope.version !== ENVELOPE_VERSION) {
+    throw new Error('PII decryption failed: unsupported envelope');
+  }
+  const dataKey = unwrapDataKey(envelope);
+  try {
+    const plaintext = open(dataKey, Buffer.from(envelope.iv, 'base64'), Buffer.from(envelope.tag, 'base64'),
+      Buffer.from(envelope.ciphertext, 'base64'), recordId);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new Error('PII decryption failed: data does not match its record');
+  }
+}
+
+/**
+ * Re-wraps an envelope's data key with the current key, leaving the encrypted fields as they are
+ * @param {Object} envelope - Envelope from encryptPii
+ * @returns {Object} Envelope wrapped with the current key (the same object if it already is)
+ * @throws {Error} If the data key cannot be unwrapped
+ */
+function rewrapPii(envelope) {
+  if (envelope.keyId === getCurrentKeyId()) {
+    return envelope;
+  }
+  return { ...envelope, ...wrapDataKey(unwrapDataKey(envelope)) };
+}
+
+/**
+ * Picks the reporter fields that have a value
+ * @param {Object} source - Record or decrypted fields
+ * @returns {Object} Non-empty reporter fields
+ */
+function pickReporterFields(source) {
+  const fields = {};
+  for (const name of REPORTER_PII_FIELDS) {
+    if (source[name]) {
+      fields[name] = source[name];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Decrypts a report's stored reporter fields
+ * @param {Object} report - Report or stored row
+ * @returns {Object} Stored reporter fields
+ * @throws {Error} If the envelope cannot be decrypted
+ */
+function readStoredReporterPii(report) {
+  const envelope = report.reporterPii;
+  if (!envelope) {
+    return {};
+  }
+  if (!revealed.has(envelope)) {
+    revealed.set(envelope, pickReporterFields(decryptPii(envelope, report.id)));
+  }
+  return revealed.get(envelope);
+}
+
+/**
+ * Gets a report's reporter details
+ *
+ * Only for the views and notifications allowed to use them: plain values set
+ * on the report win over the encrypted ones. A report that cannot be
+ * decrypted is logged and treated as having no stored details.
+ *
+ * @param {Object} report - Report or stored row
+ * @returns {Object} Reporter fields that have a value
+ */
+function revealReporterPii(report) {
+  let stored = {};
+  try {
+    stored = readStoredReporterPii(report);
+  } catch (error) {
+    console.warn(`Failed to decrypt reporter details for report ${report.id}:`, error.message);
+  }
+  return { ...stored, ...pickReporterFields(report) };
+}
+
+/**
+ * Builds the stored form of a report, with reporter fields encrypted
+ *
+ * Values set on the report are merged over the ones already encrypted, so a
+ * report loaded without decrypting keeps its reporter details when saved.
+ *
+ * @param {Object} report - Report to store
+ * @param {Array<string>} [omit] - Reporter fields to remove
+ * @returns {Object} Copy of the report with `reporterPii` set and the plain reporter fields cleared
+ * @throws {Error} If existing reporter details cannot be decrypted
+ */
+function sealReporterPii(report, omit = []) {
+  const fields = { ...readStoredReporterPii(report), ...pickReporterFields(report) };
+  for (const name of omit) {
+    delete fields[name];
+  }
+  const row = { ...report, reporterPii: Object.keys(fields).length > 0 ? encryptPii(fields, report.id) : null };
+  for (const name of REPORTER_PII_FIELDS) {
+    // Undefined rather than deleted, so merging into a stored row clears plain values
+    row[name] = undefined;
+  }
+  return row;
+}
+
+/**
+ * Checks whether a stored row needs encrypting or re-wrapping with the current key
+ * @param {Object} row - Stored report row
+ * @returns {boolean} True if it has plain reporter fields or a data key wrapped with an older key
+ */
+function needsReencryption(row) {
+  return Object.keys(pickReporterFields(row)).length > 0 ||
+    Boolean(row.reporterPii && row.reporterPii.keyId !== getCurrentKeyId());
+}
+
+module.exports = {
+  REPORTER_PII_FIELDS,
+  encryptPii,
+  decryptPii,
+  rewrapPii,
+  getCurrentKeyId,
+  revealReporterPii,
+  sealReporterPii,
+  needsReencryption,
+
+  // Export for testing
+  clearKeyCache,
+  getKeyFilePath
+};
@@ -0,0 +1,233 @@
+/**
+ * PNG Utilities for NJDSC School Compliance Portal
+ *
+ * Decodes PNG images (every color type and bit depth, interlaced or not) to
+ * 8-bit RGBA pixels. 16-bit samples keep their high byte. Ancillary chunks
+ * other than transparency are ignored.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Largest image decoded (width x height); a 10 MB upload is well under this
+const DEFAULT_MAX_PIXELS = 50 * 1000 * 1000;
+
+// Samples per pixel for each color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Bit depths allowed for each color type
+const BIT_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+// Adam7 passes: [first column, first row, column step, row step]
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+/**
+ * Predicts a byte with the Paeth filter
+ * @param {number} left - Byte to the left
+ * @param {number} up - Byte above
+ * @param {number} upLeft - Byte above and to the left
+ * @returns {number} Predicted byte
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  if (toUp <= toUpLeft) return up;
+  return upLeft;
+}
+
+/**
+ * Reverses the row filters of one (sub)image in place
+ * @param {Buffer} data - Filtered rows, each led by its filter type byte
+ * @param {number} offset - Offset of the first row
+ * @param {number} rowBytes - Bytes per row, without the filter byte
+ * @param {number} rows - Number of rows
+ * @param {number} bytesPerPixel - Bytes per complete pixel (at least 1)
+ * @returns {Array<Buffer>} Unfiltered rows
+ * @throws {Error} If a row uses an unknown filter
+ */
+function unfilter(data, offset, rowBytes, rows, bytesPerPixel) {
+  const result = [];
+  let previous = Buffer.alloc(rowBytes);
+
+  for (let y = 0; y < rows; y++) {
+    const start = offset + y * (rowBytes + 1);
+    const filter = data[start];
+    const row = Buffer.from(data.subarray(start + 1, start + 1 + rowBytes));
+    if (row.length < rowBytes) {
+      throw new Error('Corrupt PNG data: image data is truncated');
+    }
+
+    for (let x = 0; x < rowBytes; x++) {
+      const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+      const up = previous[x];
+      const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+      switch (filter) {
+        case 0: break;
+        case 1: row[x] = (row[x] + left) & 0xff; break;
+        case 2: row[x] = (row[x] + up) & 0xff; break;
+        case 3: row[x] = (row[x] + ((left + up) >> 1)) & 0xff; break;
+        case 4: row[x] = (row[x] + paeth(left, up, upLeft)) & 0xff; break;
+        default: throw new Error(`Corrupt PNG data: unknown row filter ${filter}`);
+      }
+    }
+
+    result.push(row);
+    previous = row;
+  }
+
+  return result;
+}
+
+/**
+ * Decodes a PNG image
+ * @param {Buffer} data - PNG file
+ * @param {Object} [options] - Decoding options
+ * @param {number} [options.maxPixels] - Largest image (width x height) to decode
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels
+ * @throws {Error} If the image is corrupt, unsupported or too large
+ */
+function decodePng(data, { maxPixels = DEFAULT_MAX_PIXELS } = {}) {
+  if (data.length < 8 || !data.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const compressed = [];
+
+  for (let position = 8; position + 8 <= data.length;) {
+    const length = data.readUInt32BE(position);
+    const type = data.subarray(position + 4, position + 8).toString('latin1');
+    const body = data.subarray(position + 8, position + 8 + length);
+    if (body.length < length) {
+      throw new Error('Corrupt PNG data: truncated chunk');
+    }
+    position += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlaced: body[12] === 1
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      compressed.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('Corrupt PNG data: missing header');
+  }
+
+  const { width, height, bitDepth, colorType, interlaced } = header;
+  if (!BIT_DEPTHS[colorType] || !BIT_DEPTHS[colorType].includes(bitDepth)) {
+    throw new Error(`Unsupported PNG encoding: color type ${colorType}, bit depth ${bitDepth}`);
+  }
+  if (width === 0 || height === 0 || width * height > maxPixels) {
+    throw new Error(`Image is too large to process (${width}x${height})`);
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('Corrupt PNG data: missing palette');
+  }
+
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(compressed));
+  } catch (error) {
+    throw new Error(`Corrupt PNG data: ${error.message}`);
+  }
+
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << bitDepth) - 1;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+
+  // Transparent color for gray and RGB images, compared at full bit depth
+  const transparentKey = transparency && (colorType === 0 || colorType === 2)
+    ? Array.from({ length: channels }, (unused, i) => transparency.readUInt16BE(i * 2))
+    : null;
+
+  const readSample = (row, index) => {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return row.readUInt16BE(index * 2);
+    const bitOffset = index * bitDepth;
+    return (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & maxSample;
+  };
+
+  const toByte = value => (bitDepth === 16 ? value >> 8 : Math.round((value * 255) / maxSample));
+
+  const writePixel = (row, column, x, y) => {
+    const out = (y * width + x) * 4;
+    const samples = [];
+    for (let i = 0; i < channels; i++) {
+      samples.push(readSample(row, column * channels + i));
+    }
+
+    if (colorType === 3) {
+      const index = samples[0];
+      pixels[out] = palette[index * 3];
+      pixels[out + 1] = palette[index * 3 + 1];
+      pixels[out + 2] = palette[index * 3 + 2];
+      pixels[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      return;
+    }
+
+    const gray = colorType === 0 || colorType === 4;
+    pixels[out] = toByte(samples[0]);
+    pixels[out + 1] = toByte(gray ? samples[0] : samples[1]);
+    pixels[out + 2] = toByte(gray ? samples[0] : samples[2]);
+
+    if (colorType === 4 || colorType === 6) {
+      pixels[out + 3] = toByte(samples[channels - 1]);
+    } else {
+      pixels[out + 3] = transparentKey && transparentKey.every((value, i) => value === samples[i]) ? 0 : 255;
+    }
+  };
+
+  const passes = interlaced ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+
+  for (const [startX, startY, stepX, stepY] of passes) {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+    const rows = unfilter(raw, offset, rowBytes, passHeight, bytesPerPixel);
+    offset += passHeight * (rowBytes + 1);
+
+    rows.forEach((row, passY) => {
+      for (let passX = 0; passX < passWidth; passX++) {
+        writePixel(row, passX, startX + passX * stepX, startY + passY * stepY);
+      }
+    });
+  }
+
+  return { width, height, data: pixels };
+}
+
+module.exports = {
+  decodePng
+};
@@ -0,0 +1,74 @@
+/**
+ * Reply tokens for outgoing report email
+ *
+ * Mail sent about a report carries a Message-ID that names the outbox message
+ * and the report, signed with a short HMAC. Replies quote it in In-Reply-To
+ * or References, which is how they are threaded back onto the report. The
+ * signature stops a sender from attaching mail to a report by guessing IDs.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PATTERN = /<(eml_[a-zA-Z0-9]{10})\.(rep_[a-zA-Z0-9]{6})\.([0-9a-f]{16})@[^<>\s]+>/g;
+const DEFAULT_DOMAIN = 'njdsc.local';
+
+/**
+ * Gets the key reply tokens are signed with
+ * @returns {string} Signing key
+ */
+function getSecret() {
+  return process.env.EMAIL_REPLY_SECRET || process.env.JWT_SECRET || 'njdsc-admin-secret-key-2025';
+}
+
+/**
+ * Signs an outbox message and report pair
+ * @param {string} outboundId - Outbox message ID
+ * @param {string} reportId - Report ID
+ * @returns {string} 16 hex characters
+ */
+function sign(outboundId, reportId) {
+  return crypto.createHmac('sha256', getSecret()).update(`${outboundId}.${reportId}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Builds the Message-ID for an outgoing message about a report
+ * @param {string} outboundId - Outbox message ID
+ * @param {string} reportId - Report ID
+ * @param {string} [fromAddress] - Sender address; its domain is used on the right of the @
+ * @returns {string} Message-ID in angle brackets
+ */
+function buildThreadMessageId(outboundId, reportId, fromAddress) {
+  const domain = typeof fromAddress === 'string' && fromAddress.includes('@')
+    ? fromAddress.split('@').pop().replace(/[<>\s]/g, '')
+    : '';
+
+  return `<${outboundId}.${reportId}.${sign(outboundId, reportId)}@${domain || DEFAULT_DOMAIN}>`;
+}
+
+/**
+ * Finds the portal message a reply answers. In-Reply-To is checked first,
+ * then References from the most recent message back.
+ * @param {string} [inReplyTo] - In-Reply-To header
+ * @param {string} [references] - References header
+ * @returns {{outboundId: string, reportId: string}|null} Outbox message and report, or null if no signed token was found
+ */
+function findThreadReference(inReplyTo = '', references = '') {
+  const candidates = [
+    ...Array.from(inReplyTo.matchAll(TOKEN_PATTERN)),
+    ...Array.from(references.matchAll(TOKEN_PATTERN)).reverse()
+  ];
+
+  for (const [, outboundId, reportId, token] of candidates) {
+    const expected = sign(outboundId, reportId);
+    if (crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))) {
+      return { outboundId, reportId };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  buildThreadMessageId,
+  findThreadReference
+};
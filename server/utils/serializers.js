@@ -0,0 +1,216 @@
+/**
+ * Serializers for NJDSC School Compliance Portal
+ *
+ * Declares which fields of reports, files and audit entries each audience
+ * may see. Audiences are ordered public < viewer < investigator < admin and
+ * each one sees everything the audiences below it see. Fields that are not
+ * listed are never sent, so a field added to a model stays private until it
+ * is given an audience here.
+ */
+
+const User = require('../models/User');
+const { revealReporterPii } = require('./piiEncryption');
+
+/**
+ * Audiences a response can be shaped for: anonymous visitors plus each portal role
+ * @enum {string}
+ */
+const AUDIENCE = {
+  PUBLIC: 'public',
+  ...User.getRoleEnum()
+};
+
+/**
+ * Audiences ordered from least to most privileged
+ * @type {Array<string>}
+ */
+const AUDIENCE_ORDER = [AUDIENCE.PUBLIC, AUDIENCE.VIEWER, AUDIENCE.INVESTIGATOR, AUDIENCE.ADMIN];
+
+/**
+ * Files embedded in a report's uploadedFiles array
+ *
+ * A field is either a property name or [output name, property name or
+ * function of (record, audience)].
+ */
+const REPORT_FILE_FIELDS = {
+  [AUDIENCE.PUBLIC]: ['id', 'name', 'type', 'size', 'url', 'thumbnailUrl', 'mediumUrl']
+};
+
+/**
+ * Reporter fields are stored encrypted and only decrypted for the audiences they are listed under
+ * @param {string} name - Reporter field
+ * @returns {Array} Field declaration
+ */
+const reporterField = name => [name, report => revealReporterPii(report)[name]];
+
+/**
+ * Reports
+ */
+const REPORT_FIELDS = {
+  [AUDIENCE.PUBLIC]: [
+    'id', 'schoolName', 'location', 'violationDescription', 'phoneNumber', 'websiteUrl',
+    ['uploadedFiles', (report, audience) => serializeList(report.uploadedFiles, REPORT_FILE_FIELDS, audience)],
+    'socialMediaLinks', 'additionalInfo', 'status', 'lastReported', 'createdAt', 'updatedAt', 'schoolId'
+  ],
+  [AUDIENCE.VIEWER]: [
+    'source', 'reviewStatus', 'closureReason', 'statusHistory', 'licenseCheck', 'mvcReferenceNumber', 'adminNotes',
+    'legalHold'
+  ],
+  // Investigators contact reporters, so they see who the reporter is
+  [AUDIENCE.INVESTIGATOR]: ['reporterName', 'reporterEmail', 'reporterPhone', 'reporterSchool'].map(reporterField),
+  [AUDIENCE.ADMIN]: [reporterField('reporterIp')]
+};
+
+/**
+ * File records (the EXIF and original of an upload are only served by their own audited routes)
+ */
+const FILE_FIELDS = {
+  [AUDIENCE.PUBLIC]: [
+    'id', 'reportId', ['name', 'originalName'], ['type', 'mimeType'], 'size',
+    ['url', file => file.publicUrl || file.driveUrl], 'thumbnailUrl', 'mediumUrl', 'uploadedAt', 'processingStatus'
+  ],
+  [AUDIENCE.VIEWER]: ['width', 'height', 'processingError', 'metadataStrippedAt'],
+  [AUDIENCE.ADMIN]: ['uploadedByIp']
+};
+
+/**
+ * Audit log entries (investigators and up only: details name the reporters mail was sent to)
+ */
+const AUDIT_LOG_FIELDS = {
+  [AUDIENCE.INVESTIGATOR]: ['id', 'timestamp', 'action', 'adminUser', 'targetType', 'targetId', 'details', 'changes', 'metadata'],
+  [AUDIENCE.ADMIN]: ['ipAddress']
+};
+
+/**
+ * Gets the audience for a request's signed-in user
+ * @param {Object|null|undefined} user - req.adminUser, if any
+ * @returns {string} The user's role, or 'public' when signed out or the role is unknown
+ */
+function getAudience(user) {
+  return user && AUDIENCE_ORDER.includes(user.role) ? user.role : AUDIENCE.PUBLIC;
+}
+
+/**
+ * Lists the fields an audience may see
+ * @param {Object} policy - Fields per audience
+ * @param {string} audience - Audience
+ * @returns {Array<string|Array>} Field declarations
+ * @throws {Error} If the audience is unknown
+ */
+function fieldsFor(policy, audience) {
+  const level = AUDIENCE_ORDER.indexOf(audience);
+  if (level === -1) {
+    throw new Error(`Unknown audience: ${audience}`);
+  }
+  return AUDIENCE_ORDER.slice(0, level + 1).flatMap(name => policy[name] || []);
+}
+
+/**
+ * Copies the fields an audience may see from a record
+ * @param {Object|null} record - Record to serialize
+ * @param {Object} policy - Fields per audience
+ * @param {string} audience - Audience
+ * @returns {Object|null} Plain object with only the visible fields (undefined values left out)
+ */
+function project(record, policy, audience) {
+  if (!record) {
+    return record;
+  }
+
+  const result = {};
+  for (const field of fieldsFor(policy, audience)) {
+    const [name, source] = Array.isArray(field) ? field : [field, field];
+    const value = typeof source === 'function' ? source(record, audience) : record[source];
+    if (value !== undefined) {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Serializes each record of a list
+ * @param {Array<Object>|null|undefined} records - Records
+ * @param {Object} policy - Fields per audience
+ * @param {string} audience - Audience
+ * @returns {Array<Object>|null|undefined} Serialized records (missing lists are passed through)
+ */
+function serializeList(records, policy, audience) {
+  return Array.isArray(records) ? records.map(record => project(record, policy, audience)) : records;
+}
+
+/**
+ * Serializes a report for an audience
+ * @param {Object|null} report - Report
+ * @param {string} audience - Audience
+ * @returns {Object|null} Visible report fields
+ */
+function serializeReport(report, audience) {
+  return project(report, REPORT_FIELDS, audience);
+}
+
+/**
+ * Serializes a list of reports for an audience
+ * @param {Array<Object>} reports - Reports
+ * @param {string} audience - Audience
+ * @returns {Array<Object>} Visible fields of each report
+ */
+function serializeReports(reports, audience) {
+  return serializeList(reports, REPORT_FIELDS, audience);
+}
+
+/**
+ * Serializes a file record for an audience
+ * @param {Object|null} file - File record
+ * @param {string} audience - Audience
+ * @returns {Object|null} Visible file fields
+ */
+function serializeFile(file, audience) {
+  return project(file, FILE_FIELDS, audience);
+}
+
+/**
+ * Serializes a list of file records for an audience
+ * @param {Array<Object>} files - File records
+ * @param {string} audience - Audience
+ * @returns {Array<Object>} Visible fields of each file
+ */
+function serializeFiles(files, audience) {
+  return serializeList(files, FILE_FIELDS, audience);
+}
+
+/**
+ * Serializes an audit log entry for an audience
+ * @param {Object|null} entry - Audit log entry
+ * @param {string} audience - Audience
+ * @returns {Object|null} Visible entry fields (an empty object for the public)
+ */
+function serializeAuditLog(entry, audience) {
+  return project(entry, AUDIT_LOG_FIELDS, audience);
+}
+
+/**
+ * Serializes a list of audit log entries for an audience
+ * @param {Array<Object>} entries - Audit log entries
+ * @param {string} audience - Audience
+ * @returns {Array<Object>} Visible fields of each entry
+ */
+function serializeAuditLogs(entries, audience) {
+  return serializeList(entries, AUDIT_LOG_FIELDS, audience);
+}
+
+module.exports = {
+  AUDIENCE,
+  getAudience,
+  serializeReport,
+  serializeReports,
+  serializeFile,
+  serializeFiles,
+  serializeAuditLog,
+  serializeAuditLogs,
+
+  // Export for testing
+  REPORT_FIELDS,
+  FILE_FIELDS,
+  AUDIT_LOG_FIELDS
+};
@@ -0,0 +1,47 @@
+/**
+ * Stream Utilities for NJDSC School Compliance Portal
+ *
+ * Helpers for writing generated output (exports, archives) to a writable
+ * stream such as an HTTP response without buffering it all in memory.
+ */
+
+/**
+ * Writes a chunk and waits for the stream to drain when its buffer is full
+ * @param {import('stream').Writable} output - Destination stream
+ * @param {string|Buffer} chunk - Data to write
+ * @returns {Promise<void>} Resolves when more data may be written
+ * @throws {Error} If the stream errors or closes before draining
+ */
+function writeChunk(output, chunk) {
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output stream closed before all data was written'));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', onError);
+  });
+}
+
+module.exports = {
+  writeChunk
+};
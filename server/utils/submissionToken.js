@@ -0,0 +1,51 @@
+/**
+ * Submission tokens for follow-up uploads
+ *
+ * A reporter who submits a report gets back a queue ticket and a token signed
+ * for that ticket. Anonymous uploads to the report must present both, so only
+ * the person who submitted it can add evidence without signing in; knowing or
+ * guessing a report or ticket ID is not enough.
+ */
+
+const crypto = require('crypto');
+
+// How long after submission the reporter may keep adding files
+const UPLOAD_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the key submission tokens are signed with
+ * @returns {string} Signing key
+ */
+function getSecret() {
+  return process.env.SUBMISSION_TOKEN_SECRET || process.env.JWT_SECRET || 'njdsc-admin-secret-key-2025';
+}
+
+/**
+ * Signs a queue ticket
+ * @param {string} ticketId - Queue ticket ID
+ * @returns {string} 32 hex characters
+ */
+function createSubmissionToken(ticketId) {
+  return crypto.createHmac('sha256', getSecret()).update(`submission.${ticketId}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Checks a submission token against its ticket
+ * @param {string} ticketId - Queue ticket ID
+ * @param {string} token - Token presented by the reporter
+ * @returns {boolean} True if the token was issued for the ticket
+ */
+function verifySubmissionToken(ticketId, token) {
+  if (typeof ticketId !== 'string' || typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = createSubmissionToken(ticketId);
+  return token.length === expected.length && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+module.exports = {
+  UPLOAD_WINDOW_MS,
+  createSubmissionToken,
+  verifySubmissionToken
+};
@@ -7,6 +7,35 @@
 
 const Joi = require('joi');
 
+/**
+ * Business suffixes ignored when comparing school names
+ * @type {Array<string>}
+ */
+const SCHOOL_NAME_SUFFIXES = ['llc', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'lp', 'llp'];
+
+/**
+ * Words nearly every school name contains; they say nothing about which operator it is
+ * @type {Array<string>}
+ */
+const GENERIC_SCHOOL_WORDS = ['the', 'and', 'of', 'driving', 'driver', 'drivers', 'school', 'schools', 'academy', 'training', 'auto'];
+
+/**
+ * Relative weight of each signal when scoring report similarity
+ * @type {Object<string, number>}
+ */
+const SIMILARITY_WEIGHTS = {
+  name: 0.5,
+  phone: 0.2,
+  website: 0.2,
+  location: 0.1
+};
+
+/**
+ * Score at or above which two reports are treated as likely duplicates
+ * @type {number}
+ */
+const DUPLICATE_SCORE_THRESHOLD = 0.75;
+
 /**
  * Validates an email address
  * @param {string} email - Email address to validate
@@ -124,6 +153,47 @@ function normalizeUrl(url) {
   return trimmed;
 }
 
+/**
+ * Extracts the comparable domain from a URL ("https://www.Example.com/x" becomes "example.com")
+ * @param {string} url - URL, with or without protocol
+ * @returns {string|null} Lowercase host without "www.", or null if the URL can't be parsed
+ */
+function extractDomain(url) {
+  if (!url || typeof url !== 'string' || !url.trim()) {
+    return null;
+  }
+
+  try {
+    const hostname = new URL(normalizeUrl(url)).hostname.toLowerCase();
+    return hostname.replace(/^www\./, '') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalizes a school name for comparison.
+ * "A.B.C. Driving School, LLC" and "abc driving school" both become "abc driving school".
+ * @param {string} name - School name
+ * @returns {string} Normalized name
+ */
+function normalizeSchoolName(name) {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[.'’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  while (words.length > 1 && SCHOOL_NAME_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join(' ');
+}
+
 /**
  * Validates an IP address (IPv4 or IPv6)
  * @param {string} ip - IP address to validate
@@ -206,6 +276,116 @@ function validateDuplicateReport(schoolName, existingReports) {
   return { isValid: true };
 }
 
+/**
+ * Compares two strings by their shared character pairs (Dice coefficient)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 to 1
+ */
+function diceCoefficient(a, b) {
+  if (a === b) {
+    return a ? 1 : 0;
+  }
+  if (a.length < 2 || b.length < 2) {
+    return 0;
+  }
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const pair = a.slice(i, i + 2);
+    bigrams.set(pair, (bigrams.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const pair = b.slice(i, i + 2);
+    const count = bigrams.get(pair) || 0;
+    if (count > 0) {
+      bigrams.set(pair, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * Reduces a school name to the words that identify the operator
+ * ("Elite Driving School LLC" becomes "elite")
+ * @param {string} name - School name
+ * @returns {string} Distinctive part of the normalized name, without spaces
+ */
+function distinctiveSchoolName(name) {
+  const words = normalizeSchoolName(name).split(' ').filter(Boolean);
+  const distinctive = words.filter(word => !GENERIC_SCHOOL_WORDS.includes(word));
+  return (distinctive.length > 0 ? distinctive : words).join('');
+}
+
+/**
+ * Scores how likely two reports describe the same school. The name is always
+ * compared; phone number, website domain and location only count when both
+ * reports have them. A shared phone number or website domain is strong evidence
+ * on its own, so either one lifts the score to at least the duplicate threshold.
+ * @param {Object} a - First report
+ * @param {Object} b - Second report
+ * @returns {{score: number, reasons: Array<string>}} Score from 0 to 1 and the signals that matched
+ */
+function scoreReportSimilarity(a, b) {
+  const reasons = [];
+  let weighted = 0;
+  let totalWeight = 0;
+
+  const compare = (signal, similarity, reason) => {
+    weighted += SIMILARITY_WEIGHTS[signal] * similarity;
+    totalWeight += SIMILARITY_WEIGHTS[signal];
+    if (similarity > 0 && reason) {
+      reasons.push(reason);
+    }
+  };
+
+  const nameSimilarity = normalizeSchoolName(a.schoolName) === normalizeSchoolName(b.schoolName)
+    ? 1
+    : diceCoefficient(distinctiveSchoolName(a.schoolName), distinctiveSchoolName(b.schoolName));
+  compare('name', nameSimilarity,
+    nameSimilarity >= 0.5 ? `Similar school name (${Math.round(nameSimilarity * 100)}%)` : null);
+
+  let strongMatch = false;
+
+  const phoneA = a.phoneNumber && toE164PhoneNumber(a.phoneNumber);
+  const phoneB = b.phoneNumber && toE164PhoneNumber(b.phoneNumber);
+  if (phoneA && phoneB) {
+    const samePhone = phoneA === phoneB;
+    strongMatch = strongMatch || samePhone;
+    compare('phone', samePhone ? 1 : 0, 'Same phone number');
+  }
+
+  const domainA = extractDomain(a.websiteUrl);
+  const domainB = extractDomain(b.websiteUrl);
+  if (domainA && domainB) {
+    const sameDomain = domainA === domainB;
+    strongMatch = strongMatch || sameDomain;
+    compare('website', sameDomain ? 1 : 0, 'Same website domain');
+  }
+
+  const locationA = String(a.location || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const locationB = String(b.location || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (locationA && locationB) {
+    const locationSimilarity = locationA === locationB ? 1 : diceCoefficient(locationA, locationB);
+    compare('location', locationSimilarity,
+      locationSimilarity >= 0.5 ? (locationSimilarity === 1 ? 'Same location' : 'Similar location') : null);
+  }
+
+  let score = weighted / totalWeight;
+  if (strongMatch) {
+    score = Math.max(score, DUPLICATE_SCORE_THRESHOLD);
+  }
+
+  return {
+    score: Math.round(score * 100) / 100,
+    reasons
+  };
+}
+
 /**
  * Validates file upload parameters
  * @param {Buffer} fileBuffer - File buffer
@@ -410,6 +590,8 @@ module.exports = {
   formatPhoneNumber,
   toE164PhoneNumber,
   normalizeUrl,
+  extractDomain,
+  normalizeSchoolName,
 
   // Sanitization functions
   sanitizeString,
@@ -417,6 +599,8 @@ module.exports = {
 
   // Business rule validation
   validateDuplicateReport,
+  scoreReportSimilarity,
+  DUPLICATE_SCORE_THRESHOLD,
   validateFileUpload,
 
   // Utility functions
@@ -0,0 +1,158 @@
+/**
+ * XLSX Utilities for NJDSC School Compliance Portal
+ *
+ * Streams a single-sheet Excel workbook. Strings are written inline rather
+ * than through a shared string table so rows can be streamed as they come.
+ */
+
+const { createZipWriter } = require('./zip');
+
+// Excel rejects cells longer than this
+const MAX_CELL_LENGTH = 32767;
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const WORKBOOK_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>';
+
+// Style 0 is the default; style 1 is bold, used for the header row
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>';
+
+/**
+ * Escapes text for XML, dropping characters XML 1.0 does not allow
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a zero-based column index to a column letter (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function columnLetter(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Builds the XML for one worksheet row. Numbers become numeric cells, empty
+ * values are left out and everything else is written as an inline string.
+ * @param {Array} values - Cell values
+ * @param {number} rowNumber - One-based row number
+ * @param {number} [style=0] - Cell style index
+ * @returns {string} Row XML
+ */
+function buildRowXml(values, rowNumber, style = 0) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  const cells = values.map((value, index) => {
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    const ref = `${columnLetter(index)}${rowNumber}`;
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+
+    const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+  }).join('');
+
+  return `<row r="${rowNumber}">${cells}</row>`;
+}
+
+/**
+ * Generates worksheet XML chunk by chunk
+ * @param {Array<string>} headers - Header row
+ * @param {Iterable|AsyncIterable} rows - Data rows (arrays of values)
+ * @returns {AsyncGenerator<string>} XML chunks
+ */
+async function* generateSheetXml(headers, rows) {
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    '<sheetData>';
+  yield buildRowXml(headers, 1, 1);
+
+  let rowNumber = 1;
+  for await (const row of rows) {
+    rowNumber++;
+    yield buildRowXml(row, rowNumber);
+  }
+
+  yield '</sheetData></worksheet>';
+}
+
+/**
+ * Streams a single-sheet workbook to the output. The output stream is not ended.
+ * @param {import('stream').Writable} output - Destination stream
+ * @param {Object} sheet - Sheet contents
+ * @param {string} sheet.name - Sheet name (max 31 characters)
+ * @param {Array<string>} sheet.headers - Header row, shown in bold and frozen
+ * @param {Iterable|AsyncIterable} sheet.rows - Data rows (arrays of values)
+ * @returns {Promise<void>}
+ */
+async function writeXlsx(output, { name, headers, rows }) {
+  const sheetName = escapeXml(String(name || 'Sheet1').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+  const workbookXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>';
+
+  const zip = createZipWriter(output);
+  await zip.addEntry('[Content_Types].xml', CONTENT_TYPES_XML);
+  await zip.addEntry('_rels/.rels', ROOT_RELS_XML);
+  await zip.addEntry('xl/workbook.xml', workbookXml);
+  await zip.addEntry('xl/_rels/workbook.xml.rels', WORKBOOK_RELS_XML);
+  await zip.addEntry('xl/styles.xml', STYLES_XML);
+  await zip.addEntry('xl/worksheets/sheet1.xml', generateSheetXml(headers, rows));
+  await zip.finalize();
+}
+
+module.exports = {
+  writeXlsx,
+
+  // Export for testing
+  buildRowXml,
+  columnLetter,
+  escapeXml
+};
@@ -0,0 +1,218 @@
+/**
+ * ZIP Utilities for NJDSC School Compliance Portal
+ *
+ * Streams a ZIP archive to a writable stream one entry at a time. Entries are
+ * deflated as they are written and sizes go in a trailing data descriptor, so
+ * no entry has to be held in memory. ZIP64 is not supported (4 GB limit).
+ */
+
+const zlib = require('zlib');
+const { once } = require('events');
+const { writeChunk } = require('./streams');
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Bit 3: sizes follow in a data descriptor; bit 11: names are UTF-8
+const ENTRY_FLAGS = 0x0808;
+const METHOD_DEFLATE = 8;
+const ZIP_VERSION = 20;
+const MAX_ZIP_SIZE = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes a CRC-32 checksum, optionally continuing a previous one
+ * @param {Buffer} buffer - Data to checksum
+ * @param {number} [previous=0] - Checksum of the data before this buffer
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Normalizes entry content into an iterable of chunks
+ * @param {string|Buffer|Iterable|AsyncIterable} content - Entry content
+ * @returns {Iterable|AsyncIterable} Chunks
+ */
+function toChunks(content) {
+  if (typeof content === 'string' || Buffer.isBuffer(content)) {
+    return [content];
+  }
+  return content;
+}
+
+/**
+ * Creates a ZIP writer that streams into the given output
+ * @param {import('stream').Writable} output - Destination stream
+ * @returns {{addEntry: Function, finalize: Function}} Writer
+ */
+function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+  let finalized = false;
+
+  const write = async (buffer) => {
+    offset += buffer.length;
+    if (offset > MAX_ZIP_SIZE) {
+      throw new Error('ZIP archive exceeds the 4 GB limit');
+    }
+    await writeChunk(output, buffer);
+  };
+
+  /**
+   * Deflates entry content into the output, returning checksum and sizes
+   */
+  const writeDeflated = async (content) => {
+    const deflater = zlib.createDeflateRaw();
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+
+    const pump = (async () => {
+      for await (const compressed of deflater) {
+        compressedSize += compressed.length;
+        await write(compressed);
+      }
+    })();
+    pump.catch(error => deflater.destroy(error));
+
+    try {
+      for await (const chunk of toChunks(content)) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'utf8');
+        crc = crc32(buffer, crc);
+        size += buffer.length;
+        if (!deflater.write(buffer)) {
+          await once(deflater, 'drain');
+        }
+      }
+      deflater.end();
+    } catch (error) {
+      deflater.destroy(error);
+      await pump.catch(() => {});
+      throw error;
+    }
+
+    await pump;
+    return { crc, size, compressedSize };
+  };
+
+  return {
+    /**
+     * Adds a file to the archive. Entries are written in the order added;
+     * wait for each call before adding the next.
+     * @param {string} name - Path inside the archive (forward slashes)
+     * @param {string|Buffer|Iterable|AsyncIterable} content - File content or chunks
+     * @param {Object} [options] - Entry options
+     * @param {Date} [options.date] - Modification time (defaults to now)
+     * @returns {Promise<void>}
+     */
+    async addEntry(name, content, options = {}) {
+      if (finalized) {
+        throw new Error('Cannot add entries to a finalized ZIP archive');
+      }
+
+      const nameBuffer = Buffer.from(name.replace(/\\/g, '/'), 'utf8');
+      const { time, date } = toDosDateTime(options.date || new Date());
+      const headerOffset = offset;
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0);
+      header.writeUInt16LE(ZIP_VERSION, 4);
+      header.writeUInt16LE(ENTRY_FLAGS, 6);
+      header.writeUInt16LE(METHOD_DEFLATE, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      // CRC and sizes (14-25) are zero; they follow in the data descriptor
+      header.writeUInt16LE(nameBuffer.length, 26);
+      header.writeUInt16LE(0, 28);
+      await write(Buffer.concat([header, nameBuffer]));
+
+      const { crc, size, compressedSize } = await writeDeflated(content);
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+      descriptor.writeUInt32LE(crc, 4);
+      descriptor.writeUInt32LE(compressedSize, 8);
+      descriptor.writeUInt32LE(size, 12);
+      await write(descriptor);
+
+      entries.push({ nameBuffer, time, date, crc, size, compressedSize, headerOffset });
+    },
+
+    /**
+     * Writes the central directory. The output stream is not ended.
+     * @returns {Promise<number>} Total archive size in bytes
+     */
+    async finalize() {
+      if (finalized) {
+        throw new Error('ZIP archive is already finalized');
+      }
+      finalized = true;
+
+      const directoryOffset = offset;
+      for (const entry of entries) {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0);
+        record.writeUInt16LE(ZIP_VERSION, 4);
+        record.writeUInt16LE(ZIP_VERSION, 6);
+        record.writeUInt16LE(ENTRY_FLAGS, 8);
+        record.writeUInt16LE(METHOD_DEFLATE, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.nameBuffer.length, 28);
+        // Extra field, comment, disk number and attributes (30-41) are zero
+        record.writeUInt32LE(entry.headerOffset, 42);
+        await write(Buffer.concat([record, entry.nameBuffer]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - directoryOffset, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+      await write(end);
+
+      return offset;
+    }
+  };
+}
+
+module.exports = {
+  createZipWriter,
+  crc32
+};
@@ -0,0 +1,20 @@
+/**
+ * Rendition Worker for NJDSC School Compliance Portal
+ *
+ * Decodes an uploaded image and encodes its JPEG renditions on a worker
+ * thread, so a large image does not hold up the requests the server is
+ * handling meanwhile. Started by imageProcessingService with the image, its
+ * MIME type, the rendition sizes and the encoder options as workerData; posts
+ * back `{ result }` or `{ error }`.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { createJpegRenditions } = require('../utils/image');
+
+try {
+  const { data, mimeType, sizes, options } = workerData;
+  const image = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  parentPort.postMessage({ result: createJpegRenditions(image, mimeType, sizes, options) });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
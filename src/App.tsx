@@ -26,7 +26,7 @@ function App() {
           <Route
             path="/admin/*"
             element={
-              <ProtectedRoute requireAdmin={true}>
+              <ProtectedRoute requiredRole="viewer">
                 <AdminPage />
               </ProtectedRoute>
             }
@@ -101,13 +101,40 @@ const AuditLogViewer = ({ reportId, className = '' }: AuditLogViewerProps) => {
   const actionOptions: { value: AuditAction; label: string }[] = [
     { value: 'STATUS_UPDATE', label: 'Status Updates' },
     { value: 'BULK_STATUS_UPDATE', label: 'Bulk Updates' },
+    { value: 'REPORT_MERGED', label: 'Reports Merged' },
+    { value: 'REPORT_REVIEWED', label: 'Reports Reviewed' },
+    { value: 'REPORTS_EXPORTED', label: 'Reports Exported' },
+    { value: 'MVC_PACKAGE_CREATED', label: 'MVC Packages' },
+    { value: 'FILE_ORIGINAL_ACCESSED', label: 'Original Files Accessed' },
+    { value: 'FILE_DELETED', label: 'Files Deleted' },
+    { value: 'REPORT_LEGAL_HOLD_CHANGED', label: 'Legal Holds' },
+    { value: 'RETENTION_PURGE', label: 'Retention Purges' },
+    { value: 'SUBJECT_DATA_EXPORTED', label: 'Subject Data Exports' },
+    { value: 'SUBJECT_DATA_ERASED', label: 'Subject Data Erasures' },
     { value: 'EMAIL_SENT', label: 'Emails Sent' },
+    { value: 'EMAIL_FAILED', label: 'Emails Failed' },
+    { value: 'EMAIL_RESENT', label: 'Emails Resent' },
+    { value: 'EMAIL_INGESTED', label: 'Email Tips Received' },
+    { value: 'CORRESPONDENCE_RECEIVED', label: 'Replies Received' },
     { value: 'CONFIGURATION_UPDATE', label: 'Configuration Changes' },
     { value: 'LOGIN', label: 'Logins' },
     { value: 'LOGOUT', label: 'Logouts' },
     { value: 'REPORT_VIEW', label: 'Report Views' },
     { value: 'ADMIN_NOTE_ADDED', label: 'Notes Added' },
-    { value: 'MVC_REFERENCE_ADDED', label: 'MVC References' }
+    { value: 'MVC_REFERENCE_ADDED', label: 'MVC References' },
+    { value: 'COMMENT_ADDED', label: 'Comments Added' },
+    { value: 'COMMENT_UPDATED', label: 'Comments Edited' },
+    { value: 'COMMENT_DELETED', label: 'Comments Deleted' },
+    { value: 'SCHOOL_CREATED', label: 'Schools Created' },
+    { value: 'SCHOOL_UPDATED', label: 'Schools Updated' },
+    { value: 'SCHOOL_MERGED', label: 'Schools Merged' },
+    { value: 'SCHOOL_SPLIT', label: 'Schools Split' },
+    { value: 'LICENSED_SCHOOLS_IMPORTED', label: 'Licensed Schools Imported' },
+    { value: 'EMAIL_TEMPLATE_CREATED', label: 'Email Templates Created' },
+    { value: 'EMAIL_TEMPLATE_UPDATED', label: 'Email Templates Updated' },
+    { value: 'EMAIL_TEMPLATE_DELETED', label: 'Email Templates Deleted' },
+    { value: 'NOTIFICATION_SENT', label: 'Notifications Sent' },
+    { value: 'NOTIFICATION_FAILED', label: 'Notifications Failed' }
   ];
 
   const targetTypeOptions: { value: AuditLogEntry['targetType']; label: string }[] = [
@@ -115,7 +142,8 @@ const AuditLogViewer = ({ reportId, className = '' }: AuditLogViewerProps) => {
     { value: 'configuration', label: 'Configuration' },
     { value: 'system', label: 'System' },
     { value: 'email', label: 'Email' },
-    { value: 'bulk', label: 'Bulk Operations' }
+    { value: 'bulk', label: 'Bulk Operations' },
+    { value: 'school', label: 'Schools' }
   ];
 
   if (isLoading) {
@@ -1,12 +1,14 @@
 
 import { useState, useEffect } from 'react';
-import { ReportStatus } from '../types';
+import { ReportStatus, ReportWorkflow } from '../types';
+import { apiClient } from '../services/api';
 
 interface BulkOperationsModalProps {
   isOpen: boolean;
   onClose: () => void;
   selectedCount: number;
-  onBulkStatusUpdate: (newStatus: ReportStatus, adminNotes?: string) => Promise<void>;
+  selectedStatuses: ReportStatus[];
+  onBulkStatusUpdate: (newStatus: ReportStatus, adminNotes?: string, closureReason?: string) => Promise<void>;
   isLoading?: boolean;
 }
 
@@ -14,11 +16,14 @@ const BulkOperationsModal = ({
   isOpen,
   onClose,
   selectedCount,
+  selectedStatuses,
   onBulkStatusUpdate,
   isLoading = false
 }: BulkOperationsModalProps) => {
-  const [selectedStatus, setSelectedStatus] = useState<ReportStatus>('Added');
+  const [selectedStatus, setSelectedStatus] = useState<ReportStatus | null>(null);
   const [adminNotes, setAdminNotes] = useState('');
+  const [closureReason, setClosureReason] = useState('');
+  const [workflow, setWorkflow] = useState<ReportWorkflow['workflow'] | null>(null);
   const [errors, setErrors] = useState<Record<string, string>>({});
 
   // Status options with descriptions
@@ -55,15 +60,47 @@ const BulkOperationsModal = ({
     }
   ];
 
+  // Load the status workflow from the server the first time the modal opens
+  useEffect(() => {
+    if (!isOpen || workflow) {
+      return;
+    }
+
+    apiClient.getReportWorkflow()
+      .then(response => {
+        if (response.success && response.data) {
+          setWorkflow(response.data.workflow);
+        }
+      })
+      .catch(error => {
+        console.error('Failed to load status workflow:', error);
+      });
+  }, [isOpen, workflow]);
+
+  // Only offer statuses every selected report may move to, and that need no
+  // per-report details (an MVC reference number belongs to a single report)
+  const availableOptions = workflow
+    ? statusOptions.filter(option =>
+        workflow[option.value]?.requiredFields.every(required => required.field === 'closureReason') &&
+        selectedStatuses.every(status =>
+          status === option.value || workflow[status]?.transitions.includes(option.value)
+        )
+      )
+    : [];
+
   // Reset form when modal opens
   useEffect(() => {
     if (isOpen) {
-      setSelectedStatus('Added');
+      setSelectedStatus(null);
       setAdminNotes('');
+      setClosureReason('');
       setErrors({});
     }
   }, [isOpen]);
 
+  const isClosureReasonRequired = selectedStatus !== null &&
+    (workflow?.[selectedStatus]?.requiredFields.some(required => required.field === 'closureReason') ?? false);
+
   // Validation function
   const validateForm = (): boolean => {
     const newErrors: Record<string, string> = {};
@@ -77,6 +114,11 @@ const BulkOperationsModal = ({
       newErrors.adminNotes = 'Admin notes are required for status updates';
     }
 
+    // Closure reason is required when closing reports
+    if (isClosureReasonRequired && !closureReason.trim()) {
+      newErrors.closureReason = 'Closure reason is required when closing reports';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -84,12 +126,16 @@ const BulkOperationsModal = ({
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
-    if (!validateForm()) {
+    if (!validateForm() || !selectedStatus) {
       return;
     }
 
     try {
-      await onBulkStatusUpdate(selectedStatus, adminNotes.trim() || undefined);
+      await onBulkStatusUpdate(
+        selectedStatus,
+        adminNotes.trim() || undefined,
+        isClosureReasonRequired ? closureReason.trim() : undefined
+      );
     } catch (error) {
       console.error('Bulk operation failed:', error);
       setErrors({ submit: 'Bulk operation failed. Please try again.' });
@@ -144,7 +190,7 @@ const BulkOperationsModal = ({
                   </h3>
                   <div className="mt-2 text-sm text-blue-700">
                     <p>
-                      You are about to update the status of <strong>{selectedCount}</strong> reports to <strong>{selectedStatus}</strong>.
+                      You are about to update the status of <strong>{selectedCount}</strong> reports to <strong>{selectedStatus || '...'}</strong>.
                       This action cannot be undone.
                     </p>
                   </div>
@@ -159,7 +205,12 @@ const BulkOperationsModal = ({
               New Status *
             </label>
             <div className="space-y-2">
-              {statusOptions.map((option) => (
+              {workflow && availableOptions.length === 0 && (
+                <p className="text-sm text-gray-600">
+                  The selected reports have no status in common they can move to. Update them individually instead.
+                </p>
+              )}
+              {availableOptions.map((option) => (
                 <label key={option.value} className="flex items-start space-x-3 p-3 border rounded-lg hover:bg-gray-50 cursor-pointer">
                   <input
                     type="radio"
@@ -184,6 +235,28 @@ const BulkOperationsModal = ({
             {errors.status && <p className="mt-1 text-sm text-red-600">{errors.status}</p>}
           </div>
 
+          {/* Closure Reason (conditional) */}
+          {isClosureReasonRequired && (
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Closure Reason *
+              </label>
+              <input
+                type="text"
+                value={closureReason}
+                onChange={(e) => setClosureReason(e.target.value)}
+                placeholder="Why are these reports being closed?"
+                maxLength={500}
+                className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  errors.closureReason ? 'border-red-300' : 'border-gray-300'
+                }`}
+              />
+              {errors.closureReason && (
+                <p className="mt-1 text-sm text-red-600">{errors.closureReason}</p>
+              )}
+            </div>
+          )}
+
           {/* Admin Notes */}
           <div className="mb-6">
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -226,7 +299,7 @@ const BulkOperationsModal = ({
             <button
               type="submit"
               className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-              disabled={isLoading}
+              disabled={isLoading || !selectedStatus}
             >
               {isLoading ? 'Updating Reports...' : `Update ${selectedCount} Reports`}
             </button>
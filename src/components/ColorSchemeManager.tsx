@@ -2,6 +2,9 @@ import React, { useState } from 'react';
 import { useColorScheme } from '../contexts/ColorSchemeContext';
 import { ColorSchemeUploader } from './ColorSchemeUploader';
 import { generateAllGradients, createGradient } from '../utils/gradientUtils';
+import { ParsedColorScheme } from '../utils/colorSchemeParser';
+import { apiClient } from '../services/api';
+import { AuthService } from '../services/authService';
 
 interface ColorSchemeManagerProps {
   isOpen: boolean;
@@ -26,9 +29,40 @@ export function ColorSchemeManager({ isOpen, onClose }: ColorSchemeManagerProps)
     setPreviewScheme(scheme);
   };
 
+  // Outgoing emails use the applied scheme too, so admins store it on the server
+  const syncEmailColorScheme = async (scheme: ParsedColorScheme) => {
+    if (!AuthService.getInstance().isAdmin()) return;
+
+    try {
+      await apiClient.updateConfiguration({
+        key: 'email.branding.colorScheme',
+        value: {
+          name: scheme.name,
+          colors: Object.fromEntries(
+            Object.entries(scheme.colors).map(([name, color]) => [name, color.hex])
+          ),
+        },
+        type: 'json',
+        category: 'email',
+        description: 'Color scheme used by the HTML email layout, kept in sync with the scheme applied in the admin panel',
+      });
+    } catch (err) {
+      console.error('Error saving email color scheme:', err);
+    }
+  };
+
   const handleSchemeApply = (scheme: any) => {
     applyColorScheme(scheme);
     setPreviewScheme(scheme);
+    syncEmailColorScheme(scheme);
+  };
+
+  const handleResetToDefault = () => {
+    resetToDefault();
+    const defaultScheme = availableColorSchemes.find(s => s.id === 'default-dull-orange');
+    if (defaultScheme) {
+      syncEmailColorScheme(defaultScheme);
+    }
   };
 
   const handleSchemeDelete = (schemeId: string) => {
@@ -164,7 +198,7 @@ export function ColorSchemeManager({ isOpen, onClose }: ColorSchemeManagerProps)
 
               <div className="flex justify-center">
                 <button
-                  onClick={resetToDefault}
+                  onClick={handleResetToDefault}
                   className="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700"
                 >
                   Reset to Default
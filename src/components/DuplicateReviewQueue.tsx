@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { DuplicateCandidate, DuplicateReportSummary } from '../types';
+import { apiClient } from '../services/api';
+import { AuthService } from '../services/authService';
+
+interface DuplicateReviewQueueProps {
+  onReportsChanged?: () => void;
+}
+
+const ReportSummaryCard = ({ title, report }: { title: string; report: DuplicateReportSummary }) => (
+  <div className="border border-gray-200 rounded-md p-3 bg-gray-50">
+    <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{title}</p>
+    <p className="text-sm font-semibold text-gray-900 mt-1">{report.schoolName}</p>
+    <p className="text-xs font-mono text-gray-500">{report.id} · {report.status}</p>
+    <dl className="mt-2 space-y-0.5 text-xs text-gray-700">
+      <div><dt className="inline text-gray-500">Location: </dt><dd className="inline">{report.location || '—'}</dd></div>
+      <div><dt className="inline text-gray-500">Phone: </dt><dd className="inline">{report.phoneNumber || '—'}</dd></div>
+      <div><dt className="inline text-gray-500">Website: </dt><dd className="inline break-all">{report.websiteUrl || '—'}</dd></div>
+      <div><dt className="inline text-gray-500">Files: </dt><dd className="inline">{report.fileCount}</dd></div>
+      <div><dt className="inline text-gray-500">First reported: </dt><dd className="inline">{new Date(report.createdAt).toLocaleDateString()}</dd></div>
+    </dl>
+    {report.violationDescription && (
+      <p className="mt-2 text-xs text-gray-600 line-clamp-3 whitespace-pre-wrap">{report.violationDescription}</p>
+    )}
+  </div>
+);
+
+const DuplicateReviewQueue = ({ onReportsChanged }: DuplicateReviewQueueProps) => {
+  const authService = AuthService.getInstance();
+  const canResolve = authService.hasRole('investigator');
+  const isAdmin = authService.hasRole('admin');
+
+  const [duplicates, setDuplicates] = useState<DuplicateCandidate[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadDuplicates = async () => {
+    try {
+      const response = await apiClient.getDuplicateReports();
+      if (response.success && response.data) {
+        setDuplicates(response.data.duplicates);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load duplicates');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDuplicates();
+  }, []);
+
+  const runAction = async (busyKey: string, action: () => Promise<string | undefined>, reportsChanged = false) => {
+    setBusyId(busyKey);
+    setError(null);
+    setMessage(null);
+    try {
+      const resultMessage = await action();
+      setMessage(resultMessage || null);
+      await loadDuplicates();
+      if (reportsChanged) {
+        onReportsChanged?.();
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Operation failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleScan = () => runAction('scan', async () => (await apiClient.scanDuplicateReports()).message);
+
+  const handleMerge = (candidate: DuplicateCandidate, keep: DuplicateReportSummary, remove: DuplicateReportSummary) => {
+    if (!window.confirm(`Merge ${remove.id} ("${remove.schoolName}") into ${keep.id} ("${keep.schoolName}")? ${remove.id} will be deleted.`)) return;
+    runAction(candidate.id, async () => (await apiClient.mergeReports(keep.id, remove.id)).message, true);
+  };
+
+  const handleDismiss = (candidate: DuplicateCandidate) => {
+    runAction(candidate.id, async () => (await apiClient.dismissDuplicateReport(candidate.id)).message);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">Possible Duplicates</h2>
+          <p className="text-gray-600 text-sm">Reports that look like the same school under a different name or spelling.</p>
+        </div>
+        {isAdmin && (
+          <button
+            onClick={handleScan}
+            disabled={busyId !== null}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busyId === 'scan' ? 'Scanning...' : 'Scan All Reports'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {message && <p className="text-sm text-green-700 mb-3">{message}</p>}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading duplicates...</p>
+      ) : duplicates.length === 0 ? (
+        <p className="text-sm text-gray-500">No possible duplicates waiting for review</p>
+      ) : (
+        <ul className="space-y-4">
+          {duplicates.map(candidate => (
+            <li key={candidate.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex flex-wrap items-center gap-2 mb-3">
+                <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                  {Math.round(candidate.score * 100)}% match
+                </span>
+                {candidate.reasons.map(reason => (
+                  <span key={reason} className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">{reason}</span>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <ReportSummaryCard title="Original" report={candidate.duplicateOf} />
+                <ReportSummaryCard title="Possible duplicate" report={candidate.report} />
+              </div>
+
+              {canResolve && (
+                <div className="flex flex-wrap justify-end gap-2 mt-3">
+                  <button
+                    onClick={() => handleDismiss(candidate)}
+                    disabled={busyId !== null}
+                    className="px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Not a Duplicate
+                  </button>
+                  <button
+                    onClick={() => handleMerge(candidate, candidate.report, candidate.duplicateOf)}
+                    disabled={busyId !== null}
+                    className="px-3 py-2 text-sm font-medium text-purple-700 bg-purple-50 border border-purple-200 rounded-md hover:bg-purple-100 disabled:opacity-50"
+                  >
+                    Merge into Newer
+                  </button>
+                  <button
+                    onClick={() => handleMerge(candidate, candidate.duplicateOf, candidate.report)}
+                    disabled={busyId !== null}
+                    className="px-3 py-2 text-sm font-medium text-white bg-purple-600 rounded-md hover:bg-purple-700 disabled:opacity-50"
+                  >
+                    {busyId === candidate.id ? 'Working...' : 'Merge into Original'}
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateReviewQueue;
@@ -1,14 +1,6 @@
-import { useState, useEffect } from 'react';
-import { Report } from '../types';
-
-interface EmailTemplate {
-  id: string;
-  name: string;
-  subject: string;
-  body: string;
-  description: string;
-  variables: string[];
-}
+import { useState, useEffect, useRef } from 'react';
+import { EmailTemplate, Report, UploadedFile } from '../types';
+import { apiClient } from '../services/api';
 
 interface EmailComposerModalProps {
   isOpen: boolean;
@@ -23,8 +15,17 @@ interface EmailData {
   subject: string;
   body: string;
   templateId: string;
+  // IDs of the report's files to attach
+  attachments: string[];
 }
 
+const formatFileSize = (bytes: number) => {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(Math.round(bytes / 1024), 1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 const EmailComposerModal = ({
   isOpen,
   onClose,
@@ -32,100 +33,23 @@ const EmailComposerModal = ({
   onSendEmail,
   isLoading = false
 }: EmailComposerModalProps) => {
+  const [emailTemplates, setEmailTemplates] = useState<EmailTemplate[]>([]);
   const [selectedTemplate, setSelectedTemplate] = useState<EmailTemplate | null>(null);
   const [emailData, setEmailData] = useState<EmailData>({
     to: '',
     subject: '',
     body: '',
-    templateId: ''
+    templateId: '',
+    attachments: []
   });
+  const [reportFiles, setReportFiles] = useState<UploadedFile[]>([]);
   const [variableValues, setVariableValues] = useState<Record<string, string>>({});
+  const [missingVariables, setMissingVariables] = useState<string[]>([]);
   const [errors, setErrors] = useState<Record<string, string>>({});
+  // Only the latest preview request may update the form
+  const previewRequest = useRef(0);
 
-  // Predefined email templates
-  const emailTemplates: EmailTemplate[] = [
-    {
-      id: 'confirmation',
-      name: 'Report Confirmation',
-      subject: 'NJDSC Report Confirmation - {schoolName}',
-      body: `Dear {reporterName},
-
-Thank you for submitting your report regarding {schoolName}. We have received your submission and assigned it report number {reportId}.
-
-Our team will review the information provided and take appropriate action as needed. You can expect to hear from us within 5-7 business days regarding the status of your report.
-
-If you have any additional information or evidence to provide, please don't hesitate to contact us.
-
-Best regards,
-NJDSC Compliance Team`,
-      description: 'Confirmation email sent to reporters when their report is received',
-      variables: ['schoolName', 'reporterName', 'reportId']
-    },
-    {
-      id: 'mvc_notification',
-      name: 'MVC Report Notification',
-      subject: 'NJDSC Violation Report - {schoolName} - Reported to MVC',
-      body: `Dear MVC Compliance Officer,
-
-This is to notify you of a potential driving school violation that has been reported to NJDSC:
-
-School: {schoolName}
-Location: {location}
-Report ID: {reportId}
-Violation Description: {violationDescription}
-
-Our investigation has confirmed this violation and we are forwarding it to your office for further action. Reference number: {mvcReferenceNumber}
-
-Additional details and evidence are available in the attached report.
-
-Please let us know if you need any additional information from our office.
-
-Best regards,
-NJDSC Compliance Team`,
-      description: 'Formal notification to MVC when a violation is confirmed',
-      variables: ['schoolName', 'location', 'reportId', 'violationDescription', 'mvcReferenceNumber']
-    },
-    {
-      id: 'investigation_update',
-      name: 'Investigation Update',
-      subject: 'Update on NJDSC Investigation - {schoolName}',
-      body: `Dear {reporterName},
-
-This is an update regarding your report (ID: {reportId}) concerning {schoolName}.
-
-Our investigation is currently {investigationStatus}. {investigationDetails}
-
-We will continue to monitor this situation and will provide additional updates as new information becomes available.
-
-If you have any questions or additional information, please don't hesitate to contact us.
-
-Best regards,
-NJDSC Compliance Team`,
-      description: 'Update email to reporters about investigation progress',
-      variables: ['reporterName', 'reportId', 'schoolName', 'investigationStatus', 'investigationDetails']
-    },
-    {
-      id: 'case_closed',
-      name: 'Case Closed Notification',
-      subject: 'NJDSC Case Closed - {schoolName}',
-      body: `Dear {reporterName},
-
-We are writing to inform you that your report (ID: {reportId}) regarding {schoolName} has been closed.
-
-Resolution: {resolutionSummary}
-
-Thank you for bringing this matter to our attention. Your report has helped us maintain the standards of driver education in New Jersey.
-
-If you become aware of any similar issues in the future, please don't hesitate to contact us.
-
-Best regards,
-NJDSC Compliance Team`,
-      description: 'Notification when a case is closed with resolution details',
-      variables: ['reporterName', 'reportId', 'schoolName', 'resolutionSummary']
-    }
-  ];
-
-  // Reset form when modal opens
+  // Reset form and load templates when modal opens
   useEffect(() => {
     if (report && isOpen) {
       setSelectedTemplate(null);
@@ -133,97 +57,77 @@ NJDSC Compliance Team`,
         to: report.reporterEmail || '',
         subject: '',
         body: '',
-        templateId: ''
+        templateId: '',
+        attachments: []
       });
+      setReportFiles([]);
       setVariableValues({});
+      setMissingVariables([]);
       setErrors({});
+
+      apiClient.getEmailTemplates()
+        .then(response => setEmailTemplates(response.data?.templates || []))
+        .catch(error => setErrors({ template: error instanceof Error ? error.message : 'Failed to load email templates' }));
+
+      apiClient.getFilesByReportId(report.id)
+        .then(response => setReportFiles(response.data?.files || []))
+        .catch(error => setErrors(prev => ({ ...prev, attachments: error instanceof Error ? error.message : 'Failed to load evidence files' })));
     }
   }, [report, isOpen]);
 
-  // Update email data when template is selected
-  useEffect(() => {
-    if (selectedTemplate) {
-      const processedSubject = processTemplate(selectedTemplate.subject, variableValues);
-      const processedBody = processTemplate(selectedTemplate.body, variableValues);
-
-      setEmailData({
-        to: emailData.to,
-        subject: processedSubject,
-        body: processedBody,
-        templateId: selectedTemplate.id
+  // Renders the template on the server with the report and current variable values
+  const loadPreview = async (template: EmailTemplate, variables: Record<string, string>) => {
+    const requestId = ++previewRequest.current;
+    try {
+      const response = await apiClient.previewEmailTemplate(template.id, {
+        reportId: report?.id,
+        variables
       });
+      const preview = response.data?.preview;
+      if (!preview || requestId !== previewRequest.current) return;
+
+      setVariableValues(prev => ({ ...preview.variables, ...prev }));
+      setMissingVariables(preview.missing);
+      setEmailData(prev => ({
+        ...prev,
+        subject: preview.subject,
+        body: preview.body,
+        templateId: template.id
+      }));
+      setErrors(prev => ({ ...prev, template: '' }));
+    } catch (error) {
+      if (requestId !== previewRequest.current) return;
+      setErrors(prev => ({ ...prev, template: error instanceof Error ? error.message : 'Failed to preview template' }));
     }
-  }, [selectedTemplate, variableValues]);
-
-  const processTemplate = (template: string, variables: Record<string, string>): string => {
-    let processed = template;
-
-    // Replace variables in the format {variableName}
-    Object.entries(variables).forEach(([key, value]) => {
-      const regex = new RegExp(`{${key}}`, 'g');
-      processed = processed.replace(regex, value || `{${key}}`);
-    });
-
-    // Replace report-specific variables
-    if (report) {
-      processed = processed.replace(/{schoolName}/g, report.schoolName || '');
-      processed = processed.replace(/{reportId}/g, report.id || '');
-      processed = processed.replace(/{location}/g, report.location || '');
-      processed = processed.replace(/{violationDescription}/g, report.violationDescription || '');
-      processed = processed.replace(/{reporterName}/g, report.reporterName || 'Reporter');
-      processed = processed.replace(/{mvcReferenceNumber}/g, report.mvcReferenceNumber || '');
-    }
-
-    return processed;
   };
 
   const handleTemplateSelect = (template: EmailTemplate) => {
     setSelectedTemplate(template);
-
-    // Initialize variable values based on report data
-    const initialValues: Record<string, string> = {};
-    template.variables.forEach(variable => {
-      switch (variable) {
-        case 'schoolName':
-          initialValues.schoolName = report?.schoolName || '';
-          break;
-        case 'reportId':
-          initialValues.reportId = report?.id || '';
-          break;
-        case 'location':
-          initialValues.location = report?.location || '';
-          break;
-        case 'violationDescription':
-          initialValues.violationDescription = report?.violationDescription || '';
-          break;
-        case 'reporterName':
-          initialValues.reporterName = report?.reporterName || 'Reporter';
-          break;
-        case 'mvcReferenceNumber':
-          initialValues.mvcReferenceNumber = report?.mvcReferenceNumber || '';
-          break;
-        case 'investigationStatus':
-          initialValues.investigationStatus = 'in progress';
-          break;
-        case 'investigationDetails':
-          initialValues.investigationDetails = 'We are actively reviewing the evidence provided.';
-          break;
-        case 'resolutionSummary':
-          initialValues.resolutionSummary = 'Violation confirmed and appropriate action taken.';
-          break;
-      }
-    });
-
-    setVariableValues(initialValues);
+    setVariableValues({});
+    loadPreview(template, {});
   };
 
   const handleVariableChange = (variable: string, value: string) => {
-    setVariableValues(prev => ({
+    const values = { ...variableValues, [variable]: value };
+    setVariableValues(values);
+    if (selectedTemplate) {
+      loadPreview(selectedTemplate, values);
+    }
+  };
+
+  const toggleAttachment = (fileId: string) => {
+    setEmailData(prev => ({
       ...prev,
-      [variable]: value
+      attachments: prev.attachments.includes(fileId)
+        ? prev.attachments.filter(id => id !== fileId)
+        : [...prev.attachments, fileId]
     }));
   };
 
+  const attachmentsSize = reportFiles
+    .filter(file => emailData.attachments.includes(file.id))
+    .reduce((total, file) => total + file.size, 0);
+
   const validateForm = (): boolean => {
     const newErrors: Record<string, string> = {};
 
@@ -243,6 +147,8 @@ NJDSC Compliance Team`,
 
     if (!selectedTemplate) {
       newErrors.template = 'Please select an email template';
+    } else if (missingVariables.length > 0) {
+      newErrors.template = `Please fill in: ${missingVariables.join(', ')}`;
     }
 
     setErrors(newErrors);
@@ -261,7 +167,7 @@ NJDSC Compliance Team`,
       onClose();
     } catch (error) {
       console.error('Failed to send email:', error);
-      setErrors({ submit: 'Failed to send email. Please try again.' });
+      setErrors({ submit: error instanceof Error && error.message ? error.message : 'Failed to send email. Please try again.' });
     }
   };
 
@@ -365,16 +271,19 @@ NJDSC Compliance Team`,
                   </label>
                   <div className="space-y-2">
                     {selectedTemplate.variables.map((variable) => (
-                      <div key={variable}>
+                      <div key={variable.name}>
                         <label className="block text-xs text-gray-600 mb-1">
-                          {variable.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
+                          {variable.description || variable.name.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
+                          {variable.required && ' *'}
                         </label>
                         <input
                           type="text"
-                          value={variableValues[variable] || ''}
-                          onChange={(e) => handleVariableChange(variable, e.target.value)}
-                          className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
-                          placeholder={`Enter ${variable}`}
+                          value={variableValues[variable.name] || ''}
+                          onChange={(e) => handleVariableChange(variable.name, e.target.value)}
+                          className={`w-full px-2 py-1 text-sm border rounded focus:outline-none focus:ring-1 focus:ring-blue-500 ${
+                            missingVariables.includes(variable.name) ? 'border-red-300' : 'border-gray-300'
+                          }`}
+                          placeholder={`Enter ${variable.name}`}
                         />
                       </div>
                     ))}
@@ -399,6 +308,35 @@ NJDSC Compliance Team`,
                 {errors.body && <p className="mt-1 text-sm text-red-600">{errors.body}</p>}
               </div>
 
+              {/* Attachments */}
+              {reportFiles.length > 0 && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Attach Evidence
+                  </label>
+                  <div className="space-y-1">
+                    {reportFiles.map((file) => (
+                      <label key={file.id} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={emailData.attachments.includes(file.id)}
+                          onChange={() => toggleAttachment(file.id)}
+                          className="mr-2"
+                        />
+                        {file.name}
+                        <span className="ml-2 text-xs text-gray-500">{formatFileSize(file.size)}</span>
+                      </label>
+                    ))}
+                  </div>
+                  {emailData.attachments.length > 0 && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      {emailData.attachments.length} file(s), {formatFileSize(attachmentsSize)} total
+                    </p>
+                  )}
+                </div>
+              )}
+              {errors.attachments && <p className="mb-4 text-sm text-red-600">{errors.attachments}</p>}
+
               {/* Submit Error */}
               {errors.submit && (
                 <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
@@ -1,12 +1,13 @@
 import React, { useState, useRef } from 'react';
 import { flushSync } from 'react-dom';
-import { validateFileForUpload, apiClient, UploadedFile } from '../services/api';
+import { validateFileForUpload, apiClient, UploadedFile, UploadSubmission } from '../services/api';
 
 interface FileUploadProps {
   onFilesChange: (files: File[]) => void;
   onUploadComplete?: (uploadedFiles: UploadedFile[]) => void;
   onUploadError?: (error: string) => void;
   reportId?: string;
+  submission?: UploadSubmission;
   maxFiles?: number;
   className?: string;
   disabled?: boolean;
@@ -22,6 +23,7 @@ const FileUpload: React.FC<FileUploadProps> = ({
   onUploadComplete,
   onUploadError,
   reportId,
+  submission,
   maxFiles = 10,
   className = '',
   disabled = false
@@ -95,7 +97,7 @@ const FileUpload: React.FC<FileUploadProps> = ({
     setUploadProgress({});
 
     try {
-      const response = await apiClient.uploadFiles(validFiles, reportId);
+      const response = await apiClient.uploadFiles(validFiles, reportId, submission);
 
       if (response.success && response.data) {
         onUploadComplete?.(response.data.files);
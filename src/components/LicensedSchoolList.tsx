@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { LicensedSchool } from '../types';
+import { apiClient } from '../services/api';
+import { AuthService } from '../services/authService';
+
+interface LicensedSchoolListProps {
+  onReportsChanged?: () => void;
+}
+
+const readFileAsText = (file: File): Promise<string> => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
+};
+
+const LicensedSchoolList = ({ onReportsChanged }: LicensedSchoolListProps) => {
+  const isAdmin = AuthService.getInstance().hasRole('admin');
+
+  const [schools, setSchools] = useState<LicensedSchool[]>([]);
+  const [search, setSearch] = useState('');
+  const [file, setFile] = useState<File | null>(null);
+  const [replace, setReplace] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [skippedRows, setSkippedRows] = useState<{ row: number; error: string }[]>([]);
+
+  const loadSchools = async (term = search) => {
+    try {
+      const response = await apiClient.getLicensedSchools(term || undefined);
+      if (response.success && response.data) {
+        setSchools(response.data.schools);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load licensed schools');
+    }
+  };
+
+  useEffect(() => {
+    loadSchools('');
+  }, []);
+
+  const handleImport = async () => {
+    if (!file) return;
+    const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+
+    setIsImporting(true);
+    setError(null);
+    setMessage(null);
+    setSkippedRows([]);
+    try {
+      const content = await readFileAsText(file);
+      const response = await apiClient.importLicensedSchools(format, content, replace);
+      setMessage(response.message || null);
+      setSkippedRows(response.data?.skipped || []);
+      setFile(null);
+      await loadSchools();
+      onReportsChanged?.();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Import failed');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="mb-4">
+        <h2 className="text-2xl font-bold">Licensed Schools</h2>
+        <p className="text-gray-600 text-sm">
+          Reference list of licensed NJ driving schools. Every new report is checked against it.
+        </p>
+      </div>
+
+      {isAdmin && (
+        <div className="flex flex-col md:flex-row md:items-center gap-3 mb-4 p-4 bg-gray-50 rounded-md">
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className="text-sm"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={replace}
+              onChange={(e) => setReplace(e.target.checked)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            Replace current list
+          </label>
+          <button
+            onClick={handleImport}
+            disabled={!file || isImporting}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 md:ml-auto"
+          >
+            {isImporting ? 'Importing...' : 'Import List'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {message && <p className="text-sm text-green-700 mb-3">{message}</p>}
+      {skippedRows.length > 0 && (
+        <ul className="text-xs text-yellow-800 bg-yellow-50 rounded-md p-3 mb-3 space-y-0.5 max-h-32 overflow-y-auto">
+          {skippedRows.map(skipped => (
+            <li key={skipped.row}>Row {skipped.row}: {skipped.error}</li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        type="text"
+        value={search}
+        onChange={(e) => {
+          setSearch(e.target.value);
+          loadSchools(e.target.value);
+        }}
+        placeholder="Search licensed schools..."
+        className="w-full md:w-80 px-3 py-2 border border-gray-300 rounded-md text-sm mb-3"
+      />
+
+      {schools.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {search ? 'No licensed schools match your search' : 'No licensed school list has been imported yet'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto max-h-96">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">School</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">License</th>
+                <th className="hidden md:table-cell px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Phone</th>
+                <th className="hidden md:table-cell px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Website</th>
+                <th className="hidden md:table-cell px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">City</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {schools.map(school => (
+                <tr key={school.id}>
+                  <td className="px-4 py-2 text-sm text-gray-900">{school.name}</td>
+                  <td className="px-4 py-2 text-sm font-mono text-gray-700">{school.licenseNumber || '—'}</td>
+                  <td className="hidden md:table-cell px-4 py-2 text-sm text-gray-700">{school.phoneNumber || '—'}</td>
+                  <td className="hidden md:table-cell px-4 py-2 text-sm text-gray-700 break-all">{school.websiteUrl || '—'}</td>
+                  <td className="hidden md:table-cell px-4 py-2 text-sm text-gray-700">{school.city || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LicensedSchoolList;
@@ -45,7 +45,7 @@ const PhotoPager: React.FC<PhotoPagerProps> = ({ files }) => {
         {/* Main Image */}
         <div className="aspect-w-16 aspect-h-9 bg-gray-200 flex items-center justify-center">
           <img
-            src={currentImage.url}
+            src={currentImage.mediumUrl || currentImage.url}
             alt={currentImage.name}
             className="max-w-full max-h-96 object-contain"
             onError={(e) => {
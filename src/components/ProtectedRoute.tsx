@@ -1,15 +1,15 @@
 import { useState, useEffect } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
-import { AuthService } from '../services/authService';
+import { AuthService, type UserRole } from '../services/authService';
 
 interface ProtectedRouteProps {
   children: React.ReactNode;
-  requireAdmin?: boolean;
+  requiredRole?: UserRole;
 }
 
-const ProtectedRoute = ({ children, requireAdmin = false }: ProtectedRouteProps) => {
+const ProtectedRoute = ({ children, requiredRole }: ProtectedRouteProps) => {
   const [isAuthenticated, setIsAuthenticated] = useState<boolean | null>(null);
-  const [isAdmin, setIsAdmin] = useState<boolean>(false);
+  const [hasRequiredRole, setHasRequiredRole] = useState<boolean>(false);
   const [isLoading, setIsLoading] = useState(true);
   const location = useLocation();
   const authService = AuthService.getInstance();
@@ -19,14 +19,14 @@ const ProtectedRoute = ({ children, requireAdmin = false }: ProtectedRouteProps)
       try {
         const user = await authService.verifyAuth();
         const authenticated = authService.isAuthenticated();
-        const admin = authService.isAdmin();
+        const permitted = requiredRole ? authService.hasRole(requiredRole) : authenticated;
 
         setIsAuthenticated(authenticated);
-        setIsAdmin(admin);
+        setHasRequiredRole(permitted);
       } catch (error) {
         console.error('Auth check failed:', error);
         setIsAuthenticated(false);
-        setIsAdmin(false);
+        setHasRequiredRole(false);
       } finally {
         setIsLoading(false);
       }
@@ -52,14 +52,14 @@ const ProtectedRoute = ({ children, requireAdmin = false }: ProtectedRouteProps)
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  // Check admin requirement
-  if (requireAdmin && !isAdmin) {
+  // Check role requirement
+  if (!hasRequiredRole) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
           <div className="text-6xl mb-4">🚫</div>
           <h1 className="text-2xl font-bold text-gray-900 mb-2">Access Denied</h1>
-          <p className="text-gray-600 mb-4">You need administrator privileges to access this page.</p>
+          <p className="text-gray-600 mb-4">Your account does not have permission to access this page.</p>
           <button
             onClick={() => authService.logout().then(() => window.location.href = '/login')}
             className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700"
@@ -0,0 +1,241 @@
+import { useState, useEffect, Fragment } from 'react';
+import { ReportComment } from '../types';
+import { apiClient } from '../services/api';
+import { AuthService } from '../services/authService';
+
+interface ReportCommentsThreadProps {
+  reportId: string;
+}
+
+// Splits comment text so @mentions can be highlighted
+const renderBody = (comment: ReportComment) => {
+  const parts = comment.body.split(/(@[a-zA-Z0-9._-]+)/g);
+  return parts.map((part, index) => {
+    const username = part.startsWith('@') ? part.slice(1).replace(/[.]+$/, '') : null;
+    if (username && comment.mentions.includes(username)) {
+      return (
+        <span key={index} className="font-medium text-blue-700 bg-blue-50 rounded px-0.5">
+          {part}
+        </span>
+      );
+    }
+    return <Fragment key={index}>{part}</Fragment>;
+  });
+};
+
+const ReportCommentsThread = ({ reportId }: ReportCommentsThreadProps) => {
+  const authService = AuthService.getInstance();
+  const currentUser = authService.getCurrentUser();
+  const canComment = authService.hasRole('investigator');
+  const isAdmin = authService.hasRole('admin');
+
+  const [comments, setComments] = useState<ReportComment[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [newComment, setNewComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editText, setEditText] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadComments = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await apiClient.getReportComments(reportId);
+        if (!cancelled) {
+          if (response.success && response.data) {
+            setComments(response.data.comments);
+          } else {
+            setError(response.error || 'Failed to load comments');
+          }
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load comments');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadComments();
+    return () => {
+      cancelled = true;
+    };
+  }, [reportId]);
+
+  const handleAdd = async () => {
+    if (!newComment.trim()) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await apiClient.addReportComment(reportId, newComment);
+      if (response.success && response.data) {
+        setComments(prev => [...prev, response.data!.comment]);
+        setNewComment('');
+      } else {
+        setError(response.message || response.error || 'Failed to add comment');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add comment');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSaveEdit = async (commentId: string) => {
+    if (!editText.trim()) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await apiClient.updateReportComment(reportId, commentId, editText);
+      if (response.success && response.data) {
+        const updated = response.data.comment;
+        setComments(prev => prev.map(c => (c.id === commentId ? updated : c)));
+        setEditingId(null);
+        setEditText('');
+      } else {
+        setError(response.message || response.error || 'Failed to update comment');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update comment');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (commentId: string) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    setError(null);
+    try {
+      const response = await apiClient.deleteReportComment(reportId, commentId);
+      if (response.success) {
+        setComments(prev => prev.filter(c => c.id !== commentId));
+      } else {
+        setError(response.message || response.error || 'Failed to delete comment');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <h4 className="text-sm font-medium text-gray-500 uppercase tracking-wider mb-2">
+        Internal Comments ({comments.length})
+      </h4>
+
+      {error && (
+        <p className="text-sm text-red-600 mb-2">{error}</p>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500">No comments yet</p>
+      ) : (
+        <ul className="space-y-3">
+          {comments.map(comment => {
+            const isAuthor = currentUser?.username === comment.author;
+            return (
+              <li key={comment.id} className="bg-gray-50 border border-gray-200 rounded-md p-3">
+                <div className="flex justify-between items-center">
+                  <p className="text-xs text-gray-500">
+                    <span className="font-medium text-gray-700">{comment.author}</span>
+                    {' '}&middot; {new Date(comment.createdAt).toLocaleString()}
+                    {comment.editedAt && <span className="italic"> (edited)</span>}
+                  </p>
+                  {editingId !== comment.id && (
+                    <div className="space-x-2">
+                      {isAuthor && canComment && (
+                        <button
+                          onClick={() => {
+                            setEditingId(comment.id);
+                            setEditText(comment.body);
+                          }}
+                          className="text-xs text-blue-600 hover:text-blue-800"
+                        >
+                          Edit
+                        </button>
+                      )}
+                      {(isAuthor && canComment) || isAdmin ? (
+                        <button
+                          onClick={() => handleDelete(comment.id)}
+                          className="text-xs text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      ) : null}
+                    </div>
+                  )}
+                </div>
+
+                {editingId === comment.id ? (
+                  <div className="mt-2">
+                    <textarea
+                      value={editText}
+                      onChange={(e) => setEditText(e.target.value)}
+                      rows={3}
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <div className="flex justify-end space-x-2 mt-2">
+                      <button
+                        onClick={() => {
+                          setEditingId(null);
+                          setEditText('');
+                        }}
+                        className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={() => handleSaveEdit(comment.id)}
+                        disabled={isSubmitting || !editText.trim()}
+                        className="px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-900 mt-1 whitespace-pre-wrap">{renderBody(comment)}</p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {canComment && (
+        <div className="mt-3">
+          <textarea
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            rows={3}
+            placeholder="Add an internal comment. Use @username to mention a colleague."
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex justify-end mt-2">
+            <button
+              onClick={handleAdd}
+              disabled={isSubmitting || !newComment.trim()}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md shadow-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSubmitting ? 'Posting...' : 'Add Comment'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportCommentsThread;
@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import { CorrespondenceEntry } from '../types';
+import { apiClient } from '../services/api';
+
+interface ReportCorrespondenceProps {
+  reportId: string;
+}
+
+const statusStyles: Record<string, string> = {
+  sent: 'bg-green-100 text-green-800',
+  dead: 'bg-red-100 text-red-800'
+};
+
+const ReportCorrespondence = ({ reportId }: ReportCorrespondenceProps) => {
+  const [entries, setEntries] = useState<CorrespondenceEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadCorrespondence = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await apiClient.getReportCorrespondence(reportId);
+        if (!cancelled) {
+          if (response.success && response.data) {
+            setEntries(response.data.entries);
+            // Open the latest message so the conversation reads from where it stands
+            const latest = response.data.entries[response.data.entries.length - 1];
+            setExpandedId(latest ? latest.id : null);
+          } else {
+            setError(response.error || 'Failed to load correspondence');
+          }
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load correspondence');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadCorrespondence();
+    return () => {
+      cancelled = true;
+    };
+  }, [reportId]);
+
+  const handleDownload = async (entry: CorrespondenceEntry, index: number) => {
+    setError(null);
+    try {
+      const blob = await apiClient.downloadCorrespondenceAttachment(reportId, entry.id, index);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = entry.attachments[index].filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Download failed');
+    }
+  };
+
+  const subjectOf = (id: string | null) => entries.find(entry => entry.id === id)?.subject;
+
+  return (
+    <div className="mt-4">
+      <h4 className="text-sm font-medium text-gray-500 uppercase tracking-wider mb-2">
+        Correspondence{entries.length > 0 ? ` (${entries.length})` : ''}
+      </h4>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading correspondence...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No email has been sent or received about this report</p>
+      ) : (
+        <ol className="space-y-2">
+          {entries.map(entry => {
+            const isInbound = entry.direction === 'inbound';
+            const isExpanded = expandedId === entry.id;
+
+            return (
+              <li key={entry.id} className={`flex ${isInbound ? 'justify-start' : 'justify-end'}`}>
+                <div
+                  className={`w-11/12 rounded-lg border p-3 text-sm ${
+                    isInbound ? 'bg-white border-gray-200' : 'bg-blue-50 border-blue-100'
+                  }`}
+                >
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                    className="w-full text-left"
+                  >
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <span className="font-medium text-gray-900">
+                        {isInbound ? `${entry.fromName || entry.from}` : `NJDSC → ${entry.to}`}
+                      </span>
+                      <span className="text-xs text-gray-500">{new Date(entry.date).toLocaleString()}</span>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 mt-0.5">
+                      <span className="text-gray-700">{entry.subject || '(no subject)'}</span>
+                      {entry.status && entry.status !== 'sent' && (
+                        <span className={`px-2 py-0.5 text-xs rounded-full ${statusStyles[entry.status] || 'bg-yellow-100 text-yellow-800'}`}>
+                          {entry.status}
+                        </span>
+                      )}
+                    </div>
+                  </button>
+
+                  {isExpanded && (
+                    <div className="mt-2 border-t border-gray-200 pt-2">
+                      {isInbound && entry.from && (
+                        <p className="text-xs text-gray-500 mb-1">
+                          From {entry.from}
+                          {subjectOf(entry.replyToId) ? ` · in reply to "${subjectOf(entry.replyToId)}"` : ''}
+                        </p>
+                      )}
+                      {!isInbound && entry.sentBy && (
+                        <p className="text-xs text-gray-500 mb-1">Sent by {entry.sentBy}</p>
+                      )}
+                      <p className="text-gray-800 whitespace-pre-wrap break-words">{entry.body}</p>
+
+                      {entry.attachments.length > 0 && (
+                        <ul className="mt-2 flex flex-wrap gap-2">
+                          {entry.attachments.map((attachment, index) => (
+                            <li key={index}>
+                              {isInbound ? (
+                                <button
+                                  type="button"
+                                  onClick={() => handleDownload(entry, index)}
+                                  className="px-2 py-1 text-xs text-blue-700 bg-white border border-blue-200 rounded hover:bg-blue-50"
+                                >
+                                  📎 {attachment.filename}
+                                </button>
+                              ) : (
+                                <span className="px-2 py-1 text-xs text-gray-600 bg-white border border-gray-200 rounded">
+                                  📎 {attachment.filename}
+                                </span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ReportCorrespondence;
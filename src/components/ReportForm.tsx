@@ -47,6 +47,7 @@ const ReportForm: React.FC = () => {
   const [errors, setErrors] = useState<FormErrors>({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitSuccess, setSubmitSuccess] = useState(false);
+  const [ticketId, setTicketId] = useState<string | null>(null);
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
     const { name, value } = e.target;
@@ -128,6 +129,7 @@ const ReportForm: React.FC = () => {
       const response = await apiClient.submitReport(submissionData);
 
       if (response.success) {
+        setTicketId(response.data?.ticketId ?? null);
         setSubmitSuccess(true);
         setTimeout(() => {
           navigate('/reports');
@@ -153,6 +155,11 @@ const ReportForm: React.FC = () => {
         <p className="text-dim-gray mb-6">
           Thank you for your submission. Your report will be reviewed by our compliance team.
         </p>
+        {ticketId && (
+          <p className="text-sm text-dim-gray mb-6" data-testid="tracking-id">
+            Tracking ID: <span className="font-mono">{ticketId}</span>
+          </p>
+        )}
         <p className="text-sm text-dim-gray/70">Redirecting to the reports page...</p>
       </div>
     );
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { apiClient, type Report } from '../services/api';
+import { AuthService } from '../services/authService';
+
+interface ReportReviewQueueProps {
+  onReportsChanged?: () => void;
+}
+
+const ReportReviewQueue = ({ onReportsChanged }: ReportReviewQueueProps) => {
+  const authService = AuthService.getInstance();
+  const canReview = authService.hasRole('investigator');
+  const isAdmin = authService.hasRole('admin');
+
+  const [reports, setReports] = useState<Report[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadReports = async () => {
+    try {
+      const response = await apiClient.getReportsForReview();
+      if (response.success && response.data) {
+        setReports(response.data.reports);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load held reports');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReports();
+  }, []);
+
+  const runAction = async (busyKey: string, action: () => Promise<string | undefined>, reportsChanged = false) => {
+    setBusyId(busyKey);
+    setError(null);
+    setMessage(null);
+    try {
+      const resultMessage = await action();
+      setMessage(resultMessage || null);
+      await loadReports();
+      if (reportsChanged) {
+        onReportsChanged?.();
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Operation failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCheckInbox = () => runAction('inbox', async () => {
+    const response = await apiClient.processInboundEmails();
+    const summary = response.data;
+    return summary
+      ? `Checked inbox: ${summary.ingested} ingested, ${summary.threaded} replies, ${summary.skipped} skipped, ${summary.failed} failed`
+      : response.message;
+  }, true);
+
+  const handleReview = (report: Report, decision: 'approve' | 'reject') => {
+    if (decision === 'reject' && !window.confirm(`Reject ${report.id} ("${report.schoolName}")? It will stay hidden from the public.`)) return;
+    runAction(report.id, async () => (await apiClient.reviewReport(report.id, decision)).message, true);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">Held for Review</h2>
+          <p className="text-gray-600 text-sm">Tips received by email. They are not public until approved.</p>
+        </div>
+        {isAdmin && (
+          <button
+            onClick={handleCheckInbox}
+            disabled={busyId !== null}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busyId === 'inbox' ? 'Checking...' : 'Check Inbox Now'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {message && <p className="text-sm text-green-700 mb-3">{message}</p>}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading held reports...</p>
+      ) : reports.length === 0 ? (
+        <p className="text-sm text-gray-500">No reports waiting for review</p>
+      ) : (
+        <ul className="space-y-4">
+          {reports.map(report => (
+            <li key={report.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <span className="text-sm font-semibold text-gray-900">{report.schoolName}</span>
+                <span className="text-xs font-mono text-gray-500">{report.id} · {report.status}</span>
+                {report.source === 'email' && (
+                  <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">Email</span>
+                )}
+              </div>
+              <dl className="space-y-0.5 text-xs text-gray-700">
+                <div><dt className="inline text-gray-500">From: </dt><dd className="inline">{report.reporterName || '—'}{report.reporterEmail ? ` <${report.reporterEmail}>` : ''}</dd></div>
+                <div><dt className="inline text-gray-500">Files: </dt><dd className="inline">{report.uploadedFiles?.length ?? 0}</dd></div>
+                <div><dt className="inline text-gray-500">Received: </dt><dd className="inline">{new Date(report.createdAt).toLocaleString()}</dd></div>
+              </dl>
+              {report.violationDescription && (
+                <p className="mt-2 text-sm text-gray-700 line-clamp-6 whitespace-pre-wrap">{report.violationDescription}</p>
+              )}
+              {report.additionalInfo && (
+                <p className="mt-2 text-xs text-gray-500 line-clamp-3 whitespace-pre-wrap">{report.additionalInfo}</p>
+              )}
+
+              {canReview && (
+                <div className="flex flex-wrap justify-end gap-2 mt-3">
+                  <button
+                    onClick={() => handleReview(report, 'reject')}
+                    disabled={busyId !== null}
+                    className="px-3 py-2 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-md hover:bg-red-100 disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                  <button
+                    onClick={() => handleReview(report, 'approve')}
+                    disabled={busyId !== null}
+                    className="px-3 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50"
+                  >
+                    {busyId === report.id ? 'Working...' : 'Approve'}
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReportReviewQueue;
@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react';
+import { School, SchoolDetail } from '../types';
+import { apiClient } from '../services/api';
+import { AuthService } from '../services/authService';
+
+const ValueList = ({ label, values }: { label: string; values: string[] }) => (
+  <div>
+    <h5 className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</h5>
+    {values.length === 0 ? (
+      <p className="text-sm text-gray-400 mt-1">None recorded</p>
+    ) : (
+      <ul className="mt-1 space-y-0.5">
+        {values.map(value => (
+          <li key={value} className="text-sm text-gray-900 break-all">{value}</li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const SchoolRegistry = () => {
+  const authService = AuthService.getInstance();
+  const canEdit = authService.hasRole('investigator');
+  const isAdmin = authService.hasRole('admin');
+
+  const [schools, setSchools] = useState<School[]>([]);
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [detail, setDetail] = useState<SchoolDetail | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [mergeSourceId, setMergeSourceId] = useState('');
+  const [splitReportIds, setSplitReportIds] = useState<Set<string>>(new Set());
+  const [splitName, setSplitName] = useState('');
+
+  const loadSchools = async (term = search) => {
+    try {
+      const response = await apiClient.getSchools(term || undefined);
+      if (response.success && response.data) {
+        setSchools(response.data.schools);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load schools');
+    }
+  };
+
+  const loadDetail = async (schoolId: string) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await apiClient.getSchool(schoolId);
+      if (response.success && response.data) {
+        setDetail(response.data.school);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load school');
+      setDetail(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSchools('');
+  }, []);
+
+  useEffect(() => {
+    setMergeSourceId('');
+    setSplitReportIds(new Set());
+    setSplitName('');
+    if (selectedId) {
+      loadDetail(selectedId);
+    } else {
+      setDetail(null);
+    }
+  }, [selectedId]);
+
+  const runAction = async (action: () => Promise<string | undefined>, nextSelectedId?: string) => {
+    setIsLoading(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const resultMessage = await action();
+      setMessage(resultMessage || null);
+      await loadSchools();
+      if (nextSelectedId && nextSelectedId !== selectedId) {
+        setSelectedId(nextSelectedId);
+      } else if (selectedId) {
+        await loadDetail(selectedId);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Operation failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSync = () => runAction(async () => (await apiClient.syncSchools()).message);
+
+  const handleMerge = () => {
+    if (!detail || !mergeSourceId) return;
+    const source = schools.find(s => s.id === mergeSourceId);
+    if (!window.confirm(`Merge "${source?.name}" into "${detail.name}"? The other record will be removed.`)) return;
+    runAction(async () => {
+      const response = await apiClient.mergeSchools(detail.id, mergeSourceId);
+      setMergeSourceId('');
+      return response.message;
+    });
+  };
+
+  const handleSplit = () => {
+    if (!detail || splitReportIds.size === 0) return;
+    runAction(async () => {
+      const response = await apiClient.splitSchool(detail.id, Array.from(splitReportIds), splitName.trim() || undefined);
+      setSplitReportIds(new Set());
+      setSplitName('');
+      return response.message;
+    });
+  };
+
+  const toggleSplitReport = (reportId: string) => {
+    setSplitReportIds(prev => {
+      const next = new Set(prev);
+      if (next.has(reportId)) {
+        next.delete(reportId);
+      } else {
+        next.add(reportId);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">School Registry</h2>
+          <p className="text-gray-600 text-sm">Every report grouped by the operator it is about.</p>
+        </div>
+        {isAdmin && (
+          <button
+            onClick={handleSync}
+            disabled={isLoading}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Link Unassigned Reports
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {message && <p className="text-sm text-green-700 mb-3">{message}</p>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* School list */}
+        <div>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') loadSchools();
+            }}
+            placeholder="Search name, alias, phone, website..."
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-3"
+          />
+          {schools.length === 0 ? (
+            <p className="text-sm text-gray-500">No schools found</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md max-h-[32rem] overflow-y-auto">
+              {schools.map(school => (
+                <li key={school.id}>
+                  <button
+                    onClick={() => setSelectedId(school.id)}
+                    className={`w-full text-left px-3 py-2 hover:bg-gray-50 ${selectedId === school.id ? 'bg-blue-50' : ''}`}
+                  >
+                    <p className="text-sm font-medium text-gray-900">{school.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {school.reportCount ?? school.reportIds.length} report(s)
+                      {school.aliases.length > 0 && ` · ${school.aliases.length} alias(es)`}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* School details */}
+        <div className="lg:col-span-2">
+          {!detail ? (
+            <p className="text-sm text-gray-500">{isLoading ? 'Loading...' : 'Select a school to see every sighting.'}</p>
+          ) : (
+            <div className="space-y-6">
+              <div>
+                <h3 className="text-xl font-semibold text-gray-900">{detail.name}</h3>
+                <p className="text-xs font-mono text-gray-500">{detail.id}</p>
+                {detail.notes && <p className="text-sm text-gray-700 mt-2">{detail.notes}</p>}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <ValueList label="Also reported as" values={detail.aliases} />
+                <ValueList label="Phone numbers" values={detail.phoneNumbers} />
+                <ValueList label="Websites" values={detail.websites} />
+                <ValueList label="Locations" values={detail.locations} />
+              </div>
+
+              <div>
+                <h5 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+                  Reports ({detail.reports.length})
+                </h5>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {canEdit && <th className="px-3 py-2"></th>}
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Reported name</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Status</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Location</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Last reported</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {detail.reports.map(report => (
+                      <tr key={report.id}>
+                        {canEdit && (
+                          <td className="px-3 py-2">
+                            <input
+                              type="checkbox"
+                              checked={splitReportIds.has(report.id)}
+                              onChange={() => toggleSplitReport(report.id)}
+                              aria-label={`Select ${report.id} to split`}
+                            />
+                          </td>
+                        )}
+                        <td className="px-3 py-2 text-gray-900">{report.schoolName}</td>
+                        <td className="px-3 py-2 text-gray-700">{report.status}</td>
+                        <td className="px-3 py-2 text-gray-700">{report.location || '—'}</td>
+                        <td className="px-3 py-2 text-gray-700">{new Date(report.lastReported).toLocaleDateString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {canEdit && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 border-t pt-4">
+                  <div>
+                    <h5 className="text-sm font-medium text-gray-700 mb-2">Split selected reports</h5>
+                    <p className="text-xs text-gray-500 mb-2">
+                      Move the checked reports to a new school when they are a different operator.
+                    </p>
+                    <input
+                      type="text"
+                      value={splitName}
+                      onChange={(e) => setSplitName(e.target.value)}
+                      placeholder="New school name (optional)"
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md mb-2"
+                    />
+                    <button
+                      onClick={handleSplit}
+                      disabled={isLoading || splitReportIds.size === 0 || splitReportIds.size >= detail.reports.length}
+                      className="px-3 py-2 text-sm font-medium text-white bg-orange-600 rounded-md hover:bg-orange-700 disabled:opacity-50"
+                    >
+                      Split {splitReportIds.size} report(s)
+                    </button>
+                  </div>
+                  <div>
+                    <h5 className="text-sm font-medium text-gray-700 mb-2">Merge another school into this one</h5>
+                    <p className="text-xs text-gray-500 mb-2">
+                      Its names, contact details and reports move here and the other record is removed.
+                    </p>
+                    <select
+                      value={mergeSourceId}
+                      onChange={(e) => setMergeSourceId(e.target.value)}
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md mb-2"
+                    >
+                      <option value="">Select a school...</option>
+                      {schools.filter(s => s.id !== detail.id).map(s => (
+                        <option key={s.id} value={s.id}>{s.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleMerge}
+                      disabled={isLoading || !mergeSourceId}
+                      className="px-3 py-2 text-sm font-medium text-white bg-purple-600 rounded-md hover:bg-purple-700 disabled:opacity-50"
+                    >
+                      Merge
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchoolRegistry;
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
-import { Report, ReportStatus, StatusUpdateData } from '../types';
+import { Report, ReportStatus, ReportWorkflow, StatusUpdateData } from '../types';
+import { apiClient } from '../services/api';
 
 interface StatusManagementModalProps {
   isOpen: boolean;
@@ -19,6 +20,8 @@ const StatusManagementModal = ({
   const [selectedStatus, setSelectedStatus] = useState<ReportStatus>('Added');
   const [adminNotes, setAdminNotes] = useState('');
   const [mvcReferenceNumber, setMvcReferenceNumber] = useState('');
+  const [closureReason, setClosureReason] = useState('');
+  const [workflow, setWorkflow] = useState<ReportWorkflow['workflow'] | null>(null);
   const [errors, setErrors] = useState<Record<string, string>>({});
 
   // Status options with descriptions
@@ -55,16 +58,49 @@ const StatusManagementModal = ({
     }
   ];
 
+  // Load the status workflow from the server the first time the modal opens
+  useEffect(() => {
+    if (!isOpen || workflow) {
+      return;
+    }
+
+    apiClient.getReportWorkflow()
+      .then(response => {
+        if (response.success && response.data) {
+          setWorkflow(response.data.workflow);
+        }
+      })
+      .catch(error => {
+        // The server still enforces the workflow; fall back to showing every status
+        console.error('Failed to load status workflow:', error);
+      });
+  }, [isOpen, workflow]);
+
   // Reset form when modal opens with a new report
   useEffect(() => {
     if (report && isOpen) {
       setSelectedStatus(report.status);
       setAdminNotes(report.adminNotes || '');
       setMvcReferenceNumber(report.mvcReferenceNumber || '');
+      setClosureReason(report.closureReason || '');
       setErrors({});
     }
   }, [report, isOpen]);
 
+  // Only offer the current status and the statuses the workflow allows next
+  const availableOptions = report && workflow
+    ? statusOptions.filter(option =>
+        option.value === report.status || workflow[report.status]?.transitions.includes(option.value)
+      )
+    : statusOptions;
+
+  const isFieldRequired = (field: 'mvcReferenceNumber' | 'closureReason'): boolean => {
+    if (workflow) {
+      return workflow[selectedStatus]?.requiredFields.some(required => required.field === field) ?? false;
+    }
+    return field === 'mvcReferenceNumber' ? selectedStatus === 'Reported to MVC' : selectedStatus === 'Closed';
+  };
+
   // Validation function
   const validateForm = (): boolean => {
     const newErrors: Record<string, string> = {};
@@ -74,10 +110,15 @@ const StatusManagementModal = ({
     }
 
     // MVC reference number is required when status is "Reported to MVC"
-    if (selectedStatus === 'Reported to MVC' && !mvcReferenceNumber.trim()) {
+    if (isFieldRequired('mvcReferenceNumber') && !mvcReferenceNumber.trim()) {
       newErrors.mvcReferenceNumber = 'MVC reference number is required when reporting to MVC';
     }
 
+    // Closure reason is required when closing a report
+    if (isFieldRequired('closureReason') && !closureReason.trim()) {
+      newErrors.closureReason = 'Closure reason is required when closing a report';
+    }
+
     // Admin notes are required for status changes (except initial "Added" status)
     if (selectedStatus !== 'Added' && !adminNotes.trim()) {
       newErrors.adminNotes = 'Admin notes are required for status updates';
@@ -98,14 +139,19 @@ const StatusManagementModal = ({
       const updateData: StatusUpdateData = {
         status: selectedStatus,
         adminNotes: adminNotes.trim() || undefined,
-        mvcReferenceNumber: mvcReferenceNumber.trim() || undefined
+        mvcReferenceNumber: mvcReferenceNumber.trim() || undefined,
+        closureReason: isFieldRequired('closureReason') ? closureReason.trim() : undefined
       };
 
       await onStatusUpdate(report.id, updateData);
       onClose();
     } catch (error) {
       console.error('Failed to update report status:', error);
-      setErrors({ submit: 'Failed to update status. Please try again.' });
+      setErrors({
+        submit: error instanceof Error && error.message
+          ? error.message
+          : 'Failed to update status. Please try again.'
+      });
     }
   };
 
@@ -163,7 +209,7 @@ const StatusManagementModal = ({
               New Status *
             </label>
             <div className="space-y-2">
-              {statusOptions.map((option) => (
+              {availableOptions.map((option) => (
                 <label key={option.value} className="flex items-start space-x-3 p-3 border rounded-lg hover:bg-gray-50 cursor-pointer">
                   <input
                     type="radio"
@@ -189,7 +235,7 @@ const StatusManagementModal = ({
           </div>
 
           {/* MVC Reference Number (conditional) */}
-          {selectedStatus === 'Reported to MVC' && (
+          {isFieldRequired('mvcReferenceNumber') && (
             <div className="mb-6">
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 MVC Reference Number *
@@ -209,6 +255,28 @@ const StatusManagementModal = ({
             </div>
           )}
 
+          {/* Closure Reason (conditional) */}
+          {isFieldRequired('closureReason') && (
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Closure Reason *
+              </label>
+              <textarea
+                value={closureReason}
+                onChange={(e) => setClosureReason(e.target.value)}
+                placeholder="Why is this report being closed?"
+                rows={2}
+                maxLength={500}
+                className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  errors.closureReason ? 'border-red-300' : 'border-gray-300'
+                }`}
+              />
+              {errors.closureReason && (
+                <p className="mt-1 text-sm text-red-600">{errors.closureReason}</p>
+              )}
+            </div>
+          )}
+
           {/* Admin Notes */}
           <div className="mb-6">
             <label className="block text-sm font-medium text-gray-700 mb-2">
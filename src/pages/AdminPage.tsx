@@ -5,11 +5,17 @@ import EmailComposerModal from '../components/EmailComposerModal';
 import ConfigurationModal from '../components/ConfigurationModal';
 import BulkOperationsModal from '../components/BulkOperationsModal';
 import AuditLogViewer from '../components/AuditLogViewer';
+import ReportCommentsThread from '../components/ReportCommentsThread';
+import ReportCorrespondence from '../components/ReportCorrespondence';
+import SchoolRegistry from '../components/SchoolRegistry';
+import DuplicateReviewQueue from '../components/DuplicateReviewQueue';
+import ReportReviewQueue from '../components/ReportReviewQueue';
+import LicensedSchoolList from '../components/LicensedSchoolList';
 import AuditService from '../services/auditService';
 import ConfigurationService from '../services/configurationService';
 import { AuthService } from '../services/authService';
 import { apiClient } from '../services/api';
-import { Report, ReportStatus, StatusUpdateData } from '../types';
+import { LicenseCheck, Report, ReportStatus, StatusHistoryEntry, StatusUpdateData } from '../types';
 
 const AdminPage = () => {
   const location = useLocation();
@@ -162,7 +168,8 @@ const AdminPage = () => {
       const response = await apiClient.updateReportStatus(reportId, {
         status: updateData.status,
         adminNotes: updateData.adminNotes,
-        mvcReferenceNumber: updateData.mvcReferenceNumber
+        mvcReferenceNumber: updateData.mvcReferenceNumber,
+        closureReason: updateData.closureReason
       });
 
       console.log('[STATUS UPDATE] API response received:', {
@@ -181,6 +188,7 @@ const AdminPage = () => {
                   status: updateData.status,
                   adminNotes: updateData.adminNotes,
                   mvcReferenceNumber: updateData.mvcReferenceNumber,
+                  closureReason: updateData.closureReason,
                   updatedAt: response.data?.updatedAt || new Date().toISOString()
                 }
               : report
@@ -274,7 +282,7 @@ const AdminPage = () => {
       });
 
       if (response.success) {
-        alert('Email sent successfully!');
+        alert('Email queued for delivery!');
       } else {
         throw new Error(response.message || 'Failed to send email');
       }
@@ -399,7 +407,7 @@ const AdminPage = () => {
     setSelectedReportForDetails(null);
   };
 
-  const handleBulkStatusUpdate = async (newStatus: ReportStatus, adminNotes?: string) => {
+  const handleBulkStatusUpdate = async (newStatus: ReportStatus, adminNotes?: string, closureReason?: string) => {
     if (selectedReports.size === 0) {
       alert('Please select at least one report');
       return;
@@ -410,7 +418,7 @@ const AdminPage = () => {
       // Call the real API for bulk status update
       const response = await apiClient.bulkUpdateReportStatus(
         Array.from(selectedReports),
-        { status: newStatus, adminNotes }
+        { status: newStatus, adminNotes, closureReason }
       );
 
       if (response.success) {
@@ -444,7 +452,7 @@ const AdminPage = () => {
 
     } catch (error) {
       console.error('Failed to bulk update reports:', error);
-      alert('Failed to update reports. Please try again.');
+      alert(`Failed to update reports. No changes were made.${error instanceof Error ? `\n\n${error.message}` : ''}`);
     } finally {
       setIsLoading(false);
     }
@@ -464,6 +472,9 @@ const AdminPage = () => {
   const navigationItems = [
     { id: 'overview', label: 'Overview', icon: '📊' },
     { id: 'reports', label: 'Manage Reports', icon: '📋' },
+    { id: 'review', label: 'Held for Review', icon: '📥' },
+    { id: 'duplicates', label: 'Duplicates', icon: '🔗' },
+    { id: 'schools', label: 'Schools', icon: '🏫' },
     { id: 'configuration', label: 'Configuration', icon: '⚙️' },
     { id: 'audit', label: 'Audit Log', icon: '📝' }
   ];
@@ -555,6 +566,17 @@ const AdminPage = () => {
             />
           }
         />
+        <Route path="/review" element={<ReportReviewQueue onReportsChanged={refreshData} />} />
+        <Route path="/duplicates" element={<DuplicateReviewQueue onReportsChanged={refreshData} />} />
+        <Route
+          path="/schools"
+          element={
+            <div className="space-y-6">
+              <SchoolRegistry />
+              <LicensedSchoolList onReportsChanged={refreshData} />
+            </div>
+          }
+        />
         <Route path="/configuration" element={<ConfigurationTab onOpenConfigurationModal={openConfigurationModal} />} />
         <Route path="/audit" element={<AuditTab />} />
       </Routes>
@@ -590,6 +612,7 @@ const AdminPage = () => {
         isOpen={isBulkModalOpen}
         onClose={closeBulkModal}
         selectedCount={selectedReports.size}
+        selectedStatuses={Array.from(new Set(reports.filter(report => selectedReports.has(report.id)).map(report => report.status)))}
         onBulkStatusUpdate={handleBulkStatusUpdate}
         isLoading={isLoading}
       />
@@ -630,6 +653,42 @@ const ReportDetailsModal = ({ report, onClose, onUpdateStatus }: {
     return option?.color || 'bg-gray-100 text-gray-800';
   };
 
+  const [history, setHistory] = useState<StatusHistoryEntry[]>([]);
+  const [historyLoading, setHistoryLoading] = useState(true);
+  const [historyError, setHistoryError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      setHistoryLoading(true);
+      setHistoryError(null);
+      try {
+        const response = await apiClient.getReportHistory(report.id);
+        if (!cancelled) {
+          if (response.success && response.data) {
+            setHistory(response.data.history);
+          } else {
+            setHistoryError(response.error || 'Failed to load status history');
+          }
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setHistoryError(err instanceof Error ? err.message : 'Failed to load status history');
+        }
+      } finally {
+        if (!cancelled) {
+          setHistoryLoading(false);
+        }
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [report.id, report.status, report.updatedAt]);
+
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
       <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-4xl shadow-lg rounded-md bg-white">
@@ -771,6 +830,60 @@ const ReportDetailsModal = ({ report, onClose, onUpdateStatus }: {
           </div>
         )}
 
+        {/* Status History */}
+        <div className="mt-4">
+          <h4 className="text-sm font-medium text-gray-500 uppercase tracking-wider mb-2">Status History</h4>
+          {historyLoading ? (
+            <p className="text-sm text-gray-500">Loading status history...</p>
+          ) : historyError ? (
+            <p className="text-sm text-red-600">{historyError}</p>
+          ) : history.length === 0 ? (
+            <p className="text-sm text-gray-500">No status changes recorded</p>
+          ) : (
+            <ol className="relative border-l border-gray-200 ml-2">
+              {history.map((entry, index) => (
+                <li key={`${entry.changedAt}-${index}`} className="mb-4 ml-4">
+                  <div className="absolute w-3 h-3 bg-gray-300 rounded-full -left-1.5 mt-1.5 border border-white"></div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {entry.from && (
+                      <>
+                        <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${getStatusColor(entry.from)}`}>
+                          {entry.from}
+                        </span>
+                        <span className="text-xs text-gray-400">&rarr;</span>
+                      </>
+                    )}
+                    <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${getStatusColor(entry.to)}`}>
+                      {entry.to}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {entry.from === null ? 'Submitted' : 'Changed'} by <span className="font-medium text-gray-700">{entry.changedBy}</span>
+                    {' '}on {new Date(entry.changedAt).toLocaleString()}
+                  </p>
+                  {entry.notes && (
+                    <p className="text-sm text-gray-900 mt-1">{entry.notes}</p>
+                  )}
+                  {entry.mvcReferenceNumber && (
+                    <p className="text-xs text-gray-600 mt-1">
+                      MVC Reference: <span className="font-mono">{entry.mvcReferenceNumber}</span>
+                    </p>
+                  )}
+                  {entry.closureReason && (
+                    <p className="text-xs text-gray-600 mt-1">Closure reason: {entry.closureReason}</p>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        {/* Internal Comments */}
+        <ReportCommentsThread reportId={report.id} />
+
+        {/* Email Correspondence */}
+        <ReportCorrespondence reportId={report.id} />
+
         {/* Photos */}
         {report.uploadedFiles && report.uploadedFiles.length > 0 && (
           <div className="mt-4">
@@ -918,6 +1031,32 @@ const StatusDropdown = ({
   );
 };
 
+// License check badge shown in the reports table
+const LicenseBadge = ({ licenseCheck }: { licenseCheck?: LicenseCheck | null }) => {
+  if (!licenseCheck) {
+    return <span className="text-gray-400 text-sm">Not checked</span>;
+  }
+
+  if (licenseCheck.status === 'match') {
+    return (
+      <span
+        className="px-2 py-1 text-xs font-semibold rounded-full bg-orange-100 text-orange-800"
+        title={`Matches licensed school "${licenseCheck.licensedSchoolName}"` +
+          (licenseCheck.licenseNumber ? ` (license ${licenseCheck.licenseNumber})` : '') +
+          (licenseCheck.reasons?.length ? `: ${licenseCheck.reasons.join(', ')}` : '')}
+      >
+        Licensed match
+      </span>
+    );
+  }
+
+  return (
+    <span className="px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+      No license match
+    </span>
+  );
+};
+
 // Overview Tab Component
 const OverviewTab = ({ stats, reports }: { stats: any, reports: Report[] }) => {
   const [recentActivity, setRecentActivity] = useState<any[]>([]);
@@ -1135,6 +1274,36 @@ const ReportsTab = ({
     return option?.color || 'bg-gray-100 text-gray-800';
   };
 
+  const canExport = AuthService.getInstance().hasRole('investigator');
+  const [exportFormat, setExportFormat] = useState<'csv' | 'xlsx'>('csv');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState<string | null>(null);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      const { blob, fileName } = await apiClient.exportReports({
+        format: exportFormat,
+        status: statusFilter === 'all' ? undefined : statusFilter,
+        search: searchTerm.trim() || undefined
+      });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportError(err instanceof Error ? err.message : 'Export failed');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   return (
     <div className="space-y-6">
       {/* Header and Filters */}
@@ -1152,6 +1321,26 @@ const ReportsTab = ({
                 {selectedReports.size} selected
               </span>
             )}
+            {canExport && (
+              <div className="flex items-center">
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value as 'csv' | 'xlsx')}
+                  className="px-2 py-2 border border-gray-300 rounded-l-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  aria-label="Export format"
+                >
+                  <option value="csv">CSV</option>
+                  <option value="xlsx">Excel</option>
+                </select>
+                <button
+                  onClick={handleExport}
+                  disabled={isExporting}
+                  className="px-4 py-2 border border-l-0 border-gray-300 rounded-r-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {isExporting ? 'Exporting...' : 'Export'}
+                </button>
+              </div>
+            )}
             <button
               onClick={onOpenBulkModal}
               disabled={selectedReports.size === 0}
@@ -1166,6 +1355,8 @@ const ReportsTab = ({
           </div>
         </div>
 
+        {exportError && <p className="text-sm text-red-600 mb-4">{exportError}</p>}
+
         {/* Filters */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <div>
@@ -1256,6 +1447,9 @@ const ReportsTab = ({
                   <th className="px-3 md:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Status
                   </th>
+                  <th className="hidden md:table-cell px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    License
+                  </th>
                   <th className="hidden md:table-cell px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Email
                   </th>
@@ -1305,6 +1499,9 @@ const ReportsTab = ({
                         reportId={report.id}
                       />
                     </td>
+                    <td className="hidden md:table-cell px-6 py-4 whitespace-nowrap">
+                      <LicenseBadge licenseCheck={report.licenseCheck} />
+                    </td>
                     <td className="hidden md:table-cell px-6 py-4 whitespace-nowrap" onClick={(e) => e.stopPropagation()}>
                       {report.reporterEmail ? (
                         <button
@@ -149,8 +149,9 @@ const LoginPage = () => {
               <div className="mt-4 text-center text-sm text-gray-600">
                 <p>Default credentials:</p>
                 <p className="font-mono bg-gray-100 px-2 py-1 rounded mt-1">
-                  Username: admin | Password: admin123
+                  Username: admin | Password: ADMIN_PASSWORD
                 </p>
+                <p className="mt-1">If ADMIN_PASSWORD is not set, the password is saved to initial-admin-password.txt in the server data directory on first start.</p>
               </div>
             </div>
           )}
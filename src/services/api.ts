@@ -6,7 +6,8 @@
 
 /// <reference types="vite/client" />
 
-import { AuthService } from './authService';
+import { AuthService, type UserRole } from './authService';
+import type { CorrespondenceEntry, DuplicateCandidate, EmailAttachment, EmailTemplate, EmailTemplatePreview, InboundEmail, InboundEmailRunSummary, InboundEmailStatus, LicensedSchool, LicensedSchoolImportResult, MvcPackage, OutboundEmail, OutboundEmailStatus, ReportComment, ReportStatusHistory, ReportWorkflow, School, SchoolDetail } from '../types';
 
 const API_BASE_URL = '/api';
 
@@ -46,6 +47,10 @@ export interface Report {
   lastReported: string;
   createdAt: string;
   updatedAt: string;
+  source?: 'web' | 'email';
+  reviewStatus?: 'pending' | 'approved' | 'rejected' | null;
+  reporterName?: string;
+  reporterEmail?: string;
 }
 
 export interface ReportSubmission {
@@ -75,10 +80,39 @@ export interface UploadedFile {
   type: string;
   size: number;
   url: string;
-  thumbnailUrl?: string;
+  thumbnailUrl?: string | null;
+  mediumUrl?: string | null;
   uploadedAt: string;
 }
 
+// Proves the uploader submitted the report, for uploads made without signing in
+export interface UploadSubmission {
+  ticketId: string;
+  submissionToken: string;
+}
+
+// Queue types
+export type QueueTicketStatus = 'queued' | 'processing' | 'completed' | 'failed';
+
+export interface QueueTicket {
+  ticketId: string;
+  status: QueueTicketStatus;
+  createdAt: string;
+}
+
+// User types
+export interface PortalUser {
+  id: string;
+  username: string;
+  role: UserRole;
+  email: string | null;
+  createdAt: string;
+  updatedAt: string;
+  lastLogin: string | null;
+  isActive: boolean;
+  createdBy: string | null;
+}
+
 // HTTP Client
 class ApiClient {
   private baseURL: string;
@@ -150,14 +184,47 @@ class ApiClient {
     return this.request(endpoint);
   }
 
-  async submitReport(reportData: ReportSubmission): Promise<ApiResponse<{
-    id: string;
-    schoolName: string;
-    location?: string;
-    status: string;
-    createdAt: string;
-    lastReported: string;
-    uploadedFiles: UploadedFile[];
+  async exportReports(params: {
+    format: 'csv' | 'xlsx';
+    status?: string;
+    search?: string;
+    sortBy?: string;
+    sortOrder?: 'asc' | 'desc';
+  }): Promise<{ blob: Blob; fileName: string }> {
+    const searchParams = new URLSearchParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        searchParams.append(key, value.toString());
+      }
+    });
+
+    // The export is a file download, so it bypasses the JSON request helper
+    const headers: Record<string, string> = {};
+    const token = AuthService.getInstance().getAuthToken();
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${this.baseURL}/reports/export?${searchParams.toString()}`, { headers });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileNameMatch = disposition.match(/filename="([^"]+)"/);
+
+    return {
+      blob: await response.blob(),
+      fileName: fileNameMatch ? fileNameMatch[1] : `reports.${params.format}`
+    };
+  }
+
+  async submitReport(reportData: ReportSubmission): Promise<ApiResponse<QueueTicket & {
+    statusUrl: string;
+    submissionToken: string;
   }>> {
     return this.request('/reports', {
       method: 'POST',
@@ -165,14 +232,42 @@ class ApiClient {
     });
   }
 
+  async getQueueTicketStatus(ticketId: string): Promise<ApiResponse<QueueTicket & {
+    processedAt: string | null;
+    reportId: string | null;
+    error: string | null;
+  }>> {
+    return this.request(`/reports/queue/${ticketId}`);
+  }
+
   // Files API
-  async uploadFiles(files: File[], reportId: string): Promise<ApiResponse<{
+
+  // Uploads need a signed-in investigator, or the ticket and token returned when the report was submitted
+  private createUploadFormData(reportId: string, submission?: UploadSubmission): FormData {
+    const formData = new FormData();
+    formData.append('reportId', reportId);
+    if (submission) {
+      formData.append('ticketId', submission.ticketId);
+      formData.append('submissionToken', submission.submissionToken);
+    }
+    return formData;
+  }
+
+  private getUploadHeaders(): Record<string, string> {
+    const headers: Record<string, string> = {};
+    const token = AuthService.getInstance().getAuthToken();
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+  }
+
+  async uploadFiles(files: File[], reportId: string, submission?: UploadSubmission): Promise<ApiResponse<{
     files: UploadedFile[];
     totalUploaded: number;
     totalRequested: number;
   }>> {
-    const formData = new FormData();
-    formData.append('reportId', reportId);
+    const formData = this.createUploadFormData(reportId, submission);
 
     // Add each file to the form data
     files.forEach((file, index) => {
@@ -181,6 +276,7 @@ class ApiClient {
 
     const response = await fetch(`${this.baseURL}/files/upload`, {
       method: 'POST',
+      headers: this.getUploadHeaders(),
       body: formData,
     });
 
@@ -192,14 +288,13 @@ class ApiClient {
     return response.json();
   }
 
-  async uploadBase64Files(fileDataArray: FileData[], reportId: string): Promise<ApiResponse<{
+  async uploadBase64Files(fileDataArray: FileData[], reportId: string, submission?: UploadSubmission): Promise<ApiResponse<{
     files: UploadedFile[];
     totalUploaded: number;
     totalRequested: number;
   }>> {
     // Convert base64 data to Blobs for form upload
-    const formData = new FormData();
-    formData.append('reportId', reportId);
+    const formData = this.createUploadFormData(reportId, submission);
 
     for (let i = 0; i < fileDataArray.length; i++) {
       const fileData = fileDataArray[i];
@@ -220,6 +315,7 @@ class ApiClient {
 
     const response = await fetch(`${this.baseURL}/files/upload`, {
       method: 'POST',
+      headers: this.getUploadHeaders(),
       body: formData,
     });
 
@@ -355,10 +451,66 @@ class ApiClient {
   }
 
   // Admin Reports API
+  async getReportWorkflow(): Promise<ApiResponse<ReportWorkflow>> {
+    return this.request('/reports/workflow');
+  }
+
+  async getReportHistory(reportId: string): Promise<ApiResponse<ReportStatusHistory>> {
+    return this.request(`/reports/${reportId}/history`);
+  }
+
+  // Report comment methods
+  async getReportCorrespondence(reportId: string): Promise<ApiResponse<{ entries: CorrespondenceEntry[]; total: number }>> {
+    return this.request(`/reports/${reportId}/correspondence`);
+  }
+
+  async downloadCorrespondenceAttachment(reportId: string, entryId: string, index: number): Promise<Blob> {
+    // Attachments are file downloads, so they bypass the JSON request helper
+    const headers: Record<string, string> = {};
+    const token = AuthService.getInstance().getAuthToken();
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${this.baseURL}/reports/${reportId}/correspondence/${entryId}/attachments/${index}`, { headers });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response.blob();
+  }
+
+  async getReportComments(reportId: string): Promise<ApiResponse<{ comments: ReportComment[] }>> {
+    return this.request(`/reports/${reportId}/comments`);
+  }
+
+  async addReportComment(reportId: string, body: string): Promise<ApiResponse<{ comment: ReportComment }>> {
+    return this.request(`/reports/${reportId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body }),
+    });
+  }
+
+  async updateReportComment(reportId: string, commentId: string, body: string): Promise<ApiResponse<{ comment: ReportComment }>> {
+    return this.request(`/reports/${reportId}/comments/${commentId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ body }),
+    });
+  }
+
+  async deleteReportComment(reportId: string, commentId: string): Promise<ApiResponse<void>> {
+    return this.request(`/reports/${reportId}/comments/${commentId}`, {
+      method: 'DELETE',
+    });
+  }
+
   async updateReportStatus(reportId: string, statusData: {
     status: string;
     adminNotes?: string;
     mvcReferenceNumber?: string;
+    closureReason?: string;
   }): Promise<ApiResponse<{
     id: string;
     status: string;
@@ -373,10 +525,17 @@ class ApiClient {
   async bulkUpdateReportStatus(reportIds: string[], statusData: {
     status: string;
     adminNotes?: string;
+    closureReason?: string;
   }): Promise<ApiResponse<{
     updated: number;
     failed: number;
-    results: any[];
+    results: Array<{
+      id: string;
+      success: boolean;
+      oldStatus: string;
+      newStatus: string;
+      error?: string;
+    }>;
   }>> {
     return this.request('/reports/bulk/status', {
       method: 'PUT',
@@ -391,18 +550,253 @@ class ApiClient {
     reportId: string;
     templateId: string;
     to: string;
-    subject: string;
+    subject?: string;
     body?: string;
-    attachments?: any[];
+    variables?: Record<string, string>;
+    // IDs of files uploaded with the report
+    attachments?: string[];
   }): Promise<ApiResponse<{
     messageId: string;
-    sent: boolean;
+    status: OutboundEmailStatus;
+    subject: string;
+    templateVersion: number | null;
+    attachments: EmailAttachment[];
   }>> {
     return this.request('/emails/send', {
       method: 'POST',
       body: JSON.stringify(emailData),
     });
   }
+
+  async getEmailTemplates(): Promise<ApiResponse<{ templates: EmailTemplate[]; total: number }>> {
+    return this.request('/emails/templates');
+  }
+
+  async previewEmailTemplate(
+    templateId: string,
+    options: { reportId?: string; variables?: Record<string, string> } = {}
+  ): Promise<ApiResponse<{ preview: EmailTemplatePreview }>> {
+    return this.request(`/emails/templates/${encodeURIComponent(templateId)}/preview`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  async getEmailOutbox(filters: {
+    status?: OutboundEmailStatus;
+    reportId?: string;
+    limit?: number;
+  } = {}): Promise<ApiResponse<{
+    messages: OutboundEmail[];
+    total: number;
+    counts: Record<OutboundEmailStatus, number>;
+  }>> {
+    const searchParams = new URLSearchParams();
+
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        searchParams.append(key, value.toString());
+      }
+    });
+
+    const queryString = searchParams.toString();
+    return this.request(`/emails/outbox${queryString ? `?${queryString}` : ''}`);
+  }
+
+  async resendEmail(messageId: string): Promise<ApiResponse<{ message: OutboundEmail }>> {
+    return this.request(`/emails/outbox/${encodeURIComponent(messageId)}/resend`, {
+      method: 'POST',
+    });
+  }
+
+  async getInboundEmails(filters: {
+    status?: InboundEmailStatus;
+    limit?: number;
+  } = {}): Promise<ApiResponse<{
+    messages: InboundEmail[];
+    total: number;
+    counts: Record<InboundEmailStatus, number>;
+  }>> {
+    const searchParams = new URLSearchParams();
+
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        searchParams.append(key, value.toString());
+      }
+    });
+
+    const queryString = searchParams.toString();
+    return this.request(`/emails/inbound${queryString ? `?${queryString}` : ''}`);
+  }
+
+  async processInboundEmails(): Promise<ApiResponse<InboundEmailRunSummary>> {
+    return this.request('/emails/inbound/process', {
+      method: 'POST',
+    });
+  }
+
+  // User Management API (admin only)
+  async getUsers(): Promise<ApiResponse<{
+    users: PortalUser[];
+    total: number;
+  }>> {
+    return this.request('/auth/users');
+  }
+
+  async createUser(userData: {
+    username: string;
+    password: string;
+    role: UserRole;
+    email?: string;
+  }): Promise<ApiResponse<{ user: PortalUser }>> {
+    return this.request('/auth/users', {
+      method: 'POST',
+      body: JSON.stringify(userData),
+    });
+  }
+
+  async updateUser(userId: string, updates: {
+    role?: UserRole;
+    isActive?: boolean;
+    email?: string;
+    password?: string;
+  }): Promise<ApiResponse<{ user: PortalUser }>> {
+    return this.request(`/auth/users/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async deleteUser(userId: string): Promise<ApiResponse<void>> {
+    return this.request(`/auth/users/${userId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Duplicate review methods
+  async getDuplicateReports(): Promise<ApiResponse<{ duplicates: DuplicateCandidate[]; total: number }>> {
+    return this.request('/reports/duplicates');
+  }
+
+  async scanDuplicateReports(): Promise<ApiResponse<{ detected: number; pending: number }>> {
+    return this.request('/reports/duplicates/scan', {
+      method: 'POST',
+    });
+  }
+
+  async dismissDuplicateReport(candidateId: string): Promise<ApiResponse<{ candidate: DuplicateCandidate }>> {
+    return this.request(`/reports/duplicates/${candidateId}/dismiss`, {
+      method: 'POST',
+    });
+  }
+
+  async mergeReports(targetReportId: string, sourceReportId: string): Promise<ApiResponse<Report>> {
+    return this.request(`/reports/${targetReportId}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ sourceReportId }),
+    });
+  }
+
+  // Held report review methods
+  async getReportsForReview(): Promise<ApiResponse<{ reports: Report[]; total: number }>> {
+    return this.request('/reports/review');
+  }
+
+  async reviewReport(reportId: string, decision: 'approve' | 'reject'): Promise<ApiResponse<Report>> {
+    return this.request(`/reports/${reportId}/review`, {
+      method: 'POST',
+      body: JSON.stringify({ decision }),
+    });
+  }
+
+  async createMvcPackage(reportId: string, options: {
+    mvcReferenceNumber?: string;
+    email?: boolean;
+    to?: string;
+  } = {}): Promise<ApiResponse<MvcPackage>> {
+    return this.request(`/reports/${reportId}/mvc-package`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  // School registry methods
+  async getSchools(search?: string): Promise<ApiResponse<{ schools: School[]; total: number }>> {
+    const query = search ? `?search=${encodeURIComponent(search)}` : '';
+    return this.request(`/schools${query}`);
+  }
+
+  async getSchool(schoolId: string): Promise<ApiResponse<{ school: SchoolDetail }>> {
+    return this.request(`/schools/${schoolId}`);
+  }
+
+  async createSchool(schoolData: {
+    name: string;
+    aliases?: string[];
+    phoneNumbers?: string[];
+    websites?: string[];
+    locations?: string[];
+    notes?: string;
+  }): Promise<ApiResponse<{ school: School }>> {
+    return this.request('/schools', {
+      method: 'POST',
+      body: JSON.stringify(schoolData),
+    });
+  }
+
+  async updateSchool(schoolId: string, updates: {
+    name?: string;
+    aliases?: string[];
+    phoneNumbers?: string[];
+    websites?: string[];
+    locations?: string[];
+    notes?: string;
+  }): Promise<ApiResponse<{ school: School }>> {
+    return this.request(`/schools/${schoolId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async mergeSchools(targetSchoolId: string, sourceSchoolId: string): Promise<ApiResponse<{ school: School }>> {
+    return this.request(`/schools/${targetSchoolId}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ sourceSchoolId }),
+    });
+  }
+
+  async splitSchool(schoolId: string, reportIds: string[], name?: string): Promise<ApiResponse<{
+    original: School;
+    created: School;
+  }>> {
+    return this.request(`/schools/${schoolId}/split`, {
+      method: 'POST',
+      body: JSON.stringify({ reportIds, name }),
+    });
+  }
+
+  async syncSchools(): Promise<ApiResponse<{ linkedReports: number; totalSchools: number }>> {
+    return this.request('/schools/sync', {
+      method: 'POST',
+    });
+  }
+
+  // Licensed school reference list
+  async getLicensedSchools(search?: string): Promise<ApiResponse<{ schools: LicensedSchool[]; total: number }>> {
+    const query = search ? `?search=${encodeURIComponent(search)}` : '';
+    return this.request(`/licensed-schools${query}`);
+  }
+
+  async importLicensedSchools(
+    format: 'csv' | 'json',
+    content: string,
+    replace = true
+  ): Promise<ApiResponse<LicensedSchoolImportResult>> {
+    return this.request('/licensed-schools/import', {
+      method: 'POST',
+      body: JSON.stringify({ format, content, replace }),
+    });
+  }
 }
 
 // Create and export API client instance
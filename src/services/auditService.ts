@@ -200,13 +200,43 @@ class AuditService {
     const actionMap: Record<AuditAction, { label: string; icon: string; color: string }> = {
       'STATUS_UPDATE': { label: 'Status Update', icon: '📋', color: 'blue' },
       'BULK_STATUS_UPDATE': { label: 'Bulk Update', icon: '📊', color: 'purple' },
+      'REPORT_MERGED': { label: 'Reports Merged', icon: '🔗', color: 'purple' },
+      'REPORT_REVIEWED': { label: 'Report Reviewed', icon: '🛡️', color: 'blue' },
+      'REPORTS_EXPORTED': { label: 'Reports Exported', icon: '📤', color: 'blue' },
+      'MVC_PACKAGE_CREATED': { label: 'MVC Package', icon: '🏛️', color: 'red' },
+      'FILE_ORIGINAL_ACCESSED': { label: 'Original File Accessed', icon: '🔍', color: 'orange' },
+      'FILE_DELETED': { label: 'File Deleted', icon: '🗑️', color: 'red' },
+      'REPORT_LEGAL_HOLD_CHANGED': { label: 'Legal Hold', icon: '⚖️', color: 'purple' },
+      'RETENTION_PURGE': { label: 'Retention Purge', icon: '🗑️', color: 'red' },
+      'SUBJECT_DATA_EXPORTED': { label: 'Subject Data Export', icon: '📦', color: 'orange' },
+      'SUBJECT_DATA_ERASED': { label: 'Subject Data Erased', icon: '🧹', color: 'red' },
       'EMAIL_SENT': { label: 'Email Sent', icon: '📧', color: 'green' },
+      'EMAIL_FAILED': { label: 'Email Failed', icon: '📧', color: 'red' },
+      'EMAIL_RESENT': { label: 'Email Resent', icon: '📧', color: 'orange' },
+      'EMAIL_INGESTED': { label: 'Email Tip Received', icon: '📥', color: 'green' },
+      'CORRESPONDENCE_RECEIVED': { label: 'Reply Received', icon: '↩️', color: 'blue' },
       'CONFIGURATION_UPDATE': { label: 'Configuration', icon: '⚙️', color: 'orange' },
       'LOGIN': { label: 'Login', icon: '🔑', color: 'gray' },
       'LOGOUT': { label: 'Logout', icon: '🚪', color: 'gray' },
       'REPORT_VIEW': { label: 'Report Viewed', icon: '👁️', color: 'blue' },
       'ADMIN_NOTE_ADDED': { label: 'Note Added', icon: '📝', color: 'yellow' },
-      'MVC_REFERENCE_ADDED': { label: 'MVC Reference', icon: '🏛️', color: 'red' }
+      'MVC_REFERENCE_ADDED': { label: 'MVC Reference', icon: '🏛️', color: 'red' },
+      'USER_CREATED': { label: 'User Created', icon: '👤', color: 'green' },
+      'USER_UPDATED': { label: 'User Updated', icon: '👤', color: 'blue' },
+      'USER_DELETED': { label: 'User Deleted', icon: '👤', color: 'red' },
+      'COMMENT_ADDED': { label: 'Comment Added', icon: '💬', color: 'green' },
+      'COMMENT_UPDATED': { label: 'Comment Edited', icon: '💬', color: 'blue' },
+      'COMMENT_DELETED': { label: 'Comment Deleted', icon: '💬', color: 'red' },
+      'SCHOOL_CREATED': { label: 'School Created', icon: '🏫', color: 'green' },
+      'SCHOOL_UPDATED': { label: 'School Updated', icon: '🏫', color: 'blue' },
+      'SCHOOL_MERGED': { label: 'Schools Merged', icon: '🏫', color: 'purple' },
+      'SCHOOL_SPLIT': { label: 'School Split', icon: '🏫', color: 'orange' },
+      'LICENSED_SCHOOLS_IMPORTED': { label: 'Licensed Schools Imported', icon: '📜', color: 'blue' },
+      'EMAIL_TEMPLATE_CREATED': { label: 'Email Template Created', icon: '✉️', color: 'green' },
+      'EMAIL_TEMPLATE_UPDATED': { label: 'Email Template Updated', icon: '✉️', color: 'blue' },
+      'EMAIL_TEMPLATE_DELETED': { label: 'Email Template Deleted', icon: '✉️', color: 'red' },
+      'NOTIFICATION_SENT': { label: 'Notification Sent', icon: '🔔', color: 'green' },
+      'NOTIFICATION_FAILED': { label: 'Notification Failed', icon: '🔔', color: 'red' }
     };
 
     return actionMap[action] || { label: action, icon: '📌', color: 'gray' };
@@ -3,10 +3,15 @@
  * Handles login, logout, token management, and authentication state
  */
 
+type UserRole = 'viewer' | 'investigator' | 'admin';
+
+// Roles ordered from least to most privileged (mirrors server/models/User.js)
+const ROLE_HIERARCHY: UserRole[] = ['viewer', 'investigator', 'admin'];
+
 interface AuthUser {
   id: string;
   username: string;
-  role: string;
+  role: UserRole;
   lastLogin: string;
 }
 
@@ -237,8 +242,20 @@ class AuthService {
    * Check if current user has admin role
    */
   isAdmin(): boolean {
+    return this.hasRole('admin');
+  }
+
+  /**
+   * Check if current user's role meets or exceeds the required role
+   */
+  hasRole(requiredRole: UserRole): boolean {
     const user = this.getCurrentUser();
-    return user ? user.role === 'admin' : false;
+    if (!user) {
+      return false;
+    }
+
+    const roleLevel = ROLE_HIERARCHY.indexOf(user.role);
+    return roleLevel !== -1 && roleLevel >= ROLE_HIERARCHY.indexOf(requiredRole);
   }
 
   /**
@@ -334,4 +351,4 @@ class AuthService {
 }
 
 export { AuthService };
-export type { AuthUser, AuthResponse, LoginCredentials };
\ No newline at end of file
+export type { AuthUser, AuthResponse, LoginCredentials, UserRole };
\ No newline at end of file
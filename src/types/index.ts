@@ -17,19 +17,31 @@ export interface Report {
   reporterIp?: string;
   adminNotes?: string;
   mvcReferenceNumber?: string;
+  closureReason?: string;
+  statusHistory?: StatusHistoryEntry[];
+  schoolId?: string | null;
+  licenseCheck?: LicenseCheck | null;
   reporterName?: string;
   reporterPhone?: string;
   reporterSchool?: string;
   reporterEmail?: string;
+  source?: ReportSource;
+  reviewStatus?: ReviewStatus | null;
 }
 
+// Where a report came from; emailed tips are held for review before they are public
+export type ReportSource = 'web' | 'email';
+
+export type ReviewStatus = 'pending' | 'approved' | 'rejected';
+
 export interface UploadedFile {
   id: string;
   name: string;
   type: string;
   size: number;
   url: string;
-  thumbnailUrl?: string;
+  thumbnailUrl?: string | null;
+  mediumUrl?: string | null;
 }
 
 export type ReportStatus = 'Added' | 'Confirmed by NJDSC' | 'Reported to MVC' | 'Under Investigation' | 'Closed';
@@ -38,6 +50,251 @@ export interface StatusUpdateData {
   status: ReportStatus;
   adminNotes?: string;
   mvcReferenceNumber?: string;
+  closureReason?: string;
+}
+
+export interface StatusHistoryEntry {
+  from: ReportStatus | null;
+  to: ReportStatus;
+  changedBy: string;
+  changedAt: string;
+  notes?: string;
+  mvcReferenceNumber?: string;
+  closureReason?: string;
+}
+
+export interface ReportStatusHistory {
+  reportId: string;
+  currentStatus: ReportStatus;
+  history: StatusHistoryEntry[];
+}
+
+export interface ReportComment {
+  id: string;
+  reportId: string;
+  author: string;
+  body: string;
+  mentions: string[];
+  createdAt: string;
+  updatedAt: string;
+  editedAt: string | null;
+}
+
+export interface School {
+  id: string;
+  name: string;
+  aliases: string[];
+  phoneNumbers: string[];
+  websites: string[];
+  locations: string[];
+  reportIds: string[];
+  notes?: string | null;
+  createdAt: string;
+  updatedAt: string;
+  createdBy?: string | null;
+  reportCount?: number;
+}
+
+export interface SchoolReportSummary {
+  id: string;
+  schoolName: string;
+  status: ReportStatus;
+  location: string | null;
+  phoneNumber: string | null;
+  websiteUrl: string | null;
+  createdAt: string;
+  lastReported: string;
+}
+
+export interface SchoolDetail extends School {
+  reports: SchoolReportSummary[];
+}
+
+export interface LicenseCheck {
+  status: 'match' | 'no_match';
+  licensedSchoolId?: string;
+  licensedSchoolName?: string;
+  licenseNumber?: string | null;
+  score?: number;
+  reasons?: string[];
+  checkedAt: string;
+}
+
+export interface LicensedSchool {
+  id: string;
+  name: string;
+  licenseNumber: string | null;
+  phoneNumber: string | null;
+  websiteUrl: string | null;
+  address: string | null;
+  city: string | null;
+  importedAt: string;
+}
+
+export interface LicensedSchoolImportResult {
+  imported: number;
+  skipped: { row: number; error: string }[];
+  total: number;
+  replaced: boolean;
+  reportsChecked: number;
+  reportsUpdated: number;
+}
+
+export interface EmailTemplateVariable {
+  name: string;
+  description: string;
+  required: boolean;
+  defaultValue: string | null;
+}
+
+export interface EmailTemplate {
+  id: string;
+  name: string;
+  description: string;
+  subject: string;
+  body: string;
+  variables: EmailTemplateVariable[];
+  version: number;
+  createdAt: string;
+  updatedAt: string;
+  updatedBy: string | null;
+}
+
+export interface EmailTemplatePreview {
+  templateId: string;
+  version: number;
+  subject: string;
+  body: string;
+  variables: Record<string, string>;
+  missing: string[];
+}
+
+export type OutboundEmailStatus = 'queued' | 'sending' | 'retrying' | 'sent' | 'dead';
+
+export interface EmailAttachment {
+  fileId?: string | null;
+  filename: string;
+  contentType?: string | null;
+  size?: number;
+}
+
+export interface OutboundEmail {
+  id: string;
+  to: string;
+  subject: string;
+  body: string;
+  html: string | null;
+  cc: string | null;
+  bcc: string | null;
+  attachments: EmailAttachment[];
+  templateId: string | null;
+  templateVersion: number | null;
+  reportId: string | null;
+  source: 'manual' | 'notification';
+  status: OutboundEmailStatus;
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt: string | null;
+  lastError: string | null;
+  createdAt: string;
+  updatedAt: string;
+  sentAt: string | null;
+  createdBy: string;
+}
+
+export type InboundEmailStatus = 'ingested' | 'threaded' | 'skipped' | 'failed';
+
+export interface InboundEmail {
+  id: string;
+  messageKey: string;
+  messageId: string | null;
+  from: string | null;
+  fromName: string | null;
+  subject: string;
+  sentAt: string | null;
+  origin: string;
+  status: InboundEmailStatus;
+  reportId: string | null;
+  correspondenceId: string | null;
+  fileIds: string[];
+  skippedAttachments: { filename: string; reason: string }[];
+  error: string | null;
+  processedAt: string;
+}
+
+export interface InboundEmailRunSummary {
+  processed: number;
+  ingested: number;
+  threaded: number;
+  skipped: number;
+  failed: number;
+  duplicates: number;
+}
+
+// One message in the email conversation about a report
+export interface CorrespondenceEntry {
+  id: string;
+  direction: 'outbound' | 'inbound';
+  date: string;
+  from: string | null;
+  fromName: string | null;
+  to: string | null;
+  subject: string;
+  body: string;
+  attachments: { filename: string; contentType: string | null; size: number | null }[];
+  // Delivery status of sent mail
+  status: OutboundEmailStatus | null;
+  sentBy: string | null;
+  // Outbox message a reply answers
+  replyToId: string | null;
+}
+
+export interface MvcPackage {
+  packageId: string;
+  fileName: string;
+  sha256: string;
+  size: number;
+  files: string[];
+  email: { messageId: string; to: string; status: OutboundEmailStatus } | null;
+  report: { id: string; status: ReportStatus; mvcReferenceNumber: string };
+  downloadUrl: string;
+}
+
+export interface DuplicateReportSummary {
+  id: string;
+  schoolName: string;
+  status: ReportStatus;
+  location: string | null;
+  phoneNumber: string | null;
+  websiteUrl: string | null;
+  violationDescription: string | null;
+  fileCount: number;
+  createdAt: string;
+  lastReported: string;
+}
+
+export interface DuplicateCandidate {
+  id: string;
+  reportId: string;
+  duplicateOfId: string;
+  score: number;
+  reasons: string[];
+  status: 'pending' | 'dismissed' | 'merged';
+  detectedAt: string;
+  resolvedAt: string | null;
+  resolvedBy: string | null;
+  report: DuplicateReportSummary;
+  duplicateOf: DuplicateReportSummary;
+}
+
+export interface StatusWorkflowStep {
+  transitions: ReportStatus[];
+  requiredFields: { field: 'mvcReferenceNumber' | 'closureReason'; label: string }[];
+}
+
+export interface ReportWorkflow {
+  statuses: ReportStatus[];
+  workflow: Record<ReportStatus, StatusWorkflowStep>;
 }
 
 export interface AdminStats {
@@ -52,7 +309,7 @@ export interface AuditLogEntry {
   timestamp: string;
   action: string;
   adminUser: string;
-  targetType: 'report' | 'configuration' | 'system' | 'email' | 'bulk';
+  targetType: 'report' | 'configuration' | 'system' | 'email' | 'bulk' | 'user' | 'school';
   targetId?: string;
   details: string;
   ipAddress?: string;
@@ -63,13 +320,43 @@ export interface AuditLogEntry {
 export type AuditAction =
   | 'STATUS_UPDATE'
   | 'BULK_STATUS_UPDATE'
+  | 'REPORT_MERGED'
+  | 'REPORT_REVIEWED'
+  | 'REPORTS_EXPORTED'
+  | 'MVC_PACKAGE_CREATED'
+  | 'FILE_ORIGINAL_ACCESSED'
+  | 'FILE_DELETED'
+  | 'REPORT_LEGAL_HOLD_CHANGED'
+  | 'RETENTION_PURGE'
+  | 'SUBJECT_DATA_EXPORTED'
+  | 'SUBJECT_DATA_ERASED'
   | 'EMAIL_SENT'
+  | 'EMAIL_FAILED'
+  | 'EMAIL_RESENT'
+  | 'EMAIL_INGESTED'
+  | 'CORRESPONDENCE_RECEIVED'
   | 'CONFIGURATION_UPDATE'
   | 'LOGIN'
   | 'LOGOUT'
   | 'REPORT_VIEW'
   | 'ADMIN_NOTE_ADDED'
-  | 'MVC_REFERENCE_ADDED';
+  | 'MVC_REFERENCE_ADDED'
+  | 'USER_CREATED'
+  | 'USER_UPDATED'
+  | 'USER_DELETED'
+  | 'COMMENT_ADDED'
+  | 'COMMENT_UPDATED'
+  | 'COMMENT_DELETED'
+  | 'SCHOOL_CREATED'
+  | 'SCHOOL_UPDATED'
+  | 'SCHOOL_MERGED'
+  | 'SCHOOL_SPLIT'
+  | 'LICENSED_SCHOOLS_IMPORTED'
+  | 'EMAIL_TEMPLATE_CREATED'
+  | 'EMAIL_TEMPLATE_UPDATED'
+  | 'EMAIL_TEMPLATE_DELETED'
+  | 'NOTIFICATION_SENT'
+  | 'NOTIFICATION_FAILED';
 
 export interface AuditLogFilters {
   action?: AuditAction;
@@ -0,0 +1,111 @@
+// Local SMTP stand-in for tests: accepts mail over a real socket and keeps it in memory
+const net = require('net');
+
+/**
+ * Creates an SMTP server that speaks just enough of the protocol for Nodemailer.
+ * It offers no AUTH or STARTTLS, like a local mail catcher.
+ * @returns {Object} Server controls: listen, close, failNext, messages
+ */
+function createSmtpServer() {
+  const messages = [];
+  const sockets = new Set();
+  let failures = 0;
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let dataLines = [];
+    let envelope = { from: null, to: [] };
+
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost SMTP stand-in');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line !== '.') {
+            dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+            continue;
+          }
+
+          inData = false;
+          if (failures > 0) {
+            failures--;
+            reply('451 4.3.0 Temporary failure, try again later');
+          } else {
+            messages.push({ ...envelope, data: dataLines.join('\r\n') });
+            reply('250 2.0.0 Message accepted');
+          }
+          dataLines = [];
+          envelope = { from: null, to: [] };
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO') {
+          reply('250-localhost');
+          reply('250 8BITMIME');
+        } else if (command === 'HELO' || command === 'NOOP') {
+          reply('250 OK');
+        } else if (command === 'MAIL') {
+          envelope.from = line.slice(line.indexOf('<') + 1, line.indexOf('>'));
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.slice(line.indexOf('<') + 1, line.indexOf('>')));
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+
+  return {
+    messages,
+
+    /**
+     * Starts listening on a free local port
+     * @returns {Promise<number>} Port number
+     */
+    listen: () => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+    }),
+
+    /**
+     * Stops the server and drops open connections
+     * @returns {Promise<void>}
+     */
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => resolve());
+    }),
+
+    /**
+     * Rejects the next messages with a temporary failure
+     * @param {number} count - Number of messages to reject
+     */
+    failNext: (count) => {
+      failures = count;
+    }
+  };
+}
+
+module.exports = { createSmtpServer };
@@ -151,11 +151,14 @@ describe('FileUpload Component', () => {
       const uploadSpy = jest.spyOn(api.apiClient, 'uploadFiles');
       const validateSpy = jest.spyOn(api, 'validateFileForUpload');
 
+      const submission = { ticketId: 'report_20240101_000000_abc123', submissionToken: 'a'.repeat(32) };
+
       render(
         <FileUpload
           onFilesChange={mockOnFilesChange}
           onUploadComplete={mockOnUploadComplete}
           reportId="rep_abc123"
+          submission={submission}
         />
       );
 
@@ -186,7 +189,7 @@ describe('FileUpload Component', () => {
 
       // Wait for upload to complete
       await waitFor(() => {
-        expect(uploadSpy).toHaveBeenCalledWith([mockFile], 'rep_abc123');
+        expect(uploadSpy).toHaveBeenCalledWith([mockFile], 'rep_abc123', submission);
         expect(mockOnUploadComplete).toHaveBeenCalled();
       });
 
@@ -0,0 +1,69 @@
+/**
+ * Auth Middleware Tests for NJDSC School Compliance Portal
+ *
+ * Tests that authentication loads the signed-in user's current account.
+ */
+
+jest.mock('../../../server/services/authService', () => ({
+  verifyToken: jest.fn()
+}));
+
+const authService = require('../../../server/services/authService');
+const { authenticateAdmin, optionalAuthenticate } = require('../../../server/middleware/auth');
+
+describe('Auth Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { headers: { authorization: 'Bearer token-123' } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  describe('authenticateAdmin', () => {
+    test('should set the user as currently stored', async () => {
+      authService.verifyToken.mockResolvedValue({ id: 'user-1', username: 'jdoe', role: 'viewer' });
+
+      await authenticateAdmin(req, res, next);
+
+      expect(authService.verifyToken).toHaveBeenCalledWith('token-123');
+      expect(req.adminUser).toEqual({ id: 'user-1', username: 'jdoe', role: 'viewer' });
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject disabled or deleted accounts', async () => {
+      authService.verifyToken.mockRejectedValue(new Error('User not found or inactive'));
+
+      await authenticateAdmin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Account unavailable' }));
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should require a bearer token', async () => {
+      req.headers = {};
+
+      await authenticateAdmin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(authService.verifyToken).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('optionalAuthenticate', () => {
+    test('should continue as anonymous when the account is unavailable', async () => {
+      authService.verifyToken.mockRejectedValue(new Error('User not found or inactive'));
+
+      await optionalAuthenticate(req, res, next);
+
+      expect(req.adminUser).toBeUndefined();
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
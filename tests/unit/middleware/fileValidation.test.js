@@ -9,6 +9,7 @@ const {
   validateFileId,
   validateReportId,
   validateStatusUpdate,
+  validatePublicUpload,
   handleFileErrors
 } = require('../../../server/middleware/fileValidation');
 
@@ -255,6 +256,74 @@ describe('File Validation Middleware', () => {
     });
   });
 
+  describe('validatePublicUpload', () => {
+    const fileService = require('../../../server/services/fileService');
+    const reportService = require('../../../server/services/reportService');
+    const image = {
+      id: 'file_1',
+      reportId: 'rep_AAA111',
+      mimeType: 'image/jpeg',
+      publicUrl: '/uploads/rep_1/photo_1.jpg',
+      thumbnailUrl: '/uploads/rep_1/photo_1_thumb.jpg',
+      metadataStrippedAt: '2024-01-01T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+      jest.spyOn(fileService, 'getFileByUrl');
+      jest.spyOn(reportService, 'getReportById').mockImplementation(async id => (id === 'rep_AAA111' ? { id } : null));
+    });
+
+    afterEach(() => {
+      fileService.getFileByUrl.mockRestore();
+      reportService.getReportById.mockRestore();
+    });
+
+    it('should pass sanitized images on to the static handler', async () => {
+      fileService.getFileByUrl.mockResolvedValue(image);
+      req.path = '/rep_1/photo_1.jpg';
+
+      await validatePublicUpload(req, res, next);
+
+      expect(fileService.getFileByUrl).toHaveBeenCalledWith('/uploads/rep_1/photo_1.jpg');
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should pass renditions on to the static handler', async () => {
+      fileService.getFileByUrl.mockResolvedValue({ ...image, metadataStrippedAt: null });
+      req.path = '/rep_1/photo_1_thumb.jpg';
+
+      await validatePublicUpload(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it.each([
+      ['unsanitized images', { ...image, metadataStrippedAt: null }],
+      ['videos', { ...image, mimeType: 'video/mp4', publicUrl: '/uploads/rep_1/photo_1.jpg' }],
+      ['files on reports held for review', { ...image, reportId: 'rep_HELD01' }],
+      ['unknown files', null]
+    ])('should not serve %s', async (label, file) => {
+      fileService.getFileByUrl.mockResolvedValue(file);
+      req.path = '/rep_1/photo_1.jpg';
+
+      await validatePublicUpload(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'File not found' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should not serve malformed paths', async () => {
+      req.path = '/rep_1/%E0%A4%A.jpg';
+
+      await validatePublicUpload(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(fileService.getFileByUrl).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe('handleFileErrors', () => {
     it('should handle LIMIT_FILE_SIZE error', () => {
       const error = { code: 'LIMIT_FILE_SIZE' };
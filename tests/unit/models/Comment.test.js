@@ -0,0 +1,75 @@
+/**
+ * Unit tests for Comment model
+ */
+
+const Comment = require('../../../server/models/Comment');
+
+describe('Comment Model', () => {
+  const validData = {
+    id: 'cmt_ABCD1234',
+    reportId: 'rep_ABC123',
+    author: 'investigator1',
+    body: 'Called the school, no answer',
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-01T00:00:00.000Z'
+  };
+
+  describe('constructor and validation', () => {
+    test('should create a valid comment', () => {
+      const comment = new Comment(validData);
+
+      expect(comment.id).toBe('cmt_ABCD1234');
+      expect(comment.mentions).toEqual([]);
+      expect(comment.editedAt).toBeNull();
+    });
+
+    test('should reject an empty body', () => {
+      expect(() => new Comment({ ...validData, body: '   ' })).toThrow('Comment validation failed');
+    });
+
+    test('should reject a body longer than the maximum length', () => {
+      const body = 'a'.repeat(Comment.getMaxLength() + 1);
+      expect(() => new Comment({ ...validData, body })).toThrow('Comment validation failed');
+    });
+  });
+
+  describe('create', () => {
+    test('should generate an ID and timestamps', () => {
+      const comment = Comment.create({ reportId: 'rep_ABC123', author: 'admin', body: 'Note' });
+
+      expect(comment.id).toMatch(/^cmt_[a-zA-Z0-9]{8}$/);
+      expect(comment.createdAt).toBe(comment.updatedAt);
+      expect(comment.editedAt).toBeNull();
+    });
+  });
+
+  describe('update', () => {
+    test('should replace the body and mark the comment as edited', () => {
+      const comment = new Comment(validData);
+      const updated = comment.update({ body: 'Reached the owner', mentions: ['admin'] });
+
+      expect(updated.id).toBe(comment.id);
+      expect(updated.author).toBe('investigator1');
+      expect(updated.body).toBe('Reached the owner');
+      expect(updated.mentions).toEqual(['admin']);
+      expect(updated.editedAt).toBeDefined();
+      expect(updated.createdAt).toBe(comment.createdAt);
+    });
+  });
+
+  describe('extractMentions', () => {
+    test('should find unique mentions in order', () => {
+      expect(Comment.extractMentions('@alice please check with @bob.smith and @alice'))
+        .toEqual(['alice', 'bob.smith']);
+    });
+
+    test('should ignore email addresses and trailing punctuation', () => {
+      expect(Comment.extractMentions('Mail owner@school.com, then ask @carol.'))
+        .toEqual(['carol']);
+    });
+
+    test('should return an empty list when there are no mentions', () => {
+      expect(Comment.extractMentions('No mentions here')).toEqual([]);
+    });
+  });
+});
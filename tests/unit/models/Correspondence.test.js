@@ -0,0 +1,53 @@
+/**
+ * Unit tests for Correspondence model
+ */
+
+const Correspondence = require('../../../server/models/Correspondence');
+
+describe('Correspondence Model', () => {
+  const validData = {
+    reportId: 'rep_ABC123',
+    outboundEmailId: 'eml_ABCDEFGHIJ',
+    messageId: 'reply-1@mvc.example.gov',
+    from: 'referrals@mvc.example.gov',
+    fromName: 'MVC Referrals',
+    subject: 'Re: Referral',
+    body: 'We have opened a case.',
+    attachments: [{ filename: 'case.pdf', contentType: 'application/pdf', size: 120, path: 'cor_ABCDEFGHIJ/1-case.pdf' }],
+    receivedAt: '2024-01-15T12:00:00.000Z'
+  };
+
+  test('should create an entry with a generated ID and timestamp', () => {
+    const entry = Correspondence.create(validData);
+
+    expect(entry.id).toMatch(/^cor_[a-zA-Z0-9]{10}$/);
+    expect(entry.createdAt).toEqual(expect.any(String));
+    expect(entry.receivedAt).toBe('2024-01-15T12:00:00.000Z');
+    expect(entry.attachments).toHaveLength(1);
+  });
+
+  test('should keep a given ID and default optional fields', () => {
+    const entry = Correspondence.create({
+      id: 'cor_ABCDEFGHIJ',
+      reportId: 'rep_ABC123',
+      outboundEmailId: 'eml_ABCDEFGHIJ',
+      from: 'referrals@mvc.example.gov'
+    });
+
+    expect(entry.id).toBe('cor_ABCDEFGHIJ');
+    expect(entry.messageId).toBeNull();
+    expect(entry.fromName).toBe('');
+    expect(entry.body).toBe('');
+    expect(entry.attachments).toEqual([]);
+  });
+
+  test('should reject invalid report and outbox message IDs', () => {
+    expect(() => Correspondence.create({ ...validData, reportId: 'report-1' })).toThrow('Correspondence validation failed');
+    expect(() => Correspondence.create({ ...validData, outboundEmailId: 'inb_ABCDEFGHIJ' })).toThrow('Correspondence validation failed');
+  });
+
+  test('should require a stored path for each attachment', () => {
+    expect(() => Correspondence.create({ ...validData, attachments: [{ filename: 'case.pdf', contentType: 'application/pdf', size: 120 }] }))
+      .toThrow('Correspondence validation failed');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for DuplicateCandidate model
+ */
+
+const DuplicateCandidate = require('../../../server/models/DuplicateCandidate');
+
+describe('DuplicateCandidate Model', () => {
+  const validData = {
+    id: 'dup_ABC123',
+    reportId: 'rep_NEW123',
+    duplicateOfId: 'rep_OLD123',
+    score: 0.92,
+    reasons: ['Similar school name (92%)'],
+    status: 'pending',
+    detectedAt: '2023-01-01T00:00:00.000Z'
+  };
+
+  describe('constructor and validation', () => {
+    test('should create a valid candidate', () => {
+      const candidate = new DuplicateCandidate(validData);
+
+      expect(candidate.id).toBe('dup_ABC123');
+      expect(candidate.resolvedAt).toBeNull();
+      expect(candidate.resolvedBy).toBeNull();
+    });
+
+    test('should reject a pair that points at the same report', () => {
+      expect(() => new DuplicateCandidate({ ...validData, duplicateOfId: 'rep_NEW123' }))
+        .toThrow('Duplicate candidate validation failed');
+    });
+
+    test('should reject scores outside 0 to 1 and unknown statuses', () => {
+      expect(() => new DuplicateCandidate({ ...validData, score: 1.5 })).toThrow('Duplicate candidate validation failed');
+      expect(() => new DuplicateCandidate({ ...validData, status: 'open' })).toThrow('Duplicate candidate validation failed');
+    });
+  });
+
+  describe('create', () => {
+    test('should generate an ID and start pending', () => {
+      const candidate = DuplicateCandidate.create({
+        reportId: 'rep_NEW123',
+        duplicateOfId: 'rep_OLD123',
+        score: 0.8,
+        reasons: []
+      });
+
+      expect(candidate.id).toMatch(/^dup_[a-zA-Z0-9]{6}$/);
+      expect(candidate.status).toBe('pending');
+      expect(candidate.detectedAt).toBeTruthy();
+    });
+  });
+
+  describe('resolve', () => {
+    test('should record who resolved the candidate and when', () => {
+      const resolved = new DuplicateCandidate(validData).resolve('dismissed', 'investigator1');
+
+      expect(resolved.status).toBe('dismissed');
+      expect(resolved.resolvedBy).toBe('investigator1');
+      expect(resolved.resolvedAt).toBeTruthy();
+    });
+  });
+
+  describe('isPair', () => {
+    test('should match the pair in either order', () => {
+      const candidate = new DuplicateCandidate(validData);
+
+      expect(candidate.isPair('rep_NEW123', 'rep_OLD123')).toBe(true);
+      expect(candidate.isPair('rep_OLD123', 'rep_NEW123')).toBe(true);
+      expect(candidate.isPair('rep_NEW123', 'rep_OTHER1')).toBe(false);
+    });
+  });
+});
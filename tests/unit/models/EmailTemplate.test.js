@@ -0,0 +1,117 @@
+/**
+ * Unit tests for EmailTemplate model
+ */
+
+const EmailTemplate = require('../../../server/models/EmailTemplate');
+
+describe('EmailTemplate Model', () => {
+  const validData = {
+    id: 'case_closed',
+    name: 'Case Closed Notification',
+    description: 'Sent when a case is closed',
+    subject: 'Case Closed - [[schoolName]]',
+    body: 'Dear [[reporterName]],\n\nYour report [[reportId]] about [[schoolName]] is closed.',
+    variables: [
+      { name: 'reporterName', required: false, defaultValue: 'Reporter' },
+      { name: 'reportId' },
+      { name: 'schoolName', description: 'Reported school' }
+    ],
+    version: 1,
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-01T00:00:00.000Z',
+    updatedBy: 'admin'
+  };
+
+  describe('constructor and validation', () => {
+    test('should create a valid template with variable defaults applied', () => {
+      const template = new EmailTemplate(validData);
+
+      expect(template.id).toBe('case_closed');
+      expect(template.version).toBe(1);
+      expect(template.variables[1]).toEqual({ name: 'reportId', description: '', required: true, defaultValue: null });
+    });
+
+    test('should reject invalid template IDs', () => {
+      expect(() => new EmailTemplate({ ...validData, id: 'Case Closed' })).toThrow('Email template validation failed');
+      expect(() => new EmailTemplate({ ...validData, id: '1case' })).toThrow('Email template validation failed');
+    });
+
+    test('should require a subject and body', () => {
+      expect(() => new EmailTemplate({ ...validData, subject: '' })).toThrow('Email template validation failed');
+      expect(() => new EmailTemplate({ ...validData, body: undefined })).toThrow('Email template validation failed');
+    });
+
+    test('should reject placeholders that are not declared', () => {
+      expect(() => new EmailTemplate({ ...validData, body: 'Hello [[reporterName]] from [[location]]' }))
+        .toThrow('Email template validation failed: undeclared variable(s) [[location]]');
+    });
+
+    test('should reject duplicate variable names', () => {
+      const variables = [...validData.variables, { name: 'reportId' }];
+      expect(() => new EmailTemplate({ ...validData, variables })).toThrow('Email template validation failed');
+    });
+  });
+
+  describe('getPlaceholders', () => {
+    test('should list unique placeholder names in order', () => {
+      expect(EmailTemplate.getPlaceholders('[[b]] and [[a]] then [[b]] [[not valid]]')).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('create', () => {
+    test('should start at version 1 with timestamps', () => {
+      const { id, name, subject, body, variables } = validData;
+      const template = EmailTemplate.create({ id, name, subject, body, variables }, 'admin');
+
+      expect(template.version).toBe(1);
+      expect(template.createdAt).toBe(template.updatedAt);
+      expect(template.updatedBy).toBe('admin');
+    });
+  });
+
+  describe('render', () => {
+    test('should fill values, fall back to defaults and ignore undeclared names', () => {
+      const template = new EmailTemplate(validData);
+
+      const rendered = template.render({ reportId: 'rep_ABC123', schoolName: 'ABC Driving', extra: 'x' });
+
+      expect(rendered.subject).toBe('Case Closed - ABC Driving');
+      expect(rendered.body).toBe('Dear Reporter,\n\nYour report rep_ABC123 about ABC Driving is closed.');
+      expect(rendered.variables).toEqual({ reporterName: 'Reporter', reportId: 'rep_ABC123', schoolName: 'ABC Driving' });
+      expect(rendered.missing).toEqual([]);
+    });
+
+    test('should leave missing required variables as placeholders and report them', () => {
+      const template = new EmailTemplate(validData);
+
+      const rendered = template.render({ schoolName: '  ' });
+
+      expect(rendered.missing).toEqual(['reportId', 'schoolName']);
+      expect(rendered.subject).toBe('Case Closed - [[schoolName]]');
+    });
+
+    test('should render optional variables without a value as empty', () => {
+      const template = new EmailTemplate({
+        ...validData,
+        subject: 'Note [[note]]',
+        variables: [...validData.variables, { name: 'note', required: false }]
+      });
+
+      expect(template.render({}).subject).toBe('Note');
+    });
+  });
+
+  describe('toVersion', () => {
+    test('should snapshot the template content', () => {
+      const version = new EmailTemplate(validData).toVersion();
+
+      expect(version).toMatchObject({
+        templateId: 'case_closed',
+        version: 1,
+        subject: validData.subject,
+        updatedBy: 'admin'
+      });
+      expect(version.id).toBeUndefined();
+    });
+  });
+});
@@ -30,6 +30,30 @@ describe('File Model', () => {
       expect(file.processingStatus).toBe('completed');
     });
 
+    test('should keep the original location and EXIF of a sanitized upload', () => {
+      const exif = { ifd0: { Model: 'Phone' }, exif: {}, gps: { GPSLatitudeRef: 'N' }, location: { latitude: 40.5, longitude: -74.25 } };
+      const file = new File({
+        id: 'file_ABC123',
+        reportId: 'rep_DEF456',
+        originalName: 'test.jpg',
+        mimeType: 'image/jpeg',
+        size: 1024,
+        localFilePath: 'uploads/rep_DEF456/test.jpg',
+        publicUrl: '/uploads/rep_DEF456/test.jpg',
+        uploadedAt: '2025-09-26T21:25:00.000Z',
+        processingStatus: 'processing',
+        originalFilePath: '/data/originals/rep_DEF456/test.jpg',
+        exif,
+        metadataStrippedAt: '2025-09-26T21:25:00.000Z'
+      });
+
+      const updatedFile = file.updateProcessingStatus('completed');
+
+      expect(updatedFile.originalFilePath).toBe('/data/originals/rep_DEF456/test.jpg');
+      expect(updatedFile.exif).toEqual(exif);
+      expect(updatedFile.metadataStrippedAt).toBe('2025-09-26T21:25:00.000Z');
+    });
+
     test('should throw error for invalid data', () => {
       const invalidData = {
         id: 'invalid_id',
@@ -113,9 +137,9 @@ describe('File Model', () => {
       expect(url).toBe('/uploads/rep_ABC123/test.jpg');
     });
 
-    test('should generate thumbnail URL', () => {
-      const url = File.generateThumbnailUrl('uploads/rep_ABC123/test.jpg');
-      expect(url).toBe('/uploads/rep_ABC123/test.jpg');
+    test('should generate thumbnail rendition URL', () => {
+      const url = File.generateThumbnailUrl('uploads/rep_ABC123/test.png');
+      expect(url).toBe('/uploads/rep_ABC123/test.thumbnail.jpg');
     });
   });
 
@@ -181,6 +205,33 @@ describe('File Model', () => {
       expect(updatedFile.id).toBe(file.id);
     });
 
+    test('should record rendition URLs and dimensions with the status', () => {
+      const file = new File({
+        id: 'file_ABC123',
+        reportId: 'rep_DEF456',
+        originalName: 'test.jpg',
+        mimeType: 'image/jpeg',
+        size: 1024000,
+        localFilePath: 'uploads/rep_DEF456/test.jpg',
+        publicUrl: '/uploads/rep_DEF456/test.jpg',
+        uploadedAt: '2025-09-26T21:25:00.000Z',
+        processingStatus: 'processing'
+      });
+
+      const updatedFile = file.updateProcessingStatus('completed', {
+        thumbnailUrl: '/uploads/rep_DEF456/test.thumbnail.jpg',
+        mediumUrl: '/uploads/rep_DEF456/test.medium.jpg',
+        width: 3000,
+        height: 4000
+      });
+
+      expect(updatedFile.processingStatus).toBe('completed');
+      expect(updatedFile.thumbnailUrl).toBe('/uploads/rep_DEF456/test.thumbnail.jpg');
+      expect(updatedFile.mediumUrl).toBe('/uploads/rep_DEF456/test.medium.jpg');
+      expect(updatedFile.width).toBe(3000);
+      expect(updatedFile.height).toBe(4000);
+    });
+
     test('should throw error for invalid status', () => {
       const file = new File({
         id: 'file_ABC123',
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for InboundEmail model
+ */
+
+const InboundEmail = require('../../../server/models/InboundEmail');
+
+describe('InboundEmail Model', () => {
+  const validData = {
+    id: 'inb_ABCDEFGHIJ',
+    messageKey: 'abc@example.com',
+    messageId: 'abc@example.com',
+    from: 'jane@example.com',
+    fromName: 'Jane Doe',
+    subject: 'Ace Driving School',
+    sentAt: '2024-01-15T12:00:00.000Z',
+    origin: 'new/1705320000.M1P1.host',
+    status: 'ingested',
+    reportId: 'rep_ABC123',
+    fileIds: ['file_1'],
+    processedAt: '2024-01-15T12:01:00.000Z'
+  };
+
+  test('should create a valid record with optional fields defaulted', () => {
+    const record = new InboundEmail({
+      id: 'inb_ABCDEFGHIJ',
+      messageKey: 'sha256:abc',
+      origin: 'tips.mbox',
+      status: 'skipped',
+      processedAt: '2024-01-15T12:01:00.000Z'
+    });
+
+    expect(record.messageId).toBeNull();
+    expect(record.from).toBeNull();
+    expect(record.subject).toBe('');
+    expect(record.reportId).toBeNull();
+    expect(record.fileIds).toEqual([]);
+    expect(record.skippedAttachments).toEqual([]);
+    expect(record.error).toBeNull();
+  });
+
+  test('should reject an invalid ID, status or report ID', () => {
+    expect(() => new InboundEmail({ ...validData, id: 'eml_ABCDEFGHIJ' })).toThrow('Inbound email validation failed');
+    expect(() => new InboundEmail({ ...validData, status: 'queued' })).toThrow('Inbound email validation failed');
+    expect(() => new InboundEmail({ ...validData, reportId: 'report-1' })).toThrow('Inbound email validation failed');
+  });
+
+  test('should require a reason for each skipped attachment', () => {
+    expect(() => new InboundEmail({ ...validData, skippedAttachments: [{ filename: 'notes.docx' }] }))
+      .toThrow('Inbound email validation failed');
+  });
+
+  test('create should generate an ID and processing time', () => {
+    const { id, processedAt, ...data } = validData;
+    const record = InboundEmail.create(data);
+
+    expect(record.id).toMatch(/^inb_[a-zA-Z0-9]{10}$/);
+    expect(new Date(record.processedAt).toISOString()).toBe(record.processedAt);
+    expect(InboundEmail.getStatusEnum()).toEqual({ INGESTED: 'ingested', THREADED: 'threaded', SKIPPED: 'skipped', FAILED: 'failed' });
+  });
+});
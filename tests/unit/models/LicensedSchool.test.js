@@ -0,0 +1,65 @@
+/**
+ * Unit tests for LicensedSchool model
+ */
+
+const LicensedSchool = require('../../../server/models/LicensedSchool');
+
+describe('LicensedSchool Model', () => {
+  const validData = {
+    id: 'lic_ABC123',
+    name: 'ABC Driving School',
+    licenseNumber: 'DS-1234',
+    phoneNumber: '(973) 555-1234',
+    websiteUrl: 'https://abcdriving.com',
+    address: '1 Main St',
+    city: 'Newark',
+    importedAt: '2023-01-01T00:00:00.000Z'
+  };
+
+  describe('constructor and validation', () => {
+    test('should create a valid licensed school', () => {
+      const school = new LicensedSchool(validData);
+
+      expect(school.name).toBe('ABC Driving School');
+      expect(school.licenseNumber).toBe('DS-1234');
+    });
+
+    test('should default missing optional fields to null', () => {
+      const school = new LicensedSchool({ id: 'lic_ABC123', name: 'ABC', importedAt: validData.importedAt });
+
+      expect(school.licenseNumber).toBeNull();
+      expect(school.phoneNumber).toBeNull();
+      expect(school.websiteUrl).toBeNull();
+      expect(school.city).toBeNull();
+    });
+
+    test('should require a name', () => {
+      expect(() => new LicensedSchool({ ...validData, name: '' })).toThrow('Licensed school validation failed');
+      expect(() => new LicensedSchool({ ...validData, name: undefined })).toThrow('Licensed school validation failed');
+    });
+
+    test('should reject a malformed ID', () => {
+      expect(() => new LicensedSchool({ ...validData, id: 'sch_ABC123' })).toThrow('Licensed school validation failed');
+    });
+  });
+
+  describe('create', () => {
+    test('should generate an ID and import timestamp', () => {
+      const school = LicensedSchool.create({ name: 'XYZ Driving' });
+
+      expect(school.id).toMatch(/^lic_[a-zA-Z0-9]{6}$/);
+      expect(new Date(school.importedAt).toISOString()).toBe(school.importedAt);
+    });
+  });
+
+  describe('toComparable', () => {
+    test('should expose report-shaped fields for similarity scoring', () => {
+      expect(new LicensedSchool(validData).toComparable()).toEqual({
+        schoolName: 'ABC Driving School',
+        phoneNumber: '(973) 555-1234',
+        websiteUrl: 'https://abcdriving.com',
+        location: 'Newark'
+      });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for OutboundEmail model
+ */
+
+const OutboundEmail = require('../../../server/models/OutboundEmail');
+
+describe('OutboundEmail Model', () => {
+  const validData = {
+    id: 'eml_ABCDEFGHIJ',
+    to: 'reporter@example.com',
+    subject: 'NJDSC Report Confirmation',
+    body: 'Thank you for your report.',
+    templateId: 'confirmation',
+    templateVersion: 1,
+    reportId: 'rep_ABC123',
+    source: 'notification',
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: 5,
+    nextAttemptAt: '2023-01-01T00:00:00.000Z',
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-01T00:00:00.000Z',
+    createdBy: 'system'
+  };
+
+  describe('constructor and validation', () => {
+    test('should create a valid message with optional fields defaulted', () => {
+      const message = new OutboundEmail(validData);
+
+      expect(message.id).toBe('eml_ABCDEFGHIJ');
+      expect(message.cc).toBeNull();
+      expect(message.attachments).toEqual([]);
+      expect(message.lastError).toBeNull();
+      expect(message.sentAt).toBeNull();
+      expect(message.ipAddress).toBeNull();
+    });
+
+    test('should reject an invalid recipient, status or source', () => {
+      expect(() => new OutboundEmail({ ...validData, to: 'not-an-email' })).toThrow('Outbound email validation failed');
+      expect(() => new OutboundEmail({ ...validData, status: 'lost' })).toThrow('Outbound email validation failed');
+      expect(() => new OutboundEmail({ ...validData, source: 'pigeon' })).toThrow('Outbound email validation failed');
+    });
+
+    test('should require a subject and body', () => {
+      expect(() => new OutboundEmail({ ...validData, subject: '  ' })).toThrow('Outbound email validation failed');
+      expect(() => new OutboundEmail({ ...validData, body: '' })).toThrow('Outbound email validation failed');
+    });
+  });
+
+  describe('create', () => {
+    test('should queue a manual message that is due immediately', () => {
+      const message = OutboundEmail.create(
+        { to: 'a@example.com', subject: 'Hello', body: 'Body' },
+        { maxAttempts: 3, createdBy: 'investigator', ipAddress: '10.0.0.1' }
+      );
+
+      expect(message.id).toMatch(/^eml_[a-zA-Z0-9]{10}$/);
+      expect(message.source).toBe('manual');
+      expect(message.status).toBe('queued');
+      expect(message.attempts).toBe(0);
+      expect(message.maxAttempts).toBe(3);
+      expect(message.createdBy).toBe('investigator');
+      expect(message.isDue()).toBe(true);
+    });
+  });
+
+  describe('isDue', () => {
+    test('should only be due while waiting and once the next attempt time has passed', () => {
+      const now = new Date('2023-01-01T00:10:00.000Z');
+
+      expect(new OutboundEmail({ ...validData, status: 'retrying', nextAttemptAt: '2023-01-01T00:05:00.000Z' }).isDue(now)).toBe(true);
+      expect(new OutboundEmail({ ...validData, status: 'retrying', nextAttemptAt: '2023-01-01T00:15:00.000Z' }).isDue(now)).toBe(false);
+      expect(new OutboundEmail({ ...validData, status: 'sent' }).isDue(now)).toBe(false);
+      expect(new OutboundEmail({ ...validData, status: 'dead', nextAttemptAt: null }).isDue(now)).toBe(false);
+    });
+  });
+});
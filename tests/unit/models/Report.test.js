@@ -65,6 +65,41 @@ describe('Report Model', () => {
       expect(report.updatedAt).toBeDefined();
       expect(report.lastReported).toBeDefined();
     });
+
+    test('should seed the status history with the initial status', () => {
+      const report = Report.create({ schoolName: 'New School' }, '127.0.0.1');
+
+      expect(report.statusHistory).toEqual([{
+        from: null,
+        to: 'Added',
+        changedBy: 'reporter',
+        changedAt: report.createdAt
+      }]);
+    });
+  });
+
+  describe('buildHistoryEntry', () => {
+    test('should record who changed the status and the details of the change', () => {
+      const entry = Report.buildHistoryEntry('Added', 'Closed', {
+        changedBy: 'investigator1',
+        notes: 'Duplicate',
+        closureReason: 'Duplicate report'
+      });
+
+      expect(entry).toEqual({
+        from: 'Added',
+        to: 'Closed',
+        changedBy: 'investigator1',
+        changedAt: expect.any(String),
+        notes: 'Duplicate',
+        mvcReferenceNumber: '',
+        closureReason: 'Duplicate report'
+      });
+    });
+
+    test('should default the author to system', () => {
+      expect(Report.buildHistoryEntry('Added', 'Confirmed by NJDSC', {}).changedBy).toBe('system');
+    });
   });
 
 
@@ -114,4 +149,85 @@ describe('Report Model', () => {
       expect(statusEnum).toHaveProperty('REPORTED_TO_MVC', 'Reported to MVC');
     });
   });
-});
\ No newline at end of file
+
+  describe('source and review', () => {
+    const data = {
+      id: 'rep_ABC123',
+      schoolName: 'Test School',
+      status: 'Added',
+      lastReported: '2025-09-26T21:25:00.000Z',
+      createdAt: '2025-09-26T21:25:00.000Z',
+      updatedAt: '2025-09-26T21:25:00.000Z'
+    };
+
+    test('should default to a web report that is not held', () => {
+      const report = new Report(data);
+
+      expect(report.source).toBe('web');
+      expect(report.reviewStatus).toBeNull();
+      expect(Report.isPublic(report)).toBe(true);
+    });
+
+    test('should only make held reports public once approved', () => {
+      expect(Report.isPublic(new Report({ ...data, source: 'email', reviewStatus: 'pending' }))).toBe(false);
+      expect(Report.isPublic(new Report({ ...data, source: 'email', reviewStatus: 'rejected' }))).toBe(false);
+      expect(Report.isPublic(new Report({ ...data, source: 'email', reviewStatus: 'approved' }))).toBe(true);
+    });
+
+    test('should reject an unknown source or review status', () => {
+      const originalConsoleError = console.error;
+      console.error = jest.fn();
+
+      expect(() => new Report({ ...data, source: 'fax' })).toThrow();
+      expect(() => new Report({ ...data, reviewStatus: 'maybe' })).toThrow();
+
+      console.error = originalConsoleError;
+    });
+  });
+
+  describe('status workflow', () => {
+    test('should expose a transition list for every status', () => {
+      const workflow = Report.getStatusWorkflow();
+
+      Object.values(Report.getStatusEnum()).forEach(status => {
+        expect(workflow[status]).toBeDefined();
+        expect(Array.isArray(workflow[status].transitions)).toBe(true);
+      });
+    });
+
+    test('should allow defined transitions', () => {
+      expect(() => Report.validateStatusTransition('Added', 'Confirmed by NJDSC')).not.toThrow();
+      expect(() => Report.validateStatusTransition('Closed', 'Under Investigation')).not.toThrow();
+    });
+
+    test('should allow keeping the current status', () => {
+      expect(() => Report.validateStatusTransition('Confirmed by NJDSC', 'Confirmed by NJDSC')).not.toThrow();
+    });
+
+    test('should reject transitions outside the workflow', () => {
+      expect(() => Report.validateStatusTransition('Closed', 'Added'))
+        .toThrow('cannot change status from "Closed" to "Added"');
+      expect(() => Report.validateStatusTransition('Added', 'Reported to MVC'))
+        .toThrow('Status transition validation failed');
+    });
+
+    test('should require an MVC reference number for Reported to MVC', () => {
+      expect(() => Report.validateStatusTransition('Confirmed by NJDSC', 'Reported to MVC', {}))
+        .toThrow('MVC reference number required');
+      expect(() => Report.validateStatusTransition('Confirmed by NJDSC', 'Reported to MVC', { mvcReferenceNumber: 'MVC-1' }))
+        .not.toThrow();
+    });
+
+    test('should require a closure reason for Closed', () => {
+      expect(() => Report.validateStatusTransition('Added', 'Closed', { closureReason: '  ' }))
+        .toThrow('Closure reason required');
+      expect(() => Report.validateStatusTransition('Added', 'Closed', { closureReason: 'Duplicate submission' }))
+        .not.toThrow();
+    });
+
+    test('should list allowed transitions', () => {
+      expect(Report.getAllowedTransitions('Closed')).toEqual(['Under Investigation']);
+      expect(Report.getAllowedTransitions('Unknown')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for RetentionRule model
+ */
+
+const RetentionRule = require('../../../server/models/RetentionRule');
+
+describe('RetentionRule Model', () => {
+  const validData = {
+    id: 'reporter-ip',
+    action: 'purge_reporter_ip',
+    afterDays: 90
+  };
+
+  describe('constructor and validation', () => {
+    test('should create a valid rule with defaults', () => {
+      const rule = new RetentionRule(validData);
+
+      expect(rule).toEqual({ ...validData, from: 'created', enabled: true, description: '' });
+    });
+
+    test('should reject unknown actions and non-positive periods', () => {
+      expect(() => new RetentionRule({ ...validData, action: 'shred' })).toThrow('Retention rule validation failed');
+      expect(() => new RetentionRule({ ...validData, afterDays: 0 })).toThrow('Retention rule validation failed');
+      expect(() => new RetentionRule({ ...validData, id: 'Reporter IP' })).toThrow('Retention rule validation failed');
+    });
+  });
+
+  describe('fromList', () => {
+    test('should reject duplicate IDs and non-arrays', () => {
+      expect(() => RetentionRule.fromList([validData, validData])).toThrow('duplicate rule id "reporter-ip"');
+      expect(() => RetentionRule.fromList({})).toThrow('rules must be an array');
+    });
+  });
+
+  describe('getDueDate', () => {
+    const report = {
+      status: 'Closed',
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-06-01T00:00:00.000Z',
+      statusHistory: [
+        { from: 'Added', to: 'Closed', changedAt: '2023-02-01T00:00:00.000Z' },
+        { from: 'Closed', to: 'Under Investigation', changedAt: '2023-03-01T00:00:00.000Z' },
+        { from: 'Under Investigation', to: 'Closed', changedAt: '2023-04-01T00:00:00.000Z' }
+      ]
+    };
+
+    test('should count from creation', () => {
+      expect(new RetentionRule(validData).getDueDate(report).toISOString()).toBe('2023-04-01T00:00:00.000Z');
+    });
+
+    test('should count from the last time the report was closed', () => {
+      const rule = new RetentionRule({ ...validData, from: 'closed', afterDays: 10 });
+
+      expect(rule.getDueDate(report).toISOString()).toBe('2023-04-11T00:00:00.000Z');
+      expect(rule.getDueDate({ ...report, statusHistory: [] }).toISOString()).toBe('2023-06-11T00:00:00.000Z');
+      expect(rule.getDueDate({ ...report, status: 'Added' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for School model
+ */
+
+const School = require('../../../server/models/School');
+
+describe('School Model', () => {
+  const validData = {
+    id: 'sch_ABC123',
+    name: 'ABC Driving School',
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-01T00:00:00.000Z'
+  };
+
+  describe('constructor and validation', () => {
+    test('should create a valid school with empty lists', () => {
+      const school = new School(validData);
+
+      expect(school.aliases).toEqual([]);
+      expect(school.phoneNumbers).toEqual([]);
+      expect(school.reportIds).toEqual([]);
+    });
+
+    test('should reject an invalid ID', () => {
+      expect(() => new School({ ...validData, id: 'bad' })).toThrow('School validation failed');
+    });
+  });
+
+  describe('normalizeName', () => {
+    test('should ignore punctuation, case and business suffixes', () => {
+      expect(School.normalizeName('A.B.C. Driving School, LLC')).toBe('abc driving school');
+      expect(School.normalizeName('abc   driving school')).toBe('abc driving school');
+      expect(School.normalizeName('Smith & Sons Driving Inc.')).toBe('smith and sons driving');
+    });
+
+    test('should keep a name that is only a suffix word', () => {
+      expect(School.normalizeName('Co')).toBe('co');
+    });
+  });
+
+  describe('matchesName', () => {
+    test('should match the canonical name and aliases', () => {
+      const school = new School({ ...validData, aliases: ['Triple A Driving'] });
+
+      expect(school.matchesName('A.B.C. Driving School LLC')).toBe(true);
+      expect(school.matchesName('triple a driving')).toBe(true);
+      expect(school.matchesName('XYZ Driving')).toBe(false);
+    });
+  });
+
+  describe('addSighting', () => {
+    test('should collect aliases, contact details and the report ID', () => {
+      const school = new School(validData);
+
+      const updated = school.addSighting({
+        id: 'rep_AAA111',
+        schoolName: 'A.B.C. Driving School LLC',
+        phoneNumber: '555-123-4567',
+        websiteUrl: 'https://abc.example.com',
+        location: 'Newark'
+      });
+
+      expect(updated.aliases).toEqual(['A.B.C. Driving School LLC']);
+      expect(updated.phoneNumbers).toEqual(['555-123-4567']);
+      expect(updated.websites).toEqual(['https://abc.example.com']);
+      expect(updated.locations).toEqual(['Newark']);
+      expect(updated.reportIds).toEqual(['rep_AAA111']);
+    });
+
+    test('should not duplicate values or add the canonical name as an alias', () => {
+      const school = new School({ ...validData, locations: ['Newark'], reportIds: ['rep_AAA111'] });
+
+      const updated = school.addSighting({ id: 'rep_AAA111', schoolName: 'ABC Driving School', location: 'newark' });
+
+      expect(updated.aliases).toEqual([]);
+      expect(updated.locations).toEqual(['Newark']);
+      expect(updated.reportIds).toEqual(['rep_AAA111']);
+    });
+  });
+
+  describe('mergeValues', () => {
+    test('should drop blanks and case-insensitive duplicates', () => {
+      expect(School.mergeValues(['A', '', null], ['a', 'B ', undefined])).toEqual(['A', 'B']);
+    });
+  });
+});
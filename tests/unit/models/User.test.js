@@ -0,0 +1,106 @@
+/**
+ * Unit tests for User model
+ */
+
+const User = require('../../../server/models/User');
+
+describe('User Model', () => {
+  const validData = {
+    id: 'usr_ABC123',
+    username: 'jdoe',
+    passwordHash: '$2a$12$hash',
+    role: 'investigator',
+    email: 'jdoe@example.com',
+    createdAt: '2025-09-26T21:25:00.000Z',
+    updatedAt: '2025-09-26T21:25:00.000Z',
+    lastLogin: null,
+    isActive: true,
+    createdBy: 'admin'
+  };
+
+  describe('constructor and validation', () => {
+    test('should create a valid user', () => {
+      const user = new User(validData);
+
+      expect(user.id).toBe('usr_ABC123');
+      expect(user.username).toBe('jdoe');
+      expect(user.role).toBe('investigator');
+      expect(user.isActive).toBe(true);
+    });
+
+    test('should reject invalid role', () => {
+      expect(() => new User({ ...validData, role: 'superuser' })).toThrow('User validation failed');
+    });
+
+    test('should reject invalid username characters', () => {
+      expect(() => new User({ ...validData, username: 'j doe!' })).toThrow('User validation failed');
+    });
+
+    test('should reject invalid ID format', () => {
+      expect(() => new User({ ...validData, id: 'user_1' })).toThrow('User validation failed');
+    });
+  });
+
+  describe('create', () => {
+    test('should generate ID and timestamps', () => {
+      const user = User.create({ username: 'newuser', passwordHash: 'hash', role: 'viewer' }, 'admin');
+
+      expect(user.id).toMatch(/^usr_[a-zA-Z0-9]{6}$/);
+      expect(user.createdAt).toBe(user.updatedAt);
+      expect(user.lastLogin).toBeNull();
+      expect(user.isActive).toBe(true);
+      expect(user.createdBy).toBe('admin');
+    });
+  });
+
+  describe('update', () => {
+    test('should keep ID and username immutable', () => {
+      const user = new User(validData);
+      const updated = user.update({ id: 'usr_ZZZZZZ', username: 'other', role: 'admin' });
+
+      expect(updated.id).toBe('usr_ABC123');
+      expect(updated.username).toBe('jdoe');
+      expect(updated.role).toBe('admin');
+      expect(updated).not.toBe(user);
+    });
+  });
+
+  describe('roles', () => {
+    test('should satisfy roles at or below its own', () => {
+      const user = new User(validData);
+
+      expect(user.hasRole('viewer')).toBe(true);
+      expect(user.hasRole('investigator')).toBe(true);
+      expect(user.hasRole('admin')).toBe(false);
+    });
+
+    test('should not satisfy any role when inactive', () => {
+      const user = new User({ ...validData, isActive: false });
+
+      expect(user.hasRole('viewer')).toBe(false);
+    });
+
+    test('should reject unknown roles', () => {
+      expect(User.roleSatisfies('admin', 'owner')).toBe(false);
+      expect(User.roleSatisfies('owner', 'viewer')).toBe(false);
+    });
+
+    test('should return role enum', () => {
+      expect(User.getRoleEnum()).toEqual({
+        VIEWER: 'viewer',
+        INVESTIGATOR: 'investigator',
+        ADMIN: 'admin'
+      });
+    });
+  });
+
+  describe('toPublicJSON', () => {
+    test('should omit the password hash', () => {
+      const json = new User(validData).toPublicJSON();
+
+      expect(json.passwordHash).toBeUndefined();
+      expect(json.username).toBe('jdoe');
+      expect(json.email).toBe('jdoe@example.com');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for Audit API Routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const auditRouter = require('../../../server/routes/audit');
+const auditService = require('../../../server/services/auditService');
+
+jest.mock('../../../server/services/auditService');
+
+describe('Audit API Routes', () => {
+  const entry = {
+    id: 'audit_1',
+    timestamp: '2025-09-26T18:00:00.000Z',
+    action: 'STATUS_UPDATE',
+    adminUser: 'investigator',
+    targetType: 'report',
+    targetId: 'rep_ABC123',
+    details: 'Status changed from Added to Confirmed by NJDSC',
+    changes: { status: { from: 'Added', to: 'Confirmed by NJDSC' } },
+    metadata: { eventType: 'status_update' },
+    ipAddress: '203.0.113.5'
+  };
+
+  const buildApp = role => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.adminUser = { id: `usr_${role}`, username: role, role };
+      next();
+    });
+    app.use('/api/audit', auditRouter);
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditService.getAuditLogs.mockResolvedValue([entry]);
+    auditService.getRecentAuditLogs.mockResolvedValue([entry]);
+    auditService.createAuditLog.mockImplementation(async data => ({ id: 'audit_2', ...data }));
+  });
+
+  test('GET / should leave IP addresses out for investigators', async () => {
+    const response = await request(buildApp('investigator'))
+      .get('/api/audit')
+      .expect(200);
+
+    const { ipAddress, ...visible } = entry;
+    expect(ipAddress).toBeDefined();
+    expect(response.body.data).toEqual([visible]);
+  });
+
+  test('GET / should include IP addresses for admins', async () => {
+    const response = await request(buildApp('admin'))
+      .get('/api/audit')
+      .expect(200);
+
+    expect(response.body.data).toEqual([entry]);
+  });
+
+  test('GET /:id should leave IP addresses out for investigators', async () => {
+    const response = await request(buildApp('investigator'))
+      .get('/api/audit/audit_1')
+      .expect(200);
+
+    expect(response.body.data.changes).toEqual(entry.changes);
+    expect(response.body.data).not.toHaveProperty('ipAddress');
+  });
+
+  test('GET /recent should not be taken for an entry ID', async () => {
+    const response = await request(buildApp('investigator'))
+      .get('/api/audit/recent?limit=5')
+      .expect(200);
+
+    expect(auditService.getRecentAuditLogs).toHaveBeenCalledWith(5);
+    expect(response.body.data).toHaveLength(1);
+  });
+
+  test('POST / and /bulk should be limited to admins', async () => {
+    const newEntry = { action: 'LOGIN', targetType: 'system', details: 'Signed in' };
+
+    await request(buildApp('investigator')).post('/api/audit').send(newEntry).expect(403);
+    await request(buildApp('investigator')).post('/api/audit/bulk').send({ entries: [newEntry] }).expect(403);
+
+    expect(auditService.createAuditLog).not.toHaveBeenCalled();
+  });
+
+  test('POST / should record the signed-in admin rather than the user named in the body', async () => {
+    const response = await request(buildApp('admin'))
+      .post('/api/audit')
+      .send({ action: 'LOGIN', adminUser: 'someone-else', targetType: 'system', details: 'Signed in' })
+      .expect(201);
+
+    expect(auditService.createAuditLog).toHaveBeenCalledWith(expect.objectContaining({ adminUser: 'admin' }));
+    expect(response.body.data.adminUser).toBe('admin');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Report Comment API Routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const commentsRouter = require('../../../server/routes/comments');
+const commentService = require('../../../server/services/commentService');
+
+jest.mock('../../../server/services/commentService');
+jest.mock('../../../server/middleware/auth', () => ({
+  requireRole: () => (req, res, next) => next()
+}));
+
+describe('Report Comment API Routes', () => {
+  let app;
+  const mockComment = {
+    id: 'cmt_ABCD1234',
+    reportId: 'rep_ABC123',
+    author: 'investigator1',
+    body: 'Called the school',
+    mentions: [],
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-01T00:00:00.000Z',
+    editedAt: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.adminUser = { id: 'usr_inv001', username: 'investigator1', role: 'investigator' };
+      next();
+    });
+    app.use('/api/reports/:id/comments', commentsRouter);
+  });
+
+  describe('GET /api/reports/:id/comments', () => {
+    test('should return the comment thread', async () => {
+      commentService.getComments.mockResolvedValue([mockComment]);
+
+      const response = await request(app)
+        .get('/api/reports/rep_ABC123/comments')
+        .expect(200);
+
+      expect(response.body.data.comments).toEqual([mockComment]);
+      expect(commentService.getComments).toHaveBeenCalledWith('rep_ABC123');
+    });
+
+    test('should return 404 for a missing report', async () => {
+      commentService.getComments.mockRejectedValue(new Error('Report with ID rep_XYZ999 not found'));
+
+      const response = await request(app)
+        .get('/api/reports/rep_XYZ999/comments')
+        .expect(404);
+
+      expect(response.body.error).toBe('Report not found');
+    });
+  });
+
+  describe('POST /api/reports/:id/comments', () => {
+    test('should create a comment authored by the current user', async () => {
+      commentService.createComment.mockResolvedValue(mockComment);
+
+      const response = await request(app)
+        .post('/api/reports/rep_ABC123/comments')
+        .send({ body: 'Called the school' })
+        .expect(201);
+
+      expect(response.body.data.comment).toEqual(mockComment);
+      expect(commentService.createComment).toHaveBeenCalledWith(
+        'rep_ABC123',
+        'Called the school',
+        'investigator1',
+        expect.any(String)
+      );
+    });
+
+    test('should return 400 without comment text', async () => {
+      const response = await request(app)
+        .post('/api/reports/rep_ABC123/comments')
+        .send({ body: '   ' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Comment text is required');
+      expect(commentService.createComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/reports/:id/comments/:commentId', () => {
+    test('should update the comment', async () => {
+      commentService.updateComment.mockResolvedValue({ ...mockComment, body: 'Edited' });
+
+      const response = await request(app)
+        .put('/api/reports/rep_ABC123/comments/cmt_ABCD1234')
+        .send({ body: 'Edited' })
+        .expect(200);
+
+      expect(response.body.data.comment.body).toBe('Edited');
+      expect(commentService.updateComment).toHaveBeenCalledWith(
+        'rep_ABC123',
+        'cmt_ABCD1234',
+        'Edited',
+        expect.objectContaining({ username: 'investigator1' }),
+        expect.any(String)
+      );
+    });
+
+    test('should return 403 when the user is not the author', async () => {
+      commentService.updateComment.mockRejectedValue(new Error('Permission denied: only the author can edit this comment'));
+
+      const response = await request(app)
+        .put('/api/reports/rep_ABC123/comments/cmt_ABCD1234')
+        .send({ body: 'Edited' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Insufficient permissions');
+    });
+  });
+
+  describe('DELETE /api/reports/:id/comments/:commentId', () => {
+    test('should delete the comment', async () => {
+      commentService.deleteComment.mockResolvedValue(mockComment);
+
+      const response = await request(app)
+        .delete('/api/reports/rep_ABC123/comments/cmt_ABCD1234')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    test('should return 404 for a missing comment', async () => {
+      commentService.deleteComment.mockRejectedValue(new Error('Comment with ID cmt_MISSING1 not found'));
+
+      const response = await request(app)
+        .delete('/api/reports/rep_ABC123/comments/cmt_MISSING1')
+        .expect(404);
+
+      expect(response.body.error).toBe('Comment not found');
+    });
+  });
+});
@@ -0,0 +1,384 @@
+/**
+ * Unit Tests for Email API Routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const emailsRouter = require('../../../server/routes/emails');
+const emailOutboxService = require('../../../server/services/emailOutboxService');
+const emailTemplateService = require('../../../server/services/emailTemplateService');
+const reportService = require('../../../server/services/reportService');
+const inboundEmailService = require('../../../server/services/inboundEmailService');
+
+jest.mock('../../../server/services/emailOutboxService');
+jest.mock('../../../server/services/emailTemplateService');
+jest.mock('../../../server/services/reportService');
+jest.mock('../../../server/services/inboundEmailService');
+jest.mock('../../../server/middleware/auth', () => ({
+  requireAdminRole: (req, res, next) => {
+    if (req.adminUser.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  }
+}));
+
+describe('Email API Routes', () => {
+  let app;
+  let role;
+  const mockTemplate = {
+    id: 'case_closed',
+    name: 'Case Closed Notification',
+    description: '',
+    subject: 'NJDSC Case Closed - [[schoolName]]',
+    body: 'Your report [[reportId]] is closed.',
+    variables: [{ name: 'schoolName', description: '', required: true, defaultValue: null }],
+    version: 2,
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-02T00:00:00.000Z',
+    updatedBy: 'admin'
+  };
+  const mockReport = { id: 'rep_ABC123', schoolName: 'ABC Driving School' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    role = 'admin';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.adminUser = { id: 'usr_admin001', username: 'admin', role };
+      next();
+    });
+    app.use('/api/emails', emailsRouter);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('POST /api/emails/send', () => {
+    const queued = { id: 'eml_ABCDEFGHIJ', status: 'queued' };
+
+    test('should queue the composed body for delivery with the report for the layout summary', async () => {
+      reportService.getReportById.mockResolvedValue(mockReport);
+      emailOutboxService.enqueueEmail.mockResolvedValue(queued);
+
+      const response = await request(app)
+        .post('/api/emails/send')
+        .send({ reportId: 'rep_ABC123', templateId: 'case_closed', to: 'a@example.com', subject: 'Closed', body: 'Edited body' })
+        .expect(202);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual({ messageId: 'eml_ABCDEFGHIJ', status: 'queued', subject: 'Closed', templateVersion: null, attachments: [] });
+      expect(emailTemplateService.renderEmailTemplate).not.toHaveBeenCalled();
+      expect(emailOutboxService.enqueueEmail).toHaveBeenCalledWith(
+        {
+          to: 'a@example.com',
+          subject: 'Closed',
+          body: 'Edited body',
+          templateId: 'case_closed',
+          templateVersion: null,
+          reportId: 'rep_ABC123',
+          report: mockReport,
+          attachments: []
+        },
+        'admin',
+        expect.any(String)
+      );
+    });
+
+    test('should render the template for the report when no body is given', async () => {
+      reportService.getReportById.mockResolvedValue(mockReport);
+      emailTemplateService.renderEmailTemplate.mockResolvedValue({
+        templateId: 'case_closed',
+        version: 2,
+        subject: 'NJDSC Case Closed - ABC Driving School',
+        body: 'Your report rep_ABC123 is closed.',
+        variables: {},
+        missing: []
+      });
+      emailOutboxService.enqueueEmail.mockResolvedValue(queued);
+
+      const response = await request(app)
+        .post('/api/emails/send')
+        .send({ reportId: 'rep_ABC123', templateId: 'case_closed', to: 'a@example.com', variables: { resolutionSummary: 'Done' } })
+        .expect(202);
+
+      expect(reportService.getReportById).toHaveBeenCalledWith('rep_ABC123', true);
+      expect(emailTemplateService.renderEmailTemplate).toHaveBeenCalledWith('case_closed', {
+        variables: { resolutionSummary: 'Done' },
+        report: mockReport
+      });
+      expect(emailOutboxService.enqueueEmail).toHaveBeenCalledWith(expect.objectContaining({
+        subject: 'NJDSC Case Closed - ABC Driving School',
+        body: 'Your report rep_ABC123 is closed.',
+        templateVersion: 2
+      }), 'admin', expect.any(String));
+      expect(response.body.data.templateVersion).toBe(2);
+    });
+
+    test('should attach the chosen evidence files of the report', async () => {
+      const attachment = { fileId: 'file_1', filename: 'photo.jpg', path: 'uploads/rep_ABC123/photo.jpg', contentType: 'image/jpeg', size: 2048 };
+      emailOutboxService.resolveReportAttachments.mockResolvedValue([attachment]);
+      emailOutboxService.enqueueEmail.mockResolvedValue(queued);
+
+      const response = await request(app)
+        .post('/api/emails/send')
+        .send({ reportId: 'rep_ABC123', templateId: 'case_closed', to: 'a@example.com', subject: 'Closed', body: 'Body', attachments: ['file_1'] })
+        .expect(202);
+
+      expect(emailOutboxService.resolveReportAttachments).toHaveBeenCalledWith('rep_ABC123', ['file_1']);
+      expect(emailOutboxService.enqueueEmail).toHaveBeenCalledWith(
+        expect.objectContaining({ attachments: [attachment] }), 'admin', expect.any(String)
+      );
+      expect(response.body.data.attachments).toEqual([{ fileId: 'file_1', filename: 'photo.jpg', size: 2048 }]);
+    });
+
+    test('should reject malformed attachments and attachments over the size cap', async () => {
+      const send = { reportId: 'rep_ABC123', templateId: 'case_closed', to: 'a@example.com', subject: 'Closed', body: 'Body' };
+
+      await request(app).post('/api/emails/send').send({ ...send, attachments: 'file_1' }).expect(400);
+      await request(app).post('/api/emails/send').send({ ...send, reportId: undefined, attachments: ['file_1'] }).expect(400);
+
+      emailOutboxService.resolveReportAttachments.mockResolvedValue([{ fileId: 'file_1', filename: 'video.mp4', path: 'x', size: 1 }]);
+      emailOutboxService.enqueueEmail.mockRejectedValue(
+        new Error('Outbound email validation failed: attachments total 12.0 MB, over the 10 MB limit')
+      );
+      const response = await request(app).post('/api/emails/send').send({ ...send, attachments: ['file_1'] }).expect(400);
+
+      expect(response.body.message).toContain('over the 10 MB limit');
+    });
+
+    test('should refuse to send a template with missing variables', async () => {
+      emailTemplateService.renderEmailTemplate.mockResolvedValue({ missing: ['schoolName'] });
+
+      const response = await request(app)
+        .post('/api/emails/send')
+        .send({ templateId: 'case_closed', to: 'a@example.com' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Missing required template variables: schoolName');
+      expect(emailOutboxService.enqueueEmail).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for an unknown template', async () => {
+      emailTemplateService.renderEmailTemplate.mockRejectedValue(new Error('Email template nope not found'));
+
+      await request(app)
+        .post('/api/emails/send')
+        .send({ templateId: 'nope', to: 'a@example.com' })
+        .expect(404);
+    });
+
+    test('should require a subject when a body is given', async () => {
+      await request(app)
+        .post('/api/emails/send')
+        .send({ templateId: 'case_closed', to: 'a@example.com', body: 'Hello' })
+        .expect(400);
+    });
+
+    test('should return 400 when the message cannot be queued as given', async () => {
+      emailOutboxService.enqueueEmail.mockRejectedValue(new Error('Outbound email validation failed: "to" must be a valid email'));
+
+      const response = await request(app)
+        .post('/api/emails/send')
+        .send({ templateId: 'case_closed', to: 'a@b', subject: 'S', body: 'B' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid input');
+    });
+  });
+
+  describe('outbox', () => {
+    const deadMessage = {
+      id: 'eml_ABCDEFGHIJ',
+      to: 'a@example.com',
+      subject: 'Closed',
+      status: 'dead',
+      attempts: 5,
+      lastError: 'Email server connection timed out.'
+    };
+
+    test('GET /outbox should list messages with their status', async () => {
+      const outbox = { messages: [deadMessage], total: 1, counts: { queued: 0, sending: 0, retrying: 0, sent: 0, dead: 1 } };
+      emailOutboxService.getOutbox.mockResolvedValue(outbox);
+
+      const response = await request(app).get('/api/emails/outbox?status=dead&limit=10').expect(200);
+
+      expect(response.body.data).toEqual(outbox);
+      expect(emailOutboxService.getOutbox).toHaveBeenCalledWith({ status: 'dead', reportId: undefined, limit: 10 });
+    });
+
+    test('GET /outbox should reject an unknown status or bad limit', async () => {
+      await request(app).get('/api/emails/outbox?status=lost').expect(400);
+      await request(app).get('/api/emails/outbox?limit=0').expect(400);
+
+      expect(emailOutboxService.getOutbox).not.toHaveBeenCalled();
+    });
+
+    test('GET /outbox/:id should return 404 for an unknown message', async () => {
+      emailOutboxService.getOutboxMessage.mockRejectedValue(new Error('Outbound email eml_nope not found'));
+
+      const response = await request(app).get('/api/emails/outbox/eml_nope').expect(404);
+
+      expect(response.body.error).toBe('Outbound email not found');
+    });
+
+    test('POST /outbox/:id/resend should requeue a dead message', async () => {
+      emailOutboxService.resendEmail.mockResolvedValue({ ...deadMessage, status: 'queued', attempts: 0 });
+
+      const response = await request(app).post('/api/emails/outbox/eml_ABCDEFGHIJ/resend').expect(202);
+
+      expect(response.body.data.message.status).toBe('queued');
+      expect(emailOutboxService.resendEmail).toHaveBeenCalledWith('eml_ABCDEFGHIJ', 'admin', expect.any(String));
+    });
+
+    test('POST /outbox/:id/resend should return 409 for a message that is not dead', async () => {
+      emailOutboxService.resendEmail.mockRejectedValue(new Error('Outbound email eml_ABCDEFGHIJ is sent; only dead messages can be resent'));
+
+      await request(app).post('/api/emails/outbox/eml_ABCDEFGHIJ/resend').expect(409);
+    });
+  });
+
+  describe('inbound', () => {
+    test('GET /inbound should list processed messages', async () => {
+      const log = { messages: [{ id: 'inb_ABCDEFGHIJ', status: 'skipped' }], total: 1, counts: { ingested: 0, skipped: 1, failed: 0 } };
+      inboundEmailService.getInboundLog.mockResolvedValue(log);
+
+      const response = await request(app).get('/api/emails/inbound?status=skipped&limit=5').expect(200);
+
+      expect(response.body.data).toEqual(log);
+      expect(inboundEmailService.getInboundLog).toHaveBeenCalledWith({ status: 'skipped', limit: 5 });
+    });
+
+    test('GET /inbound should reject an unknown status or bad limit', async () => {
+      await request(app).get('/api/emails/inbound?status=dead').expect(400);
+      await request(app).get('/api/emails/inbound?limit=501').expect(400);
+
+      expect(inboundEmailService.getInboundLog).not.toHaveBeenCalled();
+    });
+
+    test('POST /inbound/process should return the run summary', async () => {
+      inboundEmailService.processInbox.mockResolvedValue({ processed: 2, ingested: 1, skipped: 1, failed: 0, duplicates: 0 });
+
+      const response = await request(app).post('/api/emails/inbound/process').expect(200);
+
+      expect(response.body.data.ingested).toBe(1);
+      expect(response.body.message).toBe('Processed 2 inbound message(s)');
+    });
+
+    test('POST /inbound/process should return 409 while a run is in progress', async () => {
+      inboundEmailService.processInbox.mockResolvedValue(null);
+
+      await request(app).post('/api/emails/inbound/process').expect(409);
+    });
+  });
+
+  describe('template CRUD', () => {
+    test('GET /templates should list templates', async () => {
+      emailTemplateService.getEmailTemplates.mockResolvedValue([mockTemplate]);
+
+      const response = await request(app).get('/api/emails/templates').expect(200);
+
+      expect(response.body.data).toEqual({ templates: [mockTemplate], total: 1 });
+    });
+
+    test('GET /templates/:id should return 404 for an unknown template', async () => {
+      emailTemplateService.getEmailTemplate.mockRejectedValue(new Error('Email template nope not found'));
+
+      const response = await request(app).get('/api/emails/templates/nope').expect(404);
+
+      expect(response.body.error).toBe('Email template not found');
+    });
+
+    test('POST /templates should create a template', async () => {
+      emailTemplateService.createEmailTemplate.mockResolvedValue(mockTemplate);
+
+      await request(app).post('/api/emails/templates').send({ id: 'case_closed' }).expect(201);
+
+      expect(emailTemplateService.createEmailTemplate).toHaveBeenCalledWith({ id: 'case_closed' }, 'admin', expect.any(String));
+    });
+
+    test('POST /templates should map duplicates to 409 and validation errors to 400', async () => {
+      emailTemplateService.createEmailTemplate.mockRejectedValueOnce(new Error('Email template case_closed already exists'));
+      await request(app).post('/api/emails/templates').send({ id: 'case_closed' }).expect(409);
+
+      emailTemplateService.createEmailTemplate.mockRejectedValueOnce(new Error('Email template validation failed: "name" is required'));
+      await request(app).post('/api/emails/templates').send({ id: 'case_closed' }).expect(400);
+    });
+
+    test('template changes should need the admin role', async () => {
+      role = 'investigator';
+
+      await request(app).post('/api/emails/templates').send({}).expect(403);
+      await request(app).put('/api/emails/templates/case_closed').send({}).expect(403);
+      await request(app).delete('/api/emails/templates/case_closed').expect(403);
+      expect(emailTemplateService.createEmailTemplate).not.toHaveBeenCalled();
+    });
+
+    test('PUT /templates/:id should update and report the version', async () => {
+      emailTemplateService.updateEmailTemplate.mockResolvedValue(mockTemplate);
+
+      const response = await request(app)
+        .put('/api/emails/templates/case_closed')
+        .send({ subject: 'New', version: 1 })
+        .expect(200);
+
+      expect(response.body.message).toBe('Email template case_closed is at version 2');
+    });
+
+    test('PUT /templates/:id should map stale versions to 409', async () => {
+      emailTemplateService.updateEmailTemplate.mockRejectedValue(new Error('Email template version conflict: case_closed is at version 2, not 1'));
+
+      await request(app).put('/api/emails/templates/case_closed').send({ version: 1 }).expect(409);
+    });
+
+    test('DELETE /templates/:id should delete the template', async () => {
+      emailTemplateService.deleteEmailTemplate.mockResolvedValue(mockTemplate);
+
+      await request(app).delete('/api/emails/templates/case_closed').expect(200);
+
+      expect(emailTemplateService.deleteEmailTemplate).toHaveBeenCalledWith('case_closed', 'admin', expect.any(String));
+    });
+
+    test('GET /templates/:id/versions should list the history', async () => {
+      emailTemplateService.getEmailTemplateVersions.mockResolvedValue([{ version: 2 }, { version: 1 }]);
+
+      const response = await request(app).get('/api/emails/templates/case_closed/versions').expect(200);
+
+      expect(response.body.data.total).toBe(2);
+    });
+  });
+
+  describe('POST /api/emails/templates/:id/preview', () => {
+    test('should render the template for a report', async () => {
+      const preview = { templateId: 'case_closed', version: 2, subject: 'S', body: 'B', variables: {}, missing: [] };
+      reportService.getReportById.mockResolvedValue(mockReport);
+      emailTemplateService.renderEmailTemplate.mockResolvedValue(preview);
+
+      const response = await request(app)
+        .post('/api/emails/templates/case_closed/preview')
+        .send({ reportId: 'rep_ABC123', variables: { schoolName: 'X' } })
+        .expect(200);
+
+      expect(response.body.data.preview).toEqual(preview);
+      expect(emailTemplateService.renderEmailTemplate).toHaveBeenCalledWith('case_closed', {
+        variables: { schoolName: 'X' },
+        report: mockReport
+      });
+    });
+
+    test('should return 404 for an unknown report', async () => {
+      reportService.getReportById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/emails/templates/case_closed/preview')
+        .send({ reportId: 'rep_NOPE00' })
+        .expect(404);
+
+      expect(response.body.error).toBe('Report not found');
+    });
+  });
+});
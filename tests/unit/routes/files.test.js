@@ -8,11 +8,42 @@ const request = require('supertest');
 const express = require('express');
 const fileRoutes = require('../../../server/routes/files');
 const fileService = require('../../../server/services/fileService');
+const reportService = require('../../../server/services/reportService');
 const configService = require('../../../server/services/configService');
+const auditService = require('../../../server/services/auditService');
+const localFileService = require('../../../server/services/localFileService');
+const reportProcessingService = require('../../../server/services/reportProcessingService');
+const { createSubmissionToken } = require('../../../server/utils/submissionToken');
+const { Readable } = require('stream');
 
 // Mock the services
 jest.mock('../../../server/services/fileService');
+jest.mock('../../../server/services/reportService');
 jest.mock('../../../server/services/configService');
+jest.mock('../../../server/services/auditService');
+jest.mock('../../../server/services/localFileService');
+jest.mock('../../../server/services/reportProcessingService', () => ({
+  getTicketStatus: jest.fn()
+}));
+jest.mock('../../../server/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => {
+    if (!req.headers.authorization) {
+      return res.status(401).json({ success: false, error: 'Access token required' });
+    }
+    req.adminUser = { id: 'usr_admin001', username: 'admin', role: 'admin' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  requireAdminRole: (req, res, next) => next(),
+  optionalAuthenticate: (req, res, next) => {
+    // Mock optional authentication - "Bearer <role>" signs in with that role
+    const role = (req.headers.authorization || '').replace('Bearer ', '');
+    if (role) {
+      req.adminUser = { id: `usr_${role}`, username: role, role };
+    }
+    next();
+  }
+}));
 
 const app = express();
 app.use(express.json());
@@ -31,6 +62,13 @@ describe('File Routes', () => {
     fileService.getFilesByReportId.mockResolvedValue([]);
     fileService.getAllFiles.mockResolvedValue([]);
     fileService.updateFileProcessingStatus.mockResolvedValue({});
+
+    // Mock report visibility - rep_xyz789 is public, rep_HELD01 is held for review
+    reportService.getAllReports.mockResolvedValue([
+      { id: 'rep_xyz789' },
+      { id: 'rep_HELD01', reviewStatus: 'pending' }
+    ]);
+    reportService.getReportById.mockImplementation(async id => (id === 'rep_xyz789' ? { id } : null));
   });
 
   describe('POST /files/upload', () => {
@@ -82,6 +120,7 @@ describe('File Routes', () => {
 
       const response = await request(app)
         .post('/files/upload')
+        .set('Authorization', 'Bearer investigator')
         .field('reportId', 'rep_xyz789')
         .attach('files', mockFiles[0].buffer, 'test1.jpg')
         .attach('files', mockFiles[1].buffer, 'test2.png');
@@ -129,6 +168,7 @@ describe('File Routes', () => {
 
       const response = await request(app)
         .post('/files/upload')
+        .set('Authorization', 'Bearer investigator')
         .field('reportId', 'rep_xyz789')
         .attach('files', mockFiles[0].buffer, 'test1.jpg');
 
@@ -136,6 +176,78 @@ describe('File Routes', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toContain('Failed to upload any files');
     });
+
+    describe('without signing in', () => {
+      const ticketId = 'report_20240101_000000_abc123';
+
+      beforeEach(() => {
+        fileService.uploadFile.mockResolvedValue(mockUploadedFiles[0]);
+        reportProcessingService.getTicketStatus.mockResolvedValue({
+          ticketId,
+          status: 'completed',
+          createdAt: new Date().toISOString(),
+          reportId: 'rep_xyz789'
+        });
+      });
+
+      const upload = (fields, authorization) => {
+        const req = request(app).post('/files/upload');
+        if (authorization) {
+          req.set('Authorization', authorization);
+        }
+        Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+        return req.attach('files', mockFiles[0].buffer, 'test1.jpg');
+      };
+
+      it('should accept uploads carrying the submission token for the report', async () => {
+        const response = await upload({
+          reportId: 'rep_xyz789',
+          ticketId,
+          submissionToken: createSubmissionToken(ticketId)
+        });
+
+        expect(response.status).toBe(201);
+        expect(reportProcessingService.getTicketStatus).toHaveBeenCalledWith(ticketId);
+        expect(fileService.uploadFile).toHaveBeenCalled();
+      });
+
+      it('should reject uploads without a valid submission token', async () => {
+        const missing = await upload({ reportId: 'rep_xyz789' });
+        const forged = await upload({ reportId: 'rep_xyz789', ticketId, submissionToken: '0'.repeat(32) });
+        const viewer = await upload({ reportId: 'rep_xyz789' }, 'Bearer viewer');
+
+        [missing, forged, viewer].forEach(response => {
+          expect(response.status).toBe(403);
+          expect(response.body.error).toBe('Sign in or provide the submission token to upload files to this report');
+        });
+        expect(reportProcessingService.getTicketStatus).not.toHaveBeenCalled();
+        expect(fileService.uploadFile).not.toHaveBeenCalled();
+      });
+
+      it('should reject tokens for another report or past the upload window', async () => {
+        const otherReport = await upload({
+          reportId: 'rep_abc123',
+          ticketId,
+          submissionToken: createSubmissionToken(ticketId)
+        });
+
+        reportProcessingService.getTicketStatus.mockResolvedValue({
+          ticketId,
+          status: 'completed',
+          createdAt: '2024-01-01T00:00:00.000Z',
+          reportId: 'rep_xyz789'
+        });
+        const expired = await upload({
+          reportId: 'rep_xyz789',
+          ticketId,
+          submissionToken: createSubmissionToken(ticketId)
+        });
+
+        expect(otherReport.status).toBe(403);
+        expect(expired.status).toBe(403);
+        expect(fileService.uploadFile).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('GET /files/:id', () => {
@@ -165,6 +277,35 @@ describe('File Routes', () => {
       expect(fileService.getFileById).toHaveBeenCalledWith('file_abc123');
     });
 
+    it('should show uploader and EXIF details only to the roles allowed to see them', async () => {
+      fileService.getFileById.mockResolvedValue({
+        ...mockFile,
+        uploadedByIp: '203.0.113.5',
+        exif: { gps: { GPSLatitude: 40 } },
+        originalFilePath: '/data/originals/rep_xyz789/file_abc123.jpg',
+        width: 800
+      });
+
+      const publicResponse = await request(app).get('/files/file_abc123');
+      const viewerResponse = await request(app)
+        .get('/files/file_abc123')
+        .set('Authorization', 'Bearer viewer');
+      const adminResponse = await request(app)
+        .get('/files/file_abc123')
+        .set('Authorization', 'Bearer admin');
+
+      expect(publicResponse.body.data).not.toHaveProperty('uploadedByIp');
+      expect(publicResponse.body.data).not.toHaveProperty('width');
+      expect(publicResponse.body.data.url).toBe(mockFile.driveUrl);
+      expect(viewerResponse.body.data.width).toBe(800);
+      expect(viewerResponse.body.data).not.toHaveProperty('uploadedByIp');
+      expect(adminResponse.body.data.uploadedByIp).toBe('203.0.113.5');
+      for (const response of [publicResponse, viewerResponse, adminResponse]) {
+        expect(response.body.data).not.toHaveProperty('exif');
+        expect(response.body.data).not.toHaveProperty('originalFilePath');
+      }
+    });
+
     it('should return 404 if file not found', async () => {
       fileService.getFileById.mockResolvedValue(null);
 
@@ -176,6 +317,19 @@ describe('File Routes', () => {
       expect(response.body.error).toBe('File not found');
     });
 
+    it('should only show files on reports held for review to signed-in users', async () => {
+      fileService.getFileById.mockResolvedValue({ ...mockFile, reportId: 'rep_HELD01' });
+
+      const publicInfo = await request(app).get('/files/file_abc123');
+      const publicDownload = await request(app).get('/files/file_abc123/download');
+      const viewerInfo = await request(app).get('/files/file_abc123').set('Authorization', 'Bearer viewer');
+
+      expect(publicInfo.status).toBe(404);
+      expect(publicDownload.status).toBe(404);
+      expect(viewerInfo.status).toBe(200);
+      expect(reportService.getReportById).toHaveBeenCalledWith('rep_HELD01');
+    });
+
     it('should return 400 if file ID format is invalid', async () => {
       const response = await request(app)
         .get('/files/invalid_format');
@@ -227,6 +381,27 @@ describe('File Routes', () => {
       expect(fileService.getFilesByReportId).toHaveBeenCalledWith('rep_xyz789');
     });
 
+    it('should leave uploader details out of the public listing', async () => {
+      fileService.getFilesByReportId.mockResolvedValue(
+        mockFiles.map(file => ({ ...file, uploadedByIp: '203.0.113.5' }))
+      );
+
+      const response = await request(app).get('/files/report/rep_xyz789');
+
+      expect(response.body.data.files.every(file => !('uploadedByIp' in file))).toBe(true);
+    });
+
+    it('should only list files on reports held for review to signed-in users', async () => {
+      fileService.getFilesByReportId.mockResolvedValue(mockFiles.map(file => ({ ...file, reportId: 'rep_HELD01' })));
+
+      const publicResponse = await request(app).get('/files/report/rep_HELD01');
+      const viewerResponse = await request(app).get('/files/report/rep_HELD01').set('Authorization', 'Bearer viewer');
+
+      expect(publicResponse.status).toBe(200);
+      expect(publicResponse.body.data).toEqual({ files: [], total: 0 });
+      expect(viewerResponse.body.data.total).toBe(2);
+    });
+
     it('should return 400 if report ID format is invalid', async () => {
       const response = await request(app)
         .get('/files/report/invalid_format');
@@ -265,6 +440,30 @@ describe('File Routes', () => {
       expect(response.body.data.total).toBe(1);
       expect(fileService.getAllFiles).toHaveBeenCalled();
     });
+
+    it('should leave out the uploader IP address unless an admin is signed in', async () => {
+      fileService.getAllFiles.mockResolvedValue([{ ...mockFiles[0], uploadedByIp: '203.0.113.5' }]);
+
+      const publicResponse = await request(app).get('/files');
+      const adminResponse = await request(app).get('/files').set('Authorization', 'Bearer admin');
+
+      expect(publicResponse.body.data.files[0]).not.toHaveProperty('uploadedByIp');
+      expect(adminResponse.body.data.files[0].uploadedByIp).toBe('203.0.113.5');
+    });
+
+    it('should leave files on reports held for review out of the public listing', async () => {
+      fileService.getAllFiles.mockResolvedValue([
+        mockFiles[0],
+        { ...mockFiles[0], id: 'file_held01', reportId: 'rep_HELD01' },
+        { ...mockFiles[0], id: 'file_orphan', reportId: 'rep_GONE01' }
+      ]);
+
+      const publicResponse = await request(app).get('/files');
+      const viewerResponse = await request(app).get('/files').set('Authorization', 'Bearer viewer');
+
+      expect(publicResponse.body.data.files.map(file => file.id)).toEqual(['file_abc123']);
+      expect(viewerResponse.body.data.total).toBe(3);
+    });
   });
 
   describe('PUT /files/:id/status', () => {
@@ -281,11 +480,21 @@ describe('File Routes', () => {
       processingStatus: 'completed'
     };
 
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .put('/files/file_abc123/status')
+        .send({ status: 'completed' });
+
+      expect(response.status).toBe(401);
+      expect(fileService.updateFileProcessingStatus).not.toHaveBeenCalled();
+    });
+
     it('should update file status successfully', async () => {
       fileService.updateFileProcessingStatus.mockResolvedValue(mockUpdatedFile);
 
       const response = await request(app)
         .put('/files/file_abc123/status')
+        .set('Authorization', 'Bearer token')
         .send({ status: 'completed' });
 
       expect(response.status).toBe(200);
@@ -297,6 +506,7 @@ describe('File Routes', () => {
     it('should return 400 if status is missing', async () => {
       const response = await request(app)
         .put('/files/file_abc123/status')
+        .set('Authorization', 'Bearer token')
         .send({});
 
       expect(response.status).toBe(400);
@@ -307,6 +517,7 @@ describe('File Routes', () => {
     it('should return 400 if status is invalid', async () => {
       const response = await request(app)
         .put('/files/file_abc123/status')
+        .set('Authorization', 'Bearer token')
         .send({ status: 'invalid_status' });
 
       expect(response.status).toBe(400);
@@ -319,6 +530,7 @@ describe('File Routes', () => {
 
       const response = await request(app)
         .put('/files/file_abc123/status')
+        .set('Authorization', 'Bearer token')
         .send({ status: 'completed' });
 
       expect(response.status).toBe(404);
@@ -326,4 +538,217 @@ describe('File Routes', () => {
       expect(response.body.error).toBe('File not found');
     });
   });
-});
\ No newline at end of file
+
+  describe('DELETE /files/:id', () => {
+    const mockFile = {
+      id: 'file_abc123',
+      reportId: 'rep_xyz789',
+      originalName: 'test.jpg',
+      size: 1024
+    };
+    const mockReport = {
+      id: 'rep_xyz789',
+      legalHold: null,
+      uploadedFiles: [
+        { id: 'file_abc123', name: 'test.jpg', type: 'image/jpeg', size: 1024, url: '/a' },
+        { id: 'file_def456', name: 'other.jpg', type: 'image/jpeg', size: 2048, url: '/b' }
+      ]
+    };
+
+    beforeEach(() => {
+      fileService.getFileById.mockResolvedValue(mockFile);
+      fileService.deleteFile.mockResolvedValue(true);
+      reportService.getReportById.mockResolvedValue(mockReport);
+      reportService.updateReport.mockResolvedValue({});
+      auditService.logFileDeleted.mockResolvedValue({});
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).delete('/files/file_abc123');
+
+      expect(response.status).toBe(401);
+      expect(fileService.deleteFile).not.toHaveBeenCalled();
+    });
+
+    it('should delete the file, remove it from its report and log the deletion', async () => {
+      const response = await request(app)
+        .delete('/files/file_abc123')
+        .set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(fileService.deleteFile).toHaveBeenCalledWith('file_abc123');
+      expect(reportService.getReportById).toHaveBeenCalledWith('rep_xyz789', true);
+      expect(reportService.updateReport).toHaveBeenCalledWith('rep_xyz789', {
+        uploadedFiles: [mockReport.uploadedFiles[1]],
+        updatedBy: 'admin'
+      });
+      expect(auditService.logFileDeleted).toHaveBeenCalledWith(mockFile, 'admin', expect.any(String));
+    });
+
+    it('should refuse to delete evidence of a report on legal hold', async () => {
+      reportService.getReportById.mockResolvedValue({ ...mockReport, legalHold: { reason: 'Subpoena', placedBy: 'admin', placedAt: '2024-01-01T00:00:00.000Z' } });
+
+      const response = await request(app)
+        .delete('/files/file_abc123')
+        .set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(409);
+      expect(fileService.deleteFile).not.toHaveBeenCalled();
+      expect(auditService.logFileDeleted).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if file not found', async () => {
+      fileService.getFileById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete('/files/file_abc123')
+        .set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(404);
+      expect(fileService.deleteFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /files/:id/download', () => {
+    it('should refuse files whose metadata has not been removed yet', async () => {
+      fileService.getFileById.mockResolvedValue({
+        id: 'file_abc123',
+        reportId: 'rep_xyz789',
+        originalName: 'test.jpg',
+        mimeType: 'image/jpeg',
+        localFilePath: 'uploads/rep_xyz789/test_1.jpg'
+      });
+
+      const response = await request(app)
+        .get('/files/file_abc123/download');
+
+      expect(response.status).toBe(503);
+      expect(response.body.error).toBe('File is awaiting metadata removal');
+      expect(localFileService.downloadFile).not.toHaveBeenCalled();
+    });
+
+    it('should only serve videos, which keep their metadata, to admins', async () => {
+      fileService.getFileById.mockResolvedValue({
+        id: 'file_vid123',
+        reportId: 'rep_xyz789',
+        originalName: 'clip.mp4',
+        mimeType: 'video/mp4',
+        localFilePath: 'uploads/rep_xyz789/clip_1.mp4',
+        metadataStrippedAt: null
+      });
+      localFileService.downloadFile.mockImplementation(() => Promise.resolve({
+        stream: Readable.from([Buffer.from('video bytes')])
+      }));
+
+      const anonymous = await request(app).get('/files/file_vid123/download');
+      const viewer = await request(app)
+        .get('/files/file_vid123/download')
+        .set('Authorization', 'Bearer viewer');
+
+      expect(anonymous.status).toBe(403);
+      expect(viewer.status).toBe(403);
+      expect(localFileService.downloadFile).not.toHaveBeenCalled();
+
+      const admin = await request(app)
+        .get('/files/file_vid123/download')
+        .set('Authorization', 'Bearer admin');
+
+      expect(admin.status).toBe(200);
+      expect(admin.headers['cache-control']).toBe('private, no-store');
+      expect(localFileService.downloadFile).toHaveBeenCalledWith('uploads/rep_xyz789/clip_1.mp4');
+    });
+  });
+
+  describe('admin original and metadata routes', () => {
+    const mockFile = {
+      id: 'file_abc123',
+      reportId: 'rep_xyz789',
+      originalName: 'photo "1".jpg',
+      mimeType: 'image/jpeg',
+      localFilePath: 'uploads/rep_xyz789/photo_1.jpg',
+      originalFilePath: '/data/originals/rep_xyz789/photo_1.jpg',
+      exif: { ifd0: { Model: 'Phone' }, exif: {}, gps: {}, location: { latitude: 40.5, longitude: -74.25 } },
+      metadataStrippedAt: '2024-01-01T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+      auditService.logFileOriginalAccessed.mockResolvedValue({});
+    });
+
+    it('should require authentication', async () => {
+      fileService.getFileById.mockResolvedValue(mockFile);
+
+      const metadata = await request(app).get('/files/file_abc123/metadata');
+      const original = await request(app).get('/files/file_abc123/original');
+
+      expect(metadata.status).toBe(401);
+      expect(original.status).toBe(401);
+      expect(fileService.getFileById).not.toHaveBeenCalled();
+    });
+
+    it('should return the captured EXIF and log the access', async () => {
+      fileService.getFileById.mockResolvedValue(mockFile);
+
+      const response = await request(app)
+        .get('/files/file_abc123/metadata')
+        .set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body.data).toEqual({
+        id: 'file_abc123',
+        reportId: 'rep_xyz789',
+        name: 'photo "1".jpg',
+        exif: mockFile.exif,
+        hasOriginal: true,
+        metadataStrippedAt: '2024-01-01T00:00:00.000Z'
+      });
+      expect(auditService.logFileOriginalAccessed)
+        .toHaveBeenCalledWith(mockFile, 'metadata', 'admin', expect.any(String));
+    });
+
+    it('should stream the unsanitized original and log the download', async () => {
+      fileService.getFileById.mockResolvedValue(mockFile);
+      localFileService.downloadOriginal.mockResolvedValue({
+        stream: Readable.from([Buffer.from('original bytes')]),
+        path: mockFile.originalFilePath
+      });
+
+      const response = await request(app)
+        .get('/files/file_abc123/original')
+        .set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="photo _1_.jpg"');
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body.toString()).toBe('original bytes');
+      expect(localFileService.downloadOriginal).toHaveBeenCalledWith(mockFile.originalFilePath);
+      expect(auditService.logFileOriginalAccessed)
+        .toHaveBeenCalledWith(mockFile, 'original', 'admin', expect.any(String));
+    });
+
+    it('should return 404 when the file has no stored original', async () => {
+      fileService.getFileById.mockResolvedValue({ ...mockFile, originalFilePath: null });
+
+      const response = await request(app)
+        .get('/files/file_abc123/original')
+        .set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('File has no stored original');
+      expect(auditService.logFileOriginalAccessed).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the original is missing from disk', async () => {
+      fileService.getFileById.mockResolvedValue(mockFile);
+      localFileService.downloadOriginal.mockRejectedValue(new Error('File not found'));
+
+      const response = await request(app)
+        .get('/files/file_abc123/original')
+        .set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('File not found');
+    });
+  });
+});
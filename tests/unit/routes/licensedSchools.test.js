@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Licensed School API Routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const licensedSchoolsRouter = require('../../../server/routes/licensedSchools');
+const licensedSchoolService = require('../../../server/services/licensedSchoolService');
+const reportService = require('../../../server/services/reportService');
+
+jest.mock('../../../server/services/licensedSchoolService');
+jest.mock('../../../server/services/reportService');
+jest.mock('../../../server/middleware/auth', () => ({
+  requireAdminRole: (req, res, next) => next()
+}));
+
+describe('Licensed School API Routes', () => {
+  let app;
+  const mockLicensedSchool = {
+    id: 'lic_ABC123',
+    name: 'ABC Driving School',
+    licenseNumber: 'DS-1001',
+    phoneNumber: null,
+    websiteUrl: null,
+    address: null,
+    city: 'Newark',
+    importedAt: '2023-01-01T00:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.adminUser = { id: 'usr_admin001', username: 'admin', role: 'admin' };
+      next();
+    });
+    app.use('/api/licensed-schools', licensedSchoolsRouter);
+  });
+
+  describe('GET /api/licensed-schools', () => {
+    test('should list licensed schools with the search term', async () => {
+      licensedSchoolService.getLicensedSchools.mockResolvedValue([mockLicensedSchool]);
+
+      const response = await request(app)
+        .get('/api/licensed-schools?search=abc')
+        .expect(200);
+
+      expect(response.body.data.total).toBe(1);
+      expect(licensedSchoolService.getLicensedSchools).toHaveBeenCalledWith({ search: 'abc' });
+    });
+
+    test('should return 500 when the list cannot be read', async () => {
+      licensedSchoolService.getLicensedSchools.mockRejectedValue(new Error('disk error'));
+
+      const response = await request(app)
+        .get('/api/licensed-schools')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to retrieve licensed schools');
+    });
+  });
+
+  describe('POST /api/licensed-schools/import', () => {
+    test('should import the list and re-check reports', async () => {
+      licensedSchoolService.importLicensedSchools.mockResolvedValue({
+        imported: 2,
+        skipped: [{ row: 3, error: 'Licensed school validation failed: "name" is required' }],
+        total: 2,
+        replaced: true
+      });
+      reportService.recheckLicenses.mockResolvedValue({ checked: 5, updated: 1 });
+
+      const response = await request(app)
+        .post('/api/licensed-schools/import')
+        .send({ format: 'CSV', content: 'name\nABC\nXYZ\n,' })
+        .expect(200);
+
+      expect(licensedSchoolService.importLicensedSchools).toHaveBeenCalledWith(
+        'name\nABC\nXYZ\n,', 'csv', 'admin', expect.any(String), { replace: true }
+      );
+      expect(reportService.recheckLicenses).toHaveBeenCalled();
+      expect(response.body.data).toMatchObject({ imported: 2, reportsChecked: 5, reportsUpdated: 1 });
+      expect(response.body.message).toBe('Imported 2 licensed school(s), skipped 1 invalid row(s); 1 report(s) changed license status');
+    });
+
+    test('should pass replace: false through', async () => {
+      licensedSchoolService.importLicensedSchools.mockResolvedValue({ imported: 1, skipped: [], total: 3, replaced: false });
+      reportService.recheckLicenses.mockResolvedValue({ checked: 0, updated: 0 });
+
+      await request(app)
+        .post('/api/licensed-schools/import')
+        .send({ format: 'json', content: '[{"name":"ABC"}]', replace: false })
+        .expect(200);
+
+      expect(licensedSchoolService.importLicensedSchools).toHaveBeenCalledWith(
+        '[{"name":"ABC"}]', 'json', 'admin', expect.any(String), { replace: false }
+      );
+    });
+
+    test('should return 400 without content', async () => {
+      const response = await request(app)
+        .post('/api/licensed-schools/import')
+        .send({ format: 'csv' })
+        .expect(400);
+
+      expect(response.body.message).toBe('content is required');
+      expect(licensedSchoolService.importLicensedSchools).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for an unusable file', async () => {
+      licensedSchoolService.importLicensedSchools.mockRejectedValue(
+        new Error('Licensed school validation failed: the file has no valid rows')
+      );
+
+      const response = await request(app)
+        .post('/api/licensed-schools/import')
+        .send({ format: 'csv', content: 'city\nNewark' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid licensed school list');
+      expect(reportService.recheckLicenses).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Privacy API Routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const privacyRouter = require('../../../server/routes/privacy');
+const privacyService = require('../../../server/services/privacyService');
+const auditService = require('../../../server/services/auditService');
+
+jest.mock('../../../server/services/privacyService');
+jest.mock('../../../server/services/auditService');
+
+describe('Privacy API Routes', () => {
+  let app;
+  const subject = { email: 'jane@example.com', phone: '+16095550142' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    privacyService.parseSubject.mockReturnValue(subject);
+    auditService.logSubjectDataExported.mockResolvedValue({});
+    auditService.logSubjectDataErased.mockResolvedValue({});
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.adminUser = { id: 'usr_admin001', username: 'admin', role: 'admin' };
+      next();
+    });
+    app.use('/api/privacy', privacyRouter);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('POST /subject-requests/search', () => {
+    test('should return the records found for the subject', async () => {
+      const found = { subject, matchToken: 'abc', counts: { reports: 1 }, reports: [], held: [] };
+      privacyService.searchSubjectData.mockResolvedValue(found);
+
+      const response = await request(app)
+        .post('/api/privacy/subject-requests/search')
+        .send({ email: 'jane@example.com', phone: '609-555-0142', extra: 'ignored' })
+        .expect(200);
+
+      expect(response.body.data).toEqual(found);
+      expect(privacyService.searchSubjectData).toHaveBeenCalledWith({ email: 'jane@example.com', phone: '609-555-0142' });
+    });
+
+    test('should return 400 without an identifier', async () => {
+      privacyService.searchSubjectData.mockRejectedValue(
+        new Error('Subject request validation failed: an email address or phone number is required')
+      );
+
+      const response = await request(app).post('/api/privacy/subject-requests/search').send({}).expect(400);
+
+      expect(response.body.message).toContain('email address or phone number');
+    });
+  });
+
+  describe('POST /subject-requests/export', () => {
+    test('should stream the bundle and record the export', async () => {
+      privacyService.writeSubjectExport.mockImplementation(async (identifiers, output) => {
+        output.write('PK');
+        return { counts: { reports: 1 }, reportIds: ['rep_ABC123'], size: 2 };
+      });
+
+      const response = await request(app)
+        .post('/api/privacy/subject-requests/export')
+        .send({ email: 'jane@example.com' })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="subject-request-\d{8}\.zip"$/);
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(auditService.logSubjectDataExported).toHaveBeenCalledWith(
+        { counts: { reports: 1 }, reportIds: ['rep_ABC123'], size: 2 }, 'admin', expect.any(String)
+      );
+    });
+
+    test('should return 400 before streaming for invalid identifiers', async () => {
+      privacyService.parseSubject.mockImplementation(() => {
+        throw new Error('Subject request validation failed: email is not a valid email address');
+      });
+
+      const response = await request(app).post('/api/privacy/subject-requests/export').send({ email: 'jane' }).expect(400);
+
+      expect(response.headers['content-disposition']).toBeUndefined();
+      expect(privacyService.writeSubjectExport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /subject-requests/erase', () => {
+    const erasure = {
+      mode: 'anonymize',
+      reportIds: ['rep_ABC123'],
+      changed: { reports: 1 },
+      held: [],
+      remaining: { reports: 0 },
+      verified: true
+    };
+
+    test('should carry out the request as the signed-in admin and record it', async () => {
+      privacyService.eraseSubjectData.mockResolvedValue(erasure);
+
+      const response = await request(app)
+        .post('/api/privacy/subject-requests/erase')
+        .send({ email: 'jane@example.com', mode: 'anonymize', matchToken: 'abc' })
+        .expect(200);
+
+      expect(response.body.message).toBe('Subject data removed and verified');
+      expect(privacyService.eraseSubjectData).toHaveBeenCalledWith(
+        { email: 'jane@example.com', phone: undefined }, { mode: 'anonymize', matchToken: 'abc' }, 'admin'
+      );
+      expect(auditService.logSubjectDataErased).toHaveBeenCalledWith(erasure, 'admin', expect.any(String));
+    });
+
+    test('should return 409 when the records changed since the search', async () => {
+      privacyService.eraseSubjectData.mockRejectedValue(
+        new Error('Subject request conflict: the records found have changed since the search; search again')
+      );
+
+      await request(app)
+        .post('/api/privacy/subject-requests/erase')
+        .send({ email: 'jane@example.com', mode: 'erase', matchToken: 'stale' })
+        .expect(409);
+      expect(auditService.logSubjectDataErased).not.toHaveBeenCalled();
+    });
+
+    test('should return 500 when the erasure fails', async () => {
+      privacyService.eraseSubjectData.mockRejectedValue(new Error('disk error'));
+
+      const response = await request(app)
+        .post('/api/privacy/subject-requests/erase')
+        .send({ email: 'jane@example.com', mode: 'erase', matchToken: 'abc' })
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to erase subject data');
+    });
+  });
+});
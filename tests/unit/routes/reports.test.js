@@ -4,21 +4,56 @@
  * Tests all endpoints in reports.js with happy path, regular, and negative testing.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const express = require('express');
 const reportsRouter = require('../../../server/routes/reports');
 const reportService = require('../../../server/services/reportService');
-const localFileService = require('../../../server/services/localFileService');
+const reportProcessingService = require('../../../server/services/reportProcessingService');
 const auditService = require('../../../server/services/auditService');
+const duplicateService = require('../../../server/services/duplicateService');
+const mvcPackageService = require('../../../server/services/mvcPackageService');
+const correspondenceService = require('../../../server/services/correspondenceService');
 
 // Mock dependencies
 jest.mock('../../../server/services/reportService');
-jest.mock('../../../server/services/localFileService');
+jest.mock('../../../server/services/reportProcessingService', () => ({
+  enqueueReport: jest.fn(),
+  getTicketStatus: jest.fn(),
+  isValidTicketId: jest.fn()
+}));
 jest.mock('../../../server/services/auditService');
+jest.mock('../../../server/services/duplicateService', () => ({
+  getPendingDuplicates: jest.fn(),
+  scanForDuplicates: jest.fn(),
+  dismissDuplicate: jest.fn(),
+  mergeDuplicateReports: jest.fn()
+}));
+jest.mock('../../../server/services/mvcPackageService', () => ({
+  createMvcPackage: jest.fn(),
+  getMvcPackagePath: jest.fn()
+}));
+jest.mock('../../../server/services/correspondenceService', () => ({
+  getCorrespondence: jest.fn(),
+  getAttachment: jest.fn()
+}));
 jest.mock('../../../server/middleware/auth', () => ({
   authenticateAdmin: (req, res, next) => {
     // Mock admin authentication - set user in req
     req.user = { id: 'admin_user', role: 'admin' };
+    req.adminUser = { id: 'admin_user', username: 'admin', role: 'admin' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  requireAdminRole: (req, res, next) => next(),
+  optionalAuthenticate: (req, res, next) => {
+    // Mock optional authentication - "Bearer <role>" signs in with that role
+    const role = (req.headers.authorization || '').replace('Bearer ', '');
+    if (role) {
+      req.adminUser = { id: `usr_${role}`, username: role, role };
+    }
     next();
   }
 }));
@@ -43,75 +78,86 @@ describe('Reports API Routes', () => {
   });
 
   describe('POST /api/reports', () => {
+    const mockTicket = {
+      ticketId: 'report_20230101_000000_abc123',
+      status: 'queued',
+      createdAt: '2023-01-01T00:00:00.000Z'
+    };
+
     // Happy path tests
-    test('should create a report successfully', async () => {
+    test('should queue a report and return a tracking ID', async () => {
       const mockReportData = {
         schoolName: 'Test School',
         location: 'Test City',
         violationDescription: 'Test violation'
       };
 
-      const mockReport = {
-        id: 'rep_ABC123',
-        schoolName: 'Test School',
-        status: 'Added',
-        createdAt: '2023-01-01T00:00:00.000Z',
-        lastReported: '2023-01-01T00:00:00.000Z'
-      };
-
       reportService.checkRateLimit.mockResolvedValue(false);
-      reportService.createReport.mockResolvedValue(mockReport);
+      reportProcessingService.enqueueReport.mockResolvedValue(mockTicket);
 
       const response = await request(app)
         .post('/api/reports')
         .send(mockReportData)
-        .expect(201);
+        .expect(202);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.data.id).toBe('rep_ABC123');
-      expect(response.body.data.schoolName).toBe('Test School');
+      expect(response.body.data.ticketId).toBe('report_20230101_000000_abc123');
+      expect(response.body.data.status).toBe('queued');
+      expect(response.body.data.statusUrl).toBe('/api/reports/queue/report_20230101_000000_abc123');
+      expect(response.body.data.submissionToken).toMatch(/^[0-9a-f]{32}$/);
       expect(reportService.checkRateLimit).toHaveBeenCalled();
-      expect(reportService.createReport).toHaveBeenCalledWith(mockReportData, expect.any(String));
+      expect(reportProcessingService.enqueueReport).toHaveBeenCalledWith(mockReportData, expect.any(String));
+      expect(reportService.createReport).not.toHaveBeenCalled();
     });
 
-    test('should create a report with file uploads', async () => {
+    test('should ignore admin-only fields in a public submission', async () => {
+      reportService.checkRateLimit.mockResolvedValue(false);
+      reportProcessingService.enqueueReport.mockResolvedValue(mockTicket);
+
+      await request(app)
+        .post('/api/reports')
+        .send({
+          schoolName: 'Test School',
+          reporterEmail: 'jane@example.com',
+          status: 'Closed',
+          reviewStatus: 'rejected',
+          source: 'email',
+          adminNotes: 'Ignore',
+          mvcReferenceNumber: 'FAKE',
+          closureReason: 'Spam',
+          statusHistory: [],
+          legalHold: { reason: 'Mine', placedBy: 'admin', placedAt: '2023-01-01T00:00:00.000Z' },
+          uploadedFiles: []
+        })
+        .expect(202);
+
+      expect(reportProcessingService.enqueueReport).toHaveBeenCalledWith(
+        { schoolName: 'Test School', reporterEmail: 'jane@example.com' },
+        expect.any(String)
+      );
+    });
+
+    test('should queue a report with file uploads', async () => {
       const mockReportData = {
         schoolName: 'Test School',
         files: [{
           name: 'test.jpg',
           type: 'image/jpeg',
+          size: 10,
           data: 'base64data'
         }]
       };
 
-      const mockReport = {
-        id: 'rep_ABC123',
-        schoolName: 'Test School',
-        status: 'Added'
-      };
-
-      const mockUploadedFile = {
-        localPath: '/uploads/rep_ABC123/test_123456789.jpg',
-        url: '/uploads/rep_ABC123/test_123456789.jpg',
-        thumbnailUrl: '/uploads/rep_ABC123/test_thumb_123456789.jpg'
-      };
-
       reportService.checkRateLimit.mockResolvedValue(false);
-      reportService.createReport.mockResolvedValue(mockReport);
-      reportService.updateReport.mockResolvedValue(mockReport);
-      localFileService.uploadFile.mockResolvedValue(mockUploadedFile);
+      reportProcessingService.enqueueReport.mockResolvedValue(mockTicket);
 
       const response = await request(app)
         .post('/api/reports')
         .send(mockReportData)
-        .expect(201);
+        .expect(202);
 
       expect(response.body.success).toBe(true);
-      // File upload is now handled differently - check that the report was created successfully
-      expect(response.body.data.id).toBeDefined();
-      expect(response.body.data.schoolName).toBe('Test School');
-      // Note: uploadedFiles may be empty due to file processing logic
-      expect(localFileService.uploadFile).toHaveBeenCalled();
+      expect(reportProcessingService.enqueueReport).toHaveBeenCalledWith(mockReportData, expect.any(String));
     });
 
     // Negative tests
@@ -142,67 +188,104 @@ describe('Reports API Routes', () => {
     });
 
     test('should return 409 for duplicate school report', async () => {
-      const mockReportData = {
-        schoolName: 'Existing School'
-      };
-
       reportService.checkRateLimit.mockResolvedValue(false);
-      reportService.createReport.mockRejectedValue(new Error('Report for school "Existing School" already exists'));
+      reportProcessingService.enqueueReport.mockRejectedValue(new Error('Report for school "Existing School" already exists'));
 
       const response = await request(app)
         .post('/api/reports')
-        .send(mockReportData)
+        .send({ schoolName: 'Existing School' })
         .expect(409);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('A report for this school already exists');
     });
 
-    test('should return 400 for validation errors', async () => {
-      const mockReportData = {
-        schoolName: 'Test School'
-      };
-
+    test('should return 400 for validation errors without queueing', async () => {
       reportService.checkRateLimit.mockResolvedValue(false);
-      reportService.createReport.mockRejectedValue(new Error('validation failed: invalid status'));
 
       const response = await request(app)
         .post('/api/reports')
-        .send(mockReportData)
+        .send({ schoolName: 'Test School', reporterEmail: 'not-an-email', phoneNumber: '12' })
         .expect(400);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error).toMatch(/validation failed/i);
+      expect(response.body.message).toMatch(/reporterEmail/);
+      expect(reportProcessingService.enqueueReport).not.toHaveBeenCalled();
     });
 
-    test('should handle file upload errors gracefully', async () => {
-      const mockReportData = {
-        schoolName: 'Test School',
-        files: [{
-          name: 'test.jpg',
-          type: 'image/jpeg',
-          data: 'base64data'
-        }]
-      };
+    test('should return 400 for unsupported file types without queueing', async () => {
+      reportService.checkRateLimit.mockResolvedValue(false);
 
-      const mockReport = {
-        id: 'rep_ABC123',
-        schoolName: 'Test School',
-        status: 'Added'
-      };
+      const response = await request(app)
+        .post('/api/reports')
+        .send({
+          schoolName: 'Test School',
+          files: [{ name: 'script.exe', type: 'application/x-msdownload', data: 'base64data' }]
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toMatch(/Invalid file type/);
+      expect(reportProcessingService.enqueueReport).not.toHaveBeenCalled();
+    });
 
+    test('should return 500 when the report cannot be queued', async () => {
       reportService.checkRateLimit.mockResolvedValue(false);
-      reportService.createReport.mockResolvedValue(mockReport);
-      localFileService.uploadFile.mockRejectedValue(new Error('Upload failed'));
+      reportProcessingService.enqueueReport.mockRejectedValue(new Error('ENOSPC: no space left on device'));
 
       const response = await request(app)
         .post('/api/reports')
-        .send(mockReportData)
-        .expect(201);
+        .send({ schoolName: 'Test School' })
+        .expect(500);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Failed to submit report');
+    });
+  });
+
+  describe('GET /api/reports/queue/:ticketId', () => {
+    test('should return ticket status', async () => {
+      const mockStatus = {
+        ticketId: 'report_20230101_000000_abc123',
+        status: 'completed',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        processedAt: '2023-01-01T00:00:01.000Z',
+        reportId: 'rep_ABC123',
+        error: null
+      };
+
+      reportProcessingService.isValidTicketId.mockReturnValue(true);
+      reportProcessingService.getTicketStatus.mockResolvedValue(mockStatus);
+
+      const response = await request(app)
+        .get('/api/reports/queue/report_20230101_000000_abc123')
+        .expect(200);
 
-      // Should still succeed even if file upload fails
       expect(response.body.success).toBe(true);
-      expect(response.body.data.uploadedFiles).toHaveLength(0);
+      expect(response.body.data).toEqual(mockStatus);
+    });
+
+    test('should return 400 for malformed ticket ID', async () => {
+      reportProcessingService.isValidTicketId.mockReturnValue(false);
+
+      const response = await request(app)
+        .get('/api/reports/queue/not-a-ticket')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid ticket ID format');
+      expect(reportProcessingService.getTicketStatus).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown ticket', async () => {
+      reportProcessingService.isValidTicketId.mockReturnValue(true);
+      reportProcessingService.getTicketStatus.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/reports/queue/report_20230101_000000_zzz999')
+        .expect(404);
+
+      expect(response.body.error).toBe('Ticket not found');
     });
   });
 
@@ -240,7 +323,8 @@ describe('Reports API Routes', () => {
         search: undefined,
         sortBy: 'lastReported',
         sortOrder: 'desc',
-        includeAdminFields: false
+        includeAdminFields: false,
+        audience: 'public'
       });
     });
 
@@ -271,10 +355,25 @@ describe('Reports API Routes', () => {
         search: 'test',
         sortBy: 'createdAt',
         sortOrder: 'asc',
-        includeAdminFields: false
+        includeAdminFields: false,
+        audience: 'public'
       });
     });
 
+    test('should serialize reports for a signed-in user\'s role', async () => {
+      reportService.getReports.mockResolvedValue({ items: [], pagination: {} });
+
+      await request(app)
+        .get('/api/reports')
+        .set('Authorization', 'Bearer investigator')
+        .expect(200);
+
+      expect(reportService.getReports).toHaveBeenCalledWith(expect.objectContaining({
+        includeAdminFields: false,
+        audience: 'investigator'
+      }));
+    });
+
     // Negative tests
     test('should handle service errors', async () => {
       reportService.getReports.mockRejectedValue(new Error('Database error'));
@@ -307,7 +406,18 @@ describe('Reports API Routes', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.id).toBe('rep_ABC123');
       expect(response.body.data.schoolName).toBe('Test School');
-      expect(reportService.getReportById).toHaveBeenCalledWith('rep_ABC123', false);
+      expect(reportService.getReportById).toHaveBeenCalledWith('rep_ABC123', false, 'public');
+    });
+
+    test('should serialize the report for a signed-in user\'s role', async () => {
+      reportService.getReportById.mockResolvedValue({ id: 'rep_ABC123' });
+
+      await request(app)
+        .get('/api/reports/rep_ABC123')
+        .set('Authorization', 'Bearer admin')
+        .expect(200);
+
+      expect(reportService.getReportById).toHaveBeenCalledWith('rep_ABC123', false, 'admin');
     });
 
     // Negative tests
@@ -345,6 +455,108 @@ describe('Reports API Routes', () => {
     });
   });
 
+  describe('GET /api/reports/workflow', () => {
+    test('should return the status workflow', async () => {
+      const response = await request(app)
+        .get('/api/reports/workflow')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.statuses).toContain('Closed');
+      expect(response.body.data.workflow.Closed.transitions).toEqual(['Under Investigation']);
+      expect(response.body.data.workflow['Reported to MVC'].requiredFields).toEqual([
+        { field: 'mvcReferenceNumber', label: 'MVC reference number' }
+      ]);
+    });
+  });
+
+  describe('PUT /api/reports/bulk/status', () => {
+    test('should update all reports and log one bulk audit entry', async () => {
+      const mockResults = [
+        { id: 'rep_AAA111', success: true, oldStatus: 'Added', newStatus: 'Closed' },
+        { id: 'rep_BBB222', success: true, oldStatus: 'Added', newStatus: 'Closed' }
+      ];
+      reportService.bulkUpdateReportStatus.mockResolvedValue(mockResults);
+      auditService.logBulkStatusUpdate.mockResolvedValue();
+
+      const response = await request(app)
+        .put('/api/reports/bulk/status')
+        .send({ reportIds: ['rep_AAA111', 'rep_BBB222', 'rep_AAA111'], status: 'Closed', adminNotes: 'Batch close' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual({ updated: 2, failed: 0, results: mockResults });
+      expect(reportService.bulkUpdateReportStatus).toHaveBeenCalledWith(
+        ['rep_AAA111', 'rep_BBB222'],
+        { status: 'Closed', adminNotes: 'Batch close', updatedBy: 'admin' }
+      );
+      expect(reportService.updateReportStatus).not.toHaveBeenCalled();
+      expect(auditService.logBulkStatusUpdate).toHaveBeenCalledWith(
+        mockResults, 'Closed', 'Batch close', 'admin', expect.any(String)
+      );
+    });
+
+    test('should return 400 for empty reportIds', async () => {
+      const response = await request(app)
+        .put('/api/reports/bulk/status')
+        .send({ reportIds: [], status: 'Closed' })
+        .expect(400);
+
+      expect(response.body.error).toBe('reportIds must be a non-empty array');
+      expect(reportService.bulkUpdateReportStatus).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for invalid status', async () => {
+      const response = await request(app)
+        .put('/api/reports/bulk/status')
+        .send({ reportIds: ['rep_AAA111'], status: 'Bogus' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid status value');
+    });
+
+    test('should return 400 for statuses that need a different value per report', async () => {
+      const response = await request(app)
+        .put('/api/reports/bulk/status')
+        .send({ reportIds: ['rep_AAA111', 'rep_BBB222'], status: 'Reported to MVC', mvcReferenceNumber: 'MVC-1' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Status "Reported to MVC" cannot be set in bulk');
+      expect(response.body.message).toBe('MVC reference number must be recorded on each report individually');
+      expect(reportService.bulkUpdateReportStatus).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when any report is missing', async () => {
+      reportService.bulkUpdateReportStatus.mockRejectedValue(new Error('Reports not found: rep_MISSNG'));
+
+      const response = await request(app)
+        .put('/api/reports/bulk/status')
+        .send({ reportIds: ['rep_AAA111', 'rep_MISSNG'], status: 'Closed' })
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(auditService.logBulkStatusUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should return per-report results when the transaction is rolled back', async () => {
+      const error = new Error('Bulk status update failed for report rep_BBB222: Disk full');
+      error.results = [
+        { id: 'rep_AAA111', success: false, oldStatus: 'Added', newStatus: 'Added', error: 'Rolled back' },
+        { id: 'rep_BBB222', success: false, oldStatus: 'Added', newStatus: 'Added', error: 'Disk full' }
+      ];
+      reportService.bulkUpdateReportStatus.mockRejectedValue(error);
+
+      const response = await request(app)
+        .put('/api/reports/bulk/status')
+        .send({ reportIds: ['rep_AAA111', 'rep_BBB222'], status: 'Closed' })
+        .expect(400);
+
+      expect(response.body.data.updated).toBe(0);
+      expect(response.body.data.failed).toBe(2);
+      expect(response.body.data.results).toEqual(error.results);
+    });
+  });
+
   describe('PUT /api/reports/:id/status', () => {
     // Happy path tests
     test('should update report status successfully', async () => {
@@ -352,16 +564,14 @@ describe('Reports API Routes', () => {
         id: 'rep_ABC123',
         status: 'Confirmed by NJDSC',
         updatedAt: '2023-01-02T00:00:00.000Z',
-        adminNotes: 'Confirmed by admin'
-      };
-
-      const mockOldReport = {
-        id: 'rep_ABC123',
-        status: 'Added'
+        adminNotes: 'Confirmed by admin',
+        statusHistory: [
+          { from: null, to: 'Added', changedBy: 'reporter', changedAt: '2023-01-01T00:00:00.000Z' },
+          { from: 'Added', to: 'Confirmed by NJDSC', changedBy: 'admin', changedAt: '2023-01-02T00:00:00.000Z' }
+        ]
       };
 
       reportService.updateReportStatus.mockResolvedValue(mockUpdatedReport);
-      reportService.getReportById.mockResolvedValue(mockOldReport);
       auditService.logStatusUpdate.mockResolvedValue();
 
       const response = await request(app)
@@ -380,7 +590,14 @@ describe('Reports API Routes', () => {
         adminNotes: 'Confirmed by admin',
         updatedBy: 'admin'
       });
-      expect(auditService.logStatusUpdate).toHaveBeenCalled();
+      expect(auditService.logStatusUpdate).toHaveBeenCalledWith(
+        'rep_ABC123',
+        'Added',
+        'Confirmed by NJDSC',
+        'Confirmed by admin',
+        'admin',
+        expect.any(String)
+      );
     });
 
     // Negative tests
@@ -396,6 +613,21 @@ describe('Reports API Routes', () => {
       expect(response.body.error).toBe('Report not found');
     });
 
+    test('should return 400 for a transition the workflow does not allow', async () => {
+      reportService.updateReportStatus.mockRejectedValue(
+        new Error('Status transition validation failed: cannot change status from "Closed" to "Added"')
+      );
+
+      const response = await request(app)
+        .put('/api/reports/rep_ABC123/status')
+        .send({ status: 'Added' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Invalid status change');
+      expect(response.body.message).toMatch(/cannot change status/);
+    });
+
     test('should return 400 for missing status', async () => {
       const response = await request(app)
         .put('/api/reports/rep_ABC123/status')
@@ -432,11 +664,13 @@ describe('Reports API Routes', () => {
       const mockUpdatedReport = {
         id: 'rep_ABC123',
         status: 'Confirmed by NJDSC',
-        updatedAt: '2023-01-02T00:00:00.000Z'
+        updatedAt: '2023-01-02T00:00:00.000Z',
+        statusHistory: [
+          { from: 'Added', to: 'Confirmed by NJDSC', changedBy: 'admin', changedAt: '2023-01-02T00:00:00.000Z' }
+        ]
       };
 
       reportService.updateReportStatus.mockResolvedValue(mockUpdatedReport);
-      reportService.getReportById.mockResolvedValue({ id: 'rep_ABC123', status: 'Added' });
       auditService.logStatusUpdate.mockRejectedValue(new Error('Audit service error'));
 
       const response = await request(app)
@@ -450,6 +684,462 @@ describe('Reports API Routes', () => {
     });
   });
 
+  describe('GET /api/reports/:id/history', () => {
+    test('should return the status history of a report', async () => {
+      const mockHistory = {
+        reportId: 'rep_ABC123',
+        currentStatus: 'Confirmed by NJDSC',
+        history: [
+          { from: null, to: 'Added', changedBy: 'reporter', changedAt: '2023-01-01T00:00:00.000Z' },
+          { from: 'Added', to: 'Confirmed by NJDSC', changedBy: 'admin', changedAt: '2023-01-02T00:00:00.000Z', notes: 'Verified' }
+        ]
+      };
+      reportService.getReportStatusHistory.mockResolvedValue(mockHistory);
+
+      const response = await request(app)
+        .get('/api/reports/rep_ABC123/history')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual(mockHistory);
+      expect(reportService.getReportStatusHistory).toHaveBeenCalledWith('rep_ABC123');
+    });
+
+    test('should return 404 for non-existent report', async () => {
+      reportService.getReportStatusHistory.mockRejectedValue(new Error('Report with ID rep_nonexistent not found'));
+
+      const response = await request(app)
+        .get('/api/reports/rep_nonexistent/history')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Report not found');
+    });
+
+    test('should return 500 when the history cannot be loaded', async () => {
+      reportService.getReportStatusHistory.mockRejectedValue(new Error('Disk error'));
+
+      const response = await request(app)
+        .get('/api/reports/rep_ABC123/history')
+        .expect(500);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Failed to retrieve report history');
+    });
+  });
+
+  describe('GET /api/reports/:id/correspondence', () => {
+    test('should return the conversation about a report', async () => {
+      const entries = [
+        { id: 'eml_ABCDEFGHIJ', direction: 'outbound', date: '2024-01-15T08:01:00.000Z', subject: 'Referral', attachments: [] },
+        { id: 'cor_ABCDEFGHIJ', direction: 'inbound', date: '2024-01-16T09:00:00.000Z', subject: 'Re: Referral', attachments: [], replyToId: 'eml_ABCDEFGHIJ' }
+      ];
+      correspondenceService.getCorrespondence.mockResolvedValue(entries);
+
+      const response = await request(app)
+        .get('/api/reports/rep_ABC123/correspondence')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ entries, total: 2 });
+      expect(correspondenceService.getCorrespondence).toHaveBeenCalledWith('rep_ABC123');
+    });
+
+    test('should return 404 for non-existent report', async () => {
+      correspondenceService.getCorrespondence.mockRejectedValue(new Error('Report with ID rep_nonexistent not found'));
+
+      const response = await request(app)
+        .get('/api/reports/rep_nonexistent/correspondence')
+        .expect(404);
+
+      expect(response.body.error).toBe('Report not found');
+    });
+  });
+
+  describe('GET /api/reports/:id/correspondence/:entryId/attachments/:index', () => {
+    test('should download a reply attachment under its original name', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-correspondence-'));
+      const filePath = path.join(dir, '1-case.txt');
+      fs.writeFileSync(filePath, 'case notes');
+      correspondenceService.getAttachment.mockResolvedValue({ filePath, filename: 'case "final".txt', contentType: 'text/plain', size: 10 });
+
+      try {
+        const response = await request(app)
+          .get('/api/reports/rep_ABC123/correspondence/cor_ABCDEFGHIJ/attachments/0')
+          .expect(200);
+
+        expect(response.text).toBe('case notes');
+        expect(response.headers['content-disposition']).toBe('attachment; filename="case _final_.txt"');
+        expect(correspondenceService.getAttachment).toHaveBeenCalledWith('rep_ABC123', 'cor_ABCDEFGHIJ', 0);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should return 404 for an unknown attachment', async () => {
+      correspondenceService.getAttachment.mockRejectedValue(new Error('Correspondence attachment cor_ABCDEFGHIJ/3 not found'));
+
+      const response = await request(app)
+        .get('/api/reports/rep_ABC123/correspondence/cor_ABCDEFGHIJ/attachments/3')
+        .expect(404);
+
+      expect(response.body.error).toBe('Attachment not found');
+    });
+  });
+
+  describe('GET /api/reports/export', () => {
+    const exportReport = {
+      id: 'rep_ABC123',
+      schoolName: 'ABC Driving School',
+      status: 'Reported to MVC',
+      mvcReferenceNumber: 'MVC-2025-001',
+      uploadedFiles: [{ id: 'f1' }],
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-01T00:00:00.000Z',
+      lastReported: '2025-01-01T00:00:00.000Z'
+    };
+
+    test('should stream a CSV export with the listing filters', async () => {
+      reportService.getReportsForExport.mockResolvedValue([exportReport]);
+      auditService.logReportsExported.mockResolvedValue({});
+
+      const response = await request(app)
+        .get('/api/reports/export?format=csv&status=Reported%20to%20MVC&search=abc&sortBy=createdAt&sortOrder=asc')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="reports-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(reportService.getReportsForExport).toHaveBeenCalledWith({
+        status: 'Reported to MVC',
+        search: 'abc',
+        sortBy: 'createdAt',
+        sortOrder: 'asc'
+      });
+
+      const lines = response.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toContain('MVC Reference Number');
+      expect(lines[1]).toContain('MVC-2025-001');
+      expect(auditService.logReportsExported).toHaveBeenCalledWith(
+        1, 'csv', expect.objectContaining({ status: 'Reported to MVC' }), 'admin', expect.any(String)
+      );
+    });
+
+    test('should default to CSV sorted by last reported', async () => {
+      reportService.getReportsForExport.mockResolvedValue([]);
+      auditService.logReportsExported.mockResolvedValue({});
+
+      await request(app)
+        .get('/api/reports/export')
+        .expect(200)
+        .expect('Content-Type', /text\/csv/);
+
+      expect(reportService.getReportsForExport).toHaveBeenCalledWith({
+        status: undefined,
+        search: undefined,
+        sortBy: 'lastReported',
+        sortOrder: 'desc'
+      });
+    });
+
+    test('should stream an Excel export', async () => {
+      reportService.getReportsForExport.mockResolvedValue([exportReport]);
+      auditService.logReportsExported.mockResolvedValue({});
+
+      const response = await request(app)
+        .get('/api/reports/export?format=xlsx')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      expect(response.body.readUInt32LE(0)).toBe(0x04034b50);
+    });
+
+    test('should return 400 for an unknown format', async () => {
+      const response = await request(app)
+        .get('/api/reports/export?format=pdf')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid export format');
+      expect(reportService.getReportsForExport).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for an unknown status', async () => {
+      const response = await request(app)
+        .get('/api/reports/export?status=Pending')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid status');
+    });
+
+    test('should still download when the audit log fails', async () => {
+      reportService.getReportsForExport.mockResolvedValue([exportReport]);
+      auditService.logReportsExported.mockRejectedValue(new Error('disk full'));
+      const originalConsoleWarn = console.warn;
+      console.warn = jest.fn();
+
+      await request(app)
+        .get('/api/reports/export')
+        .expect(200);
+
+      expect(console.warn).toHaveBeenCalledWith('Failed to log report export audit event:', 'disk full');
+      console.warn = originalConsoleWarn;
+    });
+
+    test('should return 500 when reports cannot be loaded', async () => {
+      reportService.getReportsForExport.mockRejectedValue(new Error('disk error'));
+      const originalConsoleError = console.error;
+      console.error = jest.fn();
+
+      const response = await request(app)
+        .get('/api/reports/export')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to export reports');
+      console.error = originalConsoleError;
+    });
+  });
+
+  describe('GET /api/reports/duplicates', () => {
+    test('should return the duplicate review queue', async () => {
+      const mockDuplicates = [{
+        id: 'dup_ABC123',
+        reportId: 'rep_BBB222',
+        duplicateOfId: 'rep_AAA111',
+        score: 0.92,
+        reasons: ['Similar school name (92%)'],
+        status: 'pending'
+      }];
+      duplicateService.getPendingDuplicates.mockResolvedValue(mockDuplicates);
+
+      const response = await request(app)
+        .get('/api/reports/duplicates')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual({ duplicates: mockDuplicates, total: 1 });
+      expect(reportService.getReportById).not.toHaveBeenCalled();
+    });
+
+    test('should return 500 when the queue cannot be loaded', async () => {
+      duplicateService.getPendingDuplicates.mockRejectedValue(new Error('Disk error'));
+
+      const response = await request(app)
+        .get('/api/reports/duplicates')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to retrieve duplicate reports');
+    });
+  });
+
+  describe('POST /api/reports/duplicates/scan', () => {
+    test('should scan all reports for new duplicates', async () => {
+      duplicateService.scanForDuplicates.mockResolvedValue({ detected: 2, pending: 3 });
+
+      const response = await request(app)
+        .post('/api/reports/duplicates/scan')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ detected: 2, pending: 3 });
+      expect(response.body.message).toBe('Found 2 new likely duplicate(s)');
+    });
+  });
+
+  describe('POST /api/reports/duplicates/:candidateId/dismiss', () => {
+    test('should dismiss a queued duplicate', async () => {
+      duplicateService.dismissDuplicate.mockResolvedValue({ id: 'dup_ABC123', status: 'dismissed' });
+
+      const response = await request(app)
+        .post('/api/reports/duplicates/dup_ABC123/dismiss')
+        .expect(200);
+
+      expect(response.body.data.candidate.status).toBe('dismissed');
+      expect(duplicateService.dismissDuplicate).toHaveBeenCalledWith('dup_ABC123', 'admin');
+    });
+
+    test('should return 404 for an unknown candidate and 400 for a resolved one', async () => {
+      duplicateService.dismissDuplicate.mockRejectedValueOnce(new Error('Duplicate candidate with ID dup_ZZZ999 not found'));
+      await request(app).post('/api/reports/duplicates/dup_ZZZ999/dismiss').expect(404);
+
+      duplicateService.dismissDuplicate.mockRejectedValueOnce(new Error('Duplicate candidate validation failed: candidate is already merged'));
+      const response = await request(app).post('/api/reports/duplicates/dup_ABC123/dismiss').expect(400);
+
+      expect(response.body.error).toBe('Invalid duplicate operation');
+    });
+  });
+
+  describe('GET /api/reports/review', () => {
+    test('should list reports held for review', async () => {
+      const held = [{ id: 'rep_PND001', schoolName: 'Ace Driving', source: 'email', reviewStatus: 'pending' }];
+      reportService.getReportsForReview.mockResolvedValue(held);
+
+      const response = await request(app).get('/api/reports/review').expect(200);
+
+      expect(response.body.data).toEqual({ reports: held, total: 1 });
+    });
+  });
+
+  describe('POST /api/reports/:id/review', () => {
+    test('should approve a held report and log the review', async () => {
+      const approved = { id: 'rep_PND001', schoolName: 'Ace Driving', reviewStatus: 'approved' };
+      reportService.reviewReport.mockResolvedValue(approved);
+
+      const response = await request(app)
+        .post('/api/reports/rep_PND001/review')
+        .send({ decision: 'approve' })
+        .expect(200);
+
+      expect(response.body.message).toBe('Report rep_PND001 approved');
+      expect(reportService.reviewReport).toHaveBeenCalledWith('rep_PND001', 'approve', 'admin');
+      expect(auditService.logReportReviewed).toHaveBeenCalledWith(approved, 'approve', 'admin', expect.any(String));
+    });
+
+    test('should map missing reports to 404 and invalid reviews to 400', async () => {
+      reportService.reviewReport.mockRejectedValueOnce(new Error('Report with ID rep_NOP001 not found'));
+      await request(app).post('/api/reports/rep_NOP001/review').send({ decision: 'approve' }).expect(404);
+
+      reportService.reviewReport.mockRejectedValueOnce(new Error('Report review validation failed: decision must be "approve" or "reject"'));
+      const response = await request(app).post('/api/reports/rep_PND001/review').send({ decision: 'maybe' }).expect(400);
+
+      expect(response.body.error).toBe('Invalid review');
+      expect(auditService.logReportReviewed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/reports/:id/legal-hold', () => {
+    test('should place a hold and log it', async () => {
+      const legalHold = { reason: 'Subpoena 2023-17', placedBy: 'admin', placedAt: '2023-01-01T00:00:00.000Z' };
+      const held = { id: 'rep_ABC123', schoolName: 'ABC Driving', legalHold };
+      reportService.setLegalHold.mockResolvedValue(held);
+
+      const response = await request(app)
+        .put('/api/reports/rep_ABC123/legal-hold')
+        .send({ hold: true, reason: 'Subpoena 2023-17' })
+        .expect(200);
+
+      expect(response.body.message).toBe('Legal hold placed on report rep_ABC123');
+      expect(response.body.data.legalHold).toEqual(legalHold);
+      expect(reportService.setLegalHold).toHaveBeenCalledWith('rep_ABC123', true, 'Subpoena 2023-17', 'admin');
+      expect(auditService.logLegalHoldChanged).toHaveBeenCalledWith(held, 'admin', expect.any(String));
+    });
+
+    test('should map missing reports to 404 and missing reasons to 400', async () => {
+      reportService.setLegalHold.mockRejectedValueOnce(new Error('Report with ID rep_NOP001 not found'));
+      await request(app).put('/api/reports/rep_NOP001/legal-hold').send({ hold: false }).expect(404);
+
+      reportService.setLegalHold.mockRejectedValueOnce(new Error('Legal hold validation failed: a reason is required'));
+      const response = await request(app).put('/api/reports/rep_ABC123/legal-hold').send({ hold: true }).expect(400);
+
+      expect(response.body.error).toBe('Invalid legal hold');
+      expect(auditService.logLegalHoldChanged).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/reports/:id/merge', () => {
+    test('should merge the source report into the target', async () => {
+      duplicateService.mergeDuplicateReports.mockResolvedValue({ id: 'rep_AAA111', schoolName: 'ABC Driving' });
+
+      const response = await request(app)
+        .post('/api/reports/rep_AAA111/merge')
+        .send({ sourceReportId: 'rep_BBB222' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Report rep_BBB222 merged into rep_AAA111');
+      expect(duplicateService.mergeDuplicateReports).toHaveBeenCalledWith('rep_AAA111', 'rep_BBB222', 'admin', expect.any(String));
+    });
+
+    test('should require a source report ID', async () => {
+      const response = await request(app)
+        .post('/api/reports/rep_AAA111/merge')
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).toBe('sourceReportId is required');
+      expect(duplicateService.mergeDuplicateReports).not.toHaveBeenCalled();
+    });
+
+    test('should map missing reports to 404 and invalid merges to 400', async () => {
+      duplicateService.mergeDuplicateReports.mockRejectedValueOnce(new Error('Report with ID rep_BBB222 not found'));
+      await request(app).post('/api/reports/rep_AAA111/merge').send({ sourceReportId: 'rep_BBB222' }).expect(404);
+
+      duplicateService.mergeDuplicateReports.mockRejectedValueOnce(
+        new Error('Report validation failed: merged report would have 12 files (maximum 10)')
+      );
+      const response = await request(app)
+        .post('/api/reports/rep_AAA111/merge')
+        .send({ sourceReportId: 'rep_BBB222' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid merge');
+    });
+  });
+
+  describe('POST /api/reports/:id/mvc-package', () => {
+    const mvcPackage = {
+      packageId: 'NJDSC-rep_AAA111-20240301120000',
+      fileName: 'NJDSC-rep_AAA111-20240301120000.zip',
+      sha256: 'a'.repeat(64),
+      size: 2048,
+      files: ['NJDSC-rep_AAA111-20240301120000.pdf', 'evidence/01-photo.jpg'],
+      email: null,
+      report: { id: 'rep_AAA111', status: 'Reported to MVC', mvcReferenceNumber: 'MVC-2024-001' }
+    };
+
+    test('should create the package and return a download link', async () => {
+      mvcPackageService.createMvcPackage.mockResolvedValue(mvcPackage);
+
+      const response = await request(app)
+        .post('/api/reports/rep_AAA111/mvc-package')
+        .send({ mvcReferenceNumber: ' MVC-2024-001 ', email: true })
+        .expect(201);
+
+      expect(response.body.data.sha256).toBe(mvcPackage.sha256);
+      expect(response.body.data.downloadUrl).toBe('/api/reports/rep_AAA111/mvc-package/NJDSC-rep_AAA111-20240301120000.zip');
+      expect(mvcPackageService.createMvcPackage).toHaveBeenCalledWith(
+        'rep_AAA111',
+        { mvcReferenceNumber: 'MVC-2024-001', email: true, to: undefined },
+        'admin',
+        expect.any(String)
+      );
+    });
+
+    test('should validate the request body', async () => {
+      await request(app).post('/api/reports/rep_AAA111/mvc-package').send({ email: 'yes' }).expect(400);
+      await request(app).post('/api/reports/rep_AAA111/mvc-package').send({ to: 'not-an-email' }).expect(400);
+      await request(app).post('/api/reports/rep_AAA111/mvc-package').send({ mvcReferenceNumber: 'x'.repeat(51) }).expect(400);
+
+      expect(mvcPackageService.createMvcPackage).not.toHaveBeenCalled();
+    });
+
+    test('should map missing reports to 404 and disallowed transitions to 400', async () => {
+      mvcPackageService.createMvcPackage.mockRejectedValueOnce(new Error('Report with ID rep_AAA111 not found'));
+      await request(app).post('/api/reports/rep_AAA111/mvc-package').send({}).expect(404);
+
+      mvcPackageService.createMvcPackage.mockRejectedValueOnce(
+        new Error('Status transition validation failed: cannot change status from "Added" to "Reported to MVC"')
+      );
+      const response = await request(app).post('/api/reports/rep_AAA111/mvc-package').send({}).expect(400);
+
+      expect(response.body.error).toBe('Invalid MVC package request');
+    });
+  });
+
+  describe('GET /api/reports/:id/mvc-package/:fileName', () => {
+    test('should return 404 for an unknown package', async () => {
+      mvcPackageService.getMvcPackagePath.mockRejectedValue(new Error('MVC package x.zip not found'));
+
+      const response = await request(app)
+        .get('/api/reports/rep_AAA111/mvc-package/x.zip')
+        .expect(404);
+
+      expect(response.body.error).toBe('MVC package not found');
+    });
+  });
 
   describe('GET /api/reports/stats', () => {
     // Happy path tests
@@ -492,6 +1182,49 @@ describe('Reports API Routes', () => {
       expect(response.body.data.recentReports).toHaveLength(3);
     });
 
+    test('should leave out reports held for review', async () => {
+      reportService.getAllReports.mockResolvedValue([
+        { id: 'rep_001', status: 'Added', createdAt: '2023-01-01T00:00:00.000Z' },
+        { id: 'rep_002', status: 'Added', createdAt: '2023-01-02T00:00:00.000Z', reviewStatus: 'pending' },
+        { id: 'rep_003', status: 'Added', createdAt: '2023-01-03T00:00:00.000Z', reviewStatus: 'approved' }
+      ]);
+
+      const response = await request(app).get('/api/reports/stats').expect(200);
+
+      expect(response.body.data.totalReports).toBe(2);
+      expect(response.body.data.recentReports.map(report => report.id)).toEqual(['rep_003', 'rep_001']);
+    });
+
+    test('should leave reporter details out of recent reports for the public', async () => {
+      const report = {
+        id: 'rep_001',
+        schoolName: 'School 1',
+        status: 'Added',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        reporterName: 'Jane Doe',
+        reporterEmail: 'jane@example.com',
+        reporterPhone: '555-0100',
+        reporterIp: '203.0.113.5',
+        adminNotes: 'Called the school'
+      };
+      reportService.getAllReports.mockResolvedValue([report]);
+
+      const publicResponse = await request(app).get('/api/reports/stats').expect(200);
+      const investigatorResponse = await request(app)
+        .get('/api/reports/stats')
+        .set('Authorization', 'Bearer investigator')
+        .expect(200);
+
+      expect(publicResponse.body.data.recentReports).toEqual([{
+        id: 'rep_001', schoolName: 'School 1', status: 'Added', createdAt: '2023-01-01T00:00:00.000Z'
+      }]);
+      expect(investigatorResponse.body.data.recentReports[0]).toMatchObject({
+        reporterEmail: 'jane@example.com',
+        adminNotes: 'Called the school'
+      });
+      expect(investigatorResponse.body.data.recentReports[0].reporterIp).toBeUndefined();
+    });
+
     // Negative tests
     test('should handle service errors', async () => {
       reportService.getAllReports.mockRejectedValue(new Error('Database error'));
@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for Retention API Routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const retentionRouter = require('../../../server/routes/retention');
+const retentionService = require('../../../server/services/retentionService');
+const configService = require('../../../server/services/configService');
+
+jest.mock('../../../server/services/retentionService');
+jest.mock('../../../server/services/configService');
+
+describe('Retention API Routes', () => {
+  let app;
+  const rule = {
+    id: 'reporter-ip',
+    action: 'purge_reporter_ip',
+    afterDays: 90,
+    from: 'created',
+    enabled: true,
+    description: ''
+  };
+  const purge = {
+    ruleId: 'reporter-ip',
+    action: 'purge_reporter_ip',
+    reportId: 'rep_ABC123',
+    dueSince: '2023-04-01T00:00:00.000Z',
+    fields: ['reporterIp'],
+    fileIds: []
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.adminUser = { id: 'usr_admin001', username: 'admin', role: 'admin' };
+      next();
+    });
+    app.use('/api/retention', retentionRouter);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('GET / should return the rules and whether they run on a schedule', async () => {
+    configService.getConfig.mockResolvedValue(true);
+    retentionService.getRules.mockResolvedValue([rule]);
+
+    const response = await request(app).get('/api/retention').expect(200);
+
+    expect(response.body.data).toEqual({ enabled: true, rules: [rule] });
+    expect(configService.getConfig).toHaveBeenCalledWith('system.retention.enabled');
+  });
+
+  describe('PUT /rules', () => {
+    test('should save the rules as the signed-in admin', async () => {
+      retentionService.setRules.mockResolvedValue([rule]);
+
+      const response = await request(app)
+        .put('/api/retention/rules')
+        .send({ rules: [{ id: 'reporter-ip', action: 'purge_reporter_ip', afterDays: 90 }] })
+        .expect(200);
+
+      expect(response.body.data.rules).toEqual([rule]);
+      expect(retentionService.setRules).toHaveBeenCalledWith(
+        [{ id: 'reporter-ip', action: 'purge_reporter_ip', afterDays: 90 }], 'admin'
+      );
+    });
+
+    test('should return 400 for invalid rules', async () => {
+      retentionService.setRules.mockRejectedValue(
+        new Error('Retention rule validation failed: "afterDays" must be greater than or equal to 1')
+      );
+
+      const response = await request(app)
+        .put('/api/retention/rules')
+        .send({ rules: [{ ...rule, afterDays: 0 }] })
+        .expect(400);
+
+      expect(response.body.message).toContain('afterDays');
+    });
+  });
+
+  describe('GET /preview', () => {
+    test('should list due removals at the requested date', async () => {
+      retentionService.previewRetention.mockResolvedValue({ asOf: '2024-01-01T00:00:00.000Z', items: [purge], held: [] });
+
+      const response = await request(app).get('/api/retention/preview?asOf=2024-01-01').expect(200);
+
+      expect(response.body.data.items).toEqual([purge]);
+      expect(retentionService.previewRetention).toHaveBeenCalledWith({ asOf: '2024-01-01' });
+      expect(retentionService.runRetention).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for an invalid date', async () => {
+      retentionService.previewRetention.mockRejectedValue(
+        new Error('Retention validation failed: asOf must be a valid date')
+      );
+
+      await request(app).get('/api/retention/preview?asOf=soon').expect(400);
+    });
+  });
+
+  describe('POST /run', () => {
+    test('should apply the rules as the signed-in admin', async () => {
+      retentionService.runRetention.mockResolvedValue({ asOf: '2024-01-01T00:00:00.000Z', purged: [purge], failed: [], held: [] });
+
+      const response = await request(app).post('/api/retention/run').expect(200);
+
+      expect(response.body.message).toBe('Retention rules applied: 1 removal(s), 0 failure(s)');
+      expect(retentionService.runRetention).toHaveBeenCalledWith({ runBy: 'admin', ipAddress: expect.any(String) });
+    });
+
+    test('should return 409 while another run is in progress', async () => {
+      retentionService.runRetention.mockResolvedValue(null);
+
+      await request(app).post('/api/retention/run').expect(409);
+    });
+
+    test('should return 500 when the run fails', async () => {
+      retentionService.runRetention.mockRejectedValue(new Error('disk error'));
+
+      const response = await request(app).post('/api/retention/run').expect(500);
+
+      expect(response.body.error).toBe('Failed to run retention rules');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for School Registry API Routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const schoolsRouter = require('../../../server/routes/schools');
+const schoolService = require('../../../server/services/schoolService');
+
+jest.mock('../../../server/services/schoolService');
+jest.mock('../../../server/middleware/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  requireAdminRole: (req, res, next) => next()
+}));
+
+describe('School Registry API Routes', () => {
+  let app;
+  const mockSchool = {
+    id: 'sch_ABC123',
+    name: 'ABC Driving School',
+    aliases: ['A.B.C. Driving School LLC'],
+    phoneNumbers: [],
+    websites: [],
+    locations: [],
+    reportIds: ['rep_AAA111', 'rep_BBB222'],
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-01T00:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.adminUser = { id: 'usr_inv001', username: 'investigator1', role: 'investigator' };
+      next();
+    });
+    app.use('/api/schools', schoolsRouter);
+  });
+
+  describe('GET /api/schools', () => {
+    test('should list schools with the search term', async () => {
+      schoolService.getSchools.mockResolvedValue([{ ...mockSchool, reportCount: 2 }]);
+
+      const response = await request(app)
+        .get('/api/schools?search=abc')
+        .expect(200);
+
+      expect(response.body.data.total).toBe(1);
+      expect(schoolService.getSchools).toHaveBeenCalledWith({ search: 'abc' });
+    });
+  });
+
+  describe('GET /api/schools/:id', () => {
+    test('should return 404 for a missing school', async () => {
+      schoolService.getSchoolById.mockRejectedValue(new Error('School with ID sch_NOPE00 not found'));
+
+      const response = await request(app)
+        .get('/api/schools/sch_NOPE00')
+        .expect(404);
+
+      expect(response.body.error).toBe('School not found');
+    });
+  });
+
+  describe('POST /api/schools', () => {
+    test('should create a school', async () => {
+      schoolService.createSchool.mockResolvedValue(mockSchool);
+
+      await request(app)
+        .post('/api/schools')
+        .send({ name: 'ABC Driving School' })
+        .expect(201);
+
+      expect(schoolService.createSchool).toHaveBeenCalledWith({ name: 'ABC Driving School' }, 'investigator1', expect.any(String));
+    });
+
+    test('should return 400 without a name', async () => {
+      await request(app)
+        .post('/api/schools')
+        .send({})
+        .expect(400);
+
+      expect(schoolService.createSchool).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 for an existing school', async () => {
+      schoolService.createSchool.mockRejectedValue(new Error('School "ABC" already exists (sch_ABC123)'));
+
+      const response = await request(app)
+        .post('/api/schools')
+        .send({ name: 'ABC' })
+        .expect(409);
+
+      expect(response.body.error).toBe('School already exists');
+    });
+  });
+
+  describe('POST /api/schools/:id/merge', () => {
+    test('should merge the source school into the target', async () => {
+      schoolService.mergeSchools.mockResolvedValue(mockSchool);
+
+      await request(app)
+        .post('/api/schools/sch_ABC123/merge')
+        .send({ sourceSchoolId: 'sch_XYZ789' })
+        .expect(200);
+
+      expect(schoolService.mergeSchools).toHaveBeenCalledWith('sch_ABC123', 'sch_XYZ789', 'investigator1', expect.any(String));
+    });
+
+    test('should return 400 without a source school', async () => {
+      await request(app)
+        .post('/api/schools/sch_ABC123/merge')
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/schools/:id/split', () => {
+    test('should split the selected reports into a new school', async () => {
+      schoolService.splitSchool.mockResolvedValue({
+        original: { ...mockSchool, reportIds: ['rep_AAA111'] },
+        created: { ...mockSchool, id: 'sch_NEW001', name: 'Other Driving', reportIds: ['rep_BBB222'] }
+      });
+
+      const response = await request(app)
+        .post('/api/schools/sch_ABC123/split')
+        .send({ reportIds: ['rep_BBB222', 'rep_BBB222'], name: 'Other Driving' })
+        .expect(201);
+
+      expect(response.body.data.created.id).toBe('sch_NEW001');
+      expect(schoolService.splitSchool).toHaveBeenCalledWith('sch_ABC123', ['rep_BBB222'], 'Other Driving', 'investigator1', expect.any(String));
+    });
+
+    test('should return 400 for an invalid selection', async () => {
+      schoolService.splitSchool.mockRejectedValue(new Error('School validation failed: select some, but not all'));
+
+      const response = await request(app)
+        .post('/api/schools/sch_ABC123/split')
+        .send({ reportIds: ['rep_AAA111', 'rep_BBB222'] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid school operation');
+    });
+  });
+
+  describe('POST /api/schools/sync', () => {
+    test('should link unassigned reports', async () => {
+      schoolService.syncSchoolsFromReports.mockResolvedValue({ linkedReports: 3, totalSchools: 2 });
+
+      const response = await request(app)
+        .post('/api/schools/sync')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ linkedReports: 3, totalSchools: 2 });
+    });
+  });
+});
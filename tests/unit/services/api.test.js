@@ -331,11 +331,35 @@ describe('API Service', () => {
 
       expect(global.fetch).toHaveBeenCalledWith('/api/files/upload', {
         method: 'POST',
+        headers: {},
         body: expect.any(FormData)
       });
       expect(result).toEqual(mockResponse);
     });
 
+    test('should send the submission token, or the sign-in token when signed in', async () => {
+      const mockFile = new File(['test'], 'test.jpg', { type: 'image/jpeg' });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ success: true })
+      });
+
+      await apiClient.uploadFiles([mockFile], 'rep_123456', {
+        ticketId: 'report_20240101_000000_abc123',
+        submissionToken: 'token-abc'
+      });
+
+      const formData = global.fetch.mock.calls[0][1].body;
+      expect(formData.get('reportId')).toBe('rep_123456');
+      expect(formData.get('ticketId')).toBe('report_20240101_000000_abc123');
+      expect(formData.get('submissionToken')).toBe('token-abc');
+
+      mockAuthService.getAuthToken.mockReturnValue('test-token');
+      await apiClient.uploadFiles([mockFile], 'rep_123456');
+
+      expect(global.fetch.mock.calls[1][1].headers).toEqual({ Authorization: 'Bearer test-token' });
+    });
+
     // Negative tests
     test('should handle upload error', async () => {
       const mockFile = new File(['test'], 'test.jpg', { type: 'image/jpeg' });
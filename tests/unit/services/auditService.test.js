@@ -3,7 +3,8 @@ const auditService = require('../../../server/services/auditService');
 // Mock the localJsonService dependency
 jest.mock('../../../server/services/localJsonService', () => ({
   getAllRows: jest.fn(),
-  appendRow: jest.fn()
+  appendRow: jest.fn(),
+  updateRow: jest.fn()
 }));
 
 const localJsonService = require('../../../server/services/localJsonService');
@@ -309,6 +310,29 @@ describe('Audit Service', () => {
     });
   });
 
+  describe('redactAuditLog', () => {
+    it('should redact the details, changes and metadata of an entry', async () => {
+      localJsonService.getAllRows.mockResolvedValue([{
+        id: 'audit_1',
+        action: 'EMAIL_SENT',
+        timestamp: '2025-01-01T00:00:00Z',
+        details: 'Sent email to jane@example.com',
+        changes: null,
+        metadata: { recipient: 'jane@example.com', eventType: 'email' }
+      }]);
+      const redact = text => text.replace(/jane@example\.com/g, '[redacted]');
+
+      await auditService.redactAuditLog('audit_1', redact);
+
+      expect(localJsonService.updateRow).toHaveBeenCalledWith(null, 'audit', 'audit_1', {
+        details: 'Sent email to [redacted]',
+        changes: null,
+        metadata: { recipient: '[redacted]', eventType: 'email' }
+      });
+      await expect(auditService.redactAuditLog('audit_2', redact)).rejects.toThrow('Audit log entry audit_2 not found');
+    });
+  });
+
   describe('Authentication audit methods', () => {
     beforeEach(() => {
       localJsonService.appendRow.mockResolvedValue();
@@ -374,6 +398,336 @@ describe('Audit Service', () => {
         expect(result.metadata.adminNotes).toBe('Admin review completed');
         expect(result.metadata.eventType).toBe('report_management');
       });
+
+      it('should record the admin who made the change and their IP', async () => {
+        const result = await auditService.logStatusUpdate('rep_123', 'Added', 'Confirmed', '', 'investigator1', '10.0.0.1');
+
+        expect(result.adminUser).toBe('investigator1');
+        expect(result.ipAddress).toBe('10.0.0.1');
+      });
+    });
+
+    describe('logBulkStatusUpdate', () => {
+      it('should log one entry with per-report changes', async () => {
+        const results = [
+          { id: 'rep_111111', oldStatus: 'Added', newStatus: 'Closed' },
+          { id: 'rep_222222', oldStatus: 'Under Investigation', newStatus: 'Closed' }
+        ];
+
+        const result = await auditService.logBulkStatusUpdate(results, 'Closed', 'Batch close', 'investigator1', '10.0.0.1');
+
+        expect(result.action).toBe('BULK_STATUS_UPDATE');
+        expect(result.targetType).toBe('bulk');
+        expect(result.adminUser).toBe('investigator1');
+        expect(result.details).toBe('Bulk status update of 2 report(s) to "Closed"');
+        expect(result.changes).toEqual({
+          rep_111111: { old: 'Added', new: 'Closed' },
+          rep_222222: { old: 'Under Investigation', new: 'Closed' }
+        });
+        expect(result.metadata.reportIds).toEqual(['rep_111111', 'rep_222222']);
+        expect(result.metadata.adminNotes).toBe('Batch close');
+      });
+    });
+
+    describe('logReportMerged', () => {
+      it('should log the merge against the report that was kept', async () => {
+        const report = { id: 'rep_111111', schoolName: 'ABC Driving School' };
+        const source = { id: 'rep_222222', schoolName: 'A.B.C. Driving LLC', status: 'Added' };
+
+        const result = await auditService.logReportMerged(report, source, 'investigator1', '10.0.0.1');
+
+        expect(result.action).toBe('REPORT_MERGED');
+        expect(result.targetType).toBe('report');
+        expect(result.targetId).toBe('rep_111111');
+        expect(result.details).toBe('Report rep_222222 ("A.B.C. Driving LLC") merged into rep_111111 ("ABC Driving School")');
+        expect(result.metadata.sourceReportId).toBe('rep_222222');
+        expect(result.metadata.sourceStatus).toBe('Added');
+      });
+    });
+
+    describe('logReportReviewed', () => {
+      it('should log the review decision against the report', async () => {
+        const report = { id: 'rep_111111', schoolName: 'Ace Driving', source: 'email', reviewStatus: 'rejected' };
+
+        const result = await auditService.logReportReviewed(report, 'reject', 'investigator1', '10.0.0.1');
+
+        expect(result.action).toBe('REPORT_REVIEWED');
+        expect(result.targetId).toBe('rep_111111');
+        expect(result.details).toBe('Report rep_111111 ("Ace Driving") rejected in review');
+        expect(result.metadata).toMatchObject({ decision: 'reject', source: 'email', reviewStatus: 'rejected' });
+      });
+    });
+
+    describe('comment audit methods', () => {
+      const comment = {
+        id: 'cmt_ABCD1234',
+        reportId: 'rep_123456',
+        author: 'investigator1',
+        body: 'Called the school @admin',
+        mentions: ['admin']
+      };
+
+      it('should log an added comment against its report', async () => {
+        const result = await auditService.logCommentAdded(comment, 'investigator1', '10.0.0.1');
+
+        expect(result.action).toBe('COMMENT_ADDED');
+        expect(result.targetType).toBe('report');
+        expect(result.targetId).toBe('rep_123456');
+        expect(result.metadata.commentId).toBe('cmt_ABCD1234');
+        expect(result.metadata.mentions).toEqual(['admin']);
+      });
+
+      it('should log the old and new text of an edited comment', async () => {
+        const edited = { ...comment, body: 'Visited the school' };
+        const result = await auditService.logCommentUpdated(comment, edited, 'investigator1', '10.0.0.1');
+
+        expect(result.action).toBe('COMMENT_UPDATED');
+        expect(result.changes.body).toEqual({ old: 'Called the school @admin', new: 'Visited the school' });
+      });
+
+      it('should log a deleted comment with its original author', async () => {
+        const result = await auditService.logCommentDeleted(comment, 'admin', '10.0.0.1');
+
+        expect(result.action).toBe('COMMENT_DELETED');
+        expect(result.adminUser).toBe('admin');
+        expect(result.metadata.author).toBe('investigator1');
+      });
+    });
+
+    describe('school registry audit methods', () => {
+      it('should log a merge with the reports that moved', async () => {
+        const target = { id: 'sch_AAA111', name: 'ABC Driving School' };
+        const source = { id: 'sch_BBB222', name: 'ABC Driving LLC', reportIds: ['rep_222222'] };
+
+        const result = await auditService.logSchoolMerged(target, source, 'admin', '10.0.0.1');
+
+        expect(result.action).toBe('SCHOOL_MERGED');
+        expect(result.targetType).toBe('school');
+        expect(result.targetId).toBe('sch_AAA111');
+        expect(result.metadata.sourceSchoolId).toBe('sch_BBB222');
+        expect(result.metadata.movedReportIds).toEqual(['rep_222222']);
+      });
+
+      it('should log a split with the new school ID', async () => {
+        const original = { id: 'sch_AAA111', name: 'ABC Driving School' };
+        const created = { id: 'sch_CCC333', name: 'Other Driving', reportIds: ['rep_333333'] };
+
+        const result = await auditService.logSchoolSplit(original, created, 'admin', '10.0.0.1');
+
+        expect(result.action).toBe('SCHOOL_SPLIT');
+        expect(result.details).toBe('1 report(s) split from "ABC Driving School" into new school "Other Driving"');
+        expect(result.metadata.newSchoolId).toBe('sch_CCC333');
+      });
+    });
+
+    describe('report export audit methods', () => {
+      it('should log an export with its format and filters', async () => {
+        const filters = { status: 'Closed', search: undefined, sortBy: 'lastReported', sortOrder: 'desc' };
+
+        const result = await auditService.logReportsExported(12, 'xlsx', filters, 'admin', '10.0.0.1');
+
+        expect(result.action).toBe('REPORTS_EXPORTED');
+        expect(result.targetType).toBe('bulk');
+        expect(result.details).toBe('12 report(s) exported as XLSX');
+        expect(result.metadata).toMatchObject({ count: 12, format: 'xlsx', filters: { status: 'Closed' } });
+      });
+    });
+
+    describe('file original audit methods', () => {
+      it('should log a download of an unsanitized original against its report', async () => {
+        const file = { id: 'file_ABC123', reportId: 'rep_ABC123', originalName: 'photo.jpg' };
+
+        const result = await auditService.logFileOriginalAccessed(file, 'original', 'admin', '10.0.0.1');
+
+        expect(result.action).toBe('FILE_ORIGINAL_ACCESSED');
+        expect(result.targetType).toBe('report');
+        expect(result.targetId).toBe('rep_ABC123');
+        expect(result.details).toBe('Unsanitized original of photo.jpg (file_ABC123) downloaded');
+        expect(result.metadata).toMatchObject({ fileId: 'file_ABC123', access: 'original' });
+      });
+
+      it('should log a deleted file against its report', async () => {
+        const file = { id: 'file_ABC123', reportId: 'rep_ABC123', originalName: 'photo.jpg', size: 1024 };
+
+        const result = await auditService.logFileDeleted(file, 'admin', '10.0.0.1');
+
+        expect(result.action).toBe('FILE_DELETED');
+        expect(result.targetId).toBe('rep_ABC123');
+        expect(result.details).toBe('File photo.jpg (file_ABC123) deleted from report rep_ABC123');
+        expect(result.metadata).toMatchObject({ fileId: 'file_ABC123', name: 'photo.jpg', size: 1024 });
+      });
+    });
+
+    describe('data retention audit methods', () => {
+      it('should log a legal hold with its reason', async () => {
+        const report = {
+          id: 'rep_ABC123',
+          schoolName: 'ABC Driving School',
+          legalHold: { reason: 'Subpoena 2023-17', placedBy: 'admin', placedAt: '2023-01-01T00:00:00.000Z' }
+        };
+
+        const placed = await auditService.logLegalHoldChanged(report, 'admin', '10.0.0.1');
+        const lifted = await auditService.logLegalHoldChanged({ ...report, legalHold: null }, 'admin', '10.0.0.1');
+
+        expect(placed.action).toBe('REPORT_LEGAL_HOLD_CHANGED');
+        expect(placed.details).toBe('Legal hold placed on report rep_ABC123 ("ABC Driving School"): Subpoena 2023-17');
+        expect(lifted.metadata).toMatchObject({ hold: false, reason: null, eventType: 'data_retention' });
+      });
+
+      it('should log a retention purge as a system event', async () => {
+        const purge = {
+          ruleId: 'closed-evidence',
+          action: 'delete_evidence',
+          reportId: 'rep_ABC123',
+          fields: [],
+          fileIds: ['file_ABC123', 'file_DEF456']
+        };
+
+        const result = await auditService.logRetentionPurge(purge, 'system');
+
+        expect(result.action).toBe('RETENTION_PURGE');
+        expect(result.adminUser).toBe('system');
+        expect(result.ipAddress).toBe('system');
+        expect(result.targetId).toBe('rep_ABC123');
+        expect(result.details).toBe('Retention rule closed-evidence (delete_evidence) removed 2 file(s) from report rep_ABC123');
+        expect(result.metadata).toMatchObject({ ruleId: 'closed-evidence', fileIds: ['file_ABC123', 'file_DEF456'] });
+      });
+    });
+
+    describe('privacy audit methods', () => {
+      it('should log a subject export with counts but without the identifiers', async () => {
+        const exported = { counts: { reports: 2, files: 0, auditEntries: 5 }, reportIds: ['rep_ABC123', 'rep_DEF456'] };
+
+        const result = await auditService.logSubjectDataExported(exported, 'admin', '10.0.0.1');
+
+        expect(result.action).toBe('SUBJECT_DATA_EXPORTED');
+        expect(result.details).toBe('Data subject export created: 2 reports, 5 auditEntries');
+        expect(result.metadata).toEqual({ counts: exported.counts, reportIds: exported.reportIds, eventType: 'privacy' });
+      });
+
+      it('should log an erasure with held reports and the verification outcome', async () => {
+        const erasure = {
+          mode: 'erase',
+          reportIds: ['rep_ABC123'],
+          changed: { reports: 1, files: 2 },
+          held: [{ reportId: 'rep_DEF456', legalHold: {} }],
+          verified: false
+        };
+
+        const result = await auditService.logSubjectDataErased(erasure, 'admin', '10.0.0.1');
+
+        expect(result.action).toBe('SUBJECT_DATA_ERASED');
+        expect(result.details).toBe(
+          'Data subject request (erase) carried out: 1 reports, 2 files; 1 report(s) on legal hold left alone; data still found afterwards'
+        );
+        expect(result.metadata).toMatchObject({ heldReportIds: ['rep_DEF456'], verified: false, eventType: 'privacy' });
+      });
+    });
+
+    describe('licensed school list audit methods', () => {
+      it('should log an import with its counts', async () => {
+        const importResult = { imported: 40, skipped: [{ row: 3, error: 'bad' }], total: 40, replaced: true };
+
+        const result = await auditService.logLicensedSchoolsImported(importResult, 'admin', '10.0.0.1');
+
+        expect(result.action).toBe('LICENSED_SCHOOLS_IMPORTED');
+        expect(result.targetType).toBe('system');
+        expect(result.details).toBe('Licensed school list replaced: 40 imported, 1 skipped');
+        expect(result.metadata).toMatchObject({ imported: 40, skipped: 1, total: 40, replaced: true });
+      });
+    });
+
+    describe('email audit methods', () => {
+      it('should log a sent email with its template version', async () => {
+        const email = { reportId: 'rep_ABC123', templateId: 'case_closed', templateVersion: 3, to: 'a@example.com', subject: 'Closed' };
+
+        const result = await auditService.logEmailSent(email, 'investigator', '10.0.0.1');
+
+        expect(result.action).toBe('EMAIL_SENT');
+        expect(result.targetType).toBe('email');
+        expect(result.targetId).toBe('rep_ABC123');
+        expect(result.details).toBe('Sent "case_closed" email to a@example.com: Closed');
+        expect(result.metadata).toMatchObject({ templateId: 'case_closed', templateVersion: 3, recipient: 'a@example.com' });
+      });
+
+      it('should record the files attached to a sent email', async () => {
+        const attachments = [{ fileId: 'file_1', filename: 'photo.jpg', size: 2048 }];
+        const email = { reportId: 'rep_ABC123', templateId: 'case_closed', to: 'a@example.com', subject: 'Closed', attachments };
+
+        const result = await auditService.logEmailSent(email, 'investigator', '10.0.0.1');
+
+        expect(result.details).toBe('Sent "case_closed" email to a@example.com: Closed (attachments: photo.jpg)');
+        expect(result.metadata.attachments).toEqual(attachments);
+      });
+
+      it('should log template changes with the version', async () => {
+        const template = { id: 'case_closed', name: 'Case Closed', version: 2 };
+
+        const created = await auditService.logEmailTemplateCreated({ ...template, version: 1 }, 'admin', '10.0.0.1');
+        const updated = await auditService.logEmailTemplateUpdated(template, { subject: { old: 'a', new: 'b' } }, 'admin', '10.0.0.1');
+        const deleted = await auditService.logEmailTemplateDeleted(template, 'admin', '10.0.0.1');
+
+        expect(created.action).toBe('EMAIL_TEMPLATE_CREATED');
+        expect(updated.action).toBe('EMAIL_TEMPLATE_UPDATED');
+        expect(updated.details).toBe('Email template "Case Closed" updated to version 2');
+        expect(updated.changes).toEqual({ subject: { old: 'a', new: 'b' } });
+        expect(deleted.action).toBe('EMAIL_TEMPLATE_DELETED');
+        expect(deleted.targetId).toBe('case_closed');
+      });
+
+      it('should log dead-lettered and resent emails against the report', async () => {
+        const message = { id: 'eml_ABCDEFGHIJ', reportId: 'rep_ABC123', templateId: 'case_closed', to: 'a@example.com', subject: 'Closed', attempts: 5, lastError: 'Timed out' };
+
+        const failed = await auditService.logEmailFailed(message, 'investigator', '10.0.0.1');
+        const resent = await auditService.logEmailResent(message, 'admin', '10.0.0.2');
+
+        expect(failed.action).toBe('EMAIL_FAILED');
+        expect(failed.targetId).toBe('rep_ABC123');
+        expect(failed.details).toBe('Email to a@example.com failed after 5 attempts: Timed out');
+        expect(failed.metadata).toMatchObject({ messageId: 'eml_ABCDEFGHIJ', attempts: 5, reason: 'Timed out' });
+        expect(resent.action).toBe('EMAIL_RESENT');
+        expect(resent.adminUser).toBe('admin');
+        expect(resent.details).toBe('Resent email to a@example.com: Closed');
+      });
+
+      it('should log ingested emails as the system user', async () => {
+        const inbound = { id: 'inb_ABCDEFGHIJ', messageId: 'tip@example.com', from: 'jane@example.com', subject: 'Ace Driving', reportId: 'rep_ABC123', fileIds: ['file_1'] };
+
+        const result = await auditService.logEmailIngested(inbound);
+
+        expect(result.action).toBe('EMAIL_INGESTED');
+        expect(result.adminUser).toBe('system');
+        expect(result.targetId).toBe('rep_ABC123');
+        expect(result.details).toBe('Email from jane@example.com ("Ace Driving") ingested into report rep_ABC123 with 1 image(s); held for review');
+        expect(result.metadata).toMatchObject({ inboundId: 'inb_ABCDEFGHIJ', sender: 'jane@example.com', fileIds: ['file_1'] });
+      });
+
+      it('should log replies added to a report as the system user', async () => {
+        const entry = { id: 'cor_ABCDEFGHIJ', reportId: 'rep_ABC123', outboundEmailId: 'eml_ABCDEFGHIJ', from: 'referrals@mvc.example.gov', subject: 'Re: Referral', attachments: [{ filename: 'case.pdf' }] };
+
+        const result = await auditService.logCorrespondenceReceived(entry);
+
+        expect(result.action).toBe('CORRESPONDENCE_RECEIVED');
+        expect(result.adminUser).toBe('system');
+        expect(result.targetId).toBe('rep_ABC123');
+        expect(result.details).toBe('Reply from referrals@mvc.example.gov ("Re: Referral") added to report rep_ABC123');
+        expect(result.metadata).toMatchObject({ correspondenceId: 'cor_ABCDEFGHIJ', outboundEmailId: 'eml_ABCDEFGHIJ', attachments: ['case.pdf'] });
+      });
+
+      it('should log automatic notifications as the system user', async () => {
+        const notification = { reportId: 'rep_ABC123', templateId: 'confirmation', to: 'r@example.com' };
+
+        const sent = await auditService.logNotificationSent(notification);
+        const failed = await auditService.logNotificationFailed(notification, 'SMTP down');
+
+        expect(sent.action).toBe('NOTIFICATION_SENT');
+        expect(sent.adminUser).toBe('system');
+        expect(sent.targetId).toBe('rep_ABC123');
+        expect(sent.details).toBe('Automatic "confirmation" email sent to r@example.com');
+        expect(failed.action).toBe('NOTIFICATION_FAILED');
+        expect(failed.details).toBe('Automatic "confirmation" email to r@example.com failed: SMTP down');
+        expect(failed.metadata).toMatchObject({ templateId: 'confirmation', recipient: 'r@example.com', reason: 'SMTP down' });
+      });
     });
   });
 
@@ -0,0 +1,249 @@
+/**
+ * Unit tests for authService user management
+ */
+
+// In-memory users sheet
+let mockUsers = [];
+
+jest.mock('../../../server/services/localJsonService', () => ({
+  ensureSheetExists: jest.fn().mockResolvedValue(undefined),
+  getAllRows: jest.fn(async () => mockUsers.map(user => ({ ...user }))),
+  appendRow: jest.fn(async (spreadsheetId, sheet, row) => {
+    mockUsers.push({ ...row });
+  }),
+  updateRow: jest.fn(async (spreadsheetId, sheet, id, row) => {
+    mockUsers = mockUsers.map(user => (user.id === id ? { ...user, ...row } : user));
+  }),
+  deleteRow: jest.fn(async (spreadsheetId, sheet, id) => {
+    const before = mockUsers.length;
+    mockUsers = mockUsers.filter(user => user.id !== id);
+    return mockUsers.length < before;
+  })
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logLogin: jest.fn().mockResolvedValue({}),
+  logFailedLogin: jest.fn().mockResolvedValue({}),
+  logPasswordChange: jest.fn().mockResolvedValue({}),
+  logFailedPasswordChange: jest.fn().mockResolvedValue({}),
+  logUserCreated: jest.fn().mockResolvedValue({}),
+  logUserUpdated: jest.fn().mockResolvedValue({}),
+  logUserDeleted: jest.fn().mockResolvedValue({})
+}));
+
+// Use a cheap, deterministic hash so tests stay fast
+jest.mock('../../../server/middleware/auth', () => ({
+  JWT_SECRET: 'test-secret',
+  generateToken: jest.fn(() => 'mock-token'),
+  hashPassword: jest.fn(async (password) => `hashed:${password}`),
+  verifyPassword: jest.fn(async (password, hash) => hash === `hashed:${password}`)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const authService = require('../../../server/services/authService');
+const auditService = require('../../../server/services/auditService');
+
+describe('Auth Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUsers = [];
+    authService.initialization = null;
+    process.env.ADMIN_USERNAME = 'admin';
+    process.env.ADMIN_PASSWORD = 'admin123';
+  });
+
+  describe('initialization', () => {
+    test('should seed the default admin when no users exist', async () => {
+      const users = await authService.getAllUsers();
+
+      expect(users).toHaveLength(1);
+      expect(users[0].username).toBe('admin');
+      expect(users[0].role).toBe('admin');
+      expect(users[0].passwordHash).toBeUndefined();
+    });
+
+    test('should seed a random password into an owner-only file when ADMIN_PASSWORD is not set', async () => {
+      delete process.env.ADMIN_PASSWORD;
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-auth-'));
+      const previousDataDir = process.env.DATA_DIR;
+      process.env.DATA_DIR = dir;
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        await authService.getAllUsers();
+
+        expect(mockUsers[0].passwordHash).not.toBe('hashed:admin123');
+        const password = mockUsers[0].passwordHash.replace('hashed:', '');
+        expect(password.length).toBeGreaterThanOrEqual(16);
+
+        const passwordFile = path.join(dir, 'initial-admin-password.txt');
+        expect(fs.readFileSync(passwordFile, 'utf-8')).toBe(`${password}\n`);
+        expect(fs.statSync(passwordFile).mode & 0o777).toBe(0o600);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining(passwordFile));
+        expect(warn).not.toHaveBeenCalledWith(expect.stringContaining(password));
+      } finally {
+        warn.mockRestore();
+        if (previousDataDir === undefined) {
+          delete process.env.DATA_DIR;
+        } else {
+          process.env.DATA_DIR = previousDataDir;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should not reseed when users already exist', async () => {
+      await authService.getAllUsers();
+      authService.initialization = null;
+
+      const users = await authService.getAllUsers();
+
+      expect(users).toHaveLength(1);
+    });
+  });
+
+  describe('authenticate', () => {
+    test('should authenticate and persist last login', async () => {
+      const result = await authService.authenticate('admin', 'admin123', '127.0.0.1');
+
+      expect(result.token).toBe('mock-token');
+      expect(result.user.role).toBe('admin');
+      expect(mockUsers[0].lastLogin).toBeTruthy();
+      expect(auditService.logLogin).toHaveBeenCalledWith('admin', '127.0.0.1');
+    });
+
+    test('should reject an invalid password', async () => {
+      await expect(authService.authenticate('admin', 'wrong', '127.0.0.1'))
+        .rejects.toThrow('Invalid username or password');
+      expect(auditService.logFailedLogin).toHaveBeenCalledWith('admin', '127.0.0.1', 'invalid_password');
+    });
+
+    test('should reject a disabled account', async () => {
+      await authService.createUser({ username: 'viewer1', password: 'password123', role: 'viewer' }, 'admin', '127.0.0.1');
+      mockUsers[1].isActive = false;
+
+      await expect(authService.authenticate('viewer1', 'password123', '127.0.0.1'))
+        .rejects.toThrow('Account is disabled');
+    });
+  });
+
+  describe('verifyToken', () => {
+    const tokenFor = user => jwt.sign({ id: user.id, username: user.username, role: 'admin' }, 'test-secret');
+
+    test('should return the role the user has now rather than the one in the token', async () => {
+      const created = await authService.createUser({ username: 'viewer1', password: 'password123', role: 'viewer' }, 'admin', '127.0.0.1');
+
+      await expect(authService.verifyToken(tokenFor(created)))
+        .resolves.toEqual({ id: created.id, username: 'viewer1', role: 'viewer' });
+    });
+
+    test('should reject tokens of disabled or deleted users', async () => {
+      const created = await authService.createUser({ username: 'viewer1', password: 'password123', role: 'viewer' }, 'admin', '127.0.0.1');
+      const token = tokenFor(created);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      mockUsers[1].isActive = false;
+      await expect(authService.verifyToken(token)).rejects.toThrow('User not found or inactive');
+
+      mockUsers = mockUsers.slice(0, 1);
+      await expect(authService.verifyToken(token)).rejects.toThrow('User not found or inactive');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('changePassword', () => {
+    test('should persist the new password', async () => {
+      await authService.changePassword('admin', 'admin123', 'newpassword1', '127.0.0.1');
+
+      expect(mockUsers[0].passwordHash).toBe('hashed:newpassword1');
+      await expect(authService.authenticate('admin', 'newpassword1', '127.0.0.1')).resolves.toBeDefined();
+    });
+
+    test('should reject an incorrect current password', async () => {
+      await expect(authService.changePassword('admin', 'nope', 'newpassword1', '127.0.0.1'))
+        .rejects.toThrow('Current password is incorrect');
+      expect(auditService.logFailedPasswordChange).toHaveBeenCalled();
+    });
+  });
+
+  describe('createUser', () => {
+    test('should create a user and log the audit event', async () => {
+      const user = await authService.createUser(
+        { username: 'investigator1', password: 'password123', role: 'investigator' },
+        'admin',
+        '127.0.0.1'
+      );
+
+      expect(user.id).toMatch(/^usr_/);
+      expect(user.role).toBe('investigator');
+      expect(user.createdBy).toBe('admin');
+      expect(auditService.logUserCreated).toHaveBeenCalledWith('investigator1', 'investigator', 'admin', '127.0.0.1');
+    });
+
+    test('should reject duplicate usernames case-insensitively', async () => {
+      await expect(authService.createUser({ username: 'ADMIN', password: 'password123', role: 'viewer' }, 'admin'))
+        .rejects.toThrow('already exists');
+    });
+
+    test('should reject short passwords', async () => {
+      await expect(authService.createUser({ username: 'shorty', password: 'short', role: 'viewer' }, 'admin'))
+        .rejects.toThrow('User validation failed');
+    });
+  });
+
+  describe('updateUser', () => {
+    test('should update role and record changes', async () => {
+      const created = await authService.createUser({ username: 'viewer1', password: 'password123', role: 'viewer' }, 'admin');
+
+      const updated = await authService.updateUser(created.id, { role: 'investigator' }, 'admin', '127.0.0.1');
+
+      expect(updated.role).toBe('investigator');
+      expect(auditService.logUserUpdated).toHaveBeenCalledWith(
+        'viewer1',
+        { role: { old: 'viewer', new: 'investigator' } },
+        'admin',
+        '127.0.0.1'
+      );
+    });
+
+    test('should not demote the last active admin', async () => {
+      const [admin] = await authService.getAllUsers();
+
+      await expect(authService.updateUser(admin.id, { role: 'viewer' }, 'admin'))
+        .rejects.toThrow('Cannot remove the last active admin account');
+    });
+
+    test('should throw for unknown users', async () => {
+      await expect(authService.updateUser('usr_NOPE00', { role: 'viewer' }, 'admin'))
+        .rejects.toThrow('not found');
+    });
+  });
+
+  describe('deleteUser', () => {
+    test('should delete another user', async () => {
+      const created = await authService.createUser({ username: 'viewer1', password: 'password123', role: 'viewer' }, 'admin');
+
+      const result = await authService.deleteUser(created.id, 'admin', '127.0.0.1');
+
+      expect(result).toBe(true);
+      expect(mockUsers).toHaveLength(1);
+      expect(auditService.logUserDeleted).toHaveBeenCalledWith('viewer1', 'admin', '127.0.0.1');
+    });
+
+    test('should not allow deleting your own account', async () => {
+      const [admin] = await authService.getAllUsers();
+
+      await expect(authService.deleteUser(admin.id, 'admin'))
+        .rejects.toThrow('You cannot delete your own account');
+    });
+
+    test('should return false for unknown users', async () => {
+      await authService.getAllUsers();
+
+      await expect(authService.deleteUser('usr_NOPE00', 'admin')).resolves.toBe(false);
+    });
+  });
+});
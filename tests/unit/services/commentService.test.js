@@ -0,0 +1,184 @@
+/**
+ * Unit tests for commentService
+ */
+
+// In-memory comments sheet
+let mockComments = [];
+
+jest.mock('../../../server/services/localJsonService', () => ({
+  getAllRows: jest.fn(async () => mockComments.map(comment => ({ ...comment }))),
+  appendRow: jest.fn(async (spreadsheetId, sheet, row) => {
+    mockComments.push({ ...row });
+    return row;
+  }),
+  updateRow: jest.fn(async (spreadsheetId, sheet, id, row) => {
+    mockComments = mockComments.map(comment => (comment.id === id ? { ...comment, ...row } : comment));
+  }),
+  deleteRow: jest.fn(async (spreadsheetId, sheet, id) => {
+    const before = mockComments.length;
+    mockComments = mockComments.filter(comment => comment.id !== id);
+    return mockComments.length < before;
+  })
+}));
+
+jest.mock('../../../server/services/reportService', () => ({
+  getReportById: jest.fn()
+}));
+
+jest.mock('../../../server/services/authService', () => ({
+  getAllUsers: jest.fn()
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logCommentAdded: jest.fn().mockResolvedValue({}),
+  logCommentUpdated: jest.fn().mockResolvedValue({}),
+  logCommentDeleted: jest.fn().mockResolvedValue({})
+}));
+
+const commentService = require('../../../server/services/commentService');
+const reportService = require('../../../server/services/reportService');
+const authService = require('../../../server/services/authService');
+const auditService = require('../../../server/services/auditService');
+
+describe('Comment Service', () => {
+  const investigator = { username: 'investigator1', role: 'investigator' };
+  const otherInvestigator = { username: 'investigator2', role: 'investigator' };
+  const admin = { username: 'admin', role: 'admin' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockComments = [];
+    reportService.getReportById.mockImplementation(async (id) => (
+      id === 'rep_ABC123' ? { id, status: 'Added' } : null
+    ));
+    authService.getAllUsers.mockResolvedValue([
+      { username: 'admin', isActive: true },
+      { username: 'investigator1', isActive: true },
+      { username: 'investigator2', isActive: true },
+      { username: 'retired', isActive: false }
+    ]);
+  });
+
+  describe('createComment', () => {
+    test('should store the comment with its author and audit it', async () => {
+      const comment = await commentService.createComment('rep_ABC123', 'Site visit planned', 'investigator1', '10.0.0.1');
+
+      expect(comment.author).toBe('investigator1');
+      expect(mockComments).toHaveLength(1);
+      expect(mockComments[0].reportId).toBe('rep_ABC123');
+      expect(auditService.logCommentAdded).toHaveBeenCalledWith(comment, 'investigator1', '10.0.0.1');
+    });
+
+    test('should keep only mentions of active portal users', async () => {
+      const comment = await commentService.createComment(
+        'rep_ABC123',
+        '@admin and @retired and @nobody please review',
+        'investigator1',
+        '10.0.0.1'
+      );
+
+      expect(comment.mentions).toEqual(['admin']);
+    });
+
+    test('should throw for a missing report', async () => {
+      await expect(commentService.createComment('rep_XYZ999', 'Hello', 'investigator1', '10.0.0.1'))
+        .rejects.toThrow('Report with ID rep_XYZ999 not found');
+      expect(mockComments).toHaveLength(0);
+    });
+
+    test('should still succeed when audit logging fails', async () => {
+      auditService.logCommentAdded.mockRejectedValueOnce(new Error('Audit down'));
+
+      const comment = await commentService.createComment('rep_ABC123', 'Hello', 'investigator1', '10.0.0.1');
+
+      expect(comment.body).toBe('Hello');
+    });
+  });
+
+  describe('getComments', () => {
+    test('should return only the report comments, oldest first', async () => {
+      mockComments = [
+        { id: 'cmt_BBBBBBBB', reportId: 'rep_ABC123', author: 'admin', body: 'Second', createdAt: '2023-01-02T00:00:00.000Z', updatedAt: '2023-01-02T00:00:00.000Z' },
+        { id: 'cmt_AAAAAAAA', reportId: 'rep_ABC123', author: 'admin', body: 'First', createdAt: '2023-01-01T00:00:00.000Z', updatedAt: '2023-01-01T00:00:00.000Z' },
+        { id: 'cmt_CCCCCCCC', reportId: 'rep_OTHER1', author: 'admin', body: 'Other', createdAt: '2023-01-01T00:00:00.000Z', updatedAt: '2023-01-01T00:00:00.000Z' }
+      ];
+
+      const comments = await commentService.getComments('rep_ABC123');
+
+      expect(comments.map(c => c.body)).toEqual(['First', 'Second']);
+    });
+  });
+
+  describe('updateComment', () => {
+    test('should let the author edit their comment', async () => {
+      const created = await commentService.createComment('rep_ABC123', 'Draft', 'investigator1', '10.0.0.1');
+
+      const updated = await commentService.updateComment('rep_ABC123', created.id, 'Final @investigator2', investigator, '10.0.0.1');
+
+      expect(updated.body).toBe('Final @investigator2');
+      expect(updated.mentions).toEqual(['investigator2']);
+      expect(updated.editedAt).not.toBeNull();
+      expect(mockComments[0].body).toBe('Final @investigator2');
+      expect(auditService.logCommentUpdated).toHaveBeenCalledWith(
+        expect.objectContaining({ body: 'Draft' }),
+        updated,
+        'investigator1',
+        '10.0.0.1'
+      );
+    });
+
+    test('should not let other users edit the comment', async () => {
+      const created = await commentService.createComment('rep_ABC123', 'Draft', 'investigator1', '10.0.0.1');
+
+      await expect(commentService.updateComment('rep_ABC123', created.id, 'Changed', admin, '10.0.0.1'))
+        .rejects.toThrow('Permission denied');
+    });
+
+    test('should throw for a comment on a different report', async () => {
+      const created = await commentService.createComment('rep_ABC123', 'Draft', 'investigator1', '10.0.0.1');
+
+      await expect(commentService.updateComment('rep_OTHER1', created.id, 'Changed', investigator, '10.0.0.1'))
+        .rejects.toThrow('not found');
+    });
+  });
+
+  describe('deleteComment', () => {
+    test('should let the author delete their comment', async () => {
+      const created = await commentService.createComment('rep_ABC123', 'Oops', 'investigator1', '10.0.0.1');
+
+      await commentService.deleteComment('rep_ABC123', created.id, investigator, '10.0.0.1');
+
+      expect(mockComments).toHaveLength(0);
+      expect(auditService.logCommentDeleted).toHaveBeenCalledWith(expect.objectContaining({ id: created.id }), 'investigator1', '10.0.0.1');
+    });
+
+    test('should let an admin delete any comment', async () => {
+      const created = await commentService.createComment('rep_ABC123', 'Off topic', 'investigator1', '10.0.0.1');
+
+      await commentService.deleteComment('rep_ABC123', created.id, admin, '10.0.0.1');
+
+      expect(mockComments).toHaveLength(0);
+    });
+
+    test('should not let another investigator delete the comment', async () => {
+      const created = await commentService.createComment('rep_ABC123', 'Mine', 'investigator1', '10.0.0.1');
+
+      await expect(commentService.deleteComment('rep_ABC123', created.id, otherInvestigator, '10.0.0.1'))
+        .rejects.toThrow('Permission denied');
+      expect(mockComments).toHaveLength(1);
+    });
+  });
+
+  describe('moveComments', () => {
+    test('should move every comment of one report to another', async () => {
+      await commentService.createComment('rep_ABC123', 'First', 'investigator1', '10.0.0.1');
+      await commentService.createComment('rep_ABC123', 'Second', 'investigator1', '10.0.0.1');
+      mockComments.push({ ...mockComments[0], id: 'cmt_OTHER123', reportId: 'rep_XYZ789' });
+
+      const moved = await commentService.moveComments('rep_ABC123', 'rep_NEW123');
+
+      expect(moved).toBe(2);
+      expect(mockComments.map(comment => comment.reportId)).toEqual(['rep_NEW123', 'rep_NEW123', 'rep_XYZ789']);
+    });
+  });
+});
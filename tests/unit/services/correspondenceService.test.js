@@ -0,0 +1,206 @@
+/**
+ * Unit tests for correspondenceService
+ *
+ * Attachments are written to a temp data directory; the outbox and reports
+ * are mocked.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// In-memory correspondence sheet
+let mockEntries = [];
+
+jest.mock('../../../server/services/localJsonService', () => ({
+  getAllRows: jest.fn(async () => mockEntries.map(entry => ({ ...entry }))),
+  appendRow: jest.fn(async (spreadsheetId, sheet, row) => {
+    mockEntries.push({ ...row });
+    return row;
+  }),
+  updateRow: jest.fn(async (spreadsheetId, sheet, id, row) => {
+    mockEntries = mockEntries.map(entry => (entry.id === id ? { ...entry, ...row } : entry));
+  }),
+  deleteRow: jest.fn(async (spreadsheetId, sheet, id) => {
+    mockEntries = mockEntries.filter(entry => entry.id !== id);
+  })
+}));
+
+jest.mock('../../../server/services/reportService', () => ({
+  getReportById: jest.fn()
+}));
+
+jest.mock('../../../server/services/emailOutboxService', () => ({
+  getOutbox: jest.fn()
+}));
+
+jest.mock('../../../server/services/configService', () => ({
+  getConfig: jest.fn()
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logCorrespondenceReceived: jest.fn().mockResolvedValue({})
+}));
+
+const correspondenceService = require('../../../server/services/correspondenceService');
+const reportService = require('../../../server/services/reportService');
+const emailOutboxService = require('../../../server/services/emailOutboxService');
+const configService = require('../../../server/services/configService');
+const auditService = require('../../../server/services/auditService');
+
+describe('Correspondence Service', () => {
+  const originalDataDir = process.env.DATA_DIR;
+  let dataDir;
+
+  const reply = (overrides = {}) => ({
+    messageId: 'reply-1@mvc.example.gov',
+    from: { name: 'MVC Referrals', address: 'referrals@mvc.example.gov' },
+    subject: 'Re: Referral',
+    text: 'We have opened a case.',
+    date: '2024-01-16T09:00:00.000Z',
+    attachments: [],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockEntries = [];
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-correspondence-'));
+    process.env.DATA_DIR = dataDir;
+
+    reportService.getReportById.mockImplementation(async id => (id === 'rep_ABC123' ? { id } : null));
+    configService.getConfig.mockResolvedValue(10);
+    emailOutboxService.getOutbox.mockResolvedValue({
+      messages: [{
+        id: 'eml_ABCDEFGHIJ',
+        to: 'referrals@mvc.example.gov',
+        subject: 'Referral',
+        body: 'Please review.',
+        attachments: [{ filename: 'summary.pdf', path: 'uploads/summary.pdf', contentType: 'application/pdf', size: 100 }],
+        status: 'sent',
+        createdBy: 'admin',
+        createdAt: '2024-01-15T08:00:00.000Z',
+        sentAt: '2024-01-15T08:01:00.000Z'
+      }],
+      total: 1
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    if (originalDataDir === undefined) {
+      delete process.env.DATA_DIR;
+    } else {
+      process.env.DATA_DIR = originalDataDir;
+    }
+  });
+
+  describe('addReply', () => {
+    test('should store the reply and its attachments, skipping oversized files', async () => {
+      const { entry, skipped } = await correspondenceService.addReply('rep_ABC123', 'eml_ABCDEFGHIJ', reply({
+        attachments: [
+          { filename: 'case notes.txt', contentType: 'text/plain', size: 5, content: Buffer.from('notes') },
+          { filename: 'scan.pdf', contentType: 'application/pdf', size: 11, content: Buffer.alloc(11) }
+        ]
+      }));
+
+      expect(entry).toMatchObject({
+        reportId: 'rep_ABC123',
+        outboundEmailId: 'eml_ABCDEFGHIJ',
+        from: 'referrals@mvc.example.gov',
+        receivedAt: '2024-01-16T09:00:00.000Z',
+        attachments: [{ filename: 'case notes.txt', contentType: 'text/plain', size: 5, path: `${entry.id}/1-case_notes.txt` }]
+      });
+      expect(skipped).toEqual([{ filename: 'scan.pdf', reason: 'larger than 10 bytes' }]);
+      expect(fs.readFileSync(path.join(dataDir, 'correspondence', entry.id, '1-case_notes.txt'), 'utf8')).toBe('notes');
+      expect(mockEntries).toHaveLength(1);
+      expect(auditService.logCorrespondenceReceived).toHaveBeenCalledWith(entry);
+    });
+
+    test('should refuse replies to a missing report', async () => {
+      await expect(correspondenceService.addReply('rep_MISSING', 'eml_ABCDEFGHIJ', reply()))
+        .rejects.toThrow('Report with ID rep_MISSING not found');
+      expect(mockEntries).toEqual([]);
+    });
+  });
+
+  describe('getCorrespondence', () => {
+    test('should merge sent mail and replies oldest first', async () => {
+      const { entry } = await correspondenceService.addReply('rep_ABC123', 'eml_ABCDEFGHIJ', reply());
+
+      const entries = await correspondenceService.getCorrespondence('rep_ABC123');
+
+      expect(emailOutboxService.getOutbox).toHaveBeenCalledWith(expect.objectContaining({ reportId: 'rep_ABC123' }));
+      expect(entries).toEqual([
+        expect.objectContaining({
+          id: 'eml_ABCDEFGHIJ',
+          direction: 'outbound',
+          date: '2024-01-15T08:01:00.000Z',
+          to: 'referrals@mvc.example.gov',
+          attachments: [{ filename: 'summary.pdf', contentType: 'application/pdf', size: 100 }],
+          status: 'sent',
+          sentBy: 'admin'
+        }),
+        expect.objectContaining({
+          id: entry.id,
+          direction: 'inbound',
+          date: '2024-01-16T09:00:00.000Z',
+          from: 'referrals@mvc.example.gov',
+          body: 'We have opened a case.',
+          replyToId: 'eml_ABCDEFGHIJ'
+        })
+      ]);
+    });
+
+    test('should throw for a missing report', async () => {
+      await expect(correspondenceService.getCorrespondence('rep_MISSING')).rejects.toThrow('not found');
+    });
+  });
+
+  describe('getAttachment', () => {
+    test('should return the stored file of a reply on the same report only', async () => {
+      const { entry } = await correspondenceService.addReply('rep_ABC123', 'eml_ABCDEFGHIJ', reply({
+        attachments: [{ filename: 'case.txt', contentType: 'text/plain', size: 4, content: Buffer.from('case') }]
+      }));
+
+      const attachment = await correspondenceService.getAttachment('rep_ABC123', entry.id, 0);
+      expect(attachment).toEqual({
+        filePath: path.join(dataDir, 'correspondence', entry.id, '1-case.txt'),
+        filename: 'case.txt',
+        contentType: 'text/plain',
+        size: 4
+      });
+
+      await expect(correspondenceService.getAttachment('rep_ABC123', entry.id, 1)).rejects.toThrow('not found');
+      await expect(correspondenceService.getAttachment('rep_OTHER1', entry.id, 0)).rejects.toThrow('not found');
+    });
+  });
+
+  describe('redactReply and deleteReply', () => {
+    test('should hide a sender who is the subject, then remove the reply and its files', async () => {
+      const { entry } = await correspondenceService.addReply('rep_ABC123', 'eml_ABCDEFGHIJ', reply({
+        text: 'Forwarded from referrals@mvc.example.gov',
+        attachments: [{ filename: 'case.txt', contentType: 'text/plain', size: 4, content: Buffer.from('case') }]
+      }));
+      const redact = text => text.replace(/referrals@mvc\.example\.gov/g, '[redacted]');
+
+      await correspondenceService.redactReply(entry.id, redact);
+      expect(mockEntries[0]).toMatchObject({ from: '[redacted]', fromName: '', body: 'Forwarded from [redacted]' });
+
+      await correspondenceService.deleteReply(entry.id);
+      expect(mockEntries).toEqual([]);
+      expect(fs.existsSync(path.join(dataDir, 'correspondence', entry.id))).toBe(false);
+      await expect(correspondenceService.redactReply(entry.id, redact)).rejects.toThrow('not found');
+    });
+  });
+
+  describe('moveCorrespondence', () => {
+    test('should move every reply to the other report', async () => {
+      await correspondenceService.addReply('rep_ABC123', 'eml_ABCDEFGHIJ', reply());
+      mockEntries.push({ ...mockEntries[0], id: 'cor_OTHER00001', reportId: 'rep_OTHER1' });
+
+      await expect(correspondenceService.moveCorrespondence('rep_ABC123', 'rep_XYZ789')).resolves.toBe(1);
+      expect(mockEntries.map(entry => entry.reportId)).toEqual(['rep_XYZ789', 'rep_OTHER1']);
+    });
+  });
+});
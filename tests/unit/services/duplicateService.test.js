@@ -0,0 +1,246 @@
+/**
+ * Unit tests for duplicateService
+ */
+
+// In-memory duplicates sheet
+let mockCandidates = [];
+// In-memory reports used by the mocked reportService
+let mockReports = [];
+
+jest.mock('../../../server/services/localJsonService', () => ({
+  getAllRows: jest.fn(async () => mockCandidates.map(candidate => ({ ...candidate }))),
+  appendRow: jest.fn(async (spreadsheetId, sheet, row) => {
+    mockCandidates.push({ ...row });
+    return row;
+  }),
+  updateRow: jest.fn(async (spreadsheetId, sheet, id, row) => {
+    mockCandidates = mockCandidates.map(candidate => (candidate.id === id ? { ...candidate, ...row } : candidate));
+  })
+}));
+
+jest.mock('../../../server/services/reportService', () => ({
+  getAllReports: jest.fn(async () => mockReports.map(report => ({ ...report }))),
+  mergeReports: jest.fn()
+}));
+
+jest.mock('../../../server/services/fileService', () => ({
+  reassignFiles: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../../server/services/commentService', () => ({
+  moveComments: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../../server/services/emailOutboxService', () => ({
+  moveMessages: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../../server/services/correspondenceService', () => ({
+  moveCorrespondence: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../../server/services/schoolService', () => ({
+  unregisterReport: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logReportMerged: jest.fn().mockResolvedValue({})
+}));
+
+const duplicateService = require('../../../server/services/duplicateService');
+const reportService = require('../../../server/services/reportService');
+const fileService = require('../../../server/services/fileService');
+const commentService = require('../../../server/services/commentService');
+const emailOutboxService = require('../../../server/services/emailOutboxService');
+const correspondenceService = require('../../../server/services/correspondenceService');
+const schoolService = require('../../../server/services/schoolService');
+const auditService = require('../../../server/services/auditService');
+
+/**
+ * Builds report data for the mocked report store
+ */
+function makeReport(id, schoolName, createdAt, extra = {}) {
+  return {
+    id,
+    schoolName,
+    status: 'Added',
+    createdAt,
+    updatedAt: createdAt,
+    lastReported: createdAt,
+    ...extra
+  };
+}
+
+/**
+ * Builds a stored candidate row
+ */
+function makeCandidate(id, reportId, duplicateOfId, status = 'pending', score = 0.9) {
+  return {
+    id,
+    reportId,
+    duplicateOfId,
+    score,
+    reasons: ['Similar school name (90%)'],
+    status,
+    detectedAt: '2023-02-01T00:00:00.000Z',
+    resolvedAt: null,
+    resolvedBy: null
+  };
+}
+
+describe('Duplicate Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCandidates = [];
+    mockReports = [];
+  });
+
+  describe('detectDuplicates', () => {
+    test('should queue a likely duplicate with the older report as the original', async () => {
+      const older = makeReport('rep_OLD111', 'ABC Driving School', '2023-01-01T00:00:00.000Z');
+      const newer = makeReport('rep_NEW111', 'A.B.C. Driving School LLC', '2023-03-01T00:00:00.000Z');
+      const unrelated = makeReport('rep_OTH111', 'Safe Roads Academy', '2023-02-01T00:00:00.000Z');
+      mockReports = [older, newer, unrelated];
+
+      const created = await duplicateService.detectDuplicates(newer);
+
+      expect(created).toHaveLength(1);
+      expect(mockCandidates).toHaveLength(1);
+      expect(mockCandidates[0]).toMatchObject({
+        reportId: 'rep_NEW111',
+        duplicateOfId: 'rep_OLD111',
+        score: 1,
+        status: 'pending'
+      });
+    });
+
+    test('should not queue a pair that was already reviewed', async () => {
+      const older = makeReport('rep_OLD111', 'ABC Driving School', '2023-01-01T00:00:00.000Z');
+      const newer = makeReport('rep_NEW111', 'ABC Driving School LLC', '2023-03-01T00:00:00.000Z');
+      mockReports = [older, newer];
+      mockCandidates = [makeCandidate('dup_AAA111', 'rep_NEW111', 'rep_OLD111', 'dismissed')];
+
+      const created = await duplicateService.detectDuplicates(newer);
+
+      expect(created).toEqual([]);
+      expect(mockCandidates).toHaveLength(1);
+    });
+  });
+
+  describe('scanForDuplicates', () => {
+    test('should queue each likely duplicate pair once', async () => {
+      mockReports = [
+        makeReport('rep_AAA111', 'Elite Driving School', '2023-01-01T00:00:00.000Z'),
+        makeReport('rep_BBB222', 'Elite Driving', '2023-02-01T00:00:00.000Z'),
+        makeReport('rep_CCC333', 'Road Masters', '2023-03-01T00:00:00.000Z', { phoneNumber: '555-123-4567' }),
+        makeReport('rep_DDD444', 'RM Lessons', '2023-04-01T00:00:00.000Z', { phoneNumber: '(555) 123-4567' })
+      ];
+
+      const result = await duplicateService.scanForDuplicates();
+
+      expect(result).toEqual({ detected: 2, pending: 2 });
+      expect(mockCandidates.map(c => [c.reportId, c.duplicateOfId])).toEqual([
+        ['rep_BBB222', 'rep_AAA111'],
+        ['rep_DDD444', 'rep_CCC333']
+      ]);
+
+      const again = await duplicateService.scanForDuplicates();
+      expect(again.detected).toBe(0);
+    });
+  });
+
+  describe('getPendingDuplicates', () => {
+    test('should return pending pairs with both report summaries, highest score first', async () => {
+      mockReports = [
+        makeReport('rep_AAA111', 'ABC Driving', '2023-01-01T00:00:00.000Z', { uploadedFiles: [{ id: 'f1' }] }),
+        makeReport('rep_BBB222', 'ABC Driving LLC', '2023-02-01T00:00:00.000Z'),
+        makeReport('rep_CCC333', 'A B C Driving', '2023-03-01T00:00:00.000Z')
+      ];
+      mockCandidates = [
+        makeCandidate('dup_AAA111', 'rep_BBB222', 'rep_AAA111', 'pending', 0.8),
+        makeCandidate('dup_BBB222', 'rep_CCC333', 'rep_AAA111', 'pending', 0.95),
+        makeCandidate('dup_CCC333', 'rep_CCC333', 'rep_BBB222', 'dismissed'),
+        makeCandidate('dup_DDD444', 'rep_CCC333', 'rep_GONE11', 'pending')
+      ];
+
+      const duplicates = await duplicateService.getPendingDuplicates();
+
+      expect(duplicates.map(d => d.id)).toEqual(['dup_BBB222', 'dup_AAA111']);
+      expect(duplicates[0].report.schoolName).toBe('A B C Driving');
+      expect(duplicates[0].duplicateOf).toMatchObject({ id: 'rep_AAA111', fileCount: 1 });
+    });
+  });
+
+  describe('dismissDuplicate', () => {
+    test('should resolve a pending candidate as dismissed', async () => {
+      mockCandidates = [makeCandidate('dup_AAA111', 'rep_BBB222', 'rep_AAA111')];
+
+      const dismissed = await duplicateService.dismissDuplicate('dup_AAA111', 'investigator1');
+
+      expect(dismissed.status).toBe('dismissed');
+      expect(mockCandidates[0]).toMatchObject({ status: 'dismissed', resolvedBy: 'investigator1' });
+    });
+
+    test('should reject unknown and already resolved candidates', async () => {
+      mockCandidates = [makeCandidate('dup_AAA111', 'rep_BBB222', 'rep_AAA111', 'merged')];
+
+      await expect(duplicateService.dismissDuplicate('dup_ZZZ999', 'admin')).rejects.toThrow('not found');
+      await expect(duplicateService.dismissDuplicate('dup_AAA111', 'admin')).rejects.toThrow('validation failed');
+    });
+  });
+
+  describe('mergeDuplicateReports', () => {
+    test('should merge the reports, move related records and update the queue', async () => {
+      const merged = makeReport('rep_AAA111', 'ABC Driving', '2023-01-01T00:00:00.000Z');
+      const source = makeReport('rep_BBB222', 'ABC Driving LLC', '2023-02-01T00:00:00.000Z');
+      reportService.mergeReports.mockResolvedValue({ report: merged, source });
+      mockCandidates = [
+        makeCandidate('dup_AAA111', 'rep_BBB222', 'rep_AAA111'),
+        makeCandidate('dup_BBB222', 'rep_CCC333', 'rep_BBB222'),
+        makeCandidate('dup_CCC333', 'rep_DDD444', 'rep_BBB222'),
+        makeCandidate('dup_DDD444', 'rep_DDD444', 'rep_AAA111')
+      ];
+
+      const result = await duplicateService.mergeDuplicateReports('rep_AAA111', 'rep_BBB222', 'admin', '127.0.0.1');
+
+      expect(result).toBe(merged);
+      expect(reportService.mergeReports).toHaveBeenCalledWith('rep_AAA111', 'rep_BBB222', 'admin');
+      expect(fileService.reassignFiles).toHaveBeenCalledWith('rep_BBB222', 'rep_AAA111');
+      expect(commentService.moveComments).toHaveBeenCalledWith('rep_BBB222', 'rep_AAA111');
+      expect(emailOutboxService.moveMessages).toHaveBeenCalledWith('rep_BBB222', 'rep_AAA111');
+      expect(correspondenceService.moveCorrespondence).toHaveBeenCalledWith('rep_BBB222', 'rep_AAA111');
+      expect(schoolService.unregisterReport).toHaveBeenCalledWith('rep_BBB222');
+      expect(auditService.logReportMerged).toHaveBeenCalledWith(merged, source, 'admin', '127.0.0.1');
+
+      const byId = Object.fromEntries(mockCandidates.map(c => [c.id, c]));
+      expect(byId.dup_AAA111.status).toBe('merged');
+      // Re-pointed at the surviving report
+      expect(byId.dup_BBB222).toMatchObject({ status: 'pending', reportId: 'rep_CCC333', duplicateOfId: 'rep_AAA111' });
+      // Would duplicate dup_DDD444, so it is resolved instead
+      expect(byId.dup_CCC333.status).toBe('merged');
+      expect(byId.dup_DDD444.status).toBe('pending');
+    });
+
+    test('should not move anything when the report merge fails', async () => {
+      reportService.mergeReports.mockRejectedValue(new Error('Report with ID rep_BBB222 not found'));
+
+      await expect(duplicateService.mergeDuplicateReports('rep_AAA111', 'rep_BBB222', 'admin', '127.0.0.1'))
+        .rejects.toThrow('not found');
+      expect(fileService.reassignFiles).not.toHaveBeenCalled();
+      expect(auditService.logReportMerged).not.toHaveBeenCalled();
+    });
+
+    test('should still return the merged report if the audit log fails', async () => {
+      const merged = makeReport('rep_AAA111', 'ABC Driving', '2023-01-01T00:00:00.000Z');
+      const source = makeReport('rep_BBB222', 'ABC Driving LLC', '2023-02-01T00:00:00.000Z');
+      reportService.mergeReports.mockResolvedValue({ report: merged, source });
+      auditService.logReportMerged.mockRejectedValueOnce(new Error('Audit store unavailable'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await duplicateService.mergeDuplicateReports('rep_AAA111', 'rep_BBB222', 'admin', '127.0.0.1');
+
+      expect(result).toBe(merged);
+      warnSpy.mockRestore();
+    });
+  });
+});
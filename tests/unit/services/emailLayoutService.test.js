@@ -0,0 +1,128 @@
+/**
+ * Unit tests for Email Layout Service
+ */
+
+jest.mock('../../../server/services/configService');
+
+const configService = require('../../../server/services/configService');
+const emailLayoutService = require('../../../server/services/emailLayoutService');
+
+describe('Email Layout Service', () => {
+  const report = {
+    id: 'rep_ABC123',
+    schoolName: 'A&B <Driving> School',
+    location: 'Newark, NJ',
+    status: 'Under Review',
+    createdAt: '2024-01-15T12:00:00.000Z',
+    reporterEmail: 'reporter@example.com'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configService.getConfig.mockResolvedValue(null);
+  });
+
+  describe('normalizeHexColor', () => {
+    test('should accept short, long and alpha hex colors and reject anything else', () => {
+      expect(emailLayoutService.normalizeHexColor('#ABC')).toBe('#aabbcc');
+      expect(emailLayoutService.normalizeHexColor('#2660A4')).toBe('#2660a4');
+      expect(emailLayoutService.normalizeHexColor('#2660a4ff')).toBe('#2660a4');
+      expect(emailLayoutService.normalizeHexColor({ hex: '#f19953' })).toBe('#f19953');
+      expect(emailLayoutService.normalizeHexColor('red; display:none')).toBeNull();
+      expect(emailLayoutService.normalizeHexColor(null)).toBeNull();
+    });
+  });
+
+  describe('getBrandColors', () => {
+    test('should use the default scheme when none is configured', async () => {
+      await expect(emailLayoutService.getBrandColors()).resolves.toEqual({
+        primary: '#2660a4',
+        background: '#edf7f6',
+        accent: '#f19953',
+        secondary: '#c47335',
+        text: '#56351e'
+      });
+      expect(configService.getConfig).toHaveBeenCalledWith('email.branding.colorScheme');
+    });
+
+    test('should take colors from the configured scheme by position and fill gaps from the default', async () => {
+      configService.getConfig.mockResolvedValue({
+        name: 'Forest',
+        colors: { pine: '#1b4332ff', mint: '#d8f3dc', bad: 'not-a-color' }
+      });
+
+      await expect(emailLayoutService.getBrandColors()).resolves.toEqual({
+        primary: '#1b4332',
+        background: '#d8f3dc',
+        accent: '#f19953',
+        secondary: '#c47335',
+        text: '#56351e'
+      });
+    });
+
+    test('should fall back to the default scheme when the setting cannot be read', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      configService.getConfig.mockRejectedValue(new Error('disk error'));
+
+      const colors = await emailLayoutService.getBrandColors();
+
+      expect(colors.primary).toBe('#2660a4');
+      expect(console.warn).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('renderEmailLayout', () => {
+    test('should wrap the escaped body in the branded layout', async () => {
+      configService.getConfig.mockResolvedValue({ name: 'Forest', colors: { pine: '#1b4332' } });
+
+      const { html } = await emailLayoutService.renderEmailLayout({
+        subject: 'Update <1>',
+        body: 'Hello <b>there</b>\nsecond line\n\nNew paragraph'
+      });
+
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain('<title>Update &lt;1&gt;</title>');
+      expect(html).toContain('Hello &lt;b&gt;there&lt;/b&gt;<br>second line</p>');
+      expect(html).toContain('>New paragraph</p>');
+      expect(html).toContain('background:#1b4332;color:#ffffff');
+      expect(html).toContain('New Jersey Driving School Coalition');
+      expect(html).not.toContain('Report Summary');
+    });
+
+    test('should add a report summary without reporter details', async () => {
+      const { html, text } = await emailLayoutService.renderEmailLayout({ subject: 'Update', body: 'Body', report });
+
+      expect(html).toContain('Report Summary');
+      expect(html).toContain('A&amp;B &lt;Driving&gt; School');
+      expect(html).toContain('2024-01-15');
+      expect(html).not.toContain('reporter@example.com');
+      expect(text).toContain('  Report ID: rep_ABC123');
+      expect(text).toContain('  School:    A&B <Driving> School');
+      expect(text).not.toContain('reporter@example.com');
+    });
+
+    test('should show image attachments as inline thumbnails and list the other files', async () => {
+      const { html, text } = await emailLayoutService.renderEmailLayout({
+        subject: 'Evidence',
+        body: 'See attached.',
+        attachments: [
+          { filename: 'photo.jpg', contentType: 'image/jpeg', cid: 'file_1@njdsc' },
+          { filename: 'notes.pdf', contentType: 'application/pdf' }
+        ]
+      });
+
+      expect(html).toContain('<img src="cid:file_1@njdsc" alt="photo.jpg" width="120"');
+      expect(html).toContain('Attached: notes.pdf');
+      expect(text).toContain('Attached: photo.jpg, notes.pdf');
+    });
+
+    test('should produce a plain-text alternative with the body first and the footer last', async () => {
+      const { text } = await emailLayoutService.renderEmailLayout({ subject: 'Update', body: '  Thanks!\n\nNJDSC  ', report });
+
+      expect(text.startsWith('Thanks!\n\nNJDSC\n\nReport Summary\n')).toBe(true);
+      expect(text.endsWith('--\nThis message was sent by the NJDSC School Compliance Portal.')).toBe(true);
+      expect(text).not.toMatch(/<(p|table|img)\b/);
+    });
+  });
+});
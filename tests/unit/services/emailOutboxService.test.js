@@ -0,0 +1,443 @@
+/**
+ * Unit tests for emailOutboxService
+ *
+ * Messages are delivered by the real emailService over SMTP to a local
+ * stand-in server, so retries are exercised against real protocol failures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// In-memory sheets keyed by name
+let mockSheets = {};
+
+jest.mock('../../../server/services/localJsonService', () => ({
+  getAllRows: jest.fn(async (spreadsheetId, name) => (mockSheets[name] || []).map(row => ({ ...row }))),
+  writeJsonFile: jest.fn(async (name, rows) => {
+    mockSheets[name] = rows.map(row => ({ ...row }));
+  }),
+  appendRow: jest.fn(async (spreadsheetId, name, row) => {
+    mockSheets[name] = [...(mockSheets[name] || []), { ...row }];
+    return row;
+  }),
+  updateRow: jest.fn(async (spreadsheetId, name, id, data) => {
+    mockSheets[name] = mockSheets[name].map(row => (row.id === id ? { ...row, ...data } : row));
+  }),
+  deleteRow: jest.fn(async (spreadsheetId, name, id) => {
+    mockSheets[name] = mockSheets[name].filter(row => row.id !== id);
+  })
+}));
+
+jest.mock('../../../server/services/configService', () => ({
+  getConfig: jest.fn()
+}));
+
+jest.mock('../../../server/services/fileService', () => ({
+  getFilesByReportId: jest.fn()
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logEmailSent: jest.fn().mockResolvedValue({}),
+  logEmailFailed: jest.fn().mockResolvedValue({}),
+  logEmailResent: jest.fn().mockResolvedValue({}),
+  logNotificationSent: jest.fn().mockResolvedValue({}),
+  logNotificationFailed: jest.fn().mockResolvedValue({})
+}));
+
+const { createSmtpServer } = require('../../mocks/smtpServer');
+const configService = require('../../../server/services/configService');
+const auditService = require('../../../server/services/auditService');
+const fileService = require('../../../server/services/fileService');
+const { buildThreadMessageId, findThreadReference } = require('../../../server/utils/replyToken');
+
+// A retry due time is always less than this far away in these tests
+const LATER = 60 * 60 * 1000;
+
+describe('emailOutboxService', () => {
+  let smtpServer;
+  let emailOutboxService;
+
+  const email = {
+    to: 'reporter@example.com',
+    subject: 'Report received',
+    body: 'Thank you for your report.',
+    reportId: 'rep_ABC123'
+  };
+
+  const later = () => new Date(Date.now() + LATER);
+
+  beforeAll(async () => {
+    smtpServer = createSmtpServer();
+    const port = await smtpServer.listen();
+
+    // emailService reads its SMTP settings when it is loaded
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(port);
+    process.env.SMTP_SECURE = 'false';
+    process.env.EMAIL_FROM = 'noreply@example.com';
+    delete process.env.SMTP_USER;
+    delete process.env.SMTP_PASS;
+
+    emailOutboxService = require('../../../server/services/emailOutboxService');
+  });
+
+  afterAll(async () => {
+    await smtpServer.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSheets = {};
+    smtpServer.messages.length = 0;
+    smtpServer.failNext(0);
+    configService.getConfig.mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    emailOutboxService.stop();
+    jest.restoreAllMocks();
+  });
+
+  describe('enqueueEmail', () => {
+    test('should store the message without sending it', async () => {
+      const message = await emailOutboxService.enqueueEmail(email, 'investigator', '10.0.0.1');
+
+      expect(message.status).toBe('queued');
+      expect(message.maxAttempts).toBe(5);
+      expect(mockSheets.emailOutbox).toHaveLength(1);
+      expect(mockSheets.emailOutbox[0]).toMatchObject({ id: message.id, createdBy: 'investigator', ipAddress: '10.0.0.1' });
+      expect(smtpServer.messages).toHaveLength(0);
+    });
+
+    test('should reject a message that cannot be delivered as given', async () => {
+      await expect(emailOutboxService.enqueueEmail({ ...email, to: 'nobody' }, 'investigator'))
+        .rejects.toThrow('Outbound email validation failed');
+      expect(mockSheets.emailOutbox).toBeUndefined();
+    });
+
+    test('should take the attempt limit from configuration', async () => {
+      configService.getConfig.mockImplementation(async key => (key === 'email.outbox.maxAttempts' ? 2 : null));
+
+      const message = await emailOutboxService.enqueueEmail(email, 'investigator');
+
+      expect(message.maxAttempts).toBe(2);
+    });
+
+    test('should refuse attachments that are missing or over the size cap', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-outbox-'));
+      const filePath = path.join(dir, 'video.mp4');
+      fs.writeFileSync(filePath, Buffer.alloc(2 * 1024 * 1024));
+      configService.getConfig.mockImplementation(async key => (key === 'email.attachments.maxTotalSizeMB' ? 1 : null));
+
+      try {
+        await expect(emailOutboxService.enqueueEmail({ ...email, attachments: [{ filename: 'video.mp4', path: filePath }] }, 'investigator'))
+          .rejects.toThrow('attachments total 2.0 MB, over the 1 MB limit');
+        await expect(emailOutboxService.enqueueEmail({ ...email, attachments: [{ filename: 'gone.jpg', path: path.join(dir, 'gone.jpg') }] }, 'investigator'))
+          .rejects.toThrow('attachment gone.jpg is missing from storage');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+      expect(mockSheets.emailOutbox).toBeUndefined();
+    });
+  });
+
+  describe('resolveReportAttachments', () => {
+    test('should resolve files of the report and reject files of other reports', async () => {
+      fileService.getFilesByReportId.mockResolvedValue([
+        { id: 'file_1', reportId: 'rep_ABC123', originalName: 'photo.jpg', mimeType: 'image/jpeg', size: 9, localFilePath: 'uploads/rep_ABC123/photo.jpg' }
+      ]);
+
+      await expect(emailOutboxService.resolveReportAttachments('rep_ABC123', ['file_1', 'file_1'])).resolves.toEqual([
+        { fileId: 'file_1', filename: 'photo.jpg', path: 'uploads/rep_ABC123/photo.jpg', contentType: 'image/jpeg', size: 9 }
+      ]);
+      await expect(emailOutboxService.resolveReportAttachments('rep_ABC123', ['file_9']))
+        .rejects.toThrow('file file_9 does not belong to report rep_ABC123');
+      await expect(emailOutboxService.resolveReportAttachments(null, ['file_1']))
+        .rejects.toThrow('attachments require a reportId');
+    });
+  });
+
+  describe('enqueueTemplatedEmail', () => {
+    test('should render the template and record its version', async () => {
+      const message = await emailOutboxService.enqueueTemplatedEmail(
+        'confirmation',
+        { report: { id: 'rep_ABC123', schoolName: 'ABC Driving School' } },
+        'reporter@example.com',
+        { reportId: 'rep_ABC123', source: 'notification' },
+        'system'
+      );
+
+      expect(message.subject).toBe('NJDSC Report Confirmation - ABC Driving School');
+      expect(message.templateId).toBe('confirmation');
+      expect(message.templateVersion).toBe(1);
+      expect(message.source).toBe('notification');
+    });
+
+    test('should refuse a template with missing required variables', async () => {
+      await expect(emailOutboxService.enqueueTemplatedEmail('confirmation', {}, 'reporter@example.com', {}, 'system'))
+        .rejects.toThrow("Email template 'confirmation' is missing required variables");
+      expect(mockSheets.emailOutbox).toBeUndefined();
+    });
+  });
+
+  describe('processOutbox', () => {
+    test('should deliver due messages over SMTP and audit the send', async () => {
+      const message = await emailOutboxService.enqueueEmail({ ...email, templateId: 'confirmation' }, 'investigator', '10.0.0.1');
+
+      const summary = await emailOutboxService.processOutbox();
+
+      expect(summary).toEqual({ processed: 1, sent: 1, retrying: 0, dead: 0 });
+      expect(smtpServer.messages).toHaveLength(1);
+      expect(smtpServer.messages[0].from).toBe('noreply@example.com');
+      expect(smtpServer.messages[0].to).toEqual(['reporter@example.com']);
+      expect(smtpServer.messages[0].data).toContain('Subject: Report received');
+
+      const sent = await emailOutboxService.getOutboxMessage(message.id);
+      expect(sent.status).toBe('sent');
+      expect(sent.attempts).toBe(1);
+      expect(sent.sentAt).not.toBeNull();
+      expect(auditService.logEmailSent).toHaveBeenCalledWith(
+        { reportId: 'rep_ABC123', templateId: 'confirmation', to: 'reporter@example.com', templateVersion: null, subject: 'Report received', attachments: [] },
+        'investigator',
+        '10.0.0.1'
+      );
+    });
+
+    test('should sign mail about a report with a Message-ID that replies can be threaded by', async () => {
+      const message = await emailOutboxService.enqueueEmail(email, 'investigator');
+      await emailOutboxService.enqueueEmail({ ...email, reportId: null }, 'investigator');
+
+      await emailOutboxService.processOutbox();
+
+      const messageId = buildThreadMessageId(message.id, 'rep_ABC123', 'noreply@example.com');
+      expect(smtpServer.messages[0].data).toContain(`Message-ID: ${messageId}`);
+      expect(findThreadReference(messageId)).toEqual({ outboundId: message.id, reportId: 'rep_ABC123' });
+      expect(smtpServer.messages[1].data).not.toContain('.rep_');
+    });
+
+    test('should deliver attachments stored with the message', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-outbox-'));
+      const filePath = path.join(dir, 'package.zip');
+      fs.writeFileSync(filePath, 'zip bytes');
+
+      try {
+        await emailOutboxService.enqueueEmail({
+          ...email,
+          attachments: [{ fileId: 'file_1', filename: 'package.zip', path: filePath, contentType: 'application/zip' }]
+        }, 'investigator');
+        await emailOutboxService.processOutbox();
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(smtpServer.messages).toHaveLength(1);
+      expect(smtpServer.messages[0].data).toContain('filename=package.zip');
+      expect(smtpServer.messages[0].data).toContain(Buffer.from('zip bytes').toString('base64'));
+      expect(auditService.logEmailSent).toHaveBeenCalledWith(
+        expect.objectContaining({ attachments: [{ fileId: 'file_1', filename: 'package.zip', size: 9 }] }),
+        'investigator',
+        null
+      );
+    });
+
+    test('should send the branded HTML layout with a plain-text alternative and inline evidence thumbnails', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-outbox-'));
+      const filePath = path.join(dir, 'photo.jpg');
+      fs.writeFileSync(filePath, 'jpeg bytes');
+
+      let message;
+      try {
+        message = await emailOutboxService.enqueueEmail({
+          ...email,
+          report: { id: 'rep_ABC123', schoolName: 'ABC Driving School', status: 'Added' },
+          attachments: [{ fileId: 'file_1', filename: 'photo.jpg', path: filePath, contentType: 'image/jpeg' }]
+        }, 'investigator');
+        await emailOutboxService.processOutbox();
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(message.body).toContain('Thank you for your report.');
+      expect(message.body).toMatch(/School:\s+ABC Driving School/);
+      expect(message.html).toContain('src="cid:file_1@njdsc"');
+      expect(mockSheets.emailOutbox[0]).not.toHaveProperty('report');
+
+      const data = smtpServer.messages[0].data;
+      expect(data).toContain('multipart/alternative');
+      expect(data).toContain('Content-Type: text/plain');
+      expect(data).toContain('Content-Type: text/html');
+      expect(data).toContain('Content-ID: <file_1@njdsc>');
+    });
+
+    test('should retry a failed send with backoff and deliver it later', async () => {
+      smtpServer.failNext(1);
+      const message = await emailOutboxService.enqueueEmail(email, 'investigator');
+
+      const first = await emailOutboxService.processOutbox();
+      const retrying = await emailOutboxService.getOutboxMessage(message.id);
+
+      expect(first).toEqual({ processed: 1, sent: 0, retrying: 1, dead: 0 });
+      expect(retrying.status).toBe('retrying');
+      expect(retrying.lastError).toContain('451');
+      expect(new Date(retrying.nextAttemptAt).getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+      expect(auditService.logEmailSent).not.toHaveBeenCalled();
+
+      // Not due yet
+      expect(await emailOutboxService.processOutbox()).toEqual({ processed: 0, sent: 0, retrying: 0, dead: 0 });
+
+      const second = await emailOutboxService.processOutbox(later());
+      const sent = await emailOutboxService.getOutboxMessage(message.id);
+
+      expect(second.sent).toBe(1);
+      expect(sent.status).toBe('sent');
+      expect(sent.attempts).toBe(2);
+      expect(sent.lastError).toBeNull();
+      expect(smtpServer.messages).toHaveLength(1);
+    });
+
+    test('should dead-letter a message that runs out of attempts', async () => {
+      configService.getConfig.mockImplementation(async key => (key === 'email.outbox.maxAttempts' ? 2 : null));
+      smtpServer.failNext(2);
+      const message = await emailOutboxService.enqueueEmail(email, 'investigator', '10.0.0.1');
+
+      await emailOutboxService.processOutbox();
+      await emailOutboxService.processOutbox(later());
+      const dead = await emailOutboxService.getOutboxMessage(message.id);
+
+      expect(dead.status).toBe('dead');
+      expect(dead.attempts).toBe(2);
+      expect(dead.nextAttemptAt).toBeNull();
+      expect(auditService.logEmailFailed).toHaveBeenCalledWith(expect.objectContaining({ id: message.id, status: 'dead' }), 'investigator', '10.0.0.1');
+
+      // Dead messages are never picked up again
+      expect((await emailOutboxService.processOutbox(later())).processed).toBe(0);
+    });
+
+    test('should audit notifications as notifications', async () => {
+      configService.getConfig.mockResolvedValue(1);
+      await emailOutboxService.enqueueEmail({ ...email, templateId: 'confirmation', source: 'notification' }, 'system');
+      await emailOutboxService.processOutbox();
+
+      smtpServer.failNext(1);
+      await emailOutboxService.enqueueEmail({ ...email, templateId: 'case_closed', source: 'notification' }, 'system');
+      await emailOutboxService.processOutbox();
+
+      expect(auditService.logNotificationSent).toHaveBeenCalledWith({ reportId: 'rep_ABC123', templateId: 'confirmation', to: 'reporter@example.com' });
+      expect(auditService.logNotificationFailed).toHaveBeenCalledWith(
+        { reportId: 'rep_ABC123', templateId: 'case_closed', to: 'reporter@example.com' },
+        expect.stringContaining('451')
+      );
+      expect(auditService.logEmailSent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRetryDelayMs', () => {
+    test('should double the delay with each attempt up to six hours', () => {
+      expect(emailOutboxService.getRetryDelayMs(1, 60)).toBe(60 * 1000);
+      expect(emailOutboxService.getRetryDelayMs(2, 60)).toBe(120 * 1000);
+      expect(emailOutboxService.getRetryDelayMs(4, 60)).toBe(480 * 1000);
+      expect(emailOutboxService.getRetryDelayMs(20, 60)).toBe(6 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('getOutbox', () => {
+    test('should list messages newest first with counts per status', async () => {
+      mockSheets.emailOutbox = [
+        { ...email, id: 'eml_AAAAAAAAAA', source: 'manual', status: 'sent', attempts: 1, maxAttempts: 5, nextAttemptAt: null, createdAt: '2023-01-01T00:00:00.000Z', updatedAt: '2023-01-01T00:00:00.000Z', createdBy: 'admin' },
+        { ...email, id: 'eml_BBBBBBBBBB', source: 'manual', status: 'dead', attempts: 5, maxAttempts: 5, nextAttemptAt: null, lastError: 'Timed out', createdAt: '2023-01-02T00:00:00.000Z', updatedAt: '2023-01-02T00:00:00.000Z', createdBy: 'admin' },
+        { ...email, reportId: 'rep_XYZ789', id: 'eml_CCCCCCCCCC', source: 'manual', status: 'dead', attempts: 5, maxAttempts: 5, nextAttemptAt: null, createdAt: '2023-01-03T00:00:00.000Z', updatedAt: '2023-01-03T00:00:00.000Z', createdBy: 'admin' }
+      ];
+
+      const all = await emailOutboxService.getOutbox();
+      const dead = await emailOutboxService.getOutbox({ status: 'dead', limit: 1 });
+      const forReport = await emailOutboxService.getOutbox({ reportId: 'rep_XYZ789' });
+
+      expect(all.messages.map(m => m.id)).toEqual(['eml_CCCCCCCCCC', 'eml_BBBBBBBBBB', 'eml_AAAAAAAAAA']);
+      expect(all.counts).toEqual({ queued: 0, sending: 0, retrying: 0, sent: 1, dead: 2 });
+      expect(dead.total).toBe(2);
+      expect(dead.messages.map(m => m.id)).toEqual(['eml_CCCCCCCCCC']);
+      expect(forReport.messages.map(m => m.id)).toEqual(['eml_CCCCCCCCCC']);
+    });
+
+    test('should throw for an unknown message', async () => {
+      await expect(emailOutboxService.getOutboxMessage('eml_nope')).rejects.toThrow('Outbound email eml_nope not found');
+    });
+  });
+
+  describe('moveMessages', () => {
+    test('should move the messages about one report to another', async () => {
+      await emailOutboxService.enqueueEmail(email, 'investigator');
+      await emailOutboxService.enqueueEmail({ ...email, reportId: 'rep_XYZ789' }, 'investigator');
+
+      await expect(emailOutboxService.moveMessages('rep_ABC123', 'rep_DEF456')).resolves.toBe(1);
+      expect(mockSheets.emailOutbox.map(m => m.reportId)).toEqual(['rep_DEF456', 'rep_XYZ789']);
+    });
+  });
+
+  describe('redactMessage and deleteMessage', () => {
+    test('should replace a subject in a message, or remove the message', async () => {
+      const message = await emailOutboxService.enqueueEmail({ ...email, subject: 'Tip from jane@example.com' }, 'investigator');
+      const other = await emailOutboxService.enqueueEmail({ ...email, reportId: 'rep_XYZ789' }, 'investigator');
+      const redact = text => text.replace(/jane@example\.com/g, '[redacted]');
+
+      const redacted = await emailOutboxService.redactMessage(message.id, redact);
+      expect(redacted.subject).toBe('Tip from [redacted]');
+      expect(redacted.to).toBe(email.to);
+
+      await emailOutboxService.deleteMessage(message.id);
+      expect(mockSheets.emailOutbox.map(m => m.id)).toEqual([other.id]);
+    });
+  });
+
+  describe('resendEmail', () => {
+    test('should requeue a dead message with fresh attempts and deliver it', async () => {
+      configService.getConfig.mockImplementation(async key => (key === 'email.outbox.maxAttempts' ? 1 : null));
+      smtpServer.failNext(1);
+      const message = await emailOutboxService.enqueueEmail(email, 'investigator');
+      await emailOutboxService.processOutbox();
+
+      const requeued = await emailOutboxService.resendEmail(message.id, 'admin', '10.0.0.2');
+
+      expect(requeued.status).toBe('queued');
+      expect(requeued.attempts).toBe(0);
+      expect(auditService.logEmailResent).toHaveBeenCalledWith(expect.objectContaining({ id: message.id }), 'admin', '10.0.0.2');
+
+      await emailOutboxService.processOutbox();
+      expect((await emailOutboxService.getOutboxMessage(message.id)).status).toBe('sent');
+      expect(smtpServer.messages).toHaveLength(1);
+    });
+
+    test('should refuse to resend a message that is not dead', async () => {
+      const message = await emailOutboxService.enqueueEmail(email, 'investigator');
+
+      await expect(emailOutboxService.resendEmail(message.id, 'admin', '10.0.0.2'))
+        .rejects.toThrow('only dead messages can be resent');
+    });
+  });
+
+  describe('worker', () => {
+    test('should requeue messages interrupted mid-send', async () => {
+      const message = await emailOutboxService.enqueueEmail(email, 'investigator');
+      mockSheets.emailOutbox[0].status = 'sending';
+
+      expect(await emailOutboxService.recoverInterruptedMessages()).toBe(1);
+      expect((await emailOutboxService.getOutboxMessage(message.id)).status).toBe('retrying');
+    });
+
+    test('should deliver newly queued messages once started', async () => {
+      await emailOutboxService.start({ intervalMs: LATER });
+      const message = await emailOutboxService.enqueueEmail(email, 'investigator');
+
+      for (let i = 0; i < 50 && smtpServer.messages.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      expect(smtpServer.messages).toHaveLength(1);
+      expect((await emailOutboxService.getOutboxMessage(message.id)).status).toBe('sent');
+    });
+  });
+});
@@ -4,7 +4,7 @@
 
 // Mock dependencies before requiring the service
 jest.mock('nodemailer');
-jest.mock('../../../server/services/configService');
+jest.mock('../../../server/services/emailTemplateService');
 
 // Set up environment variables before requiring the service
 process.env.SMTP_HOST = 'smtp.example.com';
@@ -15,14 +15,14 @@ process.env.SMTP_PASS = 'test-password';
 process.env.EMAIL_FROM = 'noreply@example.com';
 
 const nodemailer = require('nodemailer');
-const configService = require('../../../server/services/configService');
+const emailTemplateService = require('../../../server/services/emailTemplateService');
 
 // Set up basic mocks
 const mockTransporter = {
   sendMail: jest.fn()
 };
 
-nodemailer.createTransporter = jest.fn(() => mockTransporter);
+nodemailer.createTransport = jest.fn(() => mockTransporter);
 
 const emailService = require('../../../server/services/emailService');
 
@@ -38,10 +38,6 @@ describe('Email Service', () => {
 
     // Setup Nodemailer mocks
     mockSendMail = mockTransporter.sendMail;
-
-    // Setup config service mocks
-    configService.getConfig = jest.fn();
-    configService.getAllConfig = jest.fn();
   });
 
   describe('sendEmail', () => {
@@ -146,9 +142,9 @@ describe('Email Service', () => {
   });
 
   describe('sendTemplatedEmail', () => {
-    test('should send templated email with variable substitution', async () => {
+    test('should send templated email rendered from the template store', async () => {
       // Arrange
-      const templateKey = 'mvc.notification';
+      const templateKey = 'mvc_notification';
       const variables = {
         schoolName: 'Test School',
         location: 'Test City',
@@ -156,12 +152,13 @@ describe('Email Service', () => {
       };
       const recipient = 'recipient@example.com';
 
-      configService.getConfig.mockImplementation((key) => {
-        const templates = {
-          'email.templates.mvc.notification.subject': 'Report: [[schoolName]]',
-          'email.templates.mvc.notification.body': 'School: [[schoolName]]\nLocation: [[location]]\nViolation: [[violationDescription]]'
-        };
-        return templates[key] || null;
+      emailTemplateService.renderEmailTemplate.mockResolvedValue({
+        templateId: 'mvc_notification',
+        version: 2,
+        subject: 'Report: Test School',
+        body: 'School: Test School\nLocation: Test City\nViolation: Test violation',
+        variables,
+        missing: []
       });
 
       mockSendMail.mockResolvedValue({
@@ -177,6 +174,7 @@ describe('Email Service', () => {
       );
 
       // Assert
+      expect(emailTemplateService.renderEmailTemplate).toHaveBeenCalledWith('mvc_notification', { variables });
       expect(mockSendMail).toHaveBeenCalledWith({
         from: 'noreply@example.com',
         to: 'recipient@example.com',
@@ -188,43 +186,56 @@ describe('Email Service', () => {
 
     test('should throw error for missing template', async () => {
       // Arrange
-      const templateKey = 'nonexistent.template';
-      const variables = {};
-      const recipient = 'recipient@example.com';
+      emailTemplateService.renderEmailTemplate.mockRejectedValue(
+        new Error('Email template nonexistent not found')
+      );
 
-      configService.getConfig.mockReturnValue(null);
+      // Act & Assert
+      await expect(emailService.sendTemplatedEmail(
+        'nonexistent',
+        {},
+        'recipient@example.com'
+      )).rejects.toThrow('Email template nonexistent not found');
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to send when required variables are missing', async () => {
+      // Arrange
+      emailTemplateService.renderEmailTemplate.mockResolvedValue({
+        templateId: 'case_closed',
+        version: 1,
+        subject: 'NJDSC Case Closed - [[schoolName]]',
+        body: 'Body',
+        variables: {},
+        missing: ['schoolName', 'reportId']
+      });
 
       // Act & Assert
       await expect(emailService.sendTemplatedEmail(
-        templateKey,
-        variables,
-        recipient
-      )).rejects.toThrow('Email template \'nonexistent.template\' not found in configuration');
+        'case_closed',
+        {},
+        'recipient@example.com'
+      )).rejects.toThrow('missing required variables: schoolName, reportId');
+      expect(mockSendMail).not.toHaveBeenCalled();
     });
   });
 
   describe('getEmailTemplates', () => {
-    test('should return available email templates', async () => {
+    test('should return templates from the template store keyed by ID', async () => {
       // Arrange
-      const mockTemplates = {
-        'email.templates.mvc.notification.subject': 'MVC Report: [[schoolName]]',
-        'email.templates.mvc.notification.body': 'Details about [[schoolName]]',
-        'email.templates.status.update.subject': 'Status Update',
-        'email.templates.status.update.body': 'Status changed to [[status]]'
-      };
-
-      configService.getAllConfig = jest.fn().mockReturnValue(mockTemplates);
+      emailTemplateService.getEmailTemplates.mockResolvedValue([
+        { id: 'mvc_notification', name: 'MVC', subject: 'MVC Report: [[schoolName]]', body: 'Details about [[schoolName]]' },
+        { id: 'status_update', name: 'Status', subject: 'Status Update', body: 'Status changed to [[status]]' }
+      ]);
 
       // Act
       const templates = await emailService.getEmailTemplates();
 
       // Assert
-      expect(templates.hasOwnProperty('mvc.notification')).toBe(true);
-      expect(templates.hasOwnProperty('status.update')).toBe(true);
-      expect(templates['mvc.notification']).toHaveProperty('subject');
-      expect(templates['mvc.notification']).toHaveProperty('body');
-      expect(templates['status.update']).toHaveProperty('subject');
-      expect(templates['status.update']).toHaveProperty('body');
+      expect(templates).toEqual({
+        mvc_notification: { subject: 'MVC Report: [[schoolName]]', body: 'Details about [[schoolName]]' },
+        status_update: { subject: 'Status Update', body: 'Status changed to [[status]]' }
+      });
     });
   });
 
@@ -284,7 +295,7 @@ describe('Email Service', () => {
   describe('error handling', () => {
     test('should handle authentication errors', async () => {
       // Arrange
-      nodemailer.createTransporter.mockImplementationOnce(() => {
+      nodemailer.createTransport.mockImplementationOnce(() => {
         throw new Error('Invalid SMTP credentials');
       });
 
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for emailTemplateService
+ */
+
+// In-memory sheets keyed by name
+let mockSheets = {};
+
+jest.mock('../../../server/services/localJsonService', () => ({
+  getAllRows: jest.fn(async (spreadsheetId, name) => (mockSheets[name] || []).map(row => ({ ...row }))),
+  writeJsonFile: jest.fn(async (name, rows) => {
+    mockSheets[name] = rows.map(row => ({ ...row }));
+  }),
+  appendRow: jest.fn(async (spreadsheetId, name, row) => {
+    mockSheets[name] = [...(mockSheets[name] || []), { ...row }];
+    return row;
+  }),
+  updateRow: jest.fn(async (spreadsheetId, name, id, data) => {
+    mockSheets[name] = mockSheets[name].map(row => (row.id === id ? { ...row, ...data } : row));
+  }),
+  deleteRow: jest.fn(async (spreadsheetId, name, id) => {
+    mockSheets[name] = mockSheets[name].filter(row => row.id !== id);
+    return true;
+  })
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logEmailTemplateCreated: jest.fn().mockResolvedValue({}),
+  logEmailTemplateUpdated: jest.fn().mockResolvedValue({}),
+  logEmailTemplateDeleted: jest.fn().mockResolvedValue({})
+}));
+
+const emailTemplateService = require('../../../server/services/emailTemplateService');
+const auditService = require('../../../server/services/auditService');
+
+const newTemplate = {
+  id: 'hearing_notice',
+  name: 'Hearing Notice',
+  subject: 'Hearing for [[schoolName]]',
+  body: 'A hearing about [[schoolName]] is set for [[hearingDate]].',
+  variables: [{ name: 'schoolName' }, { name: 'hearingDate' }]
+};
+
+describe('emailTemplateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSheets = {};
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('getEmailTemplates', () => {
+    test('should seed the default templates into an empty store', async () => {
+      const templates = await emailTemplateService.getEmailTemplates();
+
+      expect(templates.map(t => t.id).sort()).toEqual(['case_closed', 'confirmation', 'investigation_update', 'mvc_notification']);
+      expect(mockSheets.emailTemplates).toHaveLength(4);
+      expect(mockSheets.emailTemplateVersions).toHaveLength(4);
+      expect(templates.every(t => t.version === 1)).toBe(true);
+    });
+
+    test('should not re-seed after every template was deleted', async () => {
+      mockSheets.emailTemplateVersions = [{ templateId: 'confirmation', version: 1 }];
+
+      const templates = await emailTemplateService.getEmailTemplates();
+
+      expect(templates).toEqual([]);
+    });
+  });
+
+  describe('createEmailTemplate', () => {
+    test('should create a template at version 1 and audit it', async () => {
+      const template = await emailTemplateService.createEmailTemplate(newTemplate, 'admin', '127.0.0.1');
+
+      expect(template.version).toBe(1);
+      expect(template.updatedBy).toBe('admin');
+      expect(mockSheets.emailTemplates.map(t => t.id)).toContain('hearing_notice');
+      expect(mockSheets.emailTemplateVersions.filter(v => v.templateId === 'hearing_notice')).toHaveLength(1);
+      expect(auditService.logEmailTemplateCreated).toHaveBeenCalledWith(template, 'admin', '127.0.0.1');
+    });
+
+    test('should reject an ID that is already used', async () => {
+      await expect(emailTemplateService.createEmailTemplate({ ...newTemplate, id: 'confirmation' }, 'admin', '127.0.0.1'))
+        .rejects.toThrow('Email template confirmation already exists');
+    });
+
+    test('should continue the version numbering of a deleted template', async () => {
+      await emailTemplateService.deleteEmailTemplate('case_closed', 'admin', '127.0.0.1');
+
+      const template = await emailTemplateService.createEmailTemplate({ ...newTemplate, id: 'case_closed' }, 'admin', '127.0.0.1');
+
+      expect(template.version).toBe(2);
+    });
+
+    test('should reject undeclared placeholders', async () => {
+      await expect(emailTemplateService.createEmailTemplate({ ...newTemplate, variables: [{ name: 'schoolName' }] }, 'admin', '127.0.0.1'))
+        .rejects.toThrow('Email template validation failed: undeclared variable(s) [[hearingDate]]');
+    });
+  });
+
+  describe('updateEmailTemplate', () => {
+    test('should bump the version and keep the previous one in the history', async () => {
+      const template = await emailTemplateService.updateEmailTemplate(
+        'confirmation',
+        { subject: 'We received your report about [[schoolName]]', id: 'ignored', version: 1 },
+        'admin',
+        '127.0.0.1'
+      );
+
+      expect(template.id).toBe('confirmation');
+      expect(template.version).toBe(2);
+      expect(template.updatedBy).toBe('admin');
+
+      const versions = await emailTemplateService.getEmailTemplateVersions('confirmation');
+      expect(versions.map(v => v.version)).toEqual([2, 1]);
+      expect(versions[1].subject).toBe('NJDSC Report Confirmation - [[schoolName]]');
+      expect(auditService.logEmailTemplateUpdated).toHaveBeenCalledWith(
+        template,
+        { subject: { old: 'NJDSC Report Confirmation - [[schoolName]]', new: 'We received your report about [[schoolName]]' } },
+        'admin',
+        '127.0.0.1'
+      );
+    });
+
+    test('should not create a version when nothing changed', async () => {
+      const current = await emailTemplateService.getEmailTemplate('confirmation');
+
+      const template = await emailTemplateService.updateEmailTemplate('confirmation', { subject: current.subject }, 'admin', '127.0.0.1');
+
+      expect(template.version).toBe(1);
+      expect(auditService.logEmailTemplateUpdated).not.toHaveBeenCalled();
+    });
+
+    test('should reject a change based on a stale version', async () => {
+      await expect(emailTemplateService.updateEmailTemplate('confirmation', { name: 'Other', version: 3 }, 'admin', '127.0.0.1'))
+        .rejects.toThrow('Email template version conflict');
+    });
+
+    test('should throw for an unknown template', async () => {
+      await expect(emailTemplateService.updateEmailTemplate('missing_one', { name: 'Other' }, 'admin', '127.0.0.1'))
+        .rejects.toThrow('Email template missing_one not found');
+    });
+  });
+
+  describe('deleteEmailTemplate', () => {
+    test('should delete the template but keep its history', async () => {
+      await emailTemplateService.deleteEmailTemplate('case_closed', 'admin', '127.0.0.1');
+
+      await expect(emailTemplateService.getEmailTemplate('case_closed')).rejects.toThrow('not found');
+      const versions = await emailTemplateService.getEmailTemplateVersions('case_closed');
+      expect(versions).toHaveLength(1);
+      expect(auditService.logEmailTemplateDeleted).toHaveBeenCalled();
+    });
+  });
+
+  describe('renderEmailTemplate', () => {
+    const report = {
+      id: 'rep_ABC123',
+      schoolName: 'ABC Driving School',
+      location: 'Newark',
+      reporterName: '',
+      mvcReferenceNumber: 'MVC-2025-001'
+    };
+
+    test('should fill variables from the report and defaults', async () => {
+      const preview = await emailTemplateService.renderEmailTemplate('case_closed', { report });
+
+      expect(preview.templateId).toBe('case_closed');
+      expect(preview.version).toBe(1);
+      expect(preview.subject).toBe('NJDSC Case Closed - ABC Driving School');
+      expect(preview.body).toContain('Dear Reporter,');
+      expect(preview.body).toContain('(ID: rep_ABC123)');
+      expect(preview.variables.resolutionSummary).toBe('Violation confirmed and appropriate action taken.');
+      expect(preview.missing).toEqual([]);
+    });
+
+    test('should let explicit variables override report values', async () => {
+      const preview = await emailTemplateService.renderEmailTemplate('case_closed', {
+        report,
+        variables: { schoolName: 'ABC Driving', resolutionSummary: 'Referred to MVC.' }
+      });
+
+      expect(preview.subject).toBe('NJDSC Case Closed - ABC Driving');
+      expect(preview.body).toContain('Resolution: Referred to MVC.');
+    });
+
+    test('should report missing required variables', async () => {
+      const preview = await emailTemplateService.renderEmailTemplate('mvc_notification', { report });
+
+      expect(preview.missing).toEqual(['violationDescription']);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for exportService
+ */
+
+const { PassThrough } = require('stream');
+const exportService = require('../../../server/services/exportService');
+const { parseCsvRows } = require('../../../server/utils/csv');
+
+/**
+ * Streams an export and returns the bytes written
+ */
+async function runExport(reports, format) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const count = await exportService.writeReports(reports, format, output);
+  output.end();
+
+  return { count, buffer: Buffer.concat(chunks) };
+}
+
+describe('exportService', () => {
+  const report = {
+    id: 'rep_ABC123',
+    schoolName: 'ABC Driving, LLC',
+    location: 'Newark',
+    phoneNumber: '(973) 555-1234',
+    websiteUrl: 'https://abcdriving.com',
+    status: 'Reported to MVC',
+    violationDescription: 'Line one\nLine "two"',
+    socialMediaLinks: ['https://facebook.com/abc', 'https://instagram.com/abc'],
+    uploadedFiles: [{ id: 'f1' }, { id: 'f2' }],
+    mvcReferenceNumber: 'MVC-2025-001',
+    adminNotes: 'Called twice',
+    licenseCheck: { status: 'match', licensedSchoolName: 'ABC Driving School', licenseNumber: 'DS-1001', checkedAt: '2025-01-01T00:00:00.000Z' },
+    schoolId: 'sch_ABC123',
+    createdAt: '2025-01-01T00:00:00.000Z',
+    lastReported: '2025-01-02T00:00:00.000Z',
+    updatedAt: '2025-01-03T00:00:00.000Z'
+  };
+
+  describe('buildExportRow', () => {
+    test('should include admin-only fields, file count and license check', () => {
+      const headers = exportService.EXPORT_COLUMNS.map(column => column.header);
+      const row = exportService.buildExportRow(report);
+      const byHeader = Object.fromEntries(headers.map((header, index) => [header, row[index]]));
+
+      expect(byHeader['MVC Reference Number']).toBe('MVC-2025-001');
+      expect(byHeader['Admin Notes']).toBe('Called twice');
+      expect(byHeader['File Count']).toBe(2);
+      expect(byHeader['Social Media Links']).toBe('https://facebook.com/abc\nhttps://instagram.com/abc');
+      expect(byHeader['License Check']).toBe('Licensed match: ABC Driving School (DS-1001)');
+    });
+
+    test('should leave missing fields empty', () => {
+      const row = exportService.buildExportRow({ id: 'rep_XYZ789', schoolName: 'XYZ', status: 'Added' });
+      const headers = exportService.EXPORT_COLUMNS.map(column => column.header);
+
+      expect(row[headers.indexOf('Location')]).toBeNull();
+      expect(row[headers.indexOf('File Count')]).toBe(0);
+      expect(row[headers.indexOf('License Check')]).toBe('');
+    });
+
+    test('should describe a report without a license match', () => {
+      const row = exportService.buildExportRow({ ...report, licenseCheck: { status: 'no_match', checkedAt: report.createdAt } });
+      const headers = exportService.EXPORT_COLUMNS.map(column => column.header);
+
+      expect(row[headers.indexOf('License Check')]).toBe('No license match');
+    });
+  });
+
+  describe('writeReports', () => {
+    test('should stream CSV with a byte order mark and header row', async () => {
+      const { count, buffer } = await runExport([report, { ...report, id: 'rep_DEF456' }], 'csv');
+      const text = buffer.toString('utf8');
+
+      expect(count).toBe(2);
+      expect(text.charCodeAt(0)).toBe(0xfeff);
+
+      const rows = parseCsvRows(text);
+      expect(rows).toHaveLength(3);
+      expect(rows[0][0]).toBe('Report ID');
+      expect(rows[1][1]).toBe('ABC Driving, LLC');
+      expect(rows[1][6]).toBe('Line one\nLine "two"');
+      expect(rows[2][0]).toBe('rep_DEF456');
+    });
+
+    test('should stream an XLSX workbook', async () => {
+      const { count, buffer } = await runExport([report], 'xlsx');
+
+      expect(count).toBe(1);
+      // ZIP local file header signature
+      expect(buffer.readUInt32LE(0)).toBe(0x04034b50);
+      expect(buffer.includes(Buffer.from('xl/worksheets/sheet1.xml'))).toBe(true);
+    });
+
+    test('should write only the header for an empty export', async () => {
+      const { count, buffer } = await runExport([], 'csv');
+
+      expect(count).toBe(0);
+      expect(parseCsvRows(buffer.toString('utf8'))).toHaveLength(1);
+    });
+
+    test('should reject unknown formats', async () => {
+      await expect(runExport([report], 'pdf')).rejects.toThrow('Export validation failed: unsupported format "pdf"');
+    });
+  });
+
+  describe('getExportFileName', () => {
+    test('should name the file after the export date', () => {
+      expect(exportService.getExportFileName('xlsx', new Date('2025-09-26T12:00:00Z'))).toBe('reports-2025-09-26.xlsx');
+    });
+  });
+});
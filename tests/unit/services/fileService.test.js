@@ -8,13 +8,22 @@ const fileService = require('../../../server/services/fileService');
 const File = require('../../../server/models/File');
 const localJsonService = require('../../../server/services/localJsonService');
 const localFileService = require('../../../server/services/localFileService');
+const imageProcessingService = require('../../../server/services/imageProcessingService');
 const configService = require('../../../server/services/configService');
+const { canStripMetadata, stripMetadata } = require('../../../server/utils/metadata');
 
 // Mock dependencies
 jest.mock('../../../server/models/File');
 jest.mock('../../../server/services/localJsonService');
 jest.mock('../../../server/services/localFileService');
+jest.mock('../../../server/services/imageProcessingService');
 jest.mock('../../../server/services/configService');
+jest.mock('../../../server/utils/metadata');
+
+// Returns a copy of the file with the new status, like File#updateProcessingStatus
+function updateProcessingStatus(status, results = {}) {
+  return { ...this, ...results, processingStatus: status };
+}
 
 // Set up File mock to return proper instances
 const MockFile = function(data) {
@@ -33,6 +42,22 @@ describe('File Service', () => {
 
     // Mock local services to return empty array by default
     localJsonService.getAllRows.mockResolvedValue([]);
+    localJsonService.updateRow.mockResolvedValue(undefined);
+    File.getProcessingStatusEnum.mockReturnValue({
+      PENDING: 'pending',
+      PROCESSING: 'processing',
+      COMPLETED: 'completed',
+      FAILED: 'failed'
+    });
+    canStripMetadata.mockImplementation(mimeType => mimeType.startsWith('image/'));
+    stripMetadata.mockImplementation(data => ({ data, removed: [] }));
+    imageProcessingService.createRenditions.mockResolvedValue({
+      width: 1600,
+      height: 1200,
+      orientation: 1,
+      thumbnailUrl: '/uploads/rep_abc123/test.thumbnail.jpg',
+      mediumUrl: '/uploads/rep_abc123/test.medium.jpg'
+    });
   });
 
   describe('uploadFile', () => {
@@ -64,10 +89,14 @@ describe('File Service', () => {
       driveFileId: mockDriveFile.id,
       driveUrl: 'https://drive.google.com/uc?export=download&id=drive_file_123',
       thumbnailUrl: 'https://drive.google.com/thumbnail?id=drive_file_123&sz=s400',
+      localFilePath: './uploads/rep_abc123/test.jpg',
+      publicUrl: '/uploads/rep_abc123/test.jpg',
       uploadedAt: '2024-01-01T00:00:00.000Z',
       uploadedByIp: mockUploadedByIp,
       processingStatus: 'pending',
       validateBusinessRules: jest.fn(),
+      isImage: jest.fn().mockReturnValue(true),
+      updateProcessingStatus,
       toSheetsRow: jest.fn().mockReturnValue([
         'file_xyz789', mockReportId, mockFileName, mockMimeType,
         mockFileBuffer.length, mockDriveFile.id,
@@ -111,7 +140,18 @@ describe('File Service', () => {
       expect(File.create).toHaveBeenCalled();
       expect(mockFile.validateBusinessRules).toHaveBeenCalled();
       expect(localJsonService.appendRow).toHaveBeenCalled();
-      expect(result).toBe(mockFile);
+      expect(imageProcessingService.createRenditions).toHaveBeenCalledWith(
+        mockFileBuffer,
+        mockMimeType,
+        mockFile.localFilePath,
+        mockFile.publicUrl
+      );
+      expect(result).toMatchObject({
+        id: mockFile.id,
+        processingStatus: 'completed',
+        thumbnailUrl: '/uploads/rep_abc123/test.thumbnail.jpg',
+        mediumUrl: '/uploads/rep_abc123/test.medium.jpg'
+      });
     });
 
     it('should upload file successfully with multer-like file object', async () => {
@@ -143,7 +183,7 @@ describe('File Service', () => {
         mockMimeType,
         mockReportId
       );
-      expect(result).toBe(mockFile);
+      expect(result).toMatchObject({ id: mockFile.id, processingStatus: 'completed' });
     });
 
     it('should throw error for invalid upload parameters', async () => {
@@ -174,7 +214,67 @@ describe('File Service', () => {
       )).rejects.toThrow('Local file upload failed');
     });
 
-   
+    it('should publish the metadata-stripped copy and keep the original private', async () => {
+      const strippedBuffer = Buffer.from('stripped content');
+      stripMetadata.mockReturnValue({ data: strippedBuffer, removed: ['EXIF', 'COM'] });
+      File.validateUploadParams.mockReturnValue({ isValid: true });
+      localFileService.uploadFile.mockResolvedValue({
+        filename: 'test_1.jpg',
+        size: strippedBuffer.length,
+        localPath: './uploads/rep_abc123/test_1.jpg',
+        url: '/uploads/rep_abc123/test_1.jpg'
+      });
+      localFileService.saveOriginal.mockResolvedValue('/data/originals/rep_abc123/test_1.jpg');
+      File.create.mockReturnValue(mockFile);
+
+      await fileService.uploadFile(mockFileBuffer, mockFileName, mockMimeType, mockReportId, mockUploadedByIp);
+
+      expect(stripMetadata).toHaveBeenCalledWith(mockFileBuffer, 'image/jpeg');
+      expect(localFileService.uploadFile).toHaveBeenCalledWith(strippedBuffer, mockFileName, mockMimeType, mockReportId);
+      expect(localFileService.saveOriginal).toHaveBeenCalledWith(mockFileBuffer, mockReportId, 'test_1.jpg');
+      expect(File.create).toHaveBeenCalledWith(expect.objectContaining({
+        size: strippedBuffer.length,
+        originalFilePath: '/data/originals/rep_abc123/test_1.jpg',
+        metadataStrippedAt: expect.any(String)
+      }), mockUploadedByIp);
+    });
+
+    it('should refuse images whose metadata cannot be removed', async () => {
+      stripMetadata.mockImplementation(() => {
+        throw new Error('Corrupt JPEG data: truncated segment');
+      });
+      File.validateUploadParams.mockReturnValue({ isValid: true });
+
+      await expect(fileService.uploadFile(
+        mockFileBuffer,
+        mockFileName,
+        mockMimeType,
+        mockReportId
+      )).rejects.toThrow('Image metadata could not be removed from test.jpg: Corrupt JPEG data: truncated segment');
+      expect(localFileService.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it('should store videos unchanged without marking their metadata as removed', async () => {
+      File.validateUploadParams.mockReturnValue({ isValid: true });
+      localFileService.uploadFile.mockResolvedValue({
+        filename: 'clip_1.mp4',
+        size: mockFileBuffer.length,
+        localPath: './uploads/rep_abc123/clip_1.mp4',
+        url: '/uploads/rep_abc123/clip_1.mp4'
+      });
+      File.create.mockReturnValue({ ...mockFile, mimeType: 'video/mp4' });
+
+      await fileService.uploadFile(mockFileBuffer, 'clip.mp4', 'video/mp4', mockReportId, mockUploadedByIp);
+
+      expect(stripMetadata).not.toHaveBeenCalled();
+      expect(localFileService.uploadFile).toHaveBeenCalledWith(mockFileBuffer, 'clip.mp4', 'video/mp4', mockReportId);
+      expect(localFileService.saveOriginal).not.toHaveBeenCalled();
+      expect(File.create).toHaveBeenCalledWith(expect.objectContaining({
+        originalFilePath: null,
+        exif: null,
+        metadataStrippedAt: null
+      }), mockUploadedByIp);
+    });
   });
 
   describe('getFileById', () => {
@@ -256,6 +356,137 @@ describe('File Service', () => {
     });
   });
 
+  describe('processFile', () => {
+    const makeFile = (mimeType) => ({
+      id: 'file_abc123',
+      mimeType,
+      localFilePath: './uploads/rep_abc123/photo.png',
+      publicUrl: '/uploads/rep_abc123/photo.png',
+      processingStatus: 'pending',
+      isImage: jest.fn().mockReturnValue(mimeType.startsWith('image/')),
+      updateProcessingStatus
+    });
+
+    it('should move an image through processing to completed with its renditions', async () => {
+      const buffer = Buffer.from('png data');
+
+      const result = await fileService.processFile(makeFile('image/png'), buffer);
+
+      expect(imageProcessingService.createRenditions).toHaveBeenCalledWith(
+        buffer, 'image/png', './uploads/rep_abc123/photo.png', '/uploads/rep_abc123/photo.png'
+      );
+      const savedStatuses = localJsonService.updateRow.mock.calls.map(call => call[3].processingStatus);
+      expect(savedStatuses).toEqual(['processing', 'completed']);
+      expect(result).toMatchObject({
+        processingStatus: 'completed',
+        width: 1600,
+        height: 1200,
+        thumbnailUrl: '/uploads/rep_abc123/test.thumbnail.jpg',
+        mediumUrl: '/uploads/rep_abc123/test.medium.jpg'
+      });
+    });
+
+    it('should mark an image failed when its renditions cannot be created', async () => {
+      imageProcessingService.createRenditions.mockRejectedValue(new Error('Corrupt JPEG data: truncated'));
+
+      const result = await fileService.processFile(makeFile('image/jpeg'), Buffer.from('bad'));
+
+      const savedStatuses = localJsonService.updateRow.mock.calls.map(call => call[3].processingStatus);
+      expect(savedStatuses).toEqual(['processing', 'failed']);
+      expect(result).toMatchObject({
+        processingStatus: 'failed',
+        processingError: 'Corrupt JPEG data: truncated'
+      });
+    });
+
+    it('should complete non-image files without creating renditions', async () => {
+      const result = await fileService.processFile(makeFile('application/pdf'), Buffer.from('%PDF'));
+
+      expect(imageProcessingService.createRenditions).not.toHaveBeenCalled();
+      expect(localJsonService.updateRow).toHaveBeenCalledTimes(1);
+      expect(result.processingStatus).toBe('completed');
+    });
+  });
+
+  describe('sanitizeStoredFiles', () => {
+    it('should strip metadata from images stored before sanitization and keep their originals', async () => {
+      localJsonService.getAllRows.mockResolvedValue([
+        { id: 'file_1', reportId: 'rep_abc123', mimeType: 'image/jpeg', size: 100, localFilePath: './uploads/rep_abc123/a.jpg' },
+        { id: 'file_2', reportId: 'rep_abc123', mimeType: 'image/jpeg', localFilePath: './uploads/rep_abc123/b.jpg',
+          metadataStrippedAt: '2024-01-01T00:00:00.000Z' },
+        { id: 'file_3', reportId: 'rep_abc123', mimeType: 'video/mp4', size: 50, localFilePath: './uploads/rep_abc123/c.mp4' }
+      ]);
+      localFileService.readFile.mockResolvedValue(Buffer.from('original'));
+      stripMetadata.mockReturnValue({ data: Buffer.from('clean'), removed: ['EXIF'] });
+      localFileService.saveOriginal.mockResolvedValue('/data/originals/rep_abc123/a.jpg');
+
+      const sanitized = await fileService.sanitizeStoredFiles();
+
+      expect(sanitized).toBe(1);
+      expect(localFileService.readFile).not.toHaveBeenCalledWith('./uploads/rep_abc123/c.mp4');
+      expect(localFileService.readFile).not.toHaveBeenCalledWith('./uploads/rep_abc123/b.jpg');
+      expect(localFileService.saveOriginal).toHaveBeenCalledTimes(1);
+      expect(localFileService.saveOriginal).toHaveBeenCalledWith(Buffer.from('original'), 'rep_abc123', 'a.jpg');
+      expect(localFileService.replaceFile).toHaveBeenCalledWith('./uploads/rep_abc123/a.jpg', Buffer.from('clean'));
+      expect(localJsonService.updateRow).toHaveBeenCalledWith(null, 'files', 'file_1', expect.objectContaining({
+        size: 5,
+        originalFilePath: '/data/originals/rep_abc123/a.jpg',
+        metadataStrippedAt: expect.any(String)
+      }));
+      expect(localJsonService.updateRow).not.toHaveBeenCalledWith(null, 'files', 'file_3', expect.anything());
+    });
+
+    it('should leave files it cannot parse for the next run', async () => {
+      localJsonService.getAllRows.mockResolvedValue([
+        { id: 'file_1', reportId: 'rep_abc123', mimeType: 'image/png', localFilePath: './uploads/rep_abc123/a.png' }
+      ]);
+      localFileService.readFile.mockResolvedValue(Buffer.from('not a png'));
+      stripMetadata.mockImplementation(() => {
+        throw new Error('Not a PNG image');
+      });
+
+      const sanitized = await fileService.sanitizeStoredFiles();
+
+      expect(sanitized).toBe(0);
+      expect(localFileService.replaceFile).not.toHaveBeenCalled();
+      expect(localJsonService.updateRow).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reassignFiles', () => {
+    it('should move file records from one report to another', async () => {
+      localJsonService.getAllRows.mockResolvedValue([
+        { id: 'file_1', reportId: 'rep_abc123', originalName: 'test1.jpg' },
+        { id: 'file_2', reportId: 'rep_def456', originalName: 'test2.jpg' }
+      ]);
+      localJsonService.updateRow.mockResolvedValue(undefined);
+
+      const moved = await fileService.reassignFiles('rep_abc123', 'rep_xyz789');
+
+      expect(moved).toBe(1);
+      expect(localJsonService.updateRow).toHaveBeenCalledTimes(1);
+      expect(localJsonService.updateRow).toHaveBeenCalledWith(null, 'files', 'file_1',
+        expect.objectContaining({ reportId: 'rep_xyz789' }));
+    });
+  });
+
+  describe('removeUploaderIps', () => {
+    it('should clear the uploader address of the report\'s files that have one', async () => {
+      localJsonService.getAllRows.mockResolvedValue([
+        { id: 'file_1', reportId: 'rep_abc123', originalName: 'test1.jpg', uploadedByIp: '203.0.113.5' },
+        { id: 'file_2', reportId: 'rep_abc123', originalName: 'test2.jpg', uploadedByIp: null },
+        { id: 'file_3', reportId: 'rep_def456', originalName: 'test3.jpg', uploadedByIp: '203.0.113.5' }
+      ]);
+      localJsonService.updateRow.mockResolvedValue(undefined);
+
+      const cleared = await fileService.removeUploaderIps('rep_abc123');
+
+      expect(cleared).toEqual(['file_1']);
+      expect(localJsonService.updateRow).toHaveBeenCalledTimes(1);
+      expect(localJsonService.updateRow).toHaveBeenCalledWith(null, 'files', 'file_1', { uploadedByIp: null });
+    });
+  });
+
   describe('updateFileProcessingStatus', () => {
     it('should update file status successfully', async () => {
       const existingFileData = {
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for imageProcessingService
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const imageProcessingService = require('../../../server/services/imageProcessingService');
+const { decodeJpeg, encodeJpeg } = require('../../../server/utils/jpeg');
+
+describe('imageProcessingService', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-renditions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('getRenditionPath', () => {
+    test('should replace the extension with the rendition name', () => {
+      expect(imageProcessingService.getRenditionPath('/uploads/rep_ABC123/photo_1.png', 'thumbnail'))
+        .toBe('/uploads/rep_ABC123/photo_1.thumbnail.jpg');
+      expect(imageProcessingService.getRenditionPath('uploads/rep_ABC123/photo', 'medium'))
+        .toBe('uploads/rep_ABC123/photo.medium.jpg');
+    });
+  });
+
+  describe('createRenditions', () => {
+    test('should store thumbnail and medium renditions next to the original without enlarging it', async () => {
+      const original = encodeJpeg({ width: 800, height: 400, data: Buffer.alloc(800 * 400 * 3, 90) });
+      const localFilePath = path.join(tempDir, 'photo_1.jpg');
+
+      const result = await imageProcessingService.createRenditions(
+        original,
+        'image/jpeg',
+        localFilePath,
+        '/uploads/rep_ABC123/photo_1.jpg'
+      );
+
+      expect(result).toEqual({
+        width: 800,
+        height: 400,
+        orientation: 1,
+        thumbnailUrl: '/uploads/rep_ABC123/photo_1.thumbnail.jpg',
+        mediumUrl: '/uploads/rep_ABC123/photo_1.medium.jpg'
+      });
+      expect(decodeJpeg(fs.readFileSync(path.join(tempDir, 'photo_1.thumbnail.jpg'))))
+        .toMatchObject({ width: 320, height: 160 });
+      expect(decodeJpeg(fs.readFileSync(path.join(tempDir, 'photo_1.medium.jpg'))))
+        .toMatchObject({ width: 800, height: 400 });
+    });
+
+    test('should reject images with more pixels than it decodes', async () => {
+      const original = encodeJpeg({ width: 16, height: 16, data: Buffer.alloc(16 * 16 * 3, 90) });
+      // Claim 6000x6000 in the frame header (after the FFC0 marker, length and precision)
+      const frame = original.indexOf(Buffer.from([0xff, 0xc0]));
+      original.writeUInt16BE(6000, frame + 5);
+      original.writeUInt16BE(6000, frame + 7);
+
+      await expect(imageProcessingService.createRenditions(
+        original,
+        'image/jpeg',
+        path.join(tempDir, 'huge.jpg'),
+        '/uploads/rep_ABC123/huge.jpg'
+      )).rejects.toThrow('Image is too large to process (6000x6000)');
+
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+
+    test('should reject images it cannot decode', async () => {
+      await expect(imageProcessingService.createRenditions(
+        Buffer.from('RIFF....WEBP'),
+        'image/webp',
+        path.join(tempDir, 'photo.webp'),
+        '/uploads/rep_ABC123/photo.webp'
+      )).rejects.toThrow('Renditions are not supported for image/webp');
+
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+  });
+
+  describe('deleteRenditions', () => {
+    test('should remove the renditions that exist', async () => {
+      const localFilePath = path.join(tempDir, 'photo_1.png');
+      fs.writeFileSync(path.join(tempDir, 'photo_1.thumbnail.jpg'), 'thumb');
+
+      const removed = await imageProcessingService.deleteRenditions(localFilePath);
+
+      expect(removed).toBe(1);
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+  });
+});
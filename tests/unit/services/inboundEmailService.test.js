@@ -0,0 +1,340 @@
+/**
+ * Unit tests for inboundEmailService
+ *
+ * Messages are read from a real drop directory in a temp folder; report
+ * creation is mocked.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// In-memory sheets keyed by name
+let mockSheets = {};
+
+jest.mock('../../../server/services/localJsonService', () => ({
+  getAllRows: jest.fn(async (spreadsheetId, name) => (mockSheets[name] || []).map(row => ({ ...row }))),
+  appendRow: jest.fn(async (spreadsheetId, name, row) => {
+    mockSheets[name] = [...(mockSheets[name] || []), { ...row }];
+    return row;
+  }),
+  updateRow: jest.fn(async (spreadsheetId, name, id, data) => {
+    mockSheets[name] = mockSheets[name].map(row => (row.id === id ? { ...row, ...data } : row));
+  })
+}));
+
+jest.mock('../../../server/services/configService', () => ({
+  getConfig: jest.fn()
+}));
+
+jest.mock('../../../server/services/reportProcessingService', () => ({
+  enqueueReportAndWait: jest.fn()
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logEmailIngested: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../../server/services/correspondenceService', () => ({
+  addReply: jest.fn()
+}));
+
+jest.mock('../../../server/services/emailOutboxService', () => ({
+  getOutboxMessage: jest.fn()
+}));
+
+const configService = require('../../../server/services/configService');
+const reportProcessingService = require('../../../server/services/reportProcessingService');
+const auditService = require('../../../server/services/auditService');
+const correspondenceService = require('../../../server/services/correspondenceService');
+const emailOutboxService = require('../../../server/services/emailOutboxService');
+const { buildThreadMessageId } = require('../../../server/utils/replyToken');
+const inboundEmailService = require('../../../server/services/inboundEmailService');
+
+/**
+ * Builds a raw message
+ */
+function buildMessage({ from = 'Jane Doe <jane@example.com>', subject = 'Ace Driving School', messageId, headers = [], body = 'They teach without a license.' } = {}) {
+  return [
+    `From: ${from}`,
+    'To: tips@njdsc.org',
+    `Subject: ${subject}`,
+    'Date: Mon, 15 Jan 2024 12:00:00 +0000',
+    ...(messageId ? [`Message-ID: <${messageId}>`] : []),
+    ...headers,
+    '',
+    body,
+    ''
+  ].join('\n');
+}
+
+describe('inboundEmailService', () => {
+  let dropDir;
+  let settings;
+  let reportCount;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockSheets = {};
+    reportCount = 0;
+
+    dropDir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-inbound-'));
+    settings = { 'email.inbound.dropDir': dropDir, 'email.fromAddress': 'noreply@njdsc.org' };
+    configService.getConfig.mockImplementation(async key => settings[key] ?? null);
+
+    reportProcessingService.enqueueReportAndWait.mockImplementation(async reportData => ({
+      report: { id: `rep_REP00${++reportCount}`, ...reportData },
+      uploadedFiles: (reportData.files || []).map((file, index) => ({ id: `file_${index + 1}`, name: file.name }))
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dropDir, { recursive: true, force: true });
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  const writeMaildir = (name, raw) => {
+    fs.mkdirSync(path.join(dropDir, 'new'), { recursive: true });
+    fs.writeFileSync(path.join(dropDir, 'new', name), raw);
+  };
+
+  describe('getSchoolName', () => {
+    test('should strip reply and forward prefixes and list tags', () => {
+      const from = { address: 'jane@example.com' };
+      expect(inboundEmailService.getSchoolName({ subject: 'Re: Fwd: [tips] Ace Driving', from })).toBe('Ace Driving');
+      expect(inboundEmailService.getSchoolName({ subject: 'FW:', from })).toBe('Email tip from jane@example.com');
+    });
+  });
+
+  describe('buildReportData', () => {
+    test('should hold the report for review and continue long text in additional information', () => {
+      const text = 'a'.repeat(1000) + 'overflow';
+      const data = inboundEmailService.buildReportData({
+        subject: 'Ace Driving',
+        text,
+        date: '2024-01-15T12:00:00.000Z',
+        from: { name: 'Jane Doe', address: 'jane@example.com' }
+      }, [{ filename: 'lot.jpg', contentType: 'image/jpeg', size: 3, content: Buffer.from('jpg') }]);
+
+      expect(data).toMatchObject({
+        schoolName: 'Ace Driving',
+        violationDescription: 'a'.repeat(1000),
+        reporterName: 'Jane Doe',
+        reporterEmail: 'jane@example.com',
+        source: 'email',
+        reviewStatus: 'pending',
+        files: [{ name: 'lot.jpg', type: 'image/jpeg', size: 3, data: Buffer.from('jpg').toString('base64') }]
+      });
+      expect(data.additionalInfo).toBe('Received by email from jane@example.com on 2024-01-15T12:00:00.000Z.\n\n[Message continued]\noverflow');
+    });
+  });
+
+  describe('processInbox', () => {
+    test('should ingest maildir messages into held reports and move them to cur/', async () => {
+      const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+      writeMaildir('1705320000.M1P1.host', [
+        'From: Jane Doe <jane@example.com>',
+        'Subject: Ace Driving School',
+        'Message-ID: <tip-1@example.com>',
+        'Content-Type: multipart/mixed; boundary="b"',
+        '',
+        '--b',
+        'Content-Type: text/plain',
+        '',
+        'Photos attached.',
+        '--b',
+        'Content-Type: image/jpeg; name="car.jpg"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        image.toString('base64'),
+        '--b',
+        'Content-Type: application/msword; name="notes.doc"',
+        '',
+        'doc',
+        '--b--'
+      ].join('\n'));
+
+      const summary = await inboundEmailService.processInbox();
+
+      expect(summary).toEqual({ processed: 1, ingested: 1, threaded: 0, skipped: 0, failed: 0, duplicates: 0 });
+      expect(reportProcessingService.enqueueReportAndWait).toHaveBeenCalledWith(expect.objectContaining({
+        schoolName: 'Ace Driving School',
+        violationDescription: 'Photos attached.',
+        source: 'email',
+        reviewStatus: 'pending',
+        files: [expect.objectContaining({ name: 'car.jpg', type: 'image/jpeg', size: image.length })]
+      }), null);
+      expect(fs.readdirSync(path.join(dropDir, 'new'))).toEqual([]);
+      expect(fs.readdirSync(path.join(dropDir, 'cur'))).toEqual(['1705320000.M1P1.host:2,S']);
+
+      expect(mockSheets.inboundEmails).toHaveLength(1);
+      expect(mockSheets.inboundEmails[0]).toMatchObject({
+        messageKey: 'tip-1@example.com',
+        from: 'jane@example.com',
+        status: 'ingested',
+        reportId: 'rep_REP001',
+        fileIds: ['file_1'],
+        skippedAttachments: [{ filename: 'notes.doc', reason: 'not a supported image (application/msword)' }]
+      });
+      expect(auditService.logEmailIngested).toHaveBeenCalledWith(expect.objectContaining({ reportId: 'rep_REP001' }));
+    });
+
+    test('should read every message of an mbox file and skip repeats', async () => {
+      const first = buildMessage({ messageId: 'tip-1@example.com' });
+      fs.writeFileSync(path.join(dropDir, 'tips.mbox'), [
+        'From jane@example.com Mon Jan 15 12:00:00 2024',
+        first,
+        'From bob@example.com Mon Jan 15 13:00:00 2024',
+        buildMessage({ from: 'bob@example.com', subject: 'Best Driving', body: '>From what I saw, no license.' }),
+        'From jane@example.com Mon Jan 15 12:00:00 2024',
+        first
+      ].join('\n'));
+
+      const summary = await inboundEmailService.processInbox();
+
+      expect(summary).toEqual({ processed: 3, ingested: 2, threaded: 0, skipped: 0, failed: 0, duplicates: 1 });
+      expect(reportProcessingService.enqueueReportAndWait.mock.calls[1][0].violationDescription).toBe('From what I saw, no license.');
+      expect(fs.readdirSync(dropDir)).not.toContain('tips.mbox');
+      expect(fs.readdirSync(path.join(dropDir, 'processed'))).toEqual([expect.stringMatching(/^tips-\d{8}T\d{9}Z\.mbox$/)]);
+
+      // The same message dropped again is not ingested twice
+      writeMaildir('again', first);
+      await expect(inboundEmailService.processInbox()).resolves.toMatchObject({ processed: 1, duplicates: 1, ingested: 0 });
+      expect(reportProcessingService.enqueueReportAndWait).toHaveBeenCalledTimes(2);
+    });
+
+    test('should skip automatic replies and messages sent by the portal', async () => {
+      writeMaildir('1', buildMessage({ messageId: 'a@x', headers: ['Auto-Submitted: auto-replied'] }));
+      writeMaildir('2', buildMessage({ messageId: 'b@x', headers: ['Precedence: bulk'] }));
+      writeMaildir('3', buildMessage({ messageId: 'c@x', from: 'NJDSC <NoReply@njdsc.org>' }));
+
+      const summary = await inboundEmailService.processInbox();
+
+      expect(summary).toMatchObject({ processed: 3, skipped: 3, ingested: 0 });
+      expect(reportProcessingService.enqueueReportAndWait).not.toHaveBeenCalled();
+      expect(mockSheets.inboundEmails.map(record => record.error)).toEqual([
+        'automatic reply',
+        'automatic reply',
+        'message was sent by the portal'
+      ]);
+    });
+
+    test('should record failures, move the file to failed/ and retry it when dropped again', async () => {
+      reportProcessingService.enqueueReportAndWait.mockRejectedValueOnce(new Error('disk full'));
+      writeMaildir('1', buildMessage({ messageId: 'tip-1@example.com' }));
+
+      await expect(inboundEmailService.processInbox()).resolves.toMatchObject({ processed: 1, failed: 1 });
+      expect(fs.readdirSync(path.join(dropDir, 'failed'))).toEqual(['1']);
+      expect(mockSheets.inboundEmails[0]).toMatchObject({ status: 'failed', error: 'disk full' });
+      expect(auditService.logEmailIngested).not.toHaveBeenCalled();
+
+      fs.renameSync(path.join(dropDir, 'failed', '1'), path.join(dropDir, 'new', '1'));
+      await expect(inboundEmailService.processInbox()).resolves.toMatchObject({ processed: 1, ingested: 1 });
+    });
+
+    test('should key messages without a Message-ID by their content', async () => {
+      writeMaildir('1', buildMessage());
+      writeMaildir('2', buildMessage());
+
+      await expect(inboundEmailService.processInbox()).resolves.toMatchObject({ ingested: 1, duplicates: 1 });
+      expect(mockSheets.inboundEmails[0].messageKey).toMatch(/^sha256:[0-9a-f]{64}$/);
+      expect(mockSheets.inboundEmails[0].messageId).toBeNull();
+    });
+
+    test('should add replies to portal mail to the report instead of opening a new one', async () => {
+      const messageId = buildThreadMessageId('eml_ABCDEFGHIJ', 'rep_OLD001', 'noreply@njdsc.org');
+      emailOutboxService.getOutboxMessage.mockResolvedValue({ id: 'eml_ABCDEFGHIJ', reportId: 'rep_NEW001' });
+      correspondenceService.addReply.mockResolvedValue({
+        entry: { id: 'cor_ABCDEFGHIJ' },
+        skipped: [{ filename: 'big.pdf', reason: 'larger than 10 bytes' }]
+      });
+      writeMaildir('1', buildMessage({
+        from: 'MVC <referrals@mvc.example.gov>',
+        subject: 'Re: Referral',
+        messageId: 'reply-1@mvc.example.gov',
+        headers: [`In-Reply-To: ${messageId}`]
+      }));
+
+      await expect(inboundEmailService.processInbox()).resolves.toMatchObject({ processed: 1, threaded: 1, ingested: 0 });
+
+      // Merged reports take their outbox messages along, so the outbox decides the report
+      expect(correspondenceService.addReply).toHaveBeenCalledWith('rep_NEW001', 'eml_ABCDEFGHIJ', expect.objectContaining({ subject: 'Re: Referral' }));
+      expect(reportProcessingService.enqueueReportAndWait).not.toHaveBeenCalled();
+      expect(mockSheets.inboundEmails[0]).toMatchObject({
+        status: 'threaded',
+        reportId: 'rep_NEW001',
+        correspondenceId: 'cor_ABCDEFGHIJ',
+        skippedAttachments: [{ filename: 'big.pdf', reason: 'larger than 10 bytes' }]
+      });
+    });
+
+    test('should treat replies with a forged token as new tips', async () => {
+      writeMaildir('1', buildMessage({
+        messageId: 'reply-1@example.com',
+        headers: ['References: <eml_ABCDEFGHIJ.rep_OLD001.0000000000000000@njdsc.org>']
+      }));
+
+      await expect(inboundEmailService.processInbox()).resolves.toMatchObject({ ingested: 1, threaded: 0 });
+      expect(correspondenceService.addReply).not.toHaveBeenCalled();
+    });
+
+    test('should skip replies to reports that no longer exist', async () => {
+      emailOutboxService.getOutboxMessage.mockRejectedValue(new Error('Outbound email eml_ABCDEFGHIJ not found'));
+      correspondenceService.addReply.mockRejectedValue(new Error('Report with ID rep_OLD001 not found'));
+      writeMaildir('1', buildMessage({
+        messageId: 'reply-1@example.com',
+        headers: [`References: <other@example.com> ${buildThreadMessageId('eml_ABCDEFGHIJ', 'rep_OLD001')}`]
+      }));
+
+      await expect(inboundEmailService.processInbox()).resolves.toMatchObject({ skipped: 1, threaded: 0 });
+      expect(correspondenceService.addReply).toHaveBeenCalledWith('rep_OLD001', 'eml_ABCDEFGHIJ', expect.any(Object));
+      expect(mockSheets.inboundEmails[0]).toMatchObject({ status: 'skipped', error: 'reply to report rep_OLD001, which no longer exists' });
+    });
+
+    test('should not run twice at the same time', async () => {
+      writeMaildir('1', buildMessage({ messageId: 'tip-1@example.com' }));
+
+      const [first, second] = await Promise.all([inboundEmailService.processInbox(), inboundEmailService.processInbox()]);
+
+      expect(first).toMatchObject({ ingested: 1 });
+      expect(second).toBeNull();
+    });
+  });
+
+  describe('getInboundLog', () => {
+    test('should list records newest first with counts per outcome', async () => {
+      writeMaildir('1', buildMessage({ messageId: 'a@x' }));
+      writeMaildir('2', buildMessage({ messageId: 'b@x', headers: ['Auto-Submitted: auto-generated'] }));
+      await inboundEmailService.processInbox();
+      mockSheets.inboundEmails[0].processedAt = '2024-01-01T00:00:00.000Z';
+
+      const log = await inboundEmailService.getInboundLog();
+      expect(log.total).toBe(2);
+      expect(log.counts).toEqual({ ingested: 1, threaded: 0, skipped: 1, failed: 0 });
+      expect(log.messages.map(record => record.messageKey)).toEqual(['b@x', 'a@x']);
+
+      await expect(inboundEmailService.getInboundLog({ status: 'skipped' })).resolves.toMatchObject({ total: 1 });
+    });
+  });
+
+  describe('redactLogEntry', () => {
+    test('should clear a sender who is the subject but keep the message key', async () => {
+      writeMaildir('1', buildMessage({ messageId: 'a@x', subject: 'Tip from jane@example.com' }));
+      await inboundEmailService.processInbox();
+      const [record] = mockSheets.inboundEmails;
+
+      await inboundEmailService.redactLogEntry(record.id, text => text.replace(/jane@example\.com/g, '[redacted]'));
+
+      expect(mockSheets.inboundEmails[0]).toMatchObject({
+        messageKey: 'a@x',
+        from: null,
+        fromName: null,
+        subject: 'Tip from [redacted]'
+      });
+      await expect(inboundEmailService.redactLogEntry('inb_MISSING000', text => text)).rejects.toThrow('not found');
+    });
+  });
+});
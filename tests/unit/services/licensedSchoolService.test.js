@@ -0,0 +1,215 @@
+/**
+ * Unit tests for licensedSchoolService
+ */
+
+// In-memory licensed schools sheet
+let mockLicensedSchools = [];
+
+jest.mock('../../../server/services/localJsonService', () => ({
+  getAllRows: jest.fn(async () => mockLicensedSchools.map(school => ({ ...school }))),
+  writeJsonFile: jest.fn(async (name, rows) => {
+    mockLicensedSchools = rows.map(row => ({ ...row }));
+  })
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logLicensedSchoolsImported: jest.fn().mockResolvedValue({})
+}));
+
+const licensedSchoolService = require('../../../server/services/licensedSchoolService');
+const localJsonService = require('../../../server/services/localJsonService');
+const auditService = require('../../../server/services/auditService');
+
+/**
+ * Builds a stored licensed school entry
+ */
+function makeLicensedSchool(id, name, extra = {}) {
+  return {
+    id,
+    name,
+    importedAt: '2023-01-01T00:00:00.000Z',
+    ...extra
+  };
+}
+
+describe('licensedSchoolService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockLicensedSchools = [];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('importLicensedSchools', () => {
+    const csv = [
+      'School Name,License No.,Phone,Website,City',
+      'ABC Driving School,DS-1001,(973) 555-1234,https://abcdriving.com,Newark',
+      '"Smith, Jones Driving",DS-1002,,,"Trenton"'
+    ].join('\n');
+
+    test('should import CSV rows using flexible column names', async () => {
+      const result = await licensedSchoolService.importLicensedSchools(csv, 'csv', 'admin', '127.0.0.1');
+
+      expect(result).toEqual({ imported: 2, skipped: [], total: 2, replaced: true });
+      expect(localJsonService.writeJsonFile).toHaveBeenCalledWith('licensedSchools', expect.any(Array));
+      expect(mockLicensedSchools[0]).toMatchObject({
+        name: 'ABC Driving School',
+        licenseNumber: 'DS-1001',
+        phoneNumber: '(973) 555-1234',
+        websiteUrl: 'https://abcdriving.com',
+        city: 'Newark'
+      });
+      expect(mockLicensedSchools[1].name).toBe('Smith, Jones Driving');
+      expect(mockLicensedSchools[1].id).toMatch(/^lic_/);
+    });
+
+    test('should import a JSON array or a { schools } object', async () => {
+      const json = JSON.stringify([{ name: 'XYZ Driving', license: 'DS-2001' }]);
+      await licensedSchoolService.importLicensedSchools(json, 'json', 'admin', '127.0.0.1');
+      expect(mockLicensedSchools).toHaveLength(1);
+      expect(mockLicensedSchools[0].licenseNumber).toBe('DS-2001');
+
+      const wrapped = JSON.stringify({ schools: [{ schoolName: 'Other Driving' }] });
+      await licensedSchoolService.importLicensedSchools(wrapped, 'json', 'admin', '127.0.0.1');
+      expect(mockLicensedSchools.map(school => school.name)).toEqual(['Other Driving']);
+    });
+
+    test('should append to the current list when replace is false', async () => {
+      mockLicensedSchools = [makeLicensedSchool('lic_OLD001', 'Old Driving')];
+
+      const result = await licensedSchoolService.importLicensedSchools(
+        'name\nNew Driving', 'csv', 'admin', '127.0.0.1', { replace: false }
+      );
+
+      expect(result.total).toBe(2);
+      expect(mockLicensedSchools.map(school => school.name)).toEqual(['Old Driving', 'New Driving']);
+    });
+
+    test('should skip invalid rows and report them', async () => {
+      const result = await licensedSchoolService.importLicensedSchools(
+        'name,city\nGood Driving,Newark\n,Trenton', 'csv', 'admin', '127.0.0.1'
+      );
+
+      expect(result.imported).toBe(1);
+      expect(result.skipped).toEqual([{ row: 2, error: expect.stringContaining('Licensed school validation failed') }]);
+    });
+
+    test('should reject a file with no valid rows without touching the list', async () => {
+      mockLicensedSchools = [makeLicensedSchool('lic_OLD001', 'Old Driving')];
+
+      await expect(licensedSchoolService.importLicensedSchools('city\nNewark', 'csv', 'admin', '127.0.0.1'))
+        .rejects.toThrow('Licensed school validation failed: the file has no valid rows');
+      expect(localJsonService.writeJsonFile).not.toHaveBeenCalled();
+      expect(mockLicensedSchools).toHaveLength(1);
+    });
+
+    test('should reject invalid JSON and unknown formats', async () => {
+      await expect(licensedSchoolService.importLicensedSchools('{not json', 'json', 'admin', '127.0.0.1'))
+        .rejects.toThrow('Licensed school validation failed: invalid JSON');
+      await expect(licensedSchoolService.importLicensedSchools('{"name":"x"}', 'json', 'admin', '127.0.0.1'))
+        .rejects.toThrow('Licensed school validation failed: JSON must be an array');
+      await expect(licensedSchoolService.importLicensedSchools('name\nx', 'xml', 'admin', '127.0.0.1'))
+        .rejects.toThrow('unsupported format "xml"');
+    });
+
+    test('should audit the import', async () => {
+      await licensedSchoolService.importLicensedSchools(csv, 'csv', 'admin', '127.0.0.1');
+
+      expect(auditService.logLicensedSchoolsImported).toHaveBeenCalledWith(
+        expect.objectContaining({ imported: 2 }), 'admin', '127.0.0.1'
+      );
+    });
+
+    test('should still import when the audit log fails', async () => {
+      auditService.logLicensedSchoolsImported.mockRejectedValueOnce(new Error('disk full'));
+
+      const result = await licensedSchoolService.importLicensedSchools(csv, 'csv', 'admin', '127.0.0.1');
+
+      expect(result.imported).toBe(2);
+    });
+  });
+
+  describe('getLicensedSchools', () => {
+    test('should sort by name and filter by search across fields', async () => {
+      mockLicensedSchools = [
+        makeLicensedSchool('lic_ZZZ001', 'Zeta Driving', { city: 'Newark' }),
+        makeLicensedSchool('lic_AAA001', 'Alpha Driving', { licenseNumber: 'DS-9' })
+      ];
+
+      const all = await licensedSchoolService.getLicensedSchools();
+      expect(all.map(school => school.name)).toEqual(['Alpha Driving', 'Zeta Driving']);
+
+      const byCity = await licensedSchoolService.getLicensedSchools({ search: 'newark' });
+      expect(byCity.map(school => school.id)).toEqual(['lic_ZZZ001']);
+
+      const byLicense = await licensedSchoolService.getLicensedSchools({ search: 'ds-9' });
+      expect(byLicense.map(school => school.id)).toEqual(['lic_AAA001']);
+    });
+
+    test('should skip invalid stored rows', async () => {
+      mockLicensedSchools = [makeLicensedSchool('lic_AAA001', 'Alpha Driving'), { id: 'bad' }];
+
+      const schools = await licensedSchoolService.getLicensedSchools();
+
+      expect(schools).toHaveLength(1);
+    });
+  });
+
+  describe('checkLicense', () => {
+    beforeEach(() => {
+      mockLicensedSchools = [
+        makeLicensedSchool('lic_ABC001', 'ABC Driving School', {
+          licenseNumber: 'DS-1001',
+          phoneNumber: '(973) 555-1234',
+          websiteUrl: 'https://abcdriving.com',
+          city: 'Newark'
+        }),
+        makeLicensedSchool('lic_XYZ001', 'XYZ Auto Academy', { city: 'Trenton' })
+      ];
+    });
+
+    test('should report a match on a similar name', async () => {
+      const check = await licensedSchoolService.checkLicense({ schoolName: 'A.B.C. Driving School LLC', location: 'Newark' });
+
+      expect(check).toMatchObject({
+        status: 'match',
+        licensedSchoolId: 'lic_ABC001',
+        licensedSchoolName: 'ABC Driving School',
+        licenseNumber: 'DS-1001'
+      });
+      expect(check.score).toBeGreaterThanOrEqual(0.75);
+      expect(check.reasons.length).toBeGreaterThan(0);
+    });
+
+    test('should report a match on the phone number alone', async () => {
+      const check = await licensedSchoolService.checkLicense({ schoolName: 'Totally Different Name', phoneNumber: '973-555-1234' });
+
+      expect(check.status).toBe('match');
+      expect(check.reasons).toContain('Same phone number');
+    });
+
+    test('should report a match on the website domain', async () => {
+      const check = await licensedSchoolService.checkLicense({ schoolName: 'Another Name', websiteUrl: 'http://www.abcdriving.com/contact' });
+
+      expect(check.status).toBe('match');
+      expect(check.reasons).toContain('Same website domain');
+    });
+
+    test('should report no match for an unlisted school', async () => {
+      const check = await licensedSchoolService.checkLicense({ schoolName: 'Shady Lessons', phoneNumber: '201-555-0000' });
+
+      expect(check.status).toBe('no_match');
+      expect(check.licensedSchoolId).toBeUndefined();
+      expect(new Date(check.checkedAt).toISOString()).toBe(check.checkedAt);
+    });
+
+    test('should return null when no list has been imported', async () => {
+      mockLicensedSchools = [];
+
+      expect(await licensedSchoolService.checkLicense({ schoolName: 'ABC Driving School' })).toBeNull();
+    });
+  });
+});
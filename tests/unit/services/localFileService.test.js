@@ -7,6 +7,7 @@ jest.mock('fs', () => ({
     access: jest.fn(),
     mkdir: jest.fn(),
     writeFile: jest.fn(),
+    readFile: jest.fn(),
     readdir: jest.fn(),
     stat: jest.fn(),
     unlink: jest.fn()
@@ -15,6 +16,7 @@ jest.mock('fs', () => ({
 }));
 
 jest.mock('path', () => ({
+  sep: '/',
   join: jest.fn((...args) => args.join('/')),
   relative: jest.fn((from, to) => to.replace(from + '/', '')),
   resolve: jest.fn((...args) => args.join('/')),
@@ -145,7 +147,7 @@ describe('Local File Service', () => {
         mimeType: mockMimeType,
         size: mockFileBuffer.length,
         url: expect.stringContaining('/uploads/'),
-        thumbnailUrl: expect.stringContaining('/uploads/') // Same as url for images
+        thumbnailUrl: null // Renditions are generated by fileService after upload
       });
 
       // Extract the random ID part and verify it's a valid hexadecimal string
@@ -169,7 +171,7 @@ describe('Local File Service', () => {
       expect(fs.promises.writeFile).toHaveBeenCalled();
     });
 
-    it('should generate thumbnail URL for images', async () => {
+    it('should leave the thumbnail URL to rendition processing for images', async () => {
       const result = await localFileService.uploadFile(
         mockFileBuffer,
         mockFileName,
@@ -177,7 +179,7 @@ describe('Local File Service', () => {
         mockReportId
       );
 
-      expect(result.thumbnailUrl).toBe(result.url);
+      expect(result.thumbnailUrl).toBeNull();
     });
 
     it('should not generate thumbnail URL for non-images', async () => {
@@ -283,6 +285,72 @@ describe('Local File Service', () => {
     });
   });
 
+  describe('readFile', () => {
+    it('should read a stored upload', async () => {
+      fs.promises.readFile.mockResolvedValue(Buffer.from('image'));
+
+      const result = await localFileService.readFile('./uploads/rep_123/test.jpg');
+
+      expect(result).toEqual(Buffer.from('image'));
+    });
+
+    it('should throw error for path outside uploads directory', async () => {
+      await expect(localFileService.readFile('./data/originals/rep_123/test.jpg'))
+        .rejects.toThrow('Access denied: file outside uploads directory');
+      expect(fs.promises.readFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('originals', () => {
+    beforeEach(() => {
+      process.env.DATA_DIR = '/data';
+    });
+
+    afterEach(() => {
+      delete process.env.DATA_DIR;
+    });
+
+    it('should store originals outside the uploads directory, readable only by the server', async () => {
+      fs.promises.mkdir.mockResolvedValue();
+      fs.promises.writeFile.mockResolvedValue();
+
+      const result = await localFileService.saveOriginal(Buffer.from('original'), 'rep_123', 'test_1.jpg');
+
+      expect(result).toBe('/data/originals/rep_123/test_1.jpg');
+      expect(fs.promises.mkdir).toHaveBeenCalledWith('/data/originals/rep_123', { recursive: true });
+      expect(fs.promises.writeFile).toHaveBeenCalledWith(
+        '/data/originals/rep_123/test_1.jpg',
+        Buffer.from('original'),
+        { mode: 0o600 }
+      );
+    });
+
+    it('should open a stored original', async () => {
+      fs.promises.access.mockResolvedValue();
+      fs.createReadStream.mockReturnValue('mock-stream');
+
+      const result = await localFileService.downloadOriginal('/data/originals/rep_123/test_1.jpg');
+
+      expect(result).toEqual({ stream: 'mock-stream', path: '/data/originals/rep_123/test_1.jpg' });
+    });
+
+    it('should refuse paths outside the originals directory', async () => {
+      await expect(localFileService.downloadOriginal('./uploads/rep_123/test_1.jpg'))
+        .rejects.toThrow('Access denied: file outside originals directory');
+      await expect(localFileService.deleteOriginal('/data/reports.json'))
+        .rejects.toThrow('Access denied: file outside originals directory');
+    });
+
+    it('should report missing originals', async () => {
+      fs.promises.access.mockRejectedValue({ code: 'ENOENT' });
+      fs.promises.unlink.mockRejectedValue({ code: 'ENOENT' });
+
+      await expect(localFileService.downloadOriginal('/data/originals/rep_123/missing.jpg'))
+        .rejects.toThrow('File not found');
+      await expect(localFileService.deleteOriginal('/data/originals/rep_123/missing.jpg')).resolves.toBe(false);
+    });
+  });
+
   describe('listReportFiles', () => {
     it('should return empty array for non-existent report directory', async () => {
       fs.promises.access.mockRejectedValue(new Error('Directory not found'));
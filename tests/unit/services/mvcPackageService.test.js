@@ -0,0 +1,247 @@
+/**
+ * Unit tests for MVC Package Service
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+jest.mock('../../../server/services/reportService');
+jest.mock('../../../server/services/fileService');
+jest.mock('../../../server/services/localFileService');
+jest.mock('../../../server/services/configService');
+jest.mock('../../../server/services/emailOutboxService');
+jest.mock('../../../server/services/auditService');
+
+const reportService = require('../../../server/services/reportService');
+const fileService = require('../../../server/services/fileService');
+const localFileService = require('../../../server/services/localFileService');
+const configService = require('../../../server/services/configService');
+const emailOutboxService = require('../../../server/services/emailOutboxService');
+const auditService = require('../../../server/services/auditService');
+const mvcPackageService = require('../../../server/services/mvcPackageService');
+
+/**
+ * Reads entries back through the central directory
+ */
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(headerOffset + 26);
+    const dataStart = headerOffset + 30 + localNameLength;
+    entries[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('MVC Package Service', () => {
+  const report = {
+    id: 'rep_ABC123',
+    schoolName: 'Test Driving School',
+    location: 'Newark, NJ',
+    phoneNumber: '555-123-4567',
+    websiteUrl: 'https://example.com',
+    socialMediaLinks: ['https://facebook.com/testschool'],
+    violationDescription: 'Teaching without a license.\n\n[Additional Report - 2024-02-10T09:00:00.000Z]\nSeen again.',
+    status: 'Confirmed by NJDSC',
+    createdAt: '2024-01-15T12:00:00.000Z',
+    lastReported: '2024-02-10T09:00:00.000Z',
+    updatedAt: '2024-02-10T09:00:00.000Z',
+    mvcReferenceNumber: '',
+    statusHistory: [
+      { from: 'Added', to: 'Confirmed by NJDSC', changedBy: 'investigator', changedAt: '2024-02-01T10:00:00.000Z', notes: 'Verified' }
+    ],
+    licenseCheck: null
+  };
+
+  let uploadsDir;
+  let originalConsoleLog;
+  let originalConsoleWarn;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-mvc-evidence-'));
+    fs.writeFileSync(path.join(uploadsDir, 'photo.jpg'), 'photo bytes');
+
+    reportService.getReportById.mockResolvedValue(report);
+    reportService.updateReportStatus.mockImplementation(async (id, update) => ({
+      ...report,
+      status: update.status,
+      mvcReferenceNumber: update.mvcReferenceNumber
+    }));
+    fileService.getFilesByReportId.mockResolvedValue([
+      { id: 'file_1', originalName: 'photo.jpg', mimeType: 'image/jpeg', size: 11, localFilePath: path.join(uploadsDir, 'photo.jpg') },
+      { id: 'file_2', originalName: 'lost.mp4', mimeType: 'video/mp4', size: 99, localFilePath: path.join(uploadsDir, 'lost.mp4') }
+    ]);
+    localFileService.downloadFile.mockImplementation(async (filePath) => {
+      if (!fs.existsSync(filePath)) {
+        throw new Error('File not found');
+      }
+      return { stream: fs.createReadStream(filePath), path: filePath };
+    });
+    configService.getConfig.mockResolvedValue('mvc@example.gov');
+    emailOutboxService.enqueueTemplatedEmail.mockResolvedValue({ id: 'eml_ABCDEFGHIJ', to: 'mvc@example.gov', status: 'queued' });
+    auditService.logStatusUpdate.mockResolvedValue({});
+    auditService.logMvcPackageCreated.mockResolvedValue({});
+
+    originalConsoleLog = console.log;
+    originalConsoleWarn = console.warn;
+    console.log = jest.fn();
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+    console.log = originalConsoleLog;
+    console.warn = originalConsoleWarn;
+  });
+
+  describe('getSightingDates', () => {
+    test('should list the first, additional and latest reports once each, oldest first', () => {
+      expect(mvcPackageService.getSightingDates(report)).toEqual([
+        '2024-01-15T12:00:00.000Z',
+        '2024-02-10T09:00:00.000Z'
+      ]);
+
+      expect(mvcPackageService.getSightingDates({
+        ...report,
+        violationDescription: 'A\n\n[Additional Report - 2024-01-20T08:00:00.000Z]\nB',
+        lastReported: '2024-03-01T08:00:00.000Z'
+      })).toEqual([
+        '2024-01-15T12:00:00.000Z',
+        '2024-01-20T08:00:00.000Z',
+        '2024-03-01T08:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('createMvcPackage', () => {
+    test('should write a ZIP with the referral PDF and evidence, and record its hash', async () => {
+      const result = await mvcPackageService.createMvcPackage(
+        'rep_ABC123', { mvcReferenceNumber: 'MVC-2024-001' }, 'investigator', '10.0.0.1'
+      );
+
+      expect(result.packageId).toMatch(/^NJDSC-rep_ABC123-\d{14}$/);
+      expect(result.fileName).toBe(`${result.packageId}.zip`);
+      expect(result.files).toEqual([`${result.packageId}.pdf`, 'evidence/01-photo.jpg']);
+      expect(result.email).toBeNull();
+
+      const filePath = await mvcPackageService.getMvcPackagePath('rep_ABC123', result.fileName);
+      const zip = fs.readFileSync(filePath);
+      expect(result.size).toBe(zip.length);
+      expect(result.sha256).toBe(crypto.createHash('sha256').update(zip).digest('hex'));
+
+      const entries = readZip(zip);
+      expect(entries['evidence/01-photo.jpg'].toString()).toBe('photo bytes');
+      const pdf = entries[`${result.packageId}.pdf`].toString('latin1');
+      expect(pdf.startsWith('%PDF-')).toBe(true);
+      expect(pdf).toContain('(Test Driving School) Tj');
+      expect(pdf).toContain('(2024-02-10 09:00 UTC) Tj');
+      expect(pdf).toContain('(Added -> Confirmed by NJDSC by investigator) Tj');
+      expect(pdf).toContain('(MVC-2024-001) Tj');
+
+      expect(auditService.logMvcPackageCreated).toHaveBeenCalledWith(result, 'investigator', '10.0.0.1');
+    });
+
+    test('should move the report to Reported to MVC with the given reference', async () => {
+      const result = await mvcPackageService.createMvcPackage(
+        'rep_ABC123', { mvcReferenceNumber: 'MVC-2024-001' }, 'investigator', '10.0.0.1'
+      );
+
+      expect(reportService.updateReportStatus).toHaveBeenCalledWith('rep_ABC123', {
+        status: 'Reported to MVC',
+        mvcReferenceNumber: 'MVC-2024-001',
+        updatedBy: 'investigator'
+      });
+      expect(auditService.logStatusUpdate).toHaveBeenCalledWith(
+        'rep_ABC123', 'Confirmed by NJDSC', 'Reported to MVC', expect.stringContaining(result.packageId), 'investigator', '10.0.0.1'
+      );
+      expect(result.report).toEqual({ id: 'rep_ABC123', status: 'Reported to MVC', mvcReferenceNumber: 'MVC-2024-001' });
+    });
+
+    test('should reject a report without an MVC reference before writing anything', async () => {
+      await expect(mvcPackageService.createMvcPackage('rep_ABC123', {}, 'investigator'))
+        .rejects.toThrow('MVC reference number required for status "Reported to MVC"');
+      expect(fileService.getFilesByReportId).not.toHaveBeenCalled();
+      expect(reportService.updateReportStatus).not.toHaveBeenCalled();
+      expect(auditService.logMvcPackageCreated).not.toHaveBeenCalled();
+    });
+
+    test('should queue the package as an attachment to the configured MVC address', async () => {
+      const result = await mvcPackageService.createMvcPackage(
+        'rep_ABC123', { email: true, mvcReferenceNumber: 'MVC-2024-001' }, 'investigator', '10.0.0.1'
+      );
+
+      expect(configService.getConfig).toHaveBeenCalledWith('email.toAddress');
+      expect(emailOutboxService.enqueueTemplatedEmail).toHaveBeenCalledWith(
+        'mvc_notification',
+        expect.objectContaining({ variables: { mvcReferenceNumber: 'MVC-2024-001' } }),
+        'mvc@example.gov',
+        {
+          reportId: 'rep_ABC123',
+          attachments: [expect.objectContaining({ filename: result.fileName, contentType: 'application/zip', size: result.size })]
+        },
+        'investigator',
+        '10.0.0.1'
+      );
+      expect(result.email).toEqual({ messageId: 'eml_ABCDEFGHIJ', to: 'mvc@example.gov', status: 'queued' });
+    });
+
+    test('should reject a report that cannot move to Reported to MVC before writing anything', async () => {
+      reportService.getReportById.mockResolvedValue({ ...report, status: 'Added' });
+
+      await expect(mvcPackageService.createMvcPackage('rep_ABC123', { mvcReferenceNumber: 'MVC-2024-001' }, 'investigator'))
+        .rejects.toThrow('Status transition validation failed');
+      expect(fileService.getFilesByReportId).not.toHaveBeenCalled();
+      expect(reportService.updateReportStatus).not.toHaveBeenCalled();
+    });
+
+    test('should reject an email request when no recipient is configured', async () => {
+      configService.getConfig.mockResolvedValue(null);
+
+      await expect(mvcPackageService.createMvcPackage('rep_ABC123', { email: true, mvcReferenceNumber: 'MVC-2024-001' }, 'investigator'))
+        .rejects.toThrow('MVC package validation failed');
+      expect(reportService.updateReportStatus).not.toHaveBeenCalled();
+    });
+
+    test('should rebuild a package for a report already reported without changing its status', async () => {
+      reportService.getReportById.mockResolvedValue({ ...report, status: 'Reported to MVC', mvcReferenceNumber: 'MVC-OLD' });
+
+      const result = await mvcPackageService.createMvcPackage('rep_ABC123', {}, 'investigator');
+
+      expect(reportService.updateReportStatus).not.toHaveBeenCalled();
+      expect(result.report.mvcReferenceNumber).toBe('MVC-OLD');
+    });
+
+    test('should throw when the report does not exist', async () => {
+      reportService.getReportById.mockResolvedValue(null);
+
+      await expect(mvcPackageService.createMvcPackage('rep_NOPE00', {}, 'investigator'))
+        .rejects.toThrow('Report with ID rep_NOPE00 not found');
+    });
+  });
+
+  describe('getMvcPackagePath', () => {
+    test('should only resolve existing packages belonging to the report', async () => {
+      await expect(mvcPackageService.getMvcPackagePath('rep_ABC123', '../../users.json'))
+        .rejects.toThrow('not found');
+      await expect(mvcPackageService.getMvcPackagePath('rep_ABC123', 'NJDSC-rep_XYZ789-20240101000000.zip'))
+        .rejects.toThrow('not found');
+      await expect(mvcPackageService.getMvcPackagePath('rep_ABC123', 'NJDSC-rep_ABC123-19990101000000.zip'))
+        .rejects.toThrow('not found');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for Notification Service
+ */
+
+jest.mock('../../../server/services/emailOutboxService');
+jest.mock('../../../server/services/configService');
+jest.mock('../../../server/services/auditService');
+
+const emailOutboxService = require('../../../server/services/emailOutboxService');
+const configService = require('../../../server/services/configService');
+const auditService = require('../../../server/services/auditService');
+const notificationService = require('../../../server/services/notificationService');
+const { REPORT_EVENTS, emitReportEvent } = require('../../../server/services/reportEvents');
+const { sealReporterPii } = require('../../../server/utils/piiEncryption');
+
+// Event handlers run on a later tick
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Notification Service', () => {
+  const report = {
+    id: 'rep_ABC123',
+    schoolName: 'Test Driving School',
+    status: 'Added',
+    reporterEmail: 'reporter@example.com'
+  };
+
+  let originalConsoleLog;
+  let originalConsoleError;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configService.getConfig.mockResolvedValue(null);
+    emailOutboxService.enqueueTemplatedEmail.mockResolvedValue({ id: 'eml_ABCDEFGHIJ', status: 'queued' });
+    auditService.logNotificationFailed.mockResolvedValue({});
+
+    originalConsoleLog = console.log;
+    originalConsoleError = console.error;
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    notificationService.stop();
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('isNotificationEnabled', () => {
+    test('should be enabled unless switched off', async () => {
+      expect(await notificationService.isNotificationEnabled('confirmation')).toBe(true);
+      expect(configService.getConfig).toHaveBeenCalledWith('email.notifications.confirmation.enabled');
+
+      configService.getConfig.mockResolvedValue(false);
+      expect(await notificationService.isNotificationEnabled('confirmation')).toBe(false);
+    });
+  });
+
+  describe('sendNotification', () => {
+    test('should queue the template for the report as a system notification', async () => {
+      const result = await notificationService.sendNotification('confirmation', report, 'reporter@example.com', { reporterName: 'Pat' });
+
+      expect(result).toBe('queued');
+      expect(emailOutboxService.enqueueTemplatedEmail).toHaveBeenCalledWith(
+        'confirmation',
+        { report, variables: { reporterName: 'Pat' } },
+        'reporter@example.com',
+        { reportId: 'rep_ABC123', source: 'notification' },
+        'system'
+      );
+      expect(auditService.logNotificationFailed).not.toHaveBeenCalled();
+    });
+
+    test('should audit a notification that cannot be queued without throwing', async () => {
+      emailOutboxService.enqueueTemplatedEmail.mockRejectedValue(new Error("Email template 'confirmation' is missing required variables: schoolName"));
+
+      const result = await notificationService.sendNotification('confirmation', report, 'reporter@example.com');
+
+      expect(result).toBe('failed');
+      expect(auditService.logNotificationFailed).toHaveBeenCalledWith(
+        { reportId: 'rep_ABC123', templateId: 'confirmation', to: 'reporter@example.com' },
+        "Email template 'confirmation' is missing required variables: schoolName"
+      );
+    });
+
+    test('should skip disabled templates and reports without a reporter email', async () => {
+      expect(await notificationService.sendNotification('confirmation', report, '')).toBe('no_recipient');
+
+      configService.getConfig.mockResolvedValue(false);
+      expect(await notificationService.sendNotification('confirmation', report, 'reporter@example.com')).toBe('disabled');
+
+      expect(emailOutboxService.enqueueTemplatedEmail).not.toHaveBeenCalled();
+    });
+
+    test('should still return when audit logging fails', async () => {
+      const originalConsoleWarn = console.warn;
+      console.warn = jest.fn();
+      emailOutboxService.enqueueTemplatedEmail.mockRejectedValue(new Error('Disk full'));
+      auditService.logNotificationFailed.mockRejectedValue(new Error('Audit unavailable'));
+
+      const result = await notificationService.sendNotification('confirmation', report, 'reporter@example.com');
+
+      expect(result).toBe('failed');
+      expect(console.warn).toHaveBeenCalledWith('Failed to log notification audit event:', 'Audit unavailable');
+      console.warn = originalConsoleWarn;
+    });
+  });
+
+  describe('handleStatusChanged', () => {
+    test('should send an investigation update describing the new status', async () => {
+      await notificationService.handleStatusChanged({ report, newStatus: 'Under Investigation' });
+
+      expect(emailOutboxService.enqueueTemplatedEmail).toHaveBeenCalledWith(
+        'investigation_update',
+        { report, variables: { investigationStatus: 'under way' } },
+        'reporter@example.com',
+        expect.any(Object),
+        'system'
+      );
+    });
+
+    test('should send the case closed email when a report is closed', async () => {
+      await notificationService.handleStatusChanged({ report: { ...report, status: 'Closed' }, newStatus: 'Closed' });
+
+      expect(emailOutboxService.enqueueTemplatedEmail).toHaveBeenCalledWith(
+        'case_closed',
+        expect.any(Object),
+        'reporter@example.com',
+        expect.any(Object),
+        'system'
+      );
+    });
+
+    test('should send to the reporter email stored encrypted', async () => {
+      const stored = sealReporterPii(report);
+
+      await notificationService.handleStatusChanged({ report: stored, newStatus: 'Under Investigation' });
+
+      expect(emailOutboxService.enqueueTemplatedEmail).toHaveBeenCalledWith(
+        'investigation_update',
+        expect.any(Object),
+        'reporter@example.com',
+        expect.any(Object),
+        'system'
+      );
+    });
+  });
+
+  describe('start', () => {
+    test('should send notifications for report events once, however often it is started', async () => {
+      notificationService.start();
+      notificationService.start();
+
+      emitReportEvent(REPORT_EVENTS.SUBMITTED, { report, reporterEmail: 'new@example.com', isNewReport: true });
+      await flush();
+
+      expect(emailOutboxService.enqueueTemplatedEmail).toHaveBeenCalledTimes(1);
+      expect(emailOutboxService.enqueueTemplatedEmail).toHaveBeenCalledWith(
+        'confirmation',
+        expect.any(Object),
+        'new@example.com',
+        expect.any(Object),
+        'system'
+      );
+    });
+
+    test('should stop sending after stop', async () => {
+      notificationService.start();
+      notificationService.stop();
+
+      emitReportEvent(REPORT_EVENTS.STATUS_CHANGED, { report, oldStatus: 'Added', newStatus: 'Closed' });
+      await flush();
+
+      expect(emailOutboxService.enqueueTemplatedEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * Unit tests for privacyService
+ *
+ * Storage services are mocked over in-memory records; reporter details are
+ * encrypted with the test keyfile so the search sees them as they are stored.
+ */
+
+const { PassThrough, Readable } = require('stream');
+const zlib = require('zlib');
+
+jest.mock('../../../server/services/reportService');
+jest.mock('../../../server/services/fileService');
+jest.mock('../../../server/services/localFileService');
+jest.mock('../../../server/services/emailOutboxService');
+jest.mock('../../../server/services/inboundEmailService');
+jest.mock('../../../server/services/correspondenceService');
+jest.mock('../../../server/services/auditService');
+jest.mock('../../../server/services/reportProcessingService', () => ({
+  getPendingSubmissions: jest.fn(),
+  deleteSubmission: jest.fn(),
+  redactSubmission: jest.fn()
+}));
+
+const reportService = require('../../../server/services/reportService');
+const fileService = require('../../../server/services/fileService');
+const localFileService = require('../../../server/services/localFileService');
+const emailOutboxService = require('../../../server/services/emailOutboxService');
+const inboundEmailService = require('../../../server/services/inboundEmailService');
+const correspondenceService = require('../../../server/services/correspondenceService');
+const auditService = require('../../../server/services/auditService');
+const reportProcessingService = require('../../../server/services/reportProcessingService');
+const { sealReporterPii } = require('../../../server/utils/piiEncryption');
+const privacyService = require('../../../server/services/privacyService');
+
+/**
+ * Reads entries back through the central directory
+ */
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(headerOffset + 26);
+    const dataStart = headerOffset + 30 + localNameLength;
+    entries[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Builds a stored report with encrypted reporter details
+ */
+function buildReport(overrides = {}) {
+  return sealReporterPii({
+    id: 'rep_ABC123',
+    schoolName: 'ABC Driving School',
+    violationDescription: 'Emailed tip from jane@example.com: they teach without a license.',
+    status: 'Added',
+    uploadedFiles: [{ id: 'file_ABC123', name: 'photo.jpg', type: 'image/jpeg', size: 4, url: '/a' }],
+    statusHistory: [],
+    reporterName: 'Jane Doe',
+    reporterEmail: 'Jane@Example.com',
+    reporterPhone: '(609) 555-0142',
+    reporterIp: '203.0.113.5',
+    legalHold: null,
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-01T00:00:00.000Z',
+    ...overrides
+  });
+}
+
+describe('privacyService', () => {
+  const legalHold = { reason: 'Subpoena 2023-17', placedBy: 'admin', placedAt: '2023-02-01T00:00:00.000Z' };
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    store = {
+      reports: [
+        buildReport(),
+        buildReport({ id: 'rep_HELD01', uploadedFiles: [], legalHold }),
+        buildReport({ id: 'rep_OTHER1', reporterEmail: 'sam@example.com', reporterPhone: '', violationDescription: 'No license.' })
+      ],
+      files: [
+        { id: 'file_ABC123', reportId: 'rep_ABC123', originalName: 'photo.jpg', localFilePath: 'uploads/photo.jpg', uploadedByIp: '203.0.113.5' },
+        { id: 'file_OTHER1', reportId: 'rep_OTHER1', originalName: 'other.jpg', localFilePath: 'uploads/other.jpg', uploadedByIp: null }
+      ],
+      submissions: [
+        {
+          id: 'report_20230301_000000_abc123',
+          status: 'failed',
+          createdAt: '2023-03-01T00:00:00.000Z',
+          error: 'Temporary failure',
+          reportData: { schoolName: 'XYZ Driving', violationDescription: 'Call me at 609-555-0142', reporterEmail: 'jane@example.com' },
+          reporterIp: '203.0.113.9'
+        },
+        {
+          id: 'report_20230301_000000_def456',
+          status: 'queued',
+          createdAt: '2023-03-01T00:00:00.000Z',
+          error: null,
+          reportData: { schoolName: 'XYZ Driving', reporterEmail: 'sam@example.com' },
+          reporterIp: null
+        }
+      ],
+      outbound: [
+        { id: 'eml_SENT000001', to: 'jane@example.com', subject: 'Report received', body: 'Thanks', status: 'sent', reportId: 'rep_ABC123', attachments: [] },
+        { id: 'eml_QUEUED0001', to: 'jane@example.com', subject: 'Update', body: 'Closed', status: 'queued', reportId: 'rep_ABC123', attachments: [] },
+        { id: 'eml_HELD000001', to: 'jane@example.com', subject: 'Hold', body: 'Kept', status: 'sent', reportId: 'rep_HELD01', attachments: [] },
+        { id: 'eml_OTHER00001', to: 'sam@example.com', subject: 'Report received', body: 'Thanks', status: 'sent', reportId: 'rep_OTHER1', attachments: [] }
+      ],
+      inbound: [
+        { id: 'inb_ABCDEFGHIJ', messageKey: 'a@x', from: 'jane@example.com', subject: 'Tip', status: 'ingested', reportId: 'rep_ABC123' }
+      ],
+      correspondence: [
+        { id: 'cor_ABCDEFGHIJ', reportId: 'rep_ABC123', from: 'referrals@mvc.example.gov', subject: 'Re: Referral', body: 'Reporter reachable at 609.555.0142', attachments: [{ filename: 'case.txt', contentType: 'text/plain', size: 4, path: 'cor_ABCDEFGHIJ/1-case.txt' }] }
+      ],
+      auditEntries: [
+        { id: 'audit_1', action: 'EMAIL_SENT', targetId: 'rep_ABC123', details: 'Sent email to jane@example.com: Report received', changes: null, metadata: { recipient: 'jane@example.com' } },
+        { id: 'audit_2', action: 'STATUS_UPDATE', targetId: 'rep_ABC123', details: 'Status changed', changes: null, metadata: null }
+      ]
+    };
+
+    const remove = (kind, id) => { store[kind] = store[kind].filter(item => item.id !== id); };
+    const update = (kind, id, change) => { store[kind] = store[kind].map(item => (item.id === id ? { ...item, ...change(item) } : item)); };
+
+    reportService.getAllReports.mockImplementation(async () => store.reports);
+    reportService.removeReporterDetails.mockImplementation(async (id, fields) => {
+      store.reports = store.reports.map(report => (report.id === id ? sealReporterPii(report, fields) : report));
+      return fields;
+    });
+    reportService.updateReport.mockImplementation(async (id, updates) => update('reports', id, () => updates));
+    fileService.getAllFiles.mockImplementation(async () => store.files);
+    reportProcessingService.getPendingSubmissions.mockImplementation(async () => store.submissions);
+    reportProcessingService.deleteSubmission.mockImplementation(async id => {
+      remove('submissions', id);
+      return true;
+    });
+    reportProcessingService.redactSubmission.mockImplementation(async (id, redact) => {
+      update('submissions', id, submission => ({
+        reportData: { schoolName: submission.reportData.schoolName, violationDescription: redact(submission.reportData.violationDescription) },
+        reporterIp: null
+      }));
+      return true;
+    });
+    fileService.deleteFile.mockImplementation(async id => remove('files', id));
+    fileService.removeUploaderIps.mockImplementation(async reportId => {
+      const ids = store.files.filter(file => file.reportId === reportId && file.uploadedByIp).map(file => file.id);
+      ids.forEach(id => update('files', id, () => ({ uploadedByIp: null })));
+      return ids;
+    });
+    emailOutboxService.getOutbox.mockImplementation(async () => ({ messages: store.outbound }));
+    emailOutboxService.deleteMessage.mockImplementation(async id => remove('outbound', id));
+    emailOutboxService.redactMessage.mockImplementation(async (id, redact) => update('outbound', id, message => ({
+      to: redact(message.to) === message.to ? message.to : 'redacted@redacted.invalid',
+      subject: redact(message.subject),
+      body: redact(message.body)
+    })));
+    inboundEmailService.getInboundLog.mockImplementation(async () => ({ messages: store.inbound }));
+    inboundEmailService.redactLogEntry.mockImplementation(async (id, redact) => update('inbound', id, record => ({
+      from: redact(record.from) === record.from ? record.from : null,
+      subject: redact(record.subject)
+    })));
+    correspondenceService.getAllReplies.mockImplementation(async () => store.correspondence);
+    correspondenceService.deleteReply.mockImplementation(async id => remove('correspondence', id));
+    correspondenceService.redactReply.mockImplementation(async (id, redact) => update('correspondence', id, entry => ({
+      subject: redact(entry.subject),
+      body: redact(entry.body)
+    })));
+    auditService.getAllAuditLogsFromJson.mockImplementation(async () => store.auditEntries);
+    auditService.redactAuditLog.mockImplementation(async (id, redact) => update('auditEntries', id, entry => ({
+      details: redact(entry.details),
+      metadata: entry.metadata && JSON.parse(redact(JSON.stringify(entry.metadata)))
+    })));
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('parseSubject', () => {
+    test('should normalize the email address and phone number', () => {
+      expect(privacyService.parseSubject({ email: ' Jane@Example.com ', phone: '609-555-0142' }))
+        .toEqual({ email: 'jane@example.com', phone: '+16095550142' });
+      expect(privacyService.parseSubject({ phone: '(609) 555-0142' })).toEqual({ email: null, phone: '+16095550142' });
+    });
+
+    test('should require a valid identifier', () => {
+      expect(() => privacyService.parseSubject({})).toThrow('an email address or phone number is required');
+      expect(() => privacyService.parseSubject({ email: 'jane' })).toThrow('email is not a valid email address');
+      expect(() => privacyService.parseSubject({ phone: '555-0142' })).toThrow('phone is not a valid US phone number');
+    });
+  });
+
+  describe('buildMatcher', () => {
+    test('should find the identifiers in any common format but not inside longer values', () => {
+      const { mentions, redact } = privacyService.buildMatcher({ email: 'jane@example.com', phone: '+16095550142' });
+
+      expect(mentions('Call +1 (609) 555-0142 or 609.555.0142')).toBe(true);
+      expect(mentions({ recipient: 'JANE@example.com' })).toBe(true);
+      expect(mentions('mary.jane@example.com, jane@example.com.au, 16095550142000')).toBe(false);
+      expect(mentions(null)).toBe(false);
+      expect(redact('From jane@example.com (609-555-0142).')).toBe('From [redacted] ([redacted]).');
+    });
+  });
+
+  describe('searchSubjectData', () => {
+    test('should find the reports, files, email records and audit entries tied to the subject', async () => {
+      const found = await privacyService.searchSubjectData({ email: 'jane@example.com' });
+
+      expect(found.counts).toEqual({ reports: 2, files: 1, submissions: 1, outbound: 3, inbound: 1, correspondence: 0, auditEntries: 1 });
+      expect(found.reports.map(report => [report.id, report.reporterEmail, report.matchedOn])).toEqual([
+        ['rep_ABC123', 'Jane@Example.com', ['reporterEmail']],
+        ['rep_HELD01', 'Jane@Example.com', ['reporterEmail']]
+      ]);
+      expect(found.held).toEqual([{ reportId: 'rep_HELD01', legalHold }]);
+      expect(found.emails.inbound.map(record => record.id)).toEqual(['inb_ABCDEFGHIJ']);
+      expect(found.auditEntries.map(entry => entry.id)).toEqual(['audit_1']);
+      expect(found.submissions).toEqual([expect.objectContaining({
+        id: 'report_20230301_000000_abc123',
+        reporterIp: '203.0.113.9',
+        matchedOn: ['reporterEmail']
+      })]);
+    });
+
+    test('should match by phone number and return the same token for the same records', async () => {
+      const first = await privacyService.searchSubjectData({ phone: '609 555 0142' });
+      const second = await privacyService.searchSubjectData({ phone: '+1 609-555-0142' });
+
+      expect(first.counts).toMatchObject({ reports: 2, correspondence: 1 });
+      expect(first.reports[0].matchedOn).toEqual(['reporterPhone']);
+      expect(first.emails.correspondence[0].attachments).toEqual([{ filename: 'case.txt', contentType: 'text/plain', size: 4 }]);
+      expect(second.matchToken).toBe(first.matchToken);
+
+      store.auditEntries.push({ id: 'audit_3', details: 'Reporter phone 6095550142', changes: null, metadata: null });
+      expect((await privacyService.searchSubjectData({ phone: '6095550142' })).matchToken).not.toBe(first.matchToken);
+    });
+  });
+
+  describe('writeSubjectExport', () => {
+    test('should bundle the records, evidence files and reply attachments', async () => {
+      localFileService.downloadFile.mockImplementation(async () => ({ stream: Readable.from([Buffer.from('jpeg')]) }));
+      correspondenceService.getAttachment.mockRejectedValue(new Error('Correspondence attachment not found'));
+      const output = new PassThrough();
+      const chunks = [];
+      output.on('data', chunk => chunks.push(chunk));
+
+      const exported = await privacyService.writeSubjectExport({ email: 'jane@example.com' }, output);
+
+      const entries = readZip(Buffer.concat(chunks));
+      expect(Object.keys(entries)).toEqual([
+        'subject-request.json',
+        'reports.json',
+        'files.json',
+        'submissions.json',
+        'emails.json',
+        'audit.json',
+        'evidence/file_ABC123-photo.jpg'
+      ]);
+      expect(JSON.parse(entries['reports.json']).map(report => report.id)).toEqual(['rep_ABC123', 'rep_HELD01']);
+      expect(entries['evidence/file_ABC123-photo.jpg'].toString()).toBe('jpeg');
+      expect(JSON.parse(entries['submissions.json']).map(submission => submission.id)).toEqual(['report_20230301_000000_abc123']);
+      expect(exported).toEqual({ counts: expect.objectContaining({ reports: 2 }), reportIds: ['rep_ABC123', 'rep_HELD01'], size: expect.any(Number) });
+    });
+  });
+
+  describe('eraseSubjectData', () => {
+    test('should anonymize the records outside legal holds and verify nothing is left', async () => {
+      const { matchToken } = await privacyService.searchSubjectData({ email: 'jane@example.com', phone: '6095550142' });
+
+      const erasure = await privacyService.eraseSubjectData(
+        { email: 'jane@example.com', phone: '6095550142' },
+        { mode: 'anonymize', matchToken },
+        'admin'
+      );
+
+      expect(erasure).toMatchObject({
+        mode: 'anonymize',
+        reportIds: ['rep_ABC123'],
+        changed: { reports: 1, files: 1, submissions: 1, outbound: 2, inbound: 1, correspondence: 1, auditEntries: 1 },
+        held: [{ reportId: 'rep_HELD01', legalHold }],
+        verified: true
+      });
+      expect(reportService.removeReporterDetails).toHaveBeenCalledWith('rep_ABC123', expect.arrayContaining(['reporterEmail', 'reporterPhone']));
+      expect(reportService.updateReport).toHaveBeenCalledWith('rep_ABC123', {
+        violationDescription: 'Emailed tip from [redacted]: they teach without a license.',
+        updatedBy: 'admin'
+      });
+      expect(store.files.find(file => file.id === 'file_ABC123').uploadedByIp).toBeNull();
+      expect(store.outbound.map(message => [message.id, message.to])).toEqual([
+        ['eml_SENT000001', 'redacted@redacted.invalid'],
+        ['eml_HELD000001', 'jane@example.com'],
+        ['eml_OTHER00001', 'sam@example.com']
+      ]);
+      expect(store.correspondence[0].body).toBe('Reporter reachable at [redacted]');
+      expect(reportProcessingService.redactSubmission).toHaveBeenCalledWith('report_20230301_000000_abc123', expect.any(Function));
+      expect(store.submissions[0].reportData).toEqual({ schoolName: 'XYZ Driving', violationDescription: 'Call me at [redacted]' });
+      expect(store.auditEntries[0].metadata).toEqual({ recipient: '[redacted]' });
+      expect(store.reports.find(report => report.id === 'rep_HELD01').reporterPii).toBeTruthy();
+    });
+
+    test('should delete files, mail and replies in erase mode', async () => {
+      store.reports[0].uploadedFiles.push({ id: 'file_REPEAT', name: 'repeat.jpg', type: 'image/jpeg', size: 4, url: '/b' });
+      store.files.push({ id: 'file_REPEAT', reportId: 'rep_ABC123', originalName: 'repeat.jpg', localFilePath: 'uploads/repeat.jpg', uploadedByIp: '198.51.100.7' });
+      const { matchToken } = await privacyService.searchSubjectData({ email: 'jane@example.com', phone: '6095550142' });
+
+      const erasure = await privacyService.eraseSubjectData(
+        { email: 'jane@example.com', phone: '6095550142' },
+        { mode: 'erase', matchToken },
+        'admin'
+      );
+
+      expect(erasure.verified).toBe(true);
+      expect(fileService.deleteFile).toHaveBeenCalledTimes(1);
+      expect(fileService.deleteFile).toHaveBeenCalledWith('file_ABC123');
+      expect(store.files.map(file => file.id)).toEqual(['file_OTHER1', 'file_REPEAT']);
+      expect(reportService.updateReport).toHaveBeenCalledWith('rep_ABC123', expect.objectContaining({
+        uploadedFiles: [expect.objectContaining({ id: 'file_REPEAT' })]
+      }));
+      expect(store.outbound.map(message => message.id)).toEqual(['eml_HELD000001', 'eml_OTHER00001']);
+      expect(correspondenceService.deleteReply).toHaveBeenCalledWith('cor_ABCDEFGHIJ');
+      expect(store.submissions.map(submission => submission.id)).toEqual(['report_20230301_000000_def456']);
+      expect(inboundEmailService.redactLogEntry).toHaveBeenCalledWith('inb_ABCDEFGHIJ', expect.any(Function));
+    });
+
+    test('should erase a subject whose report has no uploads', async () => {
+      store.reports[0] = buildReport({ uploadedFiles: undefined });
+      store.files = store.files.filter(file => file.reportId !== 'rep_ABC123');
+      const { matchToken } = await privacyService.searchSubjectData({ email: 'jane@example.com' });
+
+      const erasure = await privacyService.eraseSubjectData({ email: 'jane@example.com' }, { mode: 'erase', matchToken }, 'admin');
+
+      expect(erasure).toMatchObject({ reportIds: ['rep_ABC123'], changed: expect.objectContaining({ reports: 1, files: 0 }), verified: true });
+      expect(fileService.deleteFile).not.toHaveBeenCalled();
+      expect(reportService.updateReport).toHaveBeenCalledWith('rep_ABC123', expect.not.objectContaining({ uploadedFiles: expect.anything() }));
+    });
+
+    test('should refuse when the records differ from the search', async () => {
+      const { matchToken } = await privacyService.searchSubjectData({ email: 'jane@example.com' });
+      store.inbound.push({ id: 'inb_NEW0000001', messageKey: 'b@x', from: 'jane@example.com', subject: 'More', status: 'ingested', reportId: null });
+
+      await expect(privacyService.eraseSubjectData({ email: 'jane@example.com' }, { mode: 'erase', matchToken }, 'admin'))
+        .rejects.toThrow('Subject request conflict');
+      expect(reportService.removeReporterDetails).not.toHaveBeenCalled();
+    });
+
+    test('should validate the mode and token', async () => {
+      await expect(privacyService.eraseSubjectData({ email: 'jane@example.com' }, { mode: 'shred', matchToken: 'x' }, 'admin'))
+        .rejects.toThrow('mode must be "anonymize" or "erase"');
+      await expect(privacyService.eraseSubjectData({ email: 'jane@example.com' }, { mode: 'erase' }, 'admin'))
+        .rejects.toThrow('matchToken from a search is required');
+    });
+  });
+});
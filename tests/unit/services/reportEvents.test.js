@@ -0,0 +1,61 @@
+/**
+ * Unit tests for Report Events
+ */
+
+const { REPORT_EVENTS, emitReportEvent, onReportEvent } = require('../../../server/services/reportEvents');
+
+// Handlers run on a later tick
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Report Events', () => {
+  let originalConsoleError;
+
+  beforeEach(() => {
+    originalConsoleError = console.error;
+    console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+  });
+
+  test('should deliver the payload to subscribers without blocking the publisher', async () => {
+    const handler = jest.fn();
+    const unsubscribe = onReportEvent(REPORT_EVENTS.SUBMITTED, handler);
+
+    emitReportEvent(REPORT_EVENTS.SUBMITTED, { report: { id: 'rep_ABC123' } });
+    expect(handler).not.toHaveBeenCalled();
+
+    await flush();
+    expect(handler).toHaveBeenCalledWith({ report: { id: 'rep_ABC123' } });
+    unsubscribe();
+  });
+
+  test('should log and swallow handler failures', async () => {
+    const unsubscribeSync = onReportEvent(REPORT_EVENTS.STATUS_CHANGED, () => {
+      throw new Error('Sync failure');
+    });
+    const unsubscribeAsync = onReportEvent(REPORT_EVENTS.STATUS_CHANGED, async () => {
+      throw new Error('Async failure');
+    });
+
+    expect(() => emitReportEvent(REPORT_EVENTS.STATUS_CHANGED, {})).not.toThrow();
+    await flush();
+
+    expect(console.error).toHaveBeenCalledWith('[REPORT EVENTS] report.statusChanged handler failed:', 'Sync failure');
+    expect(console.error).toHaveBeenCalledWith('[REPORT EVENTS] report.statusChanged handler failed:', 'Async failure');
+    unsubscribeSync();
+    unsubscribeAsync();
+  });
+
+  test('should stop delivering events after unsubscribing', async () => {
+    const handler = jest.fn();
+    const unsubscribe = onReportEvent(REPORT_EVENTS.SUBMITTED, handler);
+    unsubscribe();
+
+    emitReportEvent(REPORT_EVENTS.SUBMITTED, {});
+    await flush();
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -7,10 +7,19 @@
 const reportService = require('../../../server/services/reportService');
 const Report = require('../../../server/models/Report');
 const localJsonService = require('../../../server/services/localJsonService');
+const licensedSchoolService = require('../../../server/services/licensedSchoolService');
+const { clearKeyCache, encryptPii, revealReporterPii, sealReporterPii } = require('../../../server/utils/piiEncryption');
 
 // Mock dependencies
 jest.mock('../../../server/services/localJsonService');
 jest.mock('../../../server/services/configService');
+jest.mock('../../../server/services/licensedSchoolService');
+jest.mock('../../../server/services/reportEvents', () => ({
+  ...jest.requireActual('../../../server/services/reportEvents'),
+  emitReportEvent: jest.fn()
+}));
+
+const { REPORT_EVENTS, emitReportEvent } = require('../../../server/services/reportEvents');
 
 describe('Report Service', () => {
   beforeEach(() => {
@@ -106,6 +115,71 @@ describe('Report Service', () => {
       console.error = originalConsoleError;
     });
 
+    test('should leave status and review state of a duplicate report untouched', async () => {
+      const existing = new Report({
+        id: 'rep_XYZ999',
+        schoolName: 'Existing School',
+        status: 'Closed',
+        violationDescription: 'First report',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        updatedAt: '2023-01-01T00:00:00.000Z',
+        lastReported: '2023-01-01T00:00:00.000Z'
+      });
+      localJsonService.getAllRows.mockResolvedValue([existing]);
+      localJsonService.updateRow.mockResolvedValue({ success: true });
+
+      const result = await reportService.createReport({
+        schoolName: 'Existing School',
+        violationDescription: 'Second report',
+        source: 'email',
+        reviewStatus: 'pending',
+        files: [{ name: 'a.jpg', type: 'image/jpeg', size: 4, data: 'dGVzdA==' }]
+      });
+
+      expect(result.status).toBe('Closed');
+      expect(result.reviewStatus).toBeNull();
+      expect(result.source).toBe(existing.source);
+      expect(result.uploadedFiles).toEqual(existing.uploadedFiles);
+      expect(result.statusHistory).toEqual(existing.statusHistory);
+      expect(result.violationDescription).toMatch(/^First report\n\n\[Additional Report - .+\]\nSecond report$/);
+    });
+
+    test('should ignore admin-only fields in submitted data', async () => {
+      const adminFields = {
+        status: 'Closed',
+        reviewStatus: 'rejected',
+        adminNotes: 'Ignore',
+        mvcReferenceNumber: 'FAKE',
+        closureReason: 'Spam',
+        statusHistory: [],
+        legalHold: { reason: 'Mine', placedBy: 'admin', placedAt: '2023-01-01T00:00:00.000Z' }
+      };
+      const existing = new Report({
+        id: 'rep_XYZ999',
+        schoolName: 'Existing School',
+        status: 'Added',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        updatedAt: '2023-01-01T00:00:00.000Z',
+        lastReported: '2023-01-01T00:00:00.000Z'
+      });
+      localJsonService.getAllRows.mockResolvedValue([existing]);
+      localJsonService.appendRow.mockResolvedValue();
+      localJsonService.updateRow.mockResolvedValue({ success: true });
+
+      const created = await reportService.createReport({ schoolName: 'New School', ...adminFields });
+      const updated = await reportService.createReport({ schoolName: 'Existing School', ...adminFields });
+
+      for (const report of [created, updated]) {
+        expect(report.status).toBe('Added');
+        expect(report.reviewStatus).toBeNull();
+        expect(report.adminNotes).toBeFalsy();
+        expect(report.mvcReferenceNumber).toBeFalsy();
+        expect(report.closureReason).toBeFalsy();
+        expect(report.legalHold).toBeNull();
+      }
+      expect(created.statusHistory).toEqual([expect.objectContaining({ from: null, to: 'Added', changedBy: 'reporter' })]);
+    });
+
     test('should handle Google Sheets API errors', async () => {
       // Mock console.error to prevent CI from treating error logs as failures
       const originalConsoleError = console.error;
@@ -355,6 +429,28 @@ describe('Report Service', () => {
       expect(result.schoolName).toBe('Test School');
     });
 
+    test('should hide status history from public lookups', async () => {
+      const mockReport = new Report({
+        id: 'rep_ABC123',
+        schoolName: 'Test School',
+        status: 'Added',
+        statusHistory: [
+          { from: null, to: 'Added', changedBy: 'reporter', changedAt: '2023-01-01T00:00:00.000Z' }
+        ],
+        createdAt: '2023-01-01T00:00:00.000Z',
+        updatedAt: '2023-01-01T00:00:00.000Z',
+        lastReported: '2023-01-01T00:00:00.000Z'
+      });
+
+      localJsonService.getAllRows.mockResolvedValue([mockReport]);
+
+      const publicResult = await reportService.getReportById('rep_ABC123');
+      const adminResult = await reportService.getReportById('rep_ABC123', true);
+
+      expect(publicResult.statusHistory).toBeUndefined();
+      expect(adminResult.statusHistory).toHaveLength(1);
+    });
+
     test('should return report with admin fields when requested', async () => {
       const mockReport = new Report({
         id: 'rep_ABC123',
@@ -377,6 +473,31 @@ describe('Report Service', () => {
       expect(result.mvcReferenceNumber).toBe('MVC123');
     });
 
+    test('should serialize the report for the given audience', async () => {
+      const mockReport = new Report({
+        id: 'rep_ABC123',
+        schoolName: 'Test School',
+        status: 'Added',
+        reporterName: 'Jane Doe',
+        reporterEmail: 'jane@example.com',
+        reporterIp: '192.168.1.1',
+        adminNotes: 'Admin note',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        updatedAt: '2023-01-01T00:00:00.000Z',
+        lastReported: '2023-01-01T00:00:00.000Z'
+      });
+
+      localJsonService.getAllRows.mockResolvedValue([mockReport]);
+
+      const viewerResult = await reportService.getReportById('rep_ABC123', false, 'viewer');
+      const investigatorResult = await reportService.getReportById('rep_ABC123', false, 'investigator');
+
+      expect(viewerResult.adminNotes).toBe('Admin note');
+      expect(viewerResult.reporterEmail).toBeUndefined();
+      expect(investigatorResult).toMatchObject({ reporterName: 'Jane Doe', reporterEmail: 'jane@example.com' });
+      expect(investigatorResult.reporterIp).toBeUndefined();
+    });
+
     // Negative tests
     test('should return null for non-existent report', async () => {
       // Mock console.error to prevent CI from treating error logs as failures
@@ -405,6 +526,159 @@ describe('Report Service', () => {
     });
   });
 
+  describe('bulkUpdateReportStatus', () => {
+    const makeReport = (id, status) => new Report({
+      id,
+      schoolName: `School ${id}`,
+      status,
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-01T00:00:00.000Z',
+      lastReported: '2023-01-01T00:00:00.000Z'
+    });
+
+    test('should update every report and return per-report results', async () => {
+      localJsonService.getAllRows.mockResolvedValue([
+        makeReport('rep_AAA111', 'Added'),
+        makeReport('rep_BBB222', 'Under Investigation')
+      ]);
+      localJsonService.updateRow.mockResolvedValue({ success: true });
+
+      const results = await reportService.bulkUpdateReportStatus(
+        ['rep_AAA111', 'rep_BBB222'],
+        { status: 'Closed', adminNotes: 'Batch close', closureReason: 'School licensed' }
+      );
+
+      expect(results).toEqual([
+        { id: 'rep_AAA111', success: true, oldStatus: 'Added', newStatus: 'Closed' },
+        { id: 'rep_BBB222', success: true, oldStatus: 'Under Investigation', newStatus: 'Closed' }
+      ]);
+      expect(localJsonService.updateRow).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not update anything when an ID is missing', async () => {
+      localJsonService.getAllRows.mockResolvedValue([makeReport('rep_AAA111', 'Added')]);
+
+      await expect(reportService.bulkUpdateReportStatus(
+        ['rep_AAA111', 'rep_MISSNG'],
+        { status: 'Closed' }
+      )).rejects.toThrow('Reports not found: rep_MISSNG');
+      expect(localJsonService.updateRow).not.toHaveBeenCalled();
+    });
+
+    test('should roll back applied updates when a later update fails', async () => {
+      const originalConsoleError = console.error;
+      console.error = jest.fn();
+
+      const first = makeReport('rep_AAA111', 'Added');
+      localJsonService.getAllRows.mockResolvedValue([first, makeReport('rep_BBB222', 'Added')]);
+      localJsonService.updateRow
+        .mockResolvedValueOnce({ success: true })
+        .mockRejectedValueOnce(new Error('Disk full'))
+        .mockResolvedValue({ success: true });
+
+      let thrown;
+      try {
+        await reportService.bulkUpdateReportStatus(
+          ['rep_AAA111', 'rep_BBB222'],
+          { status: 'Closed', closureReason: 'School licensed' }
+        );
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown.message).toMatch(/Bulk status update failed for report rep_BBB222/);
+      expect(thrown.results).toHaveLength(2);
+      expect(thrown.results.every(result => !result.success)).toBe(true);
+      // Third write restores the first report to its original state
+      expect(localJsonService.updateRow).toHaveBeenLastCalledWith(
+        null,
+        'reports',
+        'rep_AAA111',
+        expect.objectContaining({ status: 'Added', updatedAt: '2023-01-01T00:00:00.000Z' })
+      );
+
+      localJsonService.updateRow.mockReset();
+      console.error = originalConsoleError;
+    });
+  });
+
+  describe('report events', () => {
+    const makeReport = (id, status, extra = {}) => new Report({
+      id,
+      schoolName: `School ${id}`,
+      status,
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-01T00:00:00.000Z',
+      lastReported: '2023-01-01T00:00:00.000Z',
+      ...extra
+    });
+
+    test('should publish a submission event for a new report', async () => {
+      localJsonService.getAllRows.mockResolvedValue([]);
+      localJsonService.appendRow.mockResolvedValue();
+
+      const report = await reportService.createReport({ schoolName: 'New School', reporterEmail: 'r@example.com' }, '10.0.0.1');
+
+      expect(emitReportEvent).toHaveBeenCalledWith(REPORT_EVENTS.SUBMITTED, {
+        report,
+        reporterEmail: 'r@example.com',
+        isNewReport: true
+      });
+    });
+
+    test('should publish a submission event when a report is added to an existing one', async () => {
+      localJsonService.getAllRows.mockResolvedValue([makeReport('rep_AAA111', 'Added', { schoolName: 'Same School' })]);
+      localJsonService.updateRow.mockResolvedValue({ success: true });
+
+      await reportService.createReport({ schoolName: 'same school', reporterEmail: 'second@example.com' }, '10.0.0.2');
+
+      expect(emitReportEvent).toHaveBeenCalledWith(REPORT_EVENTS.SUBMITTED, expect.objectContaining({
+        reporterEmail: 'second@example.com',
+        isNewReport: false
+      }));
+    });
+
+    test('should publish a status change event only when the status changes', async () => {
+      localJsonService.getAllRows.mockResolvedValue([makeReport('rep_AAA111', 'Added')]);
+      localJsonService.updateRow.mockResolvedValue({ success: true });
+
+      const report = await reportService.updateReportStatus('rep_AAA111', { status: 'Confirmed by NJDSC', updatedBy: 'inv' });
+      expect(emitReportEvent).toHaveBeenCalledWith(REPORT_EVENTS.STATUS_CHANGED, {
+        report,
+        oldStatus: 'Added',
+        newStatus: 'Confirmed by NJDSC',
+        changedBy: 'inv'
+      });
+
+      emitReportEvent.mockClear();
+      await reportService.updateReportStatus('rep_AAA111', { status: 'Added', adminNotes: 'Note only' });
+      expect(emitReportEvent).not.toHaveBeenCalled();
+    });
+
+    test('should publish bulk status changes only after the whole batch succeeds', async () => {
+      const originalConsoleError = console.error;
+      console.error = jest.fn();
+
+      localJsonService.getAllRows.mockResolvedValue([makeReport('rep_AAA111', 'Added'), makeReport('rep_BBB222', 'Added')]);
+      localJsonService.updateRow
+        .mockResolvedValueOnce({ success: true })
+        .mockRejectedValueOnce(new Error('Disk full'))
+        .mockResolvedValue({ success: true });
+
+      await expect(reportService.bulkUpdateReportStatus(['rep_AAA111', 'rep_BBB222'], { status: 'Confirmed by NJDSC' }))
+        .rejects.toThrow('Bulk status update failed');
+      expect(emitReportEvent).not.toHaveBeenCalled();
+
+      localJsonService.updateRow.mockReset();
+      localJsonService.updateRow.mockResolvedValue({ success: true });
+      await reportService.bulkUpdateReportStatus(['rep_AAA111', 'rep_BBB222'], { status: 'Confirmed by NJDSC' });
+      expect(emitReportEvent).toHaveBeenCalledTimes(2);
+
+      localJsonService.updateRow.mockReset();
+      console.error = originalConsoleError;
+    });
+  });
+
   describe('updateReportStatus', () => {
     // Happy path tests
     test('should update report status successfully', async () => {
@@ -442,6 +716,85 @@ describe('Report Service', () => {
       expect(localJsonService.updateRow).toHaveBeenCalledWith(null, 'reports', 'rep_ABC123', expect.any(Object));
     });
 
+    test('should reject a transition the workflow does not allow', async () => {
+      const originalConsoleError = console.error;
+      console.error = jest.fn();
+
+      localJsonService.getAllRows.mockResolvedValue([new Report({
+        id: 'rep_ABC123',
+        schoolName: 'Test School',
+        status: 'Closed',
+        closureReason: 'Resolved',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        updatedAt: '2023-01-01T00:00:00.000Z',
+        lastReported: '2023-01-01T00:00:00.000Z'
+      })]);
+
+      await expect(reportService.updateReportStatus('rep_ABC123', { status: 'Added' }))
+        .rejects.toThrow('Status transition validation failed');
+      expect(localJsonService.updateRow).not.toHaveBeenCalled();
+
+      console.error = originalConsoleError;
+    });
+
+    test('should clear the closure reason when a report is reopened', async () => {
+      localJsonService.getAllRows.mockResolvedValue([new Report({
+        id: 'rep_ABC123',
+        schoolName: 'Test School',
+        status: 'Closed',
+        closureReason: 'Resolved',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        updatedAt: '2023-01-01T00:00:00.000Z',
+        lastReported: '2023-01-01T00:00:00.000Z'
+      })]);
+      localJsonService.updateRow.mockResolvedValue({ success: true });
+
+      const result = await reportService.updateReportStatus('rep_ABC123', { status: 'Under Investigation' });
+
+      expect(result.status).toBe('Under Investigation');
+      expect(result.closureReason).toBe('');
+    });
+
+    test('should append the change to the status history', async () => {
+      localJsonService.getAllRows.mockResolvedValue([new Report({
+        id: 'rep_ABC123',
+        schoolName: 'Test School',
+        status: 'Confirmed by NJDSC',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        updatedAt: '2023-01-01T00:00:00.000Z',
+        lastReported: '2023-01-01T00:00:00.000Z',
+        statusHistory: [
+          { from: null, to: 'Added', changedBy: 'reporter', changedAt: '2023-01-01T00:00:00.000Z' },
+          { from: 'Added', to: 'Confirmed by NJDSC', changedBy: 'admin', changedAt: '2023-01-01T12:00:00.000Z' }
+        ]
+      })]);
+      localJsonService.updateRow.mockResolvedValue({ success: true });
+
+      const result = await reportService.updateReportStatus('rep_ABC123', {
+        status: 'Reported to MVC',
+        adminNotes: 'Sent to MVC',
+        mvcReferenceNumber: 'MVC-42',
+        updatedBy: 'investigator1'
+      });
+
+      expect(result.statusHistory).toHaveLength(3);
+      expect(result.statusHistory[2]).toEqual({
+        from: 'Confirmed by NJDSC',
+        to: 'Reported to MVC',
+        changedBy: 'investigator1',
+        changedAt: expect.any(String),
+        notes: 'Sent to MVC',
+        mvcReferenceNumber: 'MVC-42',
+        closureReason: ''
+      });
+      expect(localJsonService.updateRow).toHaveBeenCalledWith(
+        null,
+        'reports',
+        'rep_ABC123',
+        expect.objectContaining({ statusHistory: result.statusHistory })
+      );
+    });
+
     // Negative tests
     test('should throw error for non-existent report', async () => {
       // Mock console.error to prevent CI from treating error logs as failures
@@ -515,6 +868,358 @@ describe('Report Service', () => {
     });
   });
 
+  describe('getReportStatusHistory', () => {
+    test('should return the history in chronological order', async () => {
+      localJsonService.getAllRows.mockResolvedValue([new Report({
+        id: 'rep_ABC123',
+        schoolName: 'Test School',
+        status: 'Confirmed by NJDSC',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        updatedAt: '2023-01-02T00:00:00.000Z',
+        lastReported: '2023-01-01T00:00:00.000Z',
+        statusHistory: [
+          { from: 'Added', to: 'Confirmed by NJDSC', changedBy: 'admin', changedAt: '2023-01-02T00:00:00.000Z' },
+          { from: null, to: 'Added', changedBy: 'reporter', changedAt: '2023-01-01T00:00:00.000Z' }
+        ]
+      })]);
+
+      const result = await reportService.getReportStatusHistory('rep_ABC123');
+
+      expect(result.reportId).toBe('rep_ABC123');
+      expect(result.currentStatus).toBe('Confirmed by NJDSC');
+      expect(result.history.map(entry => entry.to)).toEqual(['Added', 'Confirmed by NJDSC']);
+    });
+
+    test('should return an empty history for reports created before history was tracked', async () => {
+      localJsonService.getAllRows.mockResolvedValue([new Report({
+        id: 'rep_ABC123',
+        schoolName: 'Test School',
+        status: 'Added',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        updatedAt: '2023-01-01T00:00:00.000Z',
+        lastReported: '2023-01-01T00:00:00.000Z'
+      })]);
+
+      const result = await reportService.getReportStatusHistory('rep_ABC123');
+
+      expect(result.history).toEqual([]);
+    });
+
+    test('should throw error for non-existent report', async () => {
+      localJsonService.getAllRows.mockResolvedValue([]);
+
+      await expect(reportService.getReportStatusHistory('rep_nonexistent'))
+        .rejects.toThrow('Report with ID rep_nonexistent not found');
+    });
+  });
+
+  describe('mergeReports', () => {
+    const makeFile = id => ({ id, name: `${id}.jpg`, type: 'image/jpeg', size: 100, url: `http://localhost/uploads/${id}.jpg` });
+
+    const target = () => new Report({
+      id: 'rep_AAA111',
+      schoolName: 'ABC Driving School',
+      status: 'Confirmed by NJDSC',
+      violationDescription: 'Teaching without a license',
+      uploadedFiles: [makeFile('file_1')],
+      socialMediaLinks: ['https://facebook.com/abc'],
+      createdAt: '2023-02-01T00:00:00.000Z',
+      updatedAt: '2023-02-02T00:00:00.000Z',
+      lastReported: '2023-02-01T00:00:00.000Z',
+      statusHistory: [
+        { from: null, to: 'Added', changedBy: 'reporter', changedAt: '2023-02-01T00:00:00.000Z' },
+        { from: 'Added', to: 'Confirmed by NJDSC', changedBy: 'admin', changedAt: '2023-02-02T00:00:00.000Z' }
+      ]
+    });
+
+    const source = () => new Report({
+      id: 'rep_BBB222',
+      schoolName: 'A.B.C. Driving LLC',
+      status: 'Added',
+      violationDescription: 'Lessons on the highway',
+      phoneNumber: '555-123-4567',
+      uploadedFiles: [makeFile('file_2')],
+      socialMediaLinks: ['https://facebook.com/abc', 'https://instagram.com/abc'],
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-01T00:00:00.000Z',
+      lastReported: '2023-03-01T00:00:00.000Z',
+      statusHistory: [
+        { from: null, to: 'Added', changedBy: 'reporter', changedAt: '2023-01-01T00:00:00.000Z' }
+      ]
+    });
+
+    test('should combine files, descriptions and histories and delete the source', async () => {
+      localJsonService.getAllRows.mockResolvedValue([target(), source()]);
+      localJsonService.updateRow.mockResolvedValue();
+      localJsonService.deleteRow.mockResolvedValue(true);
+
+      const { report, source: removed } = await reportService.mergeReports('rep_AAA111', 'rep_BBB222', 'admin');
+
+      expect(removed.id).toBe('rep_BBB222');
+      expect(report.id).toBe('rep_AAA111');
+      expect(report.status).toBe('Confirmed by NJDSC');
+      expect(report.uploadedFiles.map(file => file.id)).toEqual(['file_1', 'file_2']);
+      expect(report.violationDescription).toContain('Teaching without a license');
+      expect(report.violationDescription).toContain('[Merged from rep_BBB222');
+      expect(report.violationDescription).toContain('Lessons on the highway');
+      expect(report.socialMediaLinks).toEqual(['https://facebook.com/abc', 'https://instagram.com/abc']);
+      expect(report.phoneNumber).toBe('555-123-4567');
+      expect(report.createdAt).toBe('2023-01-01T00:00:00.000Z');
+      expect(report.lastReported).toBe('2023-03-01T00:00:00.000Z');
+
+      expect(report.statusHistory.map(entry => entry.changedAt.slice(0, 10))).toEqual(
+        expect.arrayContaining(['2023-01-01', '2023-02-01', '2023-02-02'])
+      );
+      expect(report.statusHistory[0].notes).toBe('[rep_BBB222]');
+      const mergeEntry = report.statusHistory[report.statusHistory.length - 1];
+      expect(mergeEntry).toMatchObject({ from: 'Confirmed by NJDSC', to: 'Confirmed by NJDSC', changedBy: 'admin' });
+      expect(mergeEntry.notes).toContain('rep_BBB222');
+
+      expect(localJsonService.updateRow).toHaveBeenCalledWith(null, 'reports', 'rep_AAA111', expect.objectContaining({
+        uploadedFiles: report.uploadedFiles,
+        violationDescription: report.violationDescription,
+        statusHistory: report.statusHistory
+      }));
+      expect(localJsonService.deleteRow).toHaveBeenCalledWith(null, 'reports', 'rep_BBB222');
+    });
+
+    test('should refuse a merge that would exceed the file limit', async () => {
+      const full = target();
+      full.uploadedFiles = Array.from({ length: 10 }, (_, i) => makeFile(`file_t${i}`));
+      localJsonService.getAllRows.mockResolvedValue([full, source()]);
+
+      await expect(reportService.mergeReports('rep_AAA111', 'rep_BBB222', 'admin'))
+        .rejects.toThrow('Report validation failed: merged report would have 11 files');
+      expect(localJsonService.deleteRow).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to merge away a report under legal hold', async () => {
+      const held = source();
+      held.legalHold = { reason: 'Subpoena 2023-17', placedBy: 'admin', placedAt: '2023-03-02T00:00:00.000Z' };
+      localJsonService.getAllRows.mockResolvedValue([target(), held]);
+
+      await expect(reportService.mergeReports('rep_AAA111', 'rep_BBB222', 'admin'))
+        .rejects.toThrow('Report validation failed: rep_BBB222 is under legal hold');
+      expect(localJsonService.updateRow).not.toHaveBeenCalled();
+      expect(localJsonService.deleteRow).not.toHaveBeenCalled();
+    });
+
+    test('should reject merging a report into itself or a missing report', async () => {
+      localJsonService.getAllRows.mockResolvedValue([target()]);
+
+      await expect(reportService.mergeReports('rep_AAA111', 'rep_AAA111', 'admin'))
+        .rejects.toThrow('cannot merge a report into itself');
+      await expect(reportService.mergeReports('rep_AAA111', 'rep_BBB222', 'admin'))
+        .rejects.toThrow('Report with ID rep_BBB222 not found');
+    });
+  });
+
+  describe('held reports', () => {
+    const makeReport = (id, reviewStatus, createdAt) => new Report({
+      id,
+      schoolName: `School ${id}`,
+      status: 'Added',
+      source: reviewStatus ? 'email' : 'web',
+      reviewStatus,
+      createdAt,
+      updatedAt: createdAt,
+      lastReported: createdAt
+    });
+
+    const reports = () => [
+      makeReport('rep_WEB001', undefined, '2023-01-03T00:00:00.000Z'),
+      makeReport('rep_PND002', 'pending', '2023-01-02T00:00:00.000Z'),
+      makeReport('rep_PND001', 'pending', '2023-01-01T00:00:00.000Z'),
+      makeReport('rep_APP001', 'approved', '2023-01-04T00:00:00.000Z'),
+      makeReport('rep_REJ001', 'rejected', '2023-01-05T00:00:00.000Z')
+    ];
+
+    test('should hide pending and rejected reports from the public', async () => {
+      localJsonService.getAllRows.mockResolvedValue(reports());
+
+      const publicResult = await reportService.getReports({ includeAdminFields: false });
+      expect(publicResult.items.map(report => report.id).sort()).toEqual(['rep_APP001', 'rep_WEB001']);
+      expect(publicResult.pagination.total).toBe(2);
+
+      const adminResult = await reportService.getReports({ includeAdminFields: true });
+      expect(adminResult.items).toHaveLength(5);
+
+      await expect(reportService.getReportById('rep_PND001', false)).resolves.toBeNull();
+      await expect(reportService.getReportById('rep_PND001', true)).resolves.toMatchObject({ id: 'rep_PND001' });
+    });
+
+    test('should list pending reports oldest first', async () => {
+      localJsonService.getAllRows.mockResolvedValue(reports());
+
+      const pending = await reportService.getReportsForReview();
+
+      expect(pending.map(report => report.id)).toEqual(['rep_PND001', 'rep_PND002']);
+    });
+
+    test('should approve or reject a pending report', async () => {
+      localJsonService.getAllRows.mockResolvedValue(reports());
+      localJsonService.updateRow.mockResolvedValue();
+
+      const approved = await reportService.reviewReport('rep_PND001', 'approve', 'admin');
+      expect(approved.reviewStatus).toBe('approved');
+      expect(Report.isPublic(approved)).toBe(true);
+
+      const rejected = await reportService.reviewReport('rep_PND002', 'reject', 'admin');
+      expect(rejected.reviewStatus).toBe('rejected');
+      expect(Report.isPublic(rejected)).toBe(false);
+      expect(localJsonService.updateRow).toHaveBeenCalledWith(null, 'reports', 'rep_PND002', expect.objectContaining({
+        reviewStatus: 'rejected'
+      }));
+    });
+
+    test('should refuse an unknown decision, a report not awaiting review or a missing report', async () => {
+      localJsonService.getAllRows.mockResolvedValue(reports());
+
+      await expect(reportService.reviewReport('rep_PND001', 'maybe', 'admin'))
+        .rejects.toThrow('Report review validation failed: decision must be "approve" or "reject"');
+      await expect(reportService.reviewReport('rep_WEB001', 'approve', 'admin'))
+        .rejects.toThrow('Report review validation failed: report rep_WEB001 is not awaiting review');
+      await expect(reportService.reviewReport('rep_NOP001', 'approve', 'admin'))
+        .rejects.toThrow('Report with ID rep_NOP001 not found');
+      expect(localJsonService.updateRow).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('license check', () => {
+    const matchCheck = {
+      status: 'match',
+      licensedSchoolId: 'lic_ABC123',
+      licensedSchoolName: 'ABC Driving School',
+      licenseNumber: 'DS-1001',
+      score: 0.9,
+      reasons: ['Similar school name (90%)'],
+      checkedAt: '2023-01-01T00:00:00.000Z'
+    };
+
+    const storedReport = (id, schoolName, licenseCheck = null) => new Report({
+      id,
+      schoolName,
+      status: 'Added',
+      licenseCheck,
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-01T00:00:00.000Z',
+      lastReported: '2023-01-01T00:00:00.000Z'
+    });
+
+    test('should store the license check on a new report, ignoring a submitted one', async () => {
+      localJsonService.getAllRows.mockResolvedValue([]);
+      localJsonService.appendRow.mockResolvedValue();
+      licensedSchoolService.checkLicense.mockResolvedValue(matchCheck);
+
+      const result = await reportService.createReport({
+        schoolName: 'A.B.C. Driving',
+        licenseCheck: { status: 'no_match', checkedAt: '2023-01-01T00:00:00.000Z' }
+      });
+
+      expect(licensedSchoolService.checkLicense).toHaveBeenCalledWith(expect.objectContaining({ schoolName: 'A.B.C. Driving' }));
+      expect(result.licenseCheck).toEqual(matchCheck);
+    });
+
+    test('should create the report without a check when the check fails', async () => {
+      const originalConsoleWarn = console.warn;
+      console.warn = jest.fn();
+
+      localJsonService.getAllRows.mockResolvedValue([]);
+      localJsonService.appendRow.mockResolvedValue();
+      licensedSchoolService.checkLicense.mockRejectedValue(new Error('list unreadable'));
+
+      const result = await reportService.createReport({ schoolName: 'Test Driving School' });
+
+      expect(result.licenseCheck).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith('License check failed:', 'list unreadable');
+
+      console.warn = originalConsoleWarn;
+    });
+
+    test('should re-check an existing report that is reported again', async () => {
+      localJsonService.getAllRows.mockResolvedValue([storedReport('rep_ABC123', 'ABC Driving School')]);
+      localJsonService.updateRow.mockResolvedValue();
+      licensedSchoolService.checkLicense.mockResolvedValue(matchCheck);
+
+      const result = await reportService.createReport({ schoolName: 'abc driving school', phoneNumber: '973-555-1234' });
+
+      expect(result.id).toBe('rep_ABC123');
+      expect(licensedSchoolService.checkLicense).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'rep_ABC123',
+        schoolName: 'ABC Driving School'
+      }));
+      expect(result.licenseCheck).toEqual(matchCheck);
+    });
+
+    test('should hide the license check from public lookups', async () => {
+      localJsonService.getAllRows.mockResolvedValue([storedReport('rep_ABC123', 'ABC Driving School', matchCheck)]);
+
+      const publicResult = await reportService.getReportById('rep_ABC123');
+      const publicList = await reportService.getReports();
+      const adminResult = await reportService.getReportById('rep_ABC123', true);
+
+      expect(publicResult.licenseCheck).toBeUndefined();
+      expect(publicList.items[0].licenseCheck).toBeUndefined();
+      expect(adminResult.licenseCheck).toEqual(matchCheck);
+    });
+
+    test('should save only reports whose license result changed on recheck', async () => {
+      const noMatch = { status: 'no_match', checkedAt: '2023-01-01T00:00:00.000Z' };
+      localJsonService.getAllRows.mockResolvedValue([
+        storedReport('rep_AAA111', 'ABC Driving School', matchCheck),
+        storedReport('rep_BBB222', 'Shady Lessons', null)
+      ]);
+      localJsonService.updateRow.mockResolvedValue();
+      licensedSchoolService.getAllLicensedSchools.mockResolvedValue([{ id: 'lic_ABC123' }]);
+      licensedSchoolService.buildLicenseCheck.mockImplementation(report =>
+        (report.id === 'rep_AAA111' ? { ...matchCheck, checkedAt: '2023-06-01T00:00:00.000Z' } : noMatch)
+      );
+
+      const result = await reportService.recheckLicenses();
+
+      expect(result).toEqual({ checked: 2, updated: 1 });
+      expect(localJsonService.updateRow).toHaveBeenCalledTimes(1);
+      expect(localJsonService.updateRow).toHaveBeenCalledWith(null, 'reports', 'rep_BBB222', { licenseCheck: noMatch });
+    });
+  });
+
+  describe('getReportsForExport', () => {
+    test('should return every matching report with admin fields', async () => {
+      const makeReport = (id, schoolName, status, createdAt) => new Report({
+        id,
+        schoolName,
+        status,
+        adminNotes: `Notes for ${id}`,
+        mvcReferenceNumber: status === 'Reported to MVC' ? 'MVC-1' : '',
+        createdAt,
+        updatedAt: createdAt,
+        lastReported: createdAt
+      });
+      localJsonService.getAllRows.mockResolvedValue(
+        Array.from({ length: 25 }, (_, i) => makeReport(
+          `rep_EXP${String(i).padStart(3, '0')}`,
+          i % 2 === 0 ? `Even Driving ${i}` : `Odd Driving ${i}`,
+          i % 2 === 0 ? 'Reported to MVC' : 'Added',
+          new Date(Date.UTC(2023, 0, i + 1)).toISOString()
+        ))
+      );
+
+      const reports = await reportService.getReportsForExport({
+        status: 'Reported to MVC',
+        search: 'even',
+        sortBy: 'createdAt',
+        sortOrder: 'asc'
+      });
+
+      // All 13 matches, not a single page of 20
+      expect(reports).toHaveLength(13);
+      expect(reports[0].id).toBe('rep_EXP000');
+      expect(reports[12].id).toBe('rep_EXP024');
+      expect(reports[0].adminNotes).toBe('Notes for rep_EXP000');
+      expect(reports[0].mvcReferenceNumber).toBe('MVC-1');
+    });
+  });
+
   describe('getAllReports', () => {
     // Happy path tests
     test('should return all reports successfully', async () => {
@@ -630,6 +1335,177 @@ describe('Report Service', () => {
 
       expect(result).toBe(false); // Should not be rate limited
     });
+
+    test('should match reporter IPs stored encrypted', async () => {
+      const createdAt = new Date().toISOString();
+      localJsonService.getAllRows.mockResolvedValue(Array.from({ length: 5 }, (_, i) => sealReporterPii({
+        id: `rep_${String(i).padStart(6, '0')}`,
+        schoolName: `School ${i}`,
+        status: 'Added',
+        reporterIp: '192.168.1.1',
+        createdAt,
+        updatedAt: createdAt,
+        lastReported: createdAt
+      })));
+
+      await expect(reportService.checkRateLimit('192.168.1.1')).resolves.toBe(true);
+      await expect(reportService.checkRateLimit('192.168.1.2')).resolves.toBe(false);
+    });
   });
 
-});
\ No newline at end of file
+  describe('reporter encryption', () => {
+    const reporter = { reporterName: 'Jane Doe', reporterEmail: 'jane@example.com', reporterPhone: '973-555-0100' };
+    const storedRow = (id, fields = {}) => ({
+      id,
+      schoolName: `School ${id}`,
+      status: 'Added',
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-01T00:00:00.000Z',
+      lastReported: '2023-01-01T00:00:00.000Z',
+      ...fields
+    });
+
+    test('should store reporter details encrypted when a report is created', async () => {
+      localJsonService.getAllRows.mockResolvedValue([]);
+      localJsonService.appendRow.mockResolvedValue();
+
+      const report = await reportService.createReport({ schoolName: 'New School', ...reporter }, '192.168.1.1');
+
+      const [, , row] = localJsonService.appendRow.mock.calls[0];
+      const stored = JSON.parse(JSON.stringify(row));
+      expect(stored.reporterPii).toMatchObject({ version: 1 });
+      expect(JSON.stringify(stored)).not.toMatch(/Jane|jane@example\.com|555-0100|192\.168\.1\.1/);
+      expect(revealReporterPii(stored)).toEqual({ ...reporter, reporterIp: '192.168.1.1' });
+      expect(report.reporterEmail).toBe('jane@example.com');
+    });
+
+    test('should load reports without decrypting them and keep the details on update', async () => {
+      localJsonService.getAllRows.mockResolvedValue([sealReporterPii(storedRow('rep_ABC123', reporter))]);
+      localJsonService.updateRow.mockResolvedValue();
+
+      const [loaded] = await reportService.getAllReports();
+      expect(loaded.reporterEmail).toBeUndefined();
+      expect(loaded.reporterPii).toMatchObject({ version: 1 });
+
+      await reportService.updateReport('rep_ABC123', { adminNotes: 'Checked' });
+
+      const [, , , row] = localJsonService.updateRow.mock.calls[0];
+      expect(row.reporterEmail).toBeUndefined();
+      expect(revealReporterPii(row)).toEqual(reporter);
+    });
+
+    describe('reencryptStoredReports', () => {
+      const originalEnv = { ...process.env };
+      const oldKey = Buffer.alloc(32, 1).toString('base64');
+      const newKey = Buffer.alloc(32, 2).toString('base64');
+
+      afterEach(() => {
+        process.env = { ...originalEnv };
+        clearKeyCache();
+      });
+
+      test('should encrypt plain rows and re-wrap rows made with a previous key', async () => {
+        process.env.PII_ENCRYPTION_KEY = oldKey;
+        clearKeyCache();
+        const oldEnvelope = encryptPii(reporter, 'rep_OLD001');
+
+        process.env.PII_ENCRYPTION_KEY = newKey;
+        process.env.PII_ENCRYPTION_PREVIOUS_KEYS = oldKey;
+        clearKeyCache();
+        const current = sealReporterPii(storedRow('rep_CUR001', reporter));
+
+        localJsonService.getAllRows.mockResolvedValue([
+          storedRow('rep_PLN001', reporter),
+          storedRow('rep_OLD001', { reporterPii: oldEnvelope }),
+          current,
+          storedRow('rep_NON001')
+        ]);
+        localJsonService.updateRow.mockResolvedValue();
+
+        await expect(reportService.reencryptStoredReports()).resolves.toBe(2);
+
+        const updates = Object.fromEntries(localJsonService.updateRow.mock.calls.map(([, , id, update]) => [id, update]));
+        expect(Object.keys(updates)).toEqual(['rep_PLN001', 'rep_OLD001']);
+        expect(updates.rep_PLN001.reporterEmail).toBeUndefined();
+        expect(revealReporterPii({ id: 'rep_PLN001', ...updates.rep_PLN001 })).toEqual(reporter);
+        expect(Object.keys(updates.rep_OLD001)).toEqual(['reporterPii']);
+        expect(updates.rep_OLD001.reporterPii.keyId).toBe(current.reporterPii.keyId);
+        expect(updates.rep_OLD001.reporterPii.ciphertext).toBe(oldEnvelope.ciphertext);
+      });
+
+      test('should skip rows it cannot decrypt and carry on', async () => {
+        process.env.PII_ENCRYPTION_KEY = oldKey;
+        clearKeyCache();
+        const unreadable = encryptPii(reporter, 'rep_OLD001');
+
+        process.env.PII_ENCRYPTION_KEY = newKey;
+        clearKeyCache();
+        localJsonService.getAllRows.mockResolvedValue([
+          storedRow('rep_OLD001', { reporterPii: unreadable }),
+          storedRow('rep_PLN001', reporter)
+        ]);
+        localJsonService.updateRow.mockResolvedValue();
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(reportService.reencryptStoredReports()).resolves.toBe(1);
+        expect(consoleError).toHaveBeenCalledWith(
+          'Failed to re-encrypt reporter details of report rep_OLD001:', expect.stringContaining('Unknown PII encryption key')
+        );
+        consoleError.mockRestore();
+      });
+    });
+
+    describe('removeReporterDetails', () => {
+      test('should remove only the requested fields and return those that were set', async () => {
+        localJsonService.getAllRows.mockResolvedValue([sealReporterPii(storedRow('rep_ABC123', reporter))]);
+        localJsonService.updateRow.mockResolvedValue();
+
+        await expect(reportService.removeReporterDetails('rep_ABC123', ['reporterEmail', 'reporterIp']))
+          .resolves.toEqual(['reporterEmail']);
+
+        const [, , id, row] = localJsonService.updateRow.mock.calls[0];
+        expect(id).toBe('rep_ABC123');
+        expect(revealReporterPii(row)).toEqual({ reporterName: 'Jane Doe', reporterPhone: '973-555-0100' });
+      });
+
+      test('should leave the report alone when nothing is set', async () => {
+        localJsonService.getAllRows.mockResolvedValue([storedRow('rep_ABC123')]);
+
+        await expect(reportService.removeReporterDetails('rep_ABC123')).resolves.toEqual([]);
+        expect(localJsonService.updateRow).not.toHaveBeenCalled();
+        await expect(reportService.removeReporterDetails('rep_XYZ789')).rejects.toThrow('Report with ID rep_XYZ789 not found');
+      });
+    });
+  });
+
+  describe('setLegalHold', () => {
+    const storedRow = {
+      id: 'rep_ABC123',
+      schoolName: 'ABC Driving School',
+      status: 'Closed',
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-01T00:00:00.000Z',
+      lastReported: '2023-01-01T00:00:00.000Z'
+    };
+
+    test('should place a hold with its reason and lift it again', async () => {
+      localJsonService.getAllRows.mockResolvedValue([storedRow]);
+      localJsonService.updateRow.mockResolvedValue();
+
+      const held = await reportService.setLegalHold('rep_ABC123', true, '  Subpoena 2023-17 ', 'admin');
+      expect(held.legalHold).toEqual({ reason: 'Subpoena 2023-17', placedBy: 'admin', placedAt: expect.any(String) });
+
+      localJsonService.getAllRows.mockResolvedValue([{ ...storedRow, legalHold: held.legalHold }]);
+      const lifted = await reportService.setLegalHold('rep_ABC123', false, undefined, 'admin');
+      expect(lifted.legalHold).toBeNull();
+    });
+
+    test('should require a reason to place a hold', async () => {
+      await expect(reportService.setLegalHold('rep_ABC123', true, ' ', 'admin'))
+        .rejects.toThrow('Legal hold validation failed: a reason is required');
+      await expect(reportService.setLegalHold('rep_ABC123', 'yes', 'Subpoena', 'admin'))
+        .rejects.toThrow('Legal hold validation failed: hold must be true or false');
+      expect(localJsonService.updateRow).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Unit tests for retentionService
+ *
+ * Reports, files and settings are mocked; reporter details are encrypted
+ * with the test keyfile so the rules see them as they are stored.
+ */
+
+jest.mock('../../../server/services/reportService', () => ({
+  getAllReports: jest.fn(),
+  getReportById: jest.fn(),
+  removeReporterDetails: jest.fn(),
+  updateReport: jest.fn()
+}));
+
+jest.mock('../../../server/services/fileService', () => ({
+  getAllFiles: jest.fn(),
+  removeUploaderIps: jest.fn(),
+  deleteFile: jest.fn()
+}));
+
+jest.mock('../../../server/services/configService', () => ({
+  getConfig: jest.fn(),
+  setConfig: jest.fn()
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logRetentionPurge: jest.fn().mockResolvedValue({}),
+  getAllAuditLogsFromJson: jest.fn(),
+  redactAuditLog: jest.fn()
+}));
+
+jest.mock('../../../server/services/emailOutboxService', () => ({
+  getOutbox: jest.fn(),
+  redactMessage: jest.fn()
+}));
+
+// Only loaded by privacyService, whose matcher redacts the reporter's address
+jest.mock('../../../server/services/inboundEmailService', () => ({}));
+jest.mock('../../../server/services/correspondenceService', () => ({}));
+jest.mock('../../../server/services/reportProcessingService', () => ({}));
+
+const reportService = require('../../../server/services/reportService');
+const fileService = require('../../../server/services/fileService');
+const configService = require('../../../server/services/configService');
+const auditService = require('../../../server/services/auditService');
+const emailOutboxService = require('../../../server/services/emailOutboxService');
+const { sealReporterPii } = require('../../../server/utils/piiEncryption');
+const retentionService = require('../../../server/services/retentionService');
+
+const rules = [
+  { id: 'reporter-ip', action: 'purge_reporter_ip', afterDays: 90, from: 'created' },
+  { id: 'reporter-contacts', action: 'anonymize_reporter', afterDays: 365, from: 'closed' },
+  { id: 'closed-evidence', action: 'delete_evidence', afterDays: 1095, from: 'closed' }
+];
+
+/**
+ * Builds a stored report with encrypted reporter details
+ */
+function buildReport(overrides = {}) {
+  return sealReporterPii({
+    id: 'rep_ABC123',
+    schoolName: 'ABC Driving School',
+    status: 'Added',
+    uploadedFiles: [],
+    statusHistory: [],
+    reporterName: 'Jane Doe',
+    reporterEmail: 'jane@example.com',
+    reporterIp: '203.0.113.5',
+    legalHold: null,
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-01T00:00:00.000Z',
+    ...overrides
+  });
+}
+
+describe('retentionService', () => {
+  let settings;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    settings = { 'system.retention.enabled': true, 'system.retention.rules': rules };
+    configService.getConfig.mockImplementation(async key => (key in settings ? settings[key] : null));
+    fileService.getAllFiles.mockResolvedValue([]);
+    fileService.removeUploaderIps.mockResolvedValue([]);
+    reportService.removeReporterDetails.mockImplementation(async (reportId, fields) => fields);
+    reportService.getReportById.mockImplementation(async reportId => buildReport({ id: reportId }));
+    emailOutboxService.getOutbox.mockResolvedValue({ messages: [] });
+    auditService.getAllAuditLogsFromJson.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('previewRetention', () => {
+    test('should list the reporter IP once it is older than the rule allows', async () => {
+      reportService.getAllReports.mockResolvedValue([buildReport()]);
+      fileService.getAllFiles.mockResolvedValue([
+        { id: 'file_ABC123', reportId: 'rep_ABC123', uploadedByIp: '203.0.113.5' },
+        { id: 'file_DEF456', reportId: 'rep_ABC123', uploadedByIp: null }
+      ]);
+
+      const early = await retentionService.previewRetention({ asOf: '2023-03-01T00:00:00.000Z' });
+      const due = await retentionService.previewRetention({ asOf: '2023-06-01T00:00:00.000Z' });
+
+      expect(early.items).toEqual([]);
+      expect(due.items).toEqual([{
+        ruleId: 'reporter-ip',
+        action: 'purge_reporter_ip',
+        reportId: 'rep_ABC123',
+        dueSince: '2023-04-01T00:00:00.000Z',
+        fields: ['reporterIp'],
+        fileIds: ['file_ABC123']
+      }]);
+      expect(reportService.removeReporterDetails).not.toHaveBeenCalled();
+      expect(fileService.removeUploaderIps).not.toHaveBeenCalled();
+    });
+
+    test('should count closed rules from when the report was closed', async () => {
+      const report = buildReport({
+        status: 'Closed',
+        uploadedFiles: [{ id: 'file_ABC123', name: 'a.jpg', type: 'image/jpeg', size: 1, url: '/a' }],
+        statusHistory: [{ from: 'Added', to: 'Closed', changedBy: 'admin', changedAt: '2023-02-01T00:00:00.000Z' }],
+        updatedAt: '2023-05-01T00:00:00.000Z'
+      });
+      reportService.getAllReports.mockResolvedValue([report, buildReport({ id: 'rep_DEF456', status: 'Added' })]);
+
+      const { items } = await retentionService.previewRetention({ asOf: '2026-02-01T00:00:00.000Z' });
+
+      expect(items.filter(item => item.reportId === 'rep_DEF456').map(item => item.ruleId)).toEqual(['reporter-ip']);
+      expect(items.filter(item => item.reportId === 'rep_ABC123')).toEqual([
+        expect.objectContaining({ ruleId: 'reporter-ip' }),
+        expect.objectContaining({
+          ruleId: 'reporter-contacts',
+          dueSince: '2024-02-01T00:00:00.000Z',
+          fields: ['reporterName', 'reporterEmail', 'reporterIp']
+        }),
+        expect.objectContaining({ ruleId: 'closed-evidence', dueSince: '2026-01-31T00:00:00.000Z', fileIds: ['file_ABC123'] })
+      ]);
+    });
+
+    test('should leave out reports on legal hold and list them separately', async () => {
+      const legalHold = { reason: 'Subpoena 2023-17', placedBy: 'admin', placedAt: '2023-02-01T00:00:00.000Z' };
+      reportService.getAllReports.mockResolvedValue([buildReport({ legalHold })]);
+
+      const preview = await retentionService.previewRetention({ asOf: '2030-01-01T00:00:00.000Z' });
+
+      expect(preview.items).toEqual([]);
+      expect(preview.held).toEqual([{ reportId: 'rep_ABC123', ruleIds: ['reporter-ip'], legalHold }]);
+    });
+
+    test('should skip disabled rules and reports with nothing left to remove', async () => {
+      settings['system.retention.rules'] = [{ ...rules[0], enabled: false }, rules[1]];
+      reportService.getAllReports.mockResolvedValue([
+        buildReport(),
+        buildReport({ id: 'rep_DEF456', status: 'Closed', reporterName: '', reporterEmail: '', reporterIp: '' })
+      ]);
+
+      const { items } = await retentionService.previewRetention({ asOf: '2030-01-01T00:00:00.000Z' });
+
+      expect(items).toEqual([]);
+    });
+
+    test('should reject an invalid date', async () => {
+      await expect(retentionService.previewRetention({ asOf: 'soon' }))
+        .rejects.toThrow('Retention validation failed: asOf must be a valid date');
+    });
+  });
+
+  describe('runRetention', () => {
+    test('should remove due data and record each removal in the audit log', async () => {
+      reportService.getAllReports.mockResolvedValue([buildReport({
+        status: 'Closed',
+        uploadedFiles: [{ id: 'file_ABC123', name: 'a.jpg', type: 'image/jpeg', size: 1, url: '/a' }],
+        createdAt: '2019-01-01T00:00:00.000Z',
+        updatedAt: '2019-02-01T00:00:00.000Z'
+      })]);
+      fileService.getAllFiles.mockResolvedValue([{ id: 'file_ABC123', reportId: 'rep_ABC123', uploadedByIp: '203.0.113.5' }]);
+      fileService.removeUploaderIps.mockResolvedValue(['file_ABC123']);
+      reportService.removeReporterDetails
+        .mockResolvedValueOnce(['reporterIp'])
+        .mockResolvedValueOnce(['reporterName', 'reporterEmail']);
+
+      const summary = await retentionService.runRetention({ runBy: 'admin', ipAddress: '10.0.0.1' });
+
+      expect(summary.purged.map(item => [item.ruleId, item.fields, item.fileIds])).toEqual([
+        ['reporter-ip', ['reporterIp'], ['file_ABC123']],
+        ['reporter-contacts', ['reporterName', 'reporterEmail'], []],
+        ['closed-evidence', [], ['file_ABC123']]
+      ]);
+      expect(reportService.removeReporterDetails).toHaveBeenCalledWith('rep_ABC123', ['reporterIp']);
+      expect(reportService.removeReporterDetails).toHaveBeenCalledWith('rep_ABC123', ['reporterName', 'reporterEmail', 'reporterIp']);
+      expect(fileService.deleteFile).toHaveBeenCalledWith('file_ABC123');
+      expect(reportService.updateReport).toHaveBeenCalledWith('rep_ABC123', { uploadedFiles: [], updatedBy: 'system' });
+      expect(auditService.logRetentionPurge).toHaveBeenCalledTimes(3);
+      expect(auditService.logRetentionPurge).toHaveBeenCalledWith(summary.purged[0], 'admin', '10.0.0.1');
+    });
+
+    test('should redact the reporter\'s address in the report\'s emails and email audit entries when anonymizing', async () => {
+      settings['system.retention.rules'] = [rules[1]];
+      reportService.getAllReports.mockResolvedValue([buildReport({
+        status: 'Closed',
+        statusHistory: [{ from: 'Added', to: 'Closed', changedBy: 'admin', changedAt: '2019-02-01T00:00:00.000Z' }]
+      })]);
+      emailOutboxService.getOutbox.mockResolvedValue({
+        messages: [
+          { id: 'eml_REPORTER01', to: 'Jane@Example.com', subject: 'Report received', body: 'Thank you' },
+          { id: 'eml_MVC0000001', to: 'mvc@example.gov', subject: 'Referral', body: 'See attached' }
+        ]
+      });
+      auditService.getAllAuditLogsFromJson.mockResolvedValue([
+        { id: 'audit_1', action: 'NOTIFICATION_SENT', targetType: 'email', targetId: 'rep_ABC123', details: 'Automatic email sent', metadata: { recipient: 'jane@example.com' } },
+        { id: 'audit_2', action: 'EMAIL_SENT', targetType: 'email', targetId: 'rep_ABC123', details: 'Sent to mvc@example.gov', metadata: { recipient: 'mvc@example.gov' } },
+        { id: 'audit_3', action: 'EMAIL_SENT', targetType: 'email', targetId: 'rep_DEF456', details: 'Sent to jane@example.com', metadata: { recipient: 'jane@example.com' } }
+      ]);
+
+      const summary = await retentionService.runRetention();
+
+      expect(emailOutboxService.getOutbox).toHaveBeenCalledWith({ reportId: 'rep_ABC123', limit: Infinity });
+      expect(emailOutboxService.redactMessage).toHaveBeenCalledTimes(1);
+      expect(emailOutboxService.redactMessage).toHaveBeenCalledWith('eml_REPORTER01', expect.any(Function));
+      expect(auditService.redactAuditLog).toHaveBeenCalledTimes(1);
+      expect(auditService.redactAuditLog).toHaveBeenCalledWith('audit_1', expect.any(Function));
+
+      const redact = auditService.redactAuditLog.mock.calls[0][1];
+      expect(redact('Sent to jane@example.com')).toBe('Sent to [redacted]');
+
+      expect(summary.purged).toEqual([expect.objectContaining({
+        ruleId: 'reporter-contacts',
+        messageIds: ['eml_REPORTER01'],
+        auditLogIds: ['audit_1']
+      })]);
+      expect(emailOutboxService.redactMessage.mock.invocationCallOrder[0])
+        .toBeLessThan(reportService.removeReporterDetails.mock.invocationCallOrder[0]);
+    });
+
+    test('should carry on after a failed removal and report it', async () => {
+      reportService.getAllReports.mockResolvedValue([buildReport(), buildReport({ id: 'rep_DEF456' })]);
+      reportService.removeReporterDetails
+        .mockRejectedValueOnce(new Error('Unknown PII encryption key: abc'))
+        .mockResolvedValueOnce(['reporterIp']);
+
+      const summary = await retentionService.runRetention();
+
+      expect(summary.failed).toEqual([expect.objectContaining({ reportId: 'rep_ABC123', error: 'Unknown PII encryption key: abc' })]);
+      expect(summary.purged.map(item => item.reportId)).toEqual(['rep_DEF456']);
+      expect(auditService.logRetentionPurge).toHaveBeenCalledTimes(1);
+      expect(auditService.logRetentionPurge).toHaveBeenCalledWith(summary.purged[0], 'system', undefined);
+    });
+  });
+
+  describe('scheduledRun', () => {
+    test('should only apply the rules when scheduled retention is enabled', async () => {
+      reportService.getAllReports.mockResolvedValue([buildReport()]);
+      settings['system.retention.enabled'] = false;
+
+      await retentionService.scheduledRun();
+      expect(reportService.getAllReports).not.toHaveBeenCalled();
+
+      settings['system.retention.enabled'] = true;
+      await retentionService.scheduledRun();
+      expect(reportService.removeReporterDetails).toHaveBeenCalledWith('rep_ABC123', ['reporterIp']);
+    });
+  });
+
+  describe('rules', () => {
+    test('should validate rules before saving them', async () => {
+      await expect(retentionService.setRules([rules[0], rules[0]], 'admin'))
+        .rejects.toThrow('duplicate rule id "reporter-ip"');
+      await expect(retentionService.setRules([{ ...rules[0], afterDays: 0 }], 'admin'))
+        .rejects.toThrow('Retention rule validation failed');
+      expect(configService.setConfig).not.toHaveBeenCalled();
+
+      await retentionService.setRules([{ id: 'reporter-ip', action: 'purge_reporter_ip', afterDays: 30 }], 'admin');
+
+      expect(configService.setConfig).toHaveBeenCalledWith(
+        'system.retention.rules',
+        [{ id: 'reporter-ip', action: 'purge_reporter_ip', afterDays: 30, from: 'created', enabled: true, description: '' }],
+        'json',
+        'system',
+        expect.any(String),
+        'admin'
+      );
+    });
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Unit tests for schoolService
+ */
+
+// In-memory schools sheet
+let mockSchools = [];
+// In-memory reports used by the mocked reportService
+let mockReports = [];
+
+jest.mock('../../../server/services/localJsonService', () => ({
+  getAllRows: jest.fn(async () => mockSchools.map(school => ({ ...school }))),
+  appendRow: jest.fn(async (spreadsheetId, sheet, row) => {
+    mockSchools.push({ ...row });
+    return row;
+  }),
+  updateRow: jest.fn(async (spreadsheetId, sheet, id, row) => {
+    mockSchools = mockSchools.map(school => (school.id === id ? { ...school, ...row } : school));
+  }),
+  deleteRow: jest.fn(async (spreadsheetId, sheet, id) => {
+    const before = mockSchools.length;
+    mockSchools = mockSchools.filter(school => school.id !== id);
+    return mockSchools.length < before;
+  })
+}));
+
+jest.mock('../../../server/services/reportService', () => ({
+  getAllReports: jest.fn(async () => mockReports.map(report => ({ ...report }))),
+  updateReport: jest.fn(async (id, data) => {
+    mockReports = mockReports.map(report => (report.id === id ? { ...report, ...data } : report));
+    return mockReports.find(report => report.id === id);
+  })
+}));
+
+jest.mock('../../../server/services/auditService', () => ({
+  logSchoolCreated: jest.fn().mockResolvedValue({}),
+  logSchoolUpdated: jest.fn().mockResolvedValue({}),
+  logSchoolMerged: jest.fn().mockResolvedValue({}),
+  logSchoolSplit: jest.fn().mockResolvedValue({})
+}));
+
+const schoolService = require('../../../server/services/schoolService');
+const reportService = require('../../../server/services/reportService');
+const auditService = require('../../../server/services/auditService');
+
+/**
+ * Builds report data for the mocked report store
+ */
+function makeReport(id, schoolName, extra = {}) {
+  return {
+    id,
+    schoolName,
+    status: 'Added',
+    createdAt: '2023-01-01T00:00:00.000Z',
+    updatedAt: '2023-01-01T00:00:00.000Z',
+    lastReported: '2023-01-01T00:00:00.000Z',
+    schoolId: null,
+    ...extra
+  };
+}
+
+describe('School Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSchools = [];
+    mockReports = [];
+  });
+
+  describe('registerReport', () => {
+    test('should create a school for a new operator and link the report', async () => {
+      const report = makeReport('rep_AAA111', 'ABC Driving School', { phoneNumber: '555-123-4567' });
+      mockReports = [report];
+
+      const school = await schoolService.registerReport(report);
+
+      expect(school.name).toBe('ABC Driving School');
+      expect(school.phoneNumbers).toEqual(['555-123-4567']);
+      expect(school.reportIds).toEqual(['rep_AAA111']);
+      expect(mockSchools).toHaveLength(1);
+      expect(reportService.updateReport).toHaveBeenCalledWith('rep_AAA111', { schoolId: school.id });
+    });
+
+    test('should group a differently spelled name under the existing school', async () => {
+      const first = makeReport('rep_AAA111', 'ABC Driving School');
+      const second = makeReport('rep_BBB222', 'A.B.C. Driving School LLC', { websiteUrl: 'https://abc.example.com' });
+      mockReports = [first, second];
+
+      const school = await schoolService.registerReport(first);
+      const grouped = await schoolService.registerReport(second);
+
+      expect(grouped.id).toBe(school.id);
+      expect(grouped.aliases).toEqual(['A.B.C. Driving School LLC']);
+      expect(grouped.websites).toEqual(['https://abc.example.com']);
+      expect(grouped.reportIds).toEqual(['rep_AAA111', 'rep_BBB222']);
+      expect(mockSchools).toHaveLength(1);
+    });
+  });
+
+  describe('unregisterReport', () => {
+    test('should remove a report from the school that lists it', async () => {
+      const first = makeReport('rep_AAA111', 'ABC Driving School');
+      const second = makeReport('rep_BBB222', 'ABC Driving School Inc');
+      mockReports = [first, second];
+      await schoolService.registerReport(first);
+      await schoolService.registerReport(second);
+
+      const school = await schoolService.unregisterReport('rep_BBB222');
+
+      expect(school.reportIds).toEqual(['rep_AAA111']);
+      expect(mockSchools[0].reportIds).toEqual(['rep_AAA111']);
+    });
+
+    test('should return null when no school lists the report', async () => {
+      expect(await schoolService.unregisterReport('rep_ZZZ999')).toBeNull();
+    });
+  });
+
+  describe('syncSchoolsFromReports', () => {
+    test('should link every unlinked report', async () => {
+      mockReports = [
+        makeReport('rep_AAA111', 'ABC Driving School'),
+        makeReport('rep_BBB222', 'ABC Driving School Inc'),
+        makeReport('rep_CCC333', 'XYZ Driving')
+      ];
+
+      const result = await schoolService.syncSchoolsFromReports();
+
+      expect(result).toEqual({ linkedReports: 3, totalSchools: 2 });
+      expect(mockReports.every(report => report.schoolId)).toBe(true);
+    });
+  });
+
+  describe('createSchool', () => {
+    test('should create a school and audit it', async () => {
+      const school = await schoolService.createSchool({ name: 'New Operator', phoneNumbers: ['555-000-0000'] }, 'admin', '10.0.0.1');
+
+      expect(school.createdBy).toBe('admin');
+      expect(school.phoneNumbers).toEqual(['555-000-0000']);
+      expect(auditService.logSchoolCreated).toHaveBeenCalledWith(school, 'admin', '10.0.0.1');
+    });
+
+    test('should reject a name that matches an existing school', async () => {
+      await schoolService.createSchool({ name: 'ABC Driving School' }, 'admin', '10.0.0.1');
+
+      await expect(schoolService.createSchool({ name: 'abc driving school llc' }, 'admin', '10.0.0.1'))
+        .rejects.toThrow('already exists');
+    });
+  });
+
+  describe('updateSchool', () => {
+    test('should keep the old name as an alias when renaming', async () => {
+      const school = await schoolService.createSchool({ name: 'ABC Driving' }, 'admin', '10.0.0.1');
+
+      const updated = await schoolService.updateSchool(school.id, { name: 'ABC Driving Academy' }, 'admin', '10.0.0.1');
+
+      expect(updated.name).toBe('ABC Driving Academy');
+      expect(updated.aliases).toEqual(['ABC Driving']);
+      expect(auditService.logSchoolUpdated).toHaveBeenCalled();
+    });
+
+    test('should throw for a missing school', async () => {
+      await expect(schoolService.updateSchool('sch_NOPE00', { notes: 'x' }, 'admin', '10.0.0.1'))
+        .rejects.toThrow('not found');
+    });
+  });
+
+  describe('mergeSchools', () => {
+    test('should move aliases, contacts and reports to the target and remove the source', async () => {
+      mockReports = [
+        makeReport('rep_AAA111', 'ABC Driving School', { phoneNumber: '555-111-1111' }),
+        makeReport('rep_BBB222', 'Triple A Driving', { phoneNumber: '555-222-2222' })
+      ];
+      const target = await schoolService.registerReport(mockReports[0]);
+      const source = await schoolService.registerReport(mockReports[1]);
+
+      const merged = await schoolService.mergeSchools(target.id, source.id, 'admin', '10.0.0.1');
+
+      expect(merged.aliases).toContain('Triple A Driving');
+      expect(merged.phoneNumbers).toEqual(['555-111-1111', '555-222-2222']);
+      expect(merged.reportIds).toEqual(['rep_AAA111', 'rep_BBB222']);
+      expect(mockSchools.map(s => s.id)).toEqual([target.id]);
+      expect(mockReports.find(r => r.id === 'rep_BBB222').schoolId).toBe(target.id);
+      expect(auditService.logSchoolMerged).toHaveBeenCalled();
+    });
+
+    test('should reject merging a school into itself', async () => {
+      await expect(schoolService.mergeSchools('sch_ABC123', 'sch_ABC123', 'admin', '10.0.0.1'))
+        .rejects.toThrow('validation failed');
+    });
+  });
+
+  describe('splitSchool', () => {
+    test('should move the selected reports and their contact details to a new school', async () => {
+      mockReports = [
+        makeReport('rep_AAA111', 'ABC Driving School', { phoneNumber: '555-111-1111' }),
+        makeReport('rep_BBB222', 'ABC Driving School LLC', { phoneNumber: '555-222-2222' })
+      ];
+      const school = await schoolService.registerReport(mockReports[0]);
+      await schoolService.registerReport(mockReports[1]);
+
+      const { original, created } = await schoolService.splitSchool(
+        school.id,
+        ['rep_BBB222'],
+        'ABC Driving Academy',
+        'admin',
+        '10.0.0.1'
+      );
+
+      expect(original.reportIds).toEqual(['rep_AAA111']);
+      expect(original.phoneNumbers).toEqual(['555-111-1111']);
+      expect(original.aliases).toEqual([]);
+      expect(created.name).toBe('ABC Driving Academy');
+      expect(created.reportIds).toEqual(['rep_BBB222']);
+      expect(created.phoneNumbers).toEqual(['555-222-2222']);
+      expect(mockReports.find(r => r.id === 'rep_BBB222').schoolId).toBe(created.id);
+      expect(auditService.logSchoolSplit).toHaveBeenCalledWith(original, created, 'admin', '10.0.0.1');
+    });
+
+    test('should reject splitting off every report', async () => {
+      mockReports = [makeReport('rep_AAA111', 'ABC Driving School')];
+      const school = await schoolService.registerReport(mockReports[0]);
+
+      await expect(schoolService.splitSchool(school.id, ['rep_AAA111'], 'Other', 'admin', '10.0.0.1'))
+        .rejects.toThrow('validation failed');
+    });
+
+    test('should reject reports from another school', async () => {
+      mockReports = [makeReport('rep_AAA111', 'ABC Driving School'), makeReport('rep_BBB222', 'ABC Driving School')];
+      const school = await schoolService.registerReport(mockReports[0]);
+      await schoolService.registerReport(mockReports[1]);
+
+      await expect(schoolService.splitSchool(school.id, ['rep_ZZZ999'], 'Other', 'admin', '10.0.0.1'))
+        .rejects.toThrow('do not belong');
+    });
+  });
+
+  describe('getSchools', () => {
+    test('should search names, aliases and contact details', async () => {
+      mockReports = [
+        makeReport('rep_AAA111', 'ABC Driving School', { phoneNumber: '555-111-1111' }),
+        makeReport('rep_BBB222', 'XYZ Driving')
+      ];
+      await schoolService.syncSchoolsFromReports();
+
+      const byPhone = await schoolService.getSchools({ search: '555-111' });
+      expect(byPhone.map(s => s.name)).toEqual(['ABC Driving School']);
+      expect(byPhone[0].reportCount).toBe(1);
+
+      const all = await schoolService.getSchools();
+      expect(all.map(s => s.name)).toEqual(['ABC Driving School', 'XYZ Driving']);
+    });
+  });
+
+  describe('getSchoolById', () => {
+    test('should include summaries of the school reports', async () => {
+      mockReports = [makeReport('rep_AAA111', 'ABC Driving School', { location: 'Newark' })];
+      const school = await schoolService.registerReport(mockReports[0]);
+
+      const result = await schoolService.getSchoolById(school.id);
+
+      expect(result.reports).toEqual([expect.objectContaining({ id: 'rep_AAA111', location: 'Newark' })]);
+    });
+  });
+});
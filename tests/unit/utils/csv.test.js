@@ -0,0 +1,100 @@
+/**
+ * Unit tests for CSV utilities
+ */
+
+const { parseCsv, parseCsvRows, formatCsvField, formatCsvRow } = require('../../../server/utils/csv');
+
+describe('CSV utilities', () => {
+  describe('parseCsvRows', () => {
+    test('should split simple rows and fields', () => {
+      expect(parseCsvRows('a,b,c\n1,2,3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+    });
+
+    test('should handle quoted fields with commas, quotes and line breaks', () => {
+      const rows = parseCsvRows('name,notes\n"Smith, J","said ""hi""\nthen left"');
+
+      expect(rows).toEqual([
+        ['name', 'notes'],
+        ['Smith, J', 'said "hi"\nthen left']
+      ]);
+    });
+
+    test('should accept CRLF line endings, a byte order mark and skip blank lines', () => {
+      const rows = parseCsvRows('\uFEFFa,b\r\n\r\n1,2\r\n');
+
+      expect(rows).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('should keep empty fields', () => {
+      expect(parseCsvRows('a,,c')).toEqual([['a', '', 'c']]);
+    });
+
+    test('should reject an unterminated quoted field', () => {
+      expect(() => parseCsvRows('a,"b\n1,2')).toThrow('CSV validation failed: unterminated quoted field');
+    });
+
+    test('should return no rows for empty input', () => {
+      expect(parseCsvRows('')).toEqual([]);
+      expect(parseCsvRows(null)).toEqual([]);
+    });
+  });
+
+  describe('parseCsv', () => {
+    test('should key rows by trimmed header and trim values', () => {
+      const records = parseCsv(' Name , City\nABC Driving , Newark ');
+
+      expect(records).toEqual([{ Name: 'ABC Driving', City: 'Newark' }]);
+    });
+
+    test('should fill missing trailing fields with empty strings', () => {
+      expect(parseCsv('a,b,c\n1')).toEqual([{ a: '1', b: '', c: '' }]);
+    });
+
+    test('should ignore columns with a blank header', () => {
+      expect(parseCsv('a,,c\n1,2,3')).toEqual([{ a: '1', c: '3' }]);
+    });
+
+    test('should return an empty list when there is no header', () => {
+      expect(parseCsv('')).toEqual([]);
+    });
+  });
+
+  describe('formatCsvField', () => {
+    test('should leave plain values unquoted', () => {
+      expect(formatCsvField('ABC Driving')).toBe('ABC Driving');
+      expect(formatCsvField(3)).toBe('3');
+    });
+
+    test('should quote values with commas, quotes, line breaks or edge spaces', () => {
+      expect(formatCsvField('Smith, J')).toBe('"Smith, J"');
+      expect(formatCsvField('said "hi"')).toBe('"said ""hi"""');
+      expect(formatCsvField('line 1\nline 2')).toBe('"line 1\nline 2"');
+      expect(formatCsvField(' padded')).toBe('" padded"');
+    });
+
+    test('should write null, undefined and non-finite numbers as empty', () => {
+      expect(formatCsvField(null)).toBe('');
+      expect(formatCsvField(undefined)).toBe('');
+      expect(formatCsvField(NaN)).toBe('');
+    });
+
+    test('should neutralize text a spreadsheet would run as a formula', () => {
+      expect(formatCsvField('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+      expect(formatCsvField('+1 973 555 1234')).toBe("'+1 973 555 1234");
+      expect(formatCsvField('@cmd')).toBe("'@cmd");
+      expect(formatCsvField(-5)).toBe('-5');
+    });
+  });
+
+  describe('formatCsvRow', () => {
+    test('should join fields and end with CRLF', () => {
+      expect(formatCsvRow(['a', null, 'b,c'])).toBe('a,,"b,c"\r\n');
+    });
+
+    test('should round-trip through parseCsvRows', () => {
+      const values = ['Smith, J', 'said "hi"', 'multi\nline', 'last'];
+
+      expect(parseCsvRows(formatCsvRow(values))).toEqual([values]);
+    });
+  });
+});
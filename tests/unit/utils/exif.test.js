@@ -0,0 +1,155 @@
+/**
+ * Unit tests for EXIF utilities
+ */
+
+const { findExif, parseTiff, extractExif, getOrientation } = require('../../../server/utils/exif');
+const { encodeJpeg } = require('../../../server/utils/jpeg');
+
+/**
+ * Builds a little-endian TIFF block with an orientation tag, a camera model
+ * and a GPS directory holding a latitude
+ */
+function buildTiff(orientation) {
+  const tiff = Buffer.alloc(128);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+
+  // IFD0 at 8 with three entries
+  tiff.writeUInt16LE(3, 8);
+  const entry = (at, tag, type, count, value) => {
+    tiff.writeUInt16LE(tag, at);
+    tiff.writeUInt16LE(type, at + 2);
+    tiff.writeUInt32LE(count, at + 4);
+    tiff.writeUInt32LE(value, at + 8);
+  };
+  entry(10, 0x0112, 3, 1, orientation);
+  entry(22, 0x0110, 2, 6, 80); // Model, text at 80
+  entry(34, 0x8825, 4, 1, 50); // GPS directory at 50
+  tiff.writeUInt32LE(0, 46);
+
+  // GPS directory at 50: latitude ref and latitude (3 rationals at 88)
+  tiff.writeUInt16LE(2, 50);
+  entry(52, 0x0001, 2, 2, 0x4e); // 'N\0' inline
+  entry(64, 0x0002, 5, 3, 88);
+  tiff.writeUInt32LE(0, 76);
+
+  tiff.write('Phone\0', 80, 'latin1');
+  [[40, 1], [30, 1], [0, 1]].forEach(([numerator, denominator], i) => {
+    tiff.writeUInt32LE(numerator, 88 + i * 8);
+    tiff.writeUInt32LE(denominator, 92 + i * 8);
+  });
+
+  return tiff;
+}
+
+/**
+ * Inserts an EXIF APP1 segment after the SOI marker of a JPEG
+ */
+function withExif(jpeg, tiff) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(2 + 6 + tiff.length, 2);
+  return Buffer.concat([jpeg.subarray(0, 2), header, Buffer.from('Exif\0\0', 'latin1'), tiff, jpeg.subarray(2)]);
+}
+
+const plainJpeg = encodeJpeg({ width: 8, height: 8, data: Buffer.alloc(8 * 8 * 3, 128) });
+
+describe('EXIF utilities', () => {
+  describe('findExif', () => {
+    test('should find the TIFF block of a JPEG', () => {
+      const tiff = buildTiff(6);
+
+      expect(findExif(withExif(plainJpeg, tiff))).toEqual(tiff);
+    });
+
+    test('should find the eXIf chunk of a PNG', () => {
+      const tiff = buildTiff(3);
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(tiff.length);
+      const png = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        length, Buffer.from('eXIf', 'latin1'), tiff, Buffer.alloc(4)
+      ]);
+
+      expect(findExif(png)).toEqual(tiff);
+    });
+
+    test('should return null when there is no EXIF block', () => {
+      expect(findExif(plainJpeg)).toBeNull();
+      expect(findExif(Buffer.from('plain text'))).toBeNull();
+    });
+  });
+
+  describe('parseTiff', () => {
+    test('should read the main and GPS directories', () => {
+      const tags = parseTiff(buildTiff(6));
+
+      expect(tags.ifd0.Orientation).toBe(6);
+      expect(tags.ifd0.Model).toBe('Phone');
+      expect(tags.gps.GPSLatitudeRef).toBe('N');
+      expect(tags.gps.GPSLatitude).toEqual([40, 30, 0]);
+    });
+
+    test('should reject blocks that are not TIFF', () => {
+      expect(() => parseTiff(Buffer.from('XX*\0\0\0\0\0'))).toThrow('Corrupt EXIF data: invalid byte order');
+    });
+  });
+
+  describe('extractExif', () => {
+    test('should group tags by directory and convert the GPS position', () => {
+      // IFD0 at 8 pointing to a GPS directory at 26 with a latitude and longitude
+      const tiff = Buffer.alloc(128);
+      tiff.write('II', 0, 'latin1');
+      tiff.writeUInt16LE(42, 2);
+      tiff.writeUInt32LE(8, 4);
+      const entry = (at, tag, type, count, value) => {
+        tiff.writeUInt16LE(tag, at);
+        tiff.writeUInt16LE(type, at + 2);
+        tiff.writeUInt32LE(count, at + 4);
+        tiff.writeUInt32LE(value, at + 8);
+      };
+      tiff.writeUInt16LE(1, 8);
+      entry(10, 0x8825, 4, 1, 26);
+      tiff.writeUInt16LE(4, 26);
+      entry(28, 0x0001, 2, 2, 0x4e); // 'N'
+      entry(40, 0x0002, 5, 3, 80);
+      entry(52, 0x0003, 2, 2, 0x57); // 'W'
+      entry(64, 0x0004, 5, 3, 104);
+      [[40, 1], [30, 1], [0, 1], [74, 1], [15, 1], [0, 1]].forEach(([numerator, denominator], i) => {
+        tiff.writeUInt32LE(numerator, 80 + i * 8);
+        tiff.writeUInt32LE(denominator, 84 + i * 8);
+      });
+
+      const exif = extractExif(withExif(plainJpeg, tiff));
+
+      expect(exif.ifd0).toEqual({});
+      expect(exif.gps).toMatchObject({ GPSLatitudeRef: 'N', GPSLatitude: [40, 30, 0], GPSLongitudeRef: 'W' });
+      expect(exif.location).toEqual({ latitude: 40.5, longitude: -74.25 });
+    });
+
+    test('should leave the location empty without both coordinates', () => {
+      const exif = extractExif(withExif(plainJpeg, buildTiff(6)));
+
+      expect(exif.ifd0).toEqual({ Orientation: 6, Model: 'Phone' });
+      expect(exif.location).toBeNull();
+    });
+
+    test('should return null when there is no readable EXIF block', () => {
+      expect(extractExif(plainJpeg)).toBeNull();
+      expect(extractExif(withExif(plainJpeg, Buffer.from('garbage!')))).toBeNull();
+    });
+  });
+
+  describe('getOrientation', () => {
+    test('should read the orientation of a JPEG', () => {
+      expect(getOrientation(withExif(plainJpeg, buildTiff(8)))).toBe(8);
+    });
+
+    test('should default to upright when the orientation is missing or invalid', () => {
+      expect(getOrientation(plainJpeg)).toBe(1);
+      expect(getOrientation(withExif(plainJpeg, buildTiff(42)))).toBe(1);
+      expect(getOrientation(withExif(plainJpeg, Buffer.from('garbage!')))).toBe(1);
+    });
+  });
+});
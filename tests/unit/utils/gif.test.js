@@ -0,0 +1,117 @@
+/**
+ * Unit tests for GIF utilities
+ */
+
+const { decodeGif } = require('../../../server/utils/gif');
+
+/**
+ * LZW-codes color indexes with a 2-bit minimum code size, clearing the
+ * table every two codes so the code size stays at 3 bits
+ */
+function lzw(indexes) {
+  const codes = [];
+  indexes.forEach((index, i) => {
+    if (i % 2 === 0) codes.push(4);
+    codes.push(index);
+  });
+  codes.push(5);
+
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const code of codes) {
+    buffer |= code << bits;
+    bits += 3;
+    while (bits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>= 8;
+      bits -= 8;
+    }
+  }
+  if (bits > 0) bytes.push(buffer & 0xff);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Builds a single-frame GIF with a four-color global palette
+ */
+function buildGif({ width, height, indexes, transparentIndex = null, interlaced = false }) {
+  const screen = Buffer.alloc(7);
+  screen.writeUInt16LE(width, 0);
+  screen.writeUInt16LE(height, 2);
+  screen[4] = 0x80 | 0x01; // Global table of 4 colors
+
+  const palette = Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255]);
+
+  const control = transparentIndex === null
+    ? Buffer.alloc(0)
+    : Buffer.from([0x21, 0xf9, 4, 0x01, 0, 0, transparentIndex, 0]);
+
+  const descriptor = Buffer.alloc(10);
+  descriptor[0] = 0x2c;
+  descriptor.writeUInt16LE(width, 5);
+  descriptor.writeUInt16LE(height, 7);
+  descriptor[9] = interlaced ? 0x40 : 0;
+
+  const data = lzw(indexes);
+
+  return Buffer.concat([
+    Buffer.from('GIF89a', 'latin1'),
+    screen,
+    palette,
+    control,
+    descriptor,
+    Buffer.from([2, data.length]),
+    data,
+    Buffer.from([0, 0x3b])
+  ]);
+}
+
+/**
+ * Reads the RGBA values of one decoded pixel
+ */
+function pixel(image, x, y) {
+  const at = (y * image.width + x) * 4;
+  return Array.from(image.data.subarray(at, at + 4));
+}
+
+describe('GIF utilities', () => {
+  test('should decode the first frame with the global palette', () => {
+    const image = decodeGif(buildGif({ width: 2, height: 2, indexes: [0, 1, 2, 3] }));
+
+    expect(image.width).toBe(2);
+    expect(image.height).toBe(2);
+    expect(pixel(image, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(image, 1, 0)).toEqual([0, 255, 0, 255]);
+    expect(pixel(image, 0, 1)).toEqual([0, 0, 255, 255]);
+    expect(pixel(image, 1, 1)).toEqual([255, 255, 255, 255]);
+  });
+
+  test('should leave the transparent color index transparent', () => {
+    const image = decodeGif(buildGif({ width: 2, height: 1, indexes: [0, 3], transparentIndex: 3 }));
+
+    expect(pixel(image, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(image, 1, 0)[3]).toBe(0);
+  });
+
+  test('should reorder interlaced rows', () => {
+    // Stored pass order for 4 rows is 0, 2, 1, 3
+    const image = decodeGif(buildGif({ width: 1, height: 4, indexes: [0, 2, 1, 3], interlaced: true }));
+
+    expect(pixel(image, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(image, 0, 1)).toEqual([0, 255, 0, 255]);
+    expect(pixel(image, 0, 2)).toEqual([0, 0, 255, 255]);
+    expect(pixel(image, 0, 3)).toEqual([255, 255, 255, 255]);
+  });
+
+  test('should reject data that is not a GIF', () => {
+    expect(() => decodeGif(Buffer.from('not a gif at all'))).toThrow('Not a GIF image');
+  });
+
+  test('should reject files without an image frame', () => {
+    const gif = buildGif({ width: 1, height: 1, indexes: [0] });
+    const headerOnly = Buffer.concat([gif.subarray(0, 6 + 7 + 12), Buffer.from([0x3b])]);
+
+    expect(() => decodeGif(headerOnly)).toThrow('Corrupt GIF data: no image frame');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for image utilities
+ */
+
+const {
+  canDecode,
+  toRgb,
+  resize,
+  applyOrientation,
+  fitWithin,
+  createJpegRenditions
+} = require('../../../server/utils/image');
+const { decodeJpeg, encodeJpeg } = require('../../../server/utils/jpeg');
+
+/**
+ * Builds an RGB image whose pixels are numbered 0, 1, 2... in the red channel
+ */
+function numbered(width, height) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 3] = i;
+  }
+  return { width, height, data };
+}
+
+/**
+ * Lists the red channel of an RGB image row by row
+ */
+function reds(image) {
+  const rows = [];
+  for (let y = 0; y < image.height; y++) {
+    const row = [];
+    for (let x = 0; x < image.width; x++) {
+      row.push(image.data[(y * image.width + x) * 3]);
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Adds an EXIF orientation to a JPEG
+ */
+function withOrientation(jpeg, orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(2 + 6 + tiff.length, 2);
+  return Buffer.concat([jpeg.subarray(0, 2), header, Buffer.from('Exif\0\0', 'latin1'), tiff, jpeg.subarray(2)]);
+}
+
+describe('image utilities', () => {
+  test('should decode JPEG, PNG and GIF but not WebP', () => {
+    expect(canDecode('image/jpeg')).toBe(true);
+    expect(canDecode('image/png')).toBe(true);
+    expect(canDecode('image/gif')).toBe(true);
+    expect(canDecode('image/webp')).toBe(false);
+  });
+
+  test('should flatten transparency onto white', () => {
+    const rgb = toRgb({ width: 2, height: 1, data: new Uint8ClampedArray([0, 0, 0, 0, 100, 50, 0, 255]) });
+
+    expect(Array.from(rgb.data)).toEqual([255, 255, 255, 100, 50, 0]);
+  });
+
+  test('should scale down by averaging the covered area', () => {
+    const image = { width: 4, height: 2, data: Buffer.from([
+      0, 0, 0, 100, 100, 100, 200, 200, 200, 200, 200, 200,
+      0, 0, 0, 100, 100, 100, 0, 0, 0, 0, 0, 0
+    ]) };
+
+    const scaled = resize(image, 2, 1);
+
+    expect(Array.from(scaled.data)).toEqual([50, 50, 50, 100, 100, 100]);
+  });
+
+  test('should fit dimensions inside a box without enlarging them', () => {
+    expect(fitWithin(4000, 3000, 1280)).toEqual({ width: 1280, height: 960 });
+    expect(fitWithin(300, 200, 1280)).toEqual({ width: 300, height: 200 });
+    expect(fitWithin(5000, 2, 320)).toEqual({ width: 320, height: 1 });
+  });
+
+  describe('applyOrientation', () => {
+    // Stored 3x2 image:  0 1 2
+    //                    3 4 5
+    const image = numbered(3, 2);
+
+    test.each([
+      [1, [[0, 1, 2], [3, 4, 5]]],
+      [2, [[2, 1, 0], [5, 4, 3]]],
+      [3, [[5, 4, 3], [2, 1, 0]]],
+      [4, [[3, 4, 5], [0, 1, 2]]],
+      [5, [[0, 3], [1, 4], [2, 5]]],
+      [6, [[3, 0], [4, 1], [5, 2]]],
+      [7, [[5, 2], [4, 1], [3, 0]]],
+      [8, [[2, 5], [1, 4], [0, 3]]]
+    ])('should turn orientation %i upright', (orientation, expected) => {
+      expect(reds(applyOrientation(image, orientation))).toEqual(expected);
+    });
+  });
+
+  describe('createJpegRenditions', () => {
+    // 64x32 stored image: red left half, blue right half
+    const stored = { width: 64, height: 32, data: Buffer.alloc(64 * 32 * 3) };
+    for (let y = 0; y < 32; y++) {
+      for (let x = 0; x < 64; x++) {
+        stored.data[(y * 64 + x) * 3 + (x < 32 ? 0 : 2)] = 230;
+      }
+    }
+    const jpeg = encodeJpeg(stored, 90);
+
+    test('should create every rendition without enlarging the image', () => {
+      const result = createJpegRenditions(jpeg, 'image/jpeg', { small: 16, large: 1280 });
+
+      expect(result).toMatchObject({ width: 64, height: 32, orientation: 1 });
+      expect(decodeJpeg(result.renditions.small)).toMatchObject({ width: 16, height: 8 });
+      expect(decodeJpeg(result.renditions.large)).toMatchObject({ width: 64, height: 32 });
+    });
+
+    test('should honor the EXIF orientation', () => {
+      // Orientation 6 rotates clockwise, so the red left half ends up on top
+      const result = createJpegRenditions(withOrientation(jpeg, 6), 'image/jpeg', { small: 16 });
+      const small = decodeJpeg(result.renditions.small);
+
+      expect(result).toMatchObject({ width: 32, height: 64, orientation: 6 });
+      expect(small).toMatchObject({ width: 8, height: 16 });
+      const top = (2 * 8 + 4) * 4;
+      const bottom = (13 * 8 + 4) * 4;
+      expect(small.data[top]).toBeGreaterThan(150);
+      expect(small.data[top + 2]).toBeLessThan(80);
+      expect(small.data[bottom + 2]).toBeGreaterThan(150);
+      expect(small.data[bottom]).toBeLessThan(80);
+    });
+
+    test('should reject unsupported image types', () => {
+      expect(() => createJpegRenditions(Buffer.from('RIFF'), 'image/webp', { small: 16 }))
+        .toThrow('Unsupported image type: image/webp');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for JPEG utilities
+ */
+
+const { decodeJpeg, encodeJpeg } = require('../../../server/utils/jpeg');
+
+/**
+ * Builds an RGB image with a red left half and a blue right half
+ */
+function splitImage(width, height) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const at = (y * width + x) * 3;
+      if (x < width / 2) {
+        data[at] = 220;
+      } else {
+        data[at + 2] = 220;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Reads the RGB values of one decoded pixel
+ */
+function pixel(image, x, y) {
+  const at = (y * image.width + x) * 4;
+  return Array.from(image.data.subarray(at, at + 3));
+}
+
+describe('JPEG utilities', () => {
+  describe('encodeJpeg', () => {
+    test('should write a baseline JFIF file', () => {
+      const jpeg = encodeJpeg(splitImage(16, 8));
+
+      expect(jpeg[0]).toBe(0xff);
+      expect(jpeg[1]).toBe(0xd8);
+      expect(jpeg.subarray(6, 11).toString('latin1')).toBe('JFIF\0');
+      expect(jpeg.indexOf(Buffer.from([0xff, 0xc0]))).toBeGreaterThan(0);
+      expect(jpeg.subarray(-2)).toEqual(Buffer.from([0xff, 0xd9]));
+    });
+
+    test('should produce smaller files at lower quality', () => {
+      const image = splitImage(64, 64);
+      for (let i = 0; i < image.data.length; i++) {
+        image.data[i] = (image.data[i] + i * 7) & 0xff;
+      }
+
+      expect(encodeJpeg(image, 30).length).toBeLessThan(encodeJpeg(image, 95).length);
+    });
+  });
+
+  describe('decodeJpeg', () => {
+    test('should round-trip an encoded image', () => {
+      const decoded = decodeJpeg(encodeJpeg(splitImage(37, 21), 90));
+
+      expect(decoded.width).toBe(37);
+      expect(decoded.height).toBe(21);
+      expect(decoded.data.length).toBe(37 * 21 * 4);
+
+      const [leftR, , leftB] = pixel(decoded, 3, 10);
+      const [rightR, , rightB] = pixel(decoded, 33, 10);
+      expect(leftR).toBeGreaterThan(180);
+      expect(leftB).toBeLessThan(60);
+      expect(rightB).toBeGreaterThan(180);
+      expect(rightR).toBeLessThan(60);
+      expect(decoded.data[3]).toBe(255);
+    });
+
+    test('should reject data that is not a JPEG', () => {
+      expect(() => decodeJpeg(Buffer.from('not an image'))).toThrow('Not a JPEG image');
+    });
+
+    test('should reject truncated data', () => {
+      const jpeg = encodeJpeg(splitImage(16, 16));
+
+      expect(() => decodeJpeg(jpeg.subarray(0, 120))).toThrow(/Corrupt JPEG data/);
+    });
+
+    test('should refuse images larger than the pixel limit', () => {
+      const jpeg = encodeJpeg(splitImage(40, 40));
+
+      expect(() => decodeJpeg(jpeg, { maxPixels: 1000 })).toThrow('Image is too large to process (40x40)');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Unit tests for metadata utilities
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('../../../server/utils/zip');
+const { canStripMetadata, stripMetadata } = require('../../../server/utils/metadata');
+const { extractExif, getOrientation } = require('../../../server/utils/exif');
+const { decodeJpeg, encodeJpeg } = require('../../../server/utils/jpeg');
+const { decodePng } = require('../../../server/utils/png');
+const { decodeGif } = require('../../../server/utils/gif');
+
+/**
+ * Builds a big-endian TIFF block with an orientation, an artist and a GPS latitude
+ */
+function buildTiff(orientation) {
+  const tiff = Buffer.alloc(96);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  const entry = (at, tag, type, count, value) => {
+    tiff.writeUInt16BE(tag, at);
+    tiff.writeUInt16BE(type, at + 2);
+    tiff.writeUInt32BE(count, at + 4);
+    tiff.writeUInt32BE(value, at + 8);
+  };
+
+  // IFD0 at 8: orientation (inline short), artist (text at 80), GPS directory at 50
+  tiff.writeUInt16BE(3, 8);
+  entry(10, 0x0112, 3, 1, orientation << 16);
+  entry(22, 0x013b, 2, 8, 80);
+  entry(34, 0x8825, 4, 1, 50);
+
+  // GPS directory at 50: latitude ref 'S' and a whole-degree latitude (one rational at 88)
+  tiff.writeUInt16BE(2, 50);
+  entry(52, 0x0001, 2, 2, 0x53000000);
+  entry(64, 0x0002, 5, 1, 88);
+  tiff.writeUInt32BE(33, 88);
+  tiff.writeUInt32BE(1, 92);
+
+  tiff.write('J. Doe\0', 80, 'latin1');
+  return tiff;
+}
+
+/**
+ * Builds one JPEG segment
+ */
+function segment(marker, body) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xff00 | marker, 0);
+  header.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Builds one PNG chunk
+ */
+function chunk(type, body) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  const typeAndBody = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndBody));
+  return Buffer.concat([length, typeAndBody, crc]);
+}
+
+/**
+ * Builds a 1x1 grey PNG with extra chunks before its image data
+ */
+function buildPng(extra) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(1, 0);
+  header.writeUInt32BE(1, 4);
+  header[8] = 8;
+  header[9] = 0;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    ...extra,
+    chunk('IDAT', zlib.deflateSync(Buffer.from([0, 128]))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Lists the chunk types of a PNG
+ */
+function pngChunkTypes(png) {
+  const types = [];
+  for (let position = 8; position < png.length;) {
+    const length = png.readUInt32BE(position);
+    types.push(png.subarray(position + 4, position + 8).toString('latin1'));
+    position += 12 + length;
+  }
+  return types;
+}
+
+/**
+ * Builds a RIFF chunk
+ */
+function riffChunk(type, body) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'latin1');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body, body.length & 1 ? Buffer.alloc(1) : Buffer.alloc(0)]);
+}
+
+const jpeg = encodeJpeg({ width: 8, height: 8, data: Buffer.alloc(8 * 8 * 3, 128) });
+
+describe('metadata utilities', () => {
+  test('should support JPEG, PNG, GIF and WebP', () => {
+    expect(['image/jpeg', 'image/png', 'image/gif', 'image/webp'].every(canStripMetadata)).toBe(true);
+    expect(canStripMetadata('video/mp4')).toBe(false);
+    expect(() => stripMetadata(Buffer.alloc(8), 'video/mp4'))
+      .toThrow('Metadata removal is not supported for video/mp4');
+  });
+
+  describe('JPEG', () => {
+    const withMetadata = orientation => Buffer.concat([
+      jpeg.subarray(0, 2),
+      segment(0xe1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), buildTiff(orientation)])),
+      segment(0xe1, Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>', 'latin1')),
+      segment(0xed, Buffer.from('Photoshop 3.0\0', 'latin1')),
+      segment(0xfe, Buffer.from('Taken at 12 Main St', 'latin1')),
+      jpeg.subarray(2),
+      Buffer.from('appended data')
+    ]);
+
+    test('should remove EXIF, GPS, XMP, IPTC, comments and trailing data', () => {
+      const original = withMetadata(1);
+      expect(extractExif(original)).toMatchObject({ ifd0: { Artist: 'J. Doe' }, gps: { GPSLatitude: 33 } });
+
+      const { data, removed } = stripMetadata(original, 'image/jpeg');
+
+      expect(removed).toEqual(['EXIF', 'XMP', 'IPTC', 'COM', 'trailing data']);
+      expect(data).toEqual(jpeg);
+      expect(data.includes('J. Doe')).toBe(false);
+      expect(data.includes('Main St')).toBe(false);
+    });
+
+    test('should keep the orientation and nothing else from the EXIF block', () => {
+      const { data } = stripMetadata(withMetadata(6), 'image/jpeg');
+
+      expect(getOrientation(data)).toBe(6);
+      expect(extractExif(data)).toEqual({ ifd0: { Orientation: 6 }, exif: {}, gps: {}, location: null });
+      expect(decodeJpeg(data)).toMatchObject({ width: 8, height: 8 });
+    });
+
+    test('should reject truncated files', () => {
+      expect(() => stripMetadata(jpeg.subarray(0, jpeg.length - 2), 'image/jpeg'))
+        .toThrow('Corrupt JPEG data: missing end of image');
+      expect(() => stripMetadata(Buffer.from('not a jpeg'), 'image/jpeg')).toThrow('Not a JPEG image');
+    });
+  });
+
+  describe('PNG', () => {
+    test('should remove text and EXIF chunks, keeping only the orientation', () => {
+      const png = buildPng([
+        chunk('tEXt', Buffer.from('Author\0J. Doe', 'latin1')),
+        chunk('eXIf', buildTiff(3)),
+        chunk('gAMA', Buffer.from([0, 0, 0xb1, 0x8f]))
+      ]);
+
+      const { data, removed } = stripMetadata(Buffer.concat([png, Buffer.from('junk')]), 'image/png');
+
+      expect(removed).toEqual(['tEXt', 'eXIf', 'trailing data']);
+      expect(pngChunkTypes(data)).toEqual(['IHDR', 'gAMA', 'eXIf', 'IDAT', 'IEND']);
+      expect(extractExif(data)).toEqual({ ifd0: { Orientation: 3 }, exif: {}, gps: {}, location: null });
+      expect(decodePng(data)).toMatchObject({ width: 1, height: 1 });
+    });
+
+    test('should reject files without an end chunk', () => {
+      const png = buildPng([]);
+
+      expect(() => stripMetadata(png.subarray(0, png.length - 12), 'image/png'))
+        .toThrow('Corrupt PNG data: missing end of image');
+    });
+  });
+
+  describe('GIF', () => {
+    test('should remove comments and XMP but keep animation control', () => {
+      const netscape = Buffer.concat([
+        Buffer.from([0x21, 0xff, 11]), Buffer.from('NETSCAPE2.0', 'latin1'), Buffer.from([3, 1, 0, 0, 0])
+      ]);
+      const gif = Buffer.concat([
+        Buffer.from('GIF89a', 'latin1'),
+        Buffer.from([1, 0, 1, 0, 0x80, 0, 0]),
+        Buffer.from([0, 0, 0, 255, 255, 255]),
+        netscape,
+        Buffer.from([0x21, 0xfe, 5]), Buffer.from('hello', 'latin1'), Buffer.from([0]),
+        Buffer.from([0x21, 0xff, 11]), Buffer.from('XMP DataXMP', 'latin1'), Buffer.from([2, 0x3c, 0x78, 0]),
+        Buffer.from([0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0]),
+        Buffer.from([2, 2, 0x4c, 0x01, 0, 0x3b])
+      ]);
+
+      const { data, removed } = stripMetadata(gif, 'image/gif');
+
+      expect(removed).toEqual(['comment', 'XMP']);
+      expect(data.includes('hello')).toBe(false);
+      expect(data.includes(netscape)).toBe(true);
+      expect(decodeGif(data)).toMatchObject({ width: 1, height: 1 });
+    });
+  });
+
+  describe('WebP', () => {
+    test('should remove EXIF and XMP chunks and clear their flags', () => {
+      const vp8x = Buffer.alloc(10);
+      vp8x[0] = 0x08 | 0x04 | 0x10;
+      const body = Buffer.concat([
+        riffChunk('VP8X', vp8x),
+        riffChunk('VP8 ', Buffer.from('frame')),
+        riffChunk('EXIF', buildTiff(1)),
+        riffChunk('XMP ', Buffer.from('<x:xmpmeta/>'))
+      ]);
+      const header = Buffer.from('RIFF\0\0\0\0WEBP', 'latin1');
+      header.writeUInt32LE(4 + body.length, 4);
+
+      const { data, removed } = stripMetadata(Buffer.concat([header, body]), 'image/webp');
+
+      expect(removed).toEqual(['EXIF', 'XMP']);
+      expect(data.readUInt32LE(4)).toBe(data.length - 8);
+      expect(data.subarray(12, 16).toString('latin1')).toBe('VP8X');
+      expect(data[20]).toBe(0x10);
+      expect(data.includes('J. Doe')).toBe(false);
+      expect(data.includes('frame')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for MIME utilities
+ */
+
+const {
+  parseMessage,
+  splitMbox,
+  parseAddress,
+  htmlToText,
+  decodeHeaderValue,
+  parseStructuredHeader
+} = require('../../../server/utils/mime');
+
+describe('MIME utilities', () => {
+  describe('decodeHeaderValue', () => {
+    test('should decode base64 and Q encoded words and join adjacent ones', () => {
+      expect(decodeHeaderValue('=?UTF-8?B?Q2Fmw6k=?= Driving')).toBe('Café Driving');
+      expect(decodeHeaderValue('=?ISO-8859-1?Q?Caf=E9_Driving?=')).toBe('Café Driving');
+      expect(decodeHeaderValue('=?UTF-8?Q?Ace?= =?UTF-8?Q?_School?=')).toBe('Ace School');
+      expect(decodeHeaderValue('Plain subject')).toBe('Plain subject');
+    });
+  });
+
+  describe('parseStructuredHeader', () => {
+    test('should parse the value and quoted parameters', () => {
+      expect(parseStructuredHeader('Multipart/Mixed; boundary="a;b"; charset=utf-8')).toEqual({
+        value: 'multipart/mixed',
+        params: { boundary: 'a;b', charset: 'utf-8' }
+      });
+    });
+
+    test('should join RFC 2231 continuations and decode charset-tagged values', () => {
+      const header = "attachment; filename*0*=UTF-8''caf%C3%A9%20; filename*1*=photo.jpg";
+      expect(parseStructuredHeader(header).params.filename).toBe('café photo.jpg');
+    });
+  });
+
+  describe('parseAddress', () => {
+    test('should parse named, bare and commented addresses', () => {
+      expect(parseAddress('"Doe, Jane" <Jane@Example.com>')).toEqual({ name: 'Doe, Jane', address: 'jane@example.com' });
+      expect(parseAddress('jane@example.com (Jane Doe)')).toEqual({ name: 'Jane Doe', address: 'jane@example.com' });
+      expect(parseAddress('undisclosed-recipients:;')).toBeNull();
+      expect(parseAddress(undefined)).toBeNull();
+    });
+  });
+
+  describe('htmlToText', () => {
+    test('should drop markup, keep line breaks and decode entities', () => {
+      const html = '<html><head><style>p{}</style></head><body><p>Saw &amp; heard</p><div>Line&nbsp;2<br>Line 3 &#8212; &#x41;</div></body></html>';
+      expect(htmlToText(html)).toBe('Saw & heard\nLine 2\nLine 3 — A');
+    });
+  });
+
+  describe('parseMessage', () => {
+    test('should parse a simple message', () => {
+      const message = parseMessage([
+        'From: Jane Doe <jane@example.com>',
+        'To: tips@njdsc.org',
+        'Subject: =?UTF-8?B?Q2Fmw6kgRHJpdmluZw==?=',
+        'Date: Mon, 15 Jan 2024 12:00:00 +0000',
+        'Message-ID: <abc@example.com>',
+        '',
+        'An instructor was teaching without a license.',
+        ''
+      ].join('\r\n'));
+
+      expect(message.from).toEqual({ name: 'Jane Doe', address: 'jane@example.com' });
+      expect(message.to.address).toBe('tips@njdsc.org');
+      expect(message.subject).toBe('Café Driving');
+      expect(message.date).toBe('2024-01-15T12:00:00.000Z');
+      expect(message.messageId).toBe('abc@example.com');
+      expect(message.text).toBe('An instructor was teaching without a license.');
+      expect(message.html).toBeNull();
+      expect(message.attachments).toEqual([]);
+    });
+
+    test('should parse nested multiparts with quoted-printable text and base64 attachments', () => {
+      const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+      const message = parseMessage([
+        'From: jane@example.com',
+        'Subject: Photos',
+        'Content-Type: multipart/mixed; boundary="outer"',
+        '',
+        'Preamble is ignored',
+        '--outer',
+        'Content-Type: multipart/alternative; boundary="inner"',
+        '',
+        '--inner',
+        'Content-Type: text/plain; charset=iso-8859-1',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'Caf=E9 lot, long line=',
+        ' continued',
+        '--inner',
+        'Content-Type: text/html; charset=utf-8',
+        '',
+        '<p>Café lot</p>',
+        '--inner--',
+        '--outer',
+        'Content-Type: image/jpeg; name="lot.jpg"',
+        'Content-Disposition: attachment',
+        'Content-Transfer-Encoding: base64',
+        '',
+        image.toString('base64'),
+        '--outer--',
+        'Epilogue is ignored'
+      ].join('\n'));
+
+      expect(message.text).toBe('Café lot, long line continued');
+      expect(message.html).toBe('<p>Café lot</p>');
+      expect(message.attachments).toEqual([
+        { filename: 'lot.jpg', contentType: 'image/jpeg', size: image.length, content: image }
+      ]);
+    });
+
+    test('should convert HTML-only messages to text', () => {
+      const message = parseMessage([
+        'From: jane@example.com',
+        'Content-Type: text/html',
+        '',
+        '<p>First</p><p>Second</p>'
+      ].join('\n'));
+
+      expect(message.text).toBe('First\nSecond');
+    });
+
+    test('should keep the text and files of a forwarded message', () => {
+      const message = parseMessage([
+        'From: member@example.com',
+        'Subject: Fwd: Ace Driving',
+        'Content-Type: multipart/mixed; boundary="b"',
+        '',
+        '--b',
+        'Content-Type: text/plain',
+        '',
+        'See below.',
+        '--b',
+        'Content-Type: message/rfc822',
+        '',
+        'From: Student <student@example.com>',
+        'Subject: Ace Driving',
+        'Content-Type: multipart/mixed; boundary="c"',
+        '',
+        '--c',
+        'Content-Type: text/plain',
+        '',
+        'They took cash with no receipt.',
+        '--c',
+        'Content-Type: image/png',
+        'Content-Disposition: attachment; filename="receipt.png"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from('png').toString('base64'),
+        '--c--',
+        '--b--'
+      ].join('\n'));
+
+      expect(message.text).toBe([
+        'See below.',
+        '',
+        '---------- Forwarded message ----------',
+        'From: Student <student@example.com>',
+        'Subject: Ace Driving',
+        '',
+        'They took cash with no receipt.'
+      ].join('\n'));
+      expect(message.attachments.map(attachment => attachment.filename)).toEqual(['receipt.png']);
+    });
+
+    test('should name attachments that have no filename', () => {
+      const message = parseMessage([
+        'Content-Type: multipart/mixed; boundary=b',
+        '',
+        '--b',
+        'Content-Type: application/pdf',
+        '',
+        'pdf',
+        '--b--'
+      ].join('\n'));
+
+      expect(message.from).toBeNull();
+      expect(message.attachments[0]).toMatchObject({ filename: 'attachment-1', contentType: 'application/pdf' });
+    });
+  });
+
+  describe('splitMbox', () => {
+    test('should split on From lines and unescape quoted From lines', () => {
+      const messages = splitMbox([
+        'From jane@example.com Mon Jan 15 12:00:00 2024',
+        'Subject: One',
+        '',
+        '>From the start',
+        '',
+        'From bob@example.com Mon Jan 15 13:00:00 2024',
+        'Subject: Two',
+        '',
+        'Body two',
+        ''
+      ].join('\n'));
+
+      expect(messages).toHaveLength(2);
+      expect(parseMessage(messages[0]).text).toBe('From the start');
+      expect(parseMessage(messages[1]).subject).toBe('Two');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for PDF utilities
+ */
+
+const { buildPdf, wrapText, escapePdfText } = require('../../../server/utils/pdf');
+
+describe('PDF utilities', () => {
+  describe('escapePdfText', () => {
+    test('should escape string delimiters and replace characters Helvetica cannot show', () => {
+      expect(escapePdfText('a (b) \\ c')).toBe('a \\(b\\) \\\\ c');
+      expect(escapePdfText('café ✓')).toBe('café ?');
+    });
+  });
+
+  describe('wrapText', () => {
+    test('should wrap on word boundaries and keep explicit line breaks', () => {
+      // 10pt text in 55pt fits 10 characters per line
+      expect(wrapText('one two three four', 55, 10)).toEqual(['one two', 'three four']);
+      expect(wrapText('first\nsecond', 500, 10)).toEqual(['first', 'second']);
+    });
+
+    test('should split words longer than a line', () => {
+      expect(wrapText('abcdefghijklmno', 55, 10)).toEqual(['abcdefghij', 'klmno']);
+    });
+
+    test('should treat missing text as one empty line', () => {
+      expect(wrapText(null, 100, 10)).toEqual(['']);
+    });
+  });
+
+  describe('buildPdf', () => {
+    const date = new Date('2024-03-05T10:20:30.000Z');
+
+    test('should build a well-formed document with a valid cross-reference table', () => {
+      const pdf = buildPdf({
+        title: 'Referral (test)',
+        date,
+        blocks: [
+          { text: 'Heading', style: 'heading' },
+          { label: 'School name', value: 'Test Driving School' }
+        ]
+      });
+      const text = pdf.toString('latin1');
+
+      expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(text).toContain('(Test Driving School) Tj');
+      expect(text).toContain('/Title (Referral \\(test\\))');
+      expect(text).toContain('/CreationDate (D:20240305102030Z)');
+
+      // Every xref entry points at the start of its object
+      const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+      const entries = text.slice(startxref).split('\n').slice(3).filter(line => / 00000 n $/.test(line));
+      entries.forEach((entry, index) => {
+        const offset = Number(entry.slice(0, 10));
+        expect(text.startsWith(`${index + 1} 0 obj\n`, offset)).toBe(true);
+      });
+    });
+
+    test('should start new pages when content overflows and number them in the footer', () => {
+      const blocks = Array.from({ length: 120 }, (_, i) => ({ text: `Line ${i + 1}` }));
+      const text = buildPdf({ title: 'Long', blocks, date }).toString('latin1');
+
+      const pageCount = Number(text.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+      expect(pageCount).toBeGreaterThan(1);
+      expect(text).toContain(`(Long - Page ${pageCount} of ${pageCount})`);
+      expect(text).toContain('(Line 120) Tj');
+    });
+  });
+});
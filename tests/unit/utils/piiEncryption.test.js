@@ -0,0 +1,195 @@
+/**
+ * Unit tests for PII encryption utilities
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  encryptPii,
+  decryptPii,
+  rewrapPii,
+  getCurrentKeyId,
+  revealReporterPii,
+  sealReporterPii,
+  needsReencryption,
+  clearKeyCache,
+  getKeyFilePath
+} = require('../../../server/utils/piiEncryption');
+
+const keyA = crypto.randomBytes(32).toString('base64');
+const keyB = crypto.randomBytes(32).toString('hex');
+
+const reporter = {
+  reporterName: 'Jane Doe',
+  reporterEmail: 'jane@example.com',
+  reporterPhone: '973-555-0100',
+  reporterIp: '203.0.113.5'
+};
+
+describe('piiEncryption', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.PII_ENCRYPTION_KEY = keyA;
+    delete process.env.PII_ENCRYPTION_PREVIOUS_KEYS;
+    delete process.env.PII_KEY_FILE;
+    clearKeyCache();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    clearKeyCache();
+  });
+
+  describe('encryptPii and decryptPii', () => {
+    test('should round-trip fields without storing them in plain text', () => {
+      const envelope = encryptPii(reporter, 'rep_ABC123');
+
+      expect(envelope).toMatchObject({ version: 1, keyId: getCurrentKeyId() });
+      expect(JSON.stringify(envelope)).not.toMatch(/Jane|jane@example\.com|555-0100|203\.0\.113\.5/);
+      expect(decryptPii(envelope, 'rep_ABC123')).toEqual(reporter);
+    });
+
+    test('should use a new data key for every envelope', () => {
+      const first = encryptPii(reporter, 'rep_ABC123');
+      const second = encryptPii(reporter, 'rep_ABC123');
+
+      expect(first.wrappedKey).not.toBe(second.wrappedKey);
+      expect(first.ciphertext).not.toBe(second.ciphertext);
+    });
+
+    test('should refuse an envelope moved to another record or altered', () => {
+      const envelope = encryptPii(reporter, 'rep_ABC123');
+      const ciphertext = Buffer.from(envelope.ciphertext, 'base64');
+      ciphertext[0] ^= 1;
+
+      expect(() => decryptPii(envelope, 'rep_XYZ789')).toThrow('PII decryption failed: data does not match its record');
+      expect(() => decryptPii({ ...envelope, ciphertext: ciphertext.toString('base64') }, 'rep_ABC123'))
+        .toThrow('PII decryption failed');
+      expect(() => decryptPii({ ...envelope, version: 2 }, 'rep_ABC123')).toThrow('unsupported envelope');
+    });
+
+    test('should reject keys that are not 32 bytes', () => {
+      process.env.PII_ENCRYPTION_KEY = 'too-short';
+
+      expect(() => encryptPii(reporter, 'rep_ABC123'))
+        .toThrow('Invalid PII encryption key: expected 32 bytes, base64 or hex encoded');
+    });
+  });
+
+  describe('key rotation', () => {
+    test('should decrypt with a previous key and re-wrap with the current one', () => {
+      const envelope = encryptPii(reporter, 'rep_ABC123');
+
+      process.env.PII_ENCRYPTION_KEY = keyB;
+      process.env.PII_ENCRYPTION_PREVIOUS_KEYS = keyA;
+      clearKeyCache();
+
+      expect(decryptPii(envelope, 'rep_ABC123')).toEqual(reporter);
+      expect(needsReencryption({ id: 'rep_ABC123', reporterPii: envelope })).toBe(true);
+
+      const rewrapped = rewrapPii(envelope);
+      expect(rewrapped.keyId).toBe(getCurrentKeyId());
+      expect(rewrapped.ciphertext).toBe(envelope.ciphertext);
+      expect(rewrapPii(rewrapped)).toBe(rewrapped);
+
+      delete process.env.PII_ENCRYPTION_PREVIOUS_KEYS;
+      clearKeyCache();
+
+      expect(decryptPii(rewrapped, 'rep_ABC123')).toEqual(reporter);
+      expect(() => decryptPii(envelope, 'rep_ABC123')).toThrow(`Unknown PII encryption key: ${envelope.keyId}`);
+    });
+  });
+
+  describe('keyfile', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'njdsc-pii-'));
+      delete process.env.PII_ENCRYPTION_KEY;
+      process.env.PII_KEY_FILE = path.join(dir, 'keys', 'pii.key');
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should create a private keyfile on first use', () => {
+      const envelope = encryptPii(reporter, 'rep_ABC123');
+
+      const keyFile = getKeyFilePath();
+      expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Generated a new key'));
+
+      clearKeyCache();
+      expect(decryptPii(envelope, 'rep_ABC123')).toEqual(reporter);
+    });
+
+    test('should use the first key in the file and keep the others for decryption', () => {
+      fs.mkdirSync(path.dirname(getKeyFilePath()));
+      fs.writeFileSync(getKeyFilePath(), `${keyA}\n`);
+      const envelope = encryptPii(reporter, 'rep_ABC123');
+
+      fs.writeFileSync(getKeyFilePath(), `# Newest key first\n${keyB}\n${keyA}\n`);
+      clearKeyCache();
+
+      expect(rewrapPii(envelope).keyId).not.toBe(envelope.keyId);
+      expect(decryptPii(envelope, 'rep_ABC123')).toEqual(reporter);
+    });
+
+    test('should refuse an empty keyfile', () => {
+      fs.mkdirSync(path.dirname(getKeyFilePath()));
+      fs.writeFileSync(getKeyFilePath(), '# no keys yet\n');
+
+      expect(() => encryptPii(reporter, 'rep_ABC123')).toThrow('No PII encryption key found');
+    });
+  });
+
+  describe('sealReporterPii and revealReporterPii', () => {
+    test('should encrypt reporter fields and clear the plain ones', () => {
+      const row = sealReporterPii({ id: 'rep_ABC123', schoolName: 'ABC Driving School', ...reporter, reporterSchool: '' });
+
+      expect(row.schoolName).toBe('ABC Driving School');
+      expect(row.reporterEmail).toBeUndefined();
+      expect(JSON.stringify(row)).not.toContain('jane@example.com');
+      expect(revealReporterPii(row)).toEqual(reporter);
+      expect(needsReencryption(JSON.parse(JSON.stringify(row)))).toBe(false);
+    });
+
+    test('should keep stored fields when a report is saved without them', () => {
+      const stored = sealReporterPii({ id: 'rep_ABC123', ...reporter });
+      const resaved = sealReporterPii({ ...stored, reporterName: '', reporterEmail: 'new@example.com' });
+
+      expect(revealReporterPii(resaved)).toEqual({ ...reporter, reporterEmail: 'new@example.com' });
+    });
+
+    test('should store nothing for a report without reporter details', () => {
+      expect(sealReporterPii({ id: 'rep_ABC123', reporterName: '' }).reporterPii).toBeNull();
+      expect(revealReporterPii({ id: 'rep_ABC123' })).toEqual({});
+    });
+
+    test('should fail to save rather than drop details it cannot decrypt', () => {
+      const stored = sealReporterPii({ id: 'rep_ABC123', ...reporter });
+      process.env.PII_ENCRYPTION_KEY = keyB;
+      clearKeyCache();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(() => sealReporterPii({ ...stored, reporterPii: { ...stored.reporterPii } }))
+        .toThrow('Unknown PII encryption key');
+      expect(revealReporterPii({ ...stored, reporterPii: { ...stored.reporterPii } })).toEqual({});
+      expect(console.warn).toHaveBeenCalledWith(
+        'Failed to decrypt reporter details for report rep_ABC123:', expect.stringContaining('Unknown PII encryption key')
+      );
+      console.warn.mockRestore();
+    });
+
+    test('should flag rows with plain reporter fields', () => {
+      expect(needsReencryption({ id: 'rep_ABC123', reporterEmail: 'jane@example.com' })).toBe(true);
+      expect(needsReencryption({ id: 'rep_ABC123', reporterEmail: '' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for PNG utilities
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('../../../server/utils/zip');
+const { decodePng } = require('../../../server/utils/png');
+
+/**
+ * Builds one PNG chunk
+ */
+function chunk(type, body) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  const typeAndBody = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndBody));
+  return Buffer.concat([length, typeAndBody, crc]);
+}
+
+/**
+ * Builds a PNG file from already filtered scanlines
+ */
+function buildPng({ width, height, bitDepth = 8, colorType, interlaced = false, scanlines, extra = [] }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  header[12] = interlaced ? 1 : 0;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    ...extra,
+    chunk('IDAT', zlib.deflateSync(Buffer.from(scanlines))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Reads the RGBA values of one decoded pixel
+ */
+function pixel(image, x, y) {
+  const at = (y * image.width + x) * 4;
+  return Array.from(image.data.subarray(at, at + 4));
+}
+
+describe('PNG utilities', () => {
+  test('should decode an RGBA image', () => {
+    const png = buildPng({
+      width: 2,
+      height: 1,
+      colorType: 6,
+      scanlines: [0, 255, 0, 0, 255, 0, 0, 255, 128]
+    });
+
+    const image = decodePng(png);
+
+    expect(image.width).toBe(2);
+    expect(image.height).toBe(1);
+    expect(pixel(image, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(image, 1, 0)).toEqual([0, 0, 255, 128]);
+  });
+
+  test('should reverse Sub, Up, Average and Paeth filters', () => {
+    // Gray 2x4: every row is [10, 30]
+    const png = buildPng({
+      width: 2,
+      height: 4,
+      colorType: 0,
+      scanlines: [
+        1, 10, 20, // Sub
+        2, 0, 0, // Up
+        3, 5, 10, // Average of left and up
+        4, 0, 0 // Paeth
+      ]
+    });
+
+    const image = decodePng(png);
+
+    for (let y = 0; y < 4; y++) {
+      expect(pixel(image, 0, y)).toEqual([10, 10, 10, 255]);
+      expect(pixel(image, 1, y)).toEqual([30, 30, 30, 255]);
+    }
+  });
+
+  test('should decode palette images with transparency', () => {
+    const png = buildPng({
+      width: 4,
+      height: 1,
+      bitDepth: 2,
+      colorType: 3,
+      scanlines: [0, 0b00011011],
+      extra: [
+        chunk('PLTE', Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255])),
+        chunk('tRNS', Buffer.from([0]))
+      ]
+    });
+
+    const image = decodePng(png);
+
+    expect(pixel(image, 0, 0)).toEqual([255, 0, 0, 0]);
+    expect(pixel(image, 1, 0)).toEqual([0, 255, 0, 255]);
+    expect(pixel(image, 2, 0)).toEqual([0, 0, 255, 255]);
+    expect(pixel(image, 3, 0)).toEqual([255, 255, 255, 255]);
+  });
+
+  test('should keep the high byte of 16-bit samples', () => {
+    const png = buildPng({
+      width: 1,
+      height: 1,
+      bitDepth: 16,
+      colorType: 2,
+      scanlines: [0, 0x12, 0x34, 0xab, 0xcd, 0xff, 0xff]
+    });
+
+    expect(pixel(decodePng(png), 0, 0)).toEqual([0x12, 0xab, 0xff, 255]);
+  });
+
+  test('should decode Adam7 interlaced images', () => {
+    // 2x2 gray: pass 1 holds (0,0), pass 6 holds (1,0), pass 7 holds row 1
+    const png = buildPng({
+      width: 2,
+      height: 2,
+      colorType: 0,
+      interlaced: true,
+      scanlines: [0, 10, 0, 20, 0, 30, 40]
+    });
+
+    const image = decodePng(png);
+
+    expect(pixel(image, 0, 0)[0]).toBe(10);
+    expect(pixel(image, 1, 0)[0]).toBe(20);
+    expect(pixel(image, 0, 1)[0]).toBe(30);
+    expect(pixel(image, 1, 1)[0]).toBe(40);
+  });
+
+  test('should reject data that is not a PNG', () => {
+    expect(() => decodePng(Buffer.from('GIF89a'))).toThrow('Not a PNG image');
+  });
+
+  test('should reject unknown row filters', () => {
+    const png = buildPng({ width: 1, height: 1, colorType: 0, scanlines: [9, 0] });
+
+    expect(() => decodePng(png)).toThrow('Corrupt PNG data: unknown row filter 9');
+  });
+
+  test('should refuse images larger than the pixel limit', () => {
+    const png = buildPng({ width: 100, height: 100, colorType: 0, scanlines: [] });
+
+    expect(() => decodePng(png, { maxPixels: 5000 })).toThrow('Image is too large to process (100x100)');
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Unit tests for reply tokens
+ */
+
+const { buildThreadMessageId, findThreadReference } = require('../../../server/utils/replyToken');
+
+describe('replyToken', () => {
+  test('should build a signed Message-ID on the sender domain', () => {
+    const messageId = buildThreadMessageId('eml_ABCDEFGHIJ', 'rep_ABC123', 'NJDSC <noreply@njdsc.org>');
+
+    expect(messageId).toMatch(/^<eml_ABCDEFGHIJ\.rep_ABC123\.[0-9a-f]{16}@njdsc\.org>$/);
+    expect(buildThreadMessageId('eml_ABCDEFGHIJ', 'rep_ABC123')).toMatch(/@njdsc\.local>$/);
+  });
+
+  test('should find the message a reply answers in In-Reply-To or References', () => {
+    const older = buildThreadMessageId('eml_AAAAAAAAAA', 'rep_ABC123', 'noreply@njdsc.org');
+    const newer = buildThreadMessageId('eml_BBBBBBBBBB', 'rep_ABC123', 'noreply@njdsc.org');
+
+    expect(findThreadReference(older)).toEqual({ outboundId: 'eml_AAAAAAAAAA', reportId: 'rep_ABC123' });
+    expect(findThreadReference('', `${older} <other@example.com> ${newer}`))
+      .toEqual({ outboundId: 'eml_BBBBBBBBBB', reportId: 'rep_ABC123' });
+    expect(findThreadReference(older, newer)).toEqual({ outboundId: 'eml_AAAAAAAAAA', reportId: 'rep_ABC123' });
+  });
+
+  test('should ignore tokens with a wrong signature', () => {
+    const messageId = buildThreadMessageId('eml_ABCDEFGHIJ', 'rep_ABC123', 'noreply@njdsc.org');
+    const forged = messageId.replace('rep_ABC123', 'rep_XYZ789');
+
+    expect(findThreadReference(forged)).toBeNull();
+    expect(findThreadReference('<abc@example.com>', undefined)).toBeNull();
+    expect(findThreadReference()).toBeNull();
+  });
+});
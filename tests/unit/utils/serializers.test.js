@@ -0,0 +1,198 @@
+/**
+ * Unit tests for serializers
+ */
+
+const Report = require('../../../server/models/Report');
+const { sealReporterPii } = require('../../../server/utils/piiEncryption');
+const {
+  AUDIENCE,
+  getAudience,
+  serializeReport,
+  serializeReports,
+  serializeFile,
+  serializeFiles,
+  serializeAuditLog,
+  serializeAuditLogs,
+  REPORT_FIELDS,
+  FILE_FIELDS,
+  AUDIT_LOG_FIELDS
+} = require('../../../server/utils/serializers');
+
+// Values that identify a reporter, uploader or admin and must never reach the public
+const PII = ['Jane Doe', 'jane@example.com', '555-0100', 'Lincoln High', '203.0.113.5', 'Called Jane back',
+  '/data/originals/rep_ABC123/file_ABC123.jpg', 'J. Doe'];
+
+const file = {
+  id: 'file_ABC123',
+  reportId: 'rep_ABC123',
+  originalName: 'evidence.jpg',
+  mimeType: 'image/jpeg',
+  size: 1024,
+  publicUrl: '/api/files/file_ABC123/download',
+  thumbnailUrl: '/api/files/file_ABC123/download?variant=thumbnail',
+  uploadedAt: '2023-01-01T00:00:00.000Z',
+  uploadedByIp: '203.0.113.5',
+  processingStatus: 'completed',
+  width: 800,
+  height: 600,
+  localFilePath: 'rep_ABC123/file_ABC123.jpg',
+  originalFilePath: '/data/originals/rep_ABC123/file_ABC123.jpg',
+  exif: { ifd0: { Artist: 'J. Doe' }, exif: {}, gps: { GPSLatitude: 40 }, location: { latitude: 40, longitude: -74 } },
+  metadataStrippedAt: '2023-01-01T00:00:01.000Z'
+};
+
+const report = new Report({
+  id: 'rep_ABC123',
+  schoolName: 'ABC Driving School',
+  violationDescription: 'Unlicensed lessons',
+  status: 'Added',
+  uploadedFiles: [
+    { id: 'file_ABC123', name: 'evidence.jpg', type: 'image/jpeg', size: 1024, url: '/api/files/file_ABC123/download' }
+  ],
+  reporterName: 'Jane Doe',
+  reporterEmail: 'jane@example.com',
+  reporterPhone: '973-555-0100',
+  reporterSchool: 'Lincoln High',
+  reporterIp: '203.0.113.5',
+  adminNotes: 'Called Jane back',
+  createdAt: '2023-01-01T00:00:00.000Z',
+  updatedAt: '2023-01-01T00:00:00.000Z',
+  lastReported: '2023-01-01T00:00:00.000Z'
+});
+
+const auditEntry = {
+  id: 'aud_ABC123',
+  timestamp: '2023-01-01T00:00:00.000Z',
+  action: 'REPORT_STATUS_CHANGED',
+  adminUser: 'admin',
+  targetType: 'report',
+  targetId: 'rep_ABC123',
+  details: 'Status changed',
+  ipAddress: '203.0.113.5',
+  changes: { status: { from: 'Added', to: 'Closed' } },
+  metadata: { eventType: 'report_management' }
+};
+
+describe('serializers', () => {
+  test('should map signed-in users to their role and everyone else to the public', () => {
+    expect(getAudience({ role: 'investigator' })).toBe(AUDIENCE.INVESTIGATOR);
+    expect(getAudience({ role: 'superuser' })).toBe(AUDIENCE.PUBLIC);
+    expect(getAudience(null)).toBe(AUDIENCE.PUBLIC);
+    expect(getAudience(undefined)).toBe(AUDIENCE.PUBLIC);
+  });
+
+  test('should reject unknown audiences', () => {
+    expect(() => serializeReport(report, 'superuser')).toThrow('Unknown audience: superuser');
+  });
+
+  test('should leave no personal data in public responses', () => {
+    // Embedded file entries written before files were serialized may carry the uploader's address
+    const legacyReport = { ...report, uploadedFiles: [{ ...report.uploadedFiles[0], uploadedByIp: '203.0.113.5' }] };
+    const output = JSON.stringify([
+      serializeReport(legacyReport, AUDIENCE.PUBLIC),
+      serializeReports([report], AUDIENCE.PUBLIC),
+      serializeFile(file, AUDIENCE.PUBLIC),
+      serializeFiles([file], AUDIENCE.PUBLIC),
+      serializeAuditLog(auditEntry, AUDIENCE.PUBLIC),
+      serializeAuditLogs([auditEntry], AUDIENCE.PUBLIC)
+    ]);
+
+    for (const value of PII) {
+      expect(output).not.toContain(value);
+    }
+    expect(output).not.toMatch(/reporter|uploadedByIp|adminNotes|ipAddress|exif|originalFilePath|localFilePath/);
+  });
+
+  test('should show public report fields and nested files', () => {
+    expect(serializeReport(report, AUDIENCE.PUBLIC)).toEqual({
+      id: 'rep_ABC123',
+      schoolName: 'ABC Driving School',
+      violationDescription: 'Unlicensed lessons',
+      status: 'Added',
+      uploadedFiles: [{
+        id: 'file_ABC123', name: 'evidence.jpg', type: 'image/jpeg', size: 1024, url: '/api/files/file_ABC123/download'
+      }],
+      schoolId: null,
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-01T00:00:00.000Z',
+      lastReported: '2023-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('should add reporter details as the role rises', () => {
+    const viewer = serializeReport(report, AUDIENCE.VIEWER);
+    const investigator = serializeReport(report, AUDIENCE.INVESTIGATOR);
+    const admin = serializeReport(report, AUDIENCE.ADMIN);
+
+    expect(viewer.adminNotes).toBe('Called Jane back');
+    expect(viewer).not.toHaveProperty('reporterEmail');
+    expect(investigator).toMatchObject({
+      reporterName: 'Jane Doe',
+      reporterEmail: 'jane@example.com',
+      reporterPhone: '973-555-0100',
+      reporterSchool: 'Lincoln High'
+    });
+    expect(investigator).not.toHaveProperty('reporterIp');
+    expect(admin.reporterIp).toBe('203.0.113.5');
+  });
+
+  test('should decrypt stored reporter details only for the roles allowed to see them', () => {
+    const stored = new Report(JSON.parse(JSON.stringify(sealReporterPii(report))));
+
+    expect(stored.reporterEmail).toBeUndefined();
+    expect(JSON.stringify(serializeReport(stored, AUDIENCE.VIEWER))).not.toMatch(/reporter|Jane Doe/);
+    expect(serializeReport(stored, AUDIENCE.INVESTIGATOR)).toMatchObject({
+      reporterName: 'Jane Doe',
+      reporterEmail: 'jane@example.com'
+    });
+    expect(serializeReport(stored, AUDIENCE.ADMIN).reporterIp).toBe('203.0.113.5');
+    expect(serializeReport(stored, AUDIENCE.ADMIN)).not.toHaveProperty('reporterPii');
+  });
+
+  test('should rename file fields and keep uploader details for admins', () => {
+    expect(serializeFile(file, AUDIENCE.PUBLIC)).toEqual({
+      id: 'file_ABC123',
+      reportId: 'rep_ABC123',
+      name: 'evidence.jpg',
+      type: 'image/jpeg',
+      size: 1024,
+      url: '/api/files/file_ABC123/download',
+      thumbnailUrl: '/api/files/file_ABC123/download?variant=thumbnail',
+      uploadedAt: '2023-01-01T00:00:00.000Z',
+      processingStatus: 'completed'
+    });
+    expect(serializeFile({ ...file, publicUrl: '', driveUrl: 'https://drive.example/1' }, AUDIENCE.PUBLIC).url)
+      .toBe('https://drive.example/1');
+    expect(serializeFile(file, AUDIENCE.VIEWER)).toMatchObject({ width: 800, height: 600 });
+    expect(serializeFile(file, AUDIENCE.INVESTIGATOR)).not.toHaveProperty('uploadedByIp');
+    expect(serializeFile(file, AUDIENCE.ADMIN).uploadedByIp).toBe('203.0.113.5');
+  });
+
+  test('should never serialize EXIF or storage paths', () => {
+    const admin = serializeFile(file, AUDIENCE.ADMIN);
+
+    expect(admin).not.toHaveProperty('exif');
+    expect(admin).not.toHaveProperty('originalFilePath');
+    expect(admin).not.toHaveProperty('localFilePath');
+  });
+
+  test('should show audit entries to investigators and admins only', () => {
+    expect(serializeAuditLog(auditEntry, AUDIENCE.PUBLIC)).toEqual({});
+    expect(serializeAuditLog(auditEntry, AUDIENCE.VIEWER)).toEqual({});
+    expect(serializeAuditLog(auditEntry, AUDIENCE.INVESTIGATOR).details).toBe(auditEntry.details);
+    expect(serializeAuditLog(auditEntry, AUDIENCE.INVESTIGATOR)).not.toHaveProperty('ipAddress');
+    expect(serializeAuditLog(auditEntry, AUDIENCE.ADMIN)).toEqual(auditEntry);
+  });
+
+  test('should pass missing records and lists through', () => {
+    expect(serializeReport(null, AUDIENCE.PUBLIC)).toBeNull();
+    expect(serializeFiles(undefined, AUDIENCE.PUBLIC)).toBeUndefined();
+  });
+
+  test('should give each field to a single audience', () => {
+    for (const policy of [REPORT_FIELDS, FILE_FIELDS, AUDIT_LOG_FIELDS]) {
+      const names = Object.values(policy).flat().map(field => (Array.isArray(field) ? field[0] : field));
+      expect(new Set(names).size).toBe(names.length);
+    }
+  });
+});
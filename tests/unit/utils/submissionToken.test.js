@@ -0,0 +1,25 @@
+/**
+ * Unit tests for submission tokens
+ */
+
+const { createSubmissionToken, verifySubmissionToken } = require('../../../server/utils/submissionToken');
+
+describe('submissionToken', () => {
+  const ticketId = 'report_20250926_180000_abc123';
+
+  test('should accept the token issued for a ticket', () => {
+    const token = createSubmissionToken(ticketId);
+
+    expect(token).toMatch(/^[0-9a-f]{32}$/);
+    expect(verifySubmissionToken(ticketId, token)).toBe(true);
+  });
+
+  test('should reject tokens issued for another ticket or malformed tokens', () => {
+    const token = createSubmissionToken('report_20250926_180000_zzz999');
+
+    expect(verifySubmissionToken(ticketId, token)).toBe(false);
+    expect(verifySubmissionToken(ticketId, token.slice(0, 16))).toBe(false);
+    expect(verifySubmissionToken(ticketId, undefined)).toBe(false);
+    expect(verifySubmissionToken(undefined, token)).toBe(false);
+  });
+});
@@ -9,9 +9,13 @@ const {
   toE164PhoneNumber,
   validateUrl,
   normalizeUrl,
+  extractDomain,
+  normalizeSchoolName,
   validateIpAddress,
   sanitizeString,
   validateDuplicateReport,
+  scoreReportSimilarity,
+  DUPLICATE_SCORE_THRESHOLD,
   validateFileUpload,
   formatValidationError,
   createValidationResult,
@@ -102,6 +106,28 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('extractDomain', () => {
+    test('should reduce URLs to a lowercase domain without www', () => {
+      expect(extractDomain('https://www.Example.com/contact')).toBe('example.com');
+      expect(extractDomain('example.com')).toBe('example.com');
+      expect(extractDomain('http://lessons.example.com?x=1')).toBe('lessons.example.com');
+    });
+
+    test('should return null for missing or unparseable URLs', () => {
+      expect(extractDomain('')).toBeNull();
+      expect(extractDomain(null)).toBeNull();
+      expect(extractDomain('http://')).toBeNull();
+    });
+  });
+
+  describe('normalizeSchoolName', () => {
+    test('should ignore case, punctuation and business suffixes', () => {
+      expect(normalizeSchoolName('A.B.C. Driving School, LLC')).toBe('abc driving school');
+      expect(normalizeSchoolName("Joe's Driving Inc.")).toBe('joes driving');
+      expect(normalizeSchoolName('Smith & Sons')).toBe('smith and sons');
+    });
+  });
+
   describe('validateIpAddress', () => {
     test('should validate IPv4 addresses', () => {
       expect(validateIpAddress('192.168.1.1')).toBe(true);
@@ -152,6 +178,72 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('scoreReportSimilarity', () => {
+    test('should score spelling variants of the same name as duplicates', () => {
+      const result = scoreReportSimilarity(
+        { schoolName: 'ABC Driving School LLC' },
+        { schoolName: 'A.B.C. Driving School' }
+      );
+
+      expect(result.score).toBe(1);
+      expect(result.reasons).toEqual(['Similar school name (100%)']);
+    });
+
+    test('should not match different schools that share generic words', () => {
+      const result = scoreReportSimilarity(
+        { schoolName: 'Elite Driving School' },
+        { schoolName: 'Safe Driving School' }
+      );
+
+      expect(result.score).toBeLessThan(DUPLICATE_SCORE_THRESHOLD);
+    });
+
+    test('should treat a shared phone number as a likely duplicate', () => {
+      const result = scoreReportSimilarity(
+        { schoolName: 'Road Masters', phoneNumber: '(555) 123-4567' },
+        { schoolName: 'Precision Drivers', phoneNumber: '+1 555.123.4567' }
+      );
+
+      expect(result.score).toBeGreaterThanOrEqual(DUPLICATE_SCORE_THRESHOLD);
+      expect(result.reasons).toContain('Same phone number');
+    });
+
+    test('should treat a shared website domain as a likely duplicate', () => {
+      const result = scoreReportSimilarity(
+        { schoolName: 'Road Masters', websiteUrl: 'https://www.roadmasters.com' },
+        { schoolName: 'RM Lessons', websiteUrl: 'http://roadmasters.com/book' }
+      );
+
+      expect(result.score).toBeGreaterThanOrEqual(DUPLICATE_SCORE_THRESHOLD);
+      expect(result.reasons).toContain('Same website domain');
+    });
+
+    test('should lower the score when contact details disagree', () => {
+      const nameOnly = scoreReportSimilarity(
+        { schoolName: 'Joes Driving School' },
+        { schoolName: "Joe's Driving Academy" }
+      );
+      const conflicting = scoreReportSimilarity(
+        { schoolName: 'Joes Driving School', phoneNumber: '555-111-2222', location: 'Newark' },
+        { schoolName: "Joe's Driving Academy", phoneNumber: '555-999-8888', location: 'Cape May' }
+      );
+
+      expect(nameOnly.score).toBe(1);
+      expect(conflicting.score).toBeLessThan(nameOnly.score);
+      expect(conflicting.reasons).not.toContain('Same phone number');
+    });
+
+    test('should report a matching location', () => {
+      const result = scoreReportSimilarity(
+        { schoolName: 'Garden State Drivers', location: 'Trenton, NJ' },
+        { schoolName: 'Garden State Driving', location: 'trenton nj' }
+      );
+
+      expect(result.reasons).toContain('Same location');
+      expect(result.score).toBeGreaterThanOrEqual(DUPLICATE_SCORE_THRESHOLD);
+    });
+  });
+
   describe('validateFileUpload', () => {
     test('should validate correct file upload', () => {
       const buffer = Buffer.from('test');
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for XLSX utilities
+ */
+
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { writeXlsx, buildRowXml, columnLetter, escapeXml } = require('../../../server/utils/xlsx');
+
+/**
+ * Reads entry names and contents back through the central directory
+ */
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26);
+
+    entries[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('XLSX utilities', () => {
+  describe('columnLetter', () => {
+    test('should convert indexes to spreadsheet column letters', () => {
+      expect(columnLetter(0)).toBe('A');
+      expect(columnLetter(25)).toBe('Z');
+      expect(columnLetter(26)).toBe('AA');
+      expect(columnLetter(701)).toBe('ZZ');
+      expect(columnLetter(702)).toBe('AAA');
+    });
+  });
+
+  describe('escapeXml', () => {
+    test('should escape markup and drop characters XML cannot hold', () => {
+      expect(escapeXml('a < b & "c" > d')).toBe('a &lt; b &amp; &quot;c&quot; &gt; d');
+      expect(escapeXml('bell\u0007 tab\t')).toBe('bell tab\t');
+    });
+  });
+
+  describe('buildRowXml', () => {
+    test('should write numbers as numeric cells and text as inline strings', () => {
+      const xml = buildRowXml(['ABC', 3], 2);
+
+      expect(xml).toBe(
+        '<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">ABC</t></is></c><c r="B2"><v>3</v></c></row>'
+      );
+    });
+
+    test('should skip empty cells but keep later cells in their column', () => {
+      const xml = buildRowXml(['A', null, '', 'D'], 5);
+
+      expect(xml).toContain('r="A5"');
+      expect(xml).toContain('r="D5"');
+      expect(xml).not.toContain('r="B5"');
+      expect(xml).not.toContain('r="C5"');
+    });
+
+    test('should apply a style to every cell', () => {
+      expect(buildRowXml(['Header'], 1, 1)).toContain('<c r="A1" s="1" t="inlineStr">');
+    });
+
+    test('should not treat formula-like text as a formula', () => {
+      expect(buildRowXml(['=SUM(A1)'], 2)).toContain('t="inlineStr"><is><t xml:space="preserve">=SUM(A1)</t>');
+    });
+  });
+
+  describe('writeXlsx', () => {
+    test('should write a workbook with the sheet, header and rows', async () => {
+      const output = new PassThrough();
+      const chunks = [];
+      output.on('data', chunk => chunks.push(chunk));
+
+      await writeXlsx(output, {
+        name: 'Reports: 2025/09',
+        headers: ['Name', 'Count'],
+        rows: [['ABC & Sons', 2], ['XYZ', 0]]
+      });
+      output.end();
+
+      const entries = readZip(Buffer.concat(chunks));
+      expect(Object.keys(entries)).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/worksheets/sheet1.xml'
+      ]);
+      expect(entries['xl/workbook.xml']).toContain('<sheet name="Reports  2025 09" sheetId="1" r:id="rId1"/>');
+
+      const sheet = entries['xl/worksheets/sheet1.xml'];
+      expect(sheet).toContain('<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Name</t>');
+      expect(sheet).toContain('ABC &amp; Sons');
+      expect(sheet).toContain('<c r="B3"><v>0</v></c>');
+      expect(sheet.endsWith('</sheetData></worksheet>')).toBe(true);
+    });
+  });
+});
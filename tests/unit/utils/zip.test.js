@@ -0,0 +1,122 @@
+/**
+ * Unit tests for ZIP utilities
+ */
+
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { createZipWriter, crc32 } = require('../../../server/utils/zip');
+
+/**
+ * Collects everything written to a stream
+ */
+function collect(stream) {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  return () => Buffer.concat(chunks);
+}
+
+/**
+ * Reads entries back through the central directory
+ */
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const crc = buffer.readUInt32LE(offset + 16);
+
+    const localNameLength = buffer.readUInt16LE(headerOffset + 26);
+    const dataStart = headerOffset + 30 + localNameLength;
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    entries[name] = { data, crc };
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('ZIP utilities', () => {
+  describe('crc32', () => {
+    test('should match the standard CRC-32', () => {
+      expect(crc32(Buffer.from('hello'))).toBe(0x3610a686);
+      expect(crc32(Buffer.alloc(0))).toBe(0);
+    });
+
+    test('should continue a checksum across chunks', () => {
+      const whole = crc32(Buffer.from('hello world'));
+      const partial = crc32(Buffer.from(' world'), crc32(Buffer.from('hello')));
+
+      expect(partial).toBe(whole);
+    });
+  });
+
+  describe('createZipWriter', () => {
+    test('should write entries from strings, buffers and async iterables', async () => {
+      const output = new PassThrough();
+      const read = collect(output);
+      const zip = createZipWriter(output);
+
+      async function* lines() {
+        for (let i = 0; i < 1000; i++) {
+          yield `line ${i}\n`;
+        }
+      }
+
+      await zip.addEntry('readme.txt', 'hello');
+      await zip.addEntry('data/lines.txt', lines());
+      await zip.addEntry('bytes.bin', Buffer.from([0, 1, 2, 255]));
+      const size = await zip.finalize();
+      output.end();
+
+      const buffer = read();
+      expect(buffer.length).toBe(size);
+
+      const entries = readZip(buffer);
+      expect(Object.keys(entries)).toEqual(['readme.txt', 'data/lines.txt', 'bytes.bin']);
+      expect(entries['readme.txt'].data.toString()).toBe('hello');
+      expect(entries['readme.txt'].crc).toBe(crc32(Buffer.from('hello')));
+      expect(entries['data/lines.txt'].data.toString().split('\n')).toHaveLength(1001);
+      expect([...entries['bytes.bin'].data]).toEqual([0, 1, 2, 255]);
+    });
+
+    test('should store UTF-8 names with forward slashes', async () => {
+      const output = new PassThrough();
+      const read = collect(output);
+      const zip = createZipWriter(output);
+
+      await zip.addEntry('files\\café.txt', 'x');
+      await zip.finalize();
+      output.end();
+
+      expect(Object.keys(readZip(read()))).toEqual(['files/café.txt']);
+    });
+
+    test('should refuse entries after finalizing', async () => {
+      const zip = createZipWriter(new PassThrough());
+      await zip.finalize();
+
+      await expect(zip.addEntry('late.txt', 'x')).rejects.toThrow('finalized');
+      await expect(zip.finalize()).rejects.toThrow('already finalized');
+    });
+
+    test('should propagate errors from the entry source', async () => {
+      const output = new PassThrough();
+      collect(output);
+      const zip = createZipWriter(output);
+
+      async function* failing() {
+        yield 'start';
+        throw new Error('source failed');
+      }
+
+      await expect(zip.addEntry('broken.txt', failing())).rejects.toThrow('source failed');
+    });
+  });
+});